@@ -17,12 +17,72 @@
 			audience_size: 0,
 			personalization: {},
 			schedule: {},
+			ab_test: {
+				enabled: false,
+				variants: [],
+				winner: { enabled: false, metric: 'read_rate', wait_hours: 4 },
+			},
+			tracking: {
+				utm_enabled: true,
+				utm_source: 'whatsapp',
+				utm_medium: 'broadcast',
+				utm_campaign: '',
+				track_clicks: false,
+			},
+			wizard_step: 1,
 		},
+		templates: [],
+		segments: [],
+		contactList: null,
+		contactFile: null,
+		contactSample: {},
+		draftRequest: null,
+		audienceRequest: null,
+		audienceTimer: null,
+		breakdownRequest: null,
+		sampleRequest: null,
+		samplePage: 1,
+		excludedPhones: [],
+		costEstimate: null,
+		costRequest: null,
+		deliveryRequest: null,
+		recurrenceRequest: null,
+		progressChart: null,
+		progressTimer: null,
+		progressInterval: 10000,
+		testGroups: [],
+		testSendId: null,
+		testTimer: null,
+		testInterval: 5000,
+		calendarView: 'month',
+		calendarDate: null,
+		calendarRequest: null,
+		calendarDragged: null,
 
 		init: function() {
 			this.bindEvents();
-			this.loadTemplates();
-			this.updateAudienceCount();
+			this.renderSegment(this.emptySegment());
+
+			if ($('#wch-campaign-progress').length) {
+				this.loadProgress();
+			}
+
+			if ($('#wch-calendar').length) {
+				this.calendarDate = this.parseCalendarDate(wchBroadcasts.calendar.today);
+				this.loadCalendar();
+			}
+
+			this.renderApprovalPreviews();
+
+			const templatesRequest = this.loadTemplates();
+			const campaignId = parseInt($('.wch-campaign-wizard').data('campaign-id'), 10) || 0;
+
+			if (campaignId) {
+				this.loadDraft(campaignId, templatesRequest);
+			} else {
+				this.loadSegments();
+				this.updateAudienceCount();
+			}
 		},
 
 		bindEvents: function() {
@@ -33,22 +93,113 @@
 			// Template selection
 			$(document).on('click', '.wch-template-item', (e) => this.selectTemplate(e));
 
+			// Parameter mapping
+			$('#wch-variable-mapping').on('change input', 'select, input', () => this.updatePersonalizationPreview());
+			$(document).on('click', '.wch-media-select', (e) => this.selectMedia(e));
+			$('#wch-preview-recipients').on('click', () => this.previewRecipients());
+
 			// Audience criteria changes
-			$('.wch-audience-criteria input, .wch-audience-criteria select').on('change', () => this.updateAudienceCount());
+			$('.wch-audience-criteria').on('change', 'input[name="audience_cart_abandoners"], input[name^="exclude_"]', () => this.updateAudienceCount());
+
+			// Recipient sample and manual exclusions
+			$('#wch-audience-sample').on('click', '[data-sample-page]', (e) => {
+				this.loadAudienceSample(this.samplePage + ($(e.currentTarget).data('sample-page') === 'next' ? 1 : -1));
+			});
+			$('#wch-audience-sample').on('click', '.wch-sample-exclude', (e) => this.toggleExcludedPhone($(e.currentTarget).data('phone'), true));
+			$('#wch-audience-manual').on('click', '.wch-sample-include', (e) => this.toggleExcludedPhone($(e.currentTarget).data('phone'), false));
+
+			// Audience source and contact list upload
+			$('input[name="audience_source"]').on('change', () => {
+				this.toggleAudienceSource();
+				this.updateAudienceCount();
+			});
+			$('#wch-contact-file').on('change', (e) => {
+				this.contactFile = e.target.files[0] || null;
+				this.importContactList(true);
+			});
+			$('#wch-contact-phone-column, #wch-contact-country').on('change', () => this.importContactList(false));
+
+			// Segment builder
+			const $builder = $('#wch-segment-builder');
+			$builder.on('click', '.wch-segment-add-condition', (e) => this.addSegmentRule(e, 'condition'));
+			$builder.on('click', '.wch-segment-add-group', (e) => this.addSegmentRule(e, 'group'));
+			$builder.on('click', '.wch-segment-remove', (e) => this.removeSegmentRule(e));
+			$builder.on('change', '.wch-segment-field', (e) => {
+				const $condition = $(e.target).closest('.wch-segment-condition');
+				this.renderConditionOperators($condition);
+				this.renderConditionValue($condition, {});
+				$(document.body).trigger('wc-enhanced-select-init');
+				this.segmentChanged();
+			});
+			$builder.on('change', '.wch-segment-operator', (e) => {
+				$(e.target).closest('.wch-segment-condition').find('.wch-segment-value').toggle($(e.target).val() !== 'never');
+				this.segmentChanged();
+			});
+			$builder.on('change', '.wch-segment-match, .wch-segment-input', () => this.segmentChanged());
+			$builder.on('input', 'input.wch-segment-input', () => this.scheduleAudienceCount());
+			$('#wch-saved-segment').on('change', () => this.selectSegment());
+			$('#wch-save-segment').on('click', () => this.saveSegment());
+			$('#wch-delete-segment').on('click', () => this.deleteSegment());
 
 			// Schedule timing change
 			$('input[name="send_timing"]').on('change', (e) => this.toggleScheduleDateTime(e));
+			$('input[name="quiet_hours_enabled"]').on('change', (e) => $('.wch-quiet-hours').toggle($(e.target).is(':checked')));
+			$('input[name="recurrence_enabled"]').on('change', (e) => $('.wch-recurrence-rule').toggle($(e.target).is(':checked')));
+			$('select[name="recurrence_frequency"]').on('change', () => this.toggleRecurrenceFrequency());
+
+			// Link tracking
+			$('input[name="utm_enabled"]').on('change', (e) => $('.wch-utm-settings').toggle($(e.target).is(':checked')));
+
+			// A/B test variants
+			$('input[name="ab_test_enabled"]').on('change', (e) => this.toggleAbTest($(e.target).is(':checked')));
+			$('input[name="ab_winner_enabled"]').on('change', (e) => {
+				$('.wch-ab-winner-settings').toggle($(e.target).is(':checked'));
+				this.updateAbShareSummary();
+			});
+			$('#wch-ab-add-variant').on('click', () => this.addAbVariant());
+			$(document).on('click', '.wch-ab-remove-variant', (e) => this.removeAbVariant(e));
+			$(document).on('change', '.wch-ab-variant-template', (e) => this.renderAbVariantMapping($(e.target).closest('.wch-ab-variant')));
+			$(document).on('input change', '.wch-ab-variant-share', () => this.updateAbShareSummary());
 
 			// Campaign actions
-			$('#wch-send-test').on('click', () => this.sendTestBroadcast());
+			$('#wch-send-test').on('click', () => this.toggleTestPanel());
+			$('#wch-test-phones').on('input', () => this.validateTestPhones());
+			$('#wch-test-group').on('change', () => this.selectTestGroup());
+			$('#wch-save-test-group').on('click', () => this.saveTestGroup());
+			$('#wch-delete-test-group').on('click', () => this.deleteTestGroup());
+			$('#wch-send-test-group').on('click', () => this.sendTestBroadcast());
 			$('#wch-confirm-send').on('click', () => this.confirmSendCampaign());
 
 			// List actions
 			$(document).on('click', '.wch-delete-campaign', (e) => this.deleteCampaign(e));
 			$(document).on('click', '.wch-duplicate-campaign', (e) => this.duplicateCampaign(e));
+			$(document).on('click', '.wch-campaign-control', (e) => this.controlCampaign(e));
+			$(document).on('change', '#wch-campaigns-select-all', (e) => {
+				$('.wch-campaign-cb').prop('checked', $(e.currentTarget).is(':checked'));
+			});
+			$(document).on('click', '#wch-bulk-apply', (e) => this.bulkCampaignAction(e));
+
+			// Approval review
+			$('.wch-approval-action').on('click', (e) => this.decideApproval(e));
+
+			// Message rates
+			$('#wch-pricing-add-row').on('click', () => this.addPricingRow());
+			$('#wch-pricing-rows').on('click', '.wch-pricing-remove-row', (e) => $(e.currentTarget).closest('tr').remove());
+			$('#wch-pricing-save').on('click', () => this.savePricing());
 
 			// Export report
-			$('#wch-export-report').on('click', (e) => this.exportReport(e));
+			$('.wch-export-report').on('click', (e) => this.exportReport(e));
+
+			// Delivery progress
+			$('#wch-progress-failure-rows').on('click', '.wch-retry-failed', (e) => this.retryFailed(e));
+
+			// Calendar
+			$('#wch-calendar').on('click', '[data-calendar-nav]', (e) => this.moveCalendar($(e.currentTarget).data('calendar-nav')));
+			$('#wch-calendar').on('click', '[data-calendar-view]', (e) => {
+				this.calendarView = $(e.currentTarget).data('calendar-view');
+				this.loadCalendar();
+			});
+			this.bindCalendarDrag($('#wch-calendar-grid'));
 
 			// Step navigation
 			$('.wch-step').on('click', (e) => {
@@ -61,12 +212,12 @@
 
 		loadTemplates: function() {
 			if (!$('#wch-templates-list').length) {
-				return;
+				return $.Deferred().resolve().promise();
 			}
 
 			$('#wch-templates-list').html('<p class="wch-loading">Loading templates...</p>');
 
-			$.ajax({
+			return $.ajax({
 				url: wchBroadcasts.ajaxUrl,
 				type: 'POST',
 				data: {
@@ -90,6 +241,8 @@
 			const $list = $('#wch-templates-list');
 			$list.empty();
 
+			this.templates = templates;
+
 			if (templates.length === 0) {
 				$list.html('<p>No approved templates available.</p>');
 				return;
@@ -142,495 +295,3173 @@
 				`);
 			}
 
-			// Render template components
-			if (template.components && Array.isArray(template.components)) {
-				template.components.forEach((component) => {
-					if (component.type === 'HEADER') {
-						$preview.append(`<div style="font-weight: bold; margin-bottom: 8px;">${this.highlightVariables(component.text || '')}</div>`);
-					} else if (component.type === 'BODY') {
-						$preview.append(`<div style="margin-bottom: 8px;">${this.highlightVariables(component.text || '')}</div>`);
-					} else if (component.type === 'FOOTER') {
-						$preview.append(`<div style="font-size: 12px; color: #999; margin-top: 8px;">${component.text || ''}</div>`);
-					}
-				});
-			} else {
-				$preview.append('<p class="wch-placeholder">Preview not available</p>');
-			}
+			$preview.append(WCHTemplatePreview.render(template));
 		},
 
-		highlightVariables: function(text) {
-			// Highlight {{1}}, {{2}}, etc.
-			return text.replace(/\{\{(\d+)\}\}/g, '<span style="background: #fef7e5; padding: 2px 6px; border-radius: 3px; font-weight: 600;">{{$1}}</span>');
+		extractTemplateVariables: function(template) {
+			this.campaignData.template_variables = this.getTemplateVariables(template);
 		},
 
-		extractTemplateVariables: function(template) {
-			const variables = [];
-
-			if (template.components && Array.isArray(template.components)) {
-				template.components.forEach((component) => {
-					if (component.type === 'BODY' && component.text) {
-						const matches = component.text.match(/\{\{(\d+)\}\}/g);
-						if (matches) {
-							matches.forEach((match) => {
-								const num = match.match(/\d+/)[0];
-								if (!variables.includes(num)) {
-									variables.push(num);
-								}
-							});
-						}
+		getTemplateVariables: function(template) {
+			const parameters = { header: [], body: [], button: [] };
+			const components = template && Array.isArray(template.components) ? template.components : [];
+
+			// Mirrors BroadcastTemplateBuilder::getParameters() so the mapping keys match the send payload.
+			components.forEach((component) => {
+				const type = (component.type || '').toUpperCase();
+
+				if (type === 'HEADER') {
+					const format = (component.format || 'TEXT').toUpperCase();
+
+					if (['IMAGE', 'VIDEO', 'DOCUMENT'].includes(format)) {
+						parameters.header = [{ key: 'header_media', component: 'header', name: 'media', input: 'media', format: format.toLowerCase() }];
+					} else if (format === 'TEXT') {
+						parameters.header = this.buildTextParameters('header', component.text);
 					}
-				});
-			}
+				} else if (type === 'BODY') {
+					parameters.body = this.buildTextParameters('body', component.text);
+				} else if (type === 'BUTTONS') {
+					(component.buttons || []).forEach((button, index) => {
+						const buttonType = (button.type || '').toUpperCase();
+
+						if (buttonType === 'URL' && this.extractVariableNames(button.url).length) {
+							parameters.button.push({ key: `button_${index}`, component: 'button', name: String(index), input: 'url_suffix', url: button.url });
+						} else if (buttonType === 'COPY_CODE') {
+							parameters.button.push({ key: `button_${index}`, component: 'button', name: String(index), input: 'text', sub_type: 'copy_code' });
+						}
+					});
+				}
+			});
 
-			this.campaignData.template_variables = variables.sort();
+			return parameters.header.concat(parameters.body, parameters.button);
 		},
 
-		updateAudienceCount: function() {
-			if (!$('#wch-audience-count').length) {
-				return;
-			}
+		buildTextParameters: function(component, text) {
+			return this.extractVariableNames(text).map((name) => ({ key: `${component}_${name}`, component, name, input: 'text' }));
+		},
 
-			const criteria = {
-				audience_all: $('input[name="audience_all"]').is(':checked'),
-				audience_recent_orders: $('input[name="audience_recent_orders"]').is(':checked'),
-				recent_orders_days: $('input[name="recent_orders_days"]').val(),
-				audience_category: $('input[name="audience_category"]').is(':checked'),
-				category_id: $('select[name="category_id"]').val(),
-				audience_cart_abandoners: $('input[name="audience_cart_abandoners"]').is(':checked'),
-				exclude_recent_broadcast: $('input[name="exclude_recent_broadcast"]').is(':checked'),
-				exclude_broadcast_days: $('input[name="exclude_broadcast_days"]').val(),
-			};
+		extractVariableNames: function(text) {
+			const names = [];
 
-			this.campaignData.audience = criteria;
+			(text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+				if (!names.includes(name)) {
+					names.push(name);
+				}
+				return match;
+			});
 
-			$('#wch-audience-count').html('<span class="wch-loading"></span>');
+			// Positional parameters are numbered; sort them as numbers so {{10}} follows {{2}}.
+			if (names.length && names.every((name) => /^\d+$/.test(name))) {
+				names.sort((a, b) => a - b);
+			}
 
-			$.ajax({
-				url: wchBroadcasts.ajaxUrl,
-				type: 'POST',
-				data: {
-					action: 'wch_get_audience_count',
-					nonce: wchBroadcasts.nonce,
-					criteria: JSON.stringify(criteria),
-				},
-				success: (response) => {
-					if (response.success) {
-						const count = response.data.count || 0;
-						this.campaignData.audience_size = count;
-						$('#wch-audience-count').text(count.toLocaleString());
-					} else {
-						$('#wch-audience-count').text('Error');
-					}
-				},
-				error: () => {
-					$('#wch-audience-count').text('Error');
-				},
-			});
+			return names;
 		},
 
-		toggleScheduleDateTime: function(e) {
-			const timing = $(e.target).val();
-			if (timing === 'scheduled') {
-				$('.wch-schedule-datetime').slideDown();
-			} else {
-				$('.wch-schedule-datetime').slideUp();
+		findMapping: function(personalization, parameter) {
+			const saved = personalization || {};
+
+			if (saved[parameter.key]) {
+				return saved[parameter.key];
 			}
+
+			// Drafts saved before parameters were keyed by component map text variables by number.
+			return parameter.input === 'text' && parameter.component !== 'button' ? saved[parameter.name] : undefined;
 		},
 
-		nextStep: function() {
-			if (!this.validateCurrentStep()) {
-				return;
+		getParameterLabel: function(parameter) {
+			const strings = wchBroadcasts.strings;
+			const buttonNumber = parseInt(parameter.name, 10) + 1;
+
+			if (parameter.input === 'media') {
+				return { image: strings.mediaImage, video: strings.mediaVideo, document: strings.mediaDocument }[parameter.format];
+			}
+			if (parameter.input === 'url_suffix') {
+				return strings.paramUrl.replace('%s', buttonNumber);
+			}
+			if (parameter.component === 'button') {
+				return strings.paramCode.replace('%s', buttonNumber);
 			}
 
-			if (this.currentStep < this.totalSteps) {
-				this.currentStep++;
-				this.updateWizardUI();
+			return (parameter.component === 'header' ? strings.paramHeader : strings.paramBody).replace('%s', `{{${parameter.name}}}`);
+		},
 
-				if (this.currentStep === 3) {
-					this.renderPersonalizationStep();
-				} else if (this.currentStep === 5) {
-					this.renderReviewStep();
-				}
-			}
+		findTemplate: function(templateName) {
+			return this.templates.find((template) => template.name === templateName) || null;
 		},
 
-		prevStep: function() {
-			if (this.currentStep > 1) {
-				this.currentStep--;
-				this.updateWizardUI();
+		emptySegment: function() {
+			return { type: 'group', match: 'all', rules: [] };
+		},
+
+		renderSegment: function(segment) {
+			const $builder = $('#wch-segment-builder');
+			if (!$builder.length) {
+				return;
 			}
+
+			$builder.empty().append(this.buildSegmentGroup(segment && segment.rules ? segment : this.emptySegment(), 0));
+			$(document.body).trigger('wc-enhanced-select-init');
+			this.updateSegmentHint();
 		},
 
-		goToStep: function(stepNum) {
-			if (stepNum >= 1 && stepNum <= this.currentStep) {
-				this.currentStep = stepNum;
-				this.updateWizardUI();
+		buildSegmentGroup: function(group, depth) {
+			const strings = wchBroadcasts.strings;
+			const $group = $('<div class="wch-segment-group"></div>').attr('data-depth', depth);
+			const $header = $('<div class="wch-segment-group-header"></div>');
+			const $match = $('<select class="wch-segment-match"></select>')
+				.append($('<option>', { value: 'all', text: strings.matchAll }))
+				.append($('<option>', { value: 'any', text: strings.matchAny }))
+				.val(group.match === 'any' ? 'any' : 'all');
+
+			$header.append($match);
+			if (depth > 0) {
+				$header.append($('<button type="button" class="button-link button-link-delete wch-segment-remove"></button>').text(strings.remove));
+			}
+
+			const $rules = $('<div class="wch-segment-rules"></div>');
+			(group.rules || []).forEach((rule) => {
+				$rules.append(rule.type === 'group' ? this.buildSegmentGroup(rule, depth + 1) : this.buildSegmentCondition(rule));
+			});
+
+			const $actions = $('<div class="wch-segment-actions"></div>')
+				.append($('<button type="button" class="button button-small wch-segment-add-condition"></button>').text(strings.addCondition));
+			if (depth < wchBroadcasts.maxSegmentDepth) {
+				$actions.append($('<button type="button" class="button button-small wch-segment-add-group"></button>').text(strings.addGroup));
 			}
+
+			return $group.append($header, $rules, $actions);
 		},
 
-		updateWizardUI: function() {
-			// Update step indicators
-			$('.wch-step').removeClass('active').each(function(index) {
-				const stepNum = index + 1;
-				if (stepNum < BroadcastsAdmin.currentStep) {
-					$(this).addClass('completed');
-				} else if (stepNum === BroadcastsAdmin.currentStep) {
-					$(this).addClass('active');
-				} else {
-					$(this).removeClass('completed');
-				}
+		buildSegmentCondition: function(rule) {
+			const fields = wchBroadcasts.segmentFields;
+			const field = fields[rule.field] ? rule.field : Object.keys(fields)[0];
+			const $condition = $('<div class="wch-segment-condition"></div>');
+			const $field = $('<select class="wch-segment-field"></select>');
+
+			Object.keys(fields).forEach((key) => {
+				$field.append($('<option>', { value: key, text: fields[key].label }));
 			});
+			$field.val(field);
 
-			// Show/hide panels
-			$('.wch-wizard-panel').hide();
-			$(`.wch-wizard-panel[data-panel="${this.currentStep}"]`).show();
+			$condition.append(
+				$field,
+				$('<select class="wch-segment-operator"></select>'),
+				$('<span class="wch-segment-value"></span>'),
+				$('<button type="button" class="button-link button-link-delete wch-segment-remove"></button>').text(wchBroadcasts.strings.remove)
+			);
 
-			// Update navigation buttons
-			if (this.currentStep === 1) {
-				$('#wch-wizard-prev').hide();
-			} else {
-				$('#wch-wizard-prev').show();
-			}
+			this.renderConditionOperators($condition, rule.operator);
+			this.renderConditionValue($condition, rule);
 
-			if (this.currentStep === this.totalSteps) {
-				$('#wch-wizard-next').hide();
-			} else {
-				$('#wch-wizard-next').show();
-			}
+			return $condition;
+		},
 
-			// Scroll to top
-			$('.wch-campaign-wizard').get(0).scrollIntoView({ behavior: 'smooth' });
+		renderConditionOperators: function($condition, selected) {
+			const operators = wchBroadcasts.segmentFields[$condition.find('.wch-segment-field').val()].operators;
+			const $operator = $condition.find('.wch-segment-operator').empty();
+
+			Object.keys(operators).forEach((key) => {
+				$operator.append($('<option>', { value: key, text: operators[key] }));
+			});
+
+			if (selected && operators[selected]) {
+				$operator.val(selected);
+			}
 		},
 
-		validateCurrentStep: function() {
-			switch (this.currentStep) {
-				case 1:
-					if (!this.campaignData.template_name) {
-						alert('Please select a template');
-						return false;
-					}
-					if (this.campaignData.template_data.status !== 'APPROVED') {
-						alert('Selected template is not approved');
-						return false;
-					}
-					break;
-				case 2:
-					if (this.campaignData.audience_size === 0) {
-						alert('No recipients match the selected criteria');
-						return false;
-					}
+		renderConditionValue: function($condition, rule) {
+			const strings = wchBroadcasts.strings;
+			const field = $condition.find('.wch-segment-field').val();
+			const input = wchBroadcasts.segmentFields[field].input;
+			const value = rule.value;
+			const $value = $condition.find('.wch-segment-value').empty();
+			let $input;
+
+			switch (input) {
+				case 'number':
+					$input = $('<input type="number" min="0" class="small-text">')
+						.attr('step', field === 'total_spent' ? '0.01' : '1')
+						.val(value !== undefined && value !== null ? value : '');
 					break;
-				case 3:
-					// Personalization validation if needed
+
+				case 'days':
+					$input = $('<input type="number" min="1" max="3650" class="small-text">').val(value || 30);
 					break;
-				case 4:
-					// Schedule validation
-					const timing = $('input[name="send_timing"]:checked').val();
-					if (timing === 'scheduled') {
-						const date = $('input[name="schedule_date"]').val();
-						const time = $('input[name="schedule_time"]').val();
-						if (!date || !time) {
-							alert('Please select date and time for scheduled send');
-							return false;
-						}
-					}
+
+				case 'products':
+					$input = $('<select class="wc-product-search" multiple="multiple" style="width: 300px;"></select>')
+						.attr('data-placeholder', strings.searchProducts)
+						.attr('data-action', 'woocommerce_json_search_products_and_variations');
+					(value || []).forEach((productId) => {
+						const label = (rule.labels && rule.labels[productId]) || `#${productId}`;
+						$input.append($('<option>', { value: productId, text: label, selected: true }));
+					});
 					break;
-			}
-			return true;
-		},
 
-		renderPersonalizationStep: function() {
-			const $mapping = $('#wch-variable-mapping');
-			$mapping.empty();
+				case 'categories':
+					$input = $('<select class="wc-enhanced-select" multiple="multiple" style="width: 300px;"></select>')
+						.attr('data-placeholder', strings.selectCategories);
+					(wchBroadcasts.categories || []).forEach((category) => {
+						$input.append($('<option>', { value: category.id, text: category.name }));
+					});
+					$input.val((value || []).map(String));
+					break;
 
-			const variables = this.campaignData.template_variables || [];
+				case 'countries':
+					$input = $('<select class="wc-enhanced-select" multiple="multiple" style="width: 300px;"></select>')
+						.attr('data-placeholder', strings.selectCountries);
+					Object.keys(wchBroadcasts.countries || {}).forEach((code) => {
+						$input.append($('<option>', { value: code, text: wchBroadcasts.countries[code] }));
+					});
+					$input.val(value || []);
+					break;
 
-			if (variables.length === 0) {
-				$mapping.html('<p class="wch-placeholder">This template has no variables to personalize</p>');
-				return;
+				case 'tags':
+					$input = $('<input type="text" class="regular-text">')
+						.attr('placeholder', strings.tagsPlaceholder)
+						.val(Array.isArray(value) ? value.join(', ') : '');
+					break;
 			}
 
-			variables.forEach((varNum) => {
-				const $row = $(`
-					<div class="wch-variable-row">
-						<div class="wch-variable-label">Variable {{${varNum}}}</div>
-						<div class="wch-variable-input">
-							<select name="var_${varNum}_type" data-var="${varNum}">
-								<option value="customer_name">Customer Name</option>
-								<option value="static">Static Text</option>
-								<option value="product_name">Product Name</option>
-								<option value="coupon_code">Coupon Code</option>
-							</select>
-							<input type="text" name="var_${varNum}_value" data-var="${varNum}" placeholder="Enter value" style="margin-top: 8px; display: none;">
-						</div>
-					</div>
-				`);
+			$value.append($input.addClass('wch-segment-input'));
+			$value.toggle($condition.find('.wch-segment-operator').val() !== 'never');
+		},
 
-				$row.find('select').on('change', function() {
-					const type = $(this).val();
-					const $input = $row.find('input[type="text"]');
-					if (type === 'static' || type === 'coupon_code' || type === 'product_name') {
-						$input.show();
-					} else {
-						$input.hide();
-					}
-				});
+		readSegmentGroup: function($group) {
+			const rules = [];
 
-				$mapping.append($row);
+			$group.children('.wch-segment-rules').children().each((index, element) => {
+				const $rule = $(element);
+				rules.push($rule.hasClass('wch-segment-group') ? this.readSegmentGroup($rule) : this.readSegmentCondition($rule));
 			});
 
-			this.updatePersonalizationPreview();
+			return {
+				type: 'group',
+				match: $group.children('.wch-segment-group-header').find('.wch-segment-match').val(),
+				rules,
+			};
 		},
 
-		updatePersonalizationPreview: function() {
-			const $preview = $('#wch-personalization-preview');
-			$preview.empty();
-
-			// Get sample values for preview
-			const sampleData = {
-				customer_name: 'John Doe',
-				product_name: 'Sample Product',
-				coupon_code: 'SAVE20',
+		readSegmentCondition: function($condition) {
+			const field = $condition.find('.wch-segment-field').val();
+			const $input = $condition.find('.wch-segment-input');
+			const rule = {
+				type: 'condition',
+				field,
+				operator: $condition.find('.wch-segment-operator').val(),
+				value: $input.val(),
 			};
 
-			let previewText = '';
-			if (this.campaignData.template_data.components) {
-				this.campaignData.template_data.components.forEach((component) => {
-					if (component.type === 'BODY' && component.text) {
-						previewText = component.text;
-					}
+			if (wchBroadcasts.segmentFields[field].input === 'products') {
+				rule.labels = {};
+				$input.find('option:selected').each(function() {
+					rule.labels[$(this).val()] = $(this).text();
 				});
 			}
 
-			// Replace variables with sample data
-			const variables = this.campaignData.template_variables || [];
-			variables.forEach((varNum) => {
-				const type = $(`select[name="var_${varNum}_type"]`).val();
-				const customValue = $(`input[name="var_${varNum}_value"]`).val();
-				const value = customValue || sampleData[type] || `[${type}]`;
-				previewText = previewText.replace(new RegExp(`\\{\\{${varNum}\\}\\}`, 'g'), value);
-			});
-
-			$preview.html(`<div style="background: #fff; padding: 16px; border-radius: 4px; border: 1px solid #ddd;">${previewText}</div>`);
+			return rule;
 		},
 
-		renderReviewStep: function() {
-			// Update campaign name
-			const campaignName = this.campaignData.name || `Campaign ${new Date().toLocaleDateString()}`;
-			$('input[name="campaign_name"]').val(campaignName);
+		readSegment: function() {
+			const $root = $('#wch-segment-builder > .wch-segment-group');
+			return $root.length ? this.readSegmentGroup($root) : this.emptySegment();
+		},
 
-			// Update review summary
-			$('#review-template').text(this.campaignData.template_name);
-			$('#review-audience').text(`${this.campaignData.audience_size.toLocaleString()} recipients`);
+		updateSegmentHint: function() {
+			const isEmpty = !$('#wch-segment-builder .wch-segment-condition').length;
+			$('#wch-segment-empty').text(isEmpty ? wchBroadcasts.strings.segmentEmpty : '').toggle(isEmpty);
+		},
 
-			const timing = $('input[name="send_timing"]:checked').val();
-			if (timing === 'scheduled') {
-				const date = $('input[name="schedule_date"]').val();
-				const time = $('input[name="schedule_time"]').val();
-				const tz = $('select[name="schedule_timezone"]').val();
-				$('#review-schedule').text(`Scheduled: ${date} ${time} (${tz})`);
-
-				this.campaignData.schedule = {
-					timing: 'scheduled',
-					datetime: `${date} ${time}`,
-					timezone: tz,
-				};
-			} else {
-				$('#review-schedule').text('Send immediately');
-				this.campaignData.schedule = {
-					timing: 'now',
-				};
-			}
+		addSegmentRule: function(e, type) {
+			const $group = $(e.currentTarget).closest('.wch-segment-group');
+			const depth = parseInt($group.attr('data-depth'), 10) || 0;
+			const $rule = type === 'group'
+				? this.buildSegmentGroup({ match: 'all', rules: [{ type: 'condition' }] }, depth + 1)
+				: this.buildSegmentCondition({ type: 'condition' });
 
-			// Calculate estimated cost (rough estimate: $0.005 per message)
-			const estimatedCost = (this.campaignData.audience_size * 0.005).toFixed(2);
-			$('#review-cost').text(`$${estimatedCost} USD (estimated)`);
+			$group.children('.wch-segment-rules').append($rule);
+			$(document.body).trigger('wc-enhanced-select-init');
+			this.segmentChanged();
+		},
 
-			// Collect personalization data
-			const personalization = {};
-			const variables = this.campaignData.template_variables || [];
-			variables.forEach((varNum) => {
-				const type = $(`select[name="var_${varNum}_type"]`).val();
-				const value = $(`input[name="var_${varNum}_value"]`).val();
-				personalization[varNum] = { type, value };
-			});
-			this.campaignData.personalization = personalization;
+		removeSegmentRule: function(e) {
+			const $target = $(e.currentTarget);
+			const $condition = $target.closest('.wch-segment-condition');
 
-			// Update message preview
-			this.renderReviewPreview();
+			if ($condition.length) {
+				$condition.remove();
+			} else {
+				$target.closest('.wch-segment-group').remove();
+			}
+			this.segmentChanged();
 		},
 
-		renderReviewPreview: function() {
-			const $preview = $('#review-message-preview');
-			$preview.empty();
+		segmentChanged: function() {
+			this.updateSegmentHint();
+			this.scheduleAudienceCount();
+		},
 
-			if (this.campaignData.template_data.components) {
-				this.campaignData.template_data.components.forEach((component) => {
-					if (component.type === 'HEADER') {
-						$preview.append(`<div style="font-weight: bold; margin-bottom: 8px;">${component.text || ''}</div>`);
-					} else if (component.type === 'BODY') {
-						let bodyText = component.text || '';
-						// Replace variables with placeholders
-						const variables = this.campaignData.template_variables || [];
-						variables.forEach((varNum) => {
-							const mapping = this.campaignData.personalization[varNum];
-							if (mapping) {
-								const placeholder = mapping.value || `[${mapping.type}]`;
-								bodyText = bodyText.replace(new RegExp(`\\{\\{${varNum}\\}\\}`, 'g'), placeholder);
-							}
-						});
-						$preview.append(`<div style="margin-bottom: 8px;">${bodyText}</div>`);
-					} else if (component.type === 'FOOTER') {
-						$preview.append(`<div style="font-size: 12px; color: #999; margin-top: 8px;">${component.text || ''}</div>`);
-					}
-				});
-			}
+		scheduleAudienceCount: function() {
+			clearTimeout(this.audienceTimer);
+			this.audienceTimer = setTimeout(() => this.updateAudienceCount(), 400);
 		},
 
-		sendTestBroadcast: function() {
-			const testPhone = prompt('Enter test phone number (with country code):');
-			if (!testPhone) {
+		loadSegments: function(selectedId) {
+			if (!$('#wch-saved-segment').length) {
 				return;
 			}
 
-			// Update campaign name
-			this.campaignData.name = $('input[name="campaign_name"]').val() || `Campaign ${new Date().toLocaleDateString()}`;
-
 			$.ajax({
 				url: wchBroadcasts.ajaxUrl,
 				type: 'POST',
 				data: {
-					action: 'wch_send_test_broadcast',
+					action: 'wch_get_segments',
 					nonce: wchBroadcasts.nonce,
-					campaign: JSON.stringify(this.campaignData),
-					test_phone: testPhone,
-				},
-				beforeSend: () => {
-					$('#wch-send-test').prop('disabled', true).text('Sending...');
 				},
 				success: (response) => {
 					if (response.success) {
-						alert(wchBroadcasts.strings.testSent);
-					} else {
-						alert(response.data.message || wchBroadcasts.strings.errorOccurred);
+						this.segments = response.data.segments || [];
+						this.renderSegmentOptions(selectedId);
 					}
 				},
-				error: () => {
-					alert(wchBroadcasts.strings.errorOccurred);
-				},
-				complete: () => {
-					$('#wch-send-test').prop('disabled', false).text('Send Test Message');
-				},
 			});
 		},
 
-		confirmSendCampaign: function() {
-			if (!confirm(wchBroadcasts.strings.confirmSend)) {
-				return;
-			}
+		renderSegmentOptions: function(selectedId) {
+			const $select = $('#wch-saved-segment');
+			$select.find('option:not(:first)').remove();
 
-			// Update campaign name
-			this.campaignData.name = $('input[name="campaign_name"]').val() || `Campaign ${new Date().toLocaleDateString()}`;
+			this.segments.forEach((segment) => {
+				$select.append($('<option>', { value: segment.id, text: segment.name }));
+			});
 
-			// Get or create campaign ID
-			if (!this.campaignData.id || this.campaignData.id === 0) {
-				this.campaignData.id = Date.now();
-			}
+			$select.val(this.findSegment(selectedId) ? String(selectedId) : '');
+			$('#wch-delete-segment').toggle(!!$select.val());
+		},
+
+		findSegment: function(segmentId) {
+			return this.segments.find((segment) => String(segment.id) === String(segmentId)) || null;
+		},
+
+		selectSegment: function() {
+			const segment = this.findSegment($('#wch-saved-segment').val());
+			$('#wch-delete-segment').toggle(!!segment);
+
+			if (segment) {
+				this.renderSegment(segment.rules);
+			}
+			this.updateAudienceCount();
+		},
+
+		saveSegment: function() {
+			const current = this.findSegment($('#wch-saved-segment').val());
+			const name = window.prompt(wchBroadcasts.strings.segmentNamePrompt, current ? current.name : '');
+
+			if (name === null || !name.trim()) {
+				return;
+			}
+
+			// Keeping the selected segment's name updates it; a new name saves a copy.
+			const segment = {
+				id: current && current.name === name.trim() ? current.id : 0,
+				name: name.trim(),
+				rules: this.readSegment(),
+			};
+
+			$.ajax({
+				url: wchBroadcasts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'wch_save_segment',
+					nonce: wchBroadcasts.nonce,
+					segment: JSON.stringify(segment),
+				},
+				success: (response) => {
+					if (response.success) {
+						this.loadSegments(response.data.segment.id);
+						alert(wchBroadcasts.strings.segmentSaved);
+					} else {
+						alert(response.data.message || wchBroadcasts.strings.errorOccurred);
+					}
+				},
+				error: () => {
+					alert(wchBroadcasts.strings.errorOccurred);
+				},
+			});
+		},
+
+		deleteSegment: function() {
+			const segmentId = $('#wch-saved-segment').val();
+
+			if (!segmentId || !confirm(wchBroadcasts.strings.segmentConfirm)) {
+				return;
+			}
+
+			$.ajax({
+				url: wchBroadcasts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'wch_delete_segment',
+					nonce: wchBroadcasts.nonce,
+					segment_id: segmentId,
+				},
+				success: (response) => {
+					if (response.success) {
+						this.loadSegments();
+						alert(wchBroadcasts.strings.segmentDeleted);
+					} else {
+						alert(response.data.message || wchBroadcasts.strings.errorOccurred);
+					}
+				},
+				error: () => {
+					alert(wchBroadcasts.strings.errorOccurred);
+				},
+			});
+		},
+
+		getAudienceSource: function() {
+			return $('input[name="audience_source"]:checked').val() === 'csv' ? 'csv' : 'customers';
+		},
+
+		toggleAudienceSource: function() {
+			const source = this.getAudienceSource();
+
+			$('.wch-audience-source-panel').each(function() {
+				$(this).toggle($(this).data('source') === source);
+			});
+		},
+
+		getContactColumns: function() {
+			if (this.getAudienceSource() !== 'csv' || !this.contactList) {
+				return [];
+			}
+
+			return (this.contactList.columns || []).filter((column) => column !== this.contactList.phone_column);
+		},
+
+		importContactList: function(detectPhoneColumn) {
+			const strings = wchBroadcasts.strings;
+
+			if (!this.contactFile) {
+				if (this.contactList) {
+					alert(strings.contactReupload);
+				}
+				return;
+			}
+
+			const formData = new FormData();
+			formData.append('action', 'wch_import_contact_list');
+			formData.append('nonce', wchBroadcasts.nonce);
+			formData.append('contact_file', this.contactFile);
+			formData.append('campaign_id', this.campaignData.id || 0);
+			formData.append('default_country', $('#wch-contact-country').val() || '');
+			formData.append('phone_column', detectPhoneColumn ? '' : ($('#wch-contact-phone-column').val() || ''));
+			formData.append('replace_list', this.contactList ? this.contactList.id : '');
+
+			$('#wch-contact-summary').html(`<span class="wch-loading"></span> ${strings.contactImporting}`);
+
+			$.ajax({
+				url: wchBroadcasts.ajaxUrl,
+				type: 'POST',
+				data: formData,
+				processData: false,
+				contentType: false,
+				success: (response) => {
+					if (response.success) {
+						this.contactList = response.data.list;
+						this.contactSample = response.data.sample || {};
+						this.renderContactList(response.data.issues || []);
+						this.updateAudienceCount();
+						this.saveDraft();
+						return;
+					}
+
+					const columns = (response.data && response.data.columns) || [];
+					if (columns.length) {
+						this.renderPhoneColumnOptions(columns, '');
+					}
+					$('#wch-contact-summary').text((response.data && response.data.message) || strings.errorOccurred);
+				},
+				error: () => {
+					$('#wch-contact-summary').text(strings.errorOccurred);
+				},
+			});
+		},
+
+		renderPhoneColumnOptions: function(columns, selected) {
+			const $select = $('#wch-contact-phone-column').empty();
+
+			if (!selected) {
+				$select.append($('<option>', { value: '', text: wchBroadcasts.strings.selectPhoneColumn }));
+			}
+			columns.forEach((column) => {
+				$select.append($('<option>', { value: column, text: column }));
+			});
+
+			$select.val(selected || '');
+			$('.wch-contact-phone-column').show();
+		},
+
+		renderContactList: function(issues) {
+			const strings = wchBroadcasts.strings;
+			const list = this.contactList;
+			const $issues = $('#wch-contact-issues');
+			const $body = $issues.find('tbody').empty();
+
+			if (!list || !list.id) {
+				$('#wch-contact-summary').empty();
+				$('.wch-contact-phone-column').hide();
+				$issues.hide();
+				return;
+			}
+
+			this.renderPhoneColumnOptions(list.columns || [], list.phone_column);
+			$('#wch-contact-country').val(list.default_country || '');
+
+			$('#wch-contact-summary').empty().append(
+				$('<strong></strong>').text(list.name),
+				$('<p></p>').text(
+					strings.contactSummary
+						.replace('%1$s', Number(list.valid).toLocaleString())
+						.replace('%2$s', Number(list.total_rows).toLocaleString())
+						.replace('%3$s', Number(list.invalid).toLocaleString())
+						.replace('%4$s', Number(list.duplicates).toLocaleString())
+						.replace('%5$s', Number(list.opted_out).toLocaleString())
+				)
+			);
+
+			const reasons = {
+				invalid: strings.issueInvalid,
+				duplicate: strings.issueDuplicate,
+				opted_out: strings.issueOptedOut,
+			};
+
+			issues.forEach((issue) => {
+				$body.append(
+					$('<tr></tr>').append(
+						$('<td></td>').text(issue.row),
+						$('<td></td>').text(issue.input),
+						$('<td></td>').text(issue.phone || '—'),
+						$('<td></td>').text(reasons[issue.reason] || issue.reason)
+					)
+				);
+			});
+
+			const problems = Number(list.invalid) + Number(list.duplicates) + Number(list.opted_out);
+			if (issues.length && issues.length < problems) {
+				$('#wch-contact-summary').append($('<p class="description"></p>').text(strings.contactTruncated.replace('%s', issues.length)));
+			}
+
+			$issues.toggle(issues.length > 0);
+		},
+
+		updateAudienceCount: function() {
+			if (!$('#wch-audience-count').length) {
+				return;
+			}
+
+			const criteria = {
+				source: this.getAudienceSource(),
+				contact_list: this.contactList || {},
+				segment: this.readSegment(),
+				segment_id: parseInt($('#wch-saved-segment').val(), 10) || 0,
+				audience_cart_abandoners: $('input[name="audience_cart_abandoners"]').is(':checked'),
+				exclude_recent_broadcast: $('input[name="exclude_recent_broadcast"]').is(':checked'),
+				exclude_broadcast_days: $('input[name="exclude_broadcast_days"]').val(),
+				exclude_frequency_capped: $('input[name="exclude_frequency_capped"]').is(':checked'),
+				excluded_phones: this.excludedPhones.slice(),
+			};
+
+			this.campaignData.audience = criteria;
+			this.loadAudienceBreakdown();
+			this.loadAudienceSample(1);
+
+			$('#wch-audience-count').html('<span class="wch-loading"></span>');
+
+			// Only the latest count matters while rules are being edited.
+			if (this.audienceRequest) {
+				this.audienceRequest.abort();
+			}
+
+			this.audienceRequest = $.ajax({
+				url: wchBroadcasts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'wch_get_audience_count',
+					nonce: wchBroadcasts.nonce,
+					criteria: JSON.stringify(criteria),
+				},
+				success: (response) => {
+					if (response.success) {
+						const count = response.data.count || 0;
+						this.campaignData.audience_size = count;
+						$('#wch-audience-count').text(count.toLocaleString());
+					} else {
+						$('#wch-audience-count').text('Error');
+					}
+				},
+				error: (xhr, status) => {
+					if (status !== 'abort') {
+						$('#wch-audience-count').text('Error');
+					}
+				},
+			});
+		},
+
+		loadAudienceBreakdown: function() {
+			const strings = wchBroadcasts.strings;
+			const $matched = $('#wch-breakdown-matched tbody');
+			const $excluded = $('#wch-breakdown-excluded tbody');
+			const row = (label, count, className) => $('<tr></tr>').addClass(className || '').append(
+				$('<td></td>').text(label),
+				$('<td class="wch-breakdown-count"></td>').text(count.toLocaleString())
+			);
+
+			if (!$matched.length) {
+				return;
+			}
+
+			if (this.breakdownRequest) {
+				this.breakdownRequest.abort();
+			}
+
+			$('#wch-audience-breakdown').addClass('is-loading');
+
+			this.breakdownRequest = $.ajax({
+				url: wchBroadcasts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'wch_get_audience_breakdown',
+					nonce: wchBroadcasts.nonce,
+					criteria: JSON.stringify(this.campaignData.audience),
+				},
+				success: (response) => {
+					$('#wch-audience-breakdown').removeClass('is-loading');
+
+					if (!response.success) {
+						return;
+					}
+
+					const breakdown = response.data;
+					const reasons = {
+						opted_out: strings.excludedOptedOut,
+						recent_broadcast: strings.excludedRecent,
+						frequency_cap: strings.excludedCapped,
+						manual: strings.excludedManual,
+					};
+
+					$matched.empty();
+					breakdown.matched.forEach((item) => $matched.append(row(item.label, Number(item.count))));
+					if (breakdown.matched.length > 2) {
+						$matched.append(row(strings.breakdownAll, Number(breakdown.audience), 'wch-breakdown-subtotal'));
+					}
+
+					$excluded.empty();
+					Object.keys(breakdown.excluded).forEach((reason) => {
+						const count = Number(breakdown.excluded[reason]);
+						$excluded.append(row(reasons[reason] || reason, count ? `−${count.toLocaleString()}` : '0'));
+					});
+					$excluded.append(row(strings.breakdownTotal, Number(breakdown.total), 'wch-breakdown-subtotal'));
+				},
+				error: (xhr, status) => {
+					if (status !== 'abort') {
+						$('#wch-audience-breakdown').removeClass('is-loading');
+					}
+				},
+			});
+		},
+
+		loadAudienceSample: function(page) {
+			const strings = wchBroadcasts.strings;
+			const $sample = $('#wch-audience-sample');
+			const $body = $sample.find('tbody');
+
+			if (!$sample.length) {
+				return;
+			}
+
+			if (this.sampleRequest) {
+				this.sampleRequest.abort();
+			}
+
+			$sample.addClass('is-loading');
+
+			this.sampleRequest = $.ajax({
+				url: wchBroadcasts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'wch_get_audience_sample',
+					nonce: wchBroadcasts.nonce,
+					criteria: JSON.stringify(this.campaignData.audience),
+					page: Math.max(1, page),
+				},
+				success: (response) => {
+					$sample.removeClass('is-loading');
+
+					if (!response.success) {
+						return;
+					}
+
+					const sample = response.data;
+					this.samplePage = sample.page;
+
+					$body.empty();
+					if (!sample.recipients.length) {
+						$body.append($('<tr></tr>').append($('<td colspan="3"></td>').text(strings.sampleEmpty)));
+					}
+
+					sample.recipients.forEach((recipient) => {
+						$body.append(
+							$('<tr></tr>').append(
+								$('<td></td>').text(recipient.phone),
+								$('<td></td>').text(recipient.name || '—'),
+								$('<td></td>').append(
+									$('<button type="button" class="button-link wch-sample-exclude"></button>')
+										.attr('data-phone', recipient.phone)
+										.text(strings.sampleExclude)
+								)
+							)
+						);
+					});
+
+					$sample.find('.wch-sample-page').text(strings.samplePage.replace('%1$s', sample.page).replace('%2$s', sample.pages));
+					$sample.find('[data-sample-page="prev"]').prop('disabled', sample.page <= 1);
+					$sample.find('[data-sample-page="next"]').prop('disabled', sample.page >= sample.pages);
+				},
+				error: (xhr, status) => {
+					if (status !== 'abort') {
+						$sample.removeClass('is-loading');
+					}
+				},
+			});
+		},
+
+		toggleExcludedPhone: function(phone, exclude) {
+			phone = String(phone);
+			this.excludedPhones = this.excludedPhones.filter((item) => item !== phone);
+
+			if (exclude) {
+				this.excludedPhones.push(phone);
+			}
+
+			this.renderExcludedPhones();
+			this.updateAudienceCount();
+		},
+
+		renderExcludedPhones: function() {
+			const $manual = $('#wch-audience-manual');
+			const $list = $manual.find('ul').empty();
+
+			this.excludedPhones.forEach((phone) => {
+				$list.append(
+					$('<li></li>').append(
+						$('<span></span>').text(phone),
+						' ',
+						$('<button type="button" class="button-link wch-sample-include"></button>')
+							.attr('data-phone', phone)
+							.text(wchBroadcasts.strings.sampleInclude)
+					)
+				);
+			});
+
+			$manual.toggle(this.excludedPhones.length > 0);
+		},
+
+		toggleScheduleDateTime: function(e) {
+			const timing = $(e.target).val();
+			if (timing === 'scheduled' || timing === 'local') {
+				$('.wch-schedule-datetime').slideDown();
+			} else {
+				$('.wch-schedule-datetime').slideUp();
+			}
+			$('.wch-schedule-timezone').toggle(timing !== 'local');
+			$('.wch-schedule-local-note').toggle(timing === 'local');
+		},
+
+		toggleRecurrenceFrequency: function() {
+			const frequency = $('select[name="recurrence_frequency"]').val();
+			$('.wch-recurrence-days').toggle(frequency === 'weekly');
+			$('.wch-recurrence-monthday').toggle(frequency === 'monthly');
+		},
+
+		nextStep: function() {
+			if (!this.validateCurrentStep()) {
+				return;
+			}
+
+			if (this.currentStep < this.totalSteps) {
+				this.collectWizardState();
+				this.currentStep++;
+				this.updateWizardUI();
+				this.renderCurrentStep();
+				this.saveDraft();
+			}
+		},
+
+		prevStep: function() {
+			if (this.currentStep > 1) {
+				this.collectWizardState();
+				this.currentStep--;
+				this.updateWizardUI();
+				this.saveDraft();
+			}
+		},
+
+		goToStep: function(stepNum) {
+			if (stepNum >= 1 && stepNum <= this.currentStep) {
+				this.collectWizardState();
+				this.currentStep = stepNum;
+				this.updateWizardUI();
+				this.saveDraft();
+			}
+		},
+
+		renderCurrentStep: function() {
+			if (this.currentStep === 3) {
+				this.renderPersonalizationStep();
+			} else if (this.currentStep === 5) {
+				this.renderReviewStep();
+			}
+		},
+
+		loadDraft: function(campaignId, templatesRequest) {
+			$.ajax({
+				url: wchBroadcasts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'wch_get_campaign',
+					nonce: wchBroadcasts.nonce,
+					campaign_id: campaignId,
+				},
+				success: (response) => {
+					if (response.success && response.data.campaign) {
+						// Templates must be rendered before the draft's template can be re-selected.
+						templatesRequest.always(() => this.restoreDraft(response.data.campaign));
+					} else {
+						alert(response.data.message || wchBroadcasts.strings.draftLoadFailed);
+						this.updateAudienceCount();
+					}
+				},
+				error: () => {
+					alert(wchBroadcasts.strings.draftLoadFailed);
+					this.updateAudienceCount();
+				},
+			});
+		},
+
+		restoreDraft: function(campaign) {
+			this.campaignData = $.extend(this.campaignData, {
+				id: parseInt(campaign.id, 10) || 0,
+				name: campaign.name || '',
+				audience: campaign.audience || {},
+				personalization: campaign.personalization || {},
+				schedule: campaign.schedule || {},
+				ab_test: $.extend(true, {}, this.campaignData.ab_test, campaign.ab_test || {}),
+				tracking: $.extend({}, this.campaignData.tracking, campaign.tracking || {}),
+				wizard_step: parseInt(campaign.wizard_step, 10) || 1,
+			});
+
+			$('input[name="campaign_name"]').val(this.campaignData.name);
+			this.restoreAudienceFields(this.campaignData.audience);
+			this.restoreScheduleFields(this.campaignData.schedule);
+
+			let step = this.campaignData.wizard_step;
+
+			// Re-select the template from the live list so its components are current.
+			const $template = $('.wch-template-item').filter(function() {
+				return $(this).data('template-name') === campaign.template_name;
+			});
+
+			if ($template.length) {
+				$template.trigger('click');
+			} else if (campaign.template_name) {
+				alert(wchBroadcasts.strings.templateMissing);
+				step = 1;
+			} else {
+				step = 1;
+			}
+
+			this.updateAudienceCount();
+
+			// Build each step the draft passed through so its fields hold the saved values.
+			for (let stepNum = 2; stepNum <= step; stepNum++) {
+				this.currentStep = stepNum;
+				this.renderCurrentStep();
+			}
+
+			this.currentStep = step;
+			this.updateWizardUI();
+		},
+
+		restoreAudienceFields: function(audience) {
+			const source = audience.source === 'csv' ? 'csv' : 'customers';
+			$(`input[name="audience_source"][value="${source}"]`).prop('checked', true);
+			this.toggleAudienceSource();
+
+			this.contactList = audience.contact_list && audience.contact_list.id ? audience.contact_list : null;
+			this.renderContactList([]);
+
+			['audience_cart_abandoners', 'exclude_recent_broadcast', 'exclude_frequency_capped'].forEach((field) => {
+				$(`input[name="${field}"]`).prop('checked', !!audience[field]);
+			});
+
+			if (audience.exclude_broadcast_days) {
+				$('input[name="exclude_broadcast_days"]').val(audience.exclude_broadcast_days);
+			}
+
+			this.excludedPhones = Array.isArray(audience.excluded_phones) ? audience.excluded_phones.map(String) : [];
+			this.renderExcludedPhones();
+
+			const segment = audience.segment && audience.segment.rules ? audience.segment : this.emptySegment();
+
+			// Campaigns saved before the segment builder carry flat criteria; show them as conditions.
+			if (!segment.rules.length) {
+				if (audience.audience_recent_orders && audience.recent_orders_days) {
+					segment.rules.push({ type: 'condition', field: 'last_order_date', operator: 'within_days', value: audience.recent_orders_days });
+				}
+				if (audience.audience_category && audience.category_id) {
+					segment.rules.push({ type: 'condition', field: 'purchased_category', operator: 'any', value: [audience.category_id] });
+				}
+			}
+
+			this.renderSegment(segment);
+			this.loadSegments(audience.segment_id);
+		},
+
+		restoreScheduleFields: function(schedule) {
+			const timing = ['scheduled', 'local'].includes(schedule.timing) ? schedule.timing : 'now';
+			$(`input[name="send_timing"][value="${timing}"]`).prop('checked', true);
+			$('.wch-schedule-datetime').toggle(timing !== 'now');
+			$('.wch-schedule-timezone').toggle(timing !== 'local');
+			$('.wch-schedule-local-note').toggle(timing === 'local');
+
+			if (schedule.date) {
+				$('input[name="schedule_date"]').val(schedule.date);
+			}
+			if (schedule.time) {
+				$('input[name="schedule_time"]').val(schedule.time);
+			}
+			if (schedule.timezone) {
+				$('select[name="schedule_timezone"]').val(schedule.timezone);
+			}
+
+			const quiet = schedule.quiet_hours || {};
+			$('input[name="quiet_hours_enabled"]').prop('checked', !!quiet.enabled);
+			$('.wch-quiet-hours').toggle(!!quiet.enabled);
+			if (quiet.start) {
+				$('input[name="quiet_start"]').val(quiet.start);
+			}
+			if (quiet.end) {
+				$('input[name="quiet_end"]').val(quiet.end);
+			}
+			$('input[name="rate_limit"]').val(schedule.rate_limit || '');
+
+			const recurrence = schedule.recurrence || {};
+			$('input[name="recurrence_enabled"]').prop('checked', !!recurrence.enabled);
+			$('.wch-recurrence-rule').toggle(!!recurrence.enabled);
+			if (recurrence.frequency) {
+				$('select[name="recurrence_frequency"]').val(recurrence.frequency);
+			}
+			$('input[name="recurrence_days[]"]').each((i, el) => {
+				$(el).prop('checked', (recurrence.days || []).includes(parseInt($(el).val(), 10)));
+			});
+			if (recurrence.day_of_month) {
+				$('input[name="recurrence_day_of_month"]').val(recurrence.day_of_month);
+			}
+			if (recurrence.end) {
+				$(`input[name="recurrence_end"][value="${recurrence.end}"]`).prop('checked', true);
+			}
+			if (recurrence.end_date) {
+				$('input[name="recurrence_end_date"]').val(recurrence.end_date);
+			}
+			if (recurrence.end_count) {
+				$('input[name="recurrence_end_count"]').val(recurrence.end_count);
+			}
+			this.toggleRecurrenceFrequency();
+		},
+
+		collectWizardState: function() {
+			const name = $('input[name="campaign_name"]').val();
+			if (name) {
+				this.campaignData.name = name;
+			}
+
+			// Only read the mapping once its inputs exist, so restored values survive.
+			if ($('#wch-variable-mapping select').length) {
+				this.campaignData.personalization = this.collectPersonalization();
+			}
+			if ($('#wch-ab-variants .wch-ab-variant').length) {
+				this.campaignData.ab_test = this.collectAbTest();
+			}
+			if ($('#wch-link-tracking').length && this.currentStep === 3) {
+				this.campaignData.tracking = this.collectTracking();
+			}
+
+			this.campaignData.schedule = this.collectSchedule();
+		},
+
+		collectPersonalization: function() {
+			return this.collectMapping($('#wch-variable-mapping'), this.campaignData.template_variables || [], 'var');
+		},
+
+		collectMapping: function($container, parameters, prefix) {
+			const personalization = {};
+			parameters.forEach((parameter) => {
+				const field = `${prefix}_${parameter.key}`;
+				const value = $container.find(`input[name="${field}_value"]`).val();
+
+				if (parameter.input === 'media') {
+					personalization[parameter.key] = { type: 'media', value: (value || '').trim() };
+					return;
+				}
+
+				const type = $container.find(`select[name="${field}_type"]`).val() || 'customer_name';
+				const fallback = ($container.find(`input[name="${field}_fallback"]`).val() || '').trim();
+
+				// Contact list columns are encoded in the type option as "csv:<column>".
+				if (type.indexOf('csv:') === 0) {
+					personalization[parameter.key] = { type: 'csv', value: type.slice(4), fallback };
+				} else {
+					personalization[parameter.key] = { type, value: this.getSourceInput(type) ? value : '', fallback };
+				}
+
+				if (type === 'unique_coupon') {
+					personalization[parameter.key].coupon = this.collectCouponSettings($container, field);
+				}
+			});
+			return personalization;
+		},
+
+		collectAbTest: function() {
+			const variants = [];
+
+			$('#wch-ab-variants .wch-ab-variant').each((index, element) => {
+				const $variant = $(element);
+				const share = parseInt($variant.find('.wch-ab-variant-share').val(), 10) || 0;
+
+				// Variant A is the campaign's own template and mapping.
+				if (index === 0) {
+					variants.push({ key: 'A', share });
+					return;
+				}
+
+				const templateName = $variant.find('.wch-ab-variant-template').val();
+				const template = this.findTemplate(templateName);
+
+				variants.push({
+					key: $variant.data('variant-key'),
+					template_name: templateName,
+					template_data: template || {},
+					personalization: this.collectMapping($variant, this.getTemplateVariables(template), `ab_${$variant.data('variant-key')}_var`),
+					share,
+				});
+			});
+
+			return {
+				enabled: $('input[name="ab_test_enabled"]').is(':checked'),
+				variants,
+				winner: {
+					enabled: $('input[name="ab_winner_enabled"]').is(':checked'),
+					metric: $('select[name="ab_winner_metric"]').val(),
+					wait_hours: parseInt($('input[name="ab_wait_hours"]').val(), 10) || 4,
+				},
+			};
+		},
+
+		collectSchedule: function() {
+			const timing = $('input[name="send_timing"]:checked').val();
+			const limits = {
+				quiet_hours: {
+					enabled: $('input[name="quiet_hours_enabled"]').is(':checked'),
+					start: $('input[name="quiet_start"]').val(),
+					end: $('input[name="quiet_end"]').val(),
+				},
+				rate_limit: parseInt($('input[name="rate_limit"]').val(), 10) || 0,
+			};
+
+			if (timing !== 'scheduled' && timing !== 'local') {
+				return { timing: 'now', ...limits };
+			}
+
+			const date = $('input[name="schedule_date"]').val();
+			const time = $('input[name="schedule_time"]').val();
+
+			return {
+				timing: timing,
+				date: date,
+				time: time,
+				datetime: `${date} ${time}`,
+				timezone: $('select[name="schedule_timezone"]').val(),
+				recurrence: this.collectRecurrence(),
+				...limits,
+			};
+		},
+
+		collectRecurrence: function() {
+			return {
+				enabled: $('input[name="recurrence_enabled"]').is(':checked'),
+				frequency: $('select[name="recurrence_frequency"]').val(),
+				days: $('input[name="recurrence_days[]"]:checked').map((i, el) => parseInt($(el).val(), 10)).get(),
+				day_of_month: parseInt($('input[name="recurrence_day_of_month"]').val(), 10) || 1,
+				end: $('input[name="recurrence_end"]:checked').val() || 'never',
+				end_date: $('input[name="recurrence_end_date"]').val(),
+				end_count: parseInt($('input[name="recurrence_end_count"]').val(), 10) || 0,
+			};
+		},
+
+		validateRecurrence: function() {
+			const recurrence = this.collectRecurrence();
+			const strings = wchBroadcasts.strings;
+
+			if (!recurrence.enabled) {
+				return true;
+			}
+			if (recurrence.frequency === 'weekly' && recurrence.days.length === 0) {
+				alert(strings.recurrenceDays);
+				return false;
+			}
+			if (recurrence.end === 'date' && (!recurrence.end_date || recurrence.end_date < $('input[name="schedule_date"]').val())) {
+				alert(strings.recurrenceEnd);
+				return false;
+			}
+			if (recurrence.end === 'count' && recurrence.end_count < 1) {
+				alert(strings.recurrenceCount);
+				return false;
+			}
+			return true;
+		},
+
+		saveDraft: function() {
+			if (!$('.wch-campaign-wizard').length) {
+				return $.Deferred().resolve().promise();
+			}
+
+			this.campaignData.wizard_step = this.currentStep;
+
+			// Serialize saves so the first one assigns the ID that later ones reuse.
+			const save = () => $.ajax({
+				url: wchBroadcasts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'wch_save_campaign',
+					nonce: wchBroadcasts.nonce,
+					campaign: JSON.stringify(this.campaignData),
+				},
+				beforeSend: () => {
+					$('#wch-draft-status').text(wchBroadcasts.strings.draftSaving);
+				},
+			}).then((response) => {
+				if (!response.success || !response.data.campaign) {
+					$('#wch-draft-status').text(wchBroadcasts.strings.draftSaveFailed);
+					return $.Deferred().reject(response.data && response.data.message).promise();
+				}
+
+				this.setCampaignId(parseInt(response.data.campaign.id, 10));
+				$('#wch-draft-status').text(
+					wchBroadcasts.strings.draftSaved.replace('%s', new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }))
+				);
+				return response.data.campaign;
+			}, () => {
+				$('#wch-draft-status').text(wchBroadcasts.strings.draftSaveFailed);
+				return $.Deferred().reject().promise();
+			});
+
+			const previous = this.draftRequest || $.Deferred().resolve().promise();
+			this.draftRequest = previous.then(save, save);
+
+			return this.draftRequest;
+		},
+
+		setCampaignId: function(campaignId) {
+			if (!campaignId || campaignId === this.campaignData.id) {
+				return;
+			}
+
+			this.campaignData.id = campaignId;
+			$('.wch-campaign-wizard').attr('data-campaign-id', campaignId);
+
+			// Point the URL at the draft so a reload resumes it.
+			if (window.history && window.history.replaceState) {
+				const url = new URL(window.location.href);
+				url.searchParams.set('action', 'edit');
+				url.searchParams.set('campaign_id', campaignId);
+				window.history.replaceState(null, '', url.toString());
+			}
+		},
+
+		updateWizardUI: function() {
+			// Update step indicators
+			$('.wch-step').removeClass('active').each(function(index) {
+				const stepNum = index + 1;
+				if (stepNum < BroadcastsAdmin.currentStep) {
+					$(this).addClass('completed');
+				} else if (stepNum === BroadcastsAdmin.currentStep) {
+					$(this).addClass('active');
+				} else {
+					$(this).removeClass('completed');
+				}
+			});
+
+			// Show/hide panels
+			$('.wch-wizard-panel').hide();
+			$(`.wch-wizard-panel[data-panel="${this.currentStep}"]`).show();
+
+			// Update navigation buttons
+			if (this.currentStep === 1) {
+				$('#wch-wizard-prev').hide();
+			} else {
+				$('#wch-wizard-prev').show();
+			}
+
+			if (this.currentStep === this.totalSteps) {
+				$('#wch-wizard-next').hide();
+			} else {
+				$('#wch-wizard-next').show();
+			}
+
+			// Scroll to top
+			$('.wch-campaign-wizard').get(0).scrollIntoView({ behavior: 'smooth' });
+		},
+
+		validateCurrentStep: function() {
+			switch (this.currentStep) {
+				case 1:
+					if (!this.campaignData.template_name) {
+						alert('Please select a template');
+						return false;
+					}
+					if (this.campaignData.template_data.status !== 'APPROVED') {
+						alert('Selected template is not approved');
+						return false;
+					}
+					break;
+				case 2:
+					if (this.getAudienceSource() === 'csv' && !this.contactList) {
+						alert(wchBroadcasts.strings.contactRequired);
+						return false;
+					}
+					if (this.campaignData.audience_size === 0) {
+						alert('No recipients match the selected criteria');
+						return false;
+					}
+					break;
+				case 3:
+					if (!this.validateMediaParameters() || !this.validateCouponParameters()) {
+						return false;
+					}
+					if (!this.validateAbTest()) {
+						return false;
+					}
+					break;
+				case 4:
+					// Schedule validation
+					const timing = $('input[name="send_timing"]:checked').val();
+					if (timing === 'scheduled' || timing === 'local') {
+						const date = $('input[name="schedule_date"]').val();
+						const time = $('input[name="schedule_time"]').val();
+						if (!date || !time) {
+							alert('Please select date and time for scheduled send');
+							return false;
+						}
+						if (!this.validateRecurrence()) {
+							return false;
+						}
+					}
+					if ($('input[name="quiet_hours_enabled"]').is(':checked') && $('input[name="quiet_start"]').val() === $('input[name="quiet_end"]').val()) {
+						alert(wchBroadcasts.strings.quietInvalid);
+						return false;
+					}
+					break;
+			}
+			return true;
+		},
+
+		renderPersonalizationStep: function() {
+			const $mapping = $('#wch-variable-mapping');
+			$mapping.empty();
+
+			const parameters = this.campaignData.template_variables || [];
+
+			if (parameters.length === 0) {
+				$mapping.html('<p class="wch-placeholder">This template has no variables to personalize</p>');
+			} else {
+				parameters.forEach((parameter) => {
+					$mapping.append(this.buildVariableRow(parameter, this.findMapping(this.campaignData.personalization, parameter), 'var'));
+				});
+
+				this.updatePersonalizationPreview();
+			}
+
+			this.renderLinkTracking();
+			this.renderAbTest();
+		},
+
+		renderLinkTracking: function() {
+			const tracking = this.campaignData.tracking;
+			const hasLinks = (this.campaignData.template_variables || []).some((parameter) => parameter.input === 'url_suffix');
+
+			$('input[name="utm_enabled"]').prop('checked', !!tracking.utm_enabled);
+			$('.wch-utm-settings').toggle(!!tracking.utm_enabled);
+			['utm_source', 'utm_medium', 'utm_campaign'].forEach((field) => {
+				$(`input[name="${field}"]`).val(tracking[field] || '');
+			});
+			$('input[name="track_clicks"]').prop('checked', !!tracking.track_clicks);
+			$('#wch-link-tracking-note').toggle(!hasLinks);
+		},
+
+		collectTracking: function() {
+			return {
+				utm_enabled: $('input[name="utm_enabled"]').is(':checked'),
+				utm_source: ($('input[name="utm_source"]').val() || '').trim(),
+				utm_medium: ($('input[name="utm_medium"]').val() || '').trim(),
+				utm_campaign: ($('input[name="utm_campaign"]').val() || '').trim(),
+				track_clicks: $('input[name="track_clicks"]').is(':checked'),
+			};
+		},
+
+		buildVariableRow: function(parameter, saved, prefix) {
+			const field = `${prefix}_${parameter.key}`;
+
+			if (parameter.input === 'media') {
+				const $mediaRow = $(`
+					<div class="wch-variable-row">
+						<div class="wch-variable-label"></div>
+						<div class="wch-variable-input wch-variable-media">
+							<input type="url" name="${field}_value">
+							<button type="button" class="button wch-media-select" data-format="${parameter.format}"></button>
+						</div>
+					</div>
+				`);
+
+				$mediaRow.find('.wch-variable-label').text(this.getParameterLabel(parameter));
+				$mediaRow.find('input').attr('placeholder', wchBroadcasts.strings.mediaPlaceholder).val(saved ? saved.value : '');
+				$mediaRow.find('button').text(wchBroadcasts.strings.selectMedia);
+
+				return $mediaRow;
+			}
+
+			const $row = $(`
+				<div class="wch-variable-row">
+					<div class="wch-variable-label"></div>
+					<div class="wch-variable-input">
+						<select name="${field}_type"></select>
+						<input type="text" name="${field}_value" style="margin-top: 8px; display: none;">
+						<input type="text" name="${field}_fallback" class="wch-variable-fallback">
+					</div>
+				</div>
+			`);
+
+			$row.find('.wch-variable-input').append(this.buildCouponSettings(field, saved && saved.coupon ? saved.coupon : {}));
+
+			$row.find('.wch-variable-label').text(this.getParameterLabel(parameter));
+			$row.find('.wch-variable-fallback').attr('placeholder', wchBroadcasts.strings.fallbackValue);
+
+			// Show the fixed part of the link so it is clear the value is appended to it.
+			if (parameter.input === 'url_suffix') {
+				$row.find('.wch-variable-input').prepend(
+					$('<code class="wch-variable-url"></code>').text(parameter.url.replace(/\{\{\s*\w+\s*\}\}.*$/, ''))
+				);
+			}
+
+			const $select = $row.find('select');
+			(wchBroadcasts.variableSources || []).forEach((group) => {
+				const $group = $('<optgroup>', { label: group.label });
+				Object.keys(group.options).forEach((type) => {
+					$group.append($('<option>', { value: type, text: group.options[type].label }));
+				});
+				$select.append($group);
+			});
+
+			const columns = this.getContactColumns();
+			if (columns.length) {
+				const $group = $('<optgroup>', { label: wchBroadcasts.strings.csvColumns });
+				columns.forEach((column) => {
+					$group.append($('<option>', { value: `csv:${column}`, text: column }));
+				});
+				$select.append($group);
+			}
+
+			if (saved) {
+				$select.val(saved.type === 'csv' ? `csv:${saved.value}` : (saved.type || 'customer_name'));
+				if (!$select.val()) {
+					$select.val('customer_name');
+				}
+				if (saved.type !== 'csv') {
+					$row.find(`input[name="${field}_value"]`).val(saved.value || '');
+				}
+				$row.find('.wch-variable-fallback').val(saved.fallback || '');
+			}
+
+			const placeholders = {
+				meta_key: wchBroadcasts.strings.metaKey,
+				coupon: wchBroadcasts.strings.couponPrefix,
+			};
+
+			$select.on('change', () => {
+				const input = this.getSourceInput($select.val());
+				const $input = $row.find(`input[name="${field}_value"]`);
+
+				$input.attr('placeholder', placeholders[input] || wchBroadcasts.strings.enterValue).toggle(!!input);
+				$row.find('.wch-coupon-settings').toggle(input === 'coupon');
+				// Fixed values and coupons never go missing, so they need no fallback.
+				$row.find('.wch-variable-fallback').toggle(input !== 'text' && input !== 'coupon');
+			});
+			$select.trigger('change');
+
+			return $row;
+		},
+
+		buildCouponSettings: function(field, coupon) {
+			const strings = wchBroadcasts.strings;
+			const $settings = $(`
+				<div class="wch-coupon-settings" style="display: none;">
+					<label><span></span>
+						<select name="${field}_coupon_discount_type">
+							<option value="percent"></option>
+							<option value="fixed_cart"></option>
+						</select>
+					</label>
+					<label><span></span><input type="number" name="${field}_coupon_amount" min="0" step="0.01"></label>
+					<label><span></span><input type="number" name="${field}_coupon_expiry_days" min="0" max="365" step="1"></label>
+					<label><span></span><input type="number" name="${field}_coupon_minimum_amount" min="0" step="0.01"></label>
+					<label><input type="checkbox" name="${field}_coupon_exclude_sale_items"> <span></span></label>
+					<label><input type="checkbox" name="${field}_coupon_restrict_email"> <span></span></label>
+				</div>
+			`);
+			const $labels = $settings.find('label > span');
+
+			[strings.couponType, strings.couponAmount, strings.couponExpiry, strings.couponMinimum, strings.couponExcludeSale, strings.couponRestrict]
+				.forEach((text, index) => $labels.eq(index).text(text));
+			$settings.find('option[value="percent"]').text(strings.couponPercent);
+			$settings.find('option[value="fixed_cart"]').text(strings.couponFixed);
+
+			$settings.find('select').val(coupon.discount_type || 'percent');
+			$settings.find(`input[name="${field}_coupon_amount"]`).val(coupon.amount || '');
+			$settings.find(`input[name="${field}_coupon_expiry_days"]`).val(coupon.expiry_days !== undefined ? coupon.expiry_days : 7);
+			$settings.find(`input[name="${field}_coupon_minimum_amount"]`).val(coupon.minimum_amount || '');
+			$settings.find(`input[name="${field}_coupon_exclude_sale_items"]`).prop('checked', !!coupon.exclude_sale_items);
+			$settings.find(`input[name="${field}_coupon_restrict_email"]`).prop('checked', !!coupon.restrict_email);
+
+			return $settings;
+		},
+
+		collectCouponSettings: function($container, field) {
+			const number = (name) => parseFloat($container.find(`input[name="${field}_coupon_${name}"]`).val()) || 0;
+
+			return {
+				discount_type: $container.find(`select[name="${field}_coupon_discount_type"]`).val() || 'percent',
+				amount: number('amount'),
+				expiry_days: Math.round(number('expiry_days')),
+				minimum_amount: number('minimum_amount'),
+				exclude_sale_items: $container.find(`input[name="${field}_coupon_exclude_sale_items"]`).is(':checked'),
+				restrict_email: $container.find(`input[name="${field}_coupon_restrict_email"]`).is(':checked'),
+			};
+		},
+
+		getCouponSample: function(prefix) {
+			// Mirrors BroadcastCouponIssuer::getSampleCode(); real codes are created at send time.
+			const clean = (prefix || '').replace(/[^A-Za-z0-9]/g, '').toUpperCase().slice(0, 10);
+			return `${clean || 'WCH'}XXXXXXXX`;
+		},
+
+		countCoupons: function(personalization) {
+			return Object.values(personalization || {}).filter((mapping) => mapping && mapping.type === 'unique_coupon').length;
+		},
+
+		getSourceDefinition: function(type) {
+			const group = (wchBroadcasts.variableSources || []).find((item) => item.options[type]);
+			return group ? group.options[type] : null;
+		},
+
+		getSourceInput: function(type) {
+			const source = this.getSourceDefinition(type);
+			return source && source.input ? source.input : '';
+		},
+
+		renderAbTest: function() {
+			const abTest = this.campaignData.ab_test;
+
+			$('input[name="ab_test_enabled"]').prop('checked', !!abTest.enabled);
+			$('input[name="ab_winner_enabled"]').prop('checked', !!abTest.winner.enabled);
+			$('select[name="ab_winner_metric"]').val(abTest.winner.metric || 'read_rate');
+			$('input[name="ab_wait_hours"]').val(abTest.winner.wait_hours || 4);
+			$('.wch-ab-winner-settings').toggle(!!abTest.winner.enabled);
+			$('.wch-ab-test-settings').toggle(!!abTest.enabled);
+
+			$('#wch-ab-variants').empty();
+			(abTest.variants || []).forEach((variant) => this.appendAbVariant(variant));
+			this.updateAbShareSummary();
+		},
+
+		toggleAbTest: function(enabled) {
+			// Start with an even split against a copy of the campaign template.
+			if (enabled && !$('#wch-ab-variants .wch-ab-variant').length) {
+				this.appendAbVariant({ key: 'A', share: 50 });
+				this.appendAbVariant({
+					key: 'B',
+					template_name: this.campaignData.template_name,
+					personalization: this.collectPersonalization(),
+					share: 50,
+				});
+			}
+
+			$('.wch-ab-test-settings').toggle(enabled);
+			this.updateAbShareSummary();
+		},
+
+		addAbVariant: function() {
+			const count = $('#wch-ab-variants .wch-ab-variant').length;
+			if (count >= wchBroadcasts.maxVariants) {
+				return;
+			}
+
+			this.appendAbVariant({
+				key: String.fromCharCode(65 + count),
+				template_name: this.campaignData.template_name,
+				share: 0,
+			});
+			this.updateAbShareSummary();
+		},
+
+		removeAbVariant: function(e) {
+			$(e.currentTarget).closest('.wch-ab-variant').remove();
+
+			// Keep keys contiguous (A, B, C...) after a removal.
+			$('#wch-ab-variants .wch-ab-variant').each((index, element) => {
+				const key = String.fromCharCode(65 + index);
+				const $variant = $(element);
+				const oldKey = $variant.data('variant-key');
+
+				$variant.attr('data-variant-key', key).data('variant-key', key);
+				$variant.find('.wch-ab-variant-key').text(key);
+				$variant.find('[name^="ab_"]').each(function() {
+					$(this).attr('name', $(this).attr('name').replace(`ab_${oldKey}_`, `ab_${key}_`));
+				});
+			});
+
+			this.updateAbShareSummary();
+		},
+
+		appendAbVariant: function(variant) {
+			const key = variant.key;
+			const isControl = key === 'A';
+			const options = this.templates
+				.filter((template) => template.status === 'APPROVED')
+				.map((template) => `<option value="${template.name}">${template.name}</option>`)
+				.join('');
+
+			const $variant = $(`
+				<div class="wch-ab-variant" data-variant-key="${key}">
+					<div class="wch-ab-variant-header">
+						<strong>Variant <span class="wch-ab-variant-key">${key}</span></strong>
+						<label>
+							<input type="number" class="wch-ab-variant-share" min="0" max="100" value="${parseInt(variant.share, 10) || 0}" style="width: 70px;">
+							% of audience
+						</label>
+						${isControl ? '' : '<button type="button" class="button-link wch-ab-remove-variant">Remove</button>'}
+					</div>
+					${isControl
+						? '<p class="description">Uses the template and variables above.</p>'
+						: `<select class="wch-ab-variant-template">${options}</select><div class="wch-ab-variant-mapping"></div>`}
+				</div>
+			`);
+
+			$('#wch-ab-variants').append($variant);
+
+			if (!isControl) {
+				$variant.find('.wch-ab-variant-template').val(variant.template_name || this.campaignData.template_name);
+				this.renderAbVariantMapping($variant, variant.personalization || {});
+			}
+		},
+
+		renderAbVariantMapping: function($variant, saved) {
+			const $mapping = $variant.find('.wch-ab-variant-mapping').empty();
+			const template = this.findTemplate($variant.find('.wch-ab-variant-template').val());
+			const parameters = this.getTemplateVariables(template);
+
+			parameters.forEach((parameter) => {
+				$mapping.append(this.buildVariableRow(parameter, this.findMapping(saved, parameter), `ab_${$variant.data('variant-key')}_var`));
+			});
+		},
+
+		updateAbShareSummary: function() {
+			let total = 0;
+			$('#wch-ab-variants .wch-ab-variant-share').each(function() {
+				total += parseInt($(this).val(), 10) || 0;
+			});
+
+			$('#wch-ab-add-variant').prop('disabled', $('#wch-ab-variants .wch-ab-variant').length >= wchBroadcasts.maxVariants);
+
+			if ($('input[name="ab_winner_enabled"]').is(':checked')) {
+				$('#wch-ab-share-summary').text(wchBroadcasts.strings.abShareWithWinner.replace('%1$s', `${total}%`).replace('%2$s', `${100 - total}%`));
+			} else {
+				$('#wch-ab-share-summary').text(wchBroadcasts.strings.abShareTotal.replace('%s', `${total}%`));
+			}
+		},
+
+		validateCouponParameters: function() {
+			const $missing = $('#wch-variable-mapping, #wch-ab-variants')
+				.find('.wch-coupon-settings:visible input[name$="_coupon_amount"]')
+				.filter(function() {
+					return !(parseFloat($(this).val()) > 0);
+				});
+
+			if ($missing.length) {
+				alert(wchBroadcasts.strings.couponRequired);
+				$missing.first().trigger('focus');
+				return false;
+			}
+
+			return true;
+		},
+
+		validateMediaParameters: function() {
+			const $missing = $('#wch-variable-mapping, #wch-ab-variants')
+				.find('.wch-variable-media input:visible')
+				.filter(function() {
+					return !$(this).val().trim();
+				});
+
+			if ($missing.length) {
+				alert(wchBroadcasts.strings.mediaRequired);
+				$missing.first().trigger('focus');
+				return false;
+			}
+
+			return true;
+		},
+
+		selectMedia: function(e) {
+			const $button = $(e.currentTarget);
+			const format = $button.data('format');
+			const frame = wp.media({
+				title: wchBroadcasts.strings.selectMedia,
+				multiple: false,
+				library: format === 'document' ? {} : { type: format },
+			});
+
+			frame.on('select', () => {
+				const attachment = frame.state().get('selection').first().toJSON();
+				$button.siblings('input').val(attachment.url).trigger('change');
+			});
+
+			frame.open();
+		},
+
+		validateAbTest: function() {
+			if (!$('input[name="ab_test_enabled"]').is(':checked')) {
+				return true;
+			}
+
+			const abTest = this.collectAbTest();
+
+			if (abTest.variants.length < 2) {
+				alert(wchBroadcasts.strings.abNeedsVariants);
+				return false;
+			}
+
+			const unapproved = abTest.variants.slice(1).find((variant) => !variant.template_data || variant.template_data.status !== 'APPROVED');
+			if (unapproved) {
+				alert(wchBroadcasts.strings.abTemplateRequired.replace('%s', unapproved.key));
+				return false;
+			}
+
+			const total = abTest.variants.reduce((sum, variant) => sum + variant.share, 0);
+			if (abTest.winner.enabled && (total < 1 || total > 99)) {
+				alert(wchBroadcasts.strings.abShareHoldout);
+				return false;
+			}
+			if (!abTest.winner.enabled && total !== 100) {
+				alert(wchBroadcasts.strings.abShareInvalid);
+				return false;
+			}
+
+			return true;
+		},
+
+		updatePersonalizationPreview: function() {
+			const $preview = $('#wch-personalization-preview');
+			$preview.empty();
+
+			// Dynamic sources show their fallback, or the source name until real recipients are loaded.
+			const parameters = this.campaignData.template_variables || [];
+			const resolve = (name, componentType) => {
+				const parameter = parameters.find((item) => item.key === `${componentType.toLowerCase()}_${name}`);
+				if (!parameter) {
+					return null;
+				}
+
+				const field = `var_${parameter.key}`;
+				const customValue = $(`input[name="${field}_value"]`).val();
+				if (parameter.input === 'media') {
+					return customValue || null;
+				}
+
+				const type = $(`select[name="${field}_type"]`).val() || '';
+				const fallback = $(`input[name="${field}_fallback"]`).val();
+				const column = type.indexOf('csv:') === 0 ? type.slice(4) : null;
+
+				if (column !== null) {
+					return this.contactSample[column] || fallback || `[${column}]`;
+				}
+				if (type === 'unique_coupon') {
+					return this.getCouponSample(customValue);
+				}
+
+				return this.getSourceInput(type) === 'text'
+					? (customValue || `[${this.getSourceLabel(type)}]`)
+					: (fallback || `[${this.getSourceLabel(type)}]`);
+			};
+
+			$preview.html(WCHTemplatePreview.render(this.campaignData.template_data, { resolve }));
+		},
+
+		renderReviewStep: function() {
+			// Update campaign name
+			const campaignName = this.campaignData.name || `Campaign ${new Date().toLocaleDateString()}`;
+			$('input[name="campaign_name"]').val(campaignName);
+
+			// Update review summary
+			$('#review-template').text(this.campaignData.template_name);
+			$('#review-audience').text(`${this.campaignData.audience_size.toLocaleString()} recipients`);
+
+			this.campaignData.schedule = this.collectSchedule();
+			const schedule = this.campaignData.schedule;
+			if (schedule.timing === 'scheduled') {
+				$('#review-schedule').text(`Scheduled: ${schedule.datetime} (${schedule.timezone})`);
+			} else if (schedule.timing === 'local') {
+				$('#review-schedule').text(wchBroadcasts.strings.localSchedule.replace('%s', schedule.datetime));
+			} else {
+				$('#review-schedule').text('Send immediately');
+			}
+			this.loadDeliveryWindow();
+			this.loadRecurrencePreview();
+
+			// Collect personalization data
+			this.campaignData.personalization = this.collectPersonalization();
+			this.renderReviewCoupons();
+
+			// Update message preview
+			this.renderReviewPreview();
+			this.loadCostEstimate();
+		},
+
+		loadDeliveryWindow: function() {
+			const $window = $('#review-delivery').text(wchBroadcasts.strings.deliveryLoading);
+
+			if (this.deliveryRequest) {
+				this.deliveryRequest.abort();
+			}
+
+			this.deliveryRequest = $.ajax({
+				url: wchBroadcasts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'wch_get_delivery_window',
+					nonce: wchBroadcasts.nonce,
+					campaign: JSON.stringify(this.campaignData),
+				},
+				success: (response) => {
+					if (!response.success) {
+						$window.text(response.data.message || wchBroadcasts.strings.errorOccurred);
+						return;
+					}
+
+					const plan = response.data;
+					const strings = wchBroadcasts.strings;
+					const lines = [
+						plan.start === plan.end
+							? strings.deliveryAt.replace('%1$s', plan.start_label).replace('%2$s', plan.site_zone)
+							: strings.deliveryWindow.replace('%1$s', plan.start_label).replace('%2$s', plan.end_label).replace('%3$s', plan.site_zone),
+					];
+
+					if (plan.timezones > 1) {
+						lines.push(strings.deliveryZones.replace('%s', plan.timezones.toLocaleString()));
+					}
+					if (plan.deferred > 0) {
+						lines.push(strings.deliveryDeferred.replace('%s', plan.deferred.toLocaleString()));
+					}
+
+					$window.empty();
+					lines.forEach((line) => $window.append($('<div>').text(line)));
+				},
+				error: (xhr, status) => {
+					if (status !== 'abort') {
+						$window.text(wchBroadcasts.strings.errorOccurred);
+					}
+				},
+			});
+		},
+
+		loadRecurrencePreview: function() {
+			const schedule = this.campaignData.schedule || {};
+			const $row = $('#review-recurrence-row');
+			const $runs = $('#review-recurrence');
+
+			if (this.recurrenceRequest) {
+				this.recurrenceRequest.abort();
+			}
+
+			if (schedule.timing === 'now' || !(schedule.recurrence && schedule.recurrence.enabled)) {
+				$row.hide();
+				return;
+			}
+
+			$row.show();
+			$runs.text(wchBroadcasts.strings.recurrenceLoading);
+
+			this.recurrenceRequest = $.ajax({
+				url: wchBroadcasts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'wch_preview_recurrence',
+					nonce: wchBroadcasts.nonce,
+					schedule: JSON.stringify(schedule),
+				},
+				success: (response) => {
+					if (!response.success) {
+						$runs.text(response.data.message || wchBroadcasts.strings.errorOccurred);
+						return;
+					}
+
+					if (response.data.runs.length === 0) {
+						$runs.text(wchBroadcasts.strings.recurrenceNone);
+						return;
+					}
+
+					const $list = $('<ol>');
+					response.data.runs.forEach((run) => $list.append($('<li>').text(run.label)));
+					$runs.empty().append(
+						$list,
+						$('<span class="description">').text(wchBroadcasts.strings.recurrenceZone.replace('%s', response.data.timezone))
+					);
+				},
+				error: (xhr, status) => {
+					if (status !== 'abort') {
+						$runs.text(wchBroadcasts.strings.errorOccurred);
+					}
+				},
+			});
+		},
+
+		loadCostEstimate: function() {
+			this.costEstimate = null;
+			$('#review-cost').text(wchBroadcasts.strings.costLoading);
+			$('#review-cost-breakdown').hide();
+			$('#review-cost-warning').hide();
+			this.renderReviewVariants();
+
+			if (this.costRequest) {
+				this.costRequest.abort();
+			}
+
+			this.costRequest = $.ajax({
+				url: wchBroadcasts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'wch_get_cost_estimate',
+					nonce: wchBroadcasts.nonce,
+					criteria: JSON.stringify(this.campaignData.audience),
+				},
+				success: (response) => {
+					if (response.success) {
+						this.costEstimate = response.data;
+						this.renderCostBreakdown();
+						this.renderReviewVariants();
+					} else {
+						$('#review-cost').text(response.data.message || wchBroadcasts.strings.errorOccurred);
+					}
+				},
+				error: (xhr, status) => {
+					if (status !== 'abort') {
+						$('#review-cost').text(wchBroadcasts.strings.errorOccurred);
+					}
+				},
+			});
+		},
+
+		renderCostBreakdown: function() {
+			const estimate = this.costEstimate;
+			const category = this.getTemplateCategory(this.campaignData.template_data);
+			const $rows = $('#review-cost-rows').empty();
+			let total = 0;
+
+			estimate.rows.forEach((row) => {
+				const rate = row.rates[category] || 0;
+				const cost = row.recipients * rate;
+				total += cost;
+
+				const $row = $('<tr><td></td><td></td><td></td><td></td></tr>');
+				$row.children().eq(0).text(row.label);
+				$row.children().eq(1).text(row.recipients.toLocaleString());
+				$row.children().eq(2).text(this.formatMoney(rate, 4));
+				$row.children().eq(3).text(this.formatMoney(cost));
+				$rows.append($row);
+			});
+
+			$('#review-cost-category').text(wchBroadcasts.strings.costCategory.replace('%s', category));
+			$('#review-cost-total').text(this.formatMoney(total));
+			$('#review-cost-breakdown').toggle(estimate.rows.length > 0);
+
+			// A/B tests price each variant by its own template category.
+			if (this.campaignData.ab_test.enabled) {
+				total = this.getVariantsCost();
+			}
+
+			$('#review-cost').text(this.formatMoney(total));
+
+			if (estimate.budget > 0 && total > estimate.budget) {
+				$('#review-cost-warning').show().find('p')
+					.text(wchBroadcasts.strings.costOverBudget.replace('%1$s', this.formatMoney(total)).replace('%2$s', this.formatMoney(estimate.budget)));
+			}
+		},
+
+		renderReviewCoupons: function() {
+			const abTest = this.campaignData.ab_test;
+			const audience = this.campaignData.audience_size;
+			let coupons = this.countCoupons(this.campaignData.personalization) * audience;
+
+			if (abTest.enabled) {
+				const counts = abTest.variants.map((variant, index) => this.countCoupons(index === 0 ? this.campaignData.personalization : variant.personalization));
+				let assigned = 0;
+
+				coupons = 0;
+				abTest.variants.forEach((variant, index) => {
+					const recipients = Math.floor(audience * variant.share / 100);
+					assigned += recipients;
+					coupons += recipients * counts[index];
+				});
+
+				// The winner is not known yet, so count the variant that creates the most.
+				if (abTest.winner.enabled) {
+					coupons += Math.max(0, audience - assigned) * Math.max(...counts);
+				}
+			}
+
+			$('#review-coupons').text(wchBroadcasts.strings.couponSummary.replace('%s', coupons.toLocaleString()));
+			$('#review-coupons-row').toggle(coupons > 0);
+		},
+
+		getTemplateCategory: function(template) {
+			const category = String((template && template.category) || '').toLowerCase();
+
+			return ['marketing', 'utility', 'authentication'].includes(category) ? category : 'marketing';
+		},
+
+		estimateCost: function(recipients, template) {
+			if (!this.costEstimate) {
+				return null;
+			}
+
+			return recipients * (this.costEstimate.per_recipient[this.getTemplateCategory(template)] || 0);
+		},
+
+		getVariantsCost: function() {
+			const abTest = this.campaignData.ab_test;
+			const audience = this.campaignData.audience_size;
+			const templates = abTest.variants.map((variant, index) => (index === 0 ? this.campaignData.template_data : variant.template_data));
+			let assigned = 0;
+			let total = 0;
+
+			abTest.variants.forEach((variant, index) => {
+				const recipients = Math.floor(audience * variant.share / 100);
+				assigned += recipients;
+				total += this.estimateCost(recipients, templates[index]);
+			});
+
+			// The winner is not known yet, so price the most expensive variant.
+			if (abTest.winner.enabled) {
+				const holdout = Math.max(0, audience - assigned);
+				total += Math.max(...templates.map((template) => this.estimateCost(holdout, template)));
+			}
+
+			return total;
+		},
+
+		formatCost: function(cost) {
+			return cost === null ? '-' : this.formatMoney(cost);
+		},
+
+		formatMoney: function(amount, decimals) {
+			const currency = wchBroadcasts.currency;
+			const places = decimals === undefined ? currency.decimals : Math.max(decimals, currency.decimals);
+			const parts = Math.abs(amount).toFixed(places).split('.');
+
+			parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, currency.thousandSep);
+
+			const number = (amount < 0 ? '-' : '') + parts.join(currency.decimalSep);
+			const formats = {
+				left: `${currency.symbol}${number}`,
+				right: `${number}${currency.symbol}`,
+				left_space: `${currency.symbol} ${number}`,
+				right_space: `${number} ${currency.symbol}`,
+			};
+
+			return formats[currency.position] || formats.left;
+		},
+
+		renderReviewVariants: function() {
+			const abTest = this.campaignData.ab_test;
+			const $section = $('#review-variants-section');
+			const $rows = $('#review-variants').empty();
+
+			if (!abTest.enabled) {
+				$section.hide();
+				return;
+			}
+
+			const audience = this.campaignData.audience_size;
+			let assigned = 0;
+
+			abTest.variants.forEach((variant, index) => {
+				const isControl = index === 0;
+				const template = isControl ? this.campaignData.template_data : variant.template_data;
+				const personalization = isControl ? this.campaignData.personalization : variant.personalization;
+				const recipients = Math.floor(audience * variant.share / 100);
+				assigned += recipients;
+
+				const $row = $(`
+					<tr>
+						<th>Variant ${variant.key}</th>
+						<td>${isControl ? this.campaignData.template_name : variant.template_name}</td>
+						<td>${variant.share}%</td>
+						<td>${recipients.toLocaleString()}</td>
+						<td>${this.formatCost(this.estimateCost(recipients, template))}</td>
+						<td><div class="wch-message-preview"></div></td>
+					</tr>
+				`);
+
+				$row.find('.wch-message-preview').html(this.buildMessagePreview(template, personalization));
+				$rows.append($row);
+			});
+
+			if (abTest.winner.enabled) {
+				const holdout = Math.max(0, audience - assigned);
+				const templates = abTest.variants.map((variant, index) => (index === 0 ? this.campaignData.template_data : variant.template_data));
+				const costs = templates.map((template) => this.estimateCost(holdout, template));
+				const metric = abTest.winner.metric === 'orders' ? 'orders' : 'read rate';
+
+				$rows.append(`
+					<tr>
+						<th>Winner</th>
+						<td colspan="2">Best ${metric} after ${abTest.winner.wait_hours}h</td>
+						<td>${holdout.toLocaleString()}</td>
+						<td>${this.formatCost(this.costEstimate ? Math.max(...costs) : null)}</td>
+						<td></td>
+					</tr>
+				`);
+			}
+
+			$section.show();
+		},
+
+		renderReviewPreview: function() {
+			$('#review-message-preview').html(this.buildMessagePreview(this.campaignData.template_data, this.campaignData.personalization));
+		},
+
+		buildMessagePreview: function(template, personalization) {
+			// Replace variables with placeholders
+			const parameters = this.getTemplateVariables(template);
+			const resolve = (name, componentType) => {
+				const parameter = parameters.find((item) => item.key === `${componentType.toLowerCase()}_${name}`);
+				const mapping = parameter ? this.findMapping(personalization, parameter) : null;
+				if (!mapping) {
+					return null;
+				}
+				if (parameter.input === 'media') {
+					return mapping.value || null;
+				}
+
+				if (mapping.type === 'csv') {
+					return this.contactSample[mapping.value] || mapping.fallback || `[${mapping.value}]`;
+				}
+				if (mapping.type === 'unique_coupon') {
+					return this.getCouponSample(mapping.value);
+				}
+
+				return this.getSourceInput(mapping.type) === 'text'
+					? (mapping.value || `[${this.getSourceLabel(mapping.type)}]`)
+					: (mapping.fallback || `[${this.getSourceLabel(mapping.type)}]`);
+			};
+
+			return WCHTemplatePreview.render(template, { resolve });
+		},
+
+		getSourceLabel: function(type) {
+			const source = this.getSourceDefinition(type);
+			return source ? source.label : type;
+		},
+
+		previewRecipients: function() {
+			const $list = $('#wch-recipient-previews');
+			const template = this.campaignData.template_data;
+
+			this.campaignData.personalization = this.collectPersonalization();
+			this.campaignData.tracking = this.collectTracking();
+			$list.html($('<p class="wch-placeholder"></p>').text(wchBroadcasts.strings.previewLoading));
+
+			$.ajax({
+				url: wchBroadcasts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'wch_preview_recipients',
+					nonce: wchBroadcasts.nonce,
+					campaign: JSON.stringify(this.campaignData),
+				},
+				success: (response) => {
+					if (!response.success) {
+						$list.empty();
+						alert(response.data.message || wchBroadcasts.strings.errorOccurred);
+						return;
+					}
+
+					const recipients = response.data.recipients || [];
+					if (!recipients.length) {
+						$list.html($('<p class="wch-placeholder"></p>').text(wchBroadcasts.strings.previewEmpty));
+						return;
+					}
+
+					const parameters = this.campaignData.template_variables || [];
+					$list.empty();
+
+					recipients.forEach((recipient) => {
+						const resolve = (name, componentType) => {
+							const parameter = parameters.find((item) => item.key === `${componentType.toLowerCase()}_${name}`);
+							return parameter ? (recipient.values[parameter.key] || null) : null;
+						};
+						const $item = $('<div class="wch-recipient-preview-item"><h4></h4></div>');
+
+						$item.find('h4').text(`${recipient.name || recipient.phone} `).append($('<span>').text(recipient.phone));
+						$item.append(WCHTemplatePreview.render(template, { resolve }));
+						$list.append($item);
+					});
+				},
+				error: () => {
+					$list.empty();
+					alert(wchBroadcasts.strings.errorOccurred);
+				},
+			});
+		},
+
+		toggleTestPanel: function() {
+			const $panel = $('#wch-test-panel');
+			const open = !$panel.is(':visible');
+
+			$panel.toggle(open);
+			$('#wch-send-test').attr('aria-expanded', open ? 'true' : 'false');
+
+			if (open) {
+				this.loadTestGroups();
+				this.validateTestPhones();
+				this.pollTestSend();
+			} else {
+				clearTimeout(this.testTimer);
+			}
+		},
+
+		// Mirrors DataValidator::normalizeE164() without a default calling code.
+		normalizeTestPhone: function(input) {
+			let digits = input.replace(/[^0-9]/g, '');
+
+			if (!input.trim().startsWith('+') && digits.startsWith('00')) {
+				digits = digits.substring(2);
+			}
+
+			return /^[1-9][0-9]{4,14}$/.test(digits) ? `+${digits}` : null;
+		},
+
+		readTestPhones: function() {
+			return $('#wch-test-phones').val().split(/[\n,;]+/).map((phone) => phone.trim()).filter(Boolean);
+		},
+
+		validateTestPhones: function() {
+			const strings = wchBroadcasts.strings;
+			const typed = this.readTestPhones();
+			const invalid = typed.filter((phone) => !this.normalizeTestPhone(phone));
+			const phones = [...new Set(typed.map((phone) => this.normalizeTestPhone(phone)).filter(Boolean))];
+			const $errors = $('#wch-test-phone-errors').empty();
+
+			invalid.forEach((phone) => {
+				$errors.append($('<li>').text(strings.testInvalid.replace('%s', phone)));
+			});
+
+			if (phones.length > wchBroadcasts.maxTestPhones) {
+				$errors.append($('<li>').text(strings.testTooMany.replace('%d', wchBroadcasts.maxTestPhones)));
+			}
+
+			const valid = phones.length > 0 && !invalid.length && phones.length <= wchBroadcasts.maxTestPhones;
+
+			$('#wch-send-test-group')
+				.prop('disabled', !valid)
+				.text(strings.testSendTo.replace('%d', phones.length || 1));
+
+			return valid ? phones : null;
+		},
+
+		loadTestGroups: function(selectedId) {
+			$.ajax({
+				url: wchBroadcasts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'wch_get_test_groups',
+					nonce: wchBroadcasts.nonce,
+				},
+				success: (response) => {
+					if (!response.success) {
+						return;
+					}
+
+					const $select = $('#wch-test-group');
+					const current = selectedId || $select.val();
+
+					this.testGroups = response.data.groups || [];
+					$select.find('option:not(:first)').remove();
+					this.testGroups.forEach((group) => {
+						$select.append($('<option>', { value: group.id, text: `${group.name} (${group.phones.length})` }));
+					});
+
+					$select.val(this.findTestGroup(current) ? String(current) : '');
+					$('#wch-delete-test-group').toggle(!!$select.val());
+				},
+			});
+		},
+
+		findTestGroup: function(groupId) {
+			return this.testGroups.find((group) => String(group.id) === String(groupId)) || null;
+		},
+
+		selectTestGroup: function() {
+			const group = this.findTestGroup($('#wch-test-group').val());
+			$('#wch-delete-test-group').toggle(!!group);
+
+			if (group) {
+				$('#wch-test-phones').val(group.phones.join('\n'));
+				this.validateTestPhones();
+			}
+		},
+
+		saveTestGroup: function() {
+			const phones = this.validateTestPhones();
+
+			if (!phones) {
+				alert(wchBroadcasts.strings.testNone);
+				return;
+			}
+
+			const current = this.findTestGroup($('#wch-test-group').val());
+			const name = window.prompt(wchBroadcasts.strings.testGroupPrompt, current ? current.name : '');
+
+			if (name === null || !name.trim()) {
+				return;
+			}
+
+			// Keeping the selected group's name updates it; a new name saves a copy.
+			const group = {
+				id: current && current.name === name.trim() ? current.id : 0,
+				name: name.trim(),
+				phones: phones,
+			};
+
+			$.ajax({
+				url: wchBroadcasts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'wch_save_test_group',
+					nonce: wchBroadcasts.nonce,
+					group: JSON.stringify(group),
+				},
+				success: (response) => {
+					if (response.success) {
+						this.loadTestGroups(response.data.group.id);
+						alert(wchBroadcasts.strings.testGroupSaved);
+					} else {
+						alert(response.data.message || wchBroadcasts.strings.errorOccurred);
+					}
+				},
+				error: () => {
+					alert(wchBroadcasts.strings.errorOccurred);
+				},
+			});
+		},
+
+		deleteTestGroup: function() {
+			const groupId = $('#wch-test-group').val();
+
+			if (!groupId || !confirm(wchBroadcasts.strings.testGroupConfirm)) {
+				return;
+			}
+
+			$.ajax({
+				url: wchBroadcasts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'wch_delete_test_group',
+					nonce: wchBroadcasts.nonce,
+					group_id: groupId,
+				},
+				success: (response) => {
+					if (response.success) {
+						$('#wch-test-group').val('');
+						this.loadTestGroups();
+					} else {
+						alert(response.data.message || wchBroadcasts.strings.errorOccurred);
+					}
+				},
+				error: () => {
+					alert(wchBroadcasts.strings.errorOccurred);
+				},
+			});
+		},
+
+		sendTestBroadcast: function() {
+			const phones = this.validateTestPhones();
+			const $button = $('#wch-send-test-group');
+
+			if (!phones) {
+				return;
+			}
+
+			// Update campaign name
+			this.campaignData.name = $('input[name="campaign_name"]').val() || `Campaign ${new Date().toLocaleDateString()}`;
+
+			clearTimeout(this.testTimer);
+
+			$.ajax({
+				url: wchBroadcasts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'wch_send_test_broadcast',
+					nonce: wchBroadcasts.nonce,
+					campaign: JSON.stringify(this.campaignData),
+					test_phones: phones,
+				},
+				beforeSend: () => {
+					$button.prop('disabled', true).text(wchBroadcasts.strings.testSending);
+				},
+				success: (response) => {
+					if (response.success) {
+						this.testSendId = response.data.test_id;
+						this.renderTestResults(response.data.results);
+						this.pollTestSend();
+					} else {
+						alert(response.data.message || wchBroadcasts.strings.errorOccurred);
+					}
+				},
+				error: () => {
+					alert(wchBroadcasts.strings.errorOccurred);
+				},
+				complete: () => {
+					this.validateTestPhones();
+				},
+			});
+		},
+
+		pollTestSend: function() {
+			clearTimeout(this.testTimer);
+
+			if (!this.testSendId) {
+				return;
+			}
+
+			this.testTimer = setTimeout(() => {
+				if (!$('#wch-test-panel').is(':visible')) {
+					return;
+				}
+
+				$.ajax({
+					url: wchBroadcasts.ajaxUrl,
+					type: 'POST',
+					data: {
+						action: 'wch_get_test_send_status',
+						nonce: wchBroadcasts.nonce,
+						test_id: this.testSendId,
+					},
+					success: (response) => {
+						if (!response.success) {
+							this.testSendId = null;
+							return;
+						}
+
+						this.renderTestResults(response.data.results);
+
+						// Keep polling until every number has been read or has failed.
+						if (response.data.results.some((result) => ['accepted', 'delivered'].includes(result.status))) {
+							this.pollTestSend();
+						}
+					},
+					error: () => {
+						this.pollTestSend();
+					},
+				});
+			}, this.testInterval);
+		},
+
+		renderTestResults: function(results) {
+			const strings = wchBroadcasts.strings;
+			const labels = {
+				accepted: strings.testAccepted,
+				delivered: strings.testDelivered,
+				read: strings.testRead,
+				failed: strings.testFailed,
+			};
+			const $body = $('#wch-test-results').show().find('tbody').empty();
+
+			results.forEach((result) => {
+				const details = result.status === 'failed'
+					? [result.error_code, result.error_message].filter(Boolean).join(': ')
+					: '';
+
+				$body.append(
+					$('<tr>').append(
+						$('<td>').text(result.phone),
+						$('<td>').append($('<span>', { class: `wch-badge wch-test-status-${result.status}` }).text(labels[result.status] || result.status)),
+						$('<td>').text(details)
+					)
+				);
+			});
+		},
+
+		confirmSendCampaign: function() {
+			if (!confirm(wchBroadcasts.strings.confirmSend)) {
+				return;
+			}
+
+			// Update campaign name
+			this.campaignData.name = $('input[name="campaign_name"]').val() || `Campaign ${new Date().toLocaleDateString()}`;
+
+			$('#wch-confirm-send').prop('disabled', true).text(wchBroadcasts.strings.sendingCampaign);
+
+			// The draft save issues the campaign ID before the campaign is dispatched.
+			this.saveDraft().then(() => $.ajax({
+				url: wchBroadcasts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'wch_send_campaign',
+					nonce: wchBroadcasts.nonce,
+					campaign: JSON.stringify(this.campaignData),
+				},
+			})).then((response) => {
+				if (response.success && response.data.pending) {
+					alert(wchBroadcasts.strings.campaignPending);
+					window.location.href = 'admin.php?page=wch-broadcasts';
+				} else if (response.success) {
+					const campaign = response.data.campaign || {};
+					alert(wchBroadcasts.strings.campaignScheduled);
+					// Recurring campaigns report on each run, not on themselves.
+					window.location.href = campaign.id && campaign.status !== 'recurring'
+						? `admin.php?page=wch-broadcasts&action=report&campaign_id=${campaign.id}`
+						: 'admin.php?page=wch-broadcasts';
+				} else {
+					alert(response.data.message || wchBroadcasts.strings.errorOccurred);
+					$('#wch-confirm-send').prop('disabled', false).text('Confirm & Schedule Campaign');
+				}
+			}, (message) => {
+				alert(typeof message === 'string' && message ? message : wchBroadcasts.strings.errorOccurred);
+				$('#wch-confirm-send').prop('disabled', false).text('Confirm & Schedule Campaign');
+			});
+		},
+
+		renderApprovalPreviews: function() {
+			$('.wch-approval-message').each(function() {
+				const $preview = $(this);
+				const values = $preview.data('values') || {};
+				const resolve = (name, componentType) => values[`${componentType.toLowerCase()}_${name}`] || null;
+
+				$preview.html(WCHTemplatePreview.render($preview.data('template') || {}, { resolve }));
+			});
+		},
+
+		decideApproval: function(e) {
+			const $button = $(e.currentTarget);
+			const $panel = $button.closest('.wch-approval-decision');
+			const decision = $button.data('decision');
+			const comment = $.trim($('#wch-approval-comment').val());
+
+			if (decision === 'reject' && !comment) {
+				alert(wchBroadcasts.strings.rejectNeedsComment);
+				$('#wch-approval-comment').trigger('focus');
+				return;
+			}
+
+			if (decision === 'approve' && !confirm(wchBroadcasts.strings.confirmApprove)) {
+				return;
+			}
+
+			$panel.find('.wch-approval-action').prop('disabled', true);
+
+			$.ajax({
+				url: wchBroadcasts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: decision === 'approve' ? 'wch_approve_campaign' : 'wch_reject_campaign',
+					nonce: wchBroadcasts.nonce,
+					campaign_id: $panel.data('campaign-id'),
+					comment: comment,
+				},
+				success: (response) => {
+					if (!response.success) {
+						alert(response.data.message || wchBroadcasts.strings.errorOccurred);
+						$panel.find('.wch-approval-action').prop('disabled', false);
+						return;
+					}
+
+					alert(response.data.message);
+					window.location.reload();
+				},
+				error: () => {
+					alert(wchBroadcasts.strings.errorOccurred);
+					$panel.find('.wch-approval-action').prop('disabled', false);
+				},
+			});
+		},
+
+		deleteCampaign: function(e) {
+			if (!confirm(wchBroadcasts.strings.confirmDelete)) {
+				return;
+			}
+
+			const campaignId = $(e.currentTarget).data('campaign-id');
+
+			$.ajax({
+				url: wchBroadcasts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'wch_delete_campaign',
+					nonce: wchBroadcasts.nonce,
+					campaign_id: campaignId,
+				},
+				beforeSend: () => {
+					$(e.currentTarget).prop('disabled', true).text(wchBroadcasts.strings.deletingCampaign);
+				},
+				success: (response) => {
+					if (response.success) {
+						$(`tr[data-campaign-id="${campaignId}"]`).fadeOut(300, function() {
+							$(this).remove();
+						});
+					} else {
+						alert(response.data.message || wchBroadcasts.strings.errorOccurred);
+						$(e.currentTarget).prop('disabled', false).text('Delete');
+					}
+				},
+				error: () => {
+					alert(wchBroadcasts.strings.errorOccurred);
+					$(e.currentTarget).prop('disabled', false).text('Delete');
+				},
+			});
+		},
+
+		duplicateCampaign: function(e) {
+			const campaignId = $(e.currentTarget).data('campaign-id');
 
 			$.ajax({
 				url: wchBroadcasts.ajaxUrl,
 				type: 'POST',
 				data: {
-					action: 'wch_send_campaign',
+					action: 'wch_duplicate_campaign',
 					nonce: wchBroadcasts.nonce,
-					campaign: JSON.stringify(this.campaignData),
+					campaign_id: campaignId,
 				},
 				beforeSend: () => {
-					$('#wch-confirm-send').prop('disabled', true).text(wchBroadcasts.strings.sendingCampaign);
+					$(e.currentTarget).prop('disabled', true).text('Duplicating...');
 				},
 				success: (response) => {
 					if (response.success) {
-						alert(wchBroadcasts.strings.campaignScheduled);
-						window.location.href = 'admin.php?page=wch-broadcasts';
+						window.location.reload();
 					} else {
 						alert(response.data.message || wchBroadcasts.strings.errorOccurred);
-						$('#wch-confirm-send').prop('disabled', false).text('Confirm & Schedule Campaign');
+						$(e.currentTarget).prop('disabled', false).text('Duplicate');
 					}
 				},
 				error: () => {
 					alert(wchBroadcasts.strings.errorOccurred);
-					$('#wch-confirm-send').prop('disabled', false).text('Confirm & Schedule Campaign');
+					$(e.currentTarget).prop('disabled', false).text('Duplicate');
 				},
 			});
 		},
 
-		deleteCampaign: function(e) {
-			if (!confirm(wchBroadcasts.strings.confirmDelete)) {
+		bulkCampaignAction: function(e) {
+			const bulkAction = $('#wch-bulk-action').val();
+			const campaignIds = $('.wch-campaign-cb:checked').map(function() {
+				return $(this).val();
+			}).get();
+
+			if (!bulkAction) {
 				return;
 			}
 
-			const campaignId = $(e.currentTarget).data('campaign-id');
+			if (!campaignIds.length) {
+				alert(wchBroadcasts.strings.bulkNone);
+				return;
+			}
+
+			if (bulkAction === 'delete' && !confirm(wchBroadcasts.strings.confirmBulkDelete.replace('%s', campaignIds.length))) {
+				return;
+			}
+
+			const $button = $(e.currentTarget).prop('disabled', true);
 
 			$.ajax({
 				url: wchBroadcasts.ajaxUrl,
 				type: 'POST',
 				data: {
-					action: 'wch_delete_campaign',
+					action: 'wch_bulk_campaign_action',
 					nonce: wchBroadcasts.nonce,
-					campaign_id: campaignId,
-				},
-				beforeSend: () => {
-					$(e.currentTarget).prop('disabled', true).text(wchBroadcasts.strings.deletingCampaign);
+					bulk_action: bulkAction,
+					campaign_ids: campaignIds,
 				},
 				success: (response) => {
 					if (response.success) {
-						$(`tr[data-campaign-id="${campaignId}"]`).fadeOut(300, function() {
-							$(this).remove();
-						});
+						if (response.data.skipped) {
+							alert(response.data.message);
+						}
+						// Reloading keeps the search, filters, sort and page from the URL.
+						window.location.reload();
 					} else {
 						alert(response.data.message || wchBroadcasts.strings.errorOccurred);
-						$(e.currentTarget).prop('disabled', false).text('Delete');
+						$button.prop('disabled', false);
 					}
 				},
 				error: () => {
 					alert(wchBroadcasts.strings.errorOccurred);
-					$(e.currentTarget).prop('disabled', false).text('Delete');
+					$button.prop('disabled', false);
 				},
 			});
 		},
 
-		duplicateCampaign: function(e) {
-			const campaignId = $(e.currentTarget).data('campaign-id');
+		controlCampaign: function(e) {
+			const $button = $(e.currentTarget);
+			const control = $button.data('control');
+			const campaignId = $button.data('campaign-id');
+
+			if (control === 'cancel' && !confirm(wchBroadcasts.strings.confirmCancel)) {
+				return;
+			}
+
+			$button.prop('disabled', true);
 
 			$.ajax({
 				url: wchBroadcasts.ajaxUrl,
 				type: 'POST',
 				data: {
-					action: 'wch_duplicate_campaign',
+					action: `wch_${control}_campaign`,
 					nonce: wchBroadcasts.nonce,
 					campaign_id: campaignId,
 				},
-				beforeSend: () => {
-					$(e.currentTarget).prop('disabled', true).text('Duplicating...');
+				success: (response) => {
+					if (!response.success) {
+						alert(response.data.message || wchBroadcasts.strings.errorOccurred);
+						return;
+					}
+
+					this.showCampaignStatus(campaignId, response.data.status);
+
+					if ($('#wch-campaign-progress').length) {
+						this.loadProgress();
+					}
+				},
+				error: () => {
+					alert(wchBroadcasts.strings.errorOccurred);
+				},
+				complete: () => {
+					$button.prop('disabled', false);
+				},
+			});
+		},
+
+		showCampaignStatus: function(campaignId, status) {
+			$(`tr[data-campaign-id="${campaignId}"] .wch-badge`)
+				.attr('class', `wch-badge wch-badge-${status}`)
+				.text(wchBroadcasts.statuses[status] || status);
+
+			$(`.wch-campaign-controls[data-campaign-id="${campaignId}"] .wch-campaign-control`).each((index, button) => {
+				const statuses = wchBroadcasts.controls[$(button).data('control')] || [];
+				$(button).toggleClass('hidden', !statuses.includes(status));
+			});
+		},
+
+		addPricingRow: function() {
+			const row = document.getElementById('wch-pricing-row-template').content.cloneNode(true);
+			$('#wch-pricing-rows').append(row);
+		},
+
+		readPricingRates: function($row) {
+			const rates = {};
+			$row.find('.wch-pricing-rate').each((index, input) => {
+				rates[$(input).data('category')] = parseFloat($(input).val()) || 0;
+			});
+
+			return rates;
+		},
+
+		savePricing: function() {
+			const pricing = {
+				default: this.readPricingRates($('#wch-pricing-rows .wch-pricing-default')),
+				countries: {},
+				budget: parseFloat($('#wch-pricing-budget').val()) || 0,
+			};
+			let duplicate = false;
+
+			$('#wch-pricing-rows .wch-pricing-country-row').each((index, row) => {
+				const country = $(row).find('.wch-pricing-country').val();
+				if (!country) {
+					return;
+				}
+				duplicate = duplicate || Object.prototype.hasOwnProperty.call(pricing.countries, country);
+				pricing.countries[country] = this.readPricingRates($(row));
+			});
+
+			const $status = $('.wch-pricing-status');
+			if (duplicate) {
+				$status.text(wchBroadcasts.strings.pricingDuplicate);
+				return;
+			}
+
+			const $button = $('#wch-pricing-save').prop('disabled', true);
+			$status.text(wchBroadcasts.strings.pricingSaving);
+
+			$.ajax({
+				url: wchBroadcasts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'wch_save_broadcast_pricing',
+					nonce: wchBroadcasts.nonce,
+					pricing: JSON.stringify(pricing),
 				},
 				success: (response) => {
-					if (response.success) {
-						window.location.reload();
-					} else {
+					$status.text(response.success ? wchBroadcasts.strings.pricingSaved : (response.data.message || wchBroadcasts.strings.errorOccurred));
+				},
+				error: () => {
+					$status.text(wchBroadcasts.strings.errorOccurred);
+				},
+				complete: () => {
+					$button.prop('disabled', false);
+				},
+			});
+		},
+
+		loadProgress: function() {
+			const $progress = $('#wch-campaign-progress');
+
+			clearTimeout(this.progressTimer);
+
+			$.ajax({
+				url: wchBroadcasts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'wch_get_campaign_progress',
+					nonce: wchBroadcasts.nonce,
+					campaign_id: $progress.data('campaign-id'),
+				},
+				success: (response) => {
+					if (!response.success) {
+						$progress.find('.wch-progress-status').text(response.data.message || wchBroadcasts.strings.errorOccurred);
+						return;
+					}
+
+					this.renderProgress(response.data);
+
+					if (response.data.live) {
+						this.progressTimer = setTimeout(() => this.loadProgress(), this.progressInterval);
+					}
+				},
+				error: () => {
+					// Keep polling through a dropped request.
+					this.progressTimer = setTimeout(() => this.loadProgress(), this.progressInterval);
+				},
+			});
+		},
+
+		renderProgress: function(progress) {
+			const $progress = $('#wch-campaign-progress');
+			const strings = wchBroadcasts.strings;
+			const updated = strings.progressUpdated.replace('%s', new Date().toLocaleTimeString());
+
+			const status = wchBroadcasts.statuses[progress.status] || progress.status;
+
+			$progress.find('.wch-progress-status').text(progress.live ? `${status} · ${strings.progressLive} · ${updated}` : `${status} · ${updated}`);
+			this.showCampaignStatus($progress.data('campaign-id'), progress.status);
+
+			Object.keys(progress.counts).forEach((metric) => {
+				$progress.find(`.wch-progress-count[data-metric="${metric}"] .wch-progress-number`).text(progress.counts[metric].toLocaleString());
+			});
+
+			this.renderProgressChart(progress.timeline);
+			this.renderProgressFailures(progress.failures, progress.can_retry);
+		},
+
+		renderProgressChart: function(timeline) {
+			const $chart = $('#wch-campaign-progress .wch-progress-chart');
+
+			if (typeof Chart === 'undefined' || timeline.labels.length === 0) {
+				$chart.hide();
+				return;
+			}
+
+			$chart.show();
+
+			const colors = {
+				queued: '#8c8f94',
+				sent: '#2271b1',
+				delivered: '#00a32a',
+				read: '#135e96',
+				failed: '#d63638',
+				replied: '#dba617',
+			};
+			const datasets = Object.keys(timeline.series).map((metric) => ({
+				label: $(`#wch-campaign-progress .wch-progress-count[data-metric="${metric}"] .wch-progress-label`).text(),
+				data: timeline.series[metric],
+				borderColor: colors[metric],
+				backgroundColor: colors[metric],
+				fill: false,
+				tension: 0.2,
+			}));
+
+			if (this.progressChart) {
+				this.progressChart.data.labels = timeline.labels;
+				this.progressChart.data.datasets = datasets;
+				this.progressChart.update('none');
+				return;
+			}
+
+			this.progressChart = new Chart(document.getElementById('wch-progress-chart'), {
+				type: 'line',
+				data: {
+					labels: timeline.labels,
+					datasets: datasets,
+				},
+				options: {
+					responsive: true,
+					maintainAspectRatio: false,
+					scales: {
+						y: { beginAtZero: true },
+					},
+					plugins: {
+						legend: {
+							display: true,
+							position: 'top',
+						},
+					},
+				},
+			});
+		},
+
+		renderProgressFailures: function(failures, canRetry) {
+			const $rows = $('#wch-progress-failure-rows').empty();
+			const strings = wchBroadcasts.strings;
+
+			$('#wch-campaign-progress .wch-progress-failures').toggle(failures.length > 0);
+
+			failures.forEach((failure) => {
+				const $retry = $('<button type="button" class="button button-small wch-retry-failed">')
+					.text(strings.retryFailed)
+					.attr('data-error-code', failure.code)
+					.attr('data-count', failure.count)
+					.prop('disabled', !canRetry);
+
+				if (!canRetry) {
+					$retry.attr('title', strings.retryUnavailable);
+				}
+
+				$rows.append(
+					$('<tr>').append(
+						$('<td>').text(failure.code || strings.noErrorCode),
+						$('<td>').text(failure.label),
+						$('<td>').text(failure.count.toLocaleString()),
+						$('<td>').append($retry)
+					)
+				);
+			});
+		},
+
+		retryFailed: function(e) {
+			const $button = $(e.currentTarget);
+			const count = parseInt($button.attr('data-count'), 10) || 0;
+
+			if (!confirm(wchBroadcasts.strings.confirmRetry.replace('%s', count.toLocaleString()))) {
+				return;
+			}
+
+			$button.prop('disabled', true).text(wchBroadcasts.strings.retrying);
+
+			$.ajax({
+				url: wchBroadcasts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'wch_retry_failed_recipients',
+					nonce: wchBroadcasts.nonce,
+					campaign_id: $('#wch-campaign-progress').data('campaign-id'),
+					error_code: $button.attr('data-error-code'),
+				},
+				success: (response) => {
+					if (!response.success) {
 						alert(response.data.message || wchBroadcasts.strings.errorOccurred);
-						$(e.currentTarget).prop('disabled', false).text('Duplicate');
 					}
+					this.loadProgress();
 				},
 				error: () => {
 					alert(wchBroadcasts.strings.errorOccurred);
-					$(e.currentTarget).prop('disabled', false).text('Duplicate');
+					$button.prop('disabled', false).text(wchBroadcasts.strings.retryFailed);
 				},
 			});
 		},
 
 		exportReport: function(e) {
-			const campaignId = $(e.currentTarget).data('campaign-id');
-			alert('Export functionality would be implemented here for campaign ' + campaignId);
+			const $button = $(e.currentTarget);
+			const params = new URLSearchParams({
+				action: 'wch_export_campaign_report',
+				nonce: wchBroadcasts.nonce,
+				campaign_id: $button.data('campaign-id'),
+				format: $button.data('format'),
+				sheet: $button.data('sheet') || 'recipients',
+			});
+
+			// The file streams as a download, so the report stays open.
+			window.location.href = `${wchBroadcasts.ajaxUrl}?${params.toString()}`;
+		},
+
+		// Calendar days are handled as UTC dates so daylight saving never shifts them.
+		parseCalendarDate: function(value) {
+			const [year, month, day] = value.split('-').map(Number);
+			return new Date(Date.UTC(year, month - 1, day));
+		},
+
+		formatCalendarDate: function(date) {
+			return date.toISOString().slice(0, 10);
+		},
+
+		addCalendarDays: function(date, days) {
+			return new Date(date.getTime() + days * 86400000);
+		},
+
+		labelCalendarDate: function(date) {
+			return `${wchBroadcasts.calendar.monthsShort[date.getUTCMonth()]} ${date.getUTCDate()}, ${date.getUTCFullYear()}`;
+		},
+
+		startOfCalendarWeek: function(date) {
+			return this.addCalendarDays(date, -((date.getUTCDay() - wchBroadcasts.calendar.startOfWeek + 7) % 7));
+		},
+
+		getCalendarRange: function() {
+			if (this.calendarView === 'week') {
+				const start = this.startOfCalendarWeek(this.calendarDate);
+				return { start, end: this.addCalendarDays(start, 6) };
+			}
+
+			const first = new Date(Date.UTC(this.calendarDate.getUTCFullYear(), this.calendarDate.getUTCMonth(), 1));
+			const last = new Date(Date.UTC(this.calendarDate.getUTCFullYear(), this.calendarDate.getUTCMonth() + 1, 0));
+
+			return {
+				start: this.startOfCalendarWeek(first),
+				end: this.addCalendarDays(this.startOfCalendarWeek(last), 6),
+			};
+		},
+
+		moveCalendar: function(direction) {
+			if (direction === 'today') {
+				this.calendarDate = this.parseCalendarDate(wchBroadcasts.calendar.today);
+			} else if (this.calendarView === 'week') {
+				this.calendarDate = this.addCalendarDays(this.calendarDate, direction === 'next' ? 7 : -7);
+			} else {
+				this.calendarDate = new Date(Date.UTC(this.calendarDate.getUTCFullYear(), this.calendarDate.getUTCMonth() + (direction === 'next' ? 1 : -1), 1));
+			}
+
+			this.loadCalendar();
+		},
+
+		loadCalendar: function() {
+			const range = this.getCalendarRange();
+			const { months, monthsShort } = wchBroadcasts.calendar;
+
+			$('#wch-calendar [data-calendar-view]').each((index, button) => {
+				$(button).toggleClass('button-primary', $(button).data('calendar-view') === this.calendarView);
+			});
+
+			$('#wch-calendar-title').text(
+				this.calendarView === 'week'
+					? `${monthsShort[range.start.getUTCMonth()]} ${range.start.getUTCDate()} – ${this.labelCalendarDate(range.end)}`
+					: `${months[this.calendarDate.getUTCMonth()]} ${this.calendarDate.getUTCFullYear()}`
+			);
+
+			if (this.calendarRequest) {
+				this.calendarRequest.abort();
+			}
+
+			$('#wch-calendar-grid').addClass('is-loading').attr('aria-busy', 'true');
+
+			this.calendarRequest = $.ajax({
+				url: wchBroadcasts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'wch_get_calendar',
+					nonce: wchBroadcasts.nonce,
+					from: this.formatCalendarDate(range.start),
+					to: this.formatCalendarDate(range.end),
+				},
+				success: (response) => {
+					if (response.success) {
+						this.renderCalendar(range, response.data);
+					} else {
+						$('#wch-calendar-grid').html($('<p class="wch-calendar-error"></p>').text(response.data.message || wchBroadcasts.strings.errorOccurred));
+					}
+				},
+				error: (xhr, status) => {
+					if (status !== 'abort') {
+						$('#wch-calendar-grid').html($('<p class="wch-calendar-error"></p>').text(wchBroadcasts.strings.errorOccurred));
+					}
+				},
+				complete: (xhr, status) => {
+					if (status !== 'abort') {
+						$('#wch-calendar-grid').removeClass('is-loading').attr('aria-busy', 'false');
+					}
+				},
+			});
+		},
+
+		renderCalendar: function(range, calendar) {
+			const { today, weekdays, startOfWeek } = wchBroadcasts.calendar;
+			const strings = wchBroadcasts.strings;
+			const $grid = $('#wch-calendar-grid').empty().attr('data-view', this.calendarView);
+			const $head = $('<div class="wch-calendar-week wch-calendar-weekdays"></div>').appendTo($grid);
+			const byDate = {};
+
+			for (let i = 0; i < 7; i++) {
+				$head.append($('<div class="wch-calendar-weekday"></div>').text(weekdays[(startOfWeek + i) % 7]));
+			}
+			$head.append('<div class="wch-calendar-week-total"></div>');
+
+			calendar.events.forEach((event) => {
+				(byDate[event.date] = byDate[event.date] || []).push(event);
+			});
+
+			for (let weekStart = range.start; weekStart <= range.end; weekStart = this.addCalendarDays(weekStart, 7)) {
+				const $week = $('<div class="wch-calendar-week"></div>').appendTo($grid);
+				let weekMessages = 0;
+
+				for (let i = 0; i < 7; i++) {
+					const day = this.addCalendarDays(weekStart, i);
+					const date = this.formatCalendarDate(day);
+					const totals = calendar.days[date] || { messages: 0, broadcasts: 0 };
+					const $day = $('<div class="wch-calendar-day"></div>')
+						.attr('data-date', date)
+						.toggleClass('wch-calendar-day--outside', this.calendarView === 'month' && day.getUTCMonth() !== this.calendarDate.getUTCMonth())
+						.toggleClass('wch-calendar-day--today', date === today)
+						.toggleClass('wch-calendar-day--past', date < today)
+						.toggleClass('wch-calendar-day--overlap', totals.broadcasts > 1)
+						.appendTo($week);
+
+					const $number = $('<div class="wch-calendar-day-number"></div>').text(day.getUTCDate()).appendTo($day);
+
+					if (totals.broadcasts > 1) {
+						$number.attr('title', strings.calendarOverlap.replace('%s', totals.broadcasts.toLocaleString()));
+					}
+
+					(byDate[date] || []).forEach((event) => $day.append(this.renderCalendarEvent(event)));
+
+					if (totals.messages) {
+						$('<div class="wch-calendar-day-total"></div>')
+							.text(strings.calendarMessages.replace('%s', totals.messages.toLocaleString()))
+							.appendTo($day);
+					}
+
+					weekMessages += totals.messages;
+				}
+
+				$('<div class="wch-calendar-week-total"></div>')
+					.text(weekMessages ? strings.calendarWeekTotal.replace('%s', weekMessages.toLocaleString()) : '')
+					.appendTo($week);
+			}
+		},
+
+		renderCalendarEvent: function(event) {
+			const $event = $('<div class="wch-calendar-event"></div>')
+				.addClass(`wch-calendar-event--${event.type}`)
+				.toggleClass('wch-calendar-event--draft', event.status === 'draft')
+				.attr('draggable', event.movable ? 'true' : 'false')
+				.attr('title', wchBroadcasts.statuses[event.status] || event.status)
+				.data('event', event);
+			const $label = event.campaign_id ? $('<a></a>').attr('href', this.getCalendarEventUrl(event)) : $('<span></span>');
+
+			$label.addClass('wch-calendar-event-title')
+				.append($('<span class="wch-calendar-event-time"></span>').text(event.time_label))
+				.append(document.createTextNode(` ${event.title}`))
+				.appendTo($event);
+
+			if (event.messages) {
+				$('<span class="wch-calendar-event-count"></span>').text(event.messages.toLocaleString()).appendTo($event);
+			}
+
+			return $event;
+		},
+
+		getCalendarEventUrl: function(event) {
+			const action = { draft: 'edit', pending_approval: 'review' }[event.status] || 'report';
+			return `${wchBroadcasts.calendar.pageUrl}&action=${action}&campaign_id=${event.campaign_id}`;
+		},
+
+		bindCalendarDrag: function($grid) {
+			const canDrop = (date) => this.calendarDragged && date >= wchBroadcasts.calendar.today && date !== this.calendarDragged.date;
+
+			$grid.on('dragstart', '.wch-calendar-event[draggable="true"]', (e) => {
+				this.calendarDragged = $(e.currentTarget).data('event');
+				e.originalEvent.dataTransfer.effectAllowed = 'move';
+				e.originalEvent.dataTransfer.setData('text/plain', this.calendarDragged.key);
+				$(e.currentTarget).addClass('is-dragging');
+			});
+			$grid.on('dragend', '.wch-calendar-event', (e) => {
+				this.calendarDragged = null;
+				$(e.currentTarget).removeClass('is-dragging');
+				$grid.find('.is-drop-target').removeClass('is-drop-target');
+			});
+			$grid.on('dragover', '.wch-calendar-day', (e) => {
+				if (canDrop($(e.currentTarget).data('date'))) {
+					e.preventDefault();
+					$(e.currentTarget).addClass('is-drop-target');
+				}
+			});
+			$grid.on('dragleave', '.wch-calendar-day', (e) => $(e.currentTarget).removeClass('is-drop-target'));
+			$grid.on('drop', '.wch-calendar-day', (e) => {
+				const date = $(e.currentTarget).data('date');
+
+				e.preventDefault();
+				$(e.currentTarget).removeClass('is-drop-target');
+
+				if (canDrop(date)) {
+					this.rescheduleCampaign(this.calendarDragged, date);
+				}
+			});
+		},
+
+		rescheduleCampaign: function(event, date) {
+			const label = this.labelCalendarDate(this.parseCalendarDate(date));
+
+			// Drafts only change their saved date; scheduled campaigns are queued again.
+			if (event.status === 'scheduled' && !confirm(wchBroadcasts.strings.confirmReschedule.replace('%1$s', event.title).replace('%2$s', label))) {
+				return;
+			}
+
+			$('#wch-calendar-grid').addClass('is-loading');
+
+			$.ajax({
+				url: wchBroadcasts.ajaxUrl,
+				type: 'POST',
+				data: {
+					action: 'wch_reschedule_campaign',
+					nonce: wchBroadcasts.nonce,
+					campaign_id: event.campaign_id,
+					date,
+				},
+				success: (response) => {
+					if (!response.success) {
+						alert(response.data.message || wchBroadcasts.strings.errorOccurred);
+					}
+					this.loadCalendar();
+				},
+				error: () => {
+					alert(wchBroadcasts.strings.errorOccurred);
+					this.loadCalendar();
+				},
+			});
 		},
 	};
 
@@ -9,7 +9,27 @@
         currentConversation: null,
         conversations: [],
         selectedConversations: new Set(),
-        pollingInterval: null,
+        cursor: null,
+        updatesRequest: null,
+        updatesTimer: null,
+        updateFailures: 0,
+        hiddenDelay: 0,
+        messagesPerPage: 30,
+        oldestMessageId: null,
+        hasOlderMessages: false,
+        olderRequest: null,
+        mediaObserver: null,
+        attachment: null,
+        recorder: null,
+        recordingTimer: null,
+        windowTimer: null,
+        windowClosed: null,
+        polling: {
+            wait: 20,        // Seconds the server holds each update request
+            delay: 1000,     // Gap between update requests while the tab is visible
+            hidden: 30000,   // First check after the tab is hidden, doubled each time
+            max: 300000
+        },
         filters: {
             search: '',
             status: '',
@@ -18,8 +38,11 @@
 
         init: function() {
             this.bindEvents();
+            this.renderTemplateOptions();
             this.loadConversations();
-            this.startPolling();
+
+            // Keep the reply window countdown current
+            this.windowTimer = setInterval($.proxy(this.updateServiceWindow, this), 30000);
         },
 
         bindEvents: function() {
@@ -34,6 +57,25 @@
             $('#wch-bulk-close').on('click', $.proxy(this.handleBulkClose, this));
             $('#wch-bulk-export').on('click', $.proxy(this.handleBulkExport, this));
 
+            // Conversation list
+            $('#wch-conversation-list').on('click', '.wch-conversation-item', $.proxy(function(e) {
+                if (!$(e.target).hasClass('wch-conversation-item-checkbox')) {
+                    const id = $(e.currentTarget).data('id');
+                    this.selectConversation(id);
+                }
+            }, this));
+
+            $('#wch-conversation-list').on('change', '.wch-conversation-item-checkbox', $.proxy(function(e) {
+                e.stopPropagation();
+                const id = $(e.target).data('id');
+                if ($(e.target).is(':checked')) {
+                    this.selectedConversations.add(id);
+                } else {
+                    this.selectedConversations.delete(id);
+                }
+                this.updateBulkActions();
+            }, this));
+
             // Conversation actions
             $('#wch-assign-agent').on('change', $.proxy(this.handleAssignAgent, this));
             $('#wch-mark-closed').on('click', $.proxy(this.handleMarkClosed, this));
@@ -42,9 +84,36 @@
             // Message actions
             $('#wch-send-message').on('click', $.proxy(this.handleSendMessage, this));
             $('#wch-message-input').on('keydown', $.proxy(this.handleMessageKeydown, this));
+            $('#wch-messages-container').on('scroll', $.proxy(this.maybeLoadOlderMessages, this));
             $('#wch-ai-suggest').on('click', $.proxy(this.handleAISuggest, this));
             $('#wch-copy-phone').on('click', $.proxy(this.handleCopyPhone, this));
 
+            // Attachments: picker, drag-and-drop, clipboard and voice notes
+            $('#wch-attach-file').on('click', function() {
+                $('#wch-attachment-input').trigger('click');
+            });
+            $('#wch-attachment-input').on('change', $.proxy(function(e) {
+                if (e.target.files.length) {
+                    this.setAttachment(e.target.files[0], false);
+                }
+                e.target.value = '';
+            }, this));
+            $('#wch-attachment-remove').on('click', $.proxy(this.clearAttachment, this));
+            $('#wch-message-input').on('paste', $.proxy(this.handlePaste, this));
+            $('#wch-conversation-view')
+                .on('dragenter dragover', $.proxy(this.handleDragOver, this))
+                .on('dragleave', $.proxy(this.handleDragLeave, this))
+                .on('drop', $.proxy(this.handleDrop, this));
+            $('#wch-record-voice').on('click', $.proxy(this.toggleRecording, this));
+
+            // Template replies outside the customer service window
+            $('#wch-window-template').on('change', $.proxy(this.handleTemplateChange, this));
+            $('#wch-template-fields').on('input', 'input', $.proxy(this.updateTemplatePreview, this));
+            $('#wch-send-template').on('click', $.proxy(this.handleSendTemplate, this));
+
+            // Check for updates straight away when the tab comes back
+            $(document).on('visibilitychange', $.proxy(this.handleVisibilityChange, this));
+
             // Cleanup on page unload
             $(window).on('beforeunload', $.proxy(this.cleanup, this));
         },
@@ -75,7 +144,15 @@
                 beforeSend: function(xhr) {
                     xhr.setRequestHeader('X-WP-Nonce', wchInbox.nonce);
                 },
-                success: $.proxy(this.renderConversations, this),
+                success: $.proxy(function(conversations, status, xhr) {
+                    this.renderConversations(conversations);
+
+                    // Updates start from the first list so nothing between the two is missed
+                    if (this.cursor === null) {
+                        this.cursor = xhr.getResponseHeader('X-WCH-Cursor') || '';
+                        this.startPolling();
+                    }
+                }, this),
                 error: function(xhr) {
                     console.error('Failed to load conversations:', xhr);
                     $('#wch-conversation-list').html('<div class="wch-loading">' + wchInbox.strings.error + '</div>');
@@ -93,63 +170,61 @@
 
             let html = '';
             conversations.forEach(function(conv) {
-                const isSelected = this.selectedConversations.has(conv.id);
-                const isActive = this.currentConversation && this.currentConversation.id === conv.id;
-
-                html += '<div class="wch-conversation-item' + (isActive ? ' active' : '') + ' has-checkbox" data-id="' + conv.id + '">';
-                html += '<input type="checkbox" class="wch-conversation-item-checkbox" data-id="' + conv.id + '"' + (isSelected ? ' checked' : '') + '>';
-                html += '<div class="wch-conversation-header-row">';
-                html += '<div class="wch-conversation-name">' + this.escapeHtml(conv.customer_name || conv.customer_phone) + '</div>';
-                html += '<div class="wch-conversation-meta">';
-                if (conv.unread_count > 0) {
-                    html += '<span class="wch-unread-badge">' + conv.unread_count + '</span>';
-                }
-                html += '<span class="wch-conversation-time">' + this.formatTime(conv.last_message_at) + '</span>';
-                html += '</div>';
-                html += '</div>';
-                html += '<div class="wch-conversation-preview">' + this.escapeHtml(conv.last_message_preview || '') + '</div>';
-                html += '<div class="wch-conversation-footer">';
-                html += '<span class="wch-status-badge status-' + conv.status + '">' + conv.status + '</span>';
-                if (conv.agent_name) {
-                    html += '<div class="wch-agent-avatar" title="' + this.escapeHtml(conv.agent_name) + '">' + conv.agent_name.charAt(0).toUpperCase() + '</div>';
-                }
-                html += '</div>';
-                html += '</div>';
+                html += this.renderConversationItem(conv);
             }, this);
 
             $('#wch-conversation-list').html(html);
+        },
 
-            // Bind click events
-            $('.wch-conversation-item').on('click', $.proxy(function(e) {
-                if (!$(e.target).hasClass('wch-conversation-item-checkbox')) {
-                    const id = $(e.currentTarget).data('id');
-                    this.selectConversation(id);
-                }
-            }, this));
+        renderConversationItem: function(conv) {
+            const isSelected = this.selectedConversations.has(conv.id);
+            const isActive = this.currentConversation && String(this.currentConversation.id) === String(conv.id);
+            let html = '';
 
-            $('.wch-conversation-item-checkbox').on('change', $.proxy(function(e) {
-                e.stopPropagation();
-                const id = $(e.target).data('id');
-                if ($(e.target).is(':checked')) {
-                    this.selectedConversations.add(id);
-                } else {
-                    this.selectedConversations.delete(id);
-                }
-                this.updateBulkActions();
-            }, this));
+            html += '<div class="wch-conversation-item' + (isActive ? ' active' : '') + ' has-checkbox" data-id="' + conv.id + '">';
+            html += '<input type="checkbox" class="wch-conversation-item-checkbox" data-id="' + conv.id + '"' + (isSelected ? ' checked' : '') + '>';
+            html += '<div class="wch-conversation-header-row">';
+            html += '<div class="wch-conversation-name">' + this.escapeHtml(conv.customer_name || conv.customer_phone) + '</div>';
+            html += '<div class="wch-conversation-meta">';
+            if (conv.unread_count > 0) {
+                html += '<span class="wch-unread-badge">' + conv.unread_count + '</span>';
+            }
+            html += '<span class="wch-conversation-time" data-time="' + this.escapeHtml(conv.last_message_at || '') + '">' + this.formatTime(conv.last_message_at) + '</span>';
+            html += '</div>';
+            html += '</div>';
+            html += '<div class="wch-conversation-preview">' + this.escapeHtml(conv.last_message_preview || '') + '</div>';
+            html += '<div class="wch-conversation-footer">';
+            html += '<span class="wch-status-badge status-' + conv.status + '">' + conv.status + '</span>';
+            if (conv.agent_name) {
+                html += '<div class="wch-agent-avatar" title="' + this.escapeHtml(conv.agent_name) + '">' + conv.agent_name.charAt(0).toUpperCase() + '</div>';
+            }
+            html += '</div>';
+            html += '</div>';
+
+            return html;
         },
 
         selectConversation: function(id) {
-            const conversation = this.conversations.find(c => c.id === id);
+            const conversation = this.conversations.find(c => String(c.id) === String(id));
             if (!conversation) return;
 
             this.currentConversation = conversation;
             $('.wch-conversation-item').removeClass('active');
             $('.wch-conversation-item[data-id="' + id + '"]').addClass('active');
 
+            // Attachments, recordings and template values belong to the conversation they were started in
+            this.stopRecording();
+            this.clearAttachment();
+            this.resetTemplateComposer();
+            this.windowClosed = null;
+            this.updateServiceWindow();
+
             this.loadConversationDetails(id);
             this.loadMessages(id);
             this.loadCustomerDetails(conversation);
+
+            // Watch the newly opened conversation's messages
+            this.restartPolling();
         },
 
         loadConversationDetails: function(id) {
@@ -164,6 +239,11 @@
                     $('#wch-customer-phone').text(conversation.customer_phone);
                     $('#wch-assign-agent').val(conversation.assigned_agent_id || '');
 
+                    if (this.isCurrentConversation(conversation.id)) {
+                        this.currentConversation.window_expires_at = conversation.window_expires_at;
+                        this.updateServiceWindow();
+                    }
+
                     $('#wch-no-conversation').hide();
                     $('#wch-conversation-view').show();
                 }, this),
@@ -176,13 +256,25 @@
         loadMessages: function(id) {
             $('#wch-messages-container').html('<div class="wch-loading">' + wchInbox.strings.loading + '</div>');
 
+            this.oldestMessageId = null;
+            this.hasOlderMessages = false;
+            if (this.olderRequest) {
+                this.olderRequest.abort();
+            }
+
             $.ajax({
-                url: wchInbox.rest_url + '/' + id + '/messages',
+                url: wchInbox.rest_url + '/' + id + '/messages?before=0&per_page=' + this.messagesPerPage,
                 method: 'GET',
                 beforeSend: function(xhr) {
                     xhr.setRequestHeader('X-WP-Nonce', wchInbox.nonce);
                 },
-                success: $.proxy(this.renderMessages, this),
+                success: $.proxy(function(messages, status, xhr) {
+                    // Ignore a slow response for a conversation that is no longer open
+                    if (!this.isCurrentConversation(id)) return;
+
+                    this.hasOlderMessages = xhr.getResponseHeader('X-WCH-Has-More') === '1';
+                    this.renderMessages(messages);
+                }, this),
                 error: function(xhr) {
                     console.error('Failed to load messages:', xhr);
                     $('#wch-messages-container').html('<div class="wch-loading">' + wchInbox.strings.error + '</div>');
@@ -190,53 +282,314 @@
             });
         },
 
+        loadOlderMessages: function() {
+            const id = this.currentConversation.id;
+            const $container = $('#wch-messages-container');
+
+            $container.prepend('<div class="wch-loading wch-messages-older">' + wchInbox.strings.loading + '</div>');
+
+            this.olderRequest = $.ajax({
+                url: wchInbox.rest_url + '/' + id + '/messages?before=' + this.oldestMessageId + '&per_page=' + this.messagesPerPage,
+                method: 'GET',
+                beforeSend: function(xhr) {
+                    xhr.setRequestHeader('X-WP-Nonce', wchInbox.nonce);
+                },
+                success: $.proxy(function(messages, status, xhr) {
+                    if (!this.isCurrentConversation(id)) return;
+
+                    const container = $container[0];
+                    $container.children('.wch-messages-older').remove();
+
+                    // Keep the messages the agent is reading where they are
+                    const fromBottom = container.scrollHeight - container.scrollTop;
+
+                    let html = '';
+                    messages.forEach(function(msg) {
+                        html += this.renderMessage(msg);
+                    }, this);
+
+                    $container.prepend(html);
+                    this.hasOlderMessages = xhr.getResponseHeader('X-WCH-Has-More') === '1';
+                    if (messages.length > 0) {
+                        this.oldestMessageId = messages[0].id;
+                    }
+
+                    this.updateDaySeparators();
+                    this.observeMedia();
+                    container.scrollTop = container.scrollHeight - fromBottom;
+                }, this),
+                error: function(xhr, status) {
+                    if (status !== 'abort') {
+                        console.error('Failed to load older messages:', xhr);
+                        $container.children('.wch-messages-older').remove();
+                    }
+                },
+                complete: $.proxy(function() {
+                    this.olderRequest = null;
+                }, this)
+            });
+        },
+
+        maybeLoadOlderMessages: function() {
+            const container = $('#wch-messages-container')[0];
+
+            if (!this.currentConversation || !this.hasOlderMessages || this.olderRequest || this.oldestMessageId === null) return;
+
+            // Near the top, or a first page too short to scroll
+            if (container.scrollTop < 100 || container.scrollHeight <= container.clientHeight) {
+                this.loadOlderMessages();
+            }
+        },
+
+        isCurrentConversation: function(id) {
+            return this.currentConversation && String(this.currentConversation.id) === String(id);
+        },
+
         renderMessages: function(messages) {
+            if (this.mediaObserver) {
+                this.mediaObserver.disconnect();
+            }
+
             if (messages.length === 0) {
-                $('#wch-messages-container').html('<div class="wch-loading">No messages yet</div>');
+                $('#wch-messages-container').html('<div class="wch-loading">' + wchInbox.strings.no_messages + '</div>');
                 return;
             }
 
             let html = '';
             messages.forEach(function(msg) {
-                const isSystem = msg.type === 'system';
-                const direction = isSystem ? 'system' : msg.direction;
-
-                html += '<div class="wch-message ' + direction + '">';
-                html += '<div class="wch-message-bubble">';
-                html += '<div class="wch-message-content">' + this.formatMessageContent(msg) + '</div>';
-                if (!isSystem) {
-                    html += '<div class="wch-message-meta">';
-                    html += '<span class="wch-message-time">' + this.formatTime(msg.created_at) + '</span>';
-                    if (msg.direction === 'outbound') {
-                        html += '<span class="wch-message-status">' + this.getStatusIcon(msg.status) + '</span>';
-                    }
-                    html += '</div>';
-                }
-                html += '</div>';
-                html += '</div>';
+                html += this.renderMessage(msg);
             }, this);
 
             $('#wch-messages-container').html(html);
+            this.oldestMessageId = messages[0].id;
+            this.updateDaySeparators();
+            this.observeMedia();
             this.scrollToBottom();
+            this.maybeLoadOlderMessages();
+        },
+
+        renderMessage: function(msg) {
+            const isSystem = msg.type === 'system';
+            const direction = isSystem ? 'system' : msg.direction;
+            let html = '';
+
+            html += '<div class="wch-message ' + direction + '" data-id="' + msg.id + '" data-date="' + this.escapeHtml((msg.created_at || '').substring(0, 10)) + '">';
+            html += '<div class="wch-message-bubble">';
+            html += '<div class="wch-message-content">' + this.formatMessageContent(msg) + '</div>';
+            if (!isSystem) {
+                html += '<div class="wch-message-meta">';
+                html += '<span class="wch-message-time" data-time="' + this.escapeHtml(msg.created_at || '') + '">' + this.formatTime(msg.created_at) + '</span>';
+                if (msg.direction === 'outbound') {
+                    html += '<span class="wch-message-status">' + this.getStatusIcon(msg.status) + '</span>';
+                }
+                html += '</div>';
+            }
+            html += '</div>';
+            html += '</div>';
+
+            return html;
         },
 
         formatMessageContent: function(msg) {
             if (!msg.content) return '';
 
+            const content = msg.content;
+            const strings = wchInbox.strings;
+            let html = '';
+
+            if (msg.quoted && msg.type !== 'reaction') {
+                html += this.formatQuote(msg.quoted);
+            }
+
+            if (content.context && content.context.referred_product) {
+                const product = content.context.referred_product;
+                html += '<div class="wch-message-product"><span class="dashicons dashicons-products"></span> ' + strings.product_inquiry + ': ' + this.escapeHtml(product.product_name || product.product_retailer_id || '') + '</div>';
+            }
+
             switch (msg.type) {
                 case 'text':
-                    return this.escapeHtml(msg.content.text || '').replace(/\n/g, '<br>');
+                    // Messages we sent store the API payload, where text is an object
+                    html += this.formatText(typeof content.text === 'object' ? content.text?.body : content.text);
+                    break;
+
                 case 'image':
-                    return '<div class="wch-message-media"><img src="' + this.escapeHtml(msg.content.image?.url || '') + '" alt="Image"></div>';
+                case 'sticker':
+                    html += '<div class="wch-message-media' + (msg.type === 'sticker' ? ' wch-message-sticker' : '') + '">';
+                    html += '<img class="wch-lazy-media" data-src="' + this.escapeHtml(this.getMediaUrl(msg)) + '" alt="' + this.escapeHtml(strings[msg.type]) + '">';
+                    html += '</div>';
+                    html += this.formatCaption(content[msg.type]);
+                    break;
+
+                case 'audio':
+                    html += '<div class="wch-message-media">';
+                    if (content.audio?.voice) {
+                        html += '<div class="wch-message-label"><span class="dashicons dashicons-microphone"></span> ' + strings.voice_message + '</div>';
+                    }
+                    html += '<audio class="wch-lazy-media" controls preload="none" data-src="' + this.escapeHtml(this.getMediaUrl(msg)) + '"></audio>';
+                    html += '</div>';
+                    break;
+
+                case 'video':
+                    html += '<div class="wch-message-media">';
+                    html += '<video class="wch-lazy-media" controls preload="none" data-src="' + this.escapeHtml(this.getMediaUrl(msg)) + '"></video>';
+                    html += '</div>';
+                    html += this.formatCaption(content.video);
+                    break;
+
                 case 'document':
-                    return '<div class="wch-message-media"><a href="' + this.escapeHtml(msg.content.document?.url || '') + '" target="_blank">' + this.escapeHtml(msg.content.document?.filename || 'Document') + '</a></div>';
-                case 'interactive':
-                    return this.escapeHtml(msg.content.interactive?.body?.text || '[Interactive message]');
+                    html += '<div class="wch-message-media"><span class="dashicons dashicons-media-document"></span> ';
+                    html += '<a class="wch-lazy-media" data-href="' + this.escapeHtml(this.getMediaUrl(msg)) + '" target="_blank" rel="noopener noreferrer">' + this.escapeHtml(content.document?.filename || strings.document) + '</a>';
+                    html += '</div>';
+                    html += this.formatCaption(content.document);
+                    break;
+
+                case 'location': {
+                    const location = content.location || {};
+                    const mapUrl = 'https://www.google.com/maps/search/?api=1&query=' + encodeURIComponent(location.latitude + ',' + location.longitude);
+
+                    html += '<div class="wch-message-location"><span class="dashicons dashicons-location"></span> ';
+                    html += '<strong>' + this.escapeHtml(location.name || strings.location) + '</strong>';
+                    if (location.address) {
+                        html += '<br>' + this.escapeHtml(location.address);
+                    }
+                    html += '<br><a href="' + this.escapeHtml(mapUrl) + '" target="_blank" rel="noopener noreferrer">' + strings.view_map + '</a>';
+                    html += '</div>';
+                    break;
+                }
+
+                case 'contacts':
+                    (content.contacts || []).forEach(function(contact) {
+                        html += '<div class="wch-message-contact"><span class="dashicons dashicons-id"></span> ';
+                        html += '<strong>' + this.escapeHtml(contact.name?.formatted_name || strings.contact) + '</strong>';
+                        (contact.phones || []).forEach(function(phone) {
+                            html += '<br>' + this.escapeHtml(phone.phone || phone.wa_id || '');
+                        }, this);
+                        (contact.emails || []).forEach(function(email) {
+                            html += '<br>' + this.escapeHtml(email.email || '');
+                        }, this);
+                        html += '</div>';
+                    }, this);
+                    break;
+
+                case 'reaction': {
+                    const emoji = content.reaction?.emoji;
+
+                    html += '<div class="wch-message-reaction">' + (emoji ? this.escapeHtml(strings.reacted.replace('%s', emoji)) : strings.reaction_removed) + '</div>';
+                    if (msg.quoted) {
+                        html += this.formatQuote(msg.quoted);
+                    }
+                    break;
+                }
+
+                case 'interactive': {
+                    const interactive = content.interactive || {};
+                    const reply = interactive.button_reply || interactive.list_reply;
+
+                    if (reply) {
+                        html += '<div class="wch-message-selection"><span class="wch-message-label">' + strings.selected + '</span> ' + this.escapeHtml(reply.title || '');
+                        if (reply.description) {
+                            html += '<br><small>' + this.escapeHtml(reply.description) + '</small>';
+                        }
+                        html += '</div>';
+                    } else if (interactive.nfm_reply) {
+                        html += '<div class="wch-message-label">' + strings.form_response + '</div>' + this.formatText(interactive.nfm_reply.body || '');
+                    } else {
+                        html += this.formatText(interactive.body?.text || '[Interactive message]');
+                    }
+                    break;
+                }
+
+                case 'button':
+                    html += '<div class="wch-message-selection"><span class="wch-message-label">' + strings.selected + '</span> ' + this.escapeHtml(content.button?.text || '') + '</div>';
+                    break;
+
+                case 'order': {
+                    const order = content.order || {};
+
+                    html += '<div class="wch-message-order">';
+                    html += '<div class="wch-message-label"><span class="dashicons dashicons-cart"></span> ' + strings.order + '</div>';
+                    html += '<ul>';
+                    (order.product_items || []).forEach(function(item) {
+                        html += '<li>' + this.escapeHtml(item.quantity + ' × ' + (item.product_name || item.product_retailer_id || ''));
+                        html += ' <span class="wch-message-order-price">' + this.escapeHtml(this.formatPrice(item.item_price * item.quantity, item.currency)) + '</span></li>';
+                    }, this);
+                    html += '</ul>';
+                    if (order.text) {
+                        html += this.formatText(order.text);
+                    }
+                    html += '</div>';
+                    break;
+                }
+
+                case 'template':
+                    html += '<div class="wch-message-label">' + strings.template + ': ' + this.escapeHtml(content.template?.name || '') + '</div>';
+                    if (content.template?.text) {
+                        html += this.formatText(content.template.text);
+                    }
+                    break;
+
+                case 'system':
+                    html += this.escapeHtml(content.system?.body || '');
+                    break;
+
+                case 'unsupported':
+                    html += '<em>' + strings.unsupported + '</em>';
+                    break;
+
                 default:
-                    return '[Unknown message type]';
+                    html += '<em>' + strings.unknown_message + '</em>';
+            }
+
+            return html;
+        },
+
+        formatQuote: function(quoted) {
+            return '<div class="wch-message-quote ' + this.escapeHtml(quoted.direction) + '">' + this.escapeHtml(quoted.preview || '') + '</div>';
+        },
+
+        formatCaption: function(media) {
+            if (!media || !media.caption) return '';
+
+            return '<div class="wch-message-caption">' + this.formatText(media.caption) + '</div>';
+        },
+
+        formatText: function(text) {
+            // Split out ```code blocks``` so their contents are left as typed
+            const parts = this.escapeHtml(text || '').split(/(```[\s\S]*?```)/);
+
+            return parts.map(function(part, index) {
+                if (index % 2 === 1) {
+                    return '<pre class="wch-wa-code">' + part.slice(3, -3) + '</pre>';
+                }
+
+                return part
+                    .replace(/`([^`\n]+)`/g, '<code>$1</code>')
+                    .replace(/(^|[\s([{])\*(?=\S)([^*\n]*?\S)\*(?=$|[\s.,!?:;)\]}])/gm, '$1<strong>$2</strong>')
+                    .replace(/(^|[\s([{])_(?=\S)([^_\n]*?\S)_(?=$|[\s.,!?:;)\]}])/gm, '$1<em>$2</em>')
+                    .replace(/(^|[\s([{])~(?=\S)([^~\n]*?\S)~(?=$|[\s.,!?:;)\]}])/gm, '$1<del>$2</del>')
+                    .replace(/^&gt; (.*)$/gm, '<span class="wch-wa-quote">$1</span>')
+                    .replace(/\n/g, '<br>');
+            }).join('');
+        },
+
+        formatPrice: function(amount, currency) {
+            try {
+                return new Intl.NumberFormat(undefined, { style: 'currency', currency: currency }).format(amount);
+            } catch (e) {
+                return amount + ' ' + (currency || '');
             }
         },
 
+        getMediaUrl: function(msg) {
+            const media = msg.content[msg.type] || {};
+
+            // Media we sent by link; everything else is fetched from WhatsApp by the server
+            if (media.link) return media.link;
+            if (!media.id) return '';
+
+            return wchInbox.rest_url + '/' + msg.conversation_id + '/messages/' + msg.id + '/media?_wpnonce=' + wchInbox.nonce;
+        },
+
         getStatusIcon: function(status) {
             switch (status) {
                 case 'sent':
@@ -284,6 +637,11 @@
         handleSendMessage: function() {
             if (!this.currentConversation) return;
 
+            if (this.attachment) {
+                this.sendAttachment();
+                return;
+            }
+
             const message = $('#wch-message-input').val().trim();
             if (!message) return;
 
@@ -300,17 +658,421 @@
                 contentType: 'application/json',
                 success: $.proxy(function(response) {
                     $('#wch-message-input').val('');
-                    this.loadMessages(this.currentConversation.id);
+                    this.upsertMessages([response]);
+                    this.scrollToBottom();
                     this.showNotice(wchInbox.strings.send_success, 'success');
                 }, this),
-                error: function(xhr) {
+                error: $.proxy(function(xhr) {
                     console.error('Failed to send message:', xhr);
-                    this.showNotice(wchInbox.strings.error, 'error');
+                    const message = xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : wchInbox.strings.error;
+                    this.showNotice(this.escapeHtml(message), 'error');
+                }, this),
+                complete: function() {
+                    $button.prop('disabled', false).text(wchInbox.strings.send_message);
+                }
+            });
+        },
+
+        sendAttachment: function() {
+            const attachment = this.attachment;
+            const conversationId = this.currentConversation.id;
+            const caption = $('#wch-message-input').val().trim();
+            const $button = $('#wch-send-message');
+            const $progress = $('#wch-attachment-progress');
+
+            const data = new FormData();
+            data.append('file', attachment.file, attachment.file.name);
+            if (attachment.type !== 'audio' && caption) {
+                data.append('message', caption);
+            }
+
+            $button.prop('disabled', true).text(wchInbox.strings.uploading);
+            $('#wch-attachment-remove').prop('disabled', true);
+            $progress.val(0).prop('hidden', false);
+
+            $.ajax({
+                url: wchInbox.rest_url + '/' + conversationId + '/messages',
+                method: 'POST',
+                beforeSend: function(xhr) {
+                    xhr.setRequestHeader('X-WP-Nonce', wchInbox.nonce);
                 },
+                data: data,
+                processData: false,
+                contentType: false,
+                xhr: function() {
+                    const xhr = $.ajaxSettings.xhr();
+                    if (xhr.upload) {
+                        xhr.upload.addEventListener('progress', function(e) {
+                            if (e.lengthComputable) {
+                                $progress.val(Math.round(e.loaded / e.total * 100));
+                            }
+                        });
+                    }
+                    return xhr;
+                },
+                success: $.proxy(function(response) {
+                    if (this.attachment === attachment) {
+                        // Audio can't have a caption, so any text typed stays for the next message
+                        if (attachment.type !== 'audio') {
+                            $('#wch-message-input').val('');
+                        }
+                        this.clearAttachment();
+                    }
+                    if (this.isCurrentConversation(conversationId)) {
+                        this.upsertMessages([response]);
+                        this.scrollToBottom();
+                    }
+                    this.showNotice(wchInbox.strings.send_success, 'success');
+                }, this),
+                error: $.proxy(function(xhr) {
+                    console.error('Failed to send attachment:', xhr);
+                    const message = xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : wchInbox.strings.error;
+                    this.showNotice(this.escapeHtml(message), 'error');
+                }, this),
                 complete: function() {
                     $button.prop('disabled', false).text(wchInbox.strings.send_message);
+                    $('#wch-attachment-remove').prop('disabled', false);
+                    $progress.prop('hidden', true);
+                }
+            });
+        },
+
+        setAttachment: function(file, voice) {
+            if (!this.currentConversation || this.recorder) return;
+
+            const type = this.getAttachmentType(file);
+            const error = this.validateAttachment(file, type);
+            if (error) {
+                this.showNotice(this.escapeHtml(error), 'error');
+                return;
+            }
+
+            this.attachment = { file: file, type: type, voice: voice };
+
+            $('#wch-attachment-name').text(voice ? wchInbox.strings.voice_message : file.name);
+            $('#wch-attachment-size').text(this.formatFileSize(file.size));
+            $('#wch-attachment-progress').val(0).prop('hidden', true);
+            $('#wch-attachment').prop('hidden', false);
+            $('#wch-message-input')
+                .prop('disabled', type === 'audio')
+                .attr('placeholder', type === 'audio' ? '' : wchInbox.strings.caption_placeholder)
+                .trigger('focus');
+        },
+
+        clearAttachment: function() {
+            this.attachment = null;
+
+            $('#wch-attachment').prop('hidden', true);
+            $('#wch-attachment-progress').val(0).prop('hidden', true);
+            $('#wch-message-input')
+                .prop('disabled', false)
+                .attr('placeholder', wchInbox.strings.type_message);
+        },
+
+        getAttachmentType: function(file) {
+            const aliases = {
+                'image/jpg': 'image/jpeg',
+                'audio/mp3': 'audio/mpeg',
+                'audio/x-m4a': 'audio/mp4'
+            };
+            let mimeType = file.type.split(';')[0].toLowerCase();
+            mimeType = aliases[mimeType] || mimeType;
+
+            return Object.keys(wchInbox.media_limits).find(function(type) {
+                return wchInbox.media_limits[type].mime_types.indexOf(mimeType) !== -1;
+            }) || null;
+        },
+
+        validateAttachment: function(file, type) {
+            if (!type) {
+                return wchInbox.strings.file_unsupported.replace('%s', file.name);
+            }
+
+            const maxSize = Math.min(wchInbox.media_limits[type].max_size, wchInbox.max_upload_size);
+            if (file.size > maxSize) {
+                return wchInbox.strings.file_too_large
+                    .replace('%1$s', file.name)
+                    .replace('%2$s', this.formatFileSize(maxSize));
+            }
+
+            return '';
+        },
+
+        handlePaste: function(e) {
+            const clipboard = e.originalEvent.clipboardData;
+            if (!clipboard || !clipboard.files || !clipboard.files.length) return;
+
+            e.preventDefault();
+            this.setAttachment(clipboard.files[0], false);
+        },
+
+        hasDraggedFiles: function(e) {
+            const transfer = e.originalEvent.dataTransfer;
+            return !!transfer && Array.prototype.indexOf.call(transfer.types || [], 'Files') !== -1;
+        },
+
+        handleDragOver: function(e) {
+            if (!this.hasDraggedFiles(e)) return;
+
+            e.preventDefault();
+            $('#wch-conversation-view').addClass('is-dragover');
+        },
+
+        handleDragLeave: function(e) {
+            // Moving between child elements fires dragleave on the way out of each one
+            if ($.contains(e.currentTarget, e.originalEvent.relatedTarget)) return;
+
+            $('#wch-conversation-view').removeClass('is-dragover');
+        },
+
+        handleDrop: function(e) {
+            if (!this.hasDraggedFiles(e)) return;
+
+            e.preventDefault();
+            $('#wch-conversation-view').removeClass('is-dragover');
+
+            const files = e.originalEvent.dataTransfer.files;
+            if (files.length) {
+                this.setAttachment(files[0], false);
+            }
+        },
+
+        getRecordingType: function() {
+            if (!window.MediaRecorder || !navigator.mediaDevices || !MediaRecorder.isTypeSupported) return '';
+
+            // WhatsApp only shows Ogg Opus as a voice note; AAC in MP4 still arrives as audio.
+            // Browsers that can only record WebM have no format WhatsApp accepts.
+            return ['audio/ogg;codecs=opus', 'audio/mp4;codecs=mp4a.40.2', 'audio/mp4'].find(function(type) {
+                return MediaRecorder.isTypeSupported(type);
+            }) || '';
+        },
+
+        toggleRecording: function() {
+            if (this.recorder) {
+                this.stopRecording();
+                return;
+            }
+
+            if (!this.currentConversation) return;
+
+            const mimeType = this.getRecordingType();
+            if (!mimeType) {
+                this.showNotice(wchInbox.strings.no_recording, 'error');
+                return;
+            }
+
+            navigator.mediaDevices.getUserMedia({ audio: true }).then($.proxy(function(stream) {
+                this.startRecording(stream, mimeType);
+            }, this), $.proxy(function(error) {
+                console.error('Failed to access the microphone:', error);
+                this.showNotice(wchInbox.strings.microphone_denied, 'error');
+            }, this));
+        },
+
+        startRecording: function(stream, mimeType) {
+            const conversationId = this.currentConversation.id;
+            const recorder = new MediaRecorder(stream, { mimeType: mimeType });
+            const chunks = [];
+            const started = Date.now();
+
+            recorder.addEventListener('dataavailable', function(e) {
+                if (e.data.size) {
+                    chunks.push(e.data);
                 }
             });
+
+            recorder.addEventListener('stop', $.proxy(function() {
+                stream.getTracks().forEach(function(track) {
+                    track.stop();
+                });
+
+                clearInterval(this.recordingTimer);
+                this.recorder = null;
+                $('#wch-record-voice').removeClass('is-recording').attr('title', wchInbox.strings.record_voice);
+                $('#wch-recording-status').prop('hidden', true).text('');
+
+                // Recordings are dropped when the agent switches conversation
+                if (chunks.length && this.isCurrentConversation(conversationId)) {
+                    const type = mimeType.split(';')[0];
+                    const file = new File(chunks, 'voice-note.' + (type === 'audio/ogg' ? 'ogg' : 'm4a'), { type: type });
+                    this.setAttachment(file, true);
+                }
+            }, this));
+
+            this.clearAttachment();
+            this.recorder = recorder;
+            recorder.start();
+
+            $('#wch-record-voice').addClass('is-recording').attr('title', wchInbox.strings.stop_recording);
+
+            const $status = $('#wch-recording-status').prop('hidden', false);
+            const updateStatus = function() {
+                const seconds = Math.floor((Date.now() - started) / 1000);
+                $status.text(wchInbox.strings.recording + ' ' + Math.floor(seconds / 60) + ':' + String(seconds % 60).padStart(2, '0'));
+            };
+            updateStatus();
+            this.recordingTimer = setInterval(updateStatus, 1000);
+        },
+
+        stopRecording: function() {
+            if (this.recorder && this.recorder.state !== 'inactive') {
+                this.recorder.stop();
+            }
+        },
+
+        updateServiceWindow: function() {
+            if (!this.currentConversation) return;
+
+            const $countdown = $('#wch-window-countdown');
+            const expires = this.currentConversation.window_expires_at;
+            const left = expires ? new Date(expires).getTime() - Date.now() : 0;
+            const closed = left <= 0;
+
+            if (closed) {
+                $countdown.text(wchInbox.strings.window_closed);
+            } else {
+                const minutes = Math.ceil(left / 60000);
+                const remaining = wchInbox.strings.hours_minutes
+                    .replace('%1$d', Math.floor(minutes / 60))
+                    .replace('%2$d', minutes % 60);
+                $countdown.text(wchInbox.strings.window_open.replace('%s', remaining));
+            }
+
+            $countdown.toggleClass('is-closed', closed).toggleClass('is-closing', !closed && left < 3600000);
+
+            if (closed !== this.windowClosed) {
+                this.windowClosed = closed;
+                this.setComposerMode(closed);
+            }
+        },
+
+        setComposerMode: function(closed) {
+            // Outside the window WhatsApp only delivers templates, so the free-form composer is swapped out
+            if (closed) {
+                this.stopRecording();
+                this.clearAttachment();
+            }
+
+            $('.wch-reply-composer').toggleClass('is-window-closed', closed);
+            $('#wch-template-composer').prop('hidden', !closed);
+        },
+
+        renderTemplateOptions: function() {
+            const $select = $('#wch-window-template');
+
+            if (!wchInbox.templates.length) {
+                $select.prop('disabled', true).children('option').first().text(wchInbox.strings.no_templates);
+                return;
+            }
+
+            let html = '';
+            wchInbox.templates.forEach(function(template, index) {
+                html += '<option value="' + index + '">' + this.escapeHtml(template.name + ' (' + template.language + ')') + '</option>';
+            }, this);
+            $select.append(html);
+        },
+
+        getSelectedTemplate: function() {
+            const index = $('#wch-window-template').val();
+            return index === '' || index === null ? null : wchInbox.templates[index] || null;
+        },
+
+        getTemplateValues: function() {
+            const values = {};
+            $('#wch-template-fields input').each(function() {
+                values[$(this).attr('data-key')] = $(this).val().trim();
+            });
+            return values;
+        },
+
+        getParameterLabel: function(parameter) {
+            const strings = wchInbox.strings;
+
+            if (parameter.input === 'media') return strings.template_media.replace('%s', parameter.format);
+            if (parameter.input === 'url_suffix') return strings.template_url.replace('%s', parameter.index + 1);
+            if (parameter.sub_type === 'copy_code') return strings.template_coupon;
+
+            return (parameter.component === 'header' ? strings.header_variable : strings.body_variable).replace('%s', parameter.name);
+        },
+
+        handleTemplateChange: function() {
+            const template = this.getSelectedTemplate();
+            let html = '';
+
+            (template ? template.parameters : []).forEach(function(parameter) {
+                const id = 'wch-template-' + this.escapeHtml(parameter.key);
+                html += '<p class="wch-template-field">' +
+                    '<label for="' + id + '">' + this.escapeHtml(this.getParameterLabel(parameter)) + '</label>' +
+                    '<input type="' + (parameter.input === 'media' ? 'url' : 'text') + '" id="' + id + '" class="widefat" data-key="' + this.escapeHtml(parameter.key) + '">' +
+                    '</p>';
+            }, this);
+
+            $('#wch-template-fields').html(html);
+            $('#wch-template-editor').prop('hidden', !template);
+            this.updateTemplatePreview();
+        },
+
+        updateTemplatePreview: function() {
+            const template = this.getSelectedTemplate();
+            const values = this.getTemplateValues();
+
+            // Unfilled variables stay highlighted so it's clear what is missing
+            const resolve = function(name, type) {
+                return values[String(type).toLowerCase() + '_' + name] || null;
+            };
+
+            $('#wch-template-preview').html(template ? WCHTemplatePreview.render(template, { resolve: resolve }) : '');
+
+            const complete = !!template && template.parameters.every(function(parameter) {
+                return values[parameter.key] !== '';
+            });
+            $('#wch-send-template').prop('disabled', !complete);
+        },
+
+        resetTemplateComposer: function() {
+            $('#wch-window-template').val('');
+            this.handleTemplateChange();
+        },
+
+        handleSendTemplate: function() {
+            const template = this.getSelectedTemplate();
+            if (!this.currentConversation || !template) return;
+
+            const values = this.getTemplateValues();
+            if (template.parameters.some(function(parameter) { return values[parameter.key] === ''; })) {
+                this.showNotice(wchInbox.strings.fill_variables, 'error');
+                return;
+            }
+
+            const conversationId = this.currentConversation.id;
+            const $button = $('#wch-send-template');
+            $button.prop('disabled', true);
+
+            $.ajax({
+                url: wchInbox.rest_url + '/' + conversationId + '/template',
+                method: 'POST',
+                beforeSend: function(xhr) {
+                    xhr.setRequestHeader('X-WP-Nonce', wchInbox.nonce);
+                },
+                data: JSON.stringify({ template: template.name, language: template.language, parameters: values }),
+                contentType: 'application/json',
+                success: $.proxy(function(response) {
+                    if (this.isCurrentConversation(conversationId)) {
+                        this.upsertMessages([response]);
+                        this.scrollToBottom();
+                        this.resetTemplateComposer();
+                    }
+                    this.showNotice(wchInbox.strings.send_success, 'success');
+                }, this),
+                error: $.proxy(function(xhr) {
+                    console.error('Failed to send template:', xhr);
+                    const message = xhr.responseJSON && xhr.responseJSON.message ? xhr.responseJSON.message : wchInbox.strings.error;
+                    this.showNotice(this.escapeHtml(message), 'error');
+                }, this),
+                complete: $.proxy(function() {
+                    this.updateTemplatePreview();
+                }, this)
+            });
         },
 
         handleMessageKeydown: function(e) {
@@ -502,20 +1264,265 @@
         },
 
         startPolling: function() {
-            this.pollingInterval = setInterval($.proxy(function() {
-                if (this.currentConversation) {
-                    this.loadMessages(this.currentConversation.id);
+            this.pollUpdates();
+        },
+
+        restartPolling: function() {
+            // Polling starts once the first conversation list has loaded
+            if (this.cursor === null) return;
+
+            clearTimeout(this.updatesTimer);
+            if (this.updatesRequest) {
+                this.updatesRequest.abort();
+            }
+
+            this.hiddenDelay = 0;
+            this.pollUpdates();
+        },
+
+        pollUpdates: function() {
+            const params = new URLSearchParams({
+                since: this.cursor,
+                conversation_id: this.currentConversation ? this.currentConversation.id : 0,
+                wait: document.hidden ? 0 : this.polling.wait
+            });
+
+            this.updatesRequest = $.ajax({
+                url: wchInbox.rest_url + '/updates?' + params.toString(),
+                method: 'GET',
+                timeout: (this.polling.wait + 15) * 1000,
+                beforeSend: function(xhr) {
+                    xhr.setRequestHeader('X-WP-Nonce', wchInbox.nonce);
+                },
+                success: $.proxy(function(response) {
+                    this.updateFailures = 0;
+                    this.cursor = response.cursor;
+                    this.applyUpdates(response);
+                }, this),
+                error: $.proxy(function(xhr, status) {
+                    if (status !== 'abort') {
+                        this.updateFailures++;
+                        console.error('Failed to load inbox updates:', xhr);
+                    }
+                }, this),
+                complete: $.proxy(function(xhr, status) {
+                    this.updatesRequest = null;
+
+                    // An aborted request has already been replaced
+                    if (status !== 'abort') {
+                        this.scheduleUpdates();
+                    }
+                }, this)
+            });
+        },
+
+        scheduleUpdates: function() {
+            let delay = this.polling.delay;
+
+            if (document.hidden) {
+                this.hiddenDelay = this.hiddenDelay ? Math.min(this.hiddenDelay * 2, this.polling.max) : this.polling.hidden;
+                delay = this.hiddenDelay;
+            } else if (this.updateFailures > 0) {
+                delay = Math.min(this.polling.delay * Math.pow(2, this.updateFailures), this.polling.max);
+            }
+
+            clearTimeout(this.updatesTimer);
+            this.updatesTimer = setTimeout($.proxy(this.pollUpdates, this), delay);
+        },
+
+        handleVisibilityChange: function() {
+            if (!document.hidden) {
+                this.restartPolling();
+            }
+        },
+
+        applyUpdates: function(response) {
+            this.upsertConversations(response.conversations || []);
+
+            if (this.currentConversation) {
+                const id = String(this.currentConversation.id);
+                this.upsertMessages((response.messages || []).filter(msg => String(msg.conversation_id) === id));
+            }
+
+            this.refreshTimes();
+        },
+
+        upsertConversations: function(changed) {
+            if (changed.length === 0) return;
+
+            const $list = $('#wch-conversation-list');
+
+            changed.forEach(function(conv) {
+                this.conversations = this.conversations.filter(c => String(c.id) !== String(conv.id));
+                $list.children('.wch-conversation-item[data-id="' + conv.id + '"]').remove();
+
+                if (this.matchesFilters(conv)) {
+                    this.conversations.push(conv);
                 }
-                this.loadConversations();
-            }, this), 10000); // Poll every 10 seconds
+
+                if (this.currentConversation && String(this.currentConversation.id) === String(conv.id)) {
+                    $.extend(this.currentConversation, conv);
+                    $('#wch-sidebar-status').text(conv.status).attr('class', 'wch-status-badge status-' + conv.status);
+                    $('#wch-sidebar-agent').text(conv.agent_name || 'Unassigned');
+                    this.updateServiceWindow();
+                }
+            }, this);
+
+            this.conversations.sort((a, b) => (b.last_message_at || '').localeCompare(a.last_message_at || ''));
+
+            if (this.conversations.length === 0) {
+                $list.html('<div class="wch-loading">' + wchInbox.strings.no_conversations + '</div>');
+                return;
+            }
+
+            $list.children('.wch-loading').remove();
+
+            // Unchanged items are already in order, so each changed one goes in at its index
+            this.conversations.forEach(function(conv, index) {
+                if ($list.children('.wch-conversation-item[data-id="' + conv.id + '"]').length) return;
+
+                const $item = $(this.renderConversationItem(conv));
+                const $at = $list.children('.wch-conversation-item').eq(index);
+
+                if ($at.length) {
+                    $at.before($item);
+                } else {
+                    $list.append($item);
+                }
+            }, this);
+        },
+
+        upsertMessages: function(messages) {
+            if (messages.length === 0) return;
+
+            const $container = $('#wch-messages-container');
+            const atBottom = this.isScrolledToBottom();
+            let added = false;
+
+            $container.children('.wch-loading').remove();
+
+            messages.forEach(function(msg) {
+                const $existing = $container.children('.wch-message[data-id="' + msg.id + '"]');
+
+                if ($existing.length) {
+                    $existing.find('.wch-message-status').html(this.getStatusIcon(msg.status));
+                    return;
+                }
+
+                // Older history that hasn't been scrolled to yet
+                if (this.oldestMessageId !== null && Number(msg.id) < Number(this.oldestMessageId)) return;
+
+                $container.append(this.renderMessage(msg));
+                added = true;
+            }, this);
+
+            if (added) {
+                this.updateDaySeparators();
+                this.observeMedia();
+            }
+
+            // Only follow new messages if the agent hasn't scrolled up to read older ones
+            if (added && atBottom) {
+                this.scrollToBottom();
+            }
+        },
+
+        updateDaySeparators: function() {
+            const $container = $('#wch-messages-container');
+            let lastDate = null;
+
+            $container.children('.wch-day-separator').remove();
+            $container.children('.wch-message').each($.proxy(function(index, el) {
+                const date = $(el).attr('data-date');
+
+                if (date && date !== lastDate) {
+                    $(el).before('<div class="wch-day-separator"><span>' + this.escapeHtml(this.formatDay(date)) + '</span></div>');
+                }
+                lastDate = date;
+            }, this));
+        },
+
+        observeMedia: function() {
+            const $pending = $('#wch-messages-container .wch-lazy-media').not('.is-observed').addClass('is-observed');
+
+            if (!('IntersectionObserver' in window)) {
+                $pending.each($.proxy(function(index, el) {
+                    this.loadMedia(el);
+                }, this));
+                return;
+            }
+
+            if (!this.mediaObserver) {
+                this.mediaObserver = new IntersectionObserver($.proxy(function(entries, observer) {
+                    entries.forEach(function(entry) {
+                        if (entry.isIntersecting) {
+                            observer.unobserve(entry.target);
+                            this.loadMedia(entry.target);
+                        }
+                    }, this);
+                }, this), {
+                    root: $('#wch-messages-container')[0],
+                    rootMargin: '200px 0px'
+                });
+            }
+
+            $pending.each($.proxy(function(index, el) {
+                this.mediaObserver.observe(el);
+            }, this));
+        },
+
+        loadMedia: function(el) {
+            const $el = $(el);
+            const atBottom = this.isScrolledToBottom();
+
+            if ($el.attr('data-src')) {
+                // A loaded image grows its message; stay pinned to the newest one
+                $el.one('load', $.proxy(function() {
+                    if (atBottom) {
+                        this.scrollToBottom();
+                    }
+                }, this));
+                $el.attr('src', $el.attr('data-src'));
+            }
+
+            if ($el.attr('data-href')) {
+                $el.attr('href', $el.attr('data-href'));
+            }
+
+            $el.addClass('is-loaded');
+        },
+
+        matchesFilters: function(conv) {
+            const search = (this.filters.search || '').toLowerCase();
+
+            if (this.filters.status && conv.status !== this.filters.status) return false;
+            if (this.filters.agent_id && String(conv.assigned_agent_id) !== String(this.filters.agent_id)) return false;
+
+            return !search ||
+                (conv.customer_phone || '').toLowerCase().indexOf(search) !== -1 ||
+                (conv.customer_name || '').toLowerCase().indexOf(search) !== -1;
+        },
+
+        refreshTimes: function() {
+            $('.wch-conversation-time[data-time], .wch-message-time[data-time]').each($.proxy(function(index, el) {
+                $(el).text(this.formatTime($(el).attr('data-time')));
+            }, this));
         },
 
         cleanup: function() {
-            if (this.pollingInterval) {
-                clearInterval(this.pollingInterval);
+            this.stopRecording();
+            clearInterval(this.windowTimer);
+            clearTimeout(this.updatesTimer);
+            if (this.updatesRequest) {
+                this.updatesRequest.abort();
             }
         },
 
+        isScrolledToBottom: function() {
+            const container = $('#wch-messages-container')[0];
+            return !container || container.scrollHeight - container.scrollTop - container.clientHeight < 40;
+        },
+
         scrollToBottom: function() {
             const container = $('#wch-messages-container');
             container.scrollTop(container[0].scrollHeight);
@@ -534,6 +1541,30 @@
             return date.toLocaleDateString();
         },
 
+        formatDay: function(date) {
+            const parts = date.split('-');
+            const day = new Date(parts[0], parts[1] - 1, parts[2]);
+            const today = new Date();
+            today.setHours(0, 0, 0, 0);
+
+            const diff = Math.round((today - day) / 86400000);
+            if (diff === 0) return wchInbox.strings.today;
+            if (diff === 1) return wchInbox.strings.yesterday;
+
+            return day.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+        },
+
+        formatFileSize: function(bytes) {
+            const units = ['B', 'KB', 'MB', 'GB'];
+            let unit = 0;
+            while (bytes >= 1024 && unit < units.length - 1) {
+                bytes /= 1024;
+                unit++;
+            }
+
+            return Math.round(bytes * 10) / 10 + ' ' + units[unit];
+        },
+
         escapeHtml: function(text) {
             const div = document.createElement('div');
             div.textContent = text;
@@ -0,0 +1,331 @@
+/**
+ * WhatsApp Template Preview
+ *
+ * Renders Meta message templates the way WhatsApp displays them on a phone.
+ * Shared by the templates page and the broadcast wizard.
+ */
+
+(function () {
+	'use strict';
+
+	var strings = (window.wchTemplatePreview && window.wchTemplatePreview.strings) || {};
+
+	// WhatsApp shows at most three buttons; with more, two are shown plus a list button.
+	var MAX_VISIBLE_BUTTONS = 3;
+
+	var BUTTON_ICONS = {
+		QUICK_REPLY: 'dashicons-undo',
+		URL: 'dashicons-external',
+		PHONE_NUMBER: 'dashicons-phone',
+		COPY_CODE: 'dashicons-admin-page',
+		OTP: 'dashicons-admin-page',
+		FLOW: 'dashicons-feedback',
+		CATALOG: 'dashicons-store',
+		MPM: 'dashicons-store',
+		SPM: 'dashicons-store',
+	};
+
+	var VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+	/**
+	 * Escape HTML to prevent XSS
+	 *
+	 * @param {string} text Text to escape
+	 * @return {string} Escaped text
+	 */
+	function escapeHtml(text) {
+		var map = {
+			'&': '&amp;',
+			'<': '&lt;',
+			'>': '&gt;',
+			'"': '&quot;',
+			"'": '&#039;',
+		};
+		return String(text).replace(/[&<>"']/g, function (m) {
+			return map[m];
+		});
+	}
+
+	/**
+	 * Apply WhatsApp text formatting
+	 *
+	 * Supports *bold*, _italic_, ~strikethrough~ and ```monospace```. Like the
+	 * app, markers only apply when they wrap non-space text and are not part of
+	 * a word, and monospace content is left unformatted.
+	 *
+	 * @param {string} text Plain text
+	 * @return {string} HTML string
+	 */
+	function formatText(text) {
+		var blocks = [];
+		var html = escapeHtml(text || '');
+
+		html = html.replace(/```([\s\S]+?)```/g, function (match, code) {
+			blocks.push('<code class="wch-wa-mono">' + code + '</code>');
+			return '\u0000' + (blocks.length - 1) + '\u0000';
+		});
+
+		html = html
+			.replace(/(^|[^\w*])\*(?=\S)([^*\n]*?\S)\*(?!\w)/g, '$1<strong>$2</strong>')
+			.replace(/(^|[^\w_])_(?=\S)([^_\n]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+			.replace(/(^|[^\w~])~(?=\S)([^~\n]*?\S)~(?!\w)/g, '$1<del>$2</del>')
+			.replace(/\n/g, '<br>');
+
+		return html.replace(/\u0000(\d+)\u0000/g, function (match, index) {
+			return blocks[index];
+		});
+	}
+
+	/**
+	 * Replace template variables with resolved values
+	 *
+	 * Variables without a value are kept and highlighted after formatting.
+	 *
+	 * @param {string}        text    Component text
+	 * @param {Function|null} resolve Variable resolver
+	 * @param {string}        type    Component type
+	 * @param {number|null}   card    Carousel card index
+	 * @return {string} Text with values filled in
+	 */
+	function fillVariables(text, resolve, type, card) {
+		if (!resolve) {
+			return text || '';
+		}
+
+		return (text || '').replace(VARIABLE_PATTERN, function (match, name) {
+			var value = resolve(name, type, card);
+			return value === null || value === undefined || value === '' ? match : String(value);
+		});
+	}
+
+	/**
+	 * Highlight unresolved variables in rendered HTML
+	 *
+	 * @param {string} html HTML string
+	 * @return {string} HTML string
+	 */
+	function highlightVariables(html) {
+		return html.replace(VARIABLE_PATTERN, '<span class="wch-wa-variable">{{$1}}</span>');
+	}
+
+	/**
+	 * Render formatted component text with variables
+	 *
+	 * @param {string}      text    Component text
+	 * @param {Object}      options Render options
+	 * @param {string}      type    Component type
+	 * @param {number|null} card    Carousel card index
+	 * @return {string} HTML string
+	 */
+	function renderText(text, options, type, card) {
+		return highlightVariables(formatText(fillVariables(text, options.resolve, type, card)));
+	}
+
+	/**
+	 * Find a component by type
+	 *
+	 * @param {Array}  components Template components
+	 * @param {string} type       Component type
+	 * @return {Object|null} Component
+	 */
+	function findComponent(components, type) {
+		for (var i = 0; i < components.length; i++) {
+			if ((components[i].type || '').toUpperCase() === type) {
+				return components[i];
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Render a header component
+	 *
+	 * Media headers show the file returned by resolve('media', 'HEADER'), the
+	 * sample file Meta stores with the template, or a placeholder.
+	 *
+	 * @param {Object}      component Header component
+	 * @param {Object}      options   Render options
+	 * @param {number|null} card      Carousel card index
+	 * @return {string} HTML string
+	 */
+	function renderHeader(component, options, card) {
+		var format = (component.format || 'TEXT').toUpperCase();
+		var example = component.example || {};
+		var media = options.resolve && format !== 'TEXT' ? options.resolve('media', 'HEADER', card) : null;
+		var url = media || (example.header_handle || [])[0] || '';
+
+		if (format === 'TEXT') {
+			return '<div class="wch-wa-header">' + highlightVariables(escapeHtml(fillVariables(component.text, options.resolve, 'HEADER', card))) + '</div>';
+		}
+
+		if (format === 'IMAGE') {
+			return url
+				? '<img class="wch-wa-media" src="' + escapeHtml(url) + '" alt="">'
+				: '<div class="wch-wa-media wch-wa-media-placeholder"><span class="dashicons dashicons-format-image"></span></div>';
+		}
+
+		if (format === 'VIDEO') {
+			return '<div class="wch-wa-media wch-wa-media-placeholder">' +
+				(url ? '<video src="' + escapeHtml(url) + '" preload="metadata" muted></video>' : '') +
+				'<span class="dashicons dashicons-controls-play"></span></div>';
+		}
+
+		if (format === 'DOCUMENT') {
+			var fileName = url ? url.split('?')[0].split('/').pop() : '';
+
+			try {
+				fileName = decodeURIComponent(fileName);
+			} catch (e) {
+				// Not valid percent-encoding, so show the raw name.
+			}
+
+			return '<div class="wch-wa-document"><span class="dashicons dashicons-media-document"></span>' +
+				'<span>' + escapeHtml(fileName || strings.document || 'Document') + '</span></div>';
+		}
+
+		if (format === 'LOCATION') {
+			return '<div class="wch-wa-media wch-wa-media-placeholder wch-wa-location"><span class="dashicons dashicons-location"></span>' +
+				'<span>' + escapeHtml(strings.location || 'Location') + '</span></div>';
+		}
+
+		return '';
+	}
+
+	/**
+	 * Render a limited-time offer component
+	 *
+	 * @param {Object} component Offer component
+	 * @return {string} HTML string
+	 */
+	function renderOffer(component) {
+		var offer = component.limited_time_offer || {};
+		var html = '<div class="wch-wa-offer"><span class="dashicons dashicons-tag"></span><div>';
+
+		html += '<strong>' + escapeHtml(offer.text || '') + '</strong>';
+		if (offer.has_expiration) {
+			html += '<small>' + escapeHtml(strings.offerExpires || 'Offer ends soon') + '</small>';
+		}
+
+		return html + '</div></div>';
+	}
+
+	/**
+	 * Render template buttons
+	 *
+	 * @param {Array} buttons Button definitions
+	 * @return {string} HTML string
+	 */
+	function renderButtons(buttons) {
+		if (!buttons || !buttons.length) {
+			return '';
+		}
+
+		var visible = buttons.length > MAX_VISIBLE_BUTTONS ? buttons.slice(0, MAX_VISIBLE_BUTTONS - 1) : buttons;
+		var html = '<div class="wch-wa-buttons">';
+
+		visible.forEach(function (button) {
+			var type = (button.type || '').toUpperCase();
+			var text = button.text || (type === 'COPY_CODE' ? strings.copyCode || 'Copy code' : '');
+
+			html += '<div class="wch-wa-button"><span class="dashicons ' + (BUTTON_ICONS[type] || 'dashicons-undo') + '"></span>' +
+				escapeHtml(text) + '</div>';
+		});
+
+		if (visible.length < buttons.length) {
+			html += '<div class="wch-wa-button"><span class="dashicons dashicons-menu"></span>' +
+				escapeHtml(strings.seeAllOptions || 'See all options') + '</div>';
+		}
+
+		return html + '</div>';
+	}
+
+	/**
+	 * Render carousel cards
+	 *
+	 * @param {Object} component Carousel component
+	 * @param {Object} options   Render options
+	 * @return {string} HTML string
+	 */
+	function renderCarousel(component, options) {
+		var html = '<div class="wch-wa-carousel">';
+
+		(component.cards || []).forEach(function (card, index) {
+			var components = card.components || [];
+			var header = findComponent(components, 'HEADER');
+			var body = findComponent(components, 'BODY');
+			var buttons = findComponent(components, 'BUTTONS');
+
+			html += '<div class="wch-wa-card"><div class="wch-wa-bubble">';
+			if (header) {
+				html += renderHeader(header, options, index);
+			}
+			if (body) {
+				html += '<div class="wch-wa-body">' + renderText(body.text, options, 'BODY', index) + '</div>';
+			}
+			html += '</div>' + renderButtons(buttons ? buttons.buttons : []) + '</div>';
+		});
+
+		return html + '</div>';
+	}
+
+	/**
+	 * Render a template as a WhatsApp message
+	 *
+	 * Components are drawn in the order WhatsApp uses, whatever their order in
+	 * the template definition.
+	 *
+	 * @param {Object} template Template data with Meta components
+	 * @param {Object} options  Optional settings:
+	 *                          resolve(name, type, card) returns the value of a
+	 *                          variable, or null to keep it highlighted. Media
+	 *                          headers ask for the name "media".
+	 * @return {string} HTML string
+	 */
+	function render(template, options) {
+		var components = (template && template.components) || [];
+
+		options = options || {};
+
+		if (!components.length) {
+			return '<p class="wch-wa-empty">' + escapeHtml(strings.noPreview || 'No preview available') + '</p>';
+		}
+
+		var header = findComponent(components, 'HEADER');
+		var offer = findComponent(components, 'LIMITED_TIME_OFFER');
+		var body = findComponent(components, 'BODY');
+		var footer = findComponent(components, 'FOOTER');
+		var buttons = findComponent(components, 'BUTTONS');
+		var carousel = findComponent(components, 'CAROUSEL');
+		var time = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+		var html = '<div class="wch-wa-preview"><div class="wch-wa-message"><div class="wch-wa-bubble">';
+
+		if (header) {
+			html += renderHeader(header, options, null);
+		}
+		if (offer) {
+			html += renderOffer(offer);
+		}
+		if (body) {
+			html += '<div class="wch-wa-body">' + renderText(body.text, options, 'BODY', null) + '</div>';
+		}
+		if (footer) {
+			html += '<div class="wch-wa-footer">' + escapeHtml(footer.text || '') + '</div>';
+		}
+
+		html += '<span class="wch-wa-time">' + escapeHtml(time) + '</span></div>';
+		html += renderButtons(buttons ? buttons.buttons : []) + '</div>';
+
+		if (carousel) {
+			html += renderCarousel(carousel, options);
+		}
+
+		return html + '</div>';
+	}
+
+	window.WCHTemplatePreview = {
+		render: render,
+		formatText: formatText,
+		escapeHtml: escapeHtml,
+	};
+})();
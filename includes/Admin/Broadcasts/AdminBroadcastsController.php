@@ -12,7 +12,14 @@ declare(strict_types=1);
 
 namespace WhatsAppCommerceHub\Admin\Broadcasts;
 
+use WhatsAppCommerceHub\Application\Services\Broadcasts\AudienceSegmentBuilder;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\CampaignDispatcher;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\CampaignListQuery;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\TestGroupRepository;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\CampaignRepository;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\RecipientDataProvider;
 use WhatsAppCommerceHub\Contracts\Services\Broadcasts\CampaignRepositoryInterface;
+use WhatsAppCommerceHub\Presentation\Templates\TemplatePreviewAssets;
 
 // Exit if accessed directly.
 if ( ! defined( 'ABSPATH' ) ) {
@@ -39,16 +46,28 @@ class AdminBroadcastsController {
 	/**
 	 * Constructor.
 	 *
-	 * @param CampaignRepositoryInterface $repository      Campaign repository.
-	 * @param BroadcastWizardRenderer     $wizardRenderer  Wizard renderer.
-	 * @param CampaignReportGenerator     $reportGenerator Report generator.
-	 * @param BroadcastsAjaxHandler       $ajaxHandler     AJAX handler.
+	 * @param CampaignRepositoryInterface $repository       Campaign repository.
+	 * @param BroadcastWizardRenderer     $wizardRenderer   Wizard renderer.
+	 * @param CampaignReportGenerator     $reportGenerator  Report generator.
+	 * @param BroadcastsAjaxHandler       $ajaxHandler      AJAX handler.
+	 * @param AudienceSegmentBuilder      $segmentBuilder   Audience segment builder.
+	 * @param RecipientDataProvider       $recipientData    Recipient data provider.
+	 * @param BroadcastPricingRenderer    $pricingRenderer  Message rate table renderer.
+	 * @param CampaignListQuery           $listQuery        Campaign list search, filters and sorting.
+	 * @param CampaignApprovalRenderer    $approvalRenderer Approval review renderer.
+	 * @param BroadcastCalendarRenderer   $calendarRenderer Calendar renderer.
 	 */
 	public function __construct(
 		protected CampaignRepositoryInterface $repository,
 		protected BroadcastWizardRenderer $wizardRenderer,
 		protected CampaignReportGenerator $reportGenerator,
-		protected BroadcastsAjaxHandler $ajaxHandler
+		protected BroadcastsAjaxHandler $ajaxHandler,
+		protected AudienceSegmentBuilder $segmentBuilder,
+		protected RecipientDataProvider $recipientData,
+		protected BroadcastPricingRenderer $pricingRenderer,
+		protected CampaignListQuery $listQuery,
+		protected CampaignApprovalRenderer $approvalRenderer,
+		protected BroadcastCalendarRenderer $calendarRenderer
 	) {
 	}
 
@@ -117,17 +136,39 @@ class AdminBroadcastsController {
 			return;
 		}
 
+		TemplatePreviewAssets::register();
+
+		// Media library for header images, videos and documents.
+		wp_enqueue_media();
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended
+		$action = isset( $_GET['action'] ) ? sanitize_text_field( wp_unslash( $_GET['action'] ) ) : 'list';
+		$deps   = [ 'jquery', 'wp-i18n', 'wc-enhanced-select', TemplatePreviewAssets::HANDLE ];
+
+		// The report page charts delivery progress.
+		if ( 'report' === $action ) {
+			wp_enqueue_script(
+				'chart-js',
+				'https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js',
+				[],
+				'4.4.0',
+				true
+			);
+			$deps[] = 'chart-js';
+		}
+
 		wp_enqueue_style(
 			'wch-admin-broadcasts',
 			WCH_PLUGIN_URL . 'assets/admin-broadcasts.css',
-			[],
+			[ 'woocommerce_admin_styles', TemplatePreviewAssets::HANDLE ],
 			WCH_VERSION
 		);
 
+		// WooCommerce's enhanced select powers the product search in the segment builder.
 		wp_enqueue_script(
 			'wch-admin-broadcasts',
 			WCH_PLUGIN_URL . 'assets/admin-broadcasts.js',
-			[ 'jquery', 'wp-i18n' ],
+			$deps,
 			WCH_VERSION,
 			true
 		);
@@ -136,13 +177,85 @@ class AdminBroadcastsController {
 			'wch-admin-broadcasts',
 			'wchBroadcasts',
 			[
-				'ajaxUrl' => admin_url( 'admin-ajax.php' ),
-				'nonce'   => wp_create_nonce( 'wch_broadcasts_nonce' ),
-				'strings' => $this->getLocalizedStrings(),
+				'ajaxUrl'         => admin_url( 'admin-ajax.php' ),
+				'nonce'           => wp_create_nonce( 'wch_broadcasts_nonce' ),
+				'maxVariants'     => CampaignRepository::MAX_VARIANTS,
+				'maxSegmentDepth' => AudienceSegmentBuilder::MAX_DEPTH,
+				'segmentFields'   => $this->segmentBuilder->getFieldDefinitions(),
+				'variableSources' => $this->recipientData->getSourceDefinitions(),
+				'categories'      => $this->getCategoryChoices(),
+				'countries'       => function_exists( 'WC' ) ? WC()->countries->get_countries() : [],
+				'currency'        => $this->getCurrencyFormat(),
+				'statuses'        => $this->getStatusLabels(),
+				'controls'        => CampaignDispatcher::CONTROL_STATUSES,
+				'maxTestPhones'   => TestGroupRepository::MAX_PHONES,
+				'calendar'        => $this->getCalendarSettings(),
+				'strings'         => $this->getLocalizedStrings(),
 			]
 		);
 	}
 
+	/**
+	 * Get the date settings the calendar is drawn with.
+	 *
+	 * @return array{pageUrl: string, today: string, startOfWeek: int, weekdays: array<int, string>, months: array<int, string>, monthsShort: array<int, string>}
+	 */
+	protected function getCalendarSettings(): array {
+		global $wp_locale;
+
+		$months = range( 1, 12 );
+
+		return [
+			'pageUrl'     => admin_url( 'admin.php?page=' . self::MENU_SLUG ),
+			'today'       => wp_date( 'Y-m-d' ),
+			'startOfWeek' => (int) get_option( 'start_of_week', 1 ),
+			'weekdays'    => array_map( static fn( int $day ): string => $wp_locale->get_weekday_abbrev( $wp_locale->get_weekday( $day ) ), range( 0, 6 ) ),
+			'months'      => array_map( static fn( int $month ): string => $wp_locale->get_month( $month ), $months ),
+			'monthsShort' => array_map( static fn( int $month ): string => $wp_locale->get_month_abbrev( $wp_locale->get_month( $month ) ), $months ),
+		];
+	}
+
+	/**
+	 * Get the store currency format for cost estimates.
+	 *
+	 * @return array{symbol: string, decimals: int, position: string, thousandSep: string, decimalSep: string}
+	 */
+	protected function getCurrencyFormat(): array {
+		return [
+			'symbol'      => html_entity_decode( get_woocommerce_currency_symbol(), ENT_QUOTES ),
+			'decimals'    => wc_get_price_decimals(),
+			'position'    => (string) get_option( 'woocommerce_currency_pos', 'left' ),
+			'thousandSep' => wc_get_price_thousand_separator(),
+			'decimalSep'  => wc_get_price_decimal_separator(),
+		];
+	}
+
+	/**
+	 * Get product categories for the segment builder.
+	 *
+	 * @return array<int, array{id: int, name: string}> Categories.
+	 */
+	protected function getCategoryChoices(): array {
+		$categories = get_terms(
+			[
+				'taxonomy'   => 'product_cat',
+				'hide_empty' => false,
+			]
+		);
+
+		if ( is_wp_error( $categories ) ) {
+			return [];
+		}
+
+		return array_map(
+			static fn( $category ) => [
+				'id'   => (int) $category->term_id,
+				'name' => html_entity_decode( $category->name ),
+			],
+			$categories
+		);
+	}
+
 	/**
 	 * Get localized strings for JavaScript.
 	 *
@@ -150,17 +263,165 @@ class AdminBroadcastsController {
 	 */
 	protected function getLocalizedStrings(): array {
 		return [
-			'confirmDelete'     => __( 'Are you sure you want to delete this campaign?', 'whatsapp-commerce-hub' ),
-			'confirmSend'       => __( 'Are you sure you want to send this campaign?', 'whatsapp-commerce-hub' ),
-			'savingCampaign'    => __( 'Saving campaign...', 'whatsapp-commerce-hub' ),
-			'sendingCampaign'   => __( 'Scheduling campaign...', 'whatsapp-commerce-hub' ),
-			'deletingCampaign'  => __( 'Deleting campaign...', 'whatsapp-commerce-hub' ),
-			'loadingReport'     => __( 'Loading report...', 'whatsapp-commerce-hub' ),
-			'loadingAudience'   => __( 'Calculating audience...', 'whatsapp-commerce-hub' ),
-			'errorOccurred'     => __( 'An error occurred. Please try again.', 'whatsapp-commerce-hub' ),
-			'campaignSaved'     => __( 'Campaign saved successfully!', 'whatsapp-commerce-hub' ),
-			'campaignScheduled' => __( 'Campaign scheduled successfully!', 'whatsapp-commerce-hub' ),
-			'testSent'          => __( 'Test message sent!', 'whatsapp-commerce-hub' ),
+			'confirmDelete'      => __( 'Are you sure you want to delete this campaign?', 'whatsapp-commerce-hub' ),
+			'confirmSend'        => __( 'Are you sure you want to send this campaign?', 'whatsapp-commerce-hub' ),
+			'savingCampaign'     => __( 'Saving campaign...', 'whatsapp-commerce-hub' ),
+			'sendingCampaign'    => __( 'Scheduling campaign...', 'whatsapp-commerce-hub' ),
+			'deletingCampaign'   => __( 'Deleting campaign...', 'whatsapp-commerce-hub' ),
+			'loadingReport'      => __( 'Loading report...', 'whatsapp-commerce-hub' ),
+			'loadingAudience'    => __( 'Calculating audience...', 'whatsapp-commerce-hub' ),
+			'errorOccurred'      => __( 'An error occurred. Please try again.', 'whatsapp-commerce-hub' ),
+			'campaignSaved'      => __( 'Campaign saved successfully!', 'whatsapp-commerce-hub' ),
+			'campaignScheduled'  => __( 'Campaign scheduled successfully!', 'whatsapp-commerce-hub' ),
+			'testNone'           => __( 'Add at least one test number.', 'whatsapp-commerce-hub' ),
+			/* translators: %s: phone number as typed */
+			'testInvalid'        => __( 'Not a valid international number: %s', 'whatsapp-commerce-hub' ),
+			/* translators: %d: most test numbers allowed */
+			'testTooMany'        => __( 'Send tests to at most %d numbers at a time.', 'whatsapp-commerce-hub' ),
+			/* translators: %d: number of test numbers */
+			'testSendTo'         => __( 'Send Test to %d Numbers', 'whatsapp-commerce-hub' ),
+			'testSending'        => __( 'Sending...', 'whatsapp-commerce-hub' ),
+			'testGroupPrompt'    => __( 'Name this test group:', 'whatsapp-commerce-hub' ),
+			'testGroupSaved'     => __( 'Test group saved', 'whatsapp-commerce-hub' ),
+			'testGroupConfirm'   => __( 'Delete this test group?', 'whatsapp-commerce-hub' ),
+			'testAccepted'       => __( 'Accepted', 'whatsapp-commerce-hub' ),
+			'testDelivered'      => __( 'Delivered', 'whatsapp-commerce-hub' ),
+			'testRead'           => __( 'Read', 'whatsapp-commerce-hub' ),
+			'testFailed'         => __( 'Failed', 'whatsapp-commerce-hub' ),
+			'draftSaving'        => __( 'Saving draft...', 'whatsapp-commerce-hub' ),
+			/* translators: %s: time the draft was saved */
+			'draftSaved'         => __( 'Draft saved at %s', 'whatsapp-commerce-hub' ),
+			'draftSaveFailed'    => __( 'Draft could not be saved', 'whatsapp-commerce-hub' ),
+			'draftLoadFailed'    => __( 'The draft could not be loaded.', 'whatsapp-commerce-hub' ),
+			'templateMissing'    => __( 'The template used by this draft is no longer approved. Please select another template.', 'whatsapp-commerce-hub' ),
+			/* translators: %s: total audience share, e.g. 100% */
+			'abShareTotal'       => __( 'Variant shares total %s of the audience.', 'whatsapp-commerce-hub' ),
+			/* translators: 1: audience share in the test, e.g. 20%, 2: audience share held back for the winner */
+			'abShareWithWinner'  => __( 'Variants are tested on %1$s of the audience; the winner goes to the remaining %2$s.', 'whatsapp-commerce-hub' ),
+			'abNeedsVariants'    => __( 'An A/B test needs at least two variants.', 'whatsapp-commerce-hub' ),
+			/* translators: %s: variant key */
+			'abTemplateRequired' => __( 'Please select an approved template for variant %s.', 'whatsapp-commerce-hub' ),
+			'abShareInvalid'     => __( 'Variant shares must add up to 100%.', 'whatsapp-commerce-hub' ),
+			'abShareHoldout'     => __( 'Variant shares must leave part of the audience for the winner.', 'whatsapp-commerce-hub' ),
+			'matchAll'           => __( 'All of these conditions', 'whatsapp-commerce-hub' ),
+			'matchAny'           => __( 'Any of these conditions', 'whatsapp-commerce-hub' ),
+			'addCondition'       => __( 'Add condition', 'whatsapp-commerce-hub' ),
+			'addGroup'           => __( 'Add group', 'whatsapp-commerce-hub' ),
+			'remove'             => __( 'Remove', 'whatsapp-commerce-hub' ),
+			'searchProducts'     => __( 'Search for a product...', 'whatsapp-commerce-hub' ),
+			'selectCategories'   => __( 'Select categories', 'whatsapp-commerce-hub' ),
+			'selectCountries'    => __( 'Select countries', 'whatsapp-commerce-hub' ),
+			'tagsPlaceholder'    => __( 'vip, wholesale', 'whatsapp-commerce-hub' ),
+			'segmentEmpty'       => __( 'No conditions: all opted-in customers will receive this campaign.', 'whatsapp-commerce-hub' ),
+			'segmentNamePrompt'  => __( 'Name this segment:', 'whatsapp-commerce-hub' ),
+			'segmentSaved'       => __( 'Segment saved.', 'whatsapp-commerce-hub' ),
+			'segmentDeleted'     => __( 'Segment deleted.', 'whatsapp-commerce-hub' ),
+			'segmentConfirm'     => __( 'Delete this saved segment? Campaigns that already use it keep their conditions.', 'whatsapp-commerce-hub' ),
+			'contactImporting'   => __( 'Importing contacts...', 'whatsapp-commerce-hub' ),
+			/* translators: 1: contacts imported, 2: rows in the file, 3: invalid numbers, 4: duplicate numbers, 5: opted-out numbers */
+			'contactSummary'     => __( '%1$s of %2$s rows will receive this campaign. Skipped: %3$s invalid, %4$s duplicate, %5$s opted out.', 'whatsapp-commerce-hub' ),
+			/* translators: %s: number of rows listed */
+			'contactTruncated'   => __( 'Only the first %s skipped rows are listed.', 'whatsapp-commerce-hub' ),
+			'contactReupload'    => __( 'Upload the file again to change the phone column or country.', 'whatsapp-commerce-hub' ),
+			'contactRequired'    => __( 'Please upload a contact list.', 'whatsapp-commerce-hub' ),
+			'selectPhoneColumn'  => __( 'Select the phone column', 'whatsapp-commerce-hub' ),
+			'issueInvalid'       => __( 'Invalid number', 'whatsapp-commerce-hub' ),
+			'issueDuplicate'     => __( 'Duplicate', 'whatsapp-commerce-hub' ),
+			'issueOptedOut'      => __( 'Opted out', 'whatsapp-commerce-hub' ),
+			'csvColumns'         => __( 'Contact list columns', 'whatsapp-commerce-hub' ),
+			'breakdownAll'       => __( 'Matching your conditions', 'whatsapp-commerce-hub' ),
+			'breakdownTotal'     => __( 'Will receive', 'whatsapp-commerce-hub' ),
+			'excludedOptedOut'   => __( 'Opted out of marketing', 'whatsapp-commerce-hub' ),
+			'excludedRecent'     => __( 'Received a recent broadcast', 'whatsapp-commerce-hub' ),
+			'excludedCapped'     => __( 'Reached their message limit', 'whatsapp-commerce-hub' ),
+			'excludedManual'     => __( 'Excluded by hand', 'whatsapp-commerce-hub' ),
+			'sampleEmpty'        => __( 'No recipients match this audience.', 'whatsapp-commerce-hub' ),
+			/* translators: 1: current page, 2: number of pages */
+			'samplePage'         => __( 'Page %1$s of %2$s', 'whatsapp-commerce-hub' ),
+			'sampleExclude'      => __( 'Exclude', 'whatsapp-commerce-hub' ),
+			'sampleInclude'      => __( 'Include again', 'whatsapp-commerce-hub' ),
+			/* translators: %s: variable placeholder, e.g. {{1}} */
+			'paramHeader'        => __( 'Header %s', 'whatsapp-commerce-hub' ),
+			/* translators: %s: variable placeholder, e.g. {{1}} */
+			'paramBody'          => __( 'Body %s', 'whatsapp-commerce-hub' ),
+			/* translators: %s: button position */
+			'paramUrl'           => __( 'Button %s link', 'whatsapp-commerce-hub' ),
+			/* translators: %s: button position */
+			'paramCode'          => __( 'Button %s code', 'whatsapp-commerce-hub' ),
+			'mediaImage'         => __( 'Header image', 'whatsapp-commerce-hub' ),
+			'mediaVideo'         => __( 'Header video', 'whatsapp-commerce-hub' ),
+			'mediaDocument'      => __( 'Header document', 'whatsapp-commerce-hub' ),
+			'mediaPlaceholder'   => __( 'https://example.com/file.jpg', 'whatsapp-commerce-hub' ),
+			'selectMedia'        => __( 'Choose file', 'whatsapp-commerce-hub' ),
+			'mediaRequired'      => __( 'Please add the file shown in the template header.', 'whatsapp-commerce-hub' ),
+			'enterValue'         => __( 'Enter value', 'whatsapp-commerce-hub' ),
+			'metaKey'            => __( 'Meta key, e.g. loyalty_tier', 'whatsapp-commerce-hub' ),
+			'fallbackValue'      => __( 'Fallback when data is missing', 'whatsapp-commerce-hub' ),
+			'previewLoading'     => __( 'Loading recipients...', 'whatsapp-commerce-hub' ),
+			'previewEmpty'       => __( 'No recipients match this audience yet.', 'whatsapp-commerce-hub' ),
+			'couponPrefix'       => __( 'Code prefix, e.g. SPRING', 'whatsapp-commerce-hub' ),
+			'couponType'         => __( 'Discount type', 'whatsapp-commerce-hub' ),
+			'couponPercent'      => __( 'Percentage discount', 'whatsapp-commerce-hub' ),
+			'couponFixed'        => __( 'Fixed cart discount', 'whatsapp-commerce-hub' ),
+			'couponAmount'       => __( 'Amount', 'whatsapp-commerce-hub' ),
+			'couponExpiry'       => __( 'Expires after (days, 0 for never)', 'whatsapp-commerce-hub' ),
+			'couponMinimum'      => __( 'Minimum spend', 'whatsapp-commerce-hub' ),
+			'couponExcludeSale'  => __( 'Exclude sale items', 'whatsapp-commerce-hub' ),
+			'couponRestrict'     => __( "Only usable with the recipient's email", 'whatsapp-commerce-hub' ),
+			'couponRequired'     => __( 'Please enter a discount amount for each unique coupon.', 'whatsapp-commerce-hub' ),
+			/* translators: %s: number of coupons */
+			'couponSummary'      => __( '%s single-use coupons will be created, one per recipient.', 'whatsapp-commerce-hub' ),
+			'costLoading'        => __( 'Estimating cost...', 'whatsapp-commerce-hub' ),
+			/* translators: %s: template category, e.g. marketing */
+			'costCategory'       => __( 'Priced at %s rates for each recipient country.', 'whatsapp-commerce-hub' ),
+			/* translators: 1: estimated cost, 2: campaign budget */
+			'costOverBudget'     => __( 'The estimated cost of %1$s exceeds your campaign budget of %2$s.', 'whatsapp-commerce-hub' ),
+			'pricingSaving'      => __( 'Saving rates...', 'whatsapp-commerce-hub' ),
+			'pricingSaved'       => __( 'Rates saved.', 'whatsapp-commerce-hub' ),
+			'pricingDuplicate'   => __( 'Each country can only be listed once.', 'whatsapp-commerce-hub' ),
+			'quietInvalid'       => __( 'Quiet hours need different start and end times.', 'whatsapp-commerce-hub' ),
+			/* translators: %s: date and time */
+			'localSchedule'      => __( "%s in each recipient's local time", 'whatsapp-commerce-hub' ),
+			'deliveryLoading'    => __( 'Working out delivery times...', 'whatsapp-commerce-hub' ),
+			/* translators: 1: date and time, 2: site timezone */
+			'deliveryAt'         => __( 'All messages go out at %1$s (%2$s).', 'whatsapp-commerce-hub' ),
+			/* translators: 1: first send time, 2: last send time, 3: site timezone */
+			'deliveryWindow'     => __( 'Messages go out between %1$s and %2$s (%3$s).', 'whatsapp-commerce-hub' ),
+			/* translators: %s: number of timezones */
+			'deliveryZones'      => __( 'Recipients span %s timezones.', 'whatsapp-commerce-hub' ),
+			/* translators: %s: number of recipients */
+			'deliveryDeferred'   => __( '%s recipients wait until their quiet hours end.', 'whatsapp-commerce-hub' ),
+			'recurrenceDays'     => __( 'Choose at least one day of the week to repeat on.', 'whatsapp-commerce-hub' ),
+			'recurrenceEnd'      => __( 'The end date must be on or after the first run.', 'whatsapp-commerce-hub' ),
+			'recurrenceCount'    => __( 'The number of runs must be at least 1.', 'whatsapp-commerce-hub' ),
+			'recurrenceNone'     => __( 'This schedule has no future runs.', 'whatsapp-commerce-hub' ),
+			/* translators: %s: timezone */
+			'recurrenceZone'     => __( 'Times shown in %s.', 'whatsapp-commerce-hub' ),
+			'recurrenceLoading'  => __( 'Working out run times...', 'whatsapp-commerce-hub' ),
+			'progressLive'       => __( 'Updating live', 'whatsapp-commerce-hub' ),
+			/* translators: %s: time of the last update */
+			'progressUpdated'    => __( 'Last updated %s', 'whatsapp-commerce-hub' ),
+			'retryFailed'        => __( 'Retry failed recipients', 'whatsapp-commerce-hub' ),
+			'retrying'           => __( 'Queuing...', 'whatsapp-commerce-hub' ),
+			/* translators: %s: number of recipients */
+			'confirmRetry'       => __( 'Send this campaign again to %s failed recipients?', 'whatsapp-commerce-hub' ),
+			'retryUnavailable'   => __( 'Available once the campaign has finished sending', 'whatsapp-commerce-hub' ),
+			'noErrorCode'        => __( 'None', 'whatsapp-commerce-hub' ),
+			'confirmCancel'      => __( 'Cancel this campaign? Messages not yet sent will be dropped.', 'whatsapp-commerce-hub' ),
+			'bulkNone'           => __( 'Select at least one campaign.', 'whatsapp-commerce-hub' ),
+			/* translators: %s: number of campaigns */
+			'confirmBulkDelete'  => __( 'Delete %s campaigns? This cannot be undone.', 'whatsapp-commerce-hub' ),
+			'campaignPending'    => __( 'This campaign needs approval before it is sent. It is now waiting for an approver.', 'whatsapp-commerce-hub' ),
+			'confirmApprove'     => __( 'Approve this campaign and schedule it for sending?', 'whatsapp-commerce-hub' ),
+			'rejectNeedsComment' => __( 'Add a comment explaining why the campaign is rejected.', 'whatsapp-commerce-hub' ),
+			/* translators: %s: estimated number of messages */
+			'calendarMessages'   => __( '~%s messages', 'whatsapp-commerce-hub' ),
+			/* translators: %s: estimated number of messages */
+			'calendarWeekTotal'  => __( 'Week: ~%s messages', 'whatsapp-commerce-hub' ),
+			/* translators: %s: number of broadcasts */
+			'calendarOverlap'    => __( '%s broadcasts on this day', 'whatsapp-commerce-hub' ),
+			/* translators: 1: campaign name, 2: date */
+			'confirmReschedule'  => __( 'Move "%1$s" to %2$s? It will be queued again for the new date.', 'whatsapp-commerce-hub' ),
 		];
 	}
 
@@ -195,6 +456,16 @@ class AdminBroadcastsController {
 					break;
 				case 'report':
 					$this->reportGenerator->render( $campaignId );
+					$this->renderApprovalHistory( $campaignId );
+					break;
+				case 'review':
+					$this->approvalRenderer->render( $campaignId );
+					break;
+				case 'pricing':
+					$this->pricingRenderer->render();
+					break;
+				case 'calendar':
+					$this->calendarRenderer->render();
 					break;
 				default:
 					$this->renderCampaignsList();
@@ -205,6 +476,20 @@ class AdminBroadcastsController {
 		<?php
 	}
 
+	/**
+	 * Render a campaign's approval history below its report.
+	 *
+	 * @param int $campaignId Campaign ID.
+	 * @return void
+	 */
+	protected function renderApprovalHistory( int $campaignId ): void {
+		$campaign = $this->repository->getById( $campaignId );
+
+		if ( null !== $campaign ) {
+			$this->approvalRenderer->renderHistory( $campaign );
+		}
+	}
+
 	/**
 	 * Render page action button.
 	 *
@@ -218,6 +503,16 @@ class AdminBroadcastsController {
 				esc_url( admin_url( 'admin.php?page=' . self::MENU_SLUG . '&action=create' ) ),
 				esc_html__( 'Create Campaign', 'whatsapp-commerce-hub' )
 			);
+			printf(
+				'<a href="%s" class="page-title-action">%s</a>',
+				esc_url( admin_url( 'admin.php?page=' . self::MENU_SLUG . '&action=calendar' ) ),
+				esc_html__( 'Calendar', 'whatsapp-commerce-hub' )
+			);
+			printf(
+				'<a href="%s" class="page-title-action">%s</a>',
+				esc_url( admin_url( 'admin.php?page=' . self::MENU_SLUG . '&action=pricing' ) ),
+				esc_html__( 'Message Rates', 'whatsapp-commerce-hub' )
+			);
 		} else {
 			printf(
 				'<a href="%s" class="page-title-action">%s</a>',
@@ -230,34 +525,280 @@ class AdminBroadcastsController {
 	/**
 	 * Render campaigns list.
 	 *
+	 * Search, filters, sorting and the page are read from the URL.
+	 *
 	 * @return void
 	 */
 	protected function renderCampaignsList(): void {
 		$campaigns = $this->repository->getAll();
+		$drafts    = array_filter(
+			$campaigns,
+			static fn( array $campaign ): bool => 'draft' === ( $campaign['status'] ?? 'draft' )
+		);
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only list filters.
+		$state  = $this->listQuery->parseState( $_GET );
+		$result = $this->listQuery->query( $state );
+
+		if ( ! empty( $drafts ) ) {
+			$this->renderDraftsList( $drafts );
+		}
 		?>
 		<div class="wch-campaigns-list">
-			<table class="wp-list-table widefat fixed striped">
+			<?php if ( ! empty( $drafts ) ) : ?>
+				<h2><?php esc_html_e( 'Campaigns', 'whatsapp-commerce-hub' ); ?></h2>
+			<?php endif; ?>
+			<?php $this->renderListFilters( $state ); ?>
+			<?php $this->renderListNav( $state, $result, 'top' ); ?>
+			<table class="wp-list-table widefat fixed striped wch-campaigns-table">
 				<thead>
-					<tr>
-						<th><?php esc_html_e( 'Name', 'whatsapp-commerce-hub' ); ?></th>
-						<th><?php esc_html_e( 'Template', 'whatsapp-commerce-hub' ); ?></th>
-						<th><?php esc_html_e( 'Audience Size', 'whatsapp-commerce-hub' ); ?></th>
-						<th><?php esc_html_e( 'Status', 'whatsapp-commerce-hub' ); ?></th>
-						<th><?php esc_html_e( 'Statistics', 'whatsapp-commerce-hub' ); ?></th>
-						<th><?php esc_html_e( 'Date', 'whatsapp-commerce-hub' ); ?></th>
-						<th><?php esc_html_e( 'Actions', 'whatsapp-commerce-hub' ); ?></th>
-					</tr>
+					<?php $this->renderListHeader( $state ); ?>
 				</thead>
 				<tbody>
 					<?php if ( empty( $campaigns ) ) : ?>
 						<?php $this->renderEmptyState(); ?>
+					<?php elseif ( empty( $result['items'] ) ) : ?>
+						<tr>
+							<td colspan="10">
+								<?php
+								echo esc_html(
+									$state === $this->listQuery->parseState( [] )
+										? __( 'No scheduled or sent campaigns yet.', 'whatsapp-commerce-hub' )
+										: __( 'No campaigns match these filters.', 'whatsapp-commerce-hub' )
+								);
+								?>
+							</td>
+						</tr>
 					<?php else : ?>
-						<?php foreach ( $campaigns as $campaign ) : ?>
+						<?php foreach ( $result['items'] as $campaign ) : ?>
 							<?php $this->renderCampaignRow( $campaign ); ?>
 						<?php endforeach; ?>
 					<?php endif; ?>
 				</tbody>
 			</table>
+			<?php $this->renderListNav( $state, $result, 'bottom' ); ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Get the campaign list URL for a list state.
+	 *
+	 * @param array $state     List state.
+	 * @param array $overrides State values to change.
+	 * @return string URL with only the non-default state in its query.
+	 */
+	protected function getListUrl( array $state, array $overrides = [] ): string {
+		$args = array_diff_assoc( array_merge( $state, $overrides ), CampaignListQuery::DEFAULTS );
+
+		return add_query_arg( array_map( 'rawurlencode', array_map( 'strval', $args ) ), admin_url( 'admin.php?page=' . self::MENU_SLUG ) );
+	}
+
+	/**
+	 * Render the campaign search and filters.
+	 *
+	 * @param array $state List state.
+	 * @return void
+	 */
+	protected function renderListFilters( array $state ): void {
+		$statuses = array_diff_key( $this->getStatusLabels(), [ 'draft' => '' ] );
+		$filtered = '' !== $state['s'] || '' !== $state['status'] || '' !== $state['from'] || '' !== $state['to'];
+		?>
+		<form method="get" class="wch-campaign-filters">
+			<input type="hidden" name="page" value="<?php echo esc_attr( self::MENU_SLUG ); ?>">
+			<input type="hidden" name="orderby" value="<?php echo esc_attr( $state['orderby'] ); ?>">
+			<input type="hidden" name="order" value="<?php echo esc_attr( $state['order'] ); ?>">
+			<p class="search-box">
+				<label class="screen-reader-text" for="wch-campaign-search"><?php esc_html_e( 'Search campaigns', 'whatsapp-commerce-hub' ); ?></label>
+				<input type="search" id="wch-campaign-search" name="s" value="<?php echo esc_attr( $state['s'] ); ?>" placeholder="<?php esc_attr_e( 'Name or template', 'whatsapp-commerce-hub' ); ?>">
+				<input type="submit" class="button" value="<?php esc_attr_e( 'Search Campaigns', 'whatsapp-commerce-hub' ); ?>">
+			</p>
+			<div class="alignleft actions">
+				<label class="screen-reader-text" for="wch-campaign-status"><?php esc_html_e( 'Filter by status', 'whatsapp-commerce-hub' ); ?></label>
+				<select name="status" id="wch-campaign-status">
+					<option value=""><?php esc_html_e( 'All statuses', 'whatsapp-commerce-hub' ); ?></option>
+					<?php foreach ( $statuses as $status => $label ) : ?>
+						<option value="<?php echo esc_attr( $status ); ?>" <?php selected( $state['status'], $status ); ?>><?php echo esc_html( $label ); ?></option>
+					<?php endforeach; ?>
+					<option value="archived" <?php selected( $state['status'], 'archived' ); ?>><?php esc_html_e( 'Archived', 'whatsapp-commerce-hub' ); ?></option>
+				</select>
+				<label>
+					<?php esc_html_e( 'From', 'whatsapp-commerce-hub' ); ?>
+					<input type="date" name="from" value="<?php echo esc_attr( $state['from'] ); ?>">
+				</label>
+				<label>
+					<?php esc_html_e( 'To', 'whatsapp-commerce-hub' ); ?>
+					<input type="date" name="to" value="<?php echo esc_attr( $state['to'] ); ?>">
+				</label>
+				<input type="submit" class="button" value="<?php esc_attr_e( 'Filter', 'whatsapp-commerce-hub' ); ?>">
+				<?php if ( $filtered ) : ?>
+					<a href="<?php echo esc_url( $this->getListUrl( CampaignListQuery::DEFAULTS ) ); ?>"><?php esc_html_e( 'Clear filters', 'whatsapp-commerce-hub' ); ?></a>
+				<?php endif; ?>
+			</div>
+		</form>
+		<?php
+	}
+
+	/**
+	 * Render bulk actions and pagination above or below the list.
+	 *
+	 * @param array  $state  List state.
+	 * @param array  $result Query result.
+	 * @param string $which  Position: top or bottom.
+	 * @return void
+	 */
+	protected function renderListNav( array $state, array $result, string $which ): void {
+		$pagination = paginate_links(
+			[
+				'base'    => str_replace( '%25%23%25', '%#%', $this->getListUrl( $state, [ 'paged' => '%#%' ] ) ),
+				'format'  => '',
+				'current' => min( (int) $state['paged'], $result['pages'] ),
+				'total'   => $result['pages'],
+			]
+		);
+		?>
+		<div class="tablenav <?php echo esc_attr( $which ); ?>">
+			<?php if ( 'top' === $which ) : ?>
+				<div class="alignleft actions bulkactions">
+					<label class="screen-reader-text" for="wch-bulk-action"><?php esc_html_e( 'Select bulk action', 'whatsapp-commerce-hub' ); ?></label>
+					<select id="wch-bulk-action">
+						<option value=""><?php esc_html_e( 'Bulk actions', 'whatsapp-commerce-hub' ); ?></option>
+						<?php if ( 'archived' === $state['status'] ) : ?>
+							<option value="restore"><?php esc_html_e( 'Restore', 'whatsapp-commerce-hub' ); ?></option>
+						<?php else : ?>
+							<option value="archive"><?php esc_html_e( 'Archive', 'whatsapp-commerce-hub' ); ?></option>
+						<?php endif; ?>
+						<option value="delete"><?php esc_html_e( 'Delete', 'whatsapp-commerce-hub' ); ?></option>
+					</select>
+					<button type="button" class="button" id="wch-bulk-apply"><?php esc_html_e( 'Apply', 'whatsapp-commerce-hub' ); ?></button>
+				</div>
+			<?php endif; ?>
+			<div class="tablenav-pages">
+				<span class="displaying-num">
+					<?php
+					/* translators: %s: number of campaigns */
+					echo esc_html( sprintf( _n( '%s campaign', '%s campaigns', $result['total'], 'whatsapp-commerce-hub' ), number_format_i18n( $result['total'] ) ) );
+					?>
+				</span>
+				<?php if ( $pagination ) : ?>
+					<span class="pagination-links"><?php echo wp_kses_post( $pagination ); ?></span>
+				<?php endif; ?>
+			</div>
+			<br class="clear">
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render the campaign list header with sortable columns.
+	 *
+	 * @param array $state List state.
+	 * @return void
+	 */
+	protected function renderListHeader( array $state ): void {
+		$columns = [
+			'name'      => [ __( 'Name', 'whatsapp-commerce-hub' ), '' ],
+			'template'  => [ __( 'Template', 'whatsapp-commerce-hub' ), '' ],
+			'audience'  => [ __( 'Audience Size', 'whatsapp-commerce-hub' ), 'audience' ],
+			'status'    => [ __( 'Status', 'whatsapp-commerce-hub' ), '' ],
+			'stats'     => [ __( 'Statistics', 'whatsapp-commerce-hub' ), '' ],
+			'read_rate' => [ __( 'Read Rate', 'whatsapp-commerce-hub' ), 'read_rate' ],
+			'revenue'   => [ __( 'Revenue', 'whatsapp-commerce-hub' ), 'revenue' ],
+			'date'      => [ __( 'Date', 'whatsapp-commerce-hub' ), 'date' ],
+			'actions'   => [ __( 'Actions', 'whatsapp-commerce-hub' ), '' ],
+		];
+		?>
+		<tr>
+			<td class="manage-column column-cb check-column">
+				<label class="screen-reader-text" for="wch-campaigns-select-all"><?php esc_html_e( 'Select all', 'whatsapp-commerce-hub' ); ?></label>
+				<input type="checkbox" id="wch-campaigns-select-all">
+			</td>
+			<?php foreach ( $columns as $column => [ $label, $orderby ] ) : ?>
+				<?php if ( '' === $orderby ) : ?>
+					<th scope="col" class="manage-column column-<?php echo esc_attr( $column ); ?>"><?php echo esc_html( $label ); ?></th>
+				<?php else : ?>
+					<?php
+					$sorted = $state['orderby'] === $orderby;
+					$order  = $sorted && 'desc' === $state['order'] ? 'asc' : 'desc';
+					?>
+					<th scope="col" class="manage-column column-<?php echo esc_attr( $column ); ?> <?php echo esc_attr( $sorted ? 'sorted ' . $state['order'] : 'sortable asc' ); ?>">
+						<a href="<?php echo esc_url( $this->getListUrl( $state, [ 'orderby' => $orderby, 'order' => $order, 'paged' => 1 ] ) ); ?>">
+							<span><?php echo esc_html( $label ); ?></span>
+							<span class="sorting-indicator"></span>
+						</a>
+					</th>
+				<?php endif; ?>
+			<?php endforeach; ?>
+		</tr>
+		<?php
+	}
+
+	/**
+	 * Render the drafts section.
+	 *
+	 * @param array $drafts Draft campaigns.
+	 * @return void
+	 */
+	protected function renderDraftsList( array $drafts ): void {
+		$steps = $this->wizardRenderer->getSteps();
+		?>
+		<div class="wch-campaigns-list wch-drafts-list">
+			<h2><?php esc_html_e( 'Drafts', 'whatsapp-commerce-hub' ); ?></h2>
+			<table class="wp-list-table widefat fixed striped">
+				<thead>
+					<tr>
+						<th><?php esc_html_e( 'Name', 'whatsapp-commerce-hub' ); ?></th>
+						<th><?php esc_html_e( 'Template', 'whatsapp-commerce-hub' ); ?></th>
+						<th><?php esc_html_e( 'Left At Step', 'whatsapp-commerce-hub' ); ?></th>
+						<th><?php esc_html_e( 'Last Saved', 'whatsapp-commerce-hub' ); ?></th>
+						<th><?php esc_html_e( 'Actions', 'whatsapp-commerce-hub' ); ?></th>
+					</tr>
+				</thead>
+				<tbody>
+					<?php foreach ( $drafts as $draft ) : ?>
+						<?php
+						$step     = (int) ( $draft['wizard_step'] ?? 1 );
+						$savedAt  = $draft['updated_at'] ?? $draft['created_at'] ?? '';
+						$draftUrl = admin_url( 'admin.php?page=' . self::MENU_SLUG . '&action=edit&campaign_id=' . $draft['id'] );
+						?>
+						<tr data-campaign-id="<?php echo esc_attr( $draft['id'] ); ?>">
+							<td>
+								<strong>
+									<?php echo esc_html( '' !== ( $draft['name'] ?? '' ) ? $draft['name'] : __( '(Untitled draft)', 'whatsapp-commerce-hub' ) ); ?>
+								</strong>
+							</td>
+							<td><?php echo esc_html( '' !== ( $draft['template_name'] ?? '' ) ? $draft['template_name'] : '-' ); ?></td>
+							<td>
+								<?php
+								printf(
+									/* translators: 1: step number, 2: step label */
+									esc_html__( '%1$d. %2$s', 'whatsapp-commerce-hub' ),
+									(int) $step,
+									esc_html( $steps[ $step ] ?? '' )
+								);
+								?>
+							</td>
+							<td>
+								<?php
+								echo esc_html(
+									$savedAt
+										? wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), strtotime( $savedAt ) )
+										: '-'
+								);
+								?>
+							</td>
+							<td class="wch-campaign-actions">
+								<a href="<?php echo esc_url( $draftUrl ); ?>" class="button button-small button-primary">
+									<?php esc_html_e( 'Resume', 'whatsapp-commerce-hub' ); ?>
+								</a>
+								<button type="button" class="button button-small button-link-delete wch-delete-campaign" data-campaign-id="<?php echo esc_attr( $draft['id'] ); ?>">
+									<?php esc_html_e( 'Delete', 'whatsapp-commerce-hub' ); ?>
+								</button>
+							</td>
+						</tr>
+					<?php endforeach; ?>
+				</tbody>
+			</table>
 		</div>
 		<?php
 	}
@@ -270,7 +811,7 @@ class AdminBroadcastsController {
 	protected function renderEmptyState(): void {
 		?>
 		<tr>
-			<td colspan="7" class="wch-no-campaigns">
+			<td colspan="10" class="wch-no-campaigns">
 				<p><?php esc_html_e( 'No campaigns found.', 'whatsapp-commerce-hub' ); ?></p>
 				<a href="<?php echo esc_url( admin_url( 'admin.php?page=' . self::MENU_SLUG . '&action=create' ) ); ?>" class="button button-primary">
 					<?php esc_html_e( 'Create Your First Campaign', 'whatsapp-commerce-hub' ); ?>
@@ -289,11 +830,21 @@ class AdminBroadcastsController {
 	protected function renderCampaignRow( array $campaign ): void {
 		?>
 		<tr data-campaign-id="<?php echo esc_attr( $campaign['id'] ); ?>">
+			<th scope="row" class="check-column">
+				<input type="checkbox" class="wch-campaign-cb" value="<?php echo esc_attr( $campaign['id'] ); ?>">
+			</th>
 			<td><strong><?php echo esc_html( $campaign['name'] ?? '' ); ?></strong></td>
 			<td><?php echo esc_html( $campaign['template_name'] ?? __( 'N/A', 'whatsapp-commerce-hub' ) ); ?></td>
 			<td><?php echo esc_html( number_format_i18n( $campaign['audience_size'] ?? 0 ) ); ?></td>
-			<td><?php echo wp_kses_post( $this->getStatusBadge( $campaign['status'] ?? 'draft' ) ); ?></td>
+			<td>
+				<?php echo wp_kses_post( $this->getStatusBadge( $campaign['status'] ?? 'draft' ) ); ?>
+				<?php if ( ! empty( $campaign['archived_at'] ) ) : ?>
+					<span class="wch-badge wch-badge-archived"><?php esc_html_e( 'Archived', 'whatsapp-commerce-hub' ); ?></span>
+				<?php endif; ?>
+			</td>
 			<td><?php echo wp_kses_post( $this->formatCampaignStats( $campaign ) ); ?></td>
+			<td><?php echo esc_html( (int) ( $campaign['stats']['sent'] ?? 0 ) > 0 ? number_format_i18n( (float) ( $campaign['read_rate'] ?? 0 ), 1 ) . '%' : '-' ); ?></td>
+			<td><?php echo wp_kses_post( $this->formatRevenue( (float) ( $campaign['revenue'] ?? 0 ) ) ); ?></td>
 			<td><?php echo esc_html( $this->formatCampaignDate( $campaign ) ); ?></td>
 			<td class="wch-campaign-actions">
 				<?php echo wp_kses_post( $this->getCampaignActions( $campaign ) ); ?>
@@ -309,16 +860,32 @@ class AdminBroadcastsController {
 	 * @return string Badge HTML.
 	 */
 	protected function getStatusBadge( string $status ): string {
-		$badges = [
-			'draft'     => '<span class="wch-badge wch-badge-draft">' . __( 'Draft', 'whatsapp-commerce-hub' ) . '</span>',
-			'scheduled' => '<span class="wch-badge wch-badge-scheduled">' . __( 'Scheduled', 'whatsapp-commerce-hub' ) . '</span>',
-			'sending'   => '<span class="wch-badge wch-badge-sending">' . __( 'Sending', 'whatsapp-commerce-hub' ) . '</span>',
-			'completed' => '<span class="wch-badge wch-badge-completed">' . __( 'Completed', 'whatsapp-commerce-hub' ) . '</span>',
-			'failed'    => '<span class="wch-badge wch-badge-failed">' . __( 'Failed', 'whatsapp-commerce-hub' ) . '</span>',
-			'cancelled' => '<span class="wch-badge wch-badge-cancelled">' . __( 'Cancelled', 'whatsapp-commerce-hub' ) . '</span>',
-		];
+		$labels = $this->getStatusLabels();
+
+		if ( ! isset( $labels[ $status ] ) ) {
+			return $status;
+		}
 
-		return $badges[ $status ] ?? $status;
+		return '<span class="wch-badge wch-badge-' . $status . '">' . $labels[ $status ] . '</span>';
+	}
+
+	/**
+	 * Get campaign status labels.
+	 *
+	 * @return array<string, string> Labels keyed by status.
+	 */
+	protected function getStatusLabels(): array {
+		return [
+			'draft'            => __( 'Draft', 'whatsapp-commerce-hub' ),
+			'scheduled'        => __( 'Scheduled', 'whatsapp-commerce-hub' ),
+			'pending_approval' => __( 'Pending approval', 'whatsapp-commerce-hub' ),
+			'recurring'        => __( 'Recurring', 'whatsapp-commerce-hub' ),
+			'sending'          => __( 'Sending', 'whatsapp-commerce-hub' ),
+			'paused'           => __( 'Paused', 'whatsapp-commerce-hub' ),
+			'completed'        => __( 'Completed', 'whatsapp-commerce-hub' ),
+			'failed'           => __( 'Failed', 'whatsapp-commerce-hub' ),
+			'cancelled'        => __( 'Cancelled', 'whatsapp-commerce-hub' ),
+		];
 	}
 
 	/**
@@ -328,10 +895,18 @@ class AdminBroadcastsController {
 	 * @return string Formatted stats.
 	 */
 	protected function formatCampaignStats( array $campaign ): string {
-		if ( in_array( $campaign['status'] ?? '', [ 'draft', 'scheduled' ], true ) ) {
+		if ( in_array( $campaign['status'] ?? '', [ 'draft', 'pending_approval', 'scheduled' ], true ) ) {
 			return '-';
 		}
 
+		// Each run reports on its own; the recurring campaign only counts them.
+		if ( 'recurring' === ( $campaign['status'] ?? '' ) ) {
+			$runs = (int) ( $campaign['runs'] ?? 0 );
+
+			/* translators: %d: number of runs sent so far */
+			return esc_html( sprintf( _n( '%d run', '%d runs', $runs, 'whatsapp-commerce-hub' ), $runs ) );
+		}
+
 		$stats     = $campaign['stats'] ?? [];
 		$sent      = $stats['sent'] ?? 0;
 		$delivered = $stats['delivered'] ?? 0;
@@ -345,6 +920,20 @@ class AdminBroadcastsController {
 		);
 	}
 
+	/**
+	 * Format attributed revenue.
+	 *
+	 * @param float $revenue Revenue in the store currency.
+	 * @return string Formatted revenue, or a dash when there is none.
+	 */
+	protected function formatRevenue( float $revenue ): string {
+		if ( $revenue <= 0 ) {
+			return '-';
+		}
+
+		return function_exists( 'wc_price' ) ? wc_price( $revenue ) : esc_html( number_format_i18n( $revenue, 2 ) );
+	}
+
 	/**
 	 * Format campaign date.
 	 *
@@ -352,9 +941,11 @@ class AdminBroadcastsController {
 	 * @return string Formatted date.
 	 */
 	protected function formatCampaignDate( array $campaign ): string {
-		$dateField = in_array( $campaign['status'] ?? '', [ 'scheduled', 'draft' ], true )
-			? 'scheduled_at'
-			: 'sent_at';
+		$dateField = match ( $campaign['status'] ?? '' ) {
+			'scheduled', 'draft', 'pending_approval' => 'scheduled_at',
+			'recurring'                              => 'next_run_at',
+			default                                  => 'sent_at',
+		};
 
 		$date = $campaign[ $dateField ] ?? $campaign['created_at'] ?? '';
 
@@ -385,13 +976,21 @@ class AdminBroadcastsController {
 			);
 		}
 
+		if ( 'pending_approval' === $campaign['status'] ) {
+			$actions[] = sprintf(
+				'<a href="%s" class="button button-small button-primary">%s</a>',
+				esc_url( admin_url( 'admin.php?page=' . self::MENU_SLUG . '&action=review&campaign_id=' . $campaign['id'] ) ),
+				__( 'Review', 'whatsapp-commerce-hub' )
+			);
+		}
+
 		$actions[] = sprintf(
 			'<button type="button" class="button button-small wch-duplicate-campaign" data-campaign-id="%d">%s</button>',
 			$campaign['id'],
 			__( 'Duplicate', 'whatsapp-commerce-hub' )
 		);
 
-		if ( in_array( $campaign['status'], [ 'completed', 'failed', 'sending' ], true ) ) {
+		if ( in_array( $campaign['status'], [ 'scheduled', 'sending', 'paused', 'completed', 'failed' ], true ) ) {
 			$actions[] = sprintf(
 				'<a href="%s" class="button button-small">%s</a>',
 				esc_url( admin_url( 'admin.php?page=' . self::MENU_SLUG . '&action=report&campaign_id=' . $campaign['id'] ) ),
@@ -399,6 +998,11 @@ class AdminBroadcastsController {
 			);
 		}
 
+		$controls = $this->reportGenerator->getControlButtons( $campaign );
+		if ( '' !== $controls ) {
+			$actions[] = $controls;
+		}
+
 		$actions[] = sprintf(
 			'<button type="button" class="button button-small button-link-delete wch-delete-campaign" data-campaign-id="%d">%s</button>',
 			$campaign['id'],
@@ -0,0 +1,65 @@
+<?php
+/**
+ * Broadcast Calendar Renderer
+ *
+ * Handles rendering of the broadcast calendar.
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+declare(strict_types=1);
+
+namespace WhatsAppCommerceHub\Admin\Broadcasts;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class BroadcastCalendarRenderer
+ *
+ * Renders the calendar toolbar and legend; the admin script loads and draws
+ * the days.
+ */
+class BroadcastCalendarRenderer {
+
+	/**
+	 * Render the calendar.
+	 *
+	 * @return void
+	 */
+	public function render(): void {
+		?>
+		<div class="wch-calendar" id="wch-calendar">
+			<div class="wch-calendar-toolbar">
+				<div class="wch-calendar-nav">
+					<button type="button" class="button" data-calendar-nav="prev" aria-label="<?php esc_attr_e( 'Previous', 'whatsapp-commerce-hub' ); ?>">&lsaquo;</button>
+					<button type="button" class="button" data-calendar-nav="today"><?php esc_html_e( 'Today', 'whatsapp-commerce-hub' ); ?></button>
+					<button type="button" class="button" data-calendar-nav="next" aria-label="<?php esc_attr_e( 'Next', 'whatsapp-commerce-hub' ); ?>">&rsaquo;</button>
+				</div>
+				<h2 class="wch-calendar-title" id="wch-calendar-title"></h2>
+				<div class="wch-calendar-views">
+					<button type="button" class="button" data-calendar-view="month"><?php esc_html_e( 'Month', 'whatsapp-commerce-hub' ); ?></button>
+					<button type="button" class="button" data-calendar-view="week"><?php esc_html_e( 'Week', 'whatsapp-commerce-hub' ); ?></button>
+				</div>
+			</div>
+
+			<ul class="wch-calendar-legend">
+				<li><span class="wch-calendar-swatch wch-calendar-event--broadcast"></span><?php esc_html_e( 'Broadcast', 'whatsapp-commerce-hub' ); ?></li>
+				<li><span class="wch-calendar-swatch wch-calendar-event--recurring"></span><?php esc_html_e( 'Recurring run', 'whatsapp-commerce-hub' ); ?></li>
+				<li><span class="wch-calendar-swatch wch-calendar-event--reengagement"></span><?php esc_html_e( 'Automated re-engagement', 'whatsapp-commerce-hub' ); ?></li>
+				<li><span class="wch-calendar-swatch wch-calendar-event--draft"></span><?php esc_html_e( 'Draft', 'whatsapp-commerce-hub' ); ?></li>
+				<li><span class="wch-calendar-swatch wch-calendar-day--overlap"></span><?php esc_html_e( 'More than one broadcast', 'whatsapp-commerce-hub' ); ?></li>
+			</ul>
+
+			<p class="description">
+				<?php esc_html_e( 'Message counts are estimates. Drag a draft or scheduled campaign to another day to reschedule it; it keeps its send time.', 'whatsapp-commerce-hub' ); ?>
+			</p>
+
+			<div class="wch-calendar-grid" id="wch-calendar-grid" aria-live="polite"></div>
+		</div>
+		<?php
+	}
+}
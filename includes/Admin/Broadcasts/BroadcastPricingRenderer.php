@@ -0,0 +1,175 @@
+<?php
+/**
+ * Broadcast Pricing Renderer
+ *
+ * Handles rendering of the message rate table.
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+declare(strict_types=1);
+
+namespace WhatsAppCommerceHub\Admin\Broadcasts;
+
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastPricing;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\CallingCodes;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class BroadcastPricingRenderer
+ *
+ * Renders the per-country, per-category message rates used for cost estimates.
+ */
+class BroadcastPricingRenderer {
+
+	/**
+	 * Constructor.
+	 *
+	 * @param BroadcastPricing $pricing Message rate table.
+	 */
+	public function __construct(
+		protected BroadcastPricing $pricing
+	) {
+	}
+
+	/**
+	 * Render the rate table form.
+	 *
+	 * @return void
+	 */
+	public function render(): void {
+		$settings = $this->pricing->getSettings();
+		?>
+		<div class="wch-pricing">
+			<h2><?php esc_html_e( 'Message Rates', 'whatsapp-commerce-hub' ); ?></h2>
+			<p class="description">
+				<?php
+				printf(
+					/* translators: %s: store currency code */
+					esc_html__( 'WhatsApp charges per delivered message, depending on the country and the template category. Enter your rates in %s to estimate campaign costs. Countries not listed use the default rates.', 'whatsapp-commerce-hub' ),
+					esc_html( get_woocommerce_currency() )
+				);
+				?>
+			</p>
+
+			<table class="wp-list-table widefat fixed striped wch-pricing-table">
+				<thead>
+					<tr>
+						<th><?php esc_html_e( 'Country', 'whatsapp-commerce-hub' ); ?></th>
+						<?php foreach ( $this->getCategoryLabels() as $label ) : ?>
+							<th><?php echo esc_html( $label ); ?></th>
+						<?php endforeach; ?>
+						<th class="wch-pricing-actions"></th>
+					</tr>
+				</thead>
+				<tbody id="wch-pricing-rows">
+					<tr class="wch-pricing-default">
+						<th><?php esc_html_e( 'Default', 'whatsapp-commerce-hub' ); ?></th>
+						<?php $this->renderRateInputs( $settings['default'] ); ?>
+						<td></td>
+					</tr>
+					<?php foreach ( $settings['countries'] as $country => $rates ) : ?>
+						<?php $this->renderCountryRow( $country, $rates ); ?>
+					<?php endforeach; ?>
+				</tbody>
+			</table>
+
+			<template id="wch-pricing-row-template">
+				<?php $this->renderCountryRow( '', array_fill_keys( BroadcastPricing::CATEGORIES, 0.0 ) ); ?>
+			</template>
+
+			<p>
+				<button type="button" class="button" id="wch-pricing-add-row">
+					<?php esc_html_e( 'Add country', 'whatsapp-commerce-hub' ); ?>
+				</button>
+			</p>
+
+			<div class="wch-form-field">
+				<label for="wch-pricing-budget"><?php esc_html_e( 'Campaign budget', 'whatsapp-commerce-hub' ); ?></label>
+				<input type="number" id="wch-pricing-budget" min="0" step="0.01"
+					value="<?php echo esc_attr( $settings['budget'] > 0 ? (string) $settings['budget'] : '' ); ?>">
+				<p class="description">
+					<?php esc_html_e( 'Campaigns estimated to cost more than this show a warning before they are scheduled. Leave empty for no budget.', 'whatsapp-commerce-hub' ); ?>
+				</p>
+			</div>
+
+			<p class="submit">
+				<button type="button" class="button button-primary" id="wch-pricing-save">
+					<?php esc_html_e( 'Save Rates', 'whatsapp-commerce-hub' ); ?>
+				</button>
+				<span class="wch-pricing-status"></span>
+			</p>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render a country row.
+	 *
+	 * @param string               $country Selected ISO country code.
+	 * @param array<string, float> $rates   Rate per category.
+	 * @return void
+	 */
+	protected function renderCountryRow( string $country, array $rates ): void {
+		?>
+		<tr class="wch-pricing-country-row">
+			<td>
+				<select class="wch-pricing-country">
+					<option value=""><?php esc_html_e( 'Select a country', 'whatsapp-commerce-hub' ); ?></option>
+					<?php foreach ( WC()->countries->get_countries() as $code => $name ) : ?>
+						<?php
+						$callingCode = CallingCodes::forCountry( (string) $code );
+						if ( '' === $callingCode ) {
+							continue;
+						}
+						?>
+						<option value="<?php echo esc_attr( $code ); ?>" <?php selected( $country, $code ); ?>>
+							<?php echo esc_html( html_entity_decode( $name, ENT_QUOTES ) . ' (+' . $callingCode . ')' ); ?>
+						</option>
+					<?php endforeach; ?>
+				</select>
+			</td>
+			<?php $this->renderRateInputs( $rates ); ?>
+			<td class="wch-pricing-actions">
+				<button type="button" class="button-link button-link-delete wch-pricing-remove-row">
+					<?php esc_html_e( 'Remove', 'whatsapp-commerce-hub' ); ?>
+				</button>
+			</td>
+		</tr>
+		<?php
+	}
+
+	/**
+	 * Render one rate input per category.
+	 *
+	 * @param array<string, float> $rates Rate per category.
+	 * @return void
+	 */
+	protected function renderRateInputs( array $rates ): void {
+		foreach ( BroadcastPricing::CATEGORIES as $category ) {
+			printf(
+				'<td><input type="number" class="wch-pricing-rate" data-category="%s" min="0" step="0.0001" value="%s"></td>',
+				esc_attr( $category ),
+				esc_attr( (string) ( $rates[ $category ] ?? 0 ) )
+			);
+		}
+	}
+
+	/**
+	 * Get column labels for the template categories.
+	 *
+	 * @return array<string, string> Labels keyed by category.
+	 */
+	protected function getCategoryLabels(): array {
+		return [
+			'marketing'      => __( 'Marketing', 'whatsapp-commerce-hub' ),
+			'utility'        => __( 'Utility', 'whatsapp-commerce-hub' ),
+			'authentication' => __( 'Authentication', 'whatsapp-commerce-hub' ),
+		];
+	}
+}
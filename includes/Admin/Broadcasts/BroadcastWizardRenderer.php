@@ -12,6 +12,8 @@ declare(strict_types=1);
 
 namespace WhatsAppCommerceHub\Admin\Broadcasts;
 
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastLinkTracker;
+
 // Exit if accessed directly.
 if ( ! defined( 'ABSPATH' ) ) {
 	exit;
@@ -51,18 +53,27 @@ class BroadcastWizardRenderer {
 	}
 
 	/**
-	 * Render step indicators.
+	 * Get wizard step labels keyed by step number.
 	 *
-	 * @return void
+	 * @return array<int, string> Step labels.
 	 */
-	protected function renderStepIndicators(): void {
-		$steps = [
+	public function getSteps(): array {
+		return [
 			1 => __( 'Template', 'whatsapp-commerce-hub' ),
 			2 => __( 'Audience', 'whatsapp-commerce-hub' ),
 			3 => __( 'Personalize', 'whatsapp-commerce-hub' ),
 			4 => __( 'Schedule', 'whatsapp-commerce-hub' ),
 			5 => __( 'Review', 'whatsapp-commerce-hub' ),
 		];
+	}
+
+	/**
+	 * Render step indicators.
+	 *
+	 * @return void
+	 */
+	protected function renderStepIndicators(): void {
+		$steps = $this->getSteps();
 		?>
 		<div class="wch-wizard-steps">
 			<?php foreach ( $steps as $num => $label ) : ?>
@@ -110,7 +121,13 @@ class BroadcastWizardRenderer {
 			<h2><?php esc_html_e( 'Select Audience', 'whatsapp-commerce-hub' ); ?></h2>
 			<div class="wch-audience-builder">
 				<div class="wch-audience-criteria">
-					<?php $this->renderAudienceCriteria(); ?>
+					<?php $this->renderAudienceSource(); ?>
+					<div class="wch-audience-source-panel" data-source="customers">
+						<?php $this->renderAudienceCriteria(); ?>
+					</div>
+					<div class="wch-audience-source-panel" data-source="csv" style="display:none;">
+						<?php $this->renderContactListUpload(); ?>
+					</div>
 					<?php $this->renderAudienceExclusions(); ?>
 				</div>
 				<div class="wch-audience-count">
@@ -118,6 +135,7 @@ class BroadcastWizardRenderer {
 						<div class="wch-count-number" id="wch-audience-count">-</div>
 						<div class="wch-count-label"><?php esc_html_e( 'Estimated Recipients', 'whatsapp-commerce-hub' ); ?></div>
 					</div>
+					<?php $this->renderAudienceBreakdown(); ?>
 				</div>
 			</div>
 		</div>
@@ -125,69 +143,99 @@ class BroadcastWizardRenderer {
 	}
 
 	/**
-	 * Render audience criteria fields.
+	 * Render audience source choice.
 	 *
 	 * @return void
 	 */
-	protected function renderAudienceCriteria(): void {
+	protected function renderAudienceSource(): void {
 		?>
-		<div class="wch-form-field">
+		<div class="wch-form-field wch-audience-source">
 			<label>
-				<input type="checkbox" name="audience_all" value="1" checked>
-				<?php esc_html_e( 'All opted-in customers', 'whatsapp-commerce-hub' ); ?>
+				<input type="radio" name="audience_source" value="customers" checked>
+				<?php esc_html_e( 'Store customers', 'whatsapp-commerce-hub' ); ?>
 			</label>
-		</div>
-		<div class="wch-form-field">
 			<label>
-				<input type="checkbox" name="audience_recent_orders" value="1">
-				<?php esc_html_e( 'Ordered in last', 'whatsapp-commerce-hub' ); ?>
-				<input type="number" name="recent_orders_days" value="30" min="1" max="365" style="width: 80px;">
-				<?php esc_html_e( 'days', 'whatsapp-commerce-hub' ); ?>
+				<input type="radio" name="audience_source" value="csv">
+				<?php esc_html_e( 'Upload a contact list (CSV)', 'whatsapp-commerce-hub' ); ?>
 			</label>
 		</div>
+		<?php
+	}
+
+	/**
+	 * Render CSV contact list upload fields.
+	 *
+	 * @return void
+	 */
+	protected function renderContactListUpload(): void {
+		$countries   = function_exists( 'WC' ) ? WC()->countries->get_countries() : [];
+		$baseCountry = function_exists( 'WC' ) ? WC()->countries->get_base_country() : '';
+		?>
 		<div class="wch-form-field">
-			<label>
-				<input type="checkbox" name="audience_category" value="1">
-				<?php esc_html_e( 'Purchased from category:', 'whatsapp-commerce-hub' ); ?>
-				<select name="category_id" style="width: 200px;">
-					<option value=""><?php esc_html_e( 'Select category', 'whatsapp-commerce-hub' ); ?></option>
-					<?php $this->renderCategoryOptions(); ?>
-				</select>
-			</label>
+			<label for="wch-contact-file"><?php esc_html_e( 'CSV file', 'whatsapp-commerce-hub' ); ?></label>
+			<input type="file" id="wch-contact-file" accept=".csv,text/csv">
+			<p class="description">
+				<?php esc_html_e( 'The first row must contain column names. Other columns can be used as template variables.', 'whatsapp-commerce-hub' ); ?>
+			</p>
 		</div>
 		<div class="wch-form-field">
-			<label>
-				<input type="checkbox" name="audience_cart_abandoners" value="1">
-				<?php esc_html_e( 'Cart abandoners (last 7 days)', 'whatsapp-commerce-hub' ); ?>
-			</label>
+			<label for="wch-contact-country"><?php esc_html_e( 'Country for numbers without a country code', 'whatsapp-commerce-hub' ); ?></label>
+			<select id="wch-contact-country">
+				<option value=""><?php esc_html_e( 'None (numbers include a country code)', 'whatsapp-commerce-hub' ); ?></option>
+				<?php foreach ( $countries as $code => $name ) : ?>
+					<option value="<?php echo esc_attr( $code ); ?>" <?php selected( $code, $baseCountry ); ?>><?php echo esc_html( $name ); ?></option>
+				<?php endforeach; ?>
+			</select>
 		</div>
+		<div class="wch-form-field wch-contact-phone-column" style="display:none;">
+			<label for="wch-contact-phone-column"><?php esc_html_e( 'Phone number column', 'whatsapp-commerce-hub' ); ?></label>
+			<select id="wch-contact-phone-column"></select>
+		</div>
+		<div class="wch-contact-summary" id="wch-contact-summary"></div>
+		<table class="widefat striped wch-contact-issues" id="wch-contact-issues" style="display:none;">
+			<thead>
+				<tr>
+					<th><?php esc_html_e( 'Row', 'whatsapp-commerce-hub' ); ?></th>
+					<th><?php esc_html_e( 'Phone in file', 'whatsapp-commerce-hub' ); ?></th>
+					<th><?php esc_html_e( 'Normalized', 'whatsapp-commerce-hub' ); ?></th>
+					<th><?php esc_html_e( 'Problem', 'whatsapp-commerce-hub' ); ?></th>
+				</tr>
+			</thead>
+			<tbody></tbody>
+		</table>
 		<?php
 	}
 
 	/**
-	 * Render category options.
+	 * Render the audience segment builder.
+	 *
+	 * The rule tree itself is drawn by admin-broadcasts.js.
 	 *
 	 * @return void
 	 */
-	protected function renderCategoryOptions(): void {
-		$categories = get_terms(
-			[
-				'taxonomy'   => 'product_cat',
-				'hide_empty' => false,
-			]
-		);
-
-		if ( is_wp_error( $categories ) ) {
-			return;
-		}
-
-		foreach ( $categories as $category ) {
-			printf(
-				'<option value="%s">%s</option>',
-				esc_attr( $category->term_id ),
-				esc_html( $category->name )
-			);
-		}
+	protected function renderAudienceCriteria(): void {
+		?>
+		<div class="wch-segment-toolbar">
+			<label for="wch-saved-segment"><?php esc_html_e( 'Saved segment:', 'whatsapp-commerce-hub' ); ?></label>
+			<select id="wch-saved-segment">
+				<option value=""><?php esc_html_e( 'Custom conditions', 'whatsapp-commerce-hub' ); ?></option>
+			</select>
+			<button type="button" class="button" id="wch-save-segment">
+				<?php esc_html_e( 'Save as Segment', 'whatsapp-commerce-hub' ); ?>
+			</button>
+			<button type="button" class="button-link button-link-delete" id="wch-delete-segment" style="display:none;">
+				<?php esc_html_e( 'Delete Segment', 'whatsapp-commerce-hub' ); ?>
+			</button>
+		</div>
+		<div class="wch-segment-builder" id="wch-segment-builder"></div>
+		<p class="description" id="wch-segment-empty"></p>
+		<div class="wch-form-field">
+			<label>
+				<input type="checkbox" name="audience_cart_abandoners" value="1">
+				<?php esc_html_e( 'Only customers with an abandoned cart', 'whatsapp-commerce-hub' ); ?>
+			</label>
+		</div>
+		<?php
 	}
 
 	/**
@@ -206,6 +254,52 @@ class BroadcastWizardRenderer {
 				<?php esc_html_e( 'days', 'whatsapp-commerce-hub' ); ?>
 			</label>
 		</div>
+		<div class="wch-form-field">
+			<label>
+				<input type="checkbox" name="exclude_frequency_capped" value="1">
+				<?php esc_html_e( 'Exclude customers who have reached their re-engagement message limit', 'whatsapp-commerce-hub' ); ?>
+			</label>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render the audience breakdown and recipient sample.
+	 *
+	 * Filled in by admin-broadcasts.js.
+	 *
+	 * @return void
+	 */
+	protected function renderAudienceBreakdown(): void {
+		?>
+		<div class="wch-audience-breakdown" id="wch-audience-breakdown">
+			<h4><?php esc_html_e( 'Matched', 'whatsapp-commerce-hub' ); ?></h4>
+			<table class="wch-breakdown-table" id="wch-breakdown-matched"><tbody></tbody></table>
+			<h4><?php esc_html_e( 'Excluded', 'whatsapp-commerce-hub' ); ?></h4>
+			<table class="wch-breakdown-table" id="wch-breakdown-excluded"><tbody></tbody></table>
+		</div>
+		<div class="wch-audience-sample" id="wch-audience-sample">
+			<h4><?php esc_html_e( 'Sample recipients', 'whatsapp-commerce-hub' ); ?></h4>
+			<table class="widefat striped">
+				<thead>
+					<tr>
+						<th><?php esc_html_e( 'Phone', 'whatsapp-commerce-hub' ); ?></th>
+						<th><?php esc_html_e( 'Name', 'whatsapp-commerce-hub' ); ?></th>
+						<th></th>
+					</tr>
+				</thead>
+				<tbody></tbody>
+			</table>
+			<div class="wch-sample-pagination">
+				<button type="button" class="button button-small" data-sample-page="prev">&lsaquo;</button>
+				<span class="wch-sample-page"></span>
+				<button type="button" class="button button-small" data-sample-page="next">&rsaquo;</button>
+			</div>
+		</div>
+		<div class="wch-audience-manual" id="wch-audience-manual" style="display:none;">
+			<h4><?php esc_html_e( 'Excluded by hand', 'whatsapp-commerce-hub' ); ?></h4>
+			<ul></ul>
+		</div>
 		<?php
 	}
 
@@ -227,7 +321,115 @@ class BroadcastWizardRenderer {
 					<div class="wch-preview-content" id="wch-personalization-preview">
 						<p class="wch-placeholder"><?php esc_html_e( 'Preview will appear here', 'whatsapp-commerce-hub' ); ?></p>
 					</div>
+					<div class="wch-recipient-preview">
+						<button type="button" class="button" id="wch-preview-recipients">
+							<?php esc_html_e( 'Preview with Real Recipients', 'whatsapp-commerce-hub' ); ?>
+						</button>
+						<p class="description"><?php esc_html_e( 'Shows the message for up to five recipients from the chosen audience.', 'whatsapp-commerce-hub' ); ?></p>
+						<div class="wch-recipient-preview-list" id="wch-recipient-previews"></div>
+					</div>
+				</div>
+			</div>
+			<?php $this->renderLinkTrackingSettings(); ?>
+			<?php $this->renderAbTestSettings(); ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render UTM tagging and click tracking options for URL buttons.
+	 *
+	 * @return void
+	 */
+	protected function renderLinkTrackingSettings(): void {
+		?>
+		<div class="wch-link-tracking" id="wch-link-tracking">
+			<h3><?php esc_html_e( 'Link Tracking', 'whatsapp-commerce-hub' ); ?></h3>
+			<p class="description" id="wch-link-tracking-note" style="display:none;">
+				<?php esc_html_e( 'This template has no URL button ending in a variable, so its links cannot be tagged.', 'whatsapp-commerce-hub' ); ?>
+			</p>
+			<div class="wch-form-field">
+				<label>
+					<input type="checkbox" name="utm_enabled" value="1" checked>
+					<?php esc_html_e( 'Add UTM parameters to URL buttons', 'whatsapp-commerce-hub' ); ?>
+				</label>
+				<div class="wch-utm-settings">
+					<label>
+						utm_source
+						<input type="text" name="utm_source" value="<?php echo esc_attr( BroadcastLinkTracker::DEFAULT_SOURCE ); ?>">
+					</label>
+					<label>
+						utm_medium
+						<input type="text" name="utm_medium" value="<?php echo esc_attr( BroadcastLinkTracker::DEFAULT_MEDIUM ); ?>">
+					</label>
+					<label>
+						utm_campaign
+						<input type="text" name="utm_campaign" placeholder="<?php esc_attr_e( 'Campaign name', 'whatsapp-commerce-hub' ); ?>">
+					</label>
+				</div>
+			</div>
+			<div class="wch-form-field">
+				<label>
+					<input type="checkbox" name="track_clicks" value="1">
+					<?php esc_html_e( 'Count clicks per recipient', 'whatsapp-commerce-hub' ); ?>
+				</label>
+				<p class="description">
+					<?php
+					printf(
+						/* translators: %s: store domain */
+						esc_html__( 'Links open through a short redirect on this store that records the click. Only buttons linking to %s can be counted.', 'whatsapp-commerce-hub' ),
+						esc_html( (string) wp_parse_url( home_url(), PHP_URL_HOST ) )
+					);
+					?>
+				</p>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render A/B test variant settings.
+	 *
+	 * @return void
+	 */
+	protected function renderAbTestSettings(): void {
+		?>
+		<div class="wch-ab-test" id="wch-ab-test">
+			<h3><?php esc_html_e( 'A/B Test', 'whatsapp-commerce-hub' ); ?></h3>
+			<div class="wch-form-field">
+				<label>
+					<input type="checkbox" name="ab_test_enabled" value="1">
+					<?php esc_html_e( 'Test different templates or variable values on parts of the audience', 'whatsapp-commerce-hub' ); ?>
+				</label>
+			</div>
+			<div class="wch-ab-test-settings" style="display:none;">
+				<div class="wch-ab-variants" id="wch-ab-variants"></div>
+				<p>
+					<button type="button" class="button" id="wch-ab-add-variant">
+						<?php esc_html_e( 'Add Variant', 'whatsapp-commerce-hub' ); ?>
+					</button>
+				</p>
+				<div class="wch-form-field">
+					<label>
+						<input type="checkbox" name="ab_winner_enabled" value="1">
+						<?php esc_html_e( 'Send the winning variant to the rest of the audience', 'whatsapp-commerce-hub' ); ?>
+					</label>
+					<div class="wch-ab-winner-settings" style="margin-left: 30px; display: none;">
+						<label>
+							<?php esc_html_e( 'Pick the winner by', 'whatsapp-commerce-hub' ); ?>
+							<select name="ab_winner_metric">
+								<option value="read_rate"><?php esc_html_e( 'Read rate', 'whatsapp-commerce-hub' ); ?></option>
+								<option value="orders"><?php esc_html_e( 'Orders', 'whatsapp-commerce-hub' ); ?></option>
+							</select>
+						</label>
+						<label>
+							<?php esc_html_e( 'after', 'whatsapp-commerce-hub' ); ?>
+							<input type="number" name="ab_wait_hours" value="4" min="1" max="168" style="width: 80px;">
+							<?php esc_html_e( 'hours', 'whatsapp-commerce-hub' ); ?>
+						</label>
+					</div>
 				</div>
+				<p class="description" id="wch-ab-share-summary"></p>
 			</div>
 		</div>
 		<?php
@@ -254,8 +456,15 @@ class BroadcastWizardRenderer {
 						<input type="radio" name="send_timing" value="scheduled">
 						<?php esc_html_e( 'Schedule for later', 'whatsapp-commerce-hub' ); ?>
 					</label>
+				</div>
+				<div class="wch-form-field">
+					<label>
+						<input type="radio" name="send_timing" value="local">
+						<?php esc_html_e( "Deliver at local time in each recipient's timezone", 'whatsapp-commerce-hub' ); ?>
+					</label>
 					<?php $this->renderScheduleDatetime(); ?>
 				</div>
+				<?php $this->renderDeliveryLimits(); ?>
 				<div class="wch-optimal-time-suggestion">
 					<p class="description">
 						<span class="dashicons dashicons-lightbulb"></span>
@@ -300,7 +509,7 @@ class BroadcastWizardRenderer {
 				<?php esc_html_e( 'Time:', 'whatsapp-commerce-hub' ); ?>
 				<input type="time" name="schedule_time">
 			</label>
-			<label>
+			<label class="wch-schedule-timezone">
 				<?php esc_html_e( 'Timezone:', 'whatsapp-commerce-hub' ); ?>
 				<select name="schedule_timezone">
 					<?php foreach ( $timezones as $tz => $label ) : ?>
@@ -310,6 +519,111 @@ class BroadcastWizardRenderer {
 					<?php endforeach; ?>
 				</select>
 			</label>
+			<p class="description wch-schedule-local-note" style="display: none;">
+				<?php esc_html_e( 'Timezones are inferred from the billing country, or else the phone number. Recipients whose local time has already passed on this date receive the message straight away.', 'whatsapp-commerce-hub' ); ?>
+			</p>
+			<?php $this->renderRecurrence(); ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render recurrence fields.
+	 *
+	 * @return void
+	 */
+	protected function renderRecurrence(): void {
+		global $wp_locale;
+		?>
+		<div class="wch-recurrence">
+			<label>
+				<input type="checkbox" name="recurrence_enabled" value="1">
+				<?php esc_html_e( 'Repeat this campaign', 'whatsapp-commerce-hub' ); ?>
+			</label>
+			<div class="wch-recurrence-rule" style="display: none;">
+				<label>
+					<?php esc_html_e( 'Repeat:', 'whatsapp-commerce-hub' ); ?>
+					<select name="recurrence_frequency">
+						<option value="daily"><?php esc_html_e( 'Daily', 'whatsapp-commerce-hub' ); ?></option>
+						<option value="weekly" selected><?php esc_html_e( 'Weekly', 'whatsapp-commerce-hub' ); ?></option>
+						<option value="monthly"><?php esc_html_e( 'Monthly', 'whatsapp-commerce-hub' ); ?></option>
+					</select>
+				</label>
+				<div class="wch-recurrence-days">
+					<?php foreach ( range( 1, 7 ) as $day ) : ?>
+						<label>
+							<input type="checkbox" name="recurrence_days[]" value="<?php echo esc_attr( (string) $day ); ?>">
+							<?php echo esc_html( $wp_locale->get_weekday_abbrev( $wp_locale->get_weekday( $day % 7 ) ) ); ?>
+						</label>
+					<?php endforeach; ?>
+				</div>
+				<label class="wch-recurrence-monthday" style="display: none;">
+					<?php esc_html_e( 'On day:', 'whatsapp-commerce-hub' ); ?>
+					<input type="number" name="recurrence_day_of_month" min="1" max="31" step="1" value="1">
+					<span class="description"><?php esc_html_e( 'Shorter months use their last day.', 'whatsapp-commerce-hub' ); ?></span>
+				</label>
+				<div class="wch-recurrence-end">
+					<label>
+						<input type="radio" name="recurrence_end" value="never" checked>
+						<?php esc_html_e( 'Never ends', 'whatsapp-commerce-hub' ); ?>
+					</label>
+					<label>
+						<input type="radio" name="recurrence_end" value="date">
+						<?php esc_html_e( 'Ends on', 'whatsapp-commerce-hub' ); ?>
+						<input type="date" name="recurrence_end_date">
+					</label>
+					<label>
+						<input type="radio" name="recurrence_end" value="count">
+						<?php esc_html_e( 'Ends after', 'whatsapp-commerce-hub' ); ?>
+						<input type="number" name="recurrence_end_count" min="1" step="1" value="5">
+						<?php esc_html_e( 'runs', 'whatsapp-commerce-hub' ); ?>
+					</label>
+				</div>
+				<p class="description">
+					<?php esc_html_e( 'The audience is recalculated before each run, so new matching customers are included and opted-out ones are left out.', 'whatsapp-commerce-hub' ); ?>
+				</p>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render quiet hours and send rate fields.
+	 *
+	 * @return void
+	 */
+	protected function renderDeliveryLimits(): void {
+		?>
+		<div class="wch-delivery-limits">
+			<h3><?php esc_html_e( 'Delivery Limits', 'whatsapp-commerce-hub' ); ?></h3>
+			<div class="wch-form-field">
+				<label>
+					<input type="checkbox" name="quiet_hours_enabled" value="1">
+					<?php esc_html_e( 'Respect quiet hours', 'whatsapp-commerce-hub' ); ?>
+				</label>
+				<div class="wch-quiet-hours" style="margin-left: 30px; display: none;">
+					<label>
+						<?php esc_html_e( 'From:', 'whatsapp-commerce-hub' ); ?>
+						<input type="time" name="quiet_start" value="21:00">
+					</label>
+					<label>
+						<?php esc_html_e( 'Until:', 'whatsapp-commerce-hub' ); ?>
+						<input type="time" name="quiet_end" value="08:00">
+					</label>
+					<p class="description">
+						<?php esc_html_e( "In each recipient's local time. Messages due during quiet hours wait until they end.", 'whatsapp-commerce-hub' ); ?>
+					</p>
+				</div>
+			</div>
+			<div class="wch-form-field">
+				<label>
+					<?php esc_html_e( 'Maximum messages per minute:', 'whatsapp-commerce-hub' ); ?>
+					<input type="number" name="rate_limit" min="0" step="1" placeholder="<?php esc_attr_e( 'No limit', 'whatsapp-commerce-hub' ); ?>">
+				</label>
+				<p class="description">
+					<?php esc_html_e( 'Sending more slowly protects your messaging limit and quality rating.', 'whatsapp-commerce-hub' ); ?>
+				</p>
+			</div>
 		</div>
 		<?php
 	}
@@ -348,10 +662,71 @@ class BroadcastWizardRenderer {
 							<th><?php esc_html_e( 'Schedule:', 'whatsapp-commerce-hub' ); ?></th>
 							<td id="review-schedule">-</td>
 						</tr>
+						<tr>
+							<th><?php esc_html_e( 'Delivery Window:', 'whatsapp-commerce-hub' ); ?></th>
+							<td id="review-delivery">-</td>
+						</tr>
+						<tr id="review-recurrence-row" style="display:none;">
+							<th><?php esc_html_e( 'Next Runs:', 'whatsapp-commerce-hub' ); ?></th>
+							<td id="review-recurrence">-</td>
+						</tr>
 						<tr>
 							<th><?php esc_html_e( 'Estimated Cost:', 'whatsapp-commerce-hub' ); ?></th>
 							<td id="review-cost">-</td>
 						</tr>
+						<tr id="review-coupons-row" style="display:none;">
+							<th><?php esc_html_e( 'Coupons:', 'whatsapp-commerce-hub' ); ?></th>
+							<td id="review-coupons">-</td>
+						</tr>
+					</table>
+					<div class="notice notice-warning inline" id="review-cost-warning" style="display:none;"><p></p></div>
+				</div>
+
+				<div class="wch-review-section" id="review-cost-breakdown" style="display:none;">
+					<h3><?php esc_html_e( 'Cost Breakdown', 'whatsapp-commerce-hub' ); ?></h3>
+					<p class="description" id="review-cost-category"></p>
+					<table class="wp-list-table widefat fixed striped wch-cost-breakdown">
+						<thead>
+							<tr>
+								<th><?php esc_html_e( 'Country', 'whatsapp-commerce-hub' ); ?></th>
+								<th><?php esc_html_e( 'Recipients', 'whatsapp-commerce-hub' ); ?></th>
+								<th><?php esc_html_e( 'Rate', 'whatsapp-commerce-hub' ); ?></th>
+								<th><?php esc_html_e( 'Cost', 'whatsapp-commerce-hub' ); ?></th>
+							</tr>
+						</thead>
+						<tbody id="review-cost-rows"></tbody>
+						<tfoot>
+							<tr>
+								<th colspan="3"><?php esc_html_e( 'Total', 'whatsapp-commerce-hub' ); ?></th>
+								<th id="review-cost-total">-</th>
+							</tr>
+						</tfoot>
+					</table>
+					<p class="description">
+						<?php
+						printf(
+							/* translators: %s: link to the message rates page */
+							esc_html__( 'Rates come from the %s table.', 'whatsapp-commerce-hub' ),
+							'<a href="' . esc_url( admin_url( 'admin.php?page=' . AdminBroadcastsController::MENU_SLUG . '&action=pricing' ) ) . '" target="_blank">' . esc_html__( 'message rates', 'whatsapp-commerce-hub' ) . '</a>'
+						);
+						?>
+					</p>
+				</div>
+
+				<div class="wch-review-section" id="review-variants-section" style="display:none;">
+					<h3><?php esc_html_e( 'A/B Test Variants', 'whatsapp-commerce-hub' ); ?></h3>
+					<table class="wp-list-table widefat fixed striped wch-review-variants">
+						<thead>
+							<tr>
+								<th><?php esc_html_e( 'Variant', 'whatsapp-commerce-hub' ); ?></th>
+								<th><?php esc_html_e( 'Template', 'whatsapp-commerce-hub' ); ?></th>
+								<th><?php esc_html_e( 'Share', 'whatsapp-commerce-hub' ); ?></th>
+								<th><?php esc_html_e( 'Recipients', 'whatsapp-commerce-hub' ); ?></th>
+								<th><?php esc_html_e( 'Estimated Cost', 'whatsapp-commerce-hub' ); ?></th>
+								<th><?php esc_html_e( 'Preview', 'whatsapp-commerce-hub' ); ?></th>
+							</tr>
+						</thead>
+						<tbody id="review-variants"></tbody>
 					</table>
 				</div>
 
@@ -362,8 +737,40 @@ class BroadcastWizardRenderer {
 					</div>
 				</div>
 
+				<div class="wch-review-section wch-test-panel" id="wch-test-panel" style="display:none;">
+					<h3><?php esc_html_e( 'Send a Test', 'whatsapp-commerce-hub' ); ?></h3>
+					<p class="description"><?php esc_html_e( 'Tests go to internal numbers only and are not counted in campaign statistics.', 'whatsapp-commerce-hub' ); ?></p>
+					<div class="wch-test-group-row">
+						<label for="wch-test-group"><?php esc_html_e( 'Saved group', 'whatsapp-commerce-hub' ); ?></label>
+						<select id="wch-test-group">
+							<option value=""><?php esc_html_e( '— Enter numbers —', 'whatsapp-commerce-hub' ); ?></option>
+						</select>
+						<button type="button" class="button" id="wch-save-test-group"><?php esc_html_e( 'Save as Group', 'whatsapp-commerce-hub' ); ?></button>
+						<button type="button" class="button-link button-link-delete" id="wch-delete-test-group" style="display:none;"><?php esc_html_e( 'Delete Group', 'whatsapp-commerce-hub' ); ?></button>
+					</div>
+					<label for="wch-test-phones"><?php esc_html_e( 'Test numbers', 'whatsapp-commerce-hub' ); ?></label>
+					<textarea id="wch-test-phones" class="large-text" rows="3" placeholder="+447700900123"></textarea>
+					<p class="description"><?php esc_html_e( 'One number per line, with the country code.', 'whatsapp-commerce-hub' ); ?></p>
+					<ul class="wch-test-phone-errors" id="wch-test-phone-errors"></ul>
+					<p>
+						<button type="button" class="button button-primary" id="wch-send-test-group" disabled>
+							<?php esc_html_e( 'Send Test', 'whatsapp-commerce-hub' ); ?>
+						</button>
+					</p>
+					<table class="wp-list-table widefat fixed striped wch-test-results" id="wch-test-results" style="display:none;">
+						<thead>
+							<tr>
+								<th><?php esc_html_e( 'Number', 'whatsapp-commerce-hub' ); ?></th>
+								<th><?php esc_html_e( 'Status', 'whatsapp-commerce-hub' ); ?></th>
+								<th><?php esc_html_e( 'Details', 'whatsapp-commerce-hub' ); ?></th>
+							</tr>
+						</thead>
+						<tbody></tbody>
+					</table>
+				</div>
+
 				<div class="wch-review-actions">
-					<button type="button" class="button" id="wch-send-test">
+					<button type="button" class="button" id="wch-send-test" aria-controls="wch-test-panel" aria-expanded="false">
 						<?php esc_html_e( 'Send Test Message', 'whatsapp-commerce-hub' ); ?>
 					</button>
 					<button type="button" class="button button-primary button-large" id="wch-confirm-send">
@@ -386,6 +793,7 @@ class BroadcastWizardRenderer {
 			<button type="button" class="button button-secondary" id="wch-wizard-prev" style="display:none;">
 				<?php esc_html_e( 'Previous', 'whatsapp-commerce-hub' ); ?>
 			</button>
+			<span class="wch-draft-status" id="wch-draft-status" aria-live="polite"></span>
 			<button type="button" class="button button-primary" id="wch-wizard-next">
 				<?php esc_html_e( 'Next', 'whatsapp-commerce-hub' ); ?>
 			</button>
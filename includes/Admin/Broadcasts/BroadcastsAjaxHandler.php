@@ -15,6 +15,18 @@ namespace WhatsAppCommerceHub\Admin\Broadcasts;
 use WhatsAppCommerceHub\Contracts\Services\Broadcasts\CampaignRepositoryInterface;
 use WhatsAppCommerceHub\Contracts\Services\Broadcasts\AudienceCalculatorInterface;
 use WhatsAppCommerceHub\Contracts\Services\Broadcasts\CampaignDispatcherInterface;
+use WhatsAppCommerceHub\Contracts\Services\Broadcasts\SegmentRepositoryInterface;
+use WhatsAppCommerceHub\Contracts\Services\Broadcasts\TestGroupRepositoryInterface;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\ContactListImporter;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastCalendar;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastPricing;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastRecurrence;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastReportExporter;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastTestTracker;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\CampaignApproval;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\TestGroupRepository;
+use WhatsAppCommerceHub\Validation\DataValidator;
+use WhatsAppCommerceHub\Exceptions\ValidationException;
 
 // Exit if accessed directly.
 if ( ! defined( 'ABSPATH' ) ) {
@@ -33,19 +45,42 @@ class BroadcastsAjaxHandler {
 	 */
 	protected const NONCE_ACTION = 'wch_broadcasts_nonce';
 
+	/**
+	 * Largest contact list upload accepted, in bytes.
+	 */
+	protected const MAX_CONTACT_FILE_SIZE = 5 * MB_IN_BYTES;
+
 	/**
 	 * Constructor.
 	 *
-	 * @param CampaignRepositoryInterface $repository         Campaign repository.
-	 * @param AudienceCalculatorInterface $audienceCalculator Audience calculator.
-	 * @param CampaignDispatcherInterface $dispatcher         Campaign dispatcher.
-	 * @param CampaignReportGenerator     $reportGenerator    Report generator.
+	 * @param CampaignRepositoryInterface  $repository         Campaign repository.
+	 * @param AudienceCalculatorInterface  $audienceCalculator Audience calculator.
+	 * @param CampaignDispatcherInterface  $dispatcher         Campaign dispatcher.
+	 * @param CampaignReportGenerator      $reportGenerator    Report generator.
+	 * @param SegmentRepositoryInterface   $segments           Saved segment repository.
+	 * @param ContactListImporter          $contactImporter    CSV contact list importer.
+	 * @param BroadcastPricing             $pricing            Message rate table.
+	 * @param BroadcastRecurrence          $recurrence         Recurrence rules.
+	 * @param BroadcastReportExporter      $exporter           Report exporter.
+	 * @param TestGroupRepositoryInterface $testGroups         Saved test group repository.
+	 * @param BroadcastTestTracker         $testTracker        Test send tracker.
+	 * @param CampaignApproval             $approval           Approval workflow.
+	 * @param BroadcastCalendar            $calendar           Send calendar.
 	 */
 	public function __construct(
 		protected CampaignRepositoryInterface $repository,
 		protected AudienceCalculatorInterface $audienceCalculator,
 		protected CampaignDispatcherInterface $dispatcher,
-		protected CampaignReportGenerator $reportGenerator
+		protected CampaignReportGenerator $reportGenerator,
+		protected SegmentRepositoryInterface $segments,
+		protected ContactListImporter $contactImporter,
+		protected BroadcastPricing $pricing,
+		protected BroadcastRecurrence $recurrence,
+		protected BroadcastReportExporter $exporter,
+		protected TestGroupRepositoryInterface $testGroups,
+		protected BroadcastTestTracker $testTracker,
+		protected CampaignApproval $approval,
+		protected BroadcastCalendar $calendar
 	) {
 	}
 
@@ -60,11 +95,37 @@ class BroadcastsAjaxHandler {
 		add_action( 'wp_ajax_wch_delete_campaign', [ $this, 'handleDeleteCampaign' ] );
 		add_action( 'wp_ajax_wch_get_campaign', [ $this, 'handleGetCampaign' ] );
 		add_action( 'wp_ajax_wch_get_audience_count', [ $this, 'handleGetAudienceCount' ] );
+		add_action( 'wp_ajax_wch_get_audience_breakdown', [ $this, 'handleGetAudienceBreakdown' ] );
+		add_action( 'wp_ajax_wch_get_audience_sample', [ $this, 'handleGetAudienceSample' ] );
+		add_action( 'wp_ajax_wch_get_cost_estimate', [ $this, 'handleGetCostEstimate' ] );
+		add_action( 'wp_ajax_wch_save_broadcast_pricing', [ $this, 'handleSaveBroadcastPricing' ] );
 		add_action( 'wp_ajax_wch_send_campaign', [ $this, 'handleSendCampaign' ] );
+		add_action( 'wp_ajax_wch_approve_campaign', [ $this, 'handleApproveCampaign' ] );
+		add_action( 'wp_ajax_wch_reject_campaign', [ $this, 'handleRejectCampaign' ] );
 		add_action( 'wp_ajax_wch_send_test_broadcast', [ $this, 'handleSendTestBroadcast' ] );
+		add_action( 'wp_ajax_wch_get_test_send_status', [ $this, 'handleGetTestSendStatus' ] );
+		add_action( 'wp_ajax_wch_get_test_groups', [ $this, 'handleGetTestGroups' ] );
+		add_action( 'wp_ajax_wch_save_test_group', [ $this, 'handleSaveTestGroup' ] );
+		add_action( 'wp_ajax_wch_delete_test_group', [ $this, 'handleDeleteTestGroup' ] );
+		add_action( 'wp_ajax_wch_preview_recipients', [ $this, 'handlePreviewRecipients' ] );
+		add_action( 'wp_ajax_wch_get_delivery_window', [ $this, 'handleGetDeliveryWindow' ] );
+		add_action( 'wp_ajax_wch_preview_recurrence', [ $this, 'handlePreviewRecurrence' ] );
 		add_action( 'wp_ajax_wch_get_campaign_report', [ $this, 'handleGetCampaignReport' ] );
+		add_action( 'wp_ajax_wch_get_campaign_progress', [ $this, 'handleGetCampaignProgress' ] );
+		add_action( 'wp_ajax_wch_retry_failed_recipients', [ $this, 'handleRetryFailedRecipients' ] );
+		add_action( 'wp_ajax_wch_export_campaign_report', [ $this, 'handleExportCampaignReport' ] );
 		add_action( 'wp_ajax_wch_duplicate_campaign', [ $this, 'handleDuplicateCampaign' ] );
+		add_action( 'wp_ajax_wch_bulk_campaign_action', [ $this, 'handleBulkCampaignAction' ] );
+		add_action( 'wp_ajax_wch_pause_campaign', [ $this, 'handlePauseCampaign' ] );
+		add_action( 'wp_ajax_wch_resume_campaign', [ $this, 'handleResumeCampaign' ] );
+		add_action( 'wp_ajax_wch_cancel_campaign', [ $this, 'handleCancelCampaign' ] );
+		add_action( 'wp_ajax_wch_get_calendar', [ $this, 'handleGetCalendar' ] );
+		add_action( 'wp_ajax_wch_reschedule_campaign', [ $this, 'handleRescheduleCampaign' ] );
 		add_action( 'wp_ajax_wch_get_approved_templates', [ $this, 'handleGetApprovedTemplates' ] );
+		add_action( 'wp_ajax_wch_get_segments', [ $this, 'handleGetSegments' ] );
+		add_action( 'wp_ajax_wch_save_segment', [ $this, 'handleSaveSegment' ] );
+		add_action( 'wp_ajax_wch_delete_segment', [ $this, 'handleDeleteSegment' ] );
+		add_action( 'wp_ajax_wch_import_contact_list', [ $this, 'handleImportContactList' ] );
 	}
 
 	/**
@@ -103,6 +164,64 @@ class BroadcastsAjaxHandler {
 		return is_array( $decoded ) ? $decoded : [];
 	}
 
+	/**
+	 * Ensure submitted campaign data targets a new or draft campaign.
+	 *
+	 * Campaign IDs are issued by the server; an unknown ID or a campaign that
+	 * has already been dispatched cannot be overwritten from the wizard.
+	 *
+	 * @param array $campaignData Submitted campaign data.
+	 * @return void Sends error and exits if the campaign cannot be edited.
+	 */
+	protected function ensureDraftCampaign( array $campaignData ): void {
+		$campaignId = isset( $campaignData['id'] ) ? absint( $campaignData['id'] ) : 0;
+
+		if ( 0 === $campaignId ) {
+			return;
+		}
+
+		$existing = $this->repository->getById( $campaignId );
+
+		if ( null === $existing ) {
+			wp_send_json_error( [ 'message' => __( 'Campaign not found', 'whatsapp-commerce-hub' ) ] );
+		}
+
+		if ( 'draft' !== ( $existing['status'] ?? 'draft' ) ) {
+			wp_send_json_error( [ 'message' => __( 'Only draft campaigns can be edited', 'whatsapp-commerce-hub' ) ] );
+		}
+	}
+
+	/**
+	 * Validate A/B test settings before sending.
+	 *
+	 * @param array $abTest Sanitized A/B test settings.
+	 * @return string|null Error message, or null when valid.
+	 */
+	protected function validateAbTest( array $abTest ): ?string {
+		if ( empty( $abTest['enabled'] ) ) {
+			return null;
+		}
+
+		foreach ( array_slice( $abTest['variants'], 1 ) as $variant ) {
+			if ( '' === $variant['template_name'] ) {
+				/* translators: %s: variant key */
+				return sprintf( __( 'Variant %s needs a template', 'whatsapp-commerce-hub' ), $variant['key'] );
+			}
+		}
+
+		$totalShare = array_sum( array_column( $abTest['variants'], 'share' ) );
+
+		if ( ! empty( $abTest['winner']['enabled'] ) ) {
+			if ( $totalShare < 1 || $totalShare > 99 ) {
+				return __( 'Variant shares must leave part of the audience for the winner', 'whatsapp-commerce-hub' );
+			}
+		} elseif ( 100 !== $totalShare ) {
+			return __( 'Variant shares must add up to 100%', 'whatsapp-commerce-hub' );
+		}
+
+		return null;
+	}
+
 	/**
 	 * Handle get campaigns AJAX request.
 	 *
@@ -153,6 +272,11 @@ class BroadcastsAjaxHandler {
 			wp_send_json_error( [ 'message' => __( 'Invalid campaign data', 'whatsapp-commerce-hub' ) ] );
 		}
 
+		$this->ensureDraftCampaign( $campaignData );
+
+		// Wizard autosaves always keep the campaign in draft.
+		$campaignData['status'] = 'draft';
+
 		$campaign = $this->repository->save( $campaignData );
 
 		wp_send_json_success(
@@ -178,7 +302,7 @@ class BroadcastsAjaxHandler {
 			wp_send_json_error( [ 'message' => __( 'Invalid campaign ID', 'whatsapp-commerce-hub' ) ] );
 		}
 
-		$deleted = $this->repository->delete( $campaignId );
+		$deleted = $this->deleteCampaign( $campaignId );
 
 		if ( ! $deleted ) {
 			wp_send_json_error( [ 'message' => __( 'Campaign not found', 'whatsapp-commerce-hub' ) ] );
@@ -216,6 +340,225 @@ class BroadcastsAjaxHandler {
 		);
 	}
 
+	/**
+	 * Handle bulk delete, archive and restore AJAX request.
+	 *
+	 * Campaigns that can't be changed, such as unfinished ones when
+	 * archiving, are skipped and counted.
+	 *
+	 * @return void
+	 */
+	public function handleBulkCampaignAction(): void {
+		$this->verifyRequest(); // Calls check_ajax_referer()
+
+		// phpcs:disable WordPress.Security.NonceVerification.Missing -- Nonce verified in verifyRequest() above.
+		$action      = isset( $_POST['bulk_action'] ) ? sanitize_key( wp_unslash( $_POST['bulk_action'] ) ) : '';
+		$campaignIds = isset( $_POST['campaign_ids'] ) ? array_unique( array_filter( array_map( 'absint', (array) $_POST['campaign_ids'] ) ) ) : [];
+		// phpcs:enable WordPress.Security.NonceVerification.Missing
+
+		if ( ! in_array( $action, [ 'delete', 'archive', 'restore' ], true ) ) {
+			wp_send_json_error( [ 'message' => __( 'Invalid bulk action', 'whatsapp-commerce-hub' ) ] );
+		}
+
+		if ( empty( $campaignIds ) ) {
+			wp_send_json_error( [ 'message' => __( 'Select at least one campaign.', 'whatsapp-commerce-hub' ) ] );
+		}
+
+		$updated = 0;
+		foreach ( $campaignIds as $campaignId ) {
+			$changed = match ( $action ) {
+				'delete'  => $this->deleteCampaign( $campaignId ),
+				'archive' => $this->repository->setArchived( $campaignId, true ),
+				default   => $this->repository->setArchived( $campaignId, false ),
+			};
+
+			$updated += $changed ? 1 : 0;
+		}
+
+		$skipped = count( $campaignIds ) - $updated;
+		$message = sprintf(
+			/* translators: %d: number of campaigns */
+			_n( '%d campaign updated.', '%d campaigns updated.', $updated, 'whatsapp-commerce-hub' ),
+			$updated
+		);
+
+		if ( $skipped > 0 ) {
+			$message .= ' ' . sprintf(
+				'archive' === $action
+					/* translators: %d: number of campaigns */
+					? _n( '%d campaign skipped; only finished campaigns can be archived.', '%d campaigns skipped; only finished campaigns can be archived.', $skipped, 'whatsapp-commerce-hub' )
+					/* translators: %d: number of campaigns */
+					: _n( '%d campaign could not be changed.', '%d campaigns could not be changed.', $skipped, 'whatsapp-commerce-hub' ),
+				$skipped
+			);
+		}
+
+		wp_send_json_success(
+			[
+				'message' => $message,
+				'updated' => $updated,
+				'skipped' => $skipped,
+			]
+		);
+	}
+
+	/**
+	 * Delete a campaign, cancelling any sends still queued for it.
+	 *
+	 * Queued batch jobs would otherwise keep running for a campaign that no
+	 * longer exists.
+	 *
+	 * @param int $campaignId Campaign ID.
+	 * @return bool True if the campaign was deleted.
+	 */
+	protected function deleteCampaign( int $campaignId ): bool {
+		$this->dispatcher->cancel( $campaignId );
+
+		return $this->repository->delete( $campaignId );
+	}
+
+	/**
+	 * Handle pause campaign AJAX request.
+	 *
+	 * @return void
+	 */
+	public function handlePauseCampaign(): void {
+		$this->verifyRequest();
+
+		$this->changeCampaignStatus(
+			fn( int $campaignId ) => $this->dispatcher->pause( $campaignId ),
+			__( 'Campaign paused', 'whatsapp-commerce-hub' ),
+			__( 'Only scheduled or sending campaigns can be paused.', 'whatsapp-commerce-hub' )
+		);
+	}
+
+	/**
+	 * Handle resume campaign AJAX request.
+	 *
+	 * @return void
+	 */
+	public function handleResumeCampaign(): void {
+		$this->verifyRequest();
+
+		$this->changeCampaignStatus(
+			fn( int $campaignId ) => $this->dispatcher->resume( $campaignId ),
+			__( 'Campaign resumed', 'whatsapp-commerce-hub' ),
+			__( 'Only paused campaigns can be resumed.', 'whatsapp-commerce-hub' )
+		);
+	}
+
+	/**
+	 * Handle cancel campaign AJAX request.
+	 *
+	 * @return void
+	 */
+	public function handleCancelCampaign(): void {
+		$this->verifyRequest();
+
+		$this->changeCampaignStatus(
+			fn( int $campaignId ) => $this->dispatcher->cancel( $campaignId ),
+			__( 'Campaign cancelled', 'whatsapp-commerce-hub' ),
+			__( 'This campaign has already finished sending.', 'whatsapp-commerce-hub' )
+		);
+	}
+
+	/**
+	 * Handle get calendar AJAX request.
+	 *
+	 * @return void
+	 */
+	public function handleGetCalendar(): void {
+		$this->verifyRequest(); // Calls check_ajax_referer()
+
+		// phpcs:disable WordPress.Security.NonceVerification.Missing -- Nonce verified in verifyRequest() above.
+		$from = isset( $_POST['from'] ) ? sanitize_text_field( wp_unslash( $_POST['from'] ) ) : '';
+		$to   = isset( $_POST['to'] ) ? sanitize_text_field( wp_unslash( $_POST['to'] ) ) : '';
+		// phpcs:enable WordPress.Security.NonceVerification.Missing
+
+		$calendar = $this->calendar->getCalendar( $from, $to );
+
+		if ( null === $calendar ) {
+			wp_send_json_error( [ 'message' => __( 'Invalid date range', 'whatsapp-commerce-hub' ) ] );
+		}
+
+		wp_send_json_success( $calendar );
+	}
+
+	/**
+	 * Handle reschedule campaign AJAX request.
+	 *
+	 * Moves a draft or scheduled campaign to another day, keeping its send time.
+	 *
+	 * @return void
+	 */
+	public function handleRescheduleCampaign(): void {
+		$this->verifyRequest(); // Calls check_ajax_referer()
+
+		// phpcs:disable WordPress.Security.NonceVerification.Missing -- Nonce verified in verifyRequest() above.
+		$campaignId = isset( $_POST['campaign_id'] ) ? absint( $_POST['campaign_id'] ) : 0;
+		$date       = isset( $_POST['date'] ) ? sanitize_text_field( wp_unslash( $_POST['date'] ) ) : '';
+		// phpcs:enable WordPress.Security.NonceVerification.Missing
+
+		$campaign = $campaignId ? $this->repository->getById( $campaignId ) : null;
+
+		if ( null === $campaign ) {
+			wp_send_json_error( [ 'message' => __( 'Campaign not found', 'whatsapp-commerce-hub' ) ] );
+		}
+
+		$schedule = $this->calendar->moveSchedule( $campaign, $date );
+
+		if ( null === $schedule ) {
+			wp_send_json_error( [ 'message' => __( 'Campaigns can only be moved to a time that has not passed yet.', 'whatsapp-commerce-hub' ) ] );
+		}
+
+		if ( ! $this->dispatcher->reschedule( $campaignId, $schedule ) ) {
+			wp_send_json_error(
+				[
+					'message' => 'scheduled' === ( $campaign['status'] ?? '' )
+						? __( 'No recipients found for this campaign', 'whatsapp-commerce-hub' )
+						: __( 'Only draft and scheduled campaigns can be rescheduled.', 'whatsapp-commerce-hub' ),
+				]
+			);
+		}
+
+		wp_send_json_success(
+			[
+				'message'  => __( 'Campaign rescheduled', 'whatsapp-commerce-hub' ),
+				'campaign' => $this->repository->getById( $campaignId ),
+			]
+		);
+	}
+
+	/**
+	 * Apply a status change to the posted campaign and send its new status.
+	 *
+	 * @param callable $change  Receives the campaign ID; returns true on success.
+	 * @param string   $success Message on success.
+	 * @param string   $failure Message when the campaign cannot change.
+	 * @return void
+	 */
+	protected function changeCampaignStatus( callable $change, string $success, string $failure ): void {
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified by the calling handler.
+		$campaignId = isset( $_POST['campaign_id'] ) ? absint( $_POST['campaign_id'] ) : 0;
+
+		if ( ! $campaignId ) {
+			wp_send_json_error( [ 'message' => __( 'Invalid campaign ID', 'whatsapp-commerce-hub' ) ] );
+		}
+
+		if ( ! $change( $campaignId ) ) {
+			wp_send_json_error( [ 'message' => $failure ] );
+		}
+
+		$campaign = $this->repository->getById( $campaignId );
+
+		wp_send_json_success(
+			[
+				'message' => $success,
+				'status'  => $campaign['status'] ?? '',
+			]
+		);
+	}
+
 	/**
 	 * Handle get audience count AJAX request.
 	 *
@@ -231,6 +574,70 @@ class BroadcastsAjaxHandler {
 		wp_send_json_success( [ 'count' => $count ] );
 	}
 
+	/**
+	 * Handle get audience breakdown AJAX request.
+	 *
+	 * @return void
+	 */
+	public function handleGetAudienceBreakdown(): void {
+		$this->verifyRequest();
+
+		$criteria = $this->parseJsonPost( 'criteria' );
+
+		wp_send_json_success( $this->audienceCalculator->getBreakdown( $criteria ) );
+	}
+
+	/**
+	 * Handle get audience sample AJAX request.
+	 *
+	 * @return void
+	 */
+	public function handleGetAudienceSample(): void {
+		$this->verifyRequest();
+
+		$criteria = $this->parseJsonPost( 'criteria' );
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in verifyRequest().
+		$page = isset( $_POST['page'] ) ? absint( $_POST['page'] ) : 1;
+
+		wp_send_json_success( $this->audienceCalculator->getSample( $criteria, $page ) );
+	}
+
+	/**
+	 * Handle get cost estimate AJAX request.
+	 *
+	 * @return void
+	 */
+	public function handleGetCostEstimate(): void {
+		$this->verifyRequest();
+
+		$criteria = $this->parseJsonPost( 'criteria' );
+		$counts   = $this->audienceCalculator->calculateCountByCallingCode( $criteria );
+
+		wp_send_json_success( $this->pricing->estimate( $counts ) );
+	}
+
+	/**
+	 * Handle save message rates AJAX request.
+	 *
+	 * @return void
+	 */
+	public function handleSaveBroadcastPricing(): void {
+		$this->verifyRequest();
+
+		$settings = $this->parseJsonPost( 'pricing' );
+
+		if ( empty( $settings ) ) {
+			wp_send_json_error( [ 'message' => __( 'Invalid rate data', 'whatsapp-commerce-hub' ) ] );
+		}
+
+		wp_send_json_success(
+			[
+				'message' => __( 'Message rates saved', 'whatsapp-commerce-hub' ),
+				'pricing' => $this->pricing->save( $settings ),
+			]
+		);
+	}
+
 	/**
 	 * Handle send campaign AJAX request.
 	 *
@@ -245,27 +652,34 @@ class BroadcastsAjaxHandler {
 			wp_send_json_error( [ 'message' => __( 'Invalid campaign data', 'whatsapp-commerce-hub' ) ] );
 		}
 
-		// Save campaign first.
-		$campaign = $this->repository->save( $campaignData );
+		$this->ensureDraftCampaign( $campaignData );
 
-		// Determine delay based on schedule.
-		$schedule = $campaign['schedule'] ?? [];
-		$delay    = 0;
+		// Save campaign first. Only the dispatcher or an approval moves it out of draft.
+		$campaignData['status'] = 'draft';
 
-		if ( isset( $schedule['timing'] ) && 'scheduled' === $schedule['timing'] ) {
-			$scheduledTime = strtotime( $schedule['datetime'] ?? '' );
-			if ( $scheduledTime ) {
-				$delay = max( 0, $scheduledTime - time() );
-			}
+		$campaign = $this->repository->save( $campaignData );
+
+		$abTestError = $this->validateAbTest( $campaign['ab_test'] ?? [] );
+		if ( null !== $abTestError ) {
+			wp_send_json_error( [ 'message' => $abTestError ] );
 		}
 
-		// Schedule the campaign.
-		$jobId = $this->dispatcher->schedule( $campaign, $delay );
+		if ( $this->approval->requiresApproval( $campaign ) ) {
+			if ( ! $this->approval->submit( (int) $campaign['id'], get_current_user_id() ) ) {
+				wp_send_json_error( [ 'message' => __( 'The campaign could not be submitted for approval', 'whatsapp-commerce-hub' ) ] );
+			}
 
-		if ( null === $jobId ) {
-			wp_send_json_error( [ 'message' => __( 'No recipients found for this campaign', 'whatsapp-commerce-hub' ) ] );
+			wp_send_json_success(
+				[
+					'message'  => __( 'Campaign submitted for approval', 'whatsapp-commerce-hub' ),
+					'campaign' => $this->repository->getById( (int) $campaign['id'] ),
+					'pending'  => true,
+				]
+			);
 		}
 
+		$jobId = $this->dispatchCampaign( $campaign );
+
 		// Get updated campaign.
 		$updatedCampaign = $this->repository->getById( (int) $campaign['id'] );
 
@@ -278,6 +692,109 @@ class BroadcastsAjaxHandler {
 		);
 	}
 
+	/**
+	 * Schedule a campaign for sending.
+	 *
+	 * @param array $campaign Campaign data.
+	 * @return string Job ID, sends error and exits if nothing was scheduled.
+	 */
+	protected function dispatchCampaign( array $campaign ): string {
+		// Recurring campaigns pick their audience at each run.
+		if ( $this->recurrence->isRecurring( $campaign['schedule'] ?? [] ) ) {
+			$jobId = $this->dispatcher->scheduleRecurring( $campaign );
+
+			if ( null === $jobId ) {
+				wp_send_json_error( [ 'message' => __( 'This schedule has no future runs', 'whatsapp-commerce-hub' ) ] );
+			}
+		} else {
+			// Schedule the campaign; send times come from its schedule settings.
+			$jobId = $this->dispatcher->schedule( $campaign );
+
+			if ( null === $jobId ) {
+				wp_send_json_error( [ 'message' => __( 'No recipients found for this campaign', 'whatsapp-commerce-hub' ) ] );
+			}
+		}
+
+		return (string) $jobId;
+	}
+
+	/**
+	 * Handle approve campaign AJAX request.
+	 *
+	 * @return void
+	 */
+	public function handleApproveCampaign(): void {
+		$this->verifyRequest();
+
+		$campaign = $this->getPendingCampaign();
+		$jobId    = $this->dispatchCampaign( $campaign );
+
+		$this->approval->recordApproval( (int) $campaign['id'], get_current_user_id(), $this->getApprovalComment() );
+
+		wp_send_json_success(
+			[
+				'message'  => __( 'Campaign approved and scheduled', 'whatsapp-commerce-hub' ),
+				'campaign' => $this->repository->getById( (int) $campaign['id'] ),
+				'job_id'   => $jobId,
+			]
+		);
+	}
+
+	/**
+	 * Handle reject campaign AJAX request.
+	 *
+	 * @return void
+	 */
+	public function handleRejectCampaign(): void {
+		$this->verifyRequest();
+
+		$campaign = $this->getPendingCampaign();
+		$comment  = $this->getApprovalComment();
+
+		if ( '' === $comment ) {
+			wp_send_json_error( [ 'message' => __( 'Please say why the campaign is rejected.', 'whatsapp-commerce-hub' ) ] );
+		}
+
+		if ( ! $this->approval->reject( (int) $campaign['id'], get_current_user_id(), $comment ) ) {
+			wp_send_json_error( [ 'message' => __( 'Failed to reject campaign', 'whatsapp-commerce-hub' ) ] );
+		}
+
+		wp_send_json_success( [ 'message' => __( 'Campaign rejected and returned to draft', 'whatsapp-commerce-hub' ) ] );
+	}
+
+	/**
+	 * Get the posted campaign if the current user may approve or reject it.
+	 *
+	 * @return array Campaign data, sends error and exits otherwise.
+	 */
+	protected function getPendingCampaign(): array {
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified by the calling handler.
+		$campaignId = isset( $_POST['campaign_id'] ) ? absint( $_POST['campaign_id'] ) : 0;
+		$campaign   = $campaignId ? $this->repository->getById( $campaignId ) : null;
+
+		if ( null === $campaign ) {
+			wp_send_json_error( [ 'message' => __( 'Campaign not found', 'whatsapp-commerce-hub' ) ] );
+		}
+
+		$error = $this->approval->getDecisionError( $campaign, get_current_user_id() );
+
+		if ( null !== $error ) {
+			wp_send_json_error( [ 'message' => $error ] );
+		}
+
+		return $campaign;
+	}
+
+	/**
+	 * Get the posted approval comment.
+	 *
+	 * @return string Sanitized comment.
+	 */
+	protected function getApprovalComment(): string {
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified by the calling handler.
+		return isset( $_POST['comment'] ) ? trim( sanitize_textarea_field( wp_unslash( $_POST['comment'] ) ) ) : '';
+	}
+
 	/**
 	 * Handle send test broadcast AJAX request.
 	 *
@@ -289,18 +806,218 @@ class BroadcastsAjaxHandler {
 		$campaignData = $this->parseJsonPost( 'campaign' );
 
 		// phpcs:disable WordPress.Security.NonceVerification.Missing -- Nonce verified in verifyRequest().
-		$testPhone = isset( $_POST['test_phone'] )
-			? sanitize_text_field( wp_unslash( $_POST['test_phone'] ) )
-			: '';
+		$testPhones = isset( $_POST['test_phones'] )
+			? array_map( 'sanitize_text_field', (array) wp_unslash( $_POST['test_phones'] ) )
+			: [];
 		// phpcs:enable WordPress.Security.NonceVerification.Missing
 
-		$result = $this->dispatcher->sendTest( $campaignData, $testPhone );
+		$result = $this->dispatcher->sendTest( $campaignData, $this->normalizeTestPhones( $testPhones ) );
 
-		if ( $result['success'] ) {
-			wp_send_json_success( [ 'message' => $result['message'] ] );
-		} else {
+		if ( empty( $result['results'] ) ) {
 			wp_send_json_error( [ 'message' => $result['message'] ] );
 		}
+
+		wp_send_json_success( $result );
+	}
+
+	/**
+	 * Handle test send status AJAX request.
+	 *
+	 * @return void
+	 */
+	public function handleGetTestSendStatus(): void {
+		$this->verifyRequest();
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in verifyRequest() above.
+		$testId  = isset( $_POST['test_id'] ) ? sanitize_key( wp_unslash( $_POST['test_id'] ) ) : '';
+		$results = '' !== $testId ? $this->testTracker->get( $testId ) : null;
+
+		if ( null === $results ) {
+			wp_send_json_error( [ 'message' => __( 'This test send is no longer tracked.', 'whatsapp-commerce-hub' ) ] );
+		}
+
+		wp_send_json_success( [ 'results' => $results ] );
+	}
+
+	/**
+	 * Handle get test groups AJAX request.
+	 *
+	 * @return void
+	 */
+	public function handleGetTestGroups(): void {
+		$this->verifyRequest();
+
+		wp_send_json_success( [ 'groups' => $this->testGroups->getAll() ] );
+	}
+
+	/**
+	 * Handle save test group AJAX request.
+	 *
+	 * @return void
+	 */
+	public function handleSaveTestGroup(): void {
+		$this->verifyRequest();
+
+		$groupData = $this->parseJsonPost( 'group' );
+
+		if ( '' === trim( (string) ( $groupData['name'] ?? '' ) ) ) {
+			wp_send_json_error( [ 'message' => __( 'Please enter a group name', 'whatsapp-commerce-hub' ) ] );
+		}
+
+		if ( ! empty( $groupData['id'] ) && null === $this->testGroups->getById( absint( $groupData['id'] ) ) ) {
+			wp_send_json_error( [ 'message' => __( 'Test group not found', 'whatsapp-commerce-hub' ) ] );
+		}
+
+		$groupData['phones'] = $this->normalizeTestPhones( array_map( 'strval', (array) ( $groupData['phones'] ?? [] ) ) );
+
+		if ( empty( $groupData['phones'] ) ) {
+			wp_send_json_error( [ 'message' => __( 'Add at least one test number', 'whatsapp-commerce-hub' ) ] );
+		}
+
+		$group = $this->testGroups->save( $groupData );
+
+		wp_send_json_success(
+			[
+				'message' => __( 'Test group saved', 'whatsapp-commerce-hub' ),
+				'group'   => $group,
+			]
+		);
+	}
+
+	/**
+	 * Handle delete test group AJAX request.
+	 *
+	 * @return void
+	 */
+	public function handleDeleteTestGroup(): void {
+		$this->verifyRequest(); // Calls check_ajax_referer()
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in verifyRequest() above.
+		$groupId = isset( $_POST['group_id'] ) ? absint( $_POST['group_id'] ) : 0;
+
+		if ( ! $groupId || ! $this->testGroups->delete( $groupId ) ) {
+			wp_send_json_error( [ 'message' => __( 'Test group not found', 'whatsapp-commerce-hub' ) ] );
+		}
+
+		wp_send_json_success( [ 'message' => __( 'Test group deleted', 'whatsapp-commerce-hub' ) ] );
+	}
+
+	/**
+	 * Normalize submitted test numbers to E.164.
+	 *
+	 * @param array<int, string> $phones Numbers as typed.
+	 * @return array<int, string> Unique E.164 numbers.
+	 */
+	protected function normalizeTestPhones( array $phones ): array {
+		$phones  = array_values( array_filter( array_map( 'trim', $phones ), 'strlen' ) );
+		$invalid = array_filter( $phones, static fn( string $phone ): bool => null === DataValidator::normalizeE164( $phone ) );
+
+		if ( ! empty( $invalid ) ) {
+			wp_send_json_error(
+				[
+					'message' => sprintf(
+						/* translators: %s: comma-separated phone numbers */
+						__( 'These numbers are not valid international numbers: %s', 'whatsapp-commerce-hub' ),
+						implode( ', ', $invalid )
+					),
+					'invalid' => array_values( $invalid ),
+				]
+			);
+		}
+
+		$phones = array_values( array_unique( array_map( static fn( string $phone ): string => (string) DataValidator::normalizeE164( $phone ), $phones ) ) );
+
+		if ( count( $phones ) > TestGroupRepository::MAX_PHONES ) {
+			wp_send_json_error(
+				[
+					'message' => sprintf(
+						/* translators: %d: most test numbers allowed */
+						__( 'Send tests to at most %d numbers at a time.', 'whatsapp-commerce-hub' ),
+						TestGroupRepository::MAX_PHONES
+					),
+				]
+			);
+		}
+
+		return $phones;
+	}
+
+	/**
+	 * Handle preview recipients AJAX request.
+	 *
+	 * Resolves personalization for up to five recipients from the campaign audience.
+	 *
+	 * @return void
+	 */
+	public function handlePreviewRecipients(): void {
+		$this->verifyRequest();
+
+		$campaignData = $this->parseJsonPost( 'campaign' );
+
+		if ( empty( $campaignData ) ) {
+			wp_send_json_error( [ 'message' => __( 'Invalid campaign data', 'whatsapp-commerce-hub' ) ] );
+		}
+
+		wp_send_json_success( [ 'recipients' => $this->dispatcher->previewRecipients( $campaignData ) ] );
+	}
+
+	/**
+	 * Handle get delivery window AJAX request.
+	 *
+	 * @return void
+	 */
+	public function handleGetDeliveryWindow(): void {
+		$this->verifyRequest();
+
+		$campaignData = $this->parseJsonPost( 'campaign' );
+
+		if ( empty( $campaignData ) ) {
+			wp_send_json_error( [ 'message' => __( 'Invalid campaign data', 'whatsapp-commerce-hub' ) ] );
+		}
+
+		$plan   = $this->dispatcher->planDelivery( $campaignData );
+		$format = get_option( 'date_format' ) . ' ' . get_option( 'time_format' );
+
+		wp_send_json_success(
+			array_merge(
+				$plan,
+				[
+					'start_label' => wp_date( $format, $plan['start'] ),
+					'end_label'   => wp_date( $format, $plan['end'] ),
+					'site_zone'   => wp_timezone_string(),
+				]
+			)
+		);
+	}
+
+	/**
+	 * Handle preview recurrence AJAX request.
+	 *
+	 * Lists the next run times of a recurring schedule in its own timezone.
+	 *
+	 * @return void
+	 */
+	public function handlePreviewRecurrence(): void {
+		$this->verifyRequest();
+
+		$schedule = $this->parseJsonPost( 'schedule' );
+		$timezone = $this->recurrence->getTimezone( $schedule );
+		$format   = get_option( 'date_format' ) . ' ' . get_option( 'time_format' );
+		$runs     = [];
+
+		foreach ( $this->recurrence->getOccurrences( $schedule, time(), 5 ) as $runAt ) {
+			$runs[] = [
+				'time'  => $runAt,
+				'label' => wp_date( 'D, ' . $format, $runAt, $timezone ),
+			];
+		}
+
+		wp_send_json_success(
+			[
+				'runs'     => $runs,
+				'timezone' => $timezone->getName(),
+			]
+		);
 	}
 
 	/**
@@ -327,6 +1044,125 @@ class BroadcastsAjaxHandler {
 		wp_send_json_success( $reportData );
 	}
 
+	/**
+	 * Handle get campaign progress AJAX request.
+	 *
+	 * @return void
+	 */
+	public function handleGetCampaignProgress(): void {
+		$this->verifyRequest();
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in verifyRequest() above.
+		$campaignId = isset( $_POST['campaign_id'] ) ? absint( $_POST['campaign_id'] ) : 0;
+
+		$progress = $campaignId ? $this->reportGenerator->getProgressData( $campaignId ) : null;
+
+		if ( null === $progress ) {
+			wp_send_json_error( [ 'message' => __( 'Campaign not found', 'whatsapp-commerce-hub' ) ] );
+		}
+
+		wp_send_json_success( $progress );
+	}
+
+	/**
+	 * Handle retry failed recipients AJAX request.
+	 *
+	 * @return void
+	 */
+	public function handleRetryFailedRecipients(): void {
+		$this->verifyRequest();
+
+		// phpcs:disable WordPress.Security.NonceVerification.Missing -- Nonce verified in verifyRequest() above.
+		$campaignId = isset( $_POST['campaign_id'] ) ? absint( $_POST['campaign_id'] ) : 0;
+		$errorCode  = isset( $_POST['error_code'] ) ? sanitize_text_field( wp_unslash( $_POST['error_code'] ) ) : '';
+		// phpcs:enable WordPress.Security.NonceVerification.Missing
+
+		if ( ! $campaignId ) {
+			wp_send_json_error( [ 'message' => __( 'Invalid campaign ID', 'whatsapp-commerce-hub' ) ] );
+		}
+
+		$jobId = $this->dispatcher->retryFailed( $campaignId, $errorCode );
+
+		if ( null === $jobId ) {
+			wp_send_json_error( [ 'message' => __( 'Failed recipients can be retried once the campaign has finished sending.', 'whatsapp-commerce-hub' ) ] );
+		}
+
+		wp_send_json_success(
+			[
+				'message' => __( 'Failed recipients queued for another attempt', 'whatsapp-commerce-hub' ),
+				'job_id'  => $jobId,
+			]
+		);
+	}
+
+	/**
+	 * Handle campaign report export request.
+	 *
+	 * Sent as a plain GET so the browser downloads the file.
+	 *
+	 * @return void
+	 */
+	public function handleExportCampaignReport(): void {
+		$this->verifyRequest();
+
+		// phpcs:disable WordPress.Security.NonceVerification.Recommended -- Nonce verified in verifyRequest() above.
+		$campaignId = isset( $_GET['campaign_id'] ) ? absint( $_GET['campaign_id'] ) : 0;
+		$format     = isset( $_GET['format'] ) ? sanitize_key( wp_unslash( $_GET['format'] ) ) : 'csv';
+		$sheet      = isset( $_GET['sheet'] ) ? sanitize_key( wp_unslash( $_GET['sheet'] ) ) : 'recipients';
+		// phpcs:enable WordPress.Security.NonceVerification.Recommended
+
+		$campaign = $campaignId ? $this->repository->getById( $campaignId ) : null;
+
+		if ( null === $campaign ) {
+			wp_die( esc_html__( 'Campaign not found.', 'whatsapp-commerce-hub' ), '', [ 'response' => 404 ] );
+		}
+
+		if ( ! in_array( $format, BroadcastReportExporter::FORMATS, true ) || ! in_array( $sheet, BroadcastReportExporter::SHEETS, true ) ) {
+			wp_die( esc_html__( 'Unknown export format.', 'whatsapp-commerce-hub' ), '', [ 'response' => 400 ] );
+		}
+
+		// Large campaigns take a while; stream without buffering or a time limit.
+		if ( function_exists( 'wc_set_time_limit' ) ) {
+			wc_set_time_limit( 0 );
+		}
+		while ( ob_get_level() > 0 ) {
+			ob_end_clean();
+		}
+
+		nocache_headers();
+
+		$filename = $this->exporter->getFilename( $campaign, $format, $sheet );
+
+		if ( 'xlsx' === $format ) {
+			$path = wp_tempnam( 'wch-broadcast-report' );
+
+			try {
+				$this->exporter->writeXlsx( $campaign, $path );
+			} catch ( \RuntimeException $e ) {
+				wp_delete_file( $path );
+				wp_die( esc_html( $e->getMessage() ) );
+			}
+
+			header( 'Content-Type: application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' );
+			header( 'Content-Disposition: attachment; filename="' . $filename . '"' );
+			header( 'Content-Length: ' . filesize( $path ) );
+			// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_readfile -- Streams the finished workbook.
+			readfile( $path );
+			wp_delete_file( $path );
+			exit;
+		}
+
+		header( 'Content-Type: text/csv; charset=utf-8' );
+		header( 'Content-Disposition: attachment; filename="' . $filename . '"' );
+
+		// phpcs:disable WordPress.WP.AlternativeFunctions.file_system_operations_fopen,WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+		$output = fopen( 'php://output', 'w' );
+		$this->exporter->writeCsv( $campaign, $sheet, $output );
+		fclose( $output );
+		// phpcs:enable WordPress.WP.AlternativeFunctions.file_system_operations_fopen,WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+		exit;
+	}
+
 	/**
 	 * Handle get approved templates AJAX request.
 	 *
@@ -350,4 +1186,143 @@ class BroadcastsAjaxHandler {
 
 		wp_send_json_success( [ 'templates' => $approvedTemplates ] );
 	}
+
+	/**
+	 * Handle get saved segments AJAX request.
+	 *
+	 * @return void
+	 */
+	public function handleGetSegments(): void {
+		$this->verifyRequest();
+
+		wp_send_json_success( [ 'segments' => $this->segments->getAll() ] );
+	}
+
+	/**
+	 * Handle save segment AJAX request.
+	 *
+	 * @return void
+	 */
+	public function handleSaveSegment(): void {
+		$this->verifyRequest();
+
+		$segmentData = $this->parseJsonPost( 'segment' );
+
+		if ( '' === trim( (string) ( $segmentData['name'] ?? '' ) ) ) {
+			wp_send_json_error( [ 'message' => __( 'Please enter a segment name', 'whatsapp-commerce-hub' ) ] );
+		}
+
+		if ( ! empty( $segmentData['id'] ) && null === $this->segments->getById( absint( $segmentData['id'] ) ) ) {
+			wp_send_json_error( [ 'message' => __( 'Segment not found', 'whatsapp-commerce-hub' ) ] );
+		}
+
+		$segment = $this->segments->save( $segmentData );
+
+		wp_send_json_success(
+			[
+				'message' => __( 'Segment saved', 'whatsapp-commerce-hub' ),
+				'segment' => $segment,
+			]
+		);
+	}
+
+	/**
+	 * Handle delete segment AJAX request.
+	 *
+	 * Campaigns keep their own copy of the rules, so deleting a segment
+	 * does not change the audience of existing campaigns.
+	 *
+	 * @return void
+	 */
+	public function handleDeleteSegment(): void {
+		$this->verifyRequest(); // Calls check_ajax_referer()
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in verifyRequest() above.
+		$segmentId = isset( $_POST['segment_id'] ) ? absint( $_POST['segment_id'] ) : 0;
+
+		if ( ! $segmentId || ! $this->segments->delete( $segmentId ) ) {
+			wp_send_json_error( [ 'message' => __( 'Segment not found', 'whatsapp-commerce-hub' ) ] );
+		}
+
+		wp_send_json_success( [ 'message' => __( 'Segment deleted', 'whatsapp-commerce-hub' ) ] );
+	}
+
+	/**
+	 * Handle CSV contact list import AJAX request.
+	 *
+	 * @return void
+	 */
+	public function handleImportContactList(): void {
+		$this->verifyRequest();
+
+		// phpcs:disable WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+		// Nonce verified in verifyRequest(); the temp file path comes from PHP, not the client.
+		$file = $_FILES['contact_file'] ?? null;
+
+		if ( ! is_array( $file ) || UPLOAD_ERR_OK !== ( $file['error'] ?? UPLOAD_ERR_NO_FILE ) || ! is_uploaded_file( $file['tmp_name'] ) ) {
+			wp_send_json_error( [ 'message' => __( 'Please choose a CSV file to upload', 'whatsapp-commerce-hub' ) ] );
+		}
+
+		$fileName = sanitize_file_name( wp_unslash( (string) $file['name'] ) );
+
+		if ( ! in_array( strtolower( pathinfo( $fileName, PATHINFO_EXTENSION ) ), [ 'csv', 'txt' ], true ) ) {
+			wp_send_json_error( [ 'message' => __( 'Only CSV files can be imported', 'whatsapp-commerce-hub' ) ] );
+		}
+
+		if ( (int) $file['size'] > self::MAX_CONTACT_FILE_SIZE ) {
+			wp_send_json_error(
+				[
+					/* translators: %s: maximum file size */
+					'message' => sprintf( __( 'The file is larger than %s', 'whatsapp-commerce-hub' ), size_format( self::MAX_CONTACT_FILE_SIZE ) ),
+				]
+			);
+		}
+
+		$campaignId  = isset( $_POST['campaign_id'] ) ? absint( $_POST['campaign_id'] ) : 0;
+		$replaceList = isset( $_POST['replace_list'] ) ? preg_replace( '/[^a-f0-9]/', '', (string) wp_unslash( $_POST['replace_list'] ) ) : '';
+		$options     = [
+			'phone_column'    => isset( $_POST['phone_column'] ) ? sanitize_text_field( wp_unslash( $_POST['phone_column'] ) ) : '',
+			'default_country' => isset( $_POST['default_country'] ) ? sanitize_key( wp_unslash( $_POST['default_country'] ) ) : '',
+			'replace_list'    => $this->isContactListShared( $replaceList, $campaignId ) ? '' : $replaceList,
+		];
+		// phpcs:enable WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+
+		try {
+			$result = $this->contactImporter->import( (string) $file['tmp_name'], $fileName, $options );
+		} catch ( ValidationException $e ) {
+			// Columns are returned when the phone column has to be picked by hand.
+			wp_send_json_error(
+				[
+					'message' => $e->getMessage(),
+					'columns' => $e->getContext()['columns'] ?? [],
+				]
+			);
+		}
+
+		wp_send_json_success( $result );
+	}
+
+	/**
+	 * Check whether a contact list is used by a campaign other than the one being edited.
+	 *
+	 * Duplicated campaigns share their contact list, so a replaced list is only
+	 * deleted when nothing else points at it.
+	 *
+	 * @param string $listId     Contact list ID.
+	 * @param int    $campaignId Campaign being edited.
+	 * @return bool
+	 */
+	protected function isContactListShared( string $listId, int $campaignId ): bool {
+		if ( '' === $listId ) {
+			return false;
+		}
+
+		foreach ( $this->repository->getAll() as $campaign ) {
+			if ( (int) $campaign['id'] !== $campaignId && ( $campaign['audience']['contact_list']['id'] ?? '' ) === $listId ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
 }
@@ -0,0 +1,355 @@
+<?php
+/**
+ * Campaign Approval Renderer
+ *
+ * Handles rendering of the campaign approval review.
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+declare(strict_types=1);
+
+namespace WhatsAppCommerceHub\Admin\Broadcasts;
+
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastPricing;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\CampaignApproval;
+use WhatsAppCommerceHub\Contracts\Services\Broadcasts\AudienceCalculatorInterface;
+use WhatsAppCommerceHub\Contracts\Services\Broadcasts\CampaignDispatcherInterface;
+use WhatsAppCommerceHub\Contracts\Services\Broadcasts\CampaignRepositoryInterface;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class CampaignApprovalRenderer
+ *
+ * Shows approvers the rendered message, audience and cost of a pending
+ * campaign, and the approval history of any campaign.
+ */
+class CampaignApprovalRenderer {
+
+	/**
+	 * Constructor.
+	 *
+	 * @param CampaignRepositoryInterface $repository         Campaign repository.
+	 * @param CampaignApproval            $approval           Approval workflow.
+	 * @param AudienceCalculatorInterface $audienceCalculator Audience calculator.
+	 * @param CampaignDispatcherInterface $dispatcher         Campaign dispatcher.
+	 * @param BroadcastPricing            $pricing            Message rate table.
+	 */
+	public function __construct(
+		protected CampaignRepositoryInterface $repository,
+		protected CampaignApproval $approval,
+		protected AudienceCalculatorInterface $audienceCalculator,
+		protected CampaignDispatcherInterface $dispatcher,
+		protected BroadcastPricing $pricing
+	) {
+	}
+
+	/**
+	 * Render the approval review page.
+	 *
+	 * @param int $campaignId Campaign ID.
+	 * @return void
+	 */
+	public function render( int $campaignId ): void {
+		$campaign = $this->repository->getById( $campaignId );
+
+		if ( null === $campaign ) {
+			echo '<div class="notice notice-error"><p>' . esc_html__( 'Campaign not found.', 'whatsapp-commerce-hub' ) . '</p></div>';
+			return;
+		}
+
+		$error = $this->approval->getDecisionError( $campaign, get_current_user_id() );
+		?>
+		<div class="wch-approval-review">
+			<h2><?php echo esc_html( $campaign['name'] ?? __( 'Unnamed Campaign', 'whatsapp-commerce-hub' ) ); ?></h2>
+
+			<?php if ( CampaignApproval::STATUS === ( $campaign['status'] ?? '' ) ) : ?>
+				<p class="wch-report-meta">
+					<?php
+					printf(
+						/* translators: %s: user name */
+						esc_html__( 'Submitted for approval by %s', 'whatsapp-commerce-hub' ),
+						esc_html( $this->getUserName( (int) ( $campaign['submitted_by'] ?? 0 ) ) )
+					);
+					?>
+				</p>
+			<?php endif; ?>
+
+			<?php $this->renderSummary( $campaign ); ?>
+			<?php $this->renderPreviews( $campaign ); ?>
+
+			<?php if ( null === $error ) : ?>
+				<div class="wch-approval-decision" data-campaign-id="<?php echo esc_attr( $campaign['id'] ); ?>">
+					<label for="wch-approval-comment"><?php esc_html_e( 'Comment', 'whatsapp-commerce-hub' ); ?></label>
+					<textarea id="wch-approval-comment" class="large-text" rows="3"></textarea>
+					<p class="description"><?php esc_html_e( 'Required when rejecting. The comment is kept in the approval history.', 'whatsapp-commerce-hub' ); ?></p>
+					<p>
+						<button type="button" class="button button-primary wch-approval-action" data-decision="approve">
+							<?php esc_html_e( 'Approve & Schedule', 'whatsapp-commerce-hub' ); ?>
+						</button>
+						<button type="button" class="button wch-approval-action" data-decision="reject">
+							<?php esc_html_e( 'Reject', 'whatsapp-commerce-hub' ); ?>
+						</button>
+					</p>
+				</div>
+			<?php elseif ( CampaignApproval::STATUS === ( $campaign['status'] ?? '' ) ) : ?>
+				<div class="notice notice-info inline"><p><?php echo esc_html( $error ); ?></p></div>
+			<?php endif; ?>
+
+			<?php $this->renderHistory( $campaign ); ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render a campaign's approval history.
+	 *
+	 * @param array $campaign Campaign data.
+	 * @return void
+	 */
+	public function renderHistory( array $campaign ): void {
+		$history = is_array( $campaign['approval_history'] ?? null ) ? $campaign['approval_history'] : [];
+
+		if ( empty( $history ) ) {
+			return;
+		}
+
+		$labels = [
+			/* translators: %s: user name */
+			'submitted' => __( 'Submitted by %s', 'whatsapp-commerce-hub' ),
+			/* translators: %s: user name */
+			'approved'  => __( 'Approved by %s', 'whatsapp-commerce-hub' ),
+			/* translators: %s: user name */
+			'rejected'  => __( 'Rejected by %s', 'whatsapp-commerce-hub' ),
+		];
+		?>
+		<div class="wch-approval-history">
+			<h3><?php esc_html_e( 'Approval History', 'whatsapp-commerce-hub' ); ?></h3>
+			<ol>
+				<?php foreach ( array_reverse( $history ) as $event ) : ?>
+					<li class="wch-approval-event wch-approval-<?php echo esc_attr( $event['action'] ?? '' ); ?>">
+						<strong><?php echo esc_html( sprintf( $labels[ $event['action'] ?? '' ] ?? '%s', $this->getUserName( (int) ( $event['user_id'] ?? 0 ) ) ) ); ?></strong>
+						<span class="wch-approval-date"><?php echo esc_html( get_date_from_gmt( (string) ( $event['at'] ?? '' ), get_option( 'date_format' ) . ' ' . get_option( 'time_format' ) ) ); ?></span>
+						<?php if ( '' !== ( $event['comment'] ?? '' ) ) : ?>
+							<blockquote><?php echo nl2br( esc_html( $event['comment'] ) ); ?></blockquote>
+						<?php endif; ?>
+					</li>
+				<?php endforeach; ?>
+			</ol>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render the audience, cost and schedule summary.
+	 *
+	 * @param array $campaign Campaign data.
+	 * @return void
+	 */
+	protected function renderSummary( array $campaign ): void {
+		$audience = $campaign['audience'] ?? [];
+		$estimate = $this->pricing->estimate( $this->audienceCalculator->calculateCountByCallingCode( $audience ) );
+		$cost     = $this->estimateCost( $campaign, $estimate );
+		$category = $this->approval->isMarketing( $campaign ) ? 'marketing' : strtolower( (string) ( $campaign['template_data']['category'] ?? 'utility' ) );
+		?>
+		<table class="widefat striped wch-approval-summary">
+			<tbody>
+				<tr>
+					<th scope="row"><?php esc_html_e( 'Template', 'whatsapp-commerce-hub' ); ?></th>
+					<td><?php echo esc_html( implode( ', ', array_unique( array_column( $this->getVariants( $campaign ), 'template_name' ) ) ) . ' (' . $category . ')' ); ?></td>
+				</tr>
+				<tr>
+					<th scope="row"><?php esc_html_e( 'Audience', 'whatsapp-commerce-hub' ); ?></th>
+					<td>
+						<?php
+						printf(
+							/* translators: %s: number of recipients */
+							esc_html( _n( '%s recipient', '%s recipients', $estimate['total_recipients'], 'whatsapp-commerce-hub' ) ),
+							esc_html( number_format_i18n( $estimate['total_recipients'] ) )
+						);
+						?>
+					</td>
+				</tr>
+				<tr>
+					<th scope="row"><?php esc_html_e( 'Estimated Cost', 'whatsapp-commerce-hub' ); ?></th>
+					<td>
+						<?php echo wp_kses_post( wc_price( $cost ) ); ?>
+						<?php if ( $estimate['budget'] > 0 && $cost > $estimate['budget'] ) : ?>
+							<span class="wch-budget-warning">
+								<?php
+								printf(
+									/* translators: %s: budget amount */
+									esc_html__( 'Over the %s budget', 'whatsapp-commerce-hub' ),
+									wp_kses_post( wc_price( $estimate['budget'] ) )
+								);
+								?>
+							</span>
+						<?php endif; ?>
+					</td>
+				</tr>
+				<tr>
+					<th scope="row"><?php esc_html_e( 'Schedule', 'whatsapp-commerce-hub' ); ?></th>
+					<td><?php echo esc_html( $this->describeSchedule( $campaign['schedule'] ?? [] ) ); ?></td>
+				</tr>
+			</tbody>
+		</table>
+		<?php
+	}
+
+	/**
+	 * Render the message as a sample recipient would see it, per A/B variant.
+	 *
+	 * @param array $campaign Campaign data.
+	 * @return void
+	 */
+	protected function renderPreviews( array $campaign ): void {
+		$messages = $this->getVariants( $campaign );
+		?>
+		<div class="wch-approval-section">
+			<h3><?php esc_html_e( 'Message Preview', 'whatsapp-commerce-hub' ); ?></h3>
+			<div class="wch-approval-previews">
+				<?php foreach ( $messages as $label => $message ) : ?>
+					<?php $sample = $this->dispatcher->previewRecipients( $message, 1 )[0] ?? null; ?>
+					<div class="wch-approval-preview">
+						<?php if ( '' !== (string) $label ) : ?>
+							<?php /* translators: %s: variant letter */ ?>
+							<h4><?php echo esc_html( sprintf( __( 'Variant %s', 'whatsapp-commerce-hub' ), $label ) ); ?></h4>
+						<?php endif; ?>
+						<div class="wch-message-preview wch-approval-message"
+							data-template="<?php echo esc_attr( (string) wp_json_encode( $message['template_data'] ?? [] ) ); ?>"
+							data-values="<?php echo esc_attr( (string) wp_json_encode( (object) ( $sample['values'] ?? [] ) ) ); ?>"></div>
+						<?php if ( null !== $sample ) : ?>
+							<p class="description">
+								<?php
+								printf(
+									/* translators: 1: recipient name, 2: masked phone number */
+									esc_html__( 'Shown as %1$s (%2$s) would receive it.', 'whatsapp-commerce-hub' ),
+									esc_html( $sample['name'] ),
+									esc_html( $sample['phone'] )
+								);
+								?>
+							</p>
+						<?php endif; ?>
+					</div>
+				<?php endforeach; ?>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Get the message of each A/B variant, as the dispatcher sends them.
+	 *
+	 * @param array $campaign Campaign data.
+	 * @return array<string, array> Campaign data per variant key, or a single
+	 *                              entry with an empty key without an A/B test.
+	 */
+	protected function getVariants( array $campaign ): array {
+		$abTest = $campaign['ab_test'] ?? [];
+
+		if ( empty( $abTest['enabled'] ) || count( $abTest['variants'] ?? [] ) < 2 ) {
+			return [ '' => $campaign ];
+		}
+
+		$variants = [];
+		foreach ( array_values( $abTest['variants'] ) as $index => $variant ) {
+			$key = (string) ( $variant['key'] ?? chr( 65 + $index ) );
+
+			$variants[ $key ] = 0 === $index
+				? $campaign
+				: array_merge(
+					$campaign,
+					[
+						'template_name'   => $variant['template_name'] ?? '',
+						'template_data'   => $variant['template_data'] ?? [],
+						'personalization' => $variant['personalization'] ?? [],
+					]
+				);
+
+			$variants[ $key ]['share'] = $variant['share'] ?? 0;
+		}
+
+		return $variants;
+	}
+
+	/**
+	 * Estimate what a campaign costs, pricing each variant by its template category.
+	 *
+	 * Matches the wizard: while a winner is still to be picked, the held back
+	 * recipients are priced at the most expensive variant.
+	 *
+	 * @param array $campaign Campaign data.
+	 * @param array $estimate Rate estimate for the audience.
+	 * @return float Estimated cost.
+	 */
+	protected function estimateCost( array $campaign, array $estimate ): float {
+		$audience = (int) $estimate['total_recipients'];
+		$variants = $this->getVariants( $campaign );
+		$rates    = [];
+
+		foreach ( $variants as $variant ) {
+			$category = strtolower( (string) ( $variant['template_data']['category'] ?? 'marketing' ) );
+			$rates[]  = (float) ( $estimate['per_recipient'][ $category ] ?? $estimate['per_recipient']['marketing'] ?? 0.0 );
+		}
+
+		if ( 1 === count( $variants ) ) {
+			return $rates[0] * $audience;
+		}
+
+		$assigned = 0;
+		$total    = 0.0;
+
+		foreach ( array_values( $variants ) as $index => $variant ) {
+			$recipients = (int) floor( $audience * (float) $variant['share'] / 100 );
+			$assigned  += $recipients;
+			$total     += $rates[ $index ] * $recipients;
+		}
+
+		if ( ! empty( $campaign['ab_test']['winner']['enabled'] ) ) {
+			$total += max( $rates ) * max( 0, $audience - $assigned );
+		}
+
+		return $total;
+	}
+
+	/**
+	 * Describe when a campaign will be sent.
+	 *
+	 * @param array $schedule Campaign schedule.
+	 * @return string Description.
+	 */
+	protected function describeSchedule( array $schedule ): string {
+		$timing = $schedule['timing'] ?? 'now';
+
+		if ( 'now' === $timing ) {
+			return __( 'As soon as it is approved', 'whatsapp-commerce-hub' );
+		}
+
+		$when = trim( ( $schedule['date'] ?? '' ) . ' ' . ( $schedule['time'] ?? '' ) );
+
+		if ( 'local' === $timing ) {
+			/* translators: %s: date and time */
+			return sprintf( __( '%s in each recipient\'s local time', 'whatsapp-commerce-hub' ), $when );
+		}
+
+		/* translators: 1: date and time, 2: timezone */
+		return sprintf( __( '%1$s (%2$s)', 'whatsapp-commerce-hub' ), $when, $schedule['timezone'] ?? wp_timezone_string() );
+	}
+
+	/**
+	 * Get a user's display name.
+	 *
+	 * @param int $userId User ID.
+	 * @return string Display name, or a placeholder for deleted users.
+	 */
+	protected function getUserName( int $userId ): string {
+		$user = $userId > 0 ? get_userdata( $userId ) : false;
+
+		return $user ? $user->display_name : __( 'Unknown user', 'whatsapp-commerce-hub' );
+	}
+}
@@ -12,6 +12,9 @@ declare(strict_types=1);
 
 namespace WhatsAppCommerceHub\Admin\Broadcasts;
 
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastCouponIssuer;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastTracker;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\CampaignDispatcher;
 use WhatsAppCommerceHub\Contracts\Services\Broadcasts\CampaignRepositoryInterface;
 
 // Exit if accessed directly.
@@ -26,12 +29,44 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 class CampaignReportGenerator {
 
+	/**
+	 * Points plotted on the progress chart.
+	 */
+	protected const TIMELINE_POINTS = 30;
+
+	/**
+	 * Statuses while delivery counts can still change quickly.
+	 */
+	protected const LIVE_STATUSES = [ 'scheduled', 'sending', 'paused' ];
+
+	/**
+	 * Broadcast tracker.
+	 *
+	 * @var BroadcastTracker
+	 */
+	protected BroadcastTracker $tracker;
+
+	/**
+	 * Coupon issuer.
+	 *
+	 * @var BroadcastCouponIssuer
+	 */
+	protected BroadcastCouponIssuer $couponIssuer;
+
 	/**
 	 * Constructor.
 	 *
-	 * @param CampaignRepositoryInterface $repository Campaign repository.
+	 * @param CampaignRepositoryInterface $repository   Campaign repository.
+	 * @param BroadcastTracker|null       $tracker      Broadcast tracker.
+	 * @param BroadcastCouponIssuer|null  $couponIssuer Coupon issuer.
 	 */
-	public function __construct( protected CampaignRepositoryInterface $repository ) {
+	public function __construct(
+		protected CampaignRepositoryInterface $repository,
+		?BroadcastTracker $tracker = null,
+		?BroadcastCouponIssuer $couponIssuer = null
+	) {
+		$this->tracker      = $tracker ?? wch( BroadcastTracker::class );
+		$this->couponIssuer = $couponIssuer ?? wch( BroadcastCouponIssuer::class );
 	}
 
 	/**
@@ -53,7 +88,10 @@ class CampaignReportGenerator {
 		<div class="wch-campaign-report">
 			<?php
 			$this->renderHeader( $campaign );
-			$this->renderDeliveryFunnel( $stats );
+			$this->renderLiveProgress( $campaign );
+			$this->renderDeliveryFunnel( $stats, $campaign );
+			$this->renderAbTestResults( $campaign );
+			$this->renderCouponRedemptions( $campaign );
 			$this->renderErrorsBreakdown( $stats );
 			$this->renderActions( $campaignId );
 			?>
@@ -89,17 +127,241 @@ class CampaignReportGenerator {
 				);
 				?>
 			</p>
+			<?php echo wp_kses_post( $this->getControlButtons( $campaign ) ); ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Get the pause, resume and cancel buttons for a campaign.
+	 *
+	 * Buttons that do not apply to the current status are hidden, so the admin
+	 * script can show them as the status changes.
+	 *
+	 * @param array $campaign Campaign data.
+	 * @return string Buttons HTML, empty once the campaign can no longer change.
+	 */
+	public function getControlButtons( array $campaign ): string {
+		$status = (string) ( $campaign['status'] ?? '' );
+
+		if ( ! in_array( $status, array_merge( ...array_values( CampaignDispatcher::CONTROL_STATUSES ) ), true ) ) {
+			return '';
+		}
+
+		$labels = [
+			'pause'  => __( 'Pause', 'whatsapp-commerce-hub' ),
+			'resume' => __( 'Resume', 'whatsapp-commerce-hub' ),
+			'cancel' => __( 'Cancel', 'whatsapp-commerce-hub' ),
+		];
+
+		$buttons = [];
+		foreach ( $labels as $control => $label ) {
+			$buttons[] = sprintf(
+				'<button type="button" class="button button-small wch-campaign-control%s" data-control="%s" data-campaign-id="%d">%s</button>',
+				in_array( $status, CampaignDispatcher::CONTROL_STATUSES[ $control ], true ) ? '' : ' hidden',
+				esc_attr( $control ),
+				(int) $campaign['id'],
+				esc_html( $label )
+			);
+		}
+
+		return sprintf(
+			'<span class="wch-campaign-controls" data-campaign-id="%d">%s</span>',
+			(int) $campaign['id'],
+			implode( ' ', $buttons )
+		);
+	}
+
+	/**
+	 * Render the live delivery progress panel.
+	 *
+	 * The counts, chart and failures are filled in and refreshed by the admin script.
+	 *
+	 * @param array $campaign Campaign data.
+	 * @return void
+	 */
+	protected function renderLiveProgress( array $campaign ): void {
+		$metrics = [
+			'queued'    => __( 'Queued', 'whatsapp-commerce-hub' ),
+			'sent'      => __( 'Sent', 'whatsapp-commerce-hub' ),
+			'delivered' => __( 'Delivered', 'whatsapp-commerce-hub' ),
+			'read'      => __( 'Read', 'whatsapp-commerce-hub' ),
+			'failed'    => __( 'Failed', 'whatsapp-commerce-hub' ),
+			'replied'   => __( 'Replied', 'whatsapp-commerce-hub' ),
+		];
+
+		if ( $this->tracksClicks( $campaign ) ) {
+			$metrics['clicked'] = __( 'Clicked', 'whatsapp-commerce-hub' );
+		}
+		?>
+		<div class="wch-campaign-progress" id="wch-campaign-progress" data-campaign-id="<?php echo esc_attr( $campaign['id'] ); ?>">
+			<h3>
+				<?php esc_html_e( 'Delivery Progress', 'whatsapp-commerce-hub' ); ?>
+				<span class="wch-progress-status description"></span>
+			</h3>
+			<div class="wch-progress-counts">
+				<?php foreach ( $metrics as $metric => $label ) : ?>
+					<div class="wch-progress-count wch-progress-<?php echo esc_attr( $metric ); ?>" data-metric="<?php echo esc_attr( $metric ); ?>">
+						<div class="wch-progress-number">-</div>
+						<div class="wch-progress-label"><?php echo esc_html( $label ); ?></div>
+					</div>
+				<?php endforeach; ?>
+			</div>
+			<div class="wch-progress-chart">
+				<canvas id="wch-progress-chart"></canvas>
+			</div>
+			<div class="wch-progress-failures" style="display:none;">
+				<h4><?php esc_html_e( 'Failures by Error Code', 'whatsapp-commerce-hub' ); ?></h4>
+				<table class="wp-list-table widefat fixed striped">
+					<thead>
+						<tr>
+							<th><?php esc_html_e( 'Error Code', 'whatsapp-commerce-hub' ); ?></th>
+							<th><?php esc_html_e( 'Reason', 'whatsapp-commerce-hub' ); ?></th>
+							<th><?php esc_html_e( 'Recipients', 'whatsapp-commerce-hub' ); ?></th>
+							<th></th>
+						</tr>
+					</thead>
+					<tbody id="wch-progress-failure-rows"></tbody>
+				</table>
+			</div>
 		</div>
 		<?php
 	}
 
+	/**
+	 * Get live delivery progress for a campaign.
+	 *
+	 * @param int $campaignId Campaign ID.
+	 * @return array|null Progress data, or null if the campaign does not exist.
+	 */
+	public function getProgressData( int $campaignId ): ?array {
+		$campaign = $this->repository->getById( $campaignId );
+
+		if ( null === $campaign ) {
+			return null;
+		}
+
+		$status   = (string) ( $campaign['status'] ?? 'draft' );
+		$total    = (int) ( $campaign['stats']['total'] ?? $campaign['audience_size'] ?? 0 );
+		$progress = $this->tracker->getProgress( $campaignId );
+		$failures = [];
+
+		foreach ( $this->tracker->getFailureGroups( $campaignId ) as $group ) {
+			$failures[] = array_merge( $group, [ 'label' => $this->getErrorLabel( $group['code'], $group['message'] ) ] );
+		}
+
+		return [
+			'status'    => $status,
+			'live'      => in_array( $status, self::LIVE_STATUSES, true ),
+			'can_retry' => in_array( $status, [ 'completed', 'failed' ], true ),
+			'counts'    => [
+				'queued'    => max( 0, $total - $progress['recorded'] ),
+				'sent'      => $progress['sent'],
+				'delivered' => $progress['delivered'],
+				'read'      => $progress['read'],
+				'failed'    => $progress['failed'],
+				'replied'   => $progress['replied'],
+				'clicked'   => $progress['clicked'],
+			],
+			'timeline'  => $this->buildTimeline( $this->tracker->getTimeline( $campaignId ), $total ),
+			'failures'  => $failures,
+		];
+	}
+
+	/**
+	 * Turn per-minute event counts into cumulative series for the progress chart.
+	 *
+	 * @param array<string, array<string, int>> $events Counts keyed by metric, then by minute.
+	 * @param int                               $total  Campaign audience size.
+	 * @return array{labels: array<int, string>, series: array<string, array<int, int>>}
+	 */
+	protected function buildTimeline( array $events, int $total ): array {
+		$minutes = [];
+		foreach ( $events as $counts ) {
+			foreach ( array_keys( $counts ) as $minute ) {
+				$minutes[] = strtotime( $minute . ':00 UTC' );
+			}
+		}
+
+		$metrics = [ 'queued', 'sent', 'delivered', 'read', 'failed', 'replied' ];
+		$series  = array_fill_keys( $metrics, [] );
+
+		if ( empty( $minutes ) ) {
+			return [
+				'labels' => [],
+				'series' => $series,
+			];
+		}
+
+		// Times are stored in site time, so format them without converting again.
+		$first  = min( $minutes );
+		$last   = max( $minutes );
+		$step   = max( MINUTE_IN_SECONDS, (int) ceil( ( $last - $first ) / ( self::TIMELINE_POINTS - 1 ) / MINUTE_IN_SECONDS ) * MINUTE_IN_SECONDS );
+		$format = gmdate( 'Y-m-d', $first ) === gmdate( 'Y-m-d', $last ) ? get_option( 'time_format' ) : 'M j ' . get_option( 'time_format' );
+		$labels = [];
+
+		for ( $point = $first; $point < $last + $step; $point += $step ) {
+			$labels[] = date_i18n( $format, $point );
+
+			$totals = [];
+			foreach ( [ 'recorded', 'sent', 'delivered', 'read', 'failed', 'replied' ] as $metric ) {
+				$totals[ $metric ] = 0;
+				foreach ( $events[ $metric ] ?? [] as $minute => $count ) {
+					if ( strtotime( $minute . ':00 UTC' ) <= $point ) {
+						$totals[ $metric ] += $count;
+					}
+				}
+			}
+
+			$series['queued'][] = max( 0, $total - $totals['recorded'] );
+			foreach ( array_slice( $metrics, 1 ) as $metric ) {
+				$series[ $metric ][] = $totals[ $metric ];
+			}
+		}
+
+		return [
+			'labels' => $labels,
+			'series' => $series,
+		];
+	}
+
+	/**
+	 * Get a readable reason for a Cloud API error code.
+	 *
+	 * @param string $code    Error code.
+	 * @param string $message Error message recorded with the failure.
+	 * @return string Reason.
+	 */
+	protected function getErrorLabel( string $code, string $message ): string {
+		$labels = [
+			'130429' => __( 'Throughput limit reached', 'whatsapp-commerce-hub' ),
+			'131026' => __( 'Message undeliverable, e.g. the number is not on WhatsApp', 'whatsapp-commerce-hub' ),
+			'131047' => __( 'More than 24 hours since the customer last replied', 'whatsapp-commerce-hub' ),
+			'131048' => __( 'Spam rate limit reached', 'whatsapp-commerce-hub' ),
+			'131049' => __( 'Not delivered to maintain healthy engagement', 'whatsapp-commerce-hub' ),
+			'131050' => __( 'Customer stopped marketing messages', 'whatsapp-commerce-hub' ),
+			'131056' => __( 'Too many messages to the same number', 'whatsapp-commerce-hub' ),
+			'132000' => __( 'Template parameter count mismatch', 'whatsapp-commerce-hub' ),
+			'132001' => __( 'Template does not exist', 'whatsapp-commerce-hub' ),
+			'132015' => __( 'Template paused for low quality', 'whatsapp-commerce-hub' ),
+			'132016' => __( 'Template disabled', 'whatsapp-commerce-hub' ),
+		];
+
+		if ( isset( $labels[ $code ] ) ) {
+			return $labels[ $code ];
+		}
+
+		return '' !== $message ? $message : __( 'Unknown error', 'whatsapp-commerce-hub' );
+	}
+
 	/**
 	 * Render delivery funnel visualization.
 	 *
-	 * @param array $stats Campaign statistics.
+	 * @param array $stats    Campaign statistics.
+	 * @param array $campaign Campaign data.
 	 * @return void
 	 */
-	protected function renderDeliveryFunnel( array $stats ): void {
+	protected function renderDeliveryFunnel( array $stats, array $campaign = [] ): void {
 		$sent      = (int) ( $stats['sent'] ?? 0 );
 		$delivered = (int) ( $stats['delivered'] ?? 0 );
 		$read      = (int) ( $stats['read'] ?? 0 );
@@ -130,12 +392,33 @@ class CampaignReportGenerator {
 					$sent > 0 ? ( $read / $sent ) * 100 : 0,
 					$delivered > 0 ? $readRate : null
 				);
+
+				if ( $this->tracksClicks( $campaign ) ) {
+					$progress = $this->tracker->getProgress( (int) $campaign['id'] );
+
+					$this->renderFunnelItem(
+						$progress['clicked'],
+						__( 'Clicked', 'whatsapp-commerce-hub' ),
+						$progress['sent'] > 0 ? ( $progress['clicked'] / $progress['sent'] ) * 100 : 0,
+						$progress['delivered'] > 0 ? ( $progress['clicked'] / $progress['delivered'] ) * 100 : null
+					);
+				}
 				?>
 			</div>
 		</div>
 		<?php
 	}
 
+	/**
+	 * Check whether a campaign counts clicks on its links.
+	 *
+	 * @param array $campaign Campaign data.
+	 * @return bool True if click tracking is on.
+	 */
+	protected function tracksClicks( array $campaign ): bool {
+		return ! empty( $campaign['tracking']['track_clicks'] );
+	}
+
 	/**
 	 * Render a funnel item.
 	 *
@@ -162,6 +445,177 @@ class CampaignReportGenerator {
 		<?php
 	}
 
+	/**
+	 * Render A/B test results per variant.
+	 *
+	 * @param array $campaign Campaign data.
+	 * @return void
+	 */
+	protected function renderAbTestResults( array $campaign ): void {
+		$variants = $this->getVariantResults( $campaign );
+
+		if ( empty( $variants ) ) {
+			return;
+		}
+
+		$abTest = $campaign['ab_test'];
+		$clicks = $this->tracksClicks( $campaign );
+		?>
+		<div class="wch-ab-results">
+			<h3><?php esc_html_e( 'A/B Test Results', 'whatsapp-commerce-hub' ); ?></h3>
+			<?php if ( 'testing' === ( $abTest['phase'] ?? '' ) ) : ?>
+				<p class="description">
+					<?php
+					printf(
+						/* translators: %d: hours to wait before picking a winner */
+						esc_html__( 'Test in progress. The winner is sent to the rest of the audience %d hours after the test batches.', 'whatsapp-commerce-hub' ),
+						(int) ( $abTest['winner']['wait_hours'] ?? 0 )
+					);
+					?>
+				</p>
+			<?php endif; ?>
+			<table class="wp-list-table widefat fixed striped">
+				<thead>
+					<tr>
+						<th><?php esc_html_e( 'Variant', 'whatsapp-commerce-hub' ); ?></th>
+						<th><?php esc_html_e( 'Template', 'whatsapp-commerce-hub' ); ?></th>
+						<th><?php esc_html_e( 'Sent', 'whatsapp-commerce-hub' ); ?></th>
+						<th><?php esc_html_e( 'Delivered', 'whatsapp-commerce-hub' ); ?></th>
+						<th><?php esc_html_e( 'Read Rate', 'whatsapp-commerce-hub' ); ?></th>
+						<?php if ( $clicks ) : ?>
+							<th><?php esc_html_e( 'Click Rate', 'whatsapp-commerce-hub' ); ?></th>
+						<?php endif; ?>
+						<th><?php esc_html_e( 'Orders', 'whatsapp-commerce-hub' ); ?></th>
+						<th><?php esc_html_e( 'Conversion Rate', 'whatsapp-commerce-hub' ); ?></th>
+						<th><?php esc_html_e( 'Revenue', 'whatsapp-commerce-hub' ); ?></th>
+					</tr>
+				</thead>
+				<tbody>
+					<?php foreach ( $variants as $variant ) : ?>
+						<tr>
+							<td>
+								<?php echo esc_html( $variant['key'] ); ?>
+								<?php if ( $variant['winner'] ) : ?>
+									<span class="wch-badge wch-badge-completed"><?php esc_html_e( 'Winner', 'whatsapp-commerce-hub' ); ?></span>
+								<?php endif; ?>
+							</td>
+							<td><?php echo esc_html( $variant['template'] ); ?></td>
+							<td><?php echo esc_html( number_format_i18n( $variant['sent'] ) ); ?></td>
+							<td><?php echo esc_html( number_format_i18n( $variant['delivered'] ) ); ?></td>
+							<td><?php echo esc_html( number_format( $variant['read_rate'], 1 ) ); ?>%</td>
+							<?php if ( $clicks ) : ?>
+								<td><?php echo esc_html( number_format( $variant['click_rate'], 1 ) ); ?>%</td>
+							<?php endif; ?>
+							<td><?php echo esc_html( number_format_i18n( $variant['orders'] ) ); ?></td>
+							<td><?php echo esc_html( number_format( $variant['conversion_rate'], 1 ) ); ?>%</td>
+							<td><?php echo wp_kses_post( wc_price( $variant['revenue'] ) ); ?></td>
+						</tr>
+					<?php endforeach; ?>
+				</tbody>
+			</table>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Get A/B test outcome per variant.
+	 *
+	 * @param array $campaign Campaign data.
+	 * @return array<int, array> Variant results, empty when the campaign is not an A/B test.
+	 */
+	protected function getVariantResults( array $campaign ): array {
+		$abTest = $campaign['ab_test'] ?? [];
+
+		if ( empty( $abTest['enabled'] ) || empty( $abTest['phase'] ) ) {
+			return [];
+		}
+
+		$metrics = $this->tracker->getVariantMetrics( (int) $campaign['id'] );
+		$results = [];
+
+		foreach ( $abTest['variants'] as $index => $variant ) {
+			$key = (string) $variant['key'];
+
+			$results[] = array_merge(
+				[
+					'sent'            => 0,
+					'delivered'       => 0,
+					'read'            => 0,
+					'clicked'         => 0,
+					'failed'          => 0,
+					'orders'          => 0,
+					'revenue'         => 0.0,
+					'read_rate'       => 0.0,
+					'click_rate'      => 0.0,
+					'conversion_rate' => 0.0,
+				],
+				$metrics[ $key ] ?? [],
+				[
+					'key'      => $key,
+					'template' => 0 === $index ? (string) $campaign['template_name'] : (string) $variant['template_name'],
+					'share'    => (int) $variant['share'],
+					'winner'   => $key === ( $abTest['winner_key'] ?? '' ),
+				]
+			);
+		}
+
+		return $results;
+	}
+
+	/**
+	 * Render unique coupon redemptions.
+	 *
+	 * @param array $campaign Campaign data.
+	 * @return void
+	 */
+	protected function renderCouponRedemptions( array $campaign ): void {
+		$coupons = $this->getCouponResults( $campaign );
+
+		if ( null === $coupons ) {
+			return;
+		}
+
+		$rate = $coupons['issued'] > 0 ? ( $coupons['redeemed'] / $coupons['issued'] ) * 100 : 0;
+		?>
+		<div class="wch-coupon-redemptions">
+			<h3><?php esc_html_e( 'Coupon Redemptions', 'whatsapp-commerce-hub' ); ?></h3>
+			<div class="wch-funnel-stats">
+				<?php
+				$this->renderFunnelItem(
+					$coupons['issued'],
+					__( 'Coupons Issued', 'whatsapp-commerce-hub' ),
+					100
+				);
+
+				$this->renderFunnelItem(
+					$coupons['redeemed'],
+					__( 'Redeemed', 'whatsapp-commerce-hub' ),
+					$rate,
+					$coupons['issued'] > 0 ? $rate : null
+				);
+				?>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Get unique coupon counts for a campaign.
+	 *
+	 * @param array $campaign Campaign data.
+	 * @return array{issued: int, redeemed: int, uses: int}|null Counts, or null when the campaign issues no coupons.
+	 */
+	protected function getCouponResults( array $campaign ): ?array {
+		$personalization = [ $campaign['personalization'] ?? [] ];
+		foreach ( $campaign['ab_test']['variants'] ?? [] as $variant ) {
+			$personalization[] = $variant['personalization'] ?? [];
+		}
+
+		$usesCoupons = array_filter( $personalization, fn( $mapping ) => $this->couponIssuer->countCouponParameters( (array) $mapping ) > 0 );
+
+		return empty( $usesCoupons ) ? null : $this->couponIssuer->getRedemptionStats( (int) $campaign['id'] );
+	}
+
 	/**
 	 * Render errors breakdown table.
 	 *
@@ -209,8 +663,14 @@ class CampaignReportGenerator {
 			<a href="<?php echo esc_url( admin_url( 'admin.php?page=wch-broadcasts' ) ); ?>" class="button">
 				<?php esc_html_e( 'Back to Campaigns', 'whatsapp-commerce-hub' ); ?>
 			</a>
-			<button type="button" class="button" id="wch-export-report" data-campaign-id="<?php echo esc_attr( $campaignId ); ?>">
-				<?php esc_html_e( 'Export Report', 'whatsapp-commerce-hub' ); ?>
+			<button type="button" class="button wch-export-report" data-campaign-id="<?php echo esc_attr( $campaignId ); ?>" data-format="csv" data-sheet="recipients">
+				<?php esc_html_e( 'Export Recipients (CSV)', 'whatsapp-commerce-hub' ); ?>
+			</button>
+			<button type="button" class="button wch-export-report" data-campaign-id="<?php echo esc_attr( $campaignId ); ?>" data-format="csv" data-sheet="summary">
+				<?php esc_html_e( 'Export Summary (CSV)', 'whatsapp-commerce-hub' ); ?>
+			</button>
+			<button type="button" class="button wch-export-report" data-campaign-id="<?php echo esc_attr( $campaignId ); ?>" data-format="xlsx">
+				<?php esc_html_e( 'Export Workbook (XLSX)', 'whatsapp-commerce-hub' ); ?>
 			</button>
 		</div>
 		<?php
@@ -254,6 +714,8 @@ class CampaignReportGenerator {
 					? round( ( $stats['read'] / $stats['delivered'] ) * 100, 2 )
 					: 0,
 			],
+			'variants'    => $this->getVariantResults( $campaign ),
+			'coupons'     => $this->getCouponResults( $campaign ),
 			'errors'      => $stats['errors'] ?? [],
 			'exported_at' => gmdate( 'Y-m-d H:i:s' ),
 		];
@@ -237,7 +237,7 @@ class AdminSettingsController {
 		$activeTab = isset( $_POST['active_tab'] ) ? sanitize_key( $_POST['active_tab'] ) : 'connection';
 
 		// Process each tab's settings.
-		$sections = [ 'api', 'catalog', 'checkout', 'notifications', 'ai', 'advanced' ];
+		$sections = [ 'api', 'catalog', 'checkout', 'notifications', 'ai', 'broadcasts', 'advanced' ];
 
 		foreach ( $sections as $section ) {
 			if ( isset( $_POST[ $section ] ) && is_array( $_POST[ $section ] ) ) {
@@ -12,6 +12,7 @@ declare(strict_types=1);
 
 namespace WhatsAppCommerceHub\Admin\Settings;
 
+use WhatsAppCommerceHub\Application\Services\Broadcasts\CampaignApproval;
 use WhatsAppCommerceHub\Clients\WhatsAppApiClient;
 use WhatsAppCommerceHub\Contracts\Admin\Settings\SettingsSanitizerInterface;
 use WhatsAppCommerceHub\Contracts\Admin\Settings\SettingsImportExporterInterface;
@@ -96,13 +97,18 @@ class SettingsAjaxHandler {
 	public function handleSaveSettings(): void {
 		$this->verifyRequest(); // Calls check_ajax_referer()
 
-		$sections = [ 'api', 'catalog', 'checkout', 'notifications', 'ai', 'advanced' ];
+		$sections = [ 'api', 'catalog', 'checkout', 'notifications', 'ai', 'broadcasts', 'advanced' ];
 
 		foreach ( $sections as $section ) {
 			// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce verified in verifyRequest() above.
 			if ( isset( $_POST[ $section ] ) && is_array( $_POST[ $section ] ) ) {
 				// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized, WordPress.Security.NonceVerification.Missing -- Nonce verified, values sanitized by sanitizer.
 				foreach ( $_POST[ $section ] as $key => $value ) {
+					// Shop managers whose campaigns need approval must not be able to switch it off.
+					if ( 'broadcasts' === $section && str_starts_with( sanitize_key( $key ), 'approval_' ) && ! $this->canChangeApprovalSettings() ) {
+						continue;
+					}
+
 					$settingKey     = $section . '.' . sanitize_key( $key );
 					$sanitizedValue = $this->sanitizer->sanitize( $value, $key );
 					$this->settings->set( $settingKey, $sanitizedValue );
@@ -330,6 +336,10 @@ class SettingsAjaxHandler {
 			wp_send_json_error( [ 'message' => __( 'No settings data provided', 'whatsapp-commerce-hub' ) ] );
 		}
 
+		if ( ! $this->canChangeApprovalSettings() && $this->settings->get( 'broadcasts.approval_enabled', false ) ) {
+			wp_send_json_error( [ 'message' => __( 'Broadcast approval is enabled, so only users who can approve broadcasts can import settings.', 'whatsapp-commerce-hub' ) ] );
+		}
+
 		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized, WordPress.Security.NonceVerification.Missing -- Nonce verified, JSON sanitized in import method.
 		$jsonData = wp_unslash( $_POST['settings'] );
 
@@ -374,6 +384,10 @@ class SettingsAjaxHandler {
 	public function handleResetSettings(): void {
 		$this->verifyRequest();
 
+		if ( ! $this->canChangeApprovalSettings() && $this->settings->get( 'broadcasts.approval_enabled', false ) ) {
+			wp_send_json_error( [ 'message' => __( 'Broadcast approval is enabled, so only users who can approve broadcasts can reset settings.', 'whatsapp-commerce-hub' ) ] );
+		}
+
 		try {
 			// Create backup before reset.
 			$this->importExporter->createBackup();
@@ -388,6 +402,15 @@ class SettingsAjaxHandler {
 		}
 	}
 
+	/**
+	 * Check whether the current user may change the broadcast approval settings.
+	 *
+	 * @return bool
+	 */
+	protected function canChangeApprovalSettings(): bool {
+		return current_user_can( CampaignApproval::CAPABILITY );
+	}
+
 	/**
 	 * Log message.
 	 *
@@ -53,6 +53,8 @@ class SettingsSanitizer implements SettingsSanitizerInterface {
 		'auto_fix_discrepancies',
 		'enable_ai',
 		'discount_enabled',
+		'approval_enabled',
+		'approval_marketing',
 	];
 
 	/**
@@ -76,6 +78,7 @@ class SettingsSanitizer implements SettingsSanitizerInterface {
 		'delay_sequence_2',
 		'delay_sequence_3',
 		'discount_amount',
+		'approval_threshold',
 	];
 
 	/**
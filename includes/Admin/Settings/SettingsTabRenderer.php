@@ -12,6 +12,7 @@ declare(strict_types=1);
 
 namespace WhatsAppCommerceHub\Admin\Settings;
 
+use WhatsAppCommerceHub\Application\Services\Broadcasts\CampaignApproval;
 use WhatsAppCommerceHub\Contracts\Admin\Settings\SettingsTabRendererInterface;
 use WhatsAppCommerceHub\Contracts\Services\SettingsInterface;
 use WhatsAppCommerceHub\Payments\PaymentGatewayRegistry;
@@ -45,6 +46,7 @@ class SettingsTabRenderer implements SettingsTabRendererInterface {
 			'checkout'      => __( 'Checkout', 'whatsapp-commerce-hub' ),
 			'notifications' => __( 'Notifications', 'whatsapp-commerce-hub' ),
 			'ai'            => __( 'AI', 'whatsapp-commerce-hub' ),
+			'broadcasts'    => __( 'Broadcasts', 'whatsapp-commerce-hub' ),
 			'advanced'      => __( 'Advanced', 'whatsapp-commerce-hub' ),
 		];
 	}
@@ -92,6 +94,9 @@ class SettingsTabRenderer implements SettingsTabRendererInterface {
 			case 'ai':
 				$this->renderAiTab( $settings );
 				break;
+			case 'broadcasts':
+				$this->renderBroadcastsTab( $settings );
+				break;
 			case 'advanced':
 				$this->renderAdvancedTab( $settings );
 				break;
@@ -554,6 +559,68 @@ class SettingsTabRenderer implements SettingsTabRendererInterface {
 		<?php
 	}
 
+	/**
+	 * Render Broadcasts tab.
+	 *
+	 * @param SettingsInterface $settings Settings service.
+	 * @return void
+	 */
+	protected function renderBroadcastsTab( SettingsInterface $settings ): void {
+		$approvalEnabled   = $settings->get( 'broadcasts.approval_enabled', false );
+		$approvalMarketing = $settings->get( 'broadcasts.approval_marketing', true );
+		$approvalThreshold = $settings->get( 'broadcasts.approval_threshold', 1000 );
+		$canEditApproval   = current_user_can( CampaignApproval::CAPABILITY );
+		?>
+		<table class="form-table" role="presentation">
+			<tbody>
+				<tr>
+					<th scope="row">
+						<?php esc_html_e( 'Campaign Approval', 'whatsapp-commerce-hub' ); ?>
+					</th>
+					<td>
+						<label>
+							<input type="hidden" name="broadcasts[approval_enabled]" value="0" <?php disabled( ! $canEditApproval ); ?>>
+							<input type="checkbox" name="broadcasts[approval_enabled]" value="1" <?php checked( $approvalEnabled, true ); ?> <?php disabled( ! $canEditApproval ); ?>>
+							<?php esc_html_e( 'Require a second person to approve campaigns before they are sent', 'whatsapp-commerce-hub' ); ?>
+						</label>
+						<p class="description">
+							<?php esc_html_e( 'Approvers need the wch_approve_broadcasts capability, which administrators have by default. Nobody can approve a campaign they submitted.', 'whatsapp-commerce-hub' ); ?>
+						</p>
+						<?php if ( ! $canEditApproval ) : ?>
+							<p class="description">
+								<?php esc_html_e( 'Only users who can approve campaigns can change these settings.', 'whatsapp-commerce-hub' ); ?>
+							</p>
+						<?php endif; ?>
+					</td>
+				</tr>
+				<tr>
+					<th scope="row">
+						<?php esc_html_e( 'Marketing Campaigns', 'whatsapp-commerce-hub' ); ?>
+					</th>
+					<td>
+						<label>
+							<input type="hidden" name="broadcasts[approval_marketing]" value="0" <?php disabled( ! $canEditApproval ); ?>>
+							<input type="checkbox" name="broadcasts[approval_marketing]" value="1" <?php checked( $approvalMarketing, true ); ?> <?php disabled( ! $canEditApproval ); ?>>
+							<?php esc_html_e( 'Always require approval for marketing templates', 'whatsapp-commerce-hub' ); ?>
+						</label>
+					</td>
+				</tr>
+				<tr>
+					<th scope="row">
+						<label for="approval_threshold"><?php esc_html_e( 'Audience Threshold', 'whatsapp-commerce-hub' ); ?></label>
+					</th>
+					<td>
+						<input type="number" name="broadcasts[approval_threshold]" id="approval_threshold"
+								value="<?php echo esc_attr( $approvalThreshold ); ?>" min="0" step="1" class="small-text" <?php disabled( ! $canEditApproval ); ?>>
+						<?php esc_html_e( 'recipients', 'whatsapp-commerce-hub' ); ?>
+						<p class="description"><?php esc_html_e( 'Campaigns with at least this many recipients need approval. Set to 0 to only use the marketing rule.', 'whatsapp-commerce-hub' ); ?></p>
+					</td>
+				</tr>
+			</tbody>
+		</table>
+		<?php
+	}
+
 	/**
 	 * Render Advanced tab.
 	 *
@@ -14,6 +14,8 @@ namespace WhatsAppCommerceHub\Application\Services\Broadcasts;
 
 use WhatsAppCommerceHub\Contracts\Services\LoggerInterface;
 use WhatsAppCommerceHub\Contracts\Services\Broadcasts\AudienceCalculatorInterface;
+use WhatsAppCommerceHub\Contracts\Services\Broadcasts\ContactListRepositoryInterface;
+use WhatsAppCommerceHub\Contracts\Services\Reengagement\FrequencyCapManagerInterface;
 
 // Exit if accessed directly.
 if ( ! defined( 'ABSPATH' ) ) {
@@ -37,38 +39,213 @@ class AudienceCalculator implements AudienceCalculatorInterface {
 	 */
 	protected const BATCH_SIZE = 1000;
 
+	/**
+	 * Largest page of the recipient sample.
+	 */
+	protected const MAX_SAMPLE_SIZE = 50;
+
+	/**
+	 * Segment builder.
+	 *
+	 * @var AudienceSegmentBuilder
+	 */
+	protected AudienceSegmentBuilder $segmentBuilder;
+
+	/**
+	 * Contact list repository.
+	 *
+	 * @var ContactListRepositoryInterface
+	 */
+	protected ContactListRepositoryInterface $contactLists;
+
+	/**
+	 * Frequency cap manager.
+	 *
+	 * @var FrequencyCapManagerInterface|null
+	 */
+	protected ?FrequencyCapManagerInterface $frequencyCaps;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param AudienceSegmentBuilder|null         $segmentBuilder Segment builder.
+	 * @param ContactListRepositoryInterface|null $contactLists   Contact list repository.
+	 * @param FrequencyCapManagerInterface|null   $frequencyCaps  Frequency cap manager.
+	 */
+	public function __construct(
+		?AudienceSegmentBuilder $segmentBuilder = null,
+		?ContactListRepositoryInterface $contactLists = null,
+		?FrequencyCapManagerInterface $frequencyCaps = null
+	) {
+		$this->segmentBuilder = $segmentBuilder ?? new AudienceSegmentBuilder();
+		$this->contactLists   = $contactLists ?? new ContactListRepository();
+		$this->frequencyCaps  = $frequencyCaps;
+	}
+
 	/**
 	 * {@inheritdoc}
 	 */
 	public function calculateCount( array $criteria ): int {
+		// Build parameterized query parts.
+		$whereClauses = [];
+		$whereValues  = [];
+		$tableName    = $this->buildSourceQuery( $criteria, $whereClauses, $whereValues );
+
+		$this->applyExclusions( $criteria, $whereClauses, $whereValues );
+
+		return $this->countWhere( $tableName, $whereClauses, $whereValues );
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function getBreakdown( array $criteria ): array {
+		$sourceCriteria = array_intersect_key( $criteria, array_flip( [ 'source', 'contact_list' ] ) );
+		$sourceClauses  = [];
+		$sourceValues   = [];
+		$tableName      = $this->buildSourceQuery( $sourceCriteria, $sourceClauses, $sourceValues, false );
+
+		$matched = [
+			[
+				'label' => 'csv' === ( $criteria['source'] ?? '' )
+					? __( 'Contacts in the list', 'whatsapp-commerce-hub' )
+					: __( 'All customers', 'whatsapp-commerce-hub' ),
+				'count' => $this->countWhere( $tableName, $sourceClauses, $sourceValues ),
+			],
+		];
+
+		// Each criterion on its own, against the whole source.
+		if ( 'csv' !== ( $criteria['source'] ?? '' ) ) {
+			foreach ( $this->getCriteriaParts( $criteria ) as $label => $part ) {
+				$clauses = $sourceClauses;
+				$values  = $sourceValues;
+				$this->applyFilters( $part, $clauses, $values );
+
+				$matched[] = [
+					'label' => $label,
+					'count' => $this->countWhere( $tableName, $clauses, $values ),
+				];
+			}
+		}
+
+		// Exclusions are applied in order; each one counts only who the previous ones left.
+		$whereClauses = [];
+		$whereValues  = [];
+		$this->buildSourceQuery( $criteria, $whereClauses, $whereValues, false );
+
+		$audience  = $this->countWhere( $tableName, $whereClauses, $whereValues );
+		$remaining = $audience;
+		$excluded  = [];
+		$consent   = $this->getConsentCondition( $criteria );
+		$steps     = [
+			'opted_out' => [
+				'sql'    => "NOT ({$consent['sql']})",
+				'values' => $consent['values'],
+			],
+		] + $this->getExclusionConditions( $criteria );
+
+		foreach ( $steps as $reason => $condition ) {
+			$whereClauses[] = "NOT ({$condition['sql']})";
+			$whereValues    = array_merge( $whereValues, $condition['values'] );
+
+			$count               = $this->countWhere( $tableName, $whereClauses, $whereValues );
+			$excluded[ $reason ] = $remaining - $count;
+			$remaining           = $count;
+		}
+
+		return [
+			'matched'  => $matched,
+			'audience' => $audience,
+			'excluded' => $excluded,
+			'total'    => $remaining,
+		];
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function getSample( array $criteria, int $page = 1, int $perPage = 10 ): array {
 		global $wpdb;
 
-		$tableName = $wpdb->prefix . 'wch_customer_profiles';
+		$whereClauses = [];
+		$whereValues  = [];
+		$tableName    = $this->buildSourceQuery( $criteria, $whereClauses, $whereValues );
 
-		// Build parameterized query parts.
-		$whereClauses = [ 'opt_in_marketing = %d' ];
-		$whereValues  = [ 1 ];
+		$this->applyExclusions( $criteria, $whereClauses, $whereValues );
 
-		// Apply audience filters.
-		$this->applyFilters( $criteria, $whereClauses, $whereValues );
+		$perPage = min( self::MAX_SAMPLE_SIZE, max( 1, $perPage ) );
+		$total   = $this->countWhere( $tableName, $whereClauses, $whereValues );
+		$pages   = max( 1, (int) ceil( $total / $perPage ) );
+		$page    = min( $pages, max( 1, $page ) );
+
+		// Uploaded contacts take their names from a matching customer profile.
+		$profiles = $wpdb->prefix . 'wch_customer_profiles';
+		$join     = 'csv' === ( $criteria['source'] ?? '' ) ? "LEFT JOIN {$profiles} cp ON cp.phone = p.phone" : '';
+		$name     = 'csv' === ( $criteria['source'] ?? '' ) ? 'cp.name' : 'p.name';
+		$whereSql = implode( ' AND ', $whereClauses );
+
+		// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.ReplacementsWrongNumber
+		// Table names from wpdb->prefix. Placeholder count varies based on WHERE conditions.
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT p.phone, {$name} AS name FROM {$tableName} p {$join} WHERE {$whereSql} ORDER BY p.id ASC LIMIT %d OFFSET %d",
+				array_merge( $whereValues, [ $perPage, ( $page - 1 ) * $perPage ] )
+			),
+			ARRAY_A
+		);
+		// phpcs:enable
+
+		return [
+			'recipients' => array_map(
+				static fn( array $row ): array => [
+					'phone' => (string) $row['phone'],
+					'name'  => (string) ( $row['name'] ?? '' ),
+				],
+				(array) $rows
+			),
+			'total'      => $total,
+			'page'       => $page,
+			'pages'      => $pages,
+		];
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function calculateCountByCallingCode( array $criteria ): array {
+		global $wpdb;
+
+		$whereClauses = [];
+		$whereValues  = [];
+		$tableName    = $this->buildSourceQuery( $criteria, $whereClauses, $whereValues );
+
+		$this->applyExclusions( $criteria, $whereClauses, $whereValues );
 
 		$whereSql = implode( ' AND ', $whereClauses );
+		$prefix   = "LEFT(TRIM(LEADING '+' FROM p.phone), " . CallingCodes::MAX_LENGTH . ')';
 
 		// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
 		// Table name from wpdb->prefix. WHERE clause contains dynamic placeholders.
 		$query = $wpdb->prepare(
-			"SELECT COUNT(DISTINCT phone) FROM {$tableName} WHERE {$whereSql}",
+			"SELECT {$prefix} AS prefix, COUNT(DISTINCT p.phone) AS total FROM {$tableName} p WHERE {$whereSql} GROUP BY prefix",
 			$whereValues
 		);
 		// phpcs:enable
 
 		// phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared -- Query is prepared above.
-		$count = (int) $wpdb->get_var( $query );
+		$rows = $wpdb->get_results( $query, ARRAY_A );
 
-		// Apply exclusions.
-		$count = $this->applyExclusions( $criteria, $count );
+		// Group prefixes by the calling code they start with.
+		$counts = [];
+		foreach ( (array) $rows as $row ) {
+			$code            = CallingCodes::match( (string) $row['prefix'] );
+			$counts[ $code ] = ( $counts[ $code ] ?? 0 ) + (int) $row['total'];
+		}
 
-		return max( 0, $count );
+		$counts = array_filter( $counts );
+		arsort( $counts );
+
+		return $counts;
 	}
 
 	/**
@@ -77,14 +254,12 @@ class AudienceCalculator implements AudienceCalculatorInterface {
 	public function getRecipients( array $criteria, int $limit = 0 ): array {
 		global $wpdb;
 
-		$tableName = $wpdb->prefix . 'wch_customer_profiles';
-
 		// Build parameterized query parts.
-		$whereClauses = [ 'opt_in_marketing = %d' ];
-		$whereValues  = [ 1 ];
+		$whereClauses = [];
+		$whereValues  = [];
+		$tableName    = $this->buildSourceQuery( $criteria, $whereClauses, $whereValues );
 
-		// Apply audience filters.
-		$this->applyFilters( $criteria, $whereClauses, $whereValues );
+		$this->applyExclusions( $criteria, $whereClauses, $whereValues );
 
 		$whereSql = implode( ' AND ', $whereClauses );
 
@@ -101,7 +276,7 @@ class AudienceCalculator implements AudienceCalculatorInterface {
 			// Table names from wpdb->prefix. Placeholder count varies based on WHERE conditions.
 			$batch = $wpdb->get_col(
 				$wpdb->prepare(
-					"SELECT phone FROM {$tableName} WHERE {$whereSql} ORDER BY id ASC LIMIT %d OFFSET %d",
+					"SELECT p.phone FROM {$tableName} p WHERE {$whereSql} ORDER BY p.id ASC LIMIT %d OFFSET %d",
 					$batchValues
 				)
 			);
@@ -127,9 +302,6 @@ class AudienceCalculator implements AudienceCalculatorInterface {
 			}
 		} while ( count( $batch ) === $perPage );
 
-		// Apply exclusions if needed.
-		$allRecipients = $this->applyRecipientExclusions( $criteria, $allRecipients );
-
 		return $allRecipients;
 	}
 
@@ -139,8 +311,14 @@ class AudienceCalculator implements AudienceCalculatorInterface {
 	public function validateCriteria( array $criteria ): array {
 		$errors = [];
 
-		// Check if at least one audience selection is made.
-		$hasSelection = ! empty( $criteria['audience_all'] )
+		if ( 'csv' === ( $criteria['source'] ?? '' ) && empty( $criteria['contact_list']['id'] ) ) {
+			$errors[] = __( 'Please upload a contact list', 'whatsapp-commerce-hub' );
+		}
+
+		// Check if at least one audience selection is made. An empty segment targets everyone.
+		$hasSelection = 'csv' === ( $criteria['source'] ?? '' )
+			|| isset( $criteria['segment'] )
+			|| ! empty( $criteria['audience_all'] )
 			|| ! empty( $criteria['audience_recent_orders'] )
 			|| ! empty( $criteria['audience_category'] )
 			|| ! empty( $criteria['audience_cart_abandoners'] );
@@ -207,6 +385,98 @@ class AudienceCalculator implements AudienceCalculatorInterface {
 		return $segments;
 	}
 
+	/**
+	 * Start the audience query for the selected source.
+	 *
+	 * @param array $criteria       Audience criteria.
+	 * @param array &$whereClauses  WHERE clause parts.
+	 * @param array &$whereValues   Prepared statement values.
+	 * @param bool  $requireConsent Whether to leave out contacts who may not be messaged.
+	 * @return string Source table name, to be aliased `p`.
+	 */
+	protected function buildSourceQuery( array $criteria, array &$whereClauses, array &$whereValues, bool $requireConsent = true ): string {
+		global $wpdb;
+
+		if ( $requireConsent ) {
+			$consent        = $this->getConsentCondition( $criteria );
+			$whereClauses[] = $consent['sql'];
+			$whereValues    = array_merge( $whereValues, $consent['values'] );
+		}
+
+		if ( 'csv' === ( $criteria['source'] ?? '' ) ) {
+			$whereClauses[] = 'p.list_id = %s';
+			$whereValues[]  = (string) ( $criteria['contact_list']['id'] ?? '' );
+
+			return $wpdb->prefix . 'wch_broadcast_contacts';
+		}
+
+		$this->applyFilters( $criteria, $whereClauses, $whereValues );
+
+		return $wpdb->prefix . 'wch_customer_profiles';
+	}
+
+	/**
+	 * Get the condition for contacts who may be messaged.
+	 *
+	 * Uploaded contact lists skip the marketing opt-in requirement, since the
+	 * list itself is the audience, but still drop customers who opted out.
+	 *
+	 * @param array $criteria Audience criteria.
+	 * @return array{sql: string, values: array} SQL fragment and its placeholder values.
+	 */
+	protected function getConsentCondition( array $criteria ): array {
+		if ( 'csv' === ( $criteria['source'] ?? '' ) ) {
+			return [
+				'sql'    => 'NOT ' . $this->contactLists->optedOutCondition( 'p.phone' ),
+				'values' => [],
+			];
+		}
+
+		return [
+			'sql'    => 'p.opt_in_marketing = %d',
+			'values' => [ 1 ],
+		];
+	}
+
+	/**
+	 * Split audience filters into single criteria, labelled for the breakdown.
+	 *
+	 * @param array $criteria Audience criteria.
+	 * @return array<string, array> Criteria holding one filter each, keyed by description.
+	 */
+	protected function getCriteriaParts( array $criteria ): array {
+		$parts   = [];
+		$segment = is_array( $criteria['segment'] ?? null ) ? $this->segmentBuilder->sanitize( $criteria['segment'] ) : null;
+
+		foreach ( $segment['rules'] ?? [] as $rule ) {
+			if ( 'group' === $rule['type'] && $this->segmentBuilder->isEmpty( $rule ) ) {
+				continue;
+			}
+
+			$parts[ $this->segmentBuilder->describe( $rule ) ] = [
+				'segment' => [
+					'match' => 'all',
+					'rules' => [ $rule ],
+				],
+			];
+		}
+
+		// Criteria saved before the segment builder.
+		if ( ! empty( $criteria['audience_recent_orders'] ) && ! empty( $criteria['recent_orders_days'] ) ) {
+			$parts[ __( 'Recent customers', 'whatsapp-commerce-hub' ) ] = array_intersect_key( $criteria, array_flip( [ 'audience_recent_orders', 'recent_orders_days' ] ) );
+		}
+
+		if ( ! empty( $criteria['audience_category'] ) && ! empty( $criteria['category_id'] ) ) {
+			$parts[ __( 'Category buyers', 'whatsapp-commerce-hub' ) ] = array_intersect_key( $criteria, array_flip( [ 'audience_category', 'category_id' ] ) );
+		}
+
+		if ( ! empty( $criteria['audience_cart_abandoners'] ) ) {
+			$parts[ __( 'Has an abandoned cart', 'whatsapp-commerce-hub' ) ] = [ 'audience_cart_abandoners' => true ];
+		}
+
+		return $parts;
+	}
+
 	/**
 	 * Apply audience filters to query.
 	 *
@@ -218,112 +488,134 @@ class AudienceCalculator implements AudienceCalculatorInterface {
 	protected function applyFilters( array $criteria, array &$whereClauses, array &$whereValues ): void {
 		global $wpdb;
 
-		// Recent orders filter.
+		// Segment rules from the audience builder.
+		if ( is_array( $criteria['segment'] ?? null ) ) {
+			$segment = $this->segmentBuilder->sanitize( $criteria['segment'] );
+
+			if ( ! $this->segmentBuilder->isEmpty( $segment ) ) {
+				$whereClauses[] = '(' . $this->segmentBuilder->buildWhere( $segment, $whereValues ) . ')';
+			}
+		}
+
+		// Criteria saved before the segment builder map onto equivalent conditions.
+		$legacyRules = [];
+
 		if ( ! empty( $criteria['audience_recent_orders'] ) && ! empty( $criteria['recent_orders_days'] ) ) {
-			$days          = absint( $criteria['recent_orders_days'] );
-			$dateThreshold = gmdate( 'Y-m-d H:i:s', strtotime( "-{$days} days" ) );
+			$legacyRules[] = [
+				'type'     => 'condition',
+				'field'    => 'last_order_date',
+				'operator' => 'within_days',
+				'value'    => absint( $criteria['recent_orders_days'] ),
+			];
+		}
+
+		if ( ! empty( $criteria['audience_category'] ) && ! empty( $criteria['category_id'] ) ) {
+			$legacyRules[] = [
+				'type'     => 'condition',
+				'field'    => 'purchased_category',
+				'operator' => 'any',
+				'value'    => [ absint( $criteria['category_id'] ) ],
+			];
+		}
 
-			$whereClauses[] = 'last_order_date >= %s';
-			$whereValues[]  = $dateThreshold;
+		if ( ! empty( $legacyRules ) ) {
+			$legacy         = $this->segmentBuilder->sanitize( [ 'rules' => $legacyRules ] );
+			$whereClauses[] = '(' . $this->segmentBuilder->buildWhere( $legacy, $whereValues ) . ')';
 		}
 
 		// Cart abandoners filter.
 		if ( ! empty( $criteria['audience_cart_abandoners'] ) ) {
 			$cartsTable     = $wpdb->prefix . 'wch_carts';
-			$whereClauses[] = "phone IN (SELECT customer_phone FROM {$cartsTable} WHERE status = %s)";
+			$whereClauses[] = "p.phone IN (SELECT customer_phone FROM {$cartsTable} WHERE status = %s)";
 			$whereValues[]  = 'abandoned';
 		}
+	}
 
-		// Category filter would require joining with order items.
-		// For now, this is a placeholder for future implementation.
+	/**
+	 * Add the audience exclusions to a query.
+	 *
+	 * Only contacts matching the audience filters are removed.
+	 *
+	 * @param array $criteria      Audience criteria.
+	 * @param array &$whereClauses WHERE clause parts.
+	 * @param array &$whereValues  Prepared statement values.
+	 * @return void
+	 */
+	protected function applyExclusions( array $criteria, array &$whereClauses, array &$whereValues ): void {
+		foreach ( $this->getExclusionConditions( $criteria ) as $condition ) {
+			$whereClauses[] = "NOT ({$condition['sql']})";
+			$whereValues    = array_merge( $whereValues, $condition['values'] );
+		}
 	}
 
 	/**
-	 * Apply exclusions to count.
+	 * Get the conditions matching contacts excluded from the audience.
 	 *
 	 * @param array $criteria Audience criteria.
-	 * @param int   $count    Current count.
-	 * @return int Adjusted count.
+	 * @return array<string, array{sql: string, values: array}> Conditions keyed by exclusion reason,
+	 *                                                          in the order they are applied.
 	 */
-	protected function applyExclusions( array $criteria, int $count ): int {
+	protected function getExclusionConditions( array $criteria ): array {
 		global $wpdb;
 
-		if ( empty( $criteria['exclude_recent_broadcast'] ) || empty( $criteria['exclude_broadcast_days'] ) ) {
-			return $count;
-		}
+		$conditions = [];
 
-		$days            = absint( $criteria['exclude_broadcast_days'] );
-		$broadcastCutoff = gmdate( 'Y-m-d H:i:s', strtotime( "-{$days} days" ) );
-		$broadcastsTable = $wpdb->prefix . 'wch_broadcast_recipients';
-		$profilesTable   = $wpdb->prefix . 'wch_customer_profiles';
+		if ( ! empty( $criteria['exclude_recent_broadcast'] ) && ! empty( $criteria['exclude_broadcast_days'] ) ) {
+			$days            = absint( $criteria['exclude_broadcast_days'] );
+			$broadcastsTable = $wpdb->prefix . 'wch_broadcast_recipients';
 
-		// Check if tracking table exists.
-		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
-		$tableExists = $wpdb->get_var(
-			$wpdb->prepare( 'SHOW TABLES LIKE %s', $broadcastsTable )
-		);
+			// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+			if ( $wpdb->get_var( $wpdb->prepare( 'SHOW TABLES LIKE %s', $broadcastsTable ) ) ) {
+				$conditions['recent_broadcast'] = [
+					'sql'    => "EXISTS (SELECT 1 FROM {$broadcastsTable} br WHERE br.phone = p.phone AND br.sent_at >= %s)",
+					'values' => [ gmdate( 'Y-m-d H:i:s', strtotime( "-{$days} days" ) ) ],
+				];
+			}
+		}
 
-		if ( ! $tableExists ) {
-			return $count;
+		if ( ! empty( $criteria['exclude_frequency_capped'] ) && null !== $this->frequencyCaps ) {
+			$values = [];
+
+			$conditions['frequency_cap'] = [
+				'sql'    => $this->frequencyCaps->cappedCondition( 'p.phone', $values ),
+				'values' => $values,
+			];
 		}
 
-		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
-		$excludedCount = (int) $wpdb->get_var(
-			$wpdb->prepare(
-				"SELECT COUNT(DISTINCT cp.phone) FROM {$profilesTable} cp
-				INNER JOIN {$broadcastsTable} br ON cp.phone = br.phone
-				WHERE cp.opt_in_marketing = %d AND br.sent_at >= %s",
-				1,
-				$broadcastCutoff
-			)
-		);
+		$phones = array_values( array_filter( array_map( 'strval', (array) ( $criteria['excluded_phones'] ?? [] ) ) ) );
+
+		if ( ! empty( $phones ) ) {
+			$conditions['manual'] = [
+				'sql'    => 'p.phone IN (' . implode( ', ', array_fill( 0, count( $phones ), '%s' ) ) . ')',
+				'values' => $phones,
+			];
+		}
 
-		return max( 0, $count - $excludedCount );
+		return $conditions;
 	}
 
 	/**
-	 * Apply exclusions to recipient list.
+	 * Count distinct contacts matching a query.
 	 *
-	 * @param array $criteria   Audience criteria.
-	 * @param array $recipients Current recipients.
-	 * @return array Filtered recipients.
+	 * @param string $tableName    Audience source table, aliased `p`.
+	 * @param array  $whereClauses WHERE clause parts.
+	 * @param array  $whereValues  Prepared statement values.
+	 * @return int Contact count.
 	 */
-	protected function applyRecipientExclusions( array $criteria, array $recipients ): array {
+	protected function countWhere( string $tableName, array $whereClauses, array $whereValues ): int {
 		global $wpdb;
 
-		if ( empty( $criteria['exclude_recent_broadcast'] ) || empty( $criteria['exclude_broadcast_days'] ) ) {
-			return $recipients;
-		}
-
-		$days            = absint( $criteria['exclude_broadcast_days'] );
-		$broadcastCutoff = gmdate( 'Y-m-d H:i:s', strtotime( "-{$days} days" ) );
-		$broadcastsTable = $wpdb->prefix . 'wch_broadcast_recipients';
-
-		// Check if tracking table exists.
-		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
-		$tableExists = $wpdb->get_var(
-			$wpdb->prepare( 'SHOW TABLES LIKE %s', $broadcastsTable )
-		);
-
-		if ( ! $tableExists ) {
-			return $recipients;
-		}
-
-		// Get recently contacted phones.
-		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
-		$excludedPhones = $wpdb->get_col(
-			$wpdb->prepare(
-				"SELECT DISTINCT phone FROM {$broadcastsTable} WHERE sent_at >= %s",
-				$broadcastCutoff
-			)
-		);
+		$whereSql = implode( ' AND ', $whereClauses );
 
-		if ( empty( $excludedPhones ) ) {
-			return $recipients;
-		}
+		// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
+		// Table name from wpdb->prefix. WHERE clause contains dynamic placeholders.
+		$query = empty( $whereValues )
+			? "SELECT COUNT(DISTINCT p.phone) FROM {$tableName} p WHERE {$whereSql}"
+			: $wpdb->prepare( "SELECT COUNT(DISTINCT p.phone) FROM {$tableName} p WHERE {$whereSql}", $whereValues );
+		// phpcs:enable
 
-		// Filter out excluded phones.
-		return array_diff( $recipients, $excludedPhones );
+		// phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared -- Query is prepared above.
+		return max( 0, (int) $wpdb->get_var( $query ) );
 	}
 
 	/**
@@ -0,0 +1,512 @@
+<?php
+/**
+ * Audience Segment Builder Service
+ *
+ * Sanitizes nested AND/OR audience rules and compiles them to SQL.
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+declare(strict_types=1);
+
+namespace WhatsAppCommerceHub\Application\Services\Broadcasts;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class AudienceSegmentBuilder
+ *
+ * A segment is a group: `{type: 'group', match: 'all'|'any', rules: [...]}` where
+ * each rule is either a nested group or a condition
+ * `{type: 'condition', field, operator, value}`. Conditions are evaluated against
+ * the customer profiles table, aliased as `p`.
+ */
+class AudienceSegmentBuilder {
+
+	/**
+	 * Deepest nesting level allowed below the root group.
+	 */
+	public const MAX_DEPTH = 3;
+
+	/**
+	 * Maximum rules per group.
+	 */
+	protected const MAX_RULES = 20;
+
+	/**
+	 * Order statuses that count as purchases.
+	 */
+	protected const PAID_STATUSES = [ 'wc-processing', 'wc-completed' ];
+
+	/**
+	 * Condition fields with their input type and allowed operators.
+	 */
+	protected const FIELDS = [
+		'total_spent'        => [
+			'input'     => 'number',
+			'operators' => [ 'gte', 'lte' ],
+		],
+		'order_count'        => [
+			'input'     => 'number',
+			'operators' => [ 'gte', 'lte', 'eq' ],
+		],
+		'last_order_date'    => [
+			'input'     => 'days',
+			'operators' => [ 'within_days', 'more_than_days', 'never' ],
+		],
+		'purchased_product'  => [
+			'input'     => 'products',
+			'operators' => [ 'any', 'none' ],
+		],
+		'purchased_category' => [
+			'input'     => 'categories',
+			'operators' => [ 'any', 'none' ],
+		],
+		'country'            => [
+			'input'     => 'countries',
+			'operators' => [ 'any', 'none' ],
+		],
+		'tags'               => [
+			'input'     => 'tags',
+			'operators' => [ 'any', 'all', 'none' ],
+		],
+		'opt_in_date'        => [
+			'input'     => 'days',
+			'operators' => [ 'within_days', 'more_than_days' ],
+		],
+	];
+
+	/**
+	 * WordPress database instance.
+	 *
+	 * @var \wpdb
+	 */
+	private \wpdb $wpdb;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param \wpdb|null $wpdb WordPress database instance.
+	 */
+	public function __construct( ?\wpdb $wpdb = null ) {
+		if ( null === $wpdb ) {
+			global $wpdb;
+		}
+		$this->wpdb = $wpdb;
+	}
+
+	/**
+	 * Get condition fields for the rule builder UI.
+	 *
+	 * @return array<string, array{label: string, input: string, operators: array<string, string>}>
+	 */
+	public function getFieldDefinitions(): array {
+		$labels = [
+			'total_spent'        => __( 'Total spend', 'whatsapp-commerce-hub' ),
+			'order_count'        => __( 'Number of orders', 'whatsapp-commerce-hub' ),
+			'last_order_date'    => __( 'Last order', 'whatsapp-commerce-hub' ),
+			'purchased_product'  => __( 'Purchased product', 'whatsapp-commerce-hub' ),
+			'purchased_category' => __( 'Purchased from category', 'whatsapp-commerce-hub' ),
+			'country'            => __( 'Country (from phone number)', 'whatsapp-commerce-hub' ),
+			'tags'               => __( 'Customer tags', 'whatsapp-commerce-hub' ),
+			'opt_in_date'        => __( 'Opted in', 'whatsapp-commerce-hub' ),
+		];
+
+		$operators = [
+			'gte'            => __( 'is at least', 'whatsapp-commerce-hub' ),
+			'lte'            => __( 'is at most', 'whatsapp-commerce-hub' ),
+			'eq'             => __( 'is exactly', 'whatsapp-commerce-hub' ),
+			'within_days'    => __( 'within the last (days)', 'whatsapp-commerce-hub' ),
+			'more_than_days' => __( 'more than (days) ago', 'whatsapp-commerce-hub' ),
+			'never'          => __( 'never', 'whatsapp-commerce-hub' ),
+			'any'            => __( 'is any of', 'whatsapp-commerce-hub' ),
+			'all'            => __( 'includes all of', 'whatsapp-commerce-hub' ),
+			'none'           => __( 'is none of', 'whatsapp-commerce-hub' ),
+		];
+
+		$definitions = [];
+		foreach ( self::FIELDS as $field => $config ) {
+			$definitions[ $field ] = [
+				'label'     => $labels[ $field ],
+				'input'     => $config['input'],
+				'operators' => array_intersect_key( $operators, array_flip( $config['operators'] ) ),
+			];
+		}
+
+		return $definitions;
+	}
+
+	/**
+	 * Sanitize a segment group, dropping unknown fields and operators.
+	 *
+	 * @param array $group Raw group.
+	 * @param int   $depth Current nesting depth.
+	 * @return array Sanitized group.
+	 */
+	public function sanitize( array $group, int $depth = 0 ): array {
+		$rules = [];
+
+		foreach ( array_slice( (array) ( $group['rules'] ?? [] ), 0, self::MAX_RULES ) as $rule ) {
+			if ( ! is_array( $rule ) ) {
+				continue;
+			}
+
+			if ( 'group' === ( $rule['type'] ?? '' ) ) {
+				if ( $depth < self::MAX_DEPTH ) {
+					$rules[] = $this->sanitize( $rule, $depth + 1 );
+				}
+				continue;
+			}
+
+			$condition = $this->sanitizeCondition( $rule );
+			if ( null !== $condition ) {
+				$rules[] = $condition;
+			}
+		}
+
+		return [
+			'type'  => 'group',
+			'match' => 'any' === ( $group['match'] ?? '' ) ? 'any' : 'all',
+			'rules' => $rules,
+		];
+	}
+
+	/**
+	 * Check whether a segment has no conditions anywhere in its tree.
+	 *
+	 * @param array $group Sanitized group.
+	 * @return bool
+	 */
+	public function isEmpty( array $group ): bool {
+		foreach ( $group['rules'] ?? [] as $rule ) {
+			if ( 'condition' === $rule['type'] || ! $this->isEmpty( $rule ) ) {
+				return false;
+			}
+		}
+
+		return true;
+	}
+
+	/**
+	 * Compile a sanitized group to a WHERE fragment.
+	 *
+	 * @param array $group        Sanitized group.
+	 * @param array &$whereValues Prepared statement values, appended in placeholder order.
+	 * @return string SQL fragment.
+	 */
+	public function buildWhere( array $group, array &$whereValues ): string {
+		$clauses = [];
+
+		foreach ( $group['rules'] ?? [] as $rule ) {
+			if ( 'group' === $rule['type'] ) {
+				if ( ! $this->isEmpty( $rule ) ) {
+					$clauses[] = '(' . $this->buildWhere( $rule, $whereValues ) . ')';
+				}
+				continue;
+			}
+
+			$clauses[] = '(' . $this->buildCondition( $rule, $whereValues ) . ')';
+		}
+
+		if ( empty( $clauses ) ) {
+			return '1=1';
+		}
+
+		return implode( 'any' === $group['match'] ? ' OR ' : ' AND ', $clauses );
+	}
+
+	/**
+	 * Describe a sanitized top-level rule in words.
+	 *
+	 * @param array $rule Sanitized condition or group.
+	 * @return string Description, e.g. "Total spend is at least 100".
+	 */
+	public function describe( array $rule ): string {
+		if ( 'group' === $rule['type'] ) {
+			$count = count( $rule['rules'] );
+
+			return 'any' === $rule['match']
+				/* translators: %d: number of conditions */
+				? sprintf( _n( 'Any of %d condition', 'Any of %d conditions', $count, 'whatsapp-commerce-hub' ), $count )
+				/* translators: %d: number of conditions */
+				: sprintf( _n( 'All of %d condition', 'All of %d conditions', $count, 'whatsapp-commerce-hub' ), $count );
+		}
+
+		$definition = $this->getFieldDefinitions()[ $rule['field'] ];
+		$label      = $definition['label'] . ' ' . $definition['operators'][ $rule['operator'] ];
+
+		if ( 'never' === $rule['operator'] ) {
+			return $label;
+		}
+
+		$values = (array) $rule['value'];
+
+		switch ( $definition['input'] ) {
+			case 'products':
+				$values = array_map(
+					static fn( int $productId ): string => '' !== ( $rule['labels'][ $productId ] ?? '' ) ? $rule['labels'][ $productId ] : '#' . $productId,
+					$values
+				);
+				break;
+
+			case 'categories':
+				$values = array_map(
+					static function ( int $termId ): string {
+						$term = get_term( $termId, 'product_cat' );
+						return $term instanceof \WP_Term ? $term->name : '#' . $termId;
+					},
+					$values
+				);
+				break;
+
+			case 'countries':
+				$countries = function_exists( 'WC' ) ? WC()->countries->get_countries() : [];
+				$values    = array_map( static fn( string $code ): string => $countries[ $code ] ?? $code, $values );
+				break;
+		}
+
+		return $label . ' ' . implode( ', ', $values );
+	}
+
+	/**
+	 * Sanitize a single condition.
+	 *
+	 * @param array $rule Raw condition.
+	 * @return array|null Sanitized condition, or null if it is invalid or incomplete.
+	 */
+	protected function sanitizeCondition( array $rule ): ?array {
+		$field    = (string) ( $rule['field'] ?? '' );
+		$operator = (string) ( $rule['operator'] ?? '' );
+
+		if ( ! isset( self::FIELDS[ $field ] ) || ! in_array( $operator, self::FIELDS[ $field ]['operators'], true ) ) {
+			return null;
+		}
+
+		$condition = [
+			'type'     => 'condition',
+			'field'    => $field,
+			'operator' => $operator,
+		];
+
+		if ( 'never' === $operator ) {
+			return $condition + [ 'value' => null ];
+		}
+
+		$value = $rule['value'] ?? null;
+
+		switch ( self::FIELDS[ $field ]['input'] ) {
+			case 'number':
+				$condition['value'] = max( 0, round( (float) $value, 2 ) );
+				break;
+
+			case 'days':
+				$days = absint( $value );
+				if ( $days < 1 ) {
+					return null;
+				}
+				$condition['value'] = min( 3650, $days );
+				break;
+
+			case 'products':
+			case 'categories':
+				$condition['value'] = array_values( array_unique( array_filter( array_map( 'absint', (array) $value ) ) ) );
+				if ( 'products' === self::FIELDS[ $field ]['input'] ) {
+					// Product names are kept only so the builder can redisplay the selection.
+					$labels = is_array( $rule['labels'] ?? null ) ? $rule['labels'] : [];
+					$condition['labels'] = [];
+					foreach ( $condition['value'] as $productId ) {
+						$condition['labels'][ $productId ] = sanitize_text_field( (string) ( $labels[ $productId ] ?? '' ) );
+					}
+				}
+				break;
+
+			case 'countries':
+				$condition['value'] = array_values(
+					array_unique(
+						array_filter(
+							array_map( static fn( $code ) => strtoupper( substr( sanitize_key( (string) $code ), 0, 2 ) ), (array) $value ),
+							static fn( $code ) => 2 === strlen( $code )
+						)
+					)
+				);
+				break;
+
+			case 'tags':
+				$tags = is_string( $value ) ? explode( ',', $value ) : (array) $value;
+				$condition['value'] = array_values(
+					array_unique( array_filter( array_map( static fn( $tag ) => sanitize_text_field( (string) $tag ), $tags ) ) )
+				);
+				break;
+		}
+
+		if ( is_array( $condition['value'] ) && empty( $condition['value'] ) ) {
+			return null;
+		}
+
+		return $condition;
+	}
+
+	/**
+	 * Compile a single condition to SQL.
+	 *
+	 * @param array $rule         Sanitized condition.
+	 * @param array &$whereValues Prepared statement values.
+	 * @return string SQL fragment.
+	 */
+	protected function buildCondition( array $rule, array &$whereValues ): string {
+		$value    = $rule['value'];
+		$operator = $rule['operator'];
+
+		switch ( $rule['field'] ) {
+			case 'total_spent':
+				$whereValues[] = $value;
+				return 'p.total_spent ' . $this->comparison( $operator ) . ' %f';
+
+			case 'order_count':
+				$whereValues[] = (int) $value;
+				return 'p.total_orders ' . $this->comparison( $operator ) . ' %d';
+
+			case 'last_order_date':
+				if ( 'never' === $operator ) {
+					return 'NOT EXISTS (' . $this->customerOrdersQuery() . ')';
+				}
+
+				$whereValues[] = gmdate( 'Y-m-d H:i:s', time() - ( (int) $value * DAY_IN_SECONDS ) );
+				$recentOrders  = $this->customerOrdersQuery() . ' AND os.date_created_gmt >= %s';
+
+				return 'within_days' === $operator
+					? "EXISTS ({$recentOrders})"
+					: 'EXISTS (' . $this->customerOrdersQuery() . ") AND NOT EXISTS ({$recentOrders})";
+
+			case 'purchased_product':
+				$placeholders = implode( ', ', array_fill( 0, count( $value ), '%d' ) );
+				array_push( $whereValues, ...$value, ...$value );
+
+				return ( 'none' === $operator ? 'NOT ' : '' ) . 'EXISTS (' . $this->customerProductsQuery()
+					. " AND (opl.product_id IN ({$placeholders}) OR opl.variation_id IN ({$placeholders})))";
+
+			case 'purchased_category':
+				$termIds = $value;
+				foreach ( $value as $termId ) {
+					$children = get_term_children( $termId, 'product_cat' );
+					if ( is_array( $children ) ) {
+						$termIds = array_merge( $termIds, $children );
+					}
+				}
+				$termIds      = array_values( array_unique( array_map( 'intval', $termIds ) ) );
+				$placeholders = implode( ', ', array_fill( 0, count( $termIds ), '%d' ) );
+				array_push( $whereValues, ...$termIds );
+
+				return ( 'none' === $operator ? 'NOT ' : '' ) . 'EXISTS (' . $this->customerProductsQuery()
+					. " AND opl.product_id IN (SELECT tr.object_id FROM {$this->wpdb->term_relationships} tr"
+					. " INNER JOIN {$this->wpdb->term_taxonomy} tt ON tt.term_taxonomy_id = tr.term_taxonomy_id"
+					. " WHERE tt.taxonomy = 'product_cat' AND tt.term_id IN ({$placeholders})))";
+
+			case 'country':
+				$prefixes = [];
+				foreach ( $value as $country ) {
+					$code = preg_replace( '/\D/', '', (string) WC()->countries->get_country_calling_code( $country ) );
+					if ( '' !== $code ) {
+						$prefixes[] = 'p.phone LIKE %s OR p.phone LIKE %s';
+						array_push( $whereValues, $code . '%', '+' . $code . '%' );
+					}
+				}
+
+				if ( empty( $prefixes ) ) {
+					return 'none' === $operator ? '1=1' : '1=0';
+				}
+
+				return ( 'none' === $operator ? 'NOT ' : '' ) . '(' . implode( ' OR ', $prefixes ) . ')';
+
+			case 'tags':
+				$matches = [];
+				foreach ( $value as $tag ) {
+					$matches[]     = 'COALESCE(JSON_CONTAINS(p.tags, %s), 0) = 1';
+					$whereValues[] = wp_json_encode( $tag );
+				}
+
+				if ( 'all' === $operator ) {
+					return implode( ' AND ', $matches );
+				}
+
+				return ( 'none' === $operator ? 'NOT ' : '' ) . '(' . implode( ' OR ', $matches ) . ')';
+
+			case 'opt_in_date':
+				// Opt-in timestamps are stored in site time.
+				$whereValues[] = gmdate( 'Y-m-d H:i:s', current_time( 'timestamp' ) - ( (int) $value * DAY_IN_SECONDS ) );
+
+				return 'within_days' === $operator ? 'p.marketing_opted_at >= %s' : 'p.marketing_opted_at < %s';
+		}
+
+		return '1=1';
+	}
+
+	/**
+	 * Map a numeric operator to SQL.
+	 *
+	 * @param string $operator Operator key.
+	 * @return string SQL comparison operator.
+	 */
+	protected function comparison( string $operator ): string {
+		return [
+			'gte' => '>=',
+			'lte' => '<=',
+			'eq'  => '=',
+		][ $operator ] ?? '=';
+	}
+
+	/**
+	 * Correlated subquery selecting the profile's paid orders.
+	 *
+	 * Orders are matched through WooCommerce's customer lookup table by
+	 * account or billing email, so it works with both order storage engines.
+	 *
+	 * @return string SQL without a trailing condition.
+	 */
+	protected function customerOrdersQuery(): string {
+		$orderStats     = $this->wpdb->prefix . 'wc_order_stats';
+		$customerLookup = $this->wpdb->prefix . 'wc_customer_lookup';
+
+		return "SELECT 1 FROM {$orderStats} os
+			INNER JOIN {$customerLookup} cl ON cl.customer_id = os.customer_id
+			WHERE {$this->customerMatch()} AND os.status IN {$this->paidStatusList()}";
+	}
+
+	/**
+	 * Correlated subquery selecting products from the profile's paid orders.
+	 *
+	 * @return string SQL without a trailing condition.
+	 */
+	protected function customerProductsQuery(): string {
+		$productLookup  = $this->wpdb->prefix . 'wc_order_product_lookup';
+		$orderStats     = $this->wpdb->prefix . 'wc_order_stats';
+		$customerLookup = $this->wpdb->prefix . 'wc_customer_lookup';
+
+		return "SELECT 1 FROM {$productLookup} opl
+			INNER JOIN {$orderStats} os ON os.order_id = opl.order_id
+			INNER JOIN {$customerLookup} cl ON cl.customer_id = opl.customer_id
+			WHERE {$this->customerMatch()} AND os.status IN {$this->paidStatusList()}";
+	}
+
+	/**
+	 * Condition linking a WooCommerce customer lookup row to the profile.
+	 *
+	 * @return string SQL fragment.
+	 */
+	protected function customerMatch(): string {
+		return "(cl.user_id = p.wc_customer_id OR (p.email <> '' AND cl.email = p.email))";
+	}
+
+	/**
+	 * Paid statuses as a SQL list literal.
+	 *
+	 * @return string SQL fragment.
+	 */
+	protected function paidStatusList(): string {
+		return "('" . implode( "', '", self::PAID_STATUSES ) . "')";
+	}
+}
@@ -15,6 +15,8 @@ namespace WhatsAppCommerceHub\Application\Services\Broadcasts;
 use WhatsAppCommerceHub\Clients\WhatsAppApiClient;
 use WhatsAppCommerceHub\Contracts\Services\Broadcasts\CampaignRepositoryInterface;
 use WhatsAppCommerceHub\Contracts\Services\LoggerInterface;
+use WhatsAppCommerceHub\Exceptions\ApiException;
+use WhatsAppCommerceHub\Infrastructure\Queue\JobDispatcher;
 
 // Exit if accessed directly.
 if ( ! defined( 'ABSPATH' ) ) {
@@ -28,6 +30,11 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 class BroadcastBatchProcessor {
 
+	/**
+	 * Seconds before a batch held by a paused campaign checks again.
+	 */
+	public const PAUSE_RECHECK = 60;
+
 	/**
 	 * WhatsApp API client.
 	 *
@@ -42,26 +49,56 @@ class BroadcastBatchProcessor {
 	 */
 	private \wpdb $wpdb;
 
+	/**
+	 * Recipient data provider.
+	 *
+	 * @var RecipientDataProvider
+	 */
+	private RecipientDataProvider $recipientData;
+
+	/**
+	 * Coupon issuer.
+	 *
+	 * @var BroadcastCouponIssuer
+	 */
+	private BroadcastCouponIssuer $couponIssuer;
+
+	/**
+	 * Link tracker.
+	 *
+	 * @var BroadcastLinkTracker
+	 */
+	private BroadcastLinkTracker $linkTracker;
+
 	/**
 	 * Constructor.
 	 *
-	 * @param CampaignRepositoryInterface $repository       Campaign repository.
-	 * @param BroadcastTemplateBuilder    $templateBuilder  Template builder.
-	 * @param WhatsAppApiClient|null      $apiClient        WhatsApp API client.
-	 * @param \wpdb|null                  $wpdb             WordPress database instance.
+	 * @param CampaignRepositoryInterface $repository      Campaign repository.
+	 * @param BroadcastTemplateBuilder    $templateBuilder Template builder.
+	 * @param WhatsAppApiClient|null      $apiClient       WhatsApp API client.
+	 * @param \wpdb|null                  $wpdb            WordPress database instance.
+	 * @param RecipientDataProvider|null  $recipientData   Recipient data provider.
+	 * @param BroadcastCouponIssuer|null  $couponIssuer    Coupon issuer.
+	 * @param BroadcastLinkTracker|null   $linkTracker     Link tracker.
 	 */
 	public function __construct(
 		private CampaignRepositoryInterface $repository,
 		private BroadcastTemplateBuilder $templateBuilder,
 		?WhatsAppApiClient $apiClient = null,
-		?\wpdb $wpdb = null
+		?\wpdb $wpdb = null,
+		?RecipientDataProvider $recipientData = null,
+		?BroadcastCouponIssuer $couponIssuer = null,
+		?BroadcastLinkTracker $linkTracker = null
 	) {
 		$this->apiClient = $apiClient ?? wch( WhatsAppApiClient::class );
 
 		if ( null === $wpdb ) {
 			global $wpdb;
 		}
-		$this->wpdb = $wpdb;
+		$this->wpdb          = $wpdb;
+		$this->recipientData = $recipientData ?? new RecipientDataProvider( $this->wpdb );
+		$this->couponIssuer  = $couponIssuer ?? new BroadcastCouponIssuer( null, $this->wpdb );
+		$this->linkTracker   = $linkTracker ?? new BroadcastLinkTracker( $this->templateBuilder, new BroadcastTracker( $this->wpdb ) );
 	}
 
 	/**
@@ -86,9 +123,62 @@ class BroadcastBatchProcessor {
 			return;
 		}
 
+		$campaign = $this->repository->getById( $campaignId );
+
+		if ( null === $campaign ) {
+			wch( LoggerInterface::class )->info(
+				'Broadcast batch dropped for deleted campaign',
+				'broadcasts',
+				[
+					'campaign_id' => $campaignId,
+					'batch_num'   => (int) ( $args['batch_num'] ?? 0 ),
+				]
+			);
+			return;
+		}
+
+		// Batches left over from an earlier schedule are superseded by the current job.
+		$batchJobId    = (string) ( $args['job_id'] ?? '' );
+		$campaignJobId = (string) ( $campaign['job_id'] ?? '' );
+
+		if ( '' !== $batchJobId && '' !== $campaignJobId && ! str_starts_with( $batchJobId, $campaignJobId ) ) {
+			wch( LoggerInterface::class )->info(
+				'Broadcast batch dropped for superseded schedule',
+				'broadcasts',
+				[
+					'campaign_id' => $campaignId,
+					'job_id'      => $batchJobId,
+					'batch_num'   => (int) ( $args['batch_num'] ?? 0 ),
+				]
+			);
+			return;
+		}
+
+		$status = (string) ( $campaign['status'] ?? '' );
+
+		// Batches due while a campaign is paused wait until it is resumed.
+		if ( 'paused' === $status ) {
+			wch( JobDispatcher::class )->dispatch( 'wch_send_broadcast_batch', $args, self::PAUSE_RECHECK );
+			return;
+		}
+
+		if ( 'cancelled' === $status ) {
+			wch( LoggerInterface::class )->info(
+				'Broadcast batch dropped for cancelled campaign',
+				'broadcasts',
+				[
+					'campaign_id' => $campaignId,
+					'batch_num'   => (int) ( $args['batch_num'] ?? 0 ),
+				]
+			);
+			return;
+		}
+
 		$templateName    = (string) ( $message['template_name'] ?? '' );
 		$templateData    = is_array( $message['template_data'] ?? null ) ? $message['template_data'] : [];
 		$personalization = is_array( $message['variables'] ?? null ) ? $message['variables'] : [];
+		$tracking        = is_array( $message['tracking'] ?? null ) ? $message['tracking'] : [];
+		$variant         = (string) ( $args['variant'] ?? '' );
 		$languageCode    = $this->templateBuilder->getLanguageCode( $templateData );
 
 		if ( '' === $templateName ) {
@@ -99,9 +189,9 @@ class BroadcastBatchProcessor {
 			return;
 		}
 
-		$profiles     = $this->getRecipientProfiles( $batch );
-		$tableName    = $this->wpdb->prefix . 'wch_broadcast_recipients';
-		$tableExists  = $this->tableExists( $tableName );
+		$recipients  = $this->recipientData->getRecipients( $batch, (string) ( $args['contact_list'] ?? '' ) );
+		$tableName   = $this->wpdb->prefix . 'wch_broadcast_recipients';
+		$tableExists = $this->tableExists( $tableName );
 
 		$sent   = 0;
 		$failed = 0;
@@ -117,15 +207,17 @@ class BroadcastBatchProcessor {
 				continue;
 			}
 
-			$recipient = [
-				'phone' => $phone,
-				'name'  => $profiles[ $phone ]['name'] ?? 'there',
-			];
-
-			$components = $this->templateBuilder->buildComponents( $templateData, $personalization, $recipient );
+			$recipient  = $recipients[ $phone ] ?? [ 'phone' => $phone ];
+			$values     = [];
+			$clickToken = ! empty( $tracking['track_clicks'] ) ? $this->linkTracker->getToken( $campaignId, $phone ) : '';
 
 			try {
-				$result = $this->apiClient->sendTemplate( $phone, $templateName, $languageCode, $components );
+				$variables  = $this->couponIssuer->issueCoupons( $personalization, $recipient, $campaignId );
+				$variables  = $this->linkTracker->tagLinks( $templateData, $variables, $recipient, $tracking, $clickToken, $variant );
+				$values     = $this->templateBuilder->resolveValues( $templateData, $variables, $recipient );
+				$components = $this->templateBuilder->buildComponents( $templateData, $variables, $recipient );
+
+				$result    = $this->apiClient->sendTemplate( $phone, $templateName, $languageCode, $components );
 				$messageId = $result['message_id'] ?? $result['messages'][0]['id'] ?? null;
 
 				if ( ! $messageId ) {
@@ -135,14 +227,21 @@ class BroadcastBatchProcessor {
 				++$sent;
 
 				if ( $tableExists ) {
-					$this->recordRecipient( $tableName, $campaignId, $phone, (string) $messageId );
+					$this->recordRecipient( $tableName, $campaignId, $phone, (string) $messageId, $variant, $values, $clickToken );
 				}
 			} catch ( \Throwable $e ) {
+				$errorCode = self::getErrorCode( $e );
+
 				++$failed;
 				$errors[] = [
 					'recipient' => $phone,
+					'code'      => $errorCode,
 					'error'     => $e->getMessage(),
 				];
+
+				if ( $tableExists ) {
+					$this->recordFailure( $tableName, $campaignId, $phone, $variant, $errorCode, $e->getMessage(), $values );
+				}
 			}
 		}
 
@@ -196,7 +295,10 @@ class BroadcastBatchProcessor {
 		$batchNum     = (int) ( $args['batch_num'] ?? 0 );
 		$totalBatches = (int) ( $args['total_batches'] ?? 0 );
 
-		if ( $totalBatches > 0 && ( $batchNum + 1 ) >= $totalBatches ) {
+		// An A/B test stays in sending until the winner goes out to the rest of the audience.
+		$awaitingWinner = 'test' === ( $args['phase'] ?? '' ) && 'testing' === ( $campaign['ab_test']['phase'] ?? '' );
+
+		if ( ! $awaitingWinner && $totalBatches > 0 && ( $batchNum + 1 ) >= $totalBatches ) {
 			$this->repository->updateStatus(
 				$campaignId,
 				'completed',
@@ -205,52 +307,6 @@ class BroadcastBatchProcessor {
 		}
 	}
 
-	/**
-	 * Fetch recipient profiles for personalization.
-	 *
-	 * @param array $phones Recipient phone numbers.
-	 * @return array<string, array{name: string}>
-	 */
-	private function getRecipientProfiles( array $phones ): array {
-		$phones = array_values(
-			array_unique(
-				array_filter(
-					$phones,
-					static fn( $phone ) => is_string( $phone ) && '' !== $phone
-				)
-			)
-		);
-
-		if ( empty( $phones ) ) {
-			return [];
-		}
-
-		$placeholders = implode( ',', array_fill( 0, count( $phones ), '%s' ) );
-		$tableName    = $this->wpdb->prefix . 'wch_customer_profiles';
-
-		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Placeholder count is dynamic.
-		$query = $this->wpdb->prepare(
-			"SELECT phone, name FROM {$tableName} WHERE phone IN ({$placeholders})",
-			$phones
-		);
-
-		// phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared -- Query prepared above.
-		$rows = $this->wpdb->get_results( $query, ARRAY_A );
-
-		$profiles = [];
-		foreach ( $rows as $row ) {
-			$phone = (string) ( $row['phone'] ?? '' );
-			if ( '' === $phone ) {
-				continue;
-			}
-			$profiles[ $phone ] = [
-				'name' => (string) ( $row['name'] ?? '' ),
-			];
-		}
-
-		return $profiles;
-	}
-
 	/**
 	 * Record a broadcast recipient.
 	 *
@@ -258,9 +314,12 @@ class BroadcastBatchProcessor {
 	 * @param int    $campaignId Campaign ID.
 	 * @param string $phone      Recipient phone.
 	 * @param string $messageId  WhatsApp message ID.
+	 * @param string $variant    A/B variant key, empty when not testing.
+	 * @param array  $values     Template parameter values sent to the recipient.
+	 * @param string $clickToken Token added to tracked links, empty when clicks are not tracked.
 	 * @return void
 	 */
-	private function recordRecipient( string $tableName, int $campaignId, string $phone, string $messageId ): void {
+	private function recordRecipient( string $tableName, int $campaignId, string $phone, string $messageId, string $variant = '', array $values = [], string $clickToken = '' ): void {
 		$now = current_time( 'mysql' );
 
 		$this->wpdb->replace(
@@ -269,14 +328,64 @@ class BroadcastBatchProcessor {
 				'campaign_id'   => $campaignId,
 				'phone'         => $phone,
 				'wa_message_id' => $messageId,
+				'variant'       => '' !== $variant ? $variant : null,
 				'status'        => 'sent',
+				'variables'     => ! empty( $values ) ? wp_json_encode( $values ) : null,
+				'click_token'   => '' !== $clickToken ? $clickToken : null,
+				'sent_at'       => $now,
+				'created_at'    => $now,
+			],
+			[ '%d', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s' ]
+		);
+	}
+
+	/**
+	 * Record a recipient whose message could not be sent.
+	 *
+	 * @param string $tableName    Recipients table name.
+	 * @param int    $campaignId   Campaign ID.
+	 * @param string $phone        Recipient phone.
+	 * @param string $variant      A/B variant key, empty when not testing.
+	 * @param string $errorCode    Cloud API error code, if known.
+	 * @param string $errorMessage Error message.
+	 * @param array  $values       Template parameter values, if they were resolved.
+	 * @return void
+	 */
+	private function recordFailure( string $tableName, int $campaignId, string $phone, string $variant, string $errorCode, string $errorMessage, array $values = [] ): void {
+		$now = current_time( 'mysql' );
+
+		$this->wpdb->replace(
+			$tableName,
+			[
+				'campaign_id'   => $campaignId,
+				'phone'         => $phone,
+				'variant'       => '' !== $variant ? $variant : null,
+				'status'        => 'failed',
+				'error_code'    => '' !== $errorCode ? $errorCode : null,
+				'error_message' => $errorMessage,
+				'variables'     => ! empty( $values ) ? wp_json_encode( $values ) : null,
 				'sent_at'       => $now,
 				'created_at'    => $now,
 			],
-			[ '%d', '%s', '%s', '%s', '%s', '%s' ]
+			[ '%d', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s' ]
 		);
 	}
 
+	/**
+	 * Get the Cloud API error code behind a send failure.
+	 *
+	 * @param \Throwable $e Send failure.
+	 * @return string Error code, or an empty string if the failure did not come from the API.
+	 */
+	public static function getErrorCode( \Throwable $e ): string {
+		if ( $e instanceof ApiException ) {
+			return (string) ( $e->getApiErrorCode() ?? '' );
+		}
+
+		// The API client reports errors as "WhatsApp API error (<code>): <message>".
+		return preg_match( '/WhatsApp API error \((\d+)\)/', $e->getMessage(), $matches ) ? $matches[1] : '';
+	}
+
 	/**
 	 * Check if a table exists.
 	 *
@@ -0,0 +1,292 @@
+<?php
+/**
+ * Broadcast Calendar Service
+ *
+ * Lays out campaign sends and re-engagement runs by day.
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+declare(strict_types=1);
+
+namespace WhatsAppCommerceHub\Application\Services\Broadcasts;
+
+use WhatsAppCommerceHub\Contracts\Services\Broadcasts\CampaignRepositoryInterface;
+use WhatsAppCommerceHub\Contracts\Services\Reengagement\ReengagementAnalyticsInterface;
+use WhatsAppCommerceHub\Contracts\Services\SettingsInterface;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class BroadcastCalendar
+ *
+ * Days are in the site timezone. Campaigns that have sent appear at their
+ * send time; others at the date and time in their schedule, and recurring
+ * campaigns at each upcoming run. Message counts are estimates: the
+ * recipients a campaign was sent to, otherwise its last audience count,
+ * and for re-engagement the daily average of the past week.
+ */
+class BroadcastCalendar {
+
+	/**
+	 * Most days a calendar can span.
+	 */
+	public const MAX_DAYS = 42;
+
+	/**
+	 * Action that runs automated re-engagement.
+	 */
+	protected const REENGAGEMENT_HOOK = 'wch_process_reengagement_campaigns';
+
+	/**
+	 * Days of re-engagement history the estimate averages.
+	 */
+	protected const REENGAGEMENT_HISTORY_DAYS = 7;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param CampaignRepositoryInterface    $repository   Campaign repository.
+	 * @param BroadcastRecurrence            $recurrence   Recurrence rules.
+	 * @param SettingsInterface              $settings     Settings service.
+	 * @param ReengagementAnalyticsInterface $reengagement Re-engagement analytics.
+	 */
+	public function __construct(
+		private CampaignRepositoryInterface $repository,
+		private BroadcastRecurrence $recurrence,
+		private SettingsInterface $settings,
+		private ReengagementAnalyticsInterface $reengagement
+	) {
+	}
+
+	/**
+	 * Get the sends between two days.
+	 *
+	 * @param string $from First day as Y-m-d.
+	 * @param string $to   Last day as Y-m-d.
+	 * @return array{events: array<int, array>, days: array<string, array{messages: int, broadcasts: int}>}|null
+	 *               Events in time order and totals per day, or null for an invalid range.
+	 */
+	public function getCalendar( string $from, string $to ): ?array {
+		$timezone = wp_timezone();
+		$first    = \DateTimeImmutable::createFromFormat( '!Y-m-d', $from, $timezone );
+		$last     = \DateTimeImmutable::createFromFormat( '!Y-m-d', $to, $timezone );
+
+		if ( false === $first || false === $last || $last < $first || $first->diff( $last )->days >= self::MAX_DAYS ) {
+			return null;
+		}
+
+		$start  = $first->getTimestamp();
+		$end    = $last->modify( '+1 day' )->getTimestamp();
+		$events = $this->getReengagementEvents( $start, $end );
+
+		foreach ( $this->repository->getAll() as $campaign ) {
+			if ( 'cancelled' === ( $campaign['status'] ?? '' ) || ! empty( $campaign['archived_at'] ) ) {
+				continue;
+			}
+
+			foreach ( $this->getRunTimes( $campaign, $start, $end ) as $runAt ) {
+				$events[] = $this->buildEvent(
+					[
+						'key'         => 'campaign-' . $campaign['id'] . '-' . $runAt,
+						'type'        => 'recurring' === ( $campaign['status'] ?? '' ) ? 'recurring' : 'broadcast',
+						'campaign_id' => (int) $campaign['id'],
+						'title'       => (string) ( $campaign['name'] ?? '' ),
+						'status'      => (string) ( $campaign['status'] ?? 'draft' ),
+						'messages'    => $this->getEstimate( $campaign ),
+						'movable'     => $this->isMovable( $campaign, $runAt ),
+					],
+					$runAt
+				);
+			}
+		}
+
+		usort( $events, static fn( array $a, array $b ) => $a['time'] <=> $b['time'] );
+
+		$days = [];
+		foreach ( $events as $event ) {
+			$days[ $event['date'] ] ??= [
+				'messages'   => 0,
+				'broadcasts' => 0,
+			];
+
+			$days[ $event['date'] ]['messages'] += $event['messages'];
+
+			if ( 'reengagement' !== $event['type'] ) {
+				++$days[ $event['date'] ]['broadcasts'];
+			}
+		}
+
+		return [
+			'events' => $events,
+			'days'   => $days,
+		];
+	}
+
+	/**
+	 * Move a campaign's schedule to another day.
+	 *
+	 * The send keeps its time of day in the schedule's timezone.
+	 *
+	 * @param array  $campaign Campaign data.
+	 * @param string $date     Day in the site timezone as Y-m-d.
+	 * @return array|null New schedule, or null if the campaign has no date or the new time has passed.
+	 */
+	public function moveSchedule( array $campaign, string $date ): ?array {
+		$schedule = $campaign['schedule'] ?? [];
+		$runAt    = $this->getScheduledTime( $schedule );
+		$target   = \DateTimeImmutable::createFromFormat( '!Y-m-d', $date, new \DateTimeZone( 'UTC' ) );
+
+		if ( null === $runAt || false === $target ) {
+			return null;
+		}
+
+		// Count whole days in UTC so daylight saving changes don't shorten them.
+		$current = \DateTimeImmutable::createFromFormat( '!Y-m-d', wp_date( 'Y-m-d', $runAt ), new \DateTimeZone( 'UTC' ) );
+		$days    = (int) $current->diff( $target )->format( '%r%a' );
+		$moved   = ( new \DateTimeImmutable( '@' . $runAt ) )
+			->setTimezone( $this->recurrence->getTimezone( $schedule ) )
+			->modify( sprintf( '%+d days', $days ) );
+
+		if ( $moved->getTimestamp() <= time() ) {
+			return null;
+		}
+
+		return array_merge(
+			$schedule,
+			[
+				'date'     => $moved->format( 'Y-m-d' ),
+				'datetime' => $moved->format( 'Y-m-d' ) . ' ' . ( $schedule['time'] ?? '' ),
+			]
+		);
+	}
+
+	/**
+	 * Check whether a campaign can be dragged to another day.
+	 *
+	 * @param array $campaign Campaign data.
+	 * @param int   $runAt    Send time as a Unix timestamp.
+	 * @return bool True for drafts and for scheduled campaigns that have not started.
+	 */
+	protected function isMovable( array $campaign, int $runAt ): bool {
+		$status = (string) ( $campaign['status'] ?? '' );
+
+		return in_array( $status, CampaignDispatcher::RESCHEDULE_STATUSES, true ) && ( 'draft' === $status || $runAt > time() );
+	}
+
+	/**
+	 * Get when a campaign sends within a range.
+	 *
+	 * @param array $campaign Campaign data.
+	 * @param int   $start    Range start as a Unix timestamp.
+	 * @param int   $end      Range end as a Unix timestamp, exclusive.
+	 * @return array<int, int> Unix timestamps.
+	 */
+	protected function getRunTimes( array $campaign, int $start, int $end ): array {
+		$schedule = $campaign['schedule'] ?? [];
+
+		// Past runs are campaigns of their own, so only upcoming ones are added.
+		if ( 'recurring' === ( $campaign['status'] ?? '' ) ) {
+			$runs = $this->recurrence->getOccurrences( $schedule, max( $start, time() ) - 1, self::MAX_DAYS );
+
+			return array_values( array_filter( $runs, static fn( int $runAt ): bool => $runAt < $end ) );
+		}
+
+		$runAt = ! empty( $campaign['sent_at'] ) ? (int) strtotime( $campaign['sent_at'] ) : $this->getScheduledTime( $schedule );
+
+		return null !== $runAt && $runAt >= $start && $runAt < $end ? [ $runAt ] : [];
+	}
+
+	/**
+	 * Get the send time in a schedule.
+	 *
+	 * @param array $schedule Campaign schedule.
+	 * @return int|null Unix timestamp, or null for campaigns sent as soon as they are ready.
+	 */
+	protected function getScheduledTime( array $schedule ): ?int {
+		if ( ! in_array( $schedule['timing'] ?? 'now', [ 'scheduled', 'local' ], true ) ) {
+			return null;
+		}
+
+		$time = \DateTimeImmutable::createFromFormat(
+			'!Y-m-d H:i',
+			( $schedule['date'] ?? '' ) . ' ' . ( $schedule['time'] ?? '' ),
+			$this->recurrence->getTimezone( $schedule )
+		);
+
+		return false !== $time ? $time->getTimestamp() : null;
+	}
+
+	/**
+	 * Get the upcoming re-engagement runs within a range.
+	 *
+	 * @param int $start Range start as a Unix timestamp.
+	 * @param int $end   Range end as a Unix timestamp, exclusive.
+	 * @return array<int, array> Events.
+	 */
+	protected function getReengagementEvents( int $start, int $end ): array {
+		if ( ! $this->settings->get( 'reengagement.enabled', false ) || ! function_exists( 'as_next_scheduled_action' ) ) {
+			return [];
+		}
+
+		$next = as_next_scheduled_action( self::REENGAGEMENT_HOOK, [], 'wch' );
+
+		if ( ! is_int( $next ) ) {
+			return [];
+		}
+
+		$sent     = array_sum( array_column( $this->reengagement->getAnalytics( self::REENGAGEMENT_HISTORY_DAYS ), 'sent' ) );
+		$messages = (int) ceil( $sent / self::REENGAGEMENT_HISTORY_DAYS );
+		$runAt    = $next < $start ? $next + (int) ceil( ( $start - $next ) / DAY_IN_SECONDS ) * DAY_IN_SECONDS : $next;
+		$events   = [];
+
+		for ( ; $runAt < $end; $runAt += DAY_IN_SECONDS ) {
+			$events[] = $this->buildEvent(
+				[
+					'key'         => 'reengagement-' . $runAt,
+					'type'        => 'reengagement',
+					'campaign_id' => 0,
+					'title'       => __( 'Re-engagement messages', 'whatsapp-commerce-hub' ),
+					'status'      => 'scheduled',
+					'messages'    => $messages,
+					'movable'     => false,
+				],
+				$runAt
+			);
+		}
+
+		return $events;
+	}
+
+	/**
+	 * Add the time fields to an event.
+	 *
+	 * @param array $event Event details.
+	 * @param int   $runAt Send time as a Unix timestamp.
+	 * @return array Event.
+	 */
+	protected function buildEvent( array $event, int $runAt ): array {
+		return array_merge(
+			$event,
+			[
+				'time'       => $runAt,
+				'date'       => wp_date( 'Y-m-d', $runAt ),
+				'time_label' => wp_date( get_option( 'time_format' ), $runAt ),
+			]
+		);
+	}
+
+	/**
+	 * Estimate how many messages a campaign sends.
+	 *
+	 * @param array $campaign Campaign data.
+	 * @return int Message count.
+	 */
+	protected function getEstimate( array $campaign ): int {
+		return (int) ( $campaign['stats']['total'] ?? 0 ) ?: (int) ( $campaign['audience_size'] ?? 0 );
+	}
+}
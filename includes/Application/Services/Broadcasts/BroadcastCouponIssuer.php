@@ -0,0 +1,229 @@
+<?php
+/**
+ * Broadcast Coupon Issuer Service
+ *
+ * Issues unique single-use coupons to broadcast recipients.
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+declare(strict_types=1);
+
+namespace WhatsAppCommerceHub\Application\Services\Broadcasts;
+
+use WhatsAppCommerceHub\Contracts\Services\Reengagement\LoyaltyCouponGeneratorInterface;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class BroadcastCouponIssuer
+ *
+ * Replaces `unique_coupon` personalization mappings with a coupon created for
+ * the recipient. Coupons carry the campaign ID in their meta so redemptions
+ * can be counted per campaign.
+ */
+class BroadcastCouponIssuer {
+
+	/**
+	 * Personalization type for unique coupons.
+	 */
+	public const TYPE = 'unique_coupon';
+
+	/**
+	 * Coupon meta key holding the campaign ID.
+	 */
+	public const META_CAMPAIGN = '_wch_broadcast_campaign_id';
+
+	/**
+	 * Coupon meta key holding the recipient phone and parameter key.
+	 */
+	public const META_RECIPIENT = '_wch_broadcast_recipient';
+
+	/**
+	 * Code prefix when the campaign sets none.
+	 */
+	public const DEFAULT_PREFIX = 'WCH';
+
+	/**
+	 * Coupon generator.
+	 *
+	 * @var LoyaltyCouponGeneratorInterface
+	 */
+	private LoyaltyCouponGeneratorInterface $generator;
+
+	/**
+	 * WordPress database instance.
+	 *
+	 * @var \wpdb
+	 */
+	private \wpdb $wpdb;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param LoyaltyCouponGeneratorInterface|null $generator Coupon generator.
+	 * @param \wpdb|null                           $wpdb      WordPress database instance.
+	 */
+	public function __construct( ?LoyaltyCouponGeneratorInterface $generator = null, ?\wpdb $wpdb = null ) {
+		$this->generator = $generator ?? wch( LoyaltyCouponGeneratorInterface::class );
+
+		if ( null === $wpdb ) {
+			global $wpdb;
+		}
+		$this->wpdb = $wpdb;
+	}
+
+	/**
+	 * Issue coupons for every unique coupon mapping.
+	 *
+	 * A recipient who already has a coupon for a parameter, for example
+	 * because a batch is retried, gets the same code again.
+	 *
+	 * @param array $personalization Parameter mapping keyed by parameter key.
+	 * @param array $recipient       Recipient details from RecipientDataProvider::getRecipients().
+	 * @param int   $campaignId      Campaign ID.
+	 * @return array Personalization with coupon mappings replaced by their codes.
+	 * @throws \RuntimeException When a coupon cannot be created.
+	 */
+	public function issueCoupons( array $personalization, array $recipient, int $campaignId ): array {
+		$phone = (string) ( $recipient['phone'] ?? '' );
+
+		foreach ( $personalization as $key => $mapping ) {
+			if ( ! is_array( $mapping ) || self::TYPE !== ( $mapping['type'] ?? '' ) ) {
+				continue;
+			}
+
+			$reference = $phone . '|' . $key;
+			$code      = $this->findIssuedCode( $campaignId, $reference );
+
+			if ( null === $code ) {
+				$settings = is_array( $mapping['coupon'] ?? null ) ? $mapping['coupon'] : [];
+				$code     = $this->generator->createCoupon(
+					[
+						'prefix'             => $this->getPrefix( (string) ( $mapping['value'] ?? '' ) ),
+						'discount_type'      => (string) ( $settings['discount_type'] ?? 'percent' ),
+						'amount'             => (float) ( $settings['amount'] ?? 0 ),
+						'expiry_days'        => (int) ( $settings['expiry_days'] ?? 0 ),
+						'minimum_amount'     => (float) ( $settings['minimum_amount'] ?? 0 ),
+						'exclude_sale_items' => ! empty( $settings['exclude_sale_items'] ),
+						'email_restrictions' => ! empty( $settings['restrict_email'] ) && ! empty( $recipient['email'] ) ? [ $recipient['email'] ] : [],
+						'meta'               => [
+							self::META_CAMPAIGN  => $campaignId,
+							self::META_RECIPIENT => $reference,
+						],
+						'phone'              => $phone,
+						'context'            => 'broadcasts',
+					]
+				);
+			}
+
+			if ( null === $code ) {
+				throw new \RuntimeException( 'Coupon could not be created' );
+			}
+
+			$personalization[ $key ] = [
+				'type'  => 'coupon_code',
+				'value' => $code,
+			];
+		}
+
+		return $personalization;
+	}
+
+	/**
+	 * Count the unique coupon mappings in a personalization.
+	 *
+	 * @param array $personalization Parameter mapping.
+	 * @return int Coupons created per recipient.
+	 */
+	public function countCouponParameters( array $personalization ): int {
+		return count(
+			array_filter(
+				$personalization,
+				static fn( $mapping ) => is_array( $mapping ) && self::TYPE === ( $mapping['type'] ?? '' )
+			)
+		);
+	}
+
+	/**
+	 * Get coupon issue and redemption counts for a campaign.
+	 *
+	 * @param int $campaignId Campaign ID.
+	 * @return array{issued: int, redeemed: int, uses: int}
+	 */
+	public function getRedemptionStats( int $campaignId ): array {
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Aggregate over coupon meta.
+		$row = $this->wpdb->get_row(
+			$this->wpdb->prepare(
+				"SELECT COUNT(*) AS issued,
+					SUM(CASE WHEN CAST(u.meta_value AS UNSIGNED) > 0 THEN 1 ELSE 0 END) AS redeemed,
+					SUM(CAST(COALESCE(u.meta_value, 0) AS UNSIGNED)) AS uses
+				FROM {$this->wpdb->postmeta} c
+				INNER JOIN {$this->wpdb->posts} p ON p.ID = c.post_id AND p.post_type = 'shop_coupon' AND p.post_status = 'publish'
+				LEFT JOIN {$this->wpdb->postmeta} u ON u.post_id = c.post_id AND u.meta_key = 'usage_count'
+				WHERE c.meta_key = %s AND c.meta_value = %s",
+				self::META_CAMPAIGN,
+				(string) $campaignId
+			),
+			ARRAY_A
+		);
+
+		return [
+			'issued'   => (int) ( $row['issued'] ?? 0 ),
+			'redeemed' => (int) ( $row['redeemed'] ?? 0 ),
+			'uses'     => (int) ( $row['uses'] ?? 0 ),
+		];
+	}
+
+	/**
+	 * Get the code shown in previews and test sends.
+	 *
+	 * @param string $prefix Code prefix from the mapping.
+	 * @return string Sample code.
+	 */
+	public static function getSampleCode( string $prefix ): string {
+		return self::getPrefix( $prefix ) . 'XXXXXXXX';
+	}
+
+	/**
+	 * Normalize a code prefix.
+	 *
+	 * @param string $prefix Code prefix from the mapping.
+	 * @return string Uppercase prefix.
+	 */
+	protected static function getPrefix( string $prefix ): string {
+		$prefix = strtoupper( (string) preg_replace( '/[^A-Za-z0-9]/', '', $prefix ) );
+
+		return '' !== $prefix ? substr( $prefix, 0, 10 ) : self::DEFAULT_PREFIX;
+	}
+
+	/**
+	 * Find a coupon already issued to a recipient.
+	 *
+	 * @param int    $campaignId Campaign ID.
+	 * @param string $reference  Recipient phone and parameter key.
+	 * @return string|null Coupon code or null if none.
+	 */
+	protected function findIssuedCode( int $campaignId, string $reference ): ?string {
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Lookup by coupon meta.
+		$code = $this->wpdb->get_var(
+			$this->wpdb->prepare(
+				"SELECT p.post_title FROM {$this->wpdb->posts} p
+				INNER JOIN {$this->wpdb->postmeta} c ON c.post_id = p.ID AND c.meta_key = %s AND c.meta_value = %s
+				INNER JOIN {$this->wpdb->postmeta} r ON r.post_id = p.ID AND r.meta_key = %s AND r.meta_value = %s
+				WHERE p.post_type = 'shop_coupon' AND p.post_status = 'publish'
+				LIMIT 1",
+				self::META_CAMPAIGN,
+				(string) $campaignId,
+				self::META_RECIPIENT,
+				$reference
+			)
+		);
+
+		return null !== $code && '' !== $code ? strtoupper( (string) $code ) : null;
+	}
+}
@@ -0,0 +1,279 @@
+<?php
+/**
+ * Broadcast Delivery Planner Service
+ *
+ * Works out when each broadcast batch is sent.
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+declare(strict_types=1);
+
+namespace WhatsAppCommerceHub\Application\Services\Broadcasts;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class BroadcastDeliveryPlanner
+ *
+ * Applies the campaign schedule to its recipients:
+ *
+ * - `now` and `scheduled` send everyone from a single start time.
+ * - `local` sends at the chosen date and time in each recipient's timezone,
+ *   inferred from their billing country or else their phone prefix.
+ * - Quiet hours, in the recipient's local time, are never crossed; batches
+ *   that would land inside them wait until the quiet hours end.
+ * - A rate limit caps the messages sent in any one minute.
+ */
+class BroadcastDeliveryPlanner {
+
+	/**
+	 * Recipient data provider.
+	 *
+	 * @var RecipientDataProvider
+	 */
+	protected RecipientDataProvider $recipientData;
+
+	/**
+	 * Timezone per country, cached.
+	 *
+	 * @var array<string, string>
+	 */
+	private array $countryTimezones = [];
+
+	/**
+	 * Constructor.
+	 *
+	 * @param RecipientDataProvider|null $recipientData Recipient data provider.
+	 */
+	public function __construct( ?RecipientDataProvider $recipientData = null ) {
+		$this->recipientData = $recipientData ?? new RecipientDataProvider();
+	}
+
+	/**
+	 * Plan batch send times.
+	 *
+	 * @param array<string, array> $groups    Recipient phones keyed by group, e.g. A/B variant.
+	 * @param array                $schedule  Sanitized campaign schedule.
+	 * @param int                  $start     Earliest send time as a Unix timestamp.
+	 * @param int                  $batchSize Largest batch.
+	 * @return array{batches: array<int, array{group: string, phones: array, send_at: int}>, start: int, end: int, timezones: int, deferred: int}
+	 *               Batches in send order, the delivery window, how many timezones it spans
+	 *               and how many recipients wait for quiet hours to end.
+	 */
+	public function plan( array $groups, array $schedule, int $start, int $batchSize ): array {
+		$timing    = (string) ( $schedule['timing'] ?? 'now' );
+		$rateLimit = max( 0, (int) ( $schedule['rate_limit'] ?? 0 ) );
+		$quiet     = ! empty( $schedule['quiet_hours']['enabled'] ) ? $schedule['quiet_hours'] : null;
+		$byZone    = 'local' === $timing || null !== $quiet;
+		$siteZone  = wp_timezone_string();
+		$batchSize = $rateLimit > 0 ? min( $batchSize, $rateLimit ) : $batchSize;
+
+		if ( 'scheduled' === $timing ) {
+			$start = max( $start, $this->getLocalTime( $schedule, (string) ( $schedule['timezone'] ?? 'UTC' ) ) ?? $start );
+		}
+
+		$allPhones = array_merge( ...array_values( array_map( 'array_values', $groups ) ) );
+		$countries = $byZone && ! empty( $allPhones ) ? $this->recipientData->getCountries( $allPhones ) : [];
+
+		// Split each group by timezone and chunk it into batches.
+		$items = [];
+		foreach ( $groups as $group => $phones ) {
+			$zones = [];
+			foreach ( $phones as $phone ) {
+				$zone             = $byZone ? $this->getTimezone( (string) $phone, $countries[ $phone ] ?? '' ) : $siteZone;
+				$zones[ $zone ][] = $phone;
+			}
+
+			foreach ( $zones as $zone => $zonePhones ) {
+				$earliest = 'local' === $timing ? max( $start, $this->getLocalTime( $schedule, (string) $zone ) ?? $start ) : $start;
+
+				foreach ( array_chunk( $zonePhones, max( 1, $batchSize ) ) as $batch ) {
+					$items[] = [
+						'group'    => (string) $group,
+						'zone'     => (string) $zone,
+						'phones'   => $batch,
+						'earliest' => $earliest,
+					];
+				}
+			}
+		}
+
+		// Earliest first; usort is stable, so groups keep their order.
+		usort( $items, static fn( array $a, array $b ) => $a['earliest'] <=> $b['earliest'] );
+
+		$batches  = [];
+		$perMin   = [];
+		$deferred = 0;
+
+		foreach ( $items as $index => $item ) {
+			$sendAt = $item['earliest'];
+			$waited = false;
+
+			if ( 0 === $rateLimit ) {
+				// Stagger batches by a second to avoid rate limiting.
+				$sendAt += $index;
+			}
+
+			while ( true ) {
+				if ( $rateLimit > 0 ) {
+					$minute = intdiv( $sendAt, MINUTE_IN_SECONDS );
+					$used   = $perMin[ $minute ] ?? 0;
+
+					if ( $used + count( $item['phones'] ) > $rateLimit ) {
+						$sendAt = ( $minute + 1 ) * MINUTE_IN_SECONDS;
+						continue;
+					}
+
+					// Spread batches sharing a minute across it.
+					$sendAt = max( $sendAt, $minute * MINUTE_IN_SECONDS + intdiv( $used * MINUTE_IN_SECONDS, $rateLimit ) );
+				}
+
+				$quietEnd = null !== $quiet ? $this->getQuietEnd( $sendAt, $item['zone'], $quiet ) : null;
+				if ( null === $quietEnd ) {
+					break;
+				}
+
+				$sendAt = $quietEnd;
+				$waited = true;
+			}
+
+			if ( $rateLimit > 0 ) {
+				$minute            = intdiv( $sendAt, MINUTE_IN_SECONDS );
+				$perMin[ $minute ] = ( $perMin[ $minute ] ?? 0 ) + count( $item['phones'] );
+			}
+
+			if ( $waited ) {
+				$deferred += count( $item['phones'] );
+			}
+
+			$batches[] = [
+				'group'   => $item['group'],
+				'phones'  => $item['phones'],
+				'send_at' => $sendAt,
+			];
+		}
+
+		usort( $batches, static fn( array $a, array $b ) => $a['send_at'] <=> $b['send_at'] );
+
+		return [
+			'batches'   => $batches,
+			'start'     => empty( $batches ) ? $start : $batches[0]['send_at'],
+			'end'       => empty( $batches ) ? $start : $batches[ count( $batches ) - 1 ]['send_at'],
+			'timezones' => count( array_unique( array_column( $items, 'zone' ) ) ),
+			'deferred'  => $deferred,
+		];
+	}
+
+	/**
+	 * Get the timezone a recipient is in.
+	 *
+	 * @param string $phone   Phone number.
+	 * @param string $country Billing country, if known.
+	 * @return string Timezone identifier; the site timezone when it cannot be inferred.
+	 */
+	protected function getTimezone( string $phone, string $country ): string {
+		if ( '' === $country ) {
+			$countries = CallingCodes::all()[ CallingCodes::match( $phone ) ] ?? [];
+
+			// Shared codes such as +1 most likely mean the store's own country.
+			$base    = function_exists( 'WC' ) ? WC()->countries->get_base_country() : '';
+			$country = in_array( $base, $countries, true ) ? $base : (string) ( $countries[0] ?? '' );
+		}
+
+		$timezone = '' !== $country ? $this->getCountryTimezone( $country ) : '';
+
+		return '' !== $timezone ? $timezone : wp_timezone_string();
+	}
+
+	/**
+	 * Get a representative timezone for a country.
+	 *
+	 * Countries spanning several zones use the one with the median offset.
+	 *
+	 * @param string $country ISO country code.
+	 * @return string Timezone identifier, or an empty string if unknown.
+	 */
+	protected function getCountryTimezone( string $country ): string {
+		if ( 2 !== strlen( $country ) ) {
+			return '';
+		}
+
+		if ( ! isset( $this->countryTimezones[ $country ] ) ) {
+			$zones = \DateTimeZone::listIdentifiers( \DateTimeZone::PER_COUNTRY, $country );
+
+			if ( count( $zones ) > 1 ) {
+				$now     = new \DateTimeImmutable( 'now', new \DateTimeZone( 'UTC' ) );
+				$offsets = [];
+				foreach ( $zones as $zone ) {
+					$offsets[ $zone ] = ( new \DateTimeZone( $zone ) )->getOffset( $now );
+				}
+				asort( $offsets );
+				$zones = array_keys( $offsets );
+			}
+
+			$this->countryTimezones[ $country ] = (string) ( $zones[ intdiv( count( $zones ), 2 ) ] ?? '' );
+		}
+
+		return $this->countryTimezones[ $country ];
+	}
+
+	/**
+	 * Get the schedule's date and time in a timezone.
+	 *
+	 * @param array  $schedule Campaign schedule.
+	 * @param string $timezone Timezone identifier.
+	 * @return int|null Unix timestamp, or null when the date or time is invalid.
+	 */
+	protected function getLocalTime( array $schedule, string $timezone ): ?int {
+		try {
+			$time = \DateTimeImmutable::createFromFormat(
+				'Y-m-d H:i',
+				( $schedule['date'] ?? '' ) . ' ' . ( $schedule['time'] ?? '' ),
+				new \DateTimeZone( $timezone )
+			);
+		} catch ( \Exception $e ) {
+			return null;
+		}
+
+		return false !== $time ? $time->getTimestamp() : null;
+	}
+
+	/**
+	 * Get when quiet hours end, if a time falls inside them.
+	 *
+	 * @param int    $time     Unix timestamp.
+	 * @param string $timezone Recipient timezone.
+	 * @param array  $quiet    Quiet hours with `start` and `end` as HH:MM.
+	 * @return int|null End of the quiet hours, or null if the time is outside them.
+	 */
+	protected function getQuietEnd( int $time, string $timezone, array $quiet ): ?int {
+		$local = ( new \DateTimeImmutable( '@' . $time ) )->setTimezone( new \DateTimeZone( $timezone ) );
+		$now   = $local->format( 'H:i' );
+		$start = is_string( $quiet['start'] ?? null ) ? $quiet['start'] : '';
+		$end   = is_string( $quiet['end'] ?? null ) ? $quiet['end'] : '';
+
+		if ( ! preg_match( '/^\d{2}:\d{2}$/', $start ) || ! preg_match( '/^\d{2}:\d{2}$/', $end ) || $start === $end ) {
+			return null;
+		}
+
+		// Quiet hours such as 21:00-08:00 wrap past midnight.
+		$inside = $start < $end ? ( $now >= $start && $now < $end ) : ( $now >= $start || $now < $end );
+		if ( ! $inside ) {
+			return null;
+		}
+
+		[ $hour, $minute ] = array_map( 'intval', explode( ':', $end ) );
+
+		$endTime = $local->setTime( $hour, $minute );
+		if ( $endTime <= $local ) {
+			$endTime = $endTime->modify( '+1 day' );
+		}
+
+		return $endTime->getTimestamp();
+	}
+}
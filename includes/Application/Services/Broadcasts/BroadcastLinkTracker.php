@@ -0,0 +1,213 @@
+<?php
+/**
+ * Broadcast Link Tracker Service
+ *
+ * Adds UTM parameters and click tokens to broadcast URL buttons.
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+declare(strict_types=1);
+
+namespace WhatsAppCommerceHub\Application\Services\Broadcasts;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class BroadcastLinkTracker
+ *
+ * WhatsApp only lets a broadcast fill in the end of a URL button's link, so
+ * tracking is added to that suffix. UTM parameters work on any link; they
+ * are also what WooCommerce order attribution reads. Click tracking adds a
+ * per-recipient token, which the store counts and strips with a redirect
+ * when the link is opened, so it only works for buttons linking to this site.
+ */
+class BroadcastLinkTracker {
+
+	/**
+	 * Query parameter holding the click token.
+	 */
+	public const QUERY_VAR = 'wch_click';
+
+	/**
+	 * UTM source when the campaign sets none.
+	 */
+	public const DEFAULT_SOURCE = 'whatsapp';
+
+	/**
+	 * UTM medium when the campaign sets none.
+	 */
+	public const DEFAULT_MEDIUM = 'broadcast';
+
+	/**
+	 * Constructor.
+	 *
+	 * @param BroadcastTemplateBuilder $templateBuilder Template builder.
+	 * @param BroadcastTracker         $tracker         Broadcast tracker.
+	 */
+	public function __construct(
+		private BroadcastTemplateBuilder $templateBuilder,
+		private BroadcastTracker $tracker
+	) {
+	}
+
+	/**
+	 * Tag every URL button of a template for one recipient.
+	 *
+	 * @param array  $templateData    Template metadata from WhatsApp.
+	 * @param array  $personalization Parameter mapping keyed by parameter key.
+	 * @param array  $recipient       Recipient details from RecipientDataProvider::getRecipients().
+	 * @param array  $tracking        Campaign tracking settings.
+	 * @param string $token           Click token, or an empty string to skip click tracking.
+	 * @param string $variant         A/B variant key, sent as utm_content.
+	 * @return array Personalization with URL button mappings replaced by the tagged suffix.
+	 */
+	public function tagLinks( array $templateData, array $personalization, array $recipient, array $tracking, string $token = '', string $variant = '' ): array {
+		$args = $this->getUtmArgs( $tracking, $variant );
+
+		if ( empty( $tracking['track_clicks'] ) ) {
+			$token = '';
+		}
+
+		if ( empty( $args ) && '' === $token ) {
+			return $personalization;
+		}
+
+		$values = $this->templateBuilder->resolveValues( $templateData, $personalization, $recipient );
+
+		foreach ( $this->templateBuilder->getParameters( $templateData ) as $parameter ) {
+			if ( 'url_suffix' !== $parameter['input'] ) {
+				continue;
+			}
+
+			$base = $this->getBaseUrl( (string) $parameter['url'] );
+			$link = $args;
+
+			if ( '' !== $token && $this->isTrackable( $base ) ) {
+				$link[ self::QUERY_VAR ] = $token;
+			}
+
+			if ( empty( $link ) ) {
+				continue;
+			}
+
+			$tagged = add_query_arg( $link, $base . ( $values[ $parameter['key'] ] ?? '' ) );
+
+			// add_query_arg() rebuilds the query string; give up if that changed the fixed part.
+			if ( ! str_starts_with( $tagged, $base ) ) {
+				continue;
+			}
+
+			$personalization[ $parameter['key'] ] = [
+				'type'  => 'static',
+				'value' => substr( $tagged, strlen( $base ) ),
+			];
+		}
+
+		return $personalization;
+	}
+
+	/**
+	 * Get the click token for a recipient.
+	 *
+	 * Tokens are derived from the campaign and phone, so a retried batch
+	 * reuses the token of the first attempt.
+	 *
+	 * @param int    $campaignId Campaign ID.
+	 * @param string $phone      Recipient phone.
+	 * @return string Token.
+	 */
+	public function getToken( int $campaignId, string $phone ): string {
+		return substr( wp_hash( $campaignId . '|' . $phone, 'nonce' ), 0, 20 );
+	}
+
+	/**
+	 * Check whether click tracking works for a template.
+	 *
+	 * @param array $templateData Template metadata from WhatsApp.
+	 * @return bool True if at least one URL button links to this site.
+	 */
+	public function hasTrackableLinks( array $templateData ): bool {
+		foreach ( $this->templateBuilder->getParameters( $templateData ) as $parameter ) {
+			if ( 'url_suffix' === $parameter['input'] && $this->isTrackable( $this->getBaseUrl( (string) $parameter['url'] ) ) ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Record a click on a tracked link and redirect to the link without its token.
+	 *
+	 * Runs on template_redirect.
+	 *
+	 * @return void
+	 */
+	public function handleClick(): void {
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Public link opened from WhatsApp.
+		$token = isset( $_GET[ self::QUERY_VAR ] ) ? sanitize_key( wp_unslash( $_GET[ self::QUERY_VAR ] ) ) : '';
+
+		if ( '' === $token ) {
+			return;
+		}
+
+		$this->tracker->recordClick( $token );
+
+		nocache_headers();
+		wp_safe_redirect( remove_query_arg( self::QUERY_VAR ) );
+		exit;
+	}
+
+	/**
+	 * Get the UTM parameters for a campaign.
+	 *
+	 * @param array  $tracking Campaign tracking settings.
+	 * @param string $variant  A/B variant key.
+	 * @return array<string, string> Query arguments, empty when UTM tagging is off.
+	 */
+	protected function getUtmArgs( array $tracking, string $variant ): array {
+		if ( empty( $tracking['utm_enabled'] ) ) {
+			return [];
+		}
+
+		$args = [
+			'utm_source'   => sanitize_title( (string) ( $tracking['utm_source'] ?? '' ) ) ?: self::DEFAULT_SOURCE,
+			'utm_medium'   => sanitize_title( (string) ( $tracking['utm_medium'] ?? '' ) ) ?: self::DEFAULT_MEDIUM,
+			'utm_campaign' => sanitize_title( (string) ( $tracking['utm_campaign'] ?? '' ) ),
+		];
+
+		if ( '' !== $variant ) {
+			$args['utm_content'] = sanitize_title( $variant );
+		}
+
+		return array_filter( $args );
+	}
+
+	/**
+	 * Get the fixed part of a URL button's link.
+	 *
+	 * @param string $url Button URL with a trailing variable, e.g. https://example.com/p/{{1}}.
+	 * @return string URL up to the variable.
+	 */
+	protected function getBaseUrl( string $url ): string {
+		return (string) preg_replace( '/\{\{\s*[A-Za-z0-9_]+\s*\}\}.*$/s', '', $url );
+	}
+
+	/**
+	 * Check whether a link points to this site.
+	 *
+	 * @param string $url Link.
+	 * @return bool True if clicks on it reach the store.
+	 */
+	protected function isTrackable( string $url ): bool {
+		$host = strtolower( (string) wp_parse_url( $url, PHP_URL_HOST ) );
+		$home = strtolower( (string) wp_parse_url( home_url(), PHP_URL_HOST ) );
+
+		return '' !== $host && preg_replace( '/^www\./', '', $host ) === preg_replace( '/^www\./', '', $home );
+	}
+}
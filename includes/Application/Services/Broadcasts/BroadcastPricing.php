@@ -0,0 +1,190 @@
+<?php
+/**
+ * Broadcast Pricing Service
+ *
+ * Estimates broadcast cost from a per-country rate table.
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+declare(strict_types=1);
+
+namespace WhatsAppCommerceHub\Application\Services\Broadcasts;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class BroadcastPricing
+ *
+ * WhatsApp charges per delivered template message, at a rate that depends on
+ * the recipient's country and the template category. Rates are entered in the
+ * store currency, per country, with a default row for countries not listed.
+ */
+class BroadcastPricing {
+
+	/**
+	 * Option holding the rate table.
+	 */
+	public const OPTION_NAME = 'wch_broadcast_pricing';
+
+	/**
+	 * Template categories WhatsApp prices separately.
+	 */
+	public const CATEGORIES = [ 'marketing', 'utility', 'authentication' ];
+
+	/**
+	 * Rate used for every category until rates are configured.
+	 */
+	public const DEFAULT_RATE = 0.0058;
+
+	/**
+	 * Get the saved rate table.
+	 *
+	 * @return array{default: array<string, float>, countries: array<string, array<string, float>>, budget: float}
+	 */
+	public function getSettings(): array {
+		$saved = get_option( self::OPTION_NAME, [] );
+
+		return $this->sanitize( is_array( $saved ) ? $saved : [] );
+	}
+
+	/**
+	 * Save the rate table.
+	 *
+	 * @param array $settings Rate table as submitted.
+	 * @return array Sanitized rate table.
+	 */
+	public function save( array $settings ): array {
+		$settings = $this->sanitize( $settings );
+
+		update_option( self::OPTION_NAME, $settings, false );
+
+		return $settings;
+	}
+
+	/**
+	 * Get the rates that apply to a calling code.
+	 *
+	 * Countries sharing a calling code share its rates; the first configured
+	 * country wins.
+	 *
+	 * @param string $callingCode Calling code digits, or empty for unknown numbers.
+	 * @return array<string, float> Rate per category.
+	 */
+	public function getRates( string $callingCode ): array {
+		return $this->findRates( $this->getSettings(), $callingCode );
+	}
+
+	/**
+	 * Find the rates for a calling code in a rate table.
+	 *
+	 * @param array  $settings    Sanitized rate table.
+	 * @param string $callingCode Calling code digits.
+	 * @return array<string, float> Rate per category.
+	 */
+	protected function findRates( array $settings, string $callingCode ): array {
+		if ( '' !== $callingCode ) {
+			foreach ( $settings['countries'] as $country => $rates ) {
+				if ( CallingCodes::forCountry( $country ) === $callingCode ) {
+					return $rates;
+				}
+			}
+		}
+
+		return $settings['default'];
+	}
+
+	/**
+	 * Estimate cost for an audience.
+	 *
+	 * @param array<string, int> $counts Recipients keyed by calling code.
+	 * @return array{rows: array<int, array>, per_recipient: array<string, float>, total_recipients: int, budget: float}
+	 */
+	public function estimate( array $counts ): array {
+		$settings = $this->getSettings();
+		$rows     = [];
+		$totals   = array_fill_keys( self::CATEGORIES, 0.0 );
+		$count    = 0;
+
+		foreach ( $counts as $callingCode => $recipients ) {
+			$callingCode = (string) $callingCode;
+			$recipients  = (int) $recipients;
+			$rates       = $this->findRates( $settings, $callingCode );
+
+			$rows[] = [
+				'calling_code' => $callingCode,
+				'label'        => CallingCodes::label( $callingCode ),
+				'recipients'   => $recipients,
+				'rates'        => $rates,
+			];
+
+			foreach ( self::CATEGORIES as $category ) {
+				$totals[ $category ] += $recipients * $rates[ $category ];
+			}
+			$count += $recipients;
+		}
+
+		// Average rate per recipient lets the wizard price A/B variant shares.
+		$perRecipient = array_map(
+			static fn( float $total ) => $count > 0 ? $total / $count : 0.0,
+			$totals
+		);
+
+		return [
+			'rows'             => $rows,
+			'per_recipient'    => $perRecipient,
+			'total_recipients' => $count,
+			'budget'           => $settings['budget'],
+		];
+	}
+
+	/**
+	 * Sanitize a rate table.
+	 *
+	 * @param array $settings Raw rate table.
+	 * @return array{default: array<string, float>, countries: array<string, array<string, float>>, budget: float}
+	 */
+	protected function sanitize( array $settings ): array {
+		$default = array_fill_keys( self::CATEGORIES, self::DEFAULT_RATE );
+		if ( is_array( $settings['default'] ?? null ) ) {
+			$default = $this->sanitizeRates( $settings['default'] );
+		}
+
+		$countries = [];
+		foreach ( (array) ( $settings['countries'] ?? [] ) as $country => $rates ) {
+			$country = strtoupper( sanitize_key( (string) $country ) );
+
+			if ( '' === $country || ! is_array( $rates ) || '' === CallingCodes::forCountry( $country ) ) {
+				continue;
+			}
+
+			$countries[ $country ] = $this->sanitizeRates( $rates );
+		}
+
+		return [
+			'default'   => $default,
+			'countries' => $countries,
+			'budget'    => max( 0.0, (float) ( $settings['budget'] ?? 0 ) ),
+		];
+	}
+
+	/**
+	 * Sanitize the rates of one row.
+	 *
+	 * @param array $rates Raw rates keyed by category.
+	 * @return array<string, float> Rate per category.
+	 */
+	protected function sanitizeRates( array $rates ): array {
+		$sanitized = [];
+
+		foreach ( self::CATEGORIES as $category ) {
+			$sanitized[ $category ] = max( 0.0, (float) ( $rates[ $category ] ?? 0 ) );
+		}
+
+		return $sanitized;
+	}
+}
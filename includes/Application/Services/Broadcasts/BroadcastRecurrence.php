@@ -0,0 +1,181 @@
+<?php
+/**
+ * Broadcast Recurrence Service
+ *
+ * Works out the run times of recurring campaigns.
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+declare(strict_types=1);
+
+namespace WhatsAppCommerceHub\Application\Services\Broadcasts;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class BroadcastRecurrence
+ *
+ * Runs follow the recurrence rule from the schedule's date and time onwards,
+ * in the schedule's timezone, so they keep their wall-clock time across
+ * daylight saving changes. Local-time campaigns use the site
+ * timezone for their dates.
+ */
+class BroadcastRecurrence {
+
+	/**
+	 * Supported frequencies.
+	 */
+	public const FREQUENCIES = [ 'daily', 'weekly', 'monthly' ];
+
+	/**
+	 * Ways a recurrence can end.
+	 */
+	public const END_TYPES = [ 'never', 'date', 'count' ];
+
+	/**
+	 * Timezone that reaches any given local time first.
+	 */
+	protected const EARLIEST_TIMEZONE = 'Pacific/Kiritimati';
+
+	/**
+	 * Candidate days or months checked before giving up.
+	 */
+	protected const MAX_ITERATIONS = 3660;
+
+	/**
+	 * Check whether a schedule repeats.
+	 *
+	 * @param array $schedule Campaign schedule.
+	 * @return bool True for recurring schedules.
+	 */
+	public function isRecurring( array $schedule ): bool {
+		return ! empty( $schedule['recurrence']['enabled'] )
+			&& in_array( $schedule['timing'] ?? 'now', [ 'scheduled', 'local' ], true );
+	}
+
+	/**
+	 * Get the timezone run times are calculated in.
+	 *
+	 * @param array $schedule Campaign schedule.
+	 * @return \DateTimeZone Timezone.
+	 */
+	public function getTimezone( array $schedule ): \DateTimeZone {
+		if ( 'local' !== ( $schedule['timing'] ?? '' ) ) {
+			try {
+				return new \DateTimeZone( (string) ( $schedule['timezone'] ?? 'UTC' ) );
+			} catch ( \Exception $e ) {
+				unset( $e );
+			}
+		}
+
+		return wp_timezone();
+	}
+
+	/**
+	 * Get run times after a moment.
+	 *
+	 * @param array $schedule Campaign schedule.
+	 * @param int   $after    Unix timestamp; only later runs are returned.
+	 * @param int   $limit    Most run times to return.
+	 * @return array<int, int> Unix timestamps in order.
+	 */
+	public function getOccurrences( array $schedule, int $after, int $limit ): array {
+		$timezone = $this->getTimezone( $schedule );
+		$first    = \DateTimeImmutable::createFromFormat( '!Y-m-d H:i', ( $schedule['date'] ?? '' ) . ' ' . ( $schedule['time'] ?? '' ), $timezone );
+
+		if ( false === $first || $limit < 1 ) {
+			return [];
+		}
+
+		$rule      = is_array( $schedule['recurrence'] ?? null ) ? $schedule['recurrence'] : [];
+		$frequency = in_array( $rule['frequency'] ?? '', self::FREQUENCIES, true ) ? $rule['frequency'] : 'weekly';
+		$days      = array_map( 'intval', (array) ( $rule['days'] ?? [] ) );
+		$days      = empty( $days ) ? [ (int) $first->format( 'N' ) ] : $days;
+		$maxRuns   = 'count' === ( $rule['end'] ?? '' ) ? max( 1, (int) ( $rule['end_count'] ?? 1 ) ) : 0;
+		$endDate   = 'date' === ( $rule['end'] ?? '' )
+			? \DateTimeImmutable::createFromFormat( '!Y-m-d H:i:s', ( $rule['end_date'] ?? '' ) . ' 23:59:59', $timezone )
+			: false;
+
+		$runs        = 0;
+		$occurrences = [];
+
+		for ( $i = 0; $i < self::MAX_ITERATIONS && count( $occurrences ) < $limit; $i++ ) {
+			$candidate = 'monthly' === $frequency
+				? $this->getMonthlyCandidate( $first, $i, (int) ( $rule['day_of_month'] ?? $first->format( 'j' ) ) )
+				: $first->modify( "+{$i} days" );
+
+			if ( $candidate < $first || ( 'weekly' === $frequency && ! in_array( (int) $candidate->format( 'N' ), $days, true ) ) ) {
+				continue;
+			}
+
+			if ( false !== $endDate && $candidate > $endDate ) {
+				break;
+			}
+
+			++$runs;
+			if ( $maxRuns > 0 && $runs > $maxRuns ) {
+				break;
+			}
+
+			if ( $candidate->getTimestamp() > $after ) {
+				$occurrences[] = $candidate->getTimestamp();
+			}
+		}
+
+		return $occurrences;
+	}
+
+	/**
+	 * Get the first run time after a moment.
+	 *
+	 * @param array $schedule Campaign schedule.
+	 * @param int   $after    Unix timestamp.
+	 * @return int|null Unix timestamp, or null when the recurrence has ended.
+	 */
+	public function getNextOccurrence( array $schedule, int $after ): ?int {
+		return $this->getOccurrences( $schedule, $after, 1 )[0] ?? null;
+	}
+
+	/**
+	 * Get when a run must start.
+	 *
+	 * Local-time runs start once the earliest timezone reaches the send time,
+	 * so every recipient can still be reached at their own local time.
+	 *
+	 * @param array $schedule   Campaign schedule.
+	 * @param int   $occurrence Run time from getOccurrences().
+	 * @return int Unix timestamp.
+	 */
+	public function getStartTime( array $schedule, int $occurrence ): int {
+		if ( 'local' !== ( $schedule['timing'] ?? '' ) ) {
+			return $occurrence;
+		}
+
+		$local    = ( new \DateTimeImmutable( '@' . $occurrence ) )->setTimezone( $this->getTimezone( $schedule ) );
+		$earliest = \DateTimeImmutable::createFromFormat( '!Y-m-d H:i', $local->format( 'Y-m-d H:i' ), new \DateTimeZone( self::EARLIEST_TIMEZONE ) );
+
+		return false !== $earliest ? min( $occurrence, $earliest->getTimestamp() ) : $occurrence;
+	}
+
+	/**
+	 * Get the monthly run in the nth month after the first run.
+	 *
+	 * Days past the end of a short month fall on its last day.
+	 *
+	 * @param \DateTimeImmutable $first      First run.
+	 * @param int                $offset     Months after the first run.
+	 * @param int                $dayOfMonth Day of the month to run on.
+	 * @return \DateTimeImmutable Run time.
+	 */
+	protected function getMonthlyCandidate( \DateTimeImmutable $first, int $offset, int $dayOfMonth ): \DateTimeImmutable {
+		$month = $first->modify( 'first day of this month' )->modify( "+{$offset} months" );
+		$day   = min( max( 1, $dayOfMonth ), (int) $month->format( 't' ) );
+
+		return $month->setDate( (int) $month->format( 'Y' ), (int) $month->format( 'n' ), $day );
+	}
+}
@@ -0,0 +1,448 @@
+<?php
+/**
+ * Broadcast Report Exporter Service
+ *
+ * Exports per-recipient campaign reports as CSV or XLSX.
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+declare(strict_types=1);
+
+namespace WhatsAppCommerceHub\Application\Services\Broadcasts;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class BroadcastReportExporter
+ *
+ * Recipients are read in chunks by ID, so memory use stays flat however large
+ * the campaign is. CSV is written straight to the output stream; XLSX sheets
+ * are written to temporary files and zipped once complete.
+ */
+class BroadcastReportExporter {
+
+	/**
+	 * Supported export formats.
+	 */
+	public const FORMATS = [ 'csv', 'xlsx' ];
+
+	/**
+	 * Sheets a CSV export can contain; XLSX exports hold both.
+	 */
+	public const SHEETS = [ 'recipients', 'summary' ];
+
+	/**
+	 * Recipients read per query.
+	 */
+	protected const CHUNK_SIZE = 500;
+
+	/**
+	 * WordPress database instance.
+	 *
+	 * @var \wpdb
+	 */
+	protected \wpdb $wpdb;
+
+	/**
+	 * Broadcast tracker.
+	 *
+	 * @var BroadcastTracker
+	 */
+	protected BroadcastTracker $tracker;
+
+	/**
+	 * Recipient data provider.
+	 *
+	 * @var RecipientDataProvider
+	 */
+	protected RecipientDataProvider $recipientData;
+
+	/**
+	 * Recipients table name.
+	 *
+	 * @var string
+	 */
+	protected string $tableName;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param \wpdb|null                 $wpdb          WordPress database instance.
+	 * @param BroadcastTracker|null      $tracker       Broadcast tracker.
+	 * @param RecipientDataProvider|null $recipientData Recipient data provider.
+	 */
+	public function __construct( ?\wpdb $wpdb = null, ?BroadcastTracker $tracker = null, ?RecipientDataProvider $recipientData = null ) {
+		if ( null === $wpdb ) {
+			global $wpdb;
+		}
+		$this->wpdb          = $wpdb;
+		$this->tracker       = $tracker ?? new BroadcastTracker( $this->wpdb );
+		$this->recipientData = $recipientData ?? new RecipientDataProvider( $this->wpdb );
+		$this->tableName     = $this->wpdb->prefix . 'wch_broadcast_recipients';
+	}
+
+	/**
+	 * Get the download file name for an export.
+	 *
+	 * @param array  $campaign Campaign data.
+	 * @param string $format   Export format.
+	 * @param string $sheet    Exported sheet; ignored for XLSX.
+	 * @return string File name.
+	 */
+	public function getFilename( array $campaign, string $format, string $sheet = 'recipients' ): string {
+		$parts = [ 'broadcast', (int) ( $campaign['id'] ?? 0 ), sanitize_title( (string) ( $campaign['name'] ?? '' ) ) ];
+
+		if ( 'csv' === $format && 'summary' === $sheet ) {
+			$parts[] = 'summary';
+		}
+
+		return sanitize_file_name( implode( '-', array_filter( $parts ) ) . '.' . $format );
+	}
+
+	/**
+	 * Write one sheet of a campaign report as CSV.
+	 *
+	 * @param array    $campaign Campaign data.
+	 * @param string   $sheet    Sheet to write, see SHEETS.
+	 * @param resource $handle   Writable stream, such as php://output.
+	 * @return void
+	 */
+	public function writeCsv( array $campaign, string $sheet, $handle ): void {
+		$rows    = 'summary' === $sheet ? $this->getSummaryRows( $campaign ) : $this->getRecipientRows( $campaign );
+		$written = 0;
+
+		foreach ( $rows as $row ) {
+			fputcsv( $handle, array_map( [ $this, 'escapeCsvCell' ], $row ) );
+
+			// Send each chunk on as it is written.
+			if ( 0 === ++$written % self::CHUNK_SIZE ) {
+				fflush( $handle );
+				flush();
+			}
+		}
+	}
+
+	/**
+	 * Write a campaign report workbook with recipient and summary sheets.
+	 *
+	 * @param array  $campaign Campaign data.
+	 * @param string $path     File to write.
+	 * @return void
+	 * @throws \RuntimeException When the workbook cannot be written.
+	 */
+	public function writeXlsx( array $campaign, string $path ): void {
+		if ( ! class_exists( \ZipArchive::class ) ) {
+			throw new \RuntimeException( __( 'XLSX export needs the PHP zip extension.', 'whatsapp-commerce-hub' ) );
+		}
+
+		$sheets = [
+			__( 'Recipients', 'whatsapp-commerce-hub' ) => $this->getRecipientRows( $campaign ),
+			__( 'Summary', 'whatsapp-commerce-hub' )    => $this->getSummaryRows( $campaign ),
+		];
+
+		$sheetFiles = [];
+		$zip        = new \ZipArchive();
+
+		try {
+			if ( true !== $zip->open( $path, \ZipArchive::CREATE | \ZipArchive::OVERWRITE ) ) {
+				throw new \RuntimeException( __( 'Unable to create the export file.', 'whatsapp-commerce-hub' ) );
+			}
+
+			foreach ( $sheets as $rows ) {
+				$sheetFiles[] = $this->writeSheetXml( $rows );
+			}
+
+			$zip->addFromString( '[Content_Types].xml', $this->getContentTypesXml( count( $sheets ) ) );
+			$zip->addFromString( '_rels/.rels', $this->getRootRelsXml() );
+			$zip->addFromString( 'xl/workbook.xml', $this->getWorkbookXml( array_keys( $sheets ) ) );
+			$zip->addFromString( 'xl/_rels/workbook.xml.rels', $this->getWorkbookRelsXml( count( $sheets ) ) );
+
+			foreach ( $sheetFiles as $index => $sheetFile ) {
+				$zip->addFile( $sheetFile, 'xl/worksheets/sheet' . ( $index + 1 ) . '.xml' );
+			}
+
+			// Sheet files are read when the archive is closed.
+			if ( ! $zip->close() ) {
+				throw new \RuntimeException( __( 'Unable to create the export file.', 'whatsapp-commerce-hub' ) );
+			}
+		} finally {
+			foreach ( $sheetFiles as $sheetFile ) {
+				wp_delete_file( $sheetFile );
+			}
+		}
+	}
+
+	/**
+	 * Get the summary sheet: campaign details, delivery counts and attributed orders.
+	 *
+	 * @param array $campaign Campaign data.
+	 * @return array<int, array<int, string|int|float>> Rows, starting with the header.
+	 */
+	public function getSummaryRows( array $campaign ): array {
+		$campaignId = (int) ( $campaign['id'] ?? 0 );
+		$progress   = $this->tracker->getProgress( $campaignId );
+		$metrics    = $this->tracker->getVariantMetrics( $campaignId );
+		$orders     = array_sum( array_column( $metrics, 'orders' ) );
+		$revenue    = round( array_sum( array_column( $metrics, 'revenue' ) ), 2 );
+		$sent       = $progress['sent'];
+
+		return [
+			[ __( 'Metric', 'whatsapp-commerce-hub' ), __( 'Value', 'whatsapp-commerce-hub' ) ],
+			[ __( 'Campaign', 'whatsapp-commerce-hub' ), (string) ( $campaign['name'] ?? '' ) ],
+			[ __( 'Template', 'whatsapp-commerce-hub' ), (string) ( $campaign['template_name'] ?? '' ) ],
+			[ __( 'Status', 'whatsapp-commerce-hub' ), (string) ( $campaign['status'] ?? '' ) ],
+			[ __( 'Sent at', 'whatsapp-commerce-hub' ), (string) ( $campaign['sent_at'] ?? '' ) ],
+			[ __( 'Audience', 'whatsapp-commerce-hub' ), (int) ( $campaign['audience_size'] ?? 0 ) ],
+			[ __( 'Sent', 'whatsapp-commerce-hub' ), $sent ],
+			[ __( 'Delivered', 'whatsapp-commerce-hub' ), $progress['delivered'] ],
+			[ __( 'Read', 'whatsapp-commerce-hub' ), $progress['read'] ],
+			[ __( 'Failed', 'whatsapp-commerce-hub' ), $progress['failed'] ],
+			[ __( 'Replied', 'whatsapp-commerce-hub' ), $progress['replied'] ],
+			[ __( 'Clicked', 'whatsapp-commerce-hub' ), $progress['clicked'] ],
+			[ __( 'Attributed orders', 'whatsapp-commerce-hub' ), $orders ],
+			[ __( 'Attributed revenue', 'whatsapp-commerce-hub' ), $revenue ],
+			[ __( 'Currency', 'whatsapp-commerce-hub' ), function_exists( 'get_woocommerce_currency' ) ? get_woocommerce_currency() : '' ],
+			[ __( 'Delivery rate (%)', 'whatsapp-commerce-hub' ), $sent > 0 ? round( $progress['delivered'] / $sent * 100, 1 ) : 0 ],
+			[ __( 'Read rate (%)', 'whatsapp-commerce-hub' ), $sent > 0 ? round( $progress['read'] / $sent * 100, 1 ) : 0 ],
+			[ __( 'Click-through rate (%)', 'whatsapp-commerce-hub' ), $sent > 0 ? round( $progress['clicked'] / $sent * 100, 1 ) : 0 ],
+			[ __( 'Conversion rate (%)', 'whatsapp-commerce-hub' ), $sent > 0 ? round( $orders / $sent * 100, 1 ) : 0 ],
+			[ __( 'Exported at', 'whatsapp-commerce-hub' ), current_time( 'mysql' ) ],
+		];
+	}
+
+	/**
+	 * Get the recipient sheet, one row per recipient.
+	 *
+	 * Times are site-local, as stored.
+	 *
+	 * @param array $campaign Campaign data.
+	 * @return \Generator<int, array<int, string|int|float>> Rows, starting with the header.
+	 */
+	public function getRecipientRows( array $campaign ): \Generator {
+		yield [
+			__( 'Phone', 'whatsapp-commerce-hub' ),
+			__( 'Name', 'whatsapp-commerce-hub' ),
+			__( 'Variant', 'whatsapp-commerce-hub' ),
+			__( 'Variables', 'whatsapp-commerce-hub' ),
+			__( 'Message ID', 'whatsapp-commerce-hub' ),
+			__( 'Status', 'whatsapp-commerce-hub' ),
+			__( 'Sent at', 'whatsapp-commerce-hub' ),
+			__( 'Delivered at', 'whatsapp-commerce-hub' ),
+			__( 'Read at', 'whatsapp-commerce-hub' ),
+			__( 'Replied at', 'whatsapp-commerce-hub' ),
+			__( 'Error code', 'whatsapp-commerce-hub' ),
+			__( 'Failure reason', 'whatsapp-commerce-hub' ),
+			__( 'Order ID', 'whatsapp-commerce-hub' ),
+			__( 'Order total', 'whatsapp-commerce-hub' ),
+			__( 'First clicked at', 'whatsapp-commerce-hub' ),
+			__( 'Clicks', 'whatsapp-commerce-hub' ),
+		];
+
+		$campaignId    = (int) ( $campaign['id'] ?? 0 );
+		$contactListId = 'csv' === ( $campaign['audience']['source'] ?? '' ) ? (string) ( $campaign['audience']['contact_list']['id'] ?? '' ) : '';
+		$lastId        = 0;
+
+		do {
+			$rows = $this->wpdb->get_results(
+				$this->wpdb->prepare(
+					// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Table name is safe.
+					"SELECT id, phone, variant, variables, wa_message_id, status, sent_at, delivered_at, read_at, replied_at, error_code, error_message, order_id, order_total, clicked_at, click_count
+					FROM {$this->tableName}
+					WHERE campaign_id = %d AND id > %d
+					ORDER BY id ASC
+					LIMIT %d",
+					$campaignId,
+					$lastId,
+					self::CHUNK_SIZE
+				),
+				ARRAY_A
+			);
+			$rows = is_array( $rows ) ? $rows : [];
+
+			$recipients = empty( $rows ) ? [] : $this->recipientData->getRecipients( array_column( $rows, 'phone' ), $contactListId );
+
+			foreach ( $rows as $row ) {
+				$lastId    = (int) $row['id'];
+				$variables = json_decode( (string) $row['variables'], true );
+
+				yield [
+					(string) $row['phone'],
+					(string) ( $recipients[ $row['phone'] ]['name'] ?? '' ),
+					(string) $row['variant'],
+					is_array( $variables ) ? $this->formatVariables( $variables ) : '',
+					(string) $row['wa_message_id'],
+					(string) $row['status'],
+					null !== $row['wa_message_id'] ? (string) $row['sent_at'] : '',
+					(string) $row['delivered_at'],
+					(string) $row['read_at'],
+					(string) $row['replied_at'],
+					(string) $row['error_code'],
+					(string) $row['error_message'],
+					null !== $row['order_id'] ? (int) $row['order_id'] : '',
+					null !== $row['order_total'] ? (float) $row['order_total'] : '',
+					(string) $row['clicked_at'],
+					(int) $row['click_count'],
+				];
+			}
+		} while ( count( $rows ) === self::CHUNK_SIZE );
+	}
+
+	/**
+	 * Format rendered template variables for a single cell.
+	 *
+	 * @param array<string, string> $variables Values keyed by parameter key, e.g. body_1.
+	 * @return string Values as `key: value` pairs separated by semicolons.
+	 */
+	protected function formatVariables( array $variables ): string {
+		$pairs = [];
+
+		foreach ( $variables as $key => $value ) {
+			$pairs[] = $key . ': ' . ( is_scalar( $value ) ? (string) $value : '' );
+		}
+
+		return implode( '; ', $pairs );
+	}
+
+	/**
+	 * Stop spreadsheet apps treating text as a formula.
+	 *
+	 * Signed numbers such as phone numbers are left as they are.
+	 *
+	 * @param string|int|float $value Cell value.
+	 * @return string|int|float Cell value, prefixed with a quote if it could run as a formula.
+	 */
+	protected function escapeCsvCell( string|int|float $value ): string|int|float {
+		if ( is_string( $value ) && preg_match( '/^[=@\t\r]|^[+-](?![\d\s.]+$)/', $value ) ) {
+			return "'" . $value;
+		}
+
+		return $value;
+	}
+
+	/**
+	 * Write rows to a temporary worksheet XML file.
+	 *
+	 * @param iterable $rows Rows of cell values.
+	 * @return string Temporary file path.
+	 * @throws \RuntimeException When the file cannot be written.
+	 */
+	protected function writeSheetXml( iterable $rows ): string {
+		$path = wp_tempnam( 'wch-broadcast-sheet' );
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen -- Streams rows to a temporary file.
+		$handle = fopen( $path, 'wb' );
+
+		if ( false === $handle ) {
+			throw new \RuntimeException( __( 'Unable to create the export file.', 'whatsapp-commerce-hub' ) );
+		}
+
+		// phpcs:disable WordPress.WP.AlternativeFunctions.file_system_operations_fwrite,WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+		fwrite( $handle, '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' . "\n" . '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>' );
+
+		foreach ( $rows as $row ) {
+			$cells = '';
+
+			foreach ( $row as $value ) {
+				$cells .= is_int( $value ) || is_float( $value )
+					? '<c><v>' . $value . '</v></c>'
+					: '<c t="inlineStr"><is><t xml:space="preserve">' . $this->escapeXml( (string) $value ) . '</t></is></c>';
+			}
+
+			fwrite( $handle, '<row>' . $cells . '</row>' );
+		}
+
+		fwrite( $handle, '</sheetData></worksheet>' );
+		fclose( $handle );
+		// phpcs:enable WordPress.WP.AlternativeFunctions.file_system_operations_fwrite,WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+
+		return $path;
+	}
+
+	/**
+	 * Escape text for XML, dropping characters XML cannot hold.
+	 *
+	 * @param string $value Text.
+	 * @return string Escaped text.
+	 */
+	protected function escapeXml( string $value ): string {
+		$value = (string) preg_replace( '/[^\x{9}\x{A}\x{D}\x{20}-\x{D7FF}\x{E000}-\x{FFFD}\x{10000}-\x{10FFFF}]/u', '', $value );
+
+		return htmlspecialchars( $value, ENT_XML1 | ENT_QUOTES, 'UTF-8' );
+	}
+
+	/**
+	 * Get the workbook content types part.
+	 *
+	 * @param int $sheetCount Number of sheets.
+	 * @return string XML.
+	 */
+	protected function getContentTypesXml( int $sheetCount ): string {
+		$overrides = '';
+		for ( $i = 1; $i <= $sheetCount; $i++ ) {
+			$overrides .= '<Override PartName="/xl/worksheets/sheet' . $i . '.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>';
+		}
+
+		return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' . "\n"
+			. '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+			. '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+			. '<Default Extension="xml" ContentType="application/xml"/>'
+			. '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+			. $overrides
+			. '</Types>';
+	}
+
+	/**
+	 * Get the package relationships part.
+	 *
+	 * @return string XML.
+	 */
+	protected function getRootRelsXml(): string {
+		return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' . "\n"
+			. '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+			. '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+			. '</Relationships>';
+	}
+
+	/**
+	 * Get the workbook part.
+	 *
+	 * @param array<int, string> $names Sheet names in order.
+	 * @return string XML.
+	 */
+	protected function getWorkbookXml( array $names ): string {
+		$sheets = '';
+		foreach ( array_values( $names ) as $index => $name ) {
+			$sheets .= sprintf( '<sheet name="%s" sheetId="%d" r:id="rId%d"/>', $this->escapeXml( $name ), $index + 1, $index + 1 );
+		}
+
+		return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' . "\n"
+			. '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+			. '<sheets>' . $sheets . '</sheets>'
+			. '</workbook>';
+	}
+
+	/**
+	 * Get the workbook relationships part.
+	 *
+	 * @param int $sheetCount Number of sheets.
+	 * @return string XML.
+	 */
+	protected function getWorkbookRelsXml( int $sheetCount ): string {
+		$relationships = '';
+		for ( $i = 1; $i <= $sheetCount; $i++ ) {
+			$relationships .= sprintf(
+				'<Relationship Id="rId%1$d" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet%1$d.xml"/>',
+				$i
+			);
+		}
+
+		return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' . "\n"
+			. '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+			. $relationships
+			. '</Relationships>';
+	}
+}
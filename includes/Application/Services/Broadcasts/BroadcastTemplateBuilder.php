@@ -24,58 +24,273 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 class BroadcastTemplateBuilder {
 
+	/**
+	 * Header formats that take a media parameter.
+	 */
+	protected const MEDIA_FORMATS = [ 'IMAGE', 'VIDEO', 'DOCUMENT' ];
+
+	/**
+	 * Component send order used by the Cloud API.
+	 */
+	protected const COMPONENT_ORDER = [ 'header', 'body', 'button' ];
+
+	/**
+	 * Recipient data provider.
+	 *
+	 * @var RecipientDataProvider
+	 */
+	private RecipientDataProvider $recipientData;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param RecipientDataProvider|null $recipientData Recipient data provider.
+	 */
+	public function __construct( ?RecipientDataProvider $recipientData = null ) {
+		$this->recipientData = $recipientData ?? new RecipientDataProvider();
+	}
+
 	/**
 	 * Build template components for WhatsApp sendTemplate API.
 	 *
+	 * Produces one entry per component that takes parameters, in the Cloud API
+	 * structure: header and body parameters, then one `button` component per
+	 * dynamic button with its `sub_type` and `index`.
+	 *
 	 * @param array $templateData     Template metadata from WhatsApp.
-	 * @param array $personalization  Variable mapping data.
-	 * @param array $recipient        Recipient details (e.g., name).
+	 * @param array $personalization  Parameter mapping keyed by parameter key (see getParameters()).
+	 * @param array $recipient        Recipient details from RecipientDataProvider::getRecipients().
 	 * @return array<int, array<string, mixed>>
 	 */
 	public function buildComponents( array $templateData, array $personalization, array $recipient = [] ): array {
 		$components = [];
-		$templateComponents = $templateData['components'] ?? [];
 
-		if ( ! is_array( $templateComponents ) ) {
-			return $components;
+		foreach ( $this->getParameters( $templateData ) as $parameter ) {
+			$group = 'button' === $parameter['component'] ? 'button_' . $parameter['index'] : $parameter['component'];
+
+			if ( ! isset( $components[ $group ] ) ) {
+				$components[ $group ] = 'button' === $parameter['component']
+					? [
+						'type'       => 'button',
+						'sub_type'   => $parameter['sub_type'],
+						'index'      => (string) $parameter['index'],
+						'parameters' => [],
+					]
+					: [
+						'type'       => $parameter['component'],
+						'parameters' => [],
+					];
+			}
+
+			$components[ $group ]['parameters'][] = $this->buildParameter(
+				$parameter,
+				$this->findMapping( $personalization, $parameter ),
+				$recipient
+			);
+		}
+
+		return array_values( $components );
+	}
+
+	/**
+	 * Resolve every text parameter of a template for one recipient.
+	 *
+	 * @param array $templateData    Template metadata from WhatsApp.
+	 * @param array $personalization Parameter mapping keyed by parameter key.
+	 * @param array $recipient       Recipient details from RecipientDataProvider::getRecipients().
+	 * @return array<string, string> Values keyed by parameter key; media parameters hold the file URL.
+	 */
+	public function resolveValues( array $templateData, array $personalization, array $recipient ): array {
+		$values = [];
+
+		foreach ( $this->getParameters( $templateData ) as $parameter ) {
+			$mapping = $this->findMapping( $personalization, $parameter );
+
+			$values[ $parameter['key'] ] = 'media' === $parameter['input']
+				? ( is_array( $mapping ) ? (string) ( $mapping['value'] ?? '' ) : '' )
+				: $this->resolveVariableValue( $mapping, $recipient );
+		}
+
+		return $values;
+	}
+
+	/**
+	 * List every parameter a template takes, in send order.
+	 *
+	 * Header parameters come first, then body, then buttons by position.
+	 * Positional parameters are sorted numerically; named parameters keep the
+	 * order in which they first appear.
+	 *
+	 * @param array $templateData Template metadata from WhatsApp.
+	 * @return array<int, array<string, mixed>> Parameters with `key` (personalization key),
+	 *               `component` (header, body or button), `name`, `input` (text, media or
+	 *               url_suffix) and, depending on the component, `format`, `index`,
+	 *               `sub_type` and `url`.
+	 */
+	public function getParameters( array $templateData ): array {
+		$byComponent = array_fill_keys( self::COMPONENT_ORDER, [] );
+		$components  = $templateData['components'] ?? [];
+
+		if ( ! is_array( $components ) ) {
+			return [];
 		}
 
-		foreach ( $templateComponents as $component ) {
+		foreach ( $components as $component ) {
 			if ( ! is_array( $component ) ) {
 				continue;
 			}
 
-			$type = strtolower( (string) ( $component['type'] ?? '' ) );
-			if ( '' === $type ) {
-				continue;
-			}
+			$type = strtoupper( (string) ( $component['type'] ?? '' ) );
+			$text = is_string( $component['text'] ?? null ) ? $component['text'] : '';
 
-			$text = $component['text'] ?? '';
-			if ( ! is_string( $text ) ) {
-				continue;
-			}
+			if ( 'HEADER' === $type ) {
+				$format = strtoupper( (string) ( $component['format'] ?? 'TEXT' ) );
 
-			preg_match_all( '/\{\{(\d+)\}\}/', $text, $matches );
-			if ( empty( $matches[1] ) ) {
-				continue;
+				if ( in_array( $format, self::MEDIA_FORMATS, true ) ) {
+					$byComponent['header'][] = [
+						'key'       => 'header_media',
+						'component' => 'header',
+						'name'      => 'media',
+						'input'     => 'media',
+						'format'    => strtolower( $format ),
+					];
+				} elseif ( 'TEXT' === $format ) {
+					$byComponent['header'] = $this->buildTextParameters( 'header', $text );
+				}
+			} elseif ( 'BODY' === $type ) {
+				$byComponent['body'] = $this->buildTextParameters( 'body', $text );
+			} elseif ( 'BUTTONS' === $type && is_array( $component['buttons'] ?? null ) ) {
+				foreach ( array_values( $component['buttons'] ) as $index => $button ) {
+					$buttonType = strtoupper( (string) ( $button['type'] ?? '' ) );
+					$url        = (string) ( $button['url'] ?? '' );
+
+					if ( 'URL' === $buttonType && [] !== $this->extractNames( $url ) ) {
+						$byComponent['button'][] = [
+							'key'       => 'button_' . $index,
+							'component' => 'button',
+							'name'      => (string) $index,
+							'input'     => 'url_suffix',
+							'index'     => $index,
+							'sub_type'  => 'url',
+							'url'       => $url,
+						];
+					} elseif ( 'COPY_CODE' === $buttonType ) {
+						$byComponent['button'][] = [
+							'key'       => 'button_' . $index,
+							'component' => 'button',
+							'name'      => (string) $index,
+							'input'     => 'text',
+							'index'     => $index,
+							'sub_type'  => 'copy_code',
+						];
+					}
+				}
 			}
+		}
 
-			$parameters = [];
-			foreach ( $matches[1] as $varNum ) {
-				$mapping = $personalization[ (string) $varNum ] ?? null;
-				$parameters[] = [
-					'type' => 'text',
-					'text' => $this->resolveVariableValue( $mapping, $recipient ),
-				];
+		return array_merge( ...array_values( $byComponent ) );
+	}
+
+	/**
+	 * Build text parameter definitions for a header or body.
+	 *
+	 * @param string $component Component name.
+	 * @param string $text      Component text.
+	 * @return array<int, array<string, mixed>>
+	 */
+	protected function buildTextParameters( string $component, string $text ): array {
+		return array_map(
+			static fn( string $name ) => [
+				'key'       => $component . '_' . $name,
+				'component' => $component,
+				'name'      => $name,
+				'input'     => 'text',
+			],
+			$this->extractNames( $text )
+		);
+	}
+
+	/**
+	 * Extract unique variable names from template text.
+	 *
+	 * @param string $text Template text with {{1}} or {{name}} variables.
+	 * @return array<int, string> Names, numeric ones in numeric order.
+	 */
+	protected function extractNames( string $text ): array {
+		preg_match_all( '/\{\{\s*([A-Za-z0-9_]+)\s*\}\}/', $text, $matches );
+
+		$names = array_values( array_unique( $matches[1] ) );
+
+		if ( $names && count( array_filter( $names, 'ctype_digit' ) ) === count( $names ) ) {
+			sort( $names, SORT_NUMERIC );
+		}
+
+		return $names;
+	}
+
+	/**
+	 * Find the saved mapping for a parameter.
+	 *
+	 * @param array $personalization Parameter mapping.
+	 * @param array $parameter       Parameter definition.
+	 * @return mixed Mapping or null.
+	 */
+	protected function findMapping( array $personalization, array $parameter ): mixed {
+		if ( isset( $personalization[ $parameter['key'] ] ) ) {
+			return $personalization[ $parameter['key'] ];
+		}
+
+		// Campaigns saved before parameters were keyed by component map text variables by number.
+		if ( 'text' === $parameter['input'] && 'button' !== $parameter['component'] ) {
+			return $personalization[ $parameter['name'] ] ?? null;
+		}
+
+		return null;
+	}
+
+	/**
+	 * Build a single Cloud API parameter.
+	 *
+	 * @param array $parameter Parameter definition.
+	 * @param mixed $mapping   Parameter mapping.
+	 * @param array $recipient Recipient data.
+	 * @return array<string, mixed>
+	 */
+	protected function buildParameter( array $parameter, mixed $mapping, array $recipient ): array {
+		if ( 'media' === $parameter['input'] ) {
+			$format = $parameter['format'];
+			$media  = [ 'link' => is_array( $mapping ) ? (string) ( $mapping['value'] ?? '' ) : '' ];
+
+			if ( 'document' === $format ) {
+				$media['filename'] = wp_basename( (string) wp_parse_url( $media['link'], PHP_URL_PATH ) );
 			}
 
-			$components[] = [
-				'type'       => $type,
-				'parameters' => $parameters,
+			return [
+				'type'  => $format,
+				$format => $media,
+			];
+		}
+
+		$value = $this->resolveVariableValue( $mapping, $recipient );
+
+		if ( 'copy_code' === ( $parameter['sub_type'] ?? '' ) ) {
+			return [
+				'type'        => 'coupon_code',
+				'coupon_code' => $value,
 			];
 		}
 
-		return $components;
+		$result = [
+			'type' => 'text',
+			'text' => $value,
+		];
+
+		// Templates with named parameters must say which parameter each value fills.
+		if ( 'url_suffix' !== $parameter['input'] && ! ctype_digit( $parameter['name'] ) ) {
+			$result['parameter_name'] = $parameter['name'];
+		}
+
+		return $result;
 	}
 
 	/**
@@ -101,27 +316,38 @@ class BroadcastTemplateBuilder {
 	/**
 	 * Resolve variable value for personalization.
 	 *
+	 * WhatsApp rejects empty parameters, so missing data falls back to the
+	 * mapping's fallback value, then to the recipient's name.
+	 *
 	 * @param mixed $mapping   Variable mapping info.
 	 * @param array $recipient Recipient data.
 	 * @return string
 	 */
 	private function resolveVariableValue( mixed $mapping, array $recipient ): string {
-		$type  = '';
-		$value = '';
+		$type     = '';
+		$value    = '';
+		$fallback = '';
 
 		if ( is_array( $mapping ) ) {
-			$type  = (string) ( $mapping['type'] ?? '' );
-			$value = (string) ( $mapping['value'] ?? '' );
+			$type     = (string) ( $mapping['type'] ?? '' );
+			$value    = (string) ( $mapping['value'] ?? '' );
+			$fallback = trim( (string) ( $mapping['fallback'] ?? '' ) );
 		} elseif ( is_scalar( $mapping ) ) {
 			$value = (string) $mapping;
 		}
 
-		$fallbackName = (string) ( $recipient['name'] ?? 'there' );
+		$resolved = $this->recipientData->resolve( $type, $value, $recipient );
+
+		if ( '' !== $resolved ) {
+			return $resolved;
+		}
+
+		if ( '' !== $fallback ) {
+			return $fallback;
+		}
+
+		$name = trim( (string) ( $recipient['name'] ?? '' ) );
 
-		return match ( $type ) {
-			'customer_name' => $fallbackName,
-			'product_name', 'coupon_code', 'static' => $value,
-			default => '' !== $value ? $value : $fallbackName,
-		};
+		return '' !== $name ? $name : 'there';
 	}
 }
@@ -0,0 +1,154 @@
+<?php
+/**
+ * Broadcast Test Tracker Service
+ *
+ * Tracks the delivery of test broadcast sends.
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+declare(strict_types=1);
+
+namespace WhatsAppCommerceHub\Application\Services\Broadcasts;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class BroadcastTestTracker
+ *
+ * Test sends are kept out of the recipients table so they never count
+ * towards campaign metrics or order attribution. Each send is stored in a
+ * transient, and each accepted message in its own transient, so status
+ * webhooks for different numbers never overwrite each other.
+ */
+class BroadcastTestTracker {
+
+	/**
+	 * Transient prefix for test sends.
+	 */
+	protected const SEND_PREFIX = 'wch_broadcast_test_';
+
+	/**
+	 * Transient prefix for test messages, keyed by WhatsApp message ID hash.
+	 */
+	protected const MESSAGE_PREFIX = 'wch_broadcast_test_msg_';
+
+	/**
+	 * How long test sends are tracked.
+	 */
+	protected const TTL = DAY_IN_SECONDS;
+
+	/**
+	 * Statuses in the order a message moves through them.
+	 */
+	protected const STATUS_ORDER = [ 'accepted', 'delivered', 'read' ];
+
+	/**
+	 * Start tracking a test send.
+	 *
+	 * @param array $results Per-number results, each with phone, message_id,
+	 *                       status (accepted or failed), error_code and error_message.
+	 * @return string Test send ID.
+	 */
+	public function start( array $results ): string {
+		$testId = strtolower( wp_generate_password( 16, false ) );
+
+		foreach ( $results as $result ) {
+			if ( '' !== (string) ( $result['message_id'] ?? '' ) ) {
+				set_transient( $this->getMessageKey( (string) $result['message_id'] ), $result, self::TTL );
+			}
+		}
+
+		set_transient( self::SEND_PREFIX . $testId, array_values( $results ), self::TTL );
+
+		return $testId;
+	}
+
+	/**
+	 * Get the current per-number results of a test send.
+	 *
+	 * @param string $testId Test send ID.
+	 * @return array<int, array>|null Results in send order, or null if unknown or expired.
+	 */
+	public function get( string $testId ): ?array {
+		$results = get_transient( self::SEND_PREFIX . $testId );
+
+		if ( ! is_array( $results ) ) {
+			return null;
+		}
+
+		foreach ( $results as $index => $result ) {
+			$messageId = (string) ( $result['message_id'] ?? '' );
+			$current   = '' !== $messageId ? get_transient( $this->getMessageKey( $messageId ) ) : false;
+
+			if ( is_array( $current ) ) {
+				$results[ $index ] = $current;
+			}
+		}
+
+		return $results;
+	}
+
+	/**
+	 * Record a status webhook for a test message.
+	 *
+	 * Statuses only move forward (accepted -> delivered -> read); a failure
+	 * is recorded unless the message was already read.
+	 *
+	 * @param string $waMessageId WhatsApp message ID.
+	 * @param string $status      New status.
+	 * @param array  $errors      Error details from the webhook.
+	 * @return bool True if a test message was updated.
+	 */
+	public function recordStatus( string $waMessageId, string $status, array $errors = [] ): bool {
+		$key    = $this->getMessageKey( $waMessageId );
+		$result = get_transient( $key );
+
+		if ( ! is_array( $result ) ) {
+			return false;
+		}
+
+		$current = array_search( $result['status'] ?? '', self::STATUS_ORDER, true );
+
+		if ( false === $current ) {
+			return false;
+		}
+
+		if ( 'failed' === $status ) {
+			if ( 'read' === $result['status'] ) {
+				return false;
+			}
+
+			$error                   = is_array( $errors[0] ?? null ) ? $errors[0] : [];
+			$result['status']        = 'failed';
+			$result['error_code']    = (string) ( $error['code'] ?? '' );
+			$result['error_message'] = (string) ( $error['title'] ?? $error['message'] ?? '' );
+		} else {
+			$next = array_search( $status, self::STATUS_ORDER, true );
+
+			if ( false === $next || $next <= $current ) {
+				return false;
+			}
+
+			$result['status'] = $status;
+		}
+
+		set_transient( $key, $result, self::TTL );
+
+		return true;
+	}
+
+	/**
+	 * Get the transient key for a test message.
+	 *
+	 * @param string $waMessageId WhatsApp message ID.
+	 * @return string Transient key.
+	 */
+	protected function getMessageKey( string $waMessageId ): string {
+		return self::MESSAGE_PREFIX . md5( $waMessageId );
+	}
+}
@@ -0,0 +1,486 @@
+<?php
+/**
+ * Broadcast Tracker Service
+ *
+ * Tracks delivery, read receipts and order conversions for broadcast recipients.
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+declare(strict_types=1);
+
+namespace WhatsAppCommerceHub\Application\Services\Broadcasts;
+
+use WhatsAppCommerceHub\Contracts\Services\LoggerInterface;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class BroadcastTracker
+ *
+ * Maintains per-recipient outcomes in the broadcast recipients table.
+ */
+class BroadcastTracker {
+
+	/**
+	 * Days after a broadcast during which an order is attributed to it.
+	 */
+	public const ATTRIBUTION_WINDOW_DAYS = 7;
+
+	/**
+	 * WordPress database instance.
+	 *
+	 * @var \wpdb
+	 */
+	private \wpdb $wpdb;
+
+	/**
+	 * Recipients table name.
+	 *
+	 * @var string
+	 */
+	private string $tableName;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param \wpdb|null $wpdb WordPress database instance.
+	 */
+	public function __construct( ?\wpdb $wpdb = null ) {
+		if ( null === $wpdb ) {
+			global $wpdb;
+		}
+		$this->wpdb      = $wpdb;
+		$this->tableName = $this->wpdb->prefix . 'wch_broadcast_recipients';
+	}
+
+	/**
+	 * Record a status webhook for a broadcast message.
+	 *
+	 * Statuses only move forward (sent -> delivered -> read); a failure
+	 * is recorded unless the message was already read.
+	 *
+	 * @param string $waMessageId WhatsApp message ID.
+	 * @param string $status      New status.
+	 * @param array  $errors      Error details from the webhook.
+	 * @return bool True if a recipient row was updated.
+	 */
+	public function recordStatus( string $waMessageId, string $status, array $errors = [] ): bool {
+		$now = current_time( 'mysql' );
+
+		switch ( $status ) {
+			case 'delivered':
+				$result = $this->wpdb->query(
+					$this->wpdb->prepare(
+						// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Table name is safe.
+						"UPDATE {$this->tableName} SET status = 'delivered', delivered_at = %s
+						WHERE wa_message_id = %s AND status = 'sent'",
+						$now,
+						$waMessageId
+					)
+				);
+				break;
+
+			case 'read':
+				$result = $this->wpdb->query(
+					$this->wpdb->prepare(
+						// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Table name is safe.
+						"UPDATE {$this->tableName} SET status = 'read', read_at = %s, delivered_at = COALESCE(delivered_at, %s)
+						WHERE wa_message_id = %s AND status IN ('sent', 'delivered')",
+						$now,
+						$now,
+						$waMessageId
+					)
+				);
+				break;
+
+			case 'failed':
+				$error  = is_array( $errors[0] ?? null ) ? $errors[0] : [];
+				$result = $this->wpdb->query(
+					$this->wpdb->prepare(
+						// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Table name is safe.
+						"UPDATE {$this->tableName} SET status = 'failed', error_code = %s, error_message = %s
+						WHERE wa_message_id = %s AND status IN ('sent', 'delivered')",
+						(string) ( $error['code'] ?? '' ),
+						(string) ( $error['title'] ?? $error['message'] ?? '' ),
+						$waMessageId
+					)
+				);
+				break;
+
+			default:
+				return false;
+		}
+
+		return ! empty( $result );
+	}
+
+	/**
+	 * Record a reply to the most recent broadcast sent to a phone.
+	 *
+	 * @param string $phone Sender phone number.
+	 * @return bool True if a recipient row was updated.
+	 */
+	public function recordReply( string $phone ): bool {
+		$digits = preg_replace( '/\D/', '', $phone );
+
+		if ( empty( $digits ) ) {
+			return false;
+		}
+
+		$attributionWindow = gmdate( 'Y-m-d H:i:s', current_time( 'timestamp' ) - ( self::ATTRIBUTION_WINDOW_DAYS * DAY_IN_SECONDS ) );
+
+		$result = $this->wpdb->query(
+			$this->wpdb->prepare(
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Table name is safe.
+				"UPDATE {$this->tableName} SET replied_at = %s
+				WHERE phone IN (%s, %s)
+				AND status != 'failed'
+				AND replied_at IS NULL
+				AND sent_at > %s
+				ORDER BY sent_at DESC
+				LIMIT 1",
+				current_time( 'mysql' ),
+				$digits,
+				'+' . $digits,
+				$attributionWindow
+			)
+		);
+
+		return ! empty( $result );
+	}
+
+	/**
+	 * Record a click on a tracked broadcast link.
+	 *
+	 * @param string $token Click token from the link.
+	 * @return bool True if a recipient row was updated.
+	 */
+	public function recordClick( string $token ): bool {
+		$now = current_time( 'mysql' );
+
+		$result = $this->wpdb->query(
+			$this->wpdb->prepare(
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Table name is safe.
+				"UPDATE {$this->tableName} SET click_count = click_count + 1, clicked_at = COALESCE(clicked_at, %s)
+				WHERE click_token = %s
+				LIMIT 1",
+				$now,
+				$token
+			)
+		);
+
+		return ! empty( $result );
+	}
+
+	/**
+	 * Attribute a new order to the most recent broadcast sent to its billing phone.
+	 *
+	 * @param int $orderId Order ID.
+	 * @return bool True if the order was attributed.
+	 */
+	public function attributeOrder( int $orderId ): bool {
+		$order = wc_get_order( $orderId );
+
+		if ( ! $order ) {
+			return false;
+		}
+
+		$digits = preg_replace( '/\D/', '', (string) $order->get_billing_phone() );
+
+		if ( empty( $digits ) ) {
+			return false;
+		}
+
+		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Table name is safe.
+		$alreadyAttributed = $this->wpdb->get_var(
+			$this->wpdb->prepare( "SELECT id FROM {$this->tableName} WHERE order_id = %d LIMIT 1", $orderId )
+		);
+
+		if ( $alreadyAttributed ) {
+			return false;
+		}
+
+		$attributionWindow = gmdate( 'Y-m-d H:i:s', current_time( 'timestamp' ) - ( self::ATTRIBUTION_WINDOW_DAYS * DAY_IN_SECONDS ) );
+
+		$recipientId = $this->wpdb->get_var(
+			$this->wpdb->prepare(
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Table name is safe.
+				"SELECT id FROM {$this->tableName}
+				WHERE phone IN (%s, %s)
+				AND status != 'failed'
+				AND order_id IS NULL
+				AND sent_at > %s
+				ORDER BY sent_at DESC
+				LIMIT 1",
+				$digits,
+				'+' . $digits,
+				$attributionWindow
+			)
+		);
+
+		if ( ! $recipientId ) {
+			return false;
+		}
+
+		$result = $this->wpdb->update(
+			$this->tableName,
+			[
+				'order_id'     => $orderId,
+				'order_total'  => (float) $order->get_total(),
+				'converted_at' => current_time( 'mysql' ),
+			],
+			[ 'id' => (int) $recipientId ],
+			[ '%d', '%f', '%s' ],
+			[ '%d' ]
+		);
+
+		if ( false === $result ) {
+			return false;
+		}
+
+		wch( LoggerInterface::class )->info(
+			'Broadcast conversion tracked',
+			'broadcasts',
+			[
+				'order_id'     => $orderId,
+				'recipient_id' => (int) $recipientId,
+			]
+		);
+
+		return true;
+	}
+
+	/**
+	 * Get outcome metrics per A/B variant.
+	 *
+	 * @param int $campaignId Campaign ID.
+	 * @return array<string, array{sent: int, delivered: int, read: int, clicked: int, failed: int, orders: int, revenue: float, read_rate: float, click_rate: float, conversion_rate: float}>
+	 */
+	public function getVariantMetrics( int $campaignId ): array {
+		$rows = $this->wpdb->get_results(
+			$this->wpdb->prepare(
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Table name is safe.
+				"SELECT COALESCE(variant, '') AS variant,
+					COUNT(*) AS total,
+					SUM(status = 'failed') AS failed,
+					SUM(status IN ('delivered', 'read')) AS delivered,
+					SUM(status = 'read') AS is_read,
+					COUNT(clicked_at) AS clicked,
+					COUNT(order_id) AS orders,
+					COALESCE(SUM(order_total), 0) AS revenue
+				FROM {$this->tableName}
+				WHERE campaign_id = %d
+				GROUP BY variant",
+				$campaignId
+			),
+			ARRAY_A
+		);
+
+		$metrics = [];
+
+		foreach ( (array) $rows as $row ) {
+			$sent = (int) $row['total'] - (int) $row['failed'];
+
+			$metrics[ (string) $row['variant'] ] = [
+				'sent'            => $sent,
+				'delivered'       => (int) $row['delivered'],
+				'read'            => (int) $row['is_read'],
+				'clicked'         => (int) $row['clicked'],
+				'failed'          => (int) $row['failed'],
+				'orders'          => (int) $row['orders'],
+				'revenue'         => round( (float) $row['revenue'], 2 ),
+				'read_rate'       => $sent > 0 ? round( ( (int) $row['is_read'] / $sent ) * 100, 1 ) : 0.0,
+				'click_rate'      => $sent > 0 ? round( ( (int) $row['clicked'] / $sent ) * 100, 1 ) : 0.0,
+				'conversion_rate' => $sent > 0 ? round( ( (int) $row['orders'] / $sent ) * 100, 1 ) : 0.0,
+			];
+		}
+
+		return $metrics;
+	}
+
+	/**
+	 * Get delivery counts for a campaign.
+	 *
+	 * Messages the API accepted count as sent even if they failed later.
+	 *
+	 * @param int $campaignId Campaign ID.
+	 * @return array{recorded: int, sent: int, delivered: int, read: int, failed: int, replied: int, clicked: int}
+	 */
+	public function getProgress( int $campaignId ): array {
+		$row = $this->wpdb->get_row(
+			$this->wpdb->prepare(
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Table name is safe.
+				"SELECT COUNT(*) AS recorded,
+					COUNT(wa_message_id) AS sent,
+					SUM(status IN ('delivered', 'read')) AS delivered,
+					SUM(status = 'read') AS is_read,
+					SUM(status = 'failed') AS failed,
+					COUNT(replied_at) AS replied,
+					COUNT(clicked_at) AS clicked
+				FROM {$this->tableName}
+				WHERE campaign_id = %d",
+				$campaignId
+			),
+			ARRAY_A
+		);
+
+		return [
+			'recorded'  => (int) ( $row['recorded'] ?? 0 ),
+			'sent'      => (int) ( $row['sent'] ?? 0 ),
+			'delivered' => (int) ( $row['delivered'] ?? 0 ),
+			'read'      => (int) ( $row['is_read'] ?? 0 ),
+			'failed'    => (int) ( $row['failed'] ?? 0 ),
+			'replied'   => (int) ( $row['replied'] ?? 0 ),
+			'clicked'   => (int) ( $row['clicked'] ?? 0 ),
+		];
+	}
+
+	/**
+	 * Get per-minute event counts for a campaign.
+	 *
+	 * Times are site-local, as stored.
+	 *
+	 * @param int $campaignId Campaign ID.
+	 * @return array<string, array<string, int>> Counts keyed by metric, then by minute as Y-m-d H:i.
+	 */
+	public function getTimeline( int $campaignId ): array {
+		// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Table name is safe.
+		$rows = $this->wpdb->get_results(
+			$this->wpdb->prepare(
+				"SELECT 'recorded' AS metric, LEFT(sent_at, 16) AS minute, COUNT(*) AS total
+					FROM {$this->tableName} WHERE campaign_id = %d GROUP BY minute
+				UNION ALL SELECT 'sent', LEFT(sent_at, 16) AS minute, COUNT(*)
+					FROM {$this->tableName} WHERE campaign_id = %d AND wa_message_id IS NOT NULL GROUP BY minute
+				UNION ALL SELECT 'delivered', LEFT(delivered_at, 16) AS minute, COUNT(*)
+					FROM {$this->tableName} WHERE campaign_id = %d AND delivered_at IS NOT NULL GROUP BY minute
+				UNION ALL SELECT 'read', LEFT(read_at, 16) AS minute, COUNT(*)
+					FROM {$this->tableName} WHERE campaign_id = %d AND read_at IS NOT NULL GROUP BY minute
+				UNION ALL SELECT 'failed', LEFT(sent_at, 16) AS minute, COUNT(*)
+					FROM {$this->tableName} WHERE campaign_id = %d AND status = 'failed' GROUP BY minute
+				UNION ALL SELECT 'replied', LEFT(replied_at, 16) AS minute, COUNT(*)
+					FROM {$this->tableName} WHERE campaign_id = %d AND replied_at IS NOT NULL GROUP BY minute",
+				array_fill( 0, 6, $campaignId )
+			),
+			ARRAY_A
+		);
+		// phpcs:enable WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+
+		$timeline = [];
+		foreach ( (array) $rows as $row ) {
+			$timeline[ (string) $row['metric'] ][ (string) $row['minute'] ] = (int) $row['total'];
+		}
+
+		return $timeline;
+	}
+
+	/**
+	 * Get failed recipients grouped by Cloud API error code.
+	 *
+	 * @param int $campaignId Campaign ID.
+	 * @return array<int, array{code: string, message: string, count: int}> Largest group first.
+	 */
+	public function getFailureGroups( int $campaignId ): array {
+		$rows = $this->wpdb->get_results(
+			$this->wpdb->prepare(
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Table name is safe.
+				"SELECT COALESCE(error_code, '') AS code, MAX(error_message) AS message, COUNT(*) AS total
+				FROM {$this->tableName}
+				WHERE campaign_id = %d AND status = 'failed'
+				GROUP BY code
+				ORDER BY total DESC",
+				$campaignId
+			),
+			ARRAY_A
+		);
+
+		return array_map(
+			static fn( array $row ): array => [
+				'code'    => (string) $row['code'],
+				'message' => (string) $row['message'],
+				'count'   => (int) $row['total'],
+			],
+			(array) $rows
+		);
+	}
+
+	/**
+	 * Get the failed recipients of a campaign with one error code.
+	 *
+	 * @param int    $campaignId Campaign ID.
+	 * @param string $errorCode  Cloud API error code; empty for failures without one.
+	 * @return array<int, array{phone: string, variant: string, accepted: bool}> Recipients, and whether
+	 *               the API had accepted their message before it failed.
+	 */
+	public function getFailedRecipients( int $campaignId, string $errorCode ): array {
+		$rows = $this->wpdb->get_results(
+			$this->wpdb->prepare(
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Table name is safe.
+				"SELECT phone, COALESCE(variant, '') AS variant, wa_message_id
+				FROM {$this->tableName}
+				WHERE campaign_id = %d AND status = 'failed' AND COALESCE(error_code, '') = %s",
+				$campaignId,
+				$errorCode
+			),
+			ARRAY_A
+		);
+
+		return array_map(
+			static fn( array $row ): array => [
+				'phone'    => (string) $row['phone'],
+				'variant'  => (string) $row['variant'],
+				'accepted' => ! empty( $row['wa_message_id'] ),
+			],
+			(array) $rows
+		);
+	}
+
+	/**
+	 * Get attributed orders and revenue for every campaign.
+	 *
+	 * @return array<int, array{orders: int, revenue: float}> Totals keyed by campaign ID; campaigns without orders are left out.
+	 */
+	public function getRevenueByCampaign(): array {
+		$rows = $this->wpdb->get_results(
+			// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Table name is safe.
+			"SELECT campaign_id, COUNT(*) AS orders, COALESCE(SUM(order_total), 0) AS revenue
+			FROM {$this->tableName}
+			WHERE order_id IS NOT NULL
+			GROUP BY campaign_id",
+			ARRAY_A
+		);
+
+		$totals = [];
+
+		foreach ( (array) $rows as $row ) {
+			$totals[ (int) $row['campaign_id'] ] = [
+				'orders'  => (int) $row['orders'],
+				'revenue' => round( (float) $row['revenue'], 2 ),
+			];
+		}
+
+		return $totals;
+	}
+
+	/**
+	 * Get phone numbers that already received a campaign.
+	 *
+	 * @param int $campaignId Campaign ID.
+	 * @return array<string> Phone numbers.
+	 */
+	public function getRecipientPhones( int $campaignId ): array {
+		$phones = $this->wpdb->get_col(
+			$this->wpdb->prepare(
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Table name is safe.
+				"SELECT phone FROM {$this->tableName} WHERE campaign_id = %d",
+				$campaignId
+			)
+		);
+
+		return array_map( 'strval', (array) $phones );
+	}
+}
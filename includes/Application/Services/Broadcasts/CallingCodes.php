@@ -0,0 +1,124 @@
+<?php
+/**
+ * Calling Codes
+ *
+ * Maps phone numbers to country calling codes.
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+declare(strict_types=1);
+
+namespace WhatsAppCommerceHub\Application\Services\Broadcasts;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class CallingCodes
+ *
+ * Built from WooCommerce's country list. Codes are digits only, so shared
+ * codes such as 1 (North America) cover several countries and territory
+ * codes such as 1684 take precedence over their shorter parent.
+ */
+final class CallingCodes {
+
+	/**
+	 * Longest calling code, in digits.
+	 */
+	public const MAX_LENGTH = 4;
+
+	/**
+	 * Countries per calling code.
+	 *
+	 * @var array<string, array<int, string>>|null
+	 */
+	private static ?array $codes = null;
+
+	/**
+	 * Get every calling code with the countries that use it.
+	 *
+	 * @return array<string, array<int, string>> Country codes keyed by calling code.
+	 */
+	public static function all(): array {
+		if ( null === self::$codes ) {
+			self::$codes = [];
+
+			if ( function_exists( 'WC' ) ) {
+				foreach ( array_keys( WC()->countries->get_countries() ) as $country ) {
+					$code = self::forCountry( (string) $country );
+					if ( '' !== $code ) {
+						self::$codes[ $code ][] = (string) $country;
+					}
+				}
+			}
+		}
+
+		return self::$codes;
+	}
+
+	/**
+	 * Get the calling code of a country.
+	 *
+	 * @param string $country ISO country code.
+	 * @return string Calling code digits, or an empty string if unknown.
+	 */
+	public static function forCountry( string $country ): string {
+		if ( '' === $country || ! function_exists( 'WC' ) ) {
+			return '';
+		}
+
+		return (string) preg_replace( '/\D/', '', (string) WC()->countries->get_country_calling_code( $country ) );
+	}
+
+	/**
+	 * Find the calling code a phone number starts with.
+	 *
+	 * @param string $phone Phone number in international format, with or without +.
+	 * @return string Calling code, or an empty string if none matches.
+	 */
+	public static function match( string $phone ): string {
+		$digits = (string) preg_replace( '/\D/', '', $phone );
+		$codes  = self::all();
+
+		for ( $length = min( self::MAX_LENGTH, strlen( $digits ) ); $length > 0; $length-- ) {
+			$prefix = substr( $digits, 0, $length );
+			if ( isset( $codes[ $prefix ] ) ) {
+				return $prefix;
+			}
+		}
+
+		return '';
+	}
+
+	/**
+	 * Describe a calling code by the countries that use it.
+	 *
+	 * @param string $code Calling code.
+	 * @return string Label such as "+44 United Kingdom (UK)".
+	 */
+	public static function label( string $code ): string {
+		$countries = self::all()[ $code ] ?? [];
+
+		if ( '' === $code || empty( $countries ) ) {
+			return __( 'Other countries', 'whatsapp-commerce-hub' );
+		}
+
+		$names = array_map(
+			static fn( string $country ) => html_entity_decode( WC()->countries->get_countries()[ $country ] ?? $country, ENT_QUOTES ),
+			array_slice( $countries, 0, 2 )
+		);
+
+		$label = '+' . $code . ' ' . implode( ', ', $names );
+
+		if ( count( $countries ) > 2 ) {
+			/* translators: 1: country names, 2: number of further countries */
+			$label = sprintf( __( '%1$s and %2$d more', 'whatsapp-commerce-hub' ), $label, count( $countries ) - 2 );
+		}
+
+		return $label;
+	}
+}
@@ -0,0 +1,242 @@
+<?php
+/**
+ * Campaign Approval Service
+ *
+ * Holds large or marketing campaigns for review by a second person.
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+declare(strict_types=1);
+
+namespace WhatsAppCommerceHub\Application\Services\Broadcasts;
+
+use WhatsAppCommerceHub\Contracts\Services\Broadcasts\AudienceCalculatorInterface;
+use WhatsAppCommerceHub\Contracts\Services\Broadcasts\CampaignRepositoryInterface;
+use WhatsAppCommerceHub\Contracts\Services\SettingsInterface;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class CampaignApproval
+ *
+ * When approval is turned on, campaigns that match the approval rules go to
+ * `pending_approval` instead of being dispatched. A user with the approver
+ * capability, other than the one who submitted the campaign, then approves
+ * or rejects it. Rejected campaigns go back to draft. Every step is kept in
+ * the campaign's `approval_history`.
+ */
+class CampaignApproval {
+
+	/**
+	 * Capability needed to approve or reject campaigns.
+	 */
+	public const CAPABILITY = 'wch_approve_broadcasts';
+
+	/**
+	 * Status of campaigns waiting for approval.
+	 */
+	public const STATUS = 'pending_approval';
+
+	/**
+	 * Audience size that needs approval when no threshold is set.
+	 */
+	public const DEFAULT_THRESHOLD = 1000;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param CampaignRepositoryInterface $repository         Campaign repository.
+	 * @param SettingsInterface           $settings           Settings service.
+	 * @param AudienceCalculatorInterface $audienceCalculator Audience calculator.
+	 */
+	public function __construct(
+		protected CampaignRepositoryInterface $repository,
+		protected SettingsInterface $settings,
+		protected AudienceCalculatorInterface $audienceCalculator
+	) {
+	}
+
+	/**
+	 * Check whether the approval workflow is turned on.
+	 *
+	 * @return bool True if campaigns can need approval.
+	 */
+	public function isEnabled(): bool {
+		return (bool) $this->settings->get( 'broadcasts.approval_enabled', false );
+	}
+
+	/**
+	 * Check whether a campaign needs approval before it is dispatched.
+	 *
+	 * @param array $campaign Campaign data.
+	 * @return bool True for marketing campaigns, when those need approval, and
+	 *              for audiences at or above the threshold.
+	 */
+	public function requiresApproval( array $campaign ): bool {
+		if ( ! $this->isEnabled() ) {
+			return false;
+		}
+
+		if ( $this->settings->get( 'broadcasts.approval_marketing', true ) && $this->isMarketing( $campaign ) ) {
+			return true;
+		}
+
+		$threshold = (int) $this->settings->get( 'broadcasts.approval_threshold', self::DEFAULT_THRESHOLD );
+
+		return $threshold > 0 && $this->audienceCalculator->calculateCount( $campaign['audience'] ?? [] ) >= $threshold;
+	}
+
+	/**
+	 * Check whether a campaign sends a marketing template.
+	 *
+	 * Templates without a known category count as marketing, as they do
+	 * for cost estimates.
+	 *
+	 * @param array $campaign Campaign data.
+	 * @return bool True if the campaign or any A/B variant uses a marketing template.
+	 */
+	public function isMarketing( array $campaign ): bool {
+		$templates = [ $campaign['template_data'] ?? [] ];
+
+		if ( ! empty( $campaign['ab_test']['enabled'] ) ) {
+			foreach ( (array) ( $campaign['ab_test']['variants'] ?? [] ) as $variant ) {
+				$templates[] = $variant['template_data'] ?? [];
+			}
+		}
+
+		foreach ( $templates as $template ) {
+			$category = strtolower( (string) ( $template['category'] ?? '' ) );
+
+			if ( ! in_array( $category, [ 'utility', 'authentication' ], true ) ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Submit a campaign for approval.
+	 *
+	 * @param int $campaignId Campaign ID.
+	 * @param int $userId     Submitting user ID.
+	 * @return bool True if the campaign is now pending approval.
+	 */
+	public function submit( int $campaignId, int $userId ): bool {
+		$campaign = $this->repository->getById( $campaignId );
+
+		if ( null === $campaign || 'draft' !== ( $campaign['status'] ?? '' ) ) {
+			return false;
+		}
+
+		return $this->repository->updateStatus(
+			$campaignId,
+			self::STATUS,
+			[
+				'submitted_by'     => $userId,
+				'approval_history' => $this->addEvent( $campaign, 'submitted', $userId ),
+			]
+		);
+	}
+
+	/**
+	 * Check whether a user may decide on a campaign.
+	 *
+	 * @param array $campaign Campaign data.
+	 * @param int   $userId   User ID.
+	 * @return string|null Reason the user cannot decide, or null if they can.
+	 */
+	public function getDecisionError( array $campaign, int $userId ): ?string {
+		if ( self::STATUS !== ( $campaign['status'] ?? '' ) ) {
+			return __( 'This campaign is not waiting for approval.', 'whatsapp-commerce-hub' );
+		}
+
+		if ( ! user_can( $userId, self::CAPABILITY ) ) {
+			return __( 'You are not allowed to approve broadcasts.', 'whatsapp-commerce-hub' );
+		}
+
+		if ( (int) ( $campaign['submitted_by'] ?? 0 ) === $userId ) {
+			return __( 'A campaign must be approved by someone other than the person who submitted it.', 'whatsapp-commerce-hub' );
+		}
+
+		return null;
+	}
+
+	/**
+	 * Record an approval.
+	 *
+	 * Call after the campaign has been dispatched; its status is left as is.
+	 *
+	 * @param int    $campaignId Campaign ID.
+	 * @param int    $userId     Approving user ID.
+	 * @param string $comment    Optional comment.
+	 * @return bool True on success.
+	 */
+	public function recordApproval( int $campaignId, int $userId, string $comment ): bool {
+		$campaign = $this->repository->getById( $campaignId );
+
+		if ( null === $campaign ) {
+			return false;
+		}
+
+		return $this->repository->updateStatus(
+			$campaignId,
+			(string) $campaign['status'],
+			[
+				'approved_by'      => $userId,
+				'approval_history' => $this->addEvent( $campaign, 'approved', $userId, $comment ),
+			]
+		);
+	}
+
+	/**
+	 * Reject a campaign and send it back to draft.
+	 *
+	 * @param int    $campaignId Campaign ID.
+	 * @param int    $userId     Rejecting user ID.
+	 * @param string $comment    Reason for the rejection.
+	 * @return bool True on success.
+	 */
+	public function reject( int $campaignId, int $userId, string $comment ): bool {
+		$campaign = $this->repository->getById( $campaignId );
+
+		if ( null === $campaign || null !== $this->getDecisionError( $campaign, $userId ) ) {
+			return false;
+		}
+
+		return $this->repository->updateStatus(
+			$campaignId,
+			'draft',
+			[
+				'submitted_by'     => null,
+				'approval_history' => $this->addEvent( $campaign, 'rejected', $userId, $comment ),
+			]
+		);
+	}
+
+	/**
+	 * Append an event to a campaign's approval history.
+	 *
+	 * @param array  $campaign Campaign data.
+	 * @param string $action   Event: submitted, approved or rejected.
+	 * @param int    $userId   Acting user ID.
+	 * @param string $comment  Comment.
+	 * @return array<int, array{action: string, user_id: int, comment: string, at: string}> Updated history.
+	 */
+	protected function addEvent( array $campaign, string $action, int $userId, string $comment = '' ): array {
+		$history   = is_array( $campaign['approval_history'] ?? null ) ? $campaign['approval_history'] : [];
+		$history[] = [
+			'action'  => $action,
+			'user_id' => $userId,
+			'comment' => sanitize_textarea_field( $comment ),
+			'at'      => gmdate( 'Y-m-d H:i:s' ),
+		];
+
+		return $history;
+	}
+}
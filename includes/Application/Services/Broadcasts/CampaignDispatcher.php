@@ -16,6 +16,7 @@ use WhatsAppCommerceHub\Clients\WhatsAppApiClient;
 use WhatsAppCommerceHub\Contracts\Services\Broadcasts\CampaignDispatcherInterface;
 use WhatsAppCommerceHub\Contracts\Services\Broadcasts\CampaignRepositoryInterface;
 use WhatsAppCommerceHub\Contracts\Services\Broadcasts\AudienceCalculatorInterface;
+use WhatsAppCommerceHub\Contracts\Services\Broadcasts\ContactListRepositoryInterface;
 use WhatsAppCommerceHub\Contracts\Services\SettingsInterface;
 use WhatsAppCommerceHub\Contracts\Services\LoggerInterface;
 use WhatsAppCommerceHub\Infrastructure\Queue\JobDispatcher;
@@ -42,20 +43,104 @@ class CampaignDispatcher implements CampaignDispatcherInterface {
 	 */
 	protected const COST_PER_MESSAGE = 0.0058;
 
+	/**
+	 * Statuses each control action applies to.
+	 */
+	public const CONTROL_STATUSES = [
+		'pause'  => [ 'scheduled', 'sending' ],
+		'resume' => [ 'paused' ],
+		'cancel' => [ 'scheduled', 'recurring', 'sending', 'paused' ],
+	];
+
+	/**
+	 * Statuses a campaign can be moved to another date in.
+	 */
+	public const RESCHEDULE_STATUSES = [ 'draft', 'scheduled' ];
+
+	/**
+	 * Broadcast tracker.
+	 *
+	 * @var BroadcastTracker
+	 */
+	protected BroadcastTracker $tracker;
+
+	/**
+	 * Contact list repository.
+	 *
+	 * @var ContactListRepositoryInterface
+	 */
+	protected ContactListRepositoryInterface $contactLists;
+
+	/**
+	 * Recipient data provider.
+	 *
+	 * @var RecipientDataProvider
+	 */
+	protected RecipientDataProvider $recipientData;
+
+	/**
+	 * Delivery planner.
+	 *
+	 * @var BroadcastDeliveryPlanner
+	 */
+	protected BroadcastDeliveryPlanner $planner;
+
+	/**
+	 * Recurrence rules.
+	 *
+	 * @var BroadcastRecurrence
+	 */
+	protected BroadcastRecurrence $recurrence;
+
+	/**
+	 * Test send tracker.
+	 *
+	 * @var BroadcastTestTracker
+	 */
+	protected BroadcastTestTracker $testTracker;
+
+	/**
+	 * Link tracker.
+	 *
+	 * @var BroadcastLinkTracker
+	 */
+	protected BroadcastLinkTracker $linkTracker;
+
 	/**
 	 * Constructor.
 	 *
-	 * @param CampaignRepositoryInterface $repository         Campaign repository.
-	 * @param AudienceCalculatorInterface $audienceCalculator Audience calculator.
-	 * @param SettingsInterface           $settings           Settings service.
-	 * @param BroadcastTemplateBuilder    $templateBuilder    Template builder.
+	 * @param CampaignRepositoryInterface         $repository         Campaign repository.
+	 * @param AudienceCalculatorInterface         $audienceCalculator Audience calculator.
+	 * @param SettingsInterface                   $settings           Settings service.
+	 * @param BroadcastTemplateBuilder            $templateBuilder    Template builder.
+	 * @param BroadcastTracker|null               $tracker            Broadcast tracker.
+	 * @param ContactListRepositoryInterface|null $contactLists       Contact list repository.
+	 * @param RecipientDataProvider|null          $recipientData      Recipient data provider.
+	 * @param BroadcastDeliveryPlanner|null       $planner            Delivery planner.
+	 * @param BroadcastRecurrence|null            $recurrence         Recurrence rules.
+	 * @param BroadcastTestTracker|null           $testTracker        Test send tracker.
+	 * @param BroadcastLinkTracker|null           $linkTracker        Link tracker.
 	 */
 	public function __construct(
 		protected CampaignRepositoryInterface $repository,
 		protected AudienceCalculatorInterface $audienceCalculator,
 		protected SettingsInterface $settings,
-		protected BroadcastTemplateBuilder $templateBuilder
+		protected BroadcastTemplateBuilder $templateBuilder,
+		?BroadcastTracker $tracker = null,
+		?ContactListRepositoryInterface $contactLists = null,
+		?RecipientDataProvider $recipientData = null,
+		?BroadcastDeliveryPlanner $planner = null,
+		?BroadcastRecurrence $recurrence = null,
+		?BroadcastTestTracker $testTracker = null,
+		?BroadcastLinkTracker $linkTracker = null
 	) {
+		$this->tracker       = $tracker ?? wch( BroadcastTracker::class );
+		$this->contactLists  = $contactLists ?? new ContactListRepository();
+		$this->recipientData = $recipientData ?? new RecipientDataProvider( null, $this->contactLists );
+		$this->planner       = $planner ?? new BroadcastDeliveryPlanner( $this->recipientData );
+		$this->recurrence    = $recurrence ?? new BroadcastRecurrence();
+		$this->testTracker   = $testTracker ?? new BroadcastTestTracker();
+		$this->linkTracker   = $linkTracker ?? new BroadcastLinkTracker( $this->templateBuilder, $this->tracker );
 	}
 
 	/**
@@ -70,44 +155,84 @@ class CampaignDispatcher implements CampaignDispatcherInterface {
 			return null;
 		}
 
-		// Build message from template.
-		$message = $this->buildMessage( $campaign );
+		$variants = $this->getVariants( $campaign );
+		$groups   = $this->splitRecipients( $recipients, $campaign );
+		$messages = array_map( [ $this, 'buildMessage' ], $variants );
+
+		// Batch recipients per variant and time them by the schedule.
+		$now     = time();
+		$plan    = $this->planner->plan( $groups, $campaign['schedule'] ?? [], $now + $delay, self::BATCH_SIZE );
+		$batches = $plan['batches'];
 
-		// Batch recipients.
-		$batches = array_chunk( $recipients, self::BATCH_SIZE );
+		if ( empty( $batches ) ) {
+			$this->log( 'warning', 'No recipients assigned to any variant', [ 'campaign_id' => $campaign['id'] ?? 'unknown' ] );
+			return null;
+		}
 
-		// Generate job ID.
-		$jobId = 'broadcast_' . ( $campaign['id'] ?? time() ) . '_' . time();
+		// Generate a unique job ID, so a reschedule within the same second can't share the old one.
+		$jobId = 'broadcast_' . ( $campaign['id'] ?? time() ) . '_' . wp_generate_uuid4();
 
 		// Dispatch batches.
 		foreach ( $batches as $batchNum => $batch ) {
 			$args = [
 				'job_id'        => $jobId,
-				'batch'         => $batch,
+				'batch'         => $batch['phones'],
 				'batch_num'     => $batchNum,
 				'total_batches' => count( $batches ),
 				'campaign_id'   => $campaign['id'] ?? 0,
-				'message'       => $message,
+				'message'       => $messages[ $batch['group'] ],
+				'variant'       => $batch['group'],
+				'phase'         => 'test',
+				'contact_list'  => $this->getContactListId( $campaign ),
 			];
 
-			// Delay each batch by 1 second to avoid rate limiting.
-			$batchDelay = $delay + $batchNum;
+			$this->dispatchBatch( $args, max( 0, $batch['send_at'] - $now ) );
+		}
+
+		$abTest   = $campaign['ab_test'] ?? [];
+		$holdout  = count( $recipients ) - array_sum( array_map( 'count', $groups ) );
+		$awaiting = count( $variants ) > 1 && ! empty( $abTest['winner']['enabled'] ) && $holdout > 0;
 
-			$this->dispatchBatch( $args, $batchDelay );
+		if ( $awaiting ) {
+			$waitSeconds = (int) ( $abTest['winner']['wait_hours'] ?? 4 ) * HOUR_IN_SECONDS;
+
+			wch( JobDispatcher::class )->dispatch(
+				'wch_pick_broadcast_winner',
+				[
+					'job_id'      => $jobId,
+					'campaign_id' => $campaign['id'] ?? 0,
+				],
+				max( 0, $plan['end'] - $now ) + $waitSeconds
+			);
 		}
 
 		// Update campaign status.
 		$campaignId = (int) ( $campaign['id'] ?? 0 );
 
 		if ( $campaignId > 0 ) {
-			$status    = $delay > 0 ? 'scheduled' : 'sending';
+			$status    = $plan['start'] > $now ? 'scheduled' : 'sending';
 			$extraData = [
-				'job_id'        => $jobId,
-				'total_batches' => count( $batches ),
+				'job_id'          => $jobId,
+				'total_batches'   => count( $batches ),
+				'delivery_window' => [
+					'start' => gmdate( 'Y-m-d H:i:s', $plan['start'] ),
+					'end'   => gmdate( 'Y-m-d H:i:s', $plan['end'] ),
+				],
 			];
 
-			if ( $delay > 0 ) {
-				$extraData['scheduled_at'] = gmdate( 'Y-m-d H:i:s', time() + $delay );
+			if ( count( $variants ) > 1 ) {
+				$extraData['ab_test'] = array_merge(
+					$abTest,
+					[
+						'phase'      => $awaiting ? 'testing' : 'complete',
+						'holdout'    => $holdout,
+						'winner_key' => '',
+					]
+				);
+			}
+
+			if ( 'scheduled' === $status ) {
+				$extraData['scheduled_at'] = gmdate( 'Y-m-d H:i:s', $plan['start'] );
 			} else {
 				$extraData['sent_at'] = gmdate( 'Y-m-d H:i:s' );
 			}
@@ -136,7 +261,47 @@ class CampaignDispatcher implements CampaignDispatcherInterface {
 				'job_id'      => $jobId,
 				'recipients'  => count( $recipients ),
 				'batches'     => count( $batches ),
-				'delay'       => $delay,
+				'variants'    => array_map( 'count', $groups ),
+				'start'       => gmdate( 'Y-m-d H:i:s', $plan['start'] ),
+				'end'         => gmdate( 'Y-m-d H:i:s', $plan['end'] ),
+			]
+		);
+
+		return $jobId;
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function scheduleRecurring( array $campaign ): ?string {
+		$campaignId = (int) ( $campaign['id'] ?? 0 );
+		$schedule   = $campaign['schedule'] ?? [];
+		$nextRun    = $this->recurrence->getNextOccurrence( $schedule, time() );
+
+		if ( $campaignId <= 0 || null === $nextRun ) {
+			$this->log( 'warning', 'Recurring campaign has no future runs', [ 'campaign_id' => $campaignId ] );
+			return null;
+		}
+
+		$jobId = 'broadcast_' . $campaignId . '_recurring';
+		$this->dispatchRun( $jobId, $campaignId, $schedule, $nextRun );
+
+		$this->repository->updateStatus(
+			$campaignId,
+			'recurring',
+			[
+				'job_id'      => $jobId,
+				'next_run_at' => gmdate( 'Y-m-d H:i:s', $nextRun ),
+				'runs'        => 0,
+			]
+		);
+
+		$this->log(
+			'info',
+			'Recurring campaign scheduled',
+			[
+				'campaign_id' => $campaignId,
+				'next_run'    => gmdate( 'Y-m-d H:i:s', $nextRun ),
 			]
 		);
 
@@ -146,67 +311,248 @@ class CampaignDispatcher implements CampaignDispatcherInterface {
 	/**
 	 * {@inheritdoc}
 	 */
-	public function sendTest( array $campaign, string $testPhone ): array {
-		if ( empty( $testPhone ) ) {
+	public function runRecurring( int $campaignId, int $runAt ): ?string {
+		$campaign = $this->repository->getById( $campaignId );
+
+		if ( null === $campaign || 'recurring' !== ( $campaign['status'] ?? '' ) ) {
+			return null;
+		}
+
+		$schedule = $campaign['schedule'] ?? [];
+		$local    = ( new \DateTimeImmutable( '@' . $runAt ) )->setTimezone( $this->recurrence->getTimezone( $schedule ) );
+
+		// Each run is a one-off copy, so it gets its own status and report.
+		$run = $campaign;
+		unset( $run['id'], $run['job_id'], $run['next_run_at'], $run['runs'], $run['stats'] );
+
+		$run['status']    = 'draft';
+		$run['name']      = sprintf( '%s (%s)', $campaign['name'] ?? '', wp_date( get_option( 'date_format' ), $runAt, $local->getTimezone() ) );
+		$run['parent_id'] = $campaignId;
+		$run['schedule']  = array_merge(
+			$schedule,
+			[
+				'timing'     => 'local' === ( $schedule['timing'] ?? '' ) ? 'local' : 'now',
+				'date'       => $local->format( 'Y-m-d' ),
+				'time'       => $local->format( 'H:i' ),
+				'datetime'   => $local->format( 'Y-m-d H:i' ),
+				'recurrence' => [ 'enabled' => false ],
+			]
+		);
+
+		$run   = $this->repository->save( $run );
+		$jobId = $this->schedule( $run );
+
+		if ( null === $jobId ) {
+			// Nobody matched the audience this time.
+			$this->repository->delete( (int) $run['id'] );
+		}
+
+		$runs    = (int) ( $campaign['runs'] ?? 0 ) + 1;
+		$nextRun = $this->recurrence->getNextOccurrence( $schedule, $runAt );
+		$extra   = [
+			'runs'        => $runs,
+			'last_run_at' => gmdate( 'Y-m-d H:i:s', $runAt ),
+			'last_run_id' => null !== $jobId ? (int) $run['id'] : (int) ( $campaign['last_run_id'] ?? 0 ),
+			'next_run_at' => null !== $nextRun ? gmdate( 'Y-m-d H:i:s', $nextRun ) : '',
+		];
+
+		if ( null !== $nextRun ) {
+			$this->dispatchRun( (string) $campaign['job_id'], $campaignId, $schedule, $nextRun );
+			$this->repository->updateStatus( $campaignId, 'recurring', $extra );
+		} else {
+			$extra['completed_at'] = gmdate( 'Y-m-d H:i:s' );
+			$this->repository->updateStatus( $campaignId, 'completed', $extra );
+		}
+
+		$this->log(
+			'info',
+			'Recurring campaign run',
+			[
+				'campaign_id' => $campaignId,
+				'run'         => $runs,
+				'run_job_id'  => $jobId,
+				'next_run'    => $extra['next_run_at'],
+			]
+		);
+
+		return $jobId;
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function sendTest( array $campaign, array $phones ): array {
+		if ( empty( $phones ) ) {
 			// Try to get from settings.
-			$testPhone = $this->settings->get( 'api.test_phone', '' );
+			$phones = array_filter( [ (string) $this->settings->get( 'api.test_phone', '' ) ] );
 		}
 
-		if ( empty( $testPhone ) ) {
+		if ( empty( $phones ) ) {
 			return [
 				'success' => false,
 				'message' => __( 'No test phone number configured', 'whatsapp-commerce-hub' ),
+				'test_id' => '',
+				'results' => [],
 			];
 		}
 
 		// Build message.
-		$message = $this->buildMessage( $campaign );
-
-		// Send via API.
-		try {
-			$api = wch( WhatsAppApiClient::class );
+		$message         = $this->buildMessage( $campaign );
+		$templateData    = is_array( $message['template_data'] ?? null ) ? $message['template_data'] : [];
+		$personalization = is_array( $message['variables'] ?? null ) ? $message['variables'] : [];
+		$languageCode    = $this->templateBuilder->getLanguageCode( $templateData );
+		$listId          = $this->getContactListId( $campaign );
+		$sampleContact   = '' !== $listId ? $this->contactLists->getFirst( $listId ) : null;
+		$results         = [];
+
+		foreach ( array_values( array_unique( $phones ) ) as $phone ) {
+			$result = [
+				'phone'         => $phone,
+				'message_id'    => '',
+				'status'        => 'accepted',
+				'error_code'    => '',
+				'error_message' => '',
+			];
 
-			if ( ! empty( $message['template_name'] ) ) {
-				$templateData    = is_array( $message['template_data'] ?? null ) ? $message['template_data'] : [];
-				$personalization = is_array( $message['variables'] ?? null ) ? $message['variables'] : [];
-				$languageCode    = $this->templateBuilder->getLanguageCode( $templateData );
-				$components      = $this->templateBuilder->buildComponents(
+			try {
+				if ( empty( $message['template_name'] ) ) {
+					throw new \RuntimeException( __( 'Select a template before sending a test.', 'whatsapp-commerce-hub' ) );
+				}
+
+				$recipient  = [
+					'phone'  => $phone,
+					'name'   => 'Test Customer',
+					'fields' => $sampleContact['fields'] ?? [],
+				];
+				$components = $this->templateBuilder->buildComponents(
 					$templateData,
-					$personalization,
-					[
-						'phone' => $testPhone,
-						'name'  => 'Test Customer',
-					]
+					$this->linkTracker->tagLinks( $templateData, $personalization, $recipient, $message['tracking'] ),
+					$recipient
 				);
 
-				$api->sendTemplate( $testPhone, $message['template_name'], $languageCode, $components );
+				$response             = wch( WhatsAppApiClient::class )->sendTemplate( $phone, $message['template_name'], $languageCode, $components );
+				$result['message_id'] = (string) ( $response['message_id'] ?? $response['messages'][0]['id'] ?? '' );
+			} catch ( \Exception $e ) {
+				$result['status']        = 'failed';
+				$result['error_code']    = BroadcastBatchProcessor::getErrorCode( $e );
+				$result['error_message'] = $e->getMessage();
 			}
 
-			$this->log(
-				'info',
-				'Test broadcast sent',
-				[
-					'phone'    => substr( $testPhone, 0, 5 ) . '***',
-					'template' => $message['template_name'] ?? 'unknown',
-				]
-			);
+			$results[] = $result;
+		}
 
-			return [
-				'success' => true,
-				'message' => __( 'Test message sent successfully', 'whatsapp-commerce-hub' ),
-			];
-		} catch ( \Exception $e ) {
-			$this->log(
-				'error',
-				'Test broadcast failed',
-				[ 'error' => $e->getMessage() ]
-			);
+		$accepted = count( array_filter( $results, static fn( array $result ): bool => 'accepted' === $result['status'] ) );
 
-			return [
-				'success' => false,
-				'message' => $e->getMessage(),
+		$this->log(
+			$accepted > 0 ? 'info' : 'error',
+			'Test broadcast sent',
+			[
+				'phones'   => array_map( static fn( array $result ): string => substr( $result['phone'], 0, 5 ) . '***', $results ),
+				'accepted' => $accepted,
+				'template' => $message['template_name'] ?? 'unknown',
+			]
+		);
+
+		return [
+			'success' => $accepted > 0,
+			'message' => sprintf(
+				/* translators: 1: numbers that accepted the test, 2: numbers tried */
+				__( 'Test message accepted for %1$d of %2$d numbers', 'whatsapp-commerce-hub' ),
+				$accepted,
+				count( $results )
+			),
+			'test_id' => $this->testTracker->start( $results ),
+			'results' => $results,
+		];
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function previewRecipients( array $campaign, int $limit = 5 ): array {
+		$phones = $this->audienceCalculator->getRecipients( $campaign['audience'] ?? [], $limit );
+
+		if ( empty( $phones ) ) {
+			return [];
+		}
+
+		$templateData    = is_array( $campaign['template_data'] ?? null ) ? $campaign['template_data'] : [];
+		$personalization = is_array( $campaign['personalization'] ?? null ) ? $campaign['personalization'] : [];
+		$tracking        = $this->getTracking( $campaign );
+		$previews        = [];
+
+		foreach ( $this->recipientData->getRecipients( $phones, $this->getContactListId( $campaign ) ) as $phone => $recipient ) {
+			$previews[] = [
+				'name'   => $recipient['name'],
+				'phone'  => substr( (string) $phone, 0, 5 ) . '***',
+				'values' => $this->templateBuilder->resolveValues(
+					$templateData,
+					$this->linkTracker->tagLinks( $templateData, $personalization, $recipient, $tracking ),
+					$recipient
+				),
 			];
 		}
+
+		return $previews;
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function pause( int $campaignId ): bool {
+		$campaign = $this->repository->getById( $campaignId );
+
+		if ( null === $campaign || ! in_array( $campaign['status'] ?? '', self::CONTROL_STATUSES['pause'], true ) ) {
+			return false;
+		}
+
+		$this->repository->updateStatus(
+			$campaignId,
+			'paused',
+			[
+				'paused_from' => $campaign['status'],
+				'paused_at'   => gmdate( 'Y-m-d H:i:s' ),
+			]
+		);
+
+		$this->log(
+			'info',
+			'Campaign paused',
+			[ 'campaign_id' => $campaignId ]
+		);
+
+		return true;
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function resume( int $campaignId ): bool {
+		$campaign = $this->repository->getById( $campaignId );
+
+		if ( null === $campaign || ! in_array( $campaign['status'] ?? '', self::CONTROL_STATUSES['resume'], true ) ) {
+			return false;
+		}
+
+		// Held batches check again within BroadcastBatchProcessor::PAUSE_RECHECK seconds.
+		$status = 'scheduled' === ( $campaign['paused_from'] ?? '' ) ? 'scheduled' : 'sending';
+
+		$this->repository->updateStatus(
+			$campaignId,
+			$status,
+			[
+				'paused_from' => null,
+				'paused_at'   => null,
+			]
+		);
+
+		$this->log(
+			'info',
+			'Campaign resumed',
+			[ 'campaign_id' => $campaignId ]
+		);
+
+		return true;
 	}
 
 	/**
@@ -219,8 +565,8 @@ class CampaignDispatcher implements CampaignDispatcherInterface {
 			return false;
 		}
 
-		// Can only cancel scheduled campaigns.
-		if ( 'scheduled' !== $campaign['status'] ) {
+		// Can only cancel campaigns that have not finished sending.
+		if ( ! in_array( $campaign['status'], self::CONTROL_STATUSES['cancel'], true ) ) {
 			return false;
 		}
 
@@ -242,6 +588,251 @@ class CampaignDispatcher implements CampaignDispatcherInterface {
 		return true;
 	}
 
+	/**
+	 * {@inheritdoc}
+	 */
+	public function reschedule( int $campaignId, array $schedule ): bool {
+		$campaign = $this->repository->getById( $campaignId );
+
+		if ( null === $campaign || ! in_array( $campaign['status'] ?? '', self::RESCHEDULE_STATUSES, true ) ) {
+			return false;
+		}
+
+		$status   = (string) $campaign['status'];
+		$previous = $campaign['schedule'] ?? [];
+
+		$this->repository->updateStatus( $campaignId, $status, [ 'schedule' => $schedule ] );
+
+		if ( 'scheduled' === $status ) {
+			$campaign['schedule'] = $schedule;
+			$jobId                = $this->schedule( $campaign );
+
+			if ( null === $jobId ) {
+				$this->repository->updateStatus( $campaignId, $status, [ 'schedule' => $previous ] );
+				return false;
+			}
+
+			// Drop the batches queued for the old time.
+			$oldJobId = (string) ( $campaign['job_id'] ?? '' );
+			if ( '' !== $oldJobId && $oldJobId !== $jobId ) {
+				wch( JobDispatcher::class )->cancelByPrefix( $oldJobId );
+			}
+		}
+
+		$this->log(
+			'info',
+			'Campaign rescheduled',
+			[
+				'campaign_id' => $campaignId,
+				'date'        => $schedule['date'] ?? '',
+				'time'        => $schedule['time'] ?? '',
+			]
+		);
+
+		return true;
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function dispatchWinner( int $campaignId ): ?string {
+		$campaign = $this->repository->getById( $campaignId );
+		$abTest   = $campaign['ab_test'] ?? [];
+
+		// Pick the winner once a paused campaign is resumed.
+		if ( 'paused' === ( $campaign['status'] ?? '' ) && 'testing' === ( $abTest['phase'] ?? '' ) ) {
+			wch( JobDispatcher::class )->dispatch(
+				'wch_pick_broadcast_winner',
+				[
+					'job_id'      => $campaign['job_id'] ?? '',
+					'campaign_id' => $campaignId,
+				],
+				BroadcastBatchProcessor::PAUSE_RECHECK
+			);
+			return null;
+		}
+
+		if ( null === $campaign || 'sending' !== ( $campaign['status'] ?? '' ) || 'testing' !== ( $abTest['phase'] ?? '' ) ) {
+			return null;
+		}
+
+		$variants  = $this->getVariants( $campaign );
+		$metrics   = $this->tracker->getVariantMetrics( $campaignId );
+		$metric    = 'orders' === ( $abTest['winner']['metric'] ?? '' ) ? 'conversion_rate' : 'read_rate';
+		$winnerKey = (string) array_key_first( $variants );
+		$bestScore = -1.0;
+
+		foreach ( array_keys( $variants ) as $variantKey ) {
+			$score = (float) ( $metrics[ $variantKey ][ $metric ] ?? 0 );
+
+			// Ties go to the earlier variant.
+			if ( $score > $bestScore ) {
+				$bestScore = $score;
+				$winnerKey = $variantKey;
+			}
+		}
+
+		// Everyone in the audience who was not part of the test.
+		$recipients = array_values(
+			array_diff(
+				$this->audienceCalculator->getRecipients( $campaign['audience'] ?? [] ),
+				$this->tracker->getRecipientPhones( $campaignId )
+			)
+		);
+
+		$jobId   = ( $campaign['job_id'] ?? 'broadcast_' . $campaignId ) . '_winner';
+		$message = $this->buildMessage( $variants[ $winnerKey ] );
+
+		// The winner goes out now, still within quiet hours and the rate limit.
+		$now      = time();
+		$schedule = array_merge( $campaign['schedule'] ?? [], [ 'timing' => 'now' ] );
+		$batches  = $this->planner->plan( [ $winnerKey => $recipients ], $schedule, $now, self::BATCH_SIZE )['batches'];
+
+		foreach ( $batches as $batchNum => $batch ) {
+			$this->dispatchBatch(
+				[
+					'job_id'        => $jobId,
+					'batch'         => $batch['phones'],
+					'batch_num'     => $batchNum,
+					'total_batches' => count( $batches ),
+					'campaign_id'   => $campaignId,
+					'message'       => $message,
+					'variant'       => $winnerKey,
+					'phase'         => 'winner',
+					'contact_list'  => $this->getContactListId( $campaign ),
+				],
+				max( 0, $batch['send_at'] - $now )
+			);
+		}
+
+		$abTest = array_merge(
+			$abTest,
+			[
+				'phase'            => 'winner_sent',
+				'winner_key'       => $winnerKey,
+				'winner_picked_at' => gmdate( 'Y-m-d H:i:s' ),
+				'winner_metrics'   => $metrics,
+			]
+		);
+
+		if ( empty( $batches ) ) {
+			$this->repository->updateStatus(
+				$campaignId,
+				'completed',
+				[
+					'ab_test'      => $abTest,
+					'completed_at' => gmdate( 'Y-m-d H:i:s' ),
+				]
+			);
+		} else {
+			$this->repository->updateStatus( $campaignId, 'sending', [ 'ab_test' => $abTest ] );
+		}
+
+		$this->log(
+			'info',
+			'A/B test winner picked',
+			[
+				'campaign_id' => $campaignId,
+				'winner'      => $winnerKey,
+				'metric'      => $metric,
+				'recipients'  => count( $recipients ),
+			]
+		);
+
+		return $jobId;
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function retryFailed( int $campaignId, string $errorCode ): ?string {
+		$campaign = $this->repository->getById( $campaignId );
+
+		// Retry batches complete the campaign, so they must not overlap its own batches.
+		if ( null === $campaign || ! in_array( $campaign['status'] ?? '', [ 'completed', 'failed' ], true ) ) {
+			return null;
+		}
+
+		$failed = $this->tracker->getFailedRecipients( $campaignId, $errorCode );
+
+		if ( empty( $failed ) ) {
+			return null;
+		}
+
+		$variants = $this->getVariants( $campaign );
+		$groups   = [];
+		foreach ( $failed as $recipient ) {
+			$key              = isset( $variants[ $recipient['variant'] ] ) ? $recipient['variant'] : (string) array_key_first( $variants );
+			$groups[ $key ][] = $recipient['phone'];
+		}
+
+		$now      = time();
+		$jobId    = ( $campaign['job_id'] ?? 'broadcast_' . $campaignId ) . '_retry_' . $now;
+		$schedule = array_merge( $campaign['schedule'] ?? [], [ 'timing' => 'now' ] );
+		$batches  = $this->planner->plan( $groups, $schedule, $now, self::BATCH_SIZE )['batches'];
+
+		foreach ( $batches as $batchNum => $batch ) {
+			$this->dispatchBatch(
+				[
+					'job_id'        => $jobId,
+					'batch'         => $batch['phones'],
+					'batch_num'     => $batchNum,
+					'total_batches' => count( $batches ),
+					'campaign_id'   => $campaignId,
+					'message'       => $this->buildMessage( $variants[ $batch['group'] ] ),
+					'variant'       => $batch['group'],
+					'phase'         => 'retry',
+					'contact_list'  => $this->getContactListId( $campaign ),
+				],
+				max( 0, $batch['send_at'] - $now )
+			);
+		}
+
+		// Retried recipients are counted again once they are resent.
+		$accepted        = count( array_filter( array_column( $failed, 'accepted' ) ) );
+		$stats           = $campaign['stats'] ?? [];
+		$stats['sent']   = max( 0, (int) ( $stats['sent'] ?? 0 ) - $accepted );
+		$stats['failed'] = max( 0, (int) ( $stats['failed'] ?? 0 ) - ( count( $failed ) - $accepted ) );
+		$retries         = $campaign['retries'] ?? [];
+		$retries[]       = [
+			'error_code' => $errorCode,
+			'recipients' => count( $failed ),
+			'retried_at' => gmdate( 'Y-m-d H:i:s' ),
+		];
+
+		$this->repository->updateStats( $campaignId, $stats );
+		$this->repository->updateStatus( $campaignId, 'sending', [ 'retries' => $retries ] );
+
+		$this->log(
+			'info',
+			'Retrying failed broadcast recipients',
+			[
+				'campaign_id' => $campaignId,
+				'error_code'  => $errorCode,
+				'recipients'  => count( $failed ),
+				'batches'     => count( $batches ),
+			]
+		);
+
+		return $jobId;
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function planDelivery( array $campaign ): array {
+		$recipients = $this->audienceCalculator->getRecipients( $campaign['audience'] ?? [] );
+		$plan       = $this->planner->plan( [ '' => $recipients ], $campaign['schedule'] ?? [], time(), self::BATCH_SIZE );
+
+		return [
+			'recipients' => count( $recipients ),
+			'start'      => $plan['start'],
+			'end'        => $plan['end'],
+			'timezones'  => $plan['timezones'],
+			'deferred'   => $plan['deferred'],
+		];
+	}
+
 	/**
 	 * {@inheritdoc}
 	 */
@@ -253,9 +844,26 @@ class CampaignDispatcher implements CampaignDispatcherInterface {
 			'template_name' => $campaign['template_name'] ?? '',
 			'template_data' => $templateData,
 			'variables'     => $personalization,
+			'tracking'      => $this->getTracking( $campaign ),
 		];
 	}
 
+	/**
+	 * Get a campaign's link tracking settings.
+	 *
+	 * @param array $campaign Campaign data.
+	 * @return array Tracking settings, with utm_campaign defaulting to the campaign name.
+	 */
+	protected function getTracking( array $campaign ): array {
+		$tracking = is_array( $campaign['tracking'] ?? null ) ? $campaign['tracking'] : [];
+
+		if ( '' === (string) ( $tracking['utm_campaign'] ?? '' ) ) {
+			$tracking['utm_campaign'] = sanitize_title( (string) ( $campaign['name'] ?? '' ) );
+		}
+
+		return $tracking;
+	}
+
 	/**
 	 * {@inheritdoc}
 	 */
@@ -263,6 +871,123 @@ class CampaignDispatcher implements CampaignDispatcherInterface {
 		return round( $recipientCount * self::COST_PER_MESSAGE, 2 );
 	}
 
+	/**
+	 * Get the uploaded contact list a campaign sends to.
+	 *
+	 * @param array $campaign Campaign data.
+	 * @return string List ID, or an empty string when the audience comes from customer profiles.
+	 */
+	protected function getContactListId( array $campaign ): string {
+		$audience = $campaign['audience'] ?? [];
+
+		return 'csv' === ( $audience['source'] ?? '' ) ? (string) ( $audience['contact_list']['id'] ?? '' ) : '';
+	}
+
+	/**
+	 * Get the campaign variants to send, keyed by variant key.
+	 *
+	 * Without an A/B test there is a single variant keyed by an empty string.
+	 * Variant A always uses the campaign's own template and personalization.
+	 *
+	 * @param array $campaign Campaign data.
+	 * @return array<string, array> Campaign data per variant.
+	 */
+	protected function getVariants( array $campaign ): array {
+		$abTest = $campaign['ab_test'] ?? [];
+
+		if ( empty( $abTest['enabled'] ) || count( $abTest['variants'] ?? [] ) < 2 ) {
+			return [ '' => $campaign ];
+		}
+
+		$variants = [];
+		foreach ( $abTest['variants'] as $index => $variant ) {
+			$key = (string) ( $variant['key'] ?? chr( 65 + $index ) );
+
+			$variants[ $key ] = 0 === $index
+				? $campaign
+				: array_merge(
+					$campaign,
+					[
+						'template_name'   => $variant['template_name'] ?? '',
+						'template_data'   => $variant['template_data'] ?? [],
+						'personalization' => $variant['personalization'] ?? [],
+					]
+				);
+		}
+
+		return $variants;
+	}
+
+	/**
+	 * Split recipients into randomized variant groups by share.
+	 *
+	 * When a winner is picked later, the recipients left over after all
+	 * shares are taken are held back for the winning variant.
+	 *
+	 * @param array $recipients Recipient phone numbers.
+	 * @param array $campaign   Campaign data.
+	 * @return array<string, array> Recipient phones per variant key.
+	 */
+	protected function splitRecipients( array $recipients, array $campaign ): array {
+		$variants = array_keys( $this->getVariants( $campaign ) );
+
+		if ( count( $variants ) < 2 ) {
+			return [ '' => $recipients ];
+		}
+
+		$abTest = $campaign['ab_test'];
+		$total  = count( $recipients );
+		$counts = [];
+
+		foreach ( $abTest['variants'] as $index => $variant ) {
+			$counts[ $variants[ $index ] ] = (int) floor( $total * (int) ( $variant['share'] ?? 0 ) / 100 );
+		}
+
+		// Without a winner phase nobody is held back; spread rounding leftovers.
+		if ( empty( $abTest['winner']['enabled'] ) ) {
+			$leftover = $total - array_sum( $counts );
+			foreach ( array_keys( $counts ) as $key ) {
+				if ( $leftover <= 0 ) {
+					break;
+				}
+				++$counts[ $key ];
+				--$leftover;
+			}
+		}
+
+		shuffle( $recipients );
+
+		$groups = [];
+		$offset = 0;
+		foreach ( $counts as $key => $count ) {
+			$groups[ $key ] = array_slice( $recipients, $offset, $count );
+			$offset        += $count;
+		}
+
+		return $groups;
+	}
+
+	/**
+	 * Queue the next run of a recurring campaign.
+	 *
+	 * @param string $jobId      Recurring job ID.
+	 * @param int    $campaignId Campaign ID.
+	 * @param array  $schedule   Campaign schedule.
+	 * @param int    $runAt      Run time as a Unix timestamp.
+	 * @return void
+	 */
+	protected function dispatchRun( string $jobId, int $campaignId, array $schedule, int $runAt ): void {
+		wch( JobDispatcher::class )->dispatch(
+			'wch_run_recurring_broadcast',
+			[
+				'job_id'      => $jobId,
+				'campaign_id' => $campaignId,
+				'run_at'      => $runAt,
+			],
+			max( 0, $this->recurrence->getStartTime( $schedule, $runAt ) - time() )
+		);
+	}
+
 	/**
 	 * Dispatch a batch for sending.
 	 *
@@ -0,0 +1,203 @@
+<?php
+/**
+ * Campaign List Query Service
+ *
+ * Searches, filters, sorts and pages the campaign list.
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+declare(strict_types=1);
+
+namespace WhatsAppCommerceHub\Application\Services\Broadcasts;
+
+use WhatsAppCommerceHub\Contracts\Services\Broadcasts\CampaignRepositoryInterface;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class CampaignListQuery
+ *
+ * Drafts are listed separately and never included. Archived campaigns only
+ * show when the `archived` status is asked for.
+ */
+class CampaignListQuery {
+
+	/**
+	 * Campaigns per page.
+	 */
+	public const PER_PAGE = 20;
+
+	/**
+	 * Columns the list can be sorted by.
+	 */
+	public const SORTABLE = [ 'date', 'audience', 'read_rate', 'revenue' ];
+
+	/**
+	 * Default list state.
+	 */
+	public const DEFAULTS = [
+		's'       => '',
+		'status'  => '',
+		'from'    => '',
+		'to'      => '',
+		'orderby' => 'date',
+		'order'   => 'desc',
+		'paged'   => 1,
+	];
+
+	/**
+	 * Broadcast tracker.
+	 *
+	 * @var BroadcastTracker
+	 */
+	protected BroadcastTracker $tracker;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param CampaignRepositoryInterface $repository Campaign repository.
+	 * @param BroadcastTracker|null       $tracker    Broadcast tracker.
+	 */
+	public function __construct(
+		protected CampaignRepositoryInterface $repository,
+		?BroadcastTracker $tracker = null
+	) {
+		$this->tracker = $tracker ?? new BroadcastTracker();
+	}
+
+	/**
+	 * Read the list state from request parameters.
+	 *
+	 * @param array $request Raw request parameters, such as $_GET.
+	 * @return array{s: string, status: string, from: string, to: string, orderby: string, order: string, paged: int}
+	 */
+	public function parseState( array $request ): array {
+		$state = self::DEFAULTS;
+
+		$state['s']      = sanitize_text_field( wp_unslash( (string) ( $request['s'] ?? '' ) ) );
+		$state['status'] = sanitize_key( (string) ( $request['status'] ?? '' ) );
+		$state['paged']  = max( 1, absint( $request['paged'] ?? 1 ) );
+
+		foreach ( [ 'from', 'to' ] as $key ) {
+			$date = (string) ( $request[ $key ] ?? '' );
+			if ( false !== \DateTimeImmutable::createFromFormat( '!Y-m-d', $date ) ) {
+				$state[ $key ] = $date;
+			}
+		}
+
+		if ( in_array( $request['orderby'] ?? '', self::SORTABLE, true ) ) {
+			$state['orderby'] = $request['orderby'];
+		}
+
+		if ( 'asc' === ( $request['order'] ?? '' ) ) {
+			$state['order'] = 'asc';
+		}
+
+		return $state;
+	}
+
+	/**
+	 * Get one page of campaigns.
+	 *
+	 * @param array $state List state from parseState().
+	 * @return array{items: array<int, array>, total: int, pages: int} Campaigns on the page, with
+	 *               `read_rate` and `revenue` added, the number of matching campaigns and of pages.
+	 */
+	public function query( array $state ): array {
+		$state    = array_merge( self::DEFAULTS, $state );
+		$revenue  = $this->tracker->getRevenueByCampaign();
+		$archived = 'archived' === $state['status'];
+		$search   = strtolower( $state['s'] );
+		$items    = [];
+
+		foreach ( $this->repository->getAll() as $campaign ) {
+			$status = (string) ( $campaign['status'] ?? 'draft' );
+
+			if ( 'draft' === $status || $archived !== ! empty( $campaign['archived_at'] ) ) {
+				continue;
+			}
+
+			if ( ! $archived && '' !== $state['status'] && $status !== $state['status'] ) {
+				continue;
+			}
+
+			if ( '' !== $search
+				&& ! str_contains( strtolower( (string) ( $campaign['name'] ?? '' ) ), $search )
+				&& ! str_contains( strtolower( (string) ( $campaign['template_name'] ?? '' ) ), $search )
+			) {
+				continue;
+			}
+
+			$date = $this->getLocalDate( $campaign );
+			if ( ( '' !== $state['from'] && $date < $state['from'] ) || ( '' !== $state['to'] && $date > $state['to'] ) ) {
+				continue;
+			}
+
+			$sent = (int) ( $campaign['stats']['sent'] ?? 0 );
+
+			$campaign['read_rate'] = $sent > 0 ? round( (int) ( $campaign['stats']['read'] ?? 0 ) / $sent * 100, 1 ) : 0.0;
+			$campaign['revenue']   = $revenue[ (int) ( $campaign['id'] ?? 0 ) ]['revenue'] ?? 0.0;
+
+			$items[] = $campaign;
+		}
+
+		$direction = 'asc' === $state['order'] ? 1 : -1;
+		usort(
+			$items,
+			fn( array $a, array $b ): int => $direction * ( $this->getSortValue( $a, $state['orderby'] ) <=> $this->getSortValue( $b, $state['orderby'] ) )
+		);
+
+		$total = count( $items );
+		$pages = max( 1, (int) ceil( $total / self::PER_PAGE ) );
+		$paged = min( (int) $state['paged'], $pages );
+
+		return [
+			'items' => array_slice( $items, ( $paged - 1 ) * self::PER_PAGE, self::PER_PAGE ),
+			'total' => $total,
+			'pages' => $pages,
+		];
+	}
+
+	/**
+	 * Get the date a campaign is listed under.
+	 *
+	 * @param array $campaign Campaign data.
+	 * @return string Sent, scheduled, next run or created date, whichever comes first, as site-local Y-m-d H:i:s.
+	 */
+	public function getListDate( array $campaign ): string {
+		$date = $campaign['sent_at'] ?? $campaign['scheduled_at'] ?? $campaign['next_run_at'] ?? $campaign['created_at'] ?? '';
+
+		return '' !== (string) $date ? get_date_from_gmt( (string) $date ) : '';
+	}
+
+	/**
+	 * Get the site-local day a campaign is listed under.
+	 *
+	 * @param array $campaign Campaign data.
+	 * @return string Date as Y-m-d, or an empty string.
+	 */
+	protected function getLocalDate( array $campaign ): string {
+		return substr( $this->getListDate( $campaign ), 0, 10 );
+	}
+
+	/**
+	 * Get the value a campaign sorts by.
+	 *
+	 * @param array  $campaign Campaign with `read_rate` and `revenue` added.
+	 * @param string $orderby  Sort column.
+	 * @return string|int|float Sort value.
+	 */
+	protected function getSortValue( array $campaign, string $orderby ): string|int|float {
+		return match ( $orderby ) {
+			'audience'  => (int) ( $campaign['audience_size'] ?? 0 ),
+			'read_rate' => (float) $campaign['read_rate'],
+			'revenue'   => (float) $campaign['revenue'],
+			default     => $this->getListDate( $campaign ),
+		};
+	}
+}
@@ -31,6 +31,31 @@ class CampaignRepository implements CampaignRepositoryInterface {
 	 */
 	protected const OPTION_NAME = 'wch_broadcast_campaigns';
 
+	/**
+	 * Number of steps in the campaign wizard.
+	 */
+	protected const WIZARD_STEPS = 5;
+
+	/**
+	 * Maximum number of A/B test variants.
+	 */
+	public const MAX_VARIANTS = 4;
+
+	/**
+	 * Metrics an A/B test winner can be picked by.
+	 */
+	public const WINNER_METRICS = [ 'read_rate', 'orders' ];
+
+	/**
+	 * Statuses of campaigns that can be archived.
+	 */
+	public const ARCHIVABLE_STATUSES = [ 'completed', 'failed', 'cancelled' ];
+
+	/**
+	 * Most numbers that can be excluded from an audience by hand.
+	 */
+	public const MAX_EXCLUDED_PHONES = 500;
+
 	/**
 	 * Valid campaign statuses.
 	 *
@@ -39,12 +64,31 @@ class CampaignRepository implements CampaignRepositoryInterface {
 	protected array $validStatuses = [
 		'draft',
 		'scheduled',
+		'recurring',
+		'pending_approval',
 		'sending',
+		'paused',
 		'completed',
 		'failed',
 		'cancelled',
 	];
 
+	/**
+	 * Segment builder.
+	 *
+	 * @var AudienceSegmentBuilder
+	 */
+	protected AudienceSegmentBuilder $segmentBuilder;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param AudienceSegmentBuilder|null $segmentBuilder Segment builder.
+	 */
+	public function __construct( ?AudienceSegmentBuilder $segmentBuilder = null ) {
+		$this->segmentBuilder = $segmentBuilder ?? new AudienceSegmentBuilder();
+	}
+
 	/**
 	 * {@inheritdoc}
 	 */
@@ -112,6 +156,10 @@ class CampaignRepository implements CampaignRepositoryInterface {
 				$campaign['created_at'] = $existing['created_at'] ?? $campaign['created_at'];
 				$campaign['stats']      = $campaignData['stats'] ?? $existing['stats'] ?? [];
 
+				if ( isset( $existing['approval_history'] ) ) {
+					$campaign['approval_history'] = $existing['approval_history'];
+				}
+
 				$campaigns[ $index ] = $campaign;
 				$found               = true;
 				break;
@@ -172,6 +220,10 @@ class CampaignRepository implements CampaignRepositoryInterface {
 		unset( $duplicate['sent_at'] );
 		unset( $duplicate['scheduled_at'] );
 		unset( $duplicate['stats'] );
+		unset( $duplicate['parent_id'] );
+		unset( $duplicate['next_run_at'], $duplicate['runs'], $duplicate['last_run_at'], $duplicate['last_run_id'] );
+		unset( $duplicate['paused_from'], $duplicate['paused_at'], $duplicate['archived_at'] );
+		unset( $duplicate['approval_history'], $duplicate['submitted_by'], $duplicate['approved_by'] );
 
 		$campaigns   = $this->getAll();
 		$campaigns[] = $duplicate;
@@ -227,6 +279,31 @@ class CampaignRepository implements CampaignRepositoryInterface {
 		return false;
 	}
 
+	/**
+	 * {@inheritdoc}
+	 */
+	public function setArchived( int $campaignId, bool $archived ): bool {
+		$campaigns = $this->getAll();
+
+		foreach ( $campaigns as $index => $campaign ) {
+			if ( (int) $campaign['id'] !== $campaignId ) {
+				continue;
+			}
+
+			if ( $archived && ! in_array( $campaign['status'] ?? '', self::ARCHIVABLE_STATUSES, true ) ) {
+				return false;
+			}
+
+			$campaigns[ $index ]['archived_at'] = $archived ? gmdate( 'Y-m-d H:i:s' ) : null;
+			$campaigns[ $index ]['updated_at']  = gmdate( 'Y-m-d H:i:s' );
+
+			update_option( self::OPTION_NAME, $campaigns );
+			return true;
+		}
+
+		return false;
+	}
+
 	/**
 	 * Generate a unique campaign ID.
 	 *
@@ -243,6 +320,8 @@ class CampaignRepository implements CampaignRepositoryInterface {
 	 * @return array Sanitized campaign data.
 	 */
 	protected function sanitizeCampaignData( array $data ): array {
+		$status = sanitize_key( $data['status'] ?? 'draft' );
+
 		return [
 			'id'              => isset( $data['id'] ) ? absint( $data['id'] ) : 0,
 			'name'            => sanitize_text_field( $data['name'] ?? '' ),
@@ -252,7 +331,11 @@ class CampaignRepository implements CampaignRepositoryInterface {
 			'audience_size'   => absint( $data['audience_size'] ?? 0 ),
 			'personalization' => $this->sanitizePersonalization( $data['personalization'] ?? [] ),
 			'schedule'        => $this->sanitizeScheduleData( $data['schedule'] ?? [] ),
-			'status'          => sanitize_key( $data['status'] ?? 'draft' ),
+			'ab_test'         => $this->sanitizeAbTest( is_array( $data['ab_test'] ?? null ) ? $data['ab_test'] : [] ),
+			'tracking'        => $this->sanitizeTracking( is_array( $data['tracking'] ?? null ) ? $data['tracking'] : [] ),
+			'status'          => in_array( $status, $this->validStatuses, true ) ? $status : 'draft',
+			'wizard_step'     => min( self::WIZARD_STEPS, max( 1, absint( $data['wizard_step'] ?? 1 ) ) ),
+			'parent_id'       => absint( $data['parent_id'] ?? 0 ),
 			'created_at'      => $data['created_at'] ?? gmdate( 'Y-m-d H:i:s' ),
 		];
 	}
@@ -286,6 +369,10 @@ class CampaignRepository implements CampaignRepositoryInterface {
 	 */
 	protected function sanitizeAudienceData( array $data ): array {
 		return [
+			'source'                   => 'csv' === ( $data['source'] ?? '' ) ? 'csv' : 'customers',
+			'contact_list'             => $this->sanitizeContactList( is_array( $data['contact_list'] ?? null ) ? $data['contact_list'] : [] ),
+			'segment'                  => $this->segmentBuilder->sanitize( is_array( $data['segment'] ?? null ) ? $data['segment'] : [] ),
+			'segment_id'               => absint( $data['segment_id'] ?? 0 ),
 			'audience_all'             => ! empty( $data['audience_all'] ),
 			'audience_recent_orders'   => ! empty( $data['audience_recent_orders'] ),
 			'recent_orders_days'       => absint( $data['recent_orders_days'] ?? 30 ),
@@ -294,9 +381,37 @@ class CampaignRepository implements CampaignRepositoryInterface {
 			'audience_cart_abandoners' => ! empty( $data['audience_cart_abandoners'] ),
 			'exclude_recent_broadcast' => ! empty( $data['exclude_recent_broadcast'] ),
 			'exclude_broadcast_days'   => absint( $data['exclude_broadcast_days'] ?? 7 ),
+			'exclude_frequency_capped' => ! empty( $data['exclude_frequency_capped'] ),
+			'excluded_phones'          => array_slice(
+				array_values( array_unique( array_filter( array_map( 'sanitize_text_field', array_map( 'strval', (array) ( $data['excluded_phones'] ?? [] ) ) ) ) ) ),
+				0,
+				self::MAX_EXCLUDED_PHONES
+			),
 		];
 	}
 
+	/**
+	 * Sanitize an uploaded contact list summary.
+	 *
+	 * @param array $data Contact list summary from the import.
+	 * @return array Sanitized data.
+	 */
+	protected function sanitizeContactList( array $data ): array {
+		$contactList = [
+			'id'              => preg_replace( '/[^a-f0-9]/', '', strtolower( (string) ( $data['id'] ?? '' ) ) ),
+			'name'            => sanitize_file_name( (string) ( $data['name'] ?? '' ) ),
+			'columns'         => array_values( array_map( static fn( $column ) => sanitize_text_field( (string) $column ), (array) ( $data['columns'] ?? [] ) ) ),
+			'phone_column'    => sanitize_text_field( (string) ( $data['phone_column'] ?? '' ) ),
+			'default_country' => strtoupper( substr( sanitize_key( (string) ( $data['default_country'] ?? '' ) ), 0, 2 ) ),
+		];
+
+		foreach ( [ 'total_rows', 'valid', 'invalid', 'duplicates', 'opted_out' ] as $stat ) {
+			$contactList[ $stat ] = absint( $data[ $stat ] ?? 0 );
+		}
+
+		return $contactList;
+	}
+
 	/**
 	 * Sanitize personalization data.
 	 *
@@ -310,10 +425,19 @@ class CampaignRepository implements CampaignRepositoryInterface {
 			$sanitizedKey = sanitize_key( (string) $key );
 
 			if ( is_array( $value ) ) {
+				$type = sanitize_key( (string) ( $value['type'] ?? '' ) );
+
 				$sanitized[ $sanitizedKey ] = [
-					'type'  => sanitize_key( (string) ( $value['type'] ?? '' ) ),
-					'value' => sanitize_text_field( (string) ( $value['value'] ?? '' ) ),
+					'type'     => $type,
+					'value'    => 'media' === $type
+						? esc_url_raw( (string) ( $value['value'] ?? '' ) )
+						: sanitize_text_field( (string) ( $value['value'] ?? '' ) ),
+					'fallback' => sanitize_text_field( (string) ( $value['fallback'] ?? '' ) ),
 				];
+
+				if ( BroadcastCouponIssuer::TYPE === $type ) {
+					$sanitized[ $sanitizedKey ]['coupon'] = $this->sanitizeCouponSettings( is_array( $value['coupon'] ?? null ) ? $value['coupon'] : [] );
+				}
 				continue;
 			}
 
@@ -323,6 +447,42 @@ class CampaignRepository implements CampaignRepositoryInterface {
 		return $sanitized;
 	}
 
+	/**
+	 * Sanitize unique coupon settings.
+	 *
+	 * @param array $data Coupon settings.
+	 * @return array{discount_type: string, amount: float, expiry_days: int, minimum_amount: float, exclude_sale_items: bool, restrict_email: bool}
+	 */
+	protected function sanitizeCouponSettings( array $data ): array {
+		$type   = in_array( $data['discount_type'] ?? '', [ 'percent', 'fixed_cart' ], true ) ? $data['discount_type'] : 'percent';
+		$amount = max( 0.0, (float) ( $data['amount'] ?? 0 ) );
+
+		return [
+			'discount_type'      => $type,
+			'amount'             => 'percent' === $type ? min( 100.0, $amount ) : $amount,
+			'expiry_days'        => min( 365, max( 0, (int) ( $data['expiry_days'] ?? 7 ) ) ),
+			'minimum_amount'     => max( 0.0, (float) ( $data['minimum_amount'] ?? 0 ) ),
+			'exclude_sale_items' => ! empty( $data['exclude_sale_items'] ),
+			'restrict_email'     => ! empty( $data['restrict_email'] ),
+		];
+	}
+
+	/**
+	 * Sanitize link tracking settings.
+	 *
+	 * @param array $data Tracking settings.
+	 * @return array Sanitized data.
+	 */
+	protected function sanitizeTracking( array $data ): array {
+		return [
+			'utm_enabled'  => ! empty( $data['utm_enabled'] ),
+			'utm_source'   => sanitize_title( (string) ( $data['utm_source'] ?? BroadcastLinkTracker::DEFAULT_SOURCE ) ),
+			'utm_medium'   => sanitize_title( (string) ( $data['utm_medium'] ?? BroadcastLinkTracker::DEFAULT_MEDIUM ) ),
+			'utm_campaign' => sanitize_title( (string) ( $data['utm_campaign'] ?? '' ) ),
+			'track_clicks' => ! empty( $data['track_clicks'] ),
+		];
+	}
+
 	/**
 	 * Sanitize schedule data.
 	 *
@@ -330,14 +490,97 @@ class CampaignRepository implements CampaignRepositoryInterface {
 	 * @return array Sanitized data.
 	 */
 	protected function sanitizeScheduleData( array $data ): array {
+		$quiet = is_array( $data['quiet_hours'] ?? null ) ? $data['quiet_hours'] : [];
+
 		return [
-			'timing'   => in_array( $data['timing'] ?? 'now', [ 'now', 'scheduled' ], true )
+			'timing'      => in_array( $data['timing'] ?? 'now', [ 'now', 'scheduled', 'local' ], true )
 				? $data['timing']
 				: 'now',
-			'date'     => sanitize_text_field( $data['date'] ?? '' ),
-			'time'     => sanitize_text_field( $data['time'] ?? '' ),
-			'timezone' => sanitize_text_field( $data['timezone'] ?? 'UTC' ),
-			'datetime' => sanitize_text_field( $data['datetime'] ?? '' ),
+			'date'        => sanitize_text_field( $data['date'] ?? '' ),
+			'time'        => sanitize_text_field( $data['time'] ?? '' ),
+			'timezone'    => sanitize_text_field( $data['timezone'] ?? 'UTC' ),
+			'datetime'    => sanitize_text_field( $data['datetime'] ?? '' ),
+			'quiet_hours' => [
+				'enabled' => ! empty( $quiet['enabled'] ),
+				'start'   => $this->sanitizeClockTime( $quiet['start'] ?? '', '21:00' ),
+				'end'     => $this->sanitizeClockTime( $quiet['end'] ?? '', '08:00' ),
+			],
+			'rate_limit'  => max( 0, (int) ( $data['rate_limit'] ?? 0 ) ),
+			'recurrence'  => $this->sanitizeRecurrence( is_array( $data['recurrence'] ?? null ) ? $data['recurrence'] : [] ),
+		];
+	}
+
+	/**
+	 * Sanitize a recurrence rule.
+	 *
+	 * @param array $data Recurrence rule.
+	 * @return array Sanitized data.
+	 */
+	protected function sanitizeRecurrence( array $data ): array {
+		$days = array_unique( array_filter( array_map( 'absint', (array) ( $data['days'] ?? [] ) ), static fn( $day ) => $day >= 1 && $day <= 7 ) );
+		sort( $days );
+
+		$endDate = sanitize_text_field( $data['end_date'] ?? '' );
+
+		return [
+			'enabled'      => ! empty( $data['enabled'] ),
+			'frequency'    => in_array( $data['frequency'] ?? '', BroadcastRecurrence::FREQUENCIES, true ) ? $data['frequency'] : 'weekly',
+			'days'         => $days,
+			'day_of_month' => min( 31, max( 1, absint( $data['day_of_month'] ?? 1 ) ) ),
+			'end'          => in_array( $data['end'] ?? '', BroadcastRecurrence::END_TYPES, true ) ? $data['end'] : 'never',
+			'end_date'     => preg_match( '/^\d{4}-\d{2}-\d{2}$/', $endDate ) ? $endDate : '',
+			'end_count'    => max( 1, absint( $data['end_count'] ?? 1 ) ),
+		];
+	}
+
+	/**
+	 * Sanitize a time of day.
+	 *
+	 * @param mixed  $value   Submitted time.
+	 * @param string $default Time used when the value is not HH:MM.
+	 * @return string Time as HH:MM.
+	 */
+	protected function sanitizeClockTime( $value, string $default ): string {
+		return is_string( $value ) && preg_match( '/^([01]\d|2[0-3]):[0-5]\d$/', $value ) ? $value : $default;
+	}
+
+	/**
+	 * Sanitize A/B test settings.
+	 *
+	 * Variants are re-keyed A, B, C... in order. Variant A always uses the
+	 * campaign's own template, so only its share is meaningful.
+	 *
+	 * @param array $data A/B test settings.
+	 * @return array Sanitized data.
+	 */
+	protected function sanitizeAbTest( array $data ): array {
+		$variants = [];
+
+		foreach ( array_values( (array) ( $data['variants'] ?? [] ) ) as $variant ) {
+			if ( ! is_array( $variant ) || count( $variants ) >= self::MAX_VARIANTS ) {
+				continue;
+			}
+
+			$variants[] = [
+				'key'             => chr( 65 + count( $variants ) ),
+				'template_name'   => sanitize_text_field( $variant['template_name'] ?? '' ),
+				'template_data'   => $this->sanitizeTemplateData( is_array( $variant['template_data'] ?? null ) ? $variant['template_data'] : [] ),
+				'personalization' => $this->sanitizePersonalization( is_array( $variant['personalization'] ?? null ) ? $variant['personalization'] : [] ),
+				'share'           => min( 100, absint( $variant['share'] ?? 0 ) ),
+			];
+		}
+
+		$winner = is_array( $data['winner'] ?? null ) ? $data['winner'] : [];
+		$metric = $winner['metric'] ?? 'read_rate';
+
+		return [
+			'enabled'  => ! empty( $data['enabled'] ) && count( $variants ) >= 2,
+			'variants' => $variants,
+			'winner'   => [
+				'enabled'    => ! empty( $winner['enabled'] ),
+				'metric'     => in_array( $metric, self::WINNER_METRICS, true ) ? $metric : 'read_rate',
+				'wait_hours' => min( 168, max( 1, absint( $winner['wait_hours'] ?? 4 ) ) ),
+			],
 		];
 	}
 }
@@ -0,0 +1,322 @@
+<?php
+/**
+ * Contact List Importer Service
+ *
+ * Parses CSV contact lists into broadcast audiences.
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+declare(strict_types=1);
+
+namespace WhatsAppCommerceHub\Application\Services\Broadcasts;
+
+use WhatsAppCommerceHub\Contracts\Services\Broadcasts\ContactListRepositoryInterface;
+use WhatsAppCommerceHub\Exceptions\ValidationException;
+use WhatsAppCommerceHub\Validation\DataValidator;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class ContactListImporter
+ *
+ * Normalizes phone numbers to E.164, drops invalid, duplicate and opted-out
+ * rows, and stores the remaining columns as personalization data.
+ */
+class ContactListImporter {
+
+	/**
+	 * Maximum data rows accepted per file.
+	 */
+	public const MAX_ROWS = 50000;
+
+	/**
+	 * Maximum rejected rows returned for the preview table.
+	 */
+	protected const MAX_ISSUES = 100;
+
+	/**
+	 * Maximum stored length of a single cell.
+	 */
+	protected const MAX_CELL_LENGTH = 1024;
+
+	/**
+	 * Header names recognized as the phone column, lowercase.
+	 */
+	protected const PHONE_HEADERS = [ 'phone', 'phone number', 'mobile', 'mobile number', 'whatsapp', 'whatsapp number', 'cell', 'telephone', 'tel', 'number' ];
+
+	/**
+	 * Constructor.
+	 *
+	 * @param ContactListRepositoryInterface $contactLists Contact list repository.
+	 */
+	public function __construct( protected ContactListRepositoryInterface $contactLists ) {
+	}
+
+	/**
+	 * Import a CSV file as a new contact list.
+	 *
+	 * @param string $filePath Path to the uploaded file.
+	 * @param string $fileName Original file name.
+	 * @param array  $options  Import options: phone_column, default_country, replace_list.
+	 * @return array{list: array, issues: array, sample: array<string, string>} Stored list summary,
+	 *               rejected rows for the preview table and the first contact's columns.
+	 * @throws ValidationException If the file cannot be read or has no usable phone column.
+	 */
+	public function import( string $filePath, string $fileName, array $options = [] ): array {
+		$rows = $this->readRows( $filePath );
+
+		if ( count( $rows ) < 2 ) {
+			throw new ValidationException( __( 'The file has no contacts. The first row must contain column names.', 'whatsapp-commerce-hub' ) );
+		}
+
+		if ( count( $rows ) - 1 > self::MAX_ROWS ) {
+			throw new ValidationException(
+				/* translators: %s: maximum number of contacts */
+				sprintf( __( 'Contact lists are limited to %s rows.', 'whatsapp-commerce-hub' ), number_format_i18n( self::MAX_ROWS ) )
+			);
+		}
+
+		$columns     = $this->parseHeader( array_shift( $rows ) );
+		$phoneColumn = $this->resolvePhoneColumn( $columns, (string) ( $options['phone_column'] ?? '' ) );
+
+		if ( null === $phoneColumn ) {
+			throw new ValidationException(
+				__( 'Select the column that contains phone numbers.', 'whatsapp-commerce-hub' ),
+				[ 'phone_column' => [ __( 'No phone number column was recognized.', 'whatsapp-commerce-hub' ) ] ],
+				[ 'columns' => array_values( $columns ) ]
+			);
+		}
+
+		$country     = strtoupper( substr( sanitize_key( (string) ( $options['default_country'] ?? '' ) ), 0, 2 ) );
+		$callingCode = '' !== $country && function_exists( 'WC' ) ? (string) WC()->countries->get_country_calling_code( $country ) : '';
+		$phoneIndex  = array_search( $phoneColumn, $columns, true );
+
+		$contacts = [];
+		$issues   = [];
+		$stats    = [
+			'total_rows' => 0,
+			'invalid'    => 0,
+			'duplicates' => 0,
+			'opted_out'  => 0,
+		];
+
+		foreach ( $rows as $index => $row ) {
+			if ( ! array_filter( $row, static fn( $cell ) => '' !== trim( (string) $cell ) ) ) {
+				continue;
+			}
+
+			++$stats['total_rows'];
+
+			// Header is line 1.
+			$line  = $index + 2;
+			$input = trim( (string) ( $row[ $phoneIndex ] ?? '' ) );
+			$phone = DataValidator::normalizeE164( $input, $callingCode );
+
+			if ( null === $phone ) {
+				++$stats['invalid'];
+				$this->addIssue( $issues, $line, $input, 'invalid' );
+				continue;
+			}
+
+			if ( isset( $contacts[ $phone ] ) ) {
+				++$stats['duplicates'];
+				$this->addIssue( $issues, $line, $input, 'duplicate', $phone );
+				continue;
+			}
+
+			$fields = [];
+			foreach ( $columns as $columnIndex => $column ) {
+				if ( $columnIndex !== $phoneIndex ) {
+					$fields[ $column ] = mb_substr( sanitize_text_field( (string) ( $row[ $columnIndex ] ?? '' ) ), 0, self::MAX_CELL_LENGTH );
+				}
+			}
+
+			$contacts[ $phone ] = [
+				'phone'  => $phone,
+				'fields' => $fields,
+				'line'   => $line,
+				'input'  => $input,
+			];
+		}
+
+		foreach ( $this->contactLists->findOptedOut( array_keys( $contacts ) ) as $phone ) {
+			++$stats['opted_out'];
+			$this->addIssue( $issues, $contacts[ $phone ]['line'], $contacts[ $phone ]['input'], 'opted_out', $phone );
+			unset( $contacts[ $phone ] );
+		}
+
+		if ( empty( $contacts ) ) {
+			throw new ValidationException( __( 'None of the rows contain a phone number that can receive broadcasts.', 'whatsapp-commerce-hub' ) );
+		}
+
+		$contacts = array_values(
+			array_map(
+				static fn( $contact ) => [
+					'phone'  => $contact['phone'],
+					'fields' => $contact['fields'],
+				],
+				$contacts
+			)
+		);
+
+		$listId = $this->contactLists->create( $contacts );
+
+		if ( ! empty( $options['replace_list'] ) ) {
+			$this->contactLists->delete( (string) $options['replace_list'] );
+		}
+
+		usort( $issues, static fn( $a, $b ) => $a['row'] <=> $b['row'] );
+
+		return [
+			'list'   => [
+				'id'              => $listId,
+				'name'            => sanitize_file_name( $fileName ),
+				'columns'         => $columns,
+				'phone_column'    => $phoneColumn,
+				'default_country' => $country,
+				'valid'           => count( $contacts ),
+			] + $stats,
+			'issues' => $issues,
+			'sample' => $contacts[0]['fields'],
+		];
+	}
+
+	/**
+	 * Read all CSV rows from a file.
+	 *
+	 * @param string $filePath File path.
+	 * @return array<int, array<int, string>> Rows of cells.
+	 * @throws ValidationException If the file cannot be opened.
+	 */
+	protected function readRows( string $filePath ): array {
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen -- Reading an uploaded temp file.
+		$handle = is_readable( $filePath ) ? fopen( $filePath, 'r' ) : false;
+
+		if ( false === $handle ) {
+			throw new ValidationException( __( 'The uploaded file could not be read.', 'whatsapp-commerce-hub' ) );
+		}
+
+		$delimiter = $this->detectDelimiter( (string) fgets( $handle ) );
+		rewind( $handle );
+
+		$rows = [];
+		// Blank lines are kept so row positions match the file's line numbers.
+		while ( false !== ( $row = fgetcsv( $handle, 0, $delimiter, '"', '' ) ) ) {
+			$rows[] = array_map( 'strval', $row );
+
+			// Stop reading once the row limit is exceeded; import() reports it.
+			if ( count( $rows ) > self::MAX_ROWS + 1 ) {
+				break;
+			}
+		}
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+		fclose( $handle );
+
+		if ( ! empty( $rows ) ) {
+			// Spreadsheet exports often start with a UTF-8 byte order mark.
+			$rows[0][0] = preg_replace( '/^\xEF\xBB\xBF/', '', $rows[0][0] );
+
+			if ( ! mb_check_encoding( implode( '', $rows[0] ), 'UTF-8' ) ) {
+				throw new ValidationException( __( 'Please save the file as UTF-8 encoded CSV.', 'whatsapp-commerce-hub' ) );
+			}
+		}
+
+		return $rows;
+	}
+
+	/**
+	 * Pick the delimiter that appears most often in the header line.
+	 *
+	 * @param string $headerLine First line of the file.
+	 * @return string Delimiter character.
+	 */
+	protected function detectDelimiter( string $headerLine ): string {
+		$counts = [
+			','  => substr_count( $headerLine, ',' ),
+			';'  => substr_count( $headerLine, ';' ),
+			"\t" => substr_count( $headerLine, "\t" ),
+		];
+
+		arsort( $counts );
+
+		return (string) array_key_first( $counts );
+	}
+
+	/**
+	 * Turn the header row into unique, non-empty column names.
+	 *
+	 * @param array<int, string> $header Header cells.
+	 * @return array<int, string> Column names by position.
+	 */
+	protected function parseHeader( array $header ): array {
+		$columns = [];
+
+		foreach ( $header as $index => $cell ) {
+			$name = sanitize_text_field( $cell );
+
+			if ( '' === $name ) {
+				/* translators: %d: column position */
+				$name = sprintf( __( 'Column %d', 'whatsapp-commerce-hub' ), $index + 1 );
+			}
+
+			$unique = $name;
+			for ( $suffix = 2; in_array( $unique, $columns, true ); $suffix++ ) {
+				$unique = "{$name} ({$suffix})";
+			}
+
+			$columns[ $index ] = $unique;
+		}
+
+		return $columns;
+	}
+
+	/**
+	 * Resolve the phone column from the requested name or a recognized header.
+	 *
+	 * @param array<int, string> $columns   Column names.
+	 * @param string             $requested Column chosen by the user, if any.
+	 * @return string|null Column name or null if none matches.
+	 */
+	protected function resolvePhoneColumn( array $columns, string $requested ): ?string {
+		if ( '' !== $requested ) {
+			return in_array( $requested, $columns, true ) ? $requested : null;
+		}
+
+		foreach ( $columns as $column ) {
+			if ( in_array( strtolower( $column ), self::PHONE_HEADERS, true ) ) {
+				return $column;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Record a rejected row for the preview table.
+	 *
+	 * @param array  $issues Collected issues.
+	 * @param int    $line   CSV line number.
+	 * @param string $input  Phone as written in the file.
+	 * @param string $reason One of invalid, duplicate, opted_out.
+	 * @param string $phone  Normalized phone, if any.
+	 * @return void
+	 */
+	protected function addIssue( array &$issues, int $line, string $input, string $reason, string $phone = '' ): void {
+		if ( count( $issues ) >= self::MAX_ISSUES ) {
+			return;
+		}
+
+		$issues[] = [
+			'row'    => $line,
+			'input'  => sanitize_text_field( $input ),
+			'phone'  => $phone,
+			'reason' => $reason,
+		];
+	}
+}
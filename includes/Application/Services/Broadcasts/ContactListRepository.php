@@ -0,0 +1,211 @@
+<?php
+/**
+ * Contact List Repository Service
+ *
+ * Stores contact lists imported for broadcast campaigns.
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+declare(strict_types=1);
+
+namespace WhatsAppCommerceHub\Application\Services\Broadcasts;
+
+use WhatsAppCommerceHub\Contracts\Services\Broadcasts\ContactListRepositoryInterface;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class ContactListRepository
+ *
+ * Keeps one row per contact with the remaining CSV columns as JSON.
+ */
+class ContactListRepository implements ContactListRepositoryInterface {
+
+	/**
+	 * Rows written per INSERT statement.
+	 */
+	protected const INSERT_CHUNK = 500;
+
+	/**
+	 * WordPress database instance.
+	 *
+	 * @var \wpdb
+	 */
+	private \wpdb $wpdb;
+
+	/**
+	 * Contacts table name.
+	 *
+	 * @var string
+	 */
+	private string $tableName;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param \wpdb|null $wpdb WordPress database instance.
+	 */
+	public function __construct( ?\wpdb $wpdb = null ) {
+		if ( null === $wpdb ) {
+			global $wpdb;
+		}
+		$this->wpdb      = $wpdb;
+		$this->tableName = $this->wpdb->prefix . 'wch_broadcast_contacts';
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function create( array $contacts ): string {
+		$listId = md5( uniqid( 'wch_contacts', true ) );
+		$now    = current_time( 'mysql' );
+
+		foreach ( array_chunk( $contacts, self::INSERT_CHUNK ) as $chunk ) {
+			$rows   = [];
+			$values = [];
+
+			foreach ( $chunk as $contact ) {
+				$rows[] = '(%s, %s, %s, %s)';
+				array_push( $values, $listId, $contact['phone'], wp_json_encode( $contact['fields'] ), $now );
+			}
+
+			// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
+			// Table name is safe; one placeholder group per row.
+			$this->wpdb->query(
+				$this->wpdb->prepare(
+					"INSERT INTO {$this->tableName} (list_id, phone, fields, created_at) VALUES " . implode( ', ', $rows ),
+					$values
+				)
+			);
+			// phpcs:enable
+		}
+
+		return $listId;
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function delete( string $listId ): bool {
+		$result = $this->wpdb->delete( $this->tableName, [ 'list_id' => $listId ], [ '%s' ] );
+
+		return false !== $result;
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function getFields( string $listId, array $phones ): array {
+		$phones = array_values( array_filter( $phones, static fn( $phone ) => is_string( $phone ) && '' !== $phone ) );
+
+		if ( '' === $listId || empty( $phones ) ) {
+			return [];
+		}
+
+		$placeholders = implode( ',', array_fill( 0, count( $phones ), '%s' ) );
+
+		// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
+		// Table name is safe; placeholder count is dynamic.
+		$rows = $this->wpdb->get_results(
+			$this->wpdb->prepare(
+				"SELECT phone, fields FROM {$this->tableName} WHERE list_id = %s AND phone IN ({$placeholders})",
+				array_merge( [ $listId ], $phones )
+			),
+			ARRAY_A
+		);
+		// phpcs:enable
+
+		$fields = [];
+		foreach ( (array) $rows as $row ) {
+			$decoded                          = json_decode( (string) $row['fields'], true );
+			$fields[ (string) $row['phone'] ] = is_array( $decoded ) ? $decoded : [];
+		}
+
+		return $fields;
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function getFirst( string $listId ): ?array {
+		$row = $this->wpdb->get_row(
+			$this->wpdb->prepare(
+				// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Table name is safe.
+				"SELECT phone, fields FROM {$this->tableName} WHERE list_id = %s ORDER BY id ASC LIMIT 1",
+				$listId
+			),
+			ARRAY_A
+		);
+
+		if ( ! $row ) {
+			return null;
+		}
+
+		$fields = json_decode( (string) $row['fields'], true );
+
+		return [
+			'phone'  => (string) $row['phone'],
+			'fields' => is_array( $fields ) ? $fields : [],
+		];
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function findOptedOut( array $phones ): array {
+		$optedOut = [];
+
+		foreach ( array_chunk( array_values( $phones ), self::INSERT_CHUNK ) as $chunk ) {
+			// Profiles store numbers with or without the leading +.
+			$candidates   = array_merge( $chunk, array_map( static fn( $phone ) => ltrim( $phone, '+' ), $chunk ) );
+			$placeholders = implode( ',', array_fill( 0, count( $candidates ), '%s' ) );
+			$profiles     = $this->wpdb->prefix . 'wch_customer_profiles';
+
+			// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
+			// Table name is safe; placeholder count is dynamic.
+			$matches = $this->wpdb->get_col(
+				$this->wpdb->prepare(
+					"SELECT op.phone FROM {$profiles} op
+					WHERE op.phone IN ({$placeholders}) AND {$this->optedOutProfileCondition()}",
+					$candidates
+				)
+			);
+			// phpcs:enable
+
+			foreach ( (array) $matches as $phone ) {
+				$optedOut[] = '+' . ltrim( (string) $phone, '+' );
+			}
+		}
+
+		return array_values( array_unique( $optedOut ) );
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function optedOutCondition( string $phoneColumn ): string {
+		$profiles = $this->wpdb->prefix . 'wch_customer_profiles';
+
+		return "EXISTS (SELECT 1 FROM {$profiles} op
+			WHERE op.phone IN ({$phoneColumn}, TRIM(LEADING '+' FROM {$phoneColumn}))
+			AND {$this->optedOutProfileCondition()})";
+	}
+
+	/**
+	 * Condition on a customer profile aliased `op` that marks it as opted out.
+	 *
+	 * A customer has opted out when they turned off notifications, or when they
+	 * withdrew a marketing opt-in they had given before. Customers who never
+	 * interacted with the store are not opted out.
+	 *
+	 * @return string SQL fragment.
+	 */
+	protected function optedOutProfileCondition(): string {
+		return '(op.notification_opt_out = 1 OR (op.opt_in_marketing = 0 AND op.marketing_opted_at IS NOT NULL))';
+	}
+}
@@ -0,0 +1,408 @@
+<?php
+/**
+ * Recipient Data Provider Service
+ *
+ * Loads recipient details and resolves personalization sources for broadcasts.
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+declare(strict_types=1);
+
+namespace WhatsAppCommerceHub\Application\Services\Broadcasts;
+
+use WhatsAppCommerceHub\Contracts\Services\Broadcasts\ContactListRepositoryInterface;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class RecipientDataProvider
+ *
+ * Personalization sources read customer profiles, WooCommerce customers and
+ * orders, contact list columns and store settings. Order lookups are cached
+ * per recipient for the lifetime of the instance.
+ */
+class RecipientDataProvider {
+
+	/**
+	 * Sources whose value comes from the mapping itself.
+	 */
+	protected const STATIC_SOURCES = [ 'static', 'product_name', 'coupon_code' ];
+
+	/**
+	 * WordPress database instance.
+	 *
+	 * @var \wpdb
+	 */
+	private \wpdb $wpdb;
+
+	/**
+	 * Contact list repository.
+	 *
+	 * @var ContactListRepositoryInterface
+	 */
+	private ContactListRepositoryInterface $contactLists;
+
+	/**
+	 * Last paid order per recipient phone, false when there is none.
+	 *
+	 * @var array<string, \WC_Order|false>
+	 */
+	private array $lastOrders = [];
+
+	/**
+	 * Constructor.
+	 *
+	 * @param \wpdb|null                          $wpdb         WordPress database instance.
+	 * @param ContactListRepositoryInterface|null $contactLists Contact list repository.
+	 */
+	public function __construct( ?\wpdb $wpdb = null, ?ContactListRepositoryInterface $contactLists = null ) {
+		if ( null === $wpdb ) {
+			global $wpdb;
+		}
+		$this->wpdb         = $wpdb;
+		$this->contactLists = $contactLists ?? new ContactListRepository( $this->wpdb );
+	}
+
+	/**
+	 * Get personalization sources for the mapping UI.
+	 *
+	 * @return array<int, array{label: string, options: array<string, array{label: string, input?: string}>}>
+	 *               Option groups; `input` names the value the source needs (text, meta_key or coupon).
+	 */
+	public function getSourceDefinitions(): array {
+		return [
+			[
+				'label'   => __( 'Customer', 'whatsapp-commerce-hub' ),
+				'options' => [
+					'customer_name'       => [ 'label' => __( 'Customer name', 'whatsapp-commerce-hub' ) ],
+					'customer_first_name' => [ 'label' => __( 'First name', 'whatsapp-commerce-hub' ) ],
+					'billing_city'        => [ 'label' => __( 'Billing city', 'whatsapp-commerce-hub' ) ],
+					'customer_meta'       => [
+						'label' => __( 'Customer meta field', 'whatsapp-commerce-hub' ),
+						'input' => 'meta_key',
+					],
+				],
+			],
+			[
+				'label'   => __( 'Last order', 'whatsapp-commerce-hub' ),
+				'options' => [
+					'last_order_number'  => [ 'label' => __( 'Order number', 'whatsapp-commerce-hub' ) ],
+					'last_order_total'   => [ 'label' => __( 'Order total', 'whatsapp-commerce-hub' ) ],
+					'last_order_product' => [ 'label' => __( 'Purchased product', 'whatsapp-commerce-hub' ) ],
+				],
+			],
+			[
+				'label'   => __( 'Store', 'whatsapp-commerce-hub' ),
+				'options' => [
+					'store_name'    => [ 'label' => __( 'Store name', 'whatsapp-commerce-hub' ) ],
+					'store_url'     => [ 'label' => __( 'Store URL', 'whatsapp-commerce-hub' ) ],
+					'shop_url'      => [ 'label' => __( 'Shop page URL', 'whatsapp-commerce-hub' ) ],
+					'store_address' => [ 'label' => __( 'Store address', 'whatsapp-commerce-hub' ) ],
+				],
+			],
+			[
+				'label'   => __( 'Fixed value', 'whatsapp-commerce-hub' ),
+				'options' => [
+					'static'       => [
+						'label' => __( 'Static text', 'whatsapp-commerce-hub' ),
+						'input' => 'text',
+					],
+					'product_name' => [
+						'label' => __( 'Product name', 'whatsapp-commerce-hub' ),
+						'input' => 'text',
+					],
+					'coupon_code'  => [
+						'label' => __( 'Shared coupon code', 'whatsapp-commerce-hub' ),
+						'input' => 'text',
+					],
+				],
+			],
+			[
+				'label'   => __( 'Coupon', 'whatsapp-commerce-hub' ),
+				'options' => [
+					BroadcastCouponIssuer::TYPE => [
+						'label' => __( 'Unique single-use coupon', 'whatsapp-commerce-hub' ),
+						'input' => 'coupon',
+					],
+				],
+			],
+		];
+	}
+
+	/**
+	 * Load recipient details for a list of phone numbers.
+	 *
+	 * @param array<string> $phones        Phone numbers.
+	 * @param string        $contactListId Contact list the phones come from, if any.
+	 * @return array<string, array{phone: string, name: string, customer_id: int, email: string, address: array, fields: array}>
+	 *               Recipients keyed by phone, one for every phone given.
+	 */
+	public function getRecipients( array $phones, string $contactListId = '' ): array {
+		$phones = array_values( array_unique( array_filter( $phones, static fn( $phone ) => is_string( $phone ) && '' !== $phone ) ) );
+
+		if ( empty( $phones ) ) {
+			return [];
+		}
+
+		// Profiles store numbers with or without the leading +.
+		$candidates   = array_values( array_unique( array_merge( $phones, array_map( static fn( $phone ) => ltrim( $phone, '+' ), $phones ) ) ) );
+		$placeholders = implode( ',', array_fill( 0, count( $candidates ), '%s' ) );
+		$tableName    = $this->wpdb->prefix . 'wch_customer_profiles';
+
+		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Placeholder count is dynamic.
+		$query = $this->wpdb->prepare(
+			"SELECT phone, name, wc_customer_id, email, last_known_address FROM {$tableName} WHERE phone IN ({$placeholders})",
+			$candidates
+		);
+
+		// phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared -- Query prepared above.
+		$rows = $this->wpdb->get_results( $query, ARRAY_A );
+
+		$profiles = [];
+		foreach ( (array) $rows as $row ) {
+			$profiles[ ltrim( (string) $row['phone'], '+' ) ] = $row;
+		}
+
+		$fields     = '' !== $contactListId ? $this->contactLists->getFields( $contactListId, $phones ) : [];
+		$recipients = [];
+
+		foreach ( $phones as $phone ) {
+			$profile = $profiles[ ltrim( $phone, '+' ) ] ?? [];
+			$address = json_decode( (string) ( $profile['last_known_address'] ?? '' ), true );
+
+			$recipients[ $phone ] = [
+				'phone'       => $phone,
+				'name'        => (string) ( $profile['name'] ?? '' ),
+				'customer_id' => (int) ( $profile['wc_customer_id'] ?? 0 ),
+				'email'       => (string) ( $profile['email'] ?? '' ),
+				'address'     => is_array( $address ) ? $address : [],
+				'fields'      => $fields[ $phone ] ?? [],
+			];
+		}
+
+		return $recipients;
+	}
+
+	/**
+	 * Get the known country of each phone number.
+	 *
+	 * Uses the WooCommerce billing country of registered customers, then the
+	 * country of the profile's last known address.
+	 *
+	 * @param array $phones Phone numbers.
+	 * @return array<string, string> ISO country codes keyed by phone; unknown phones are left out.
+	 */
+	public function getCountries( array $phones ): array {
+		$tableName = $this->wpdb->prefix . 'wch_customer_profiles';
+		$countries = [];
+
+		foreach ( array_chunk( array_values( array_unique( $phones ) ), 500 ) as $chunk ) {
+			$candidates   = array_values( array_unique( array_merge( $chunk, array_map( static fn( $phone ) => ltrim( (string) $phone, '+' ), $chunk ) ) ) );
+			$placeholders = implode( ',', array_fill( 0, count( $candidates ), '%s' ) );
+
+			// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Placeholder count is dynamic.
+			$query = $this->wpdb->prepare(
+				"SELECT p.phone, m.meta_value AS billing_country, p.last_known_address FROM {$tableName} p
+				LEFT JOIN {$this->wpdb->usermeta} m ON m.user_id = p.wc_customer_id AND m.meta_key = 'billing_country'
+				WHERE p.phone IN ({$placeholders})",
+				$candidates
+			);
+
+			// phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared -- Query prepared above.
+			$rows = $this->wpdb->get_results( $query, ARRAY_A );
+
+			$byPhone = [];
+			foreach ( (array) $rows as $row ) {
+				$address = json_decode( (string) ( $row['last_known_address'] ?? '' ), true );
+				$country = (string) ( $row['billing_country'] ?? '' );
+
+				if ( '' === $country && is_array( $address ) ) {
+					$country = (string) ( $address['country'] ?? '' );
+				}
+
+				if ( '' !== $country ) {
+					$byPhone[ ltrim( (string) $row['phone'], '+' ) ] = strtoupper( $country );
+				}
+			}
+
+			foreach ( $chunk as $phone ) {
+				if ( isset( $byPhone[ ltrim( (string) $phone, '+' ) ] ) ) {
+					$countries[ $phone ] = $byPhone[ ltrim( (string) $phone, '+' ) ];
+				}
+			}
+		}
+
+		return $countries;
+	}
+
+	/**
+	 * Resolve a personalization source for a recipient.
+	 *
+	 * @param string $type      Source type, see getSourceDefinitions().
+	 * @param string $value     Mapping value: static text, meta key or contact list column.
+	 * @param array  $recipient Recipient details from getRecipients().
+	 * @return string Resolved value, or an empty string when the data is missing.
+	 */
+	public function resolve( string $type, string $value, array $recipient ): string {
+		if ( '' === $type || in_array( $type, self::STATIC_SOURCES, true ) ) {
+			return $value;
+		}
+
+		// Unique coupons are created when the campaign is sent; previews and tests show a sample.
+		if ( BroadcastCouponIssuer::TYPE === $type ) {
+			return BroadcastCouponIssuer::getSampleCode( $value );
+		}
+
+		$order = str_starts_with( $type, 'last_order_' ) ? $this->getLastOrder( $recipient ) : null;
+
+		$resolved = match ( $type ) {
+			'customer_name'       => (string) ( $recipient['name'] ?? '' ),
+			'customer_first_name' => (string) strtok( trim( (string) ( $recipient['name'] ?? '' ) ), ' ' ),
+			'billing_city'        => $this->getBillingCity( $recipient ),
+			'customer_meta'       => $this->getCustomerMeta( $recipient, $value ),
+			'last_order_number'   => $order ? (string) $order->get_order_number() : '',
+			'last_order_total'    => $order ? $this->formatPrice( (float) $order->get_total(), $order->get_currency() ) : '',
+			'last_order_product'  => $order ? $this->getFirstItemName( $order ) : '',
+			'store_name'          => html_entity_decode( get_bloginfo( 'name' ), ENT_QUOTES ),
+			'store_url'           => home_url( '/' ),
+			'shop_url'            => function_exists( 'wc_get_page_permalink' ) ? wc_get_page_permalink( 'shop' ) : home_url( '/' ),
+			'store_address'       => $this->getStoreAddress(),
+			'csv'                 => (string) ( $recipient['fields'][ $value ] ?? '' ),
+			default               => $value,
+		};
+
+		return trim( $resolved );
+	}
+
+	/**
+	 * Get the recipient's most recent paid order.
+	 *
+	 * Registered customers are matched by account, others by billing email or phone.
+	 *
+	 * @param array $recipient Recipient details.
+	 * @return \WC_Order|null Order or null if none.
+	 */
+	protected function getLastOrder( array $recipient ): ?\WC_Order {
+		$phone = (string) ( $recipient['phone'] ?? '' );
+
+		if ( ! array_key_exists( $phone, $this->lastOrders ) ) {
+			$this->lastOrders[ $phone ] = false;
+
+			$args = [
+				'limit'   => 1,
+				'type'    => 'shop_order',
+				'status'  => wc_get_is_paid_statuses(),
+				'orderby' => 'date',
+				'order'   => 'DESC',
+			];
+
+			if ( ! empty( $recipient['customer_id'] ) ) {
+				$args['customer_id'] = (int) $recipient['customer_id'];
+			} elseif ( ! empty( $recipient['email'] ) ) {
+				$args['billing_email'] = (string) $recipient['email'];
+			} elseif ( '' !== $phone ) {
+				$args['billing_phone'] = $phone;
+			} else {
+				return null;
+			}
+
+			$orders = wc_get_orders( $args );
+
+			if ( ! empty( $orders ) && $orders[0] instanceof \WC_Order ) {
+				$this->lastOrders[ $phone ] = $orders[0];
+			}
+		}
+
+		return $this->lastOrders[ $phone ] ?: null;
+	}
+
+	/**
+	 * Get the recipient's billing city.
+	 *
+	 * @param array $recipient Recipient details.
+	 * @return string City or empty string.
+	 */
+	protected function getBillingCity( array $recipient ): string {
+		if ( ! empty( $recipient['customer_id'] ) && class_exists( \WC_Customer::class ) ) {
+			try {
+				$city = ( new \WC_Customer( (int) $recipient['customer_id'] ) )->get_billing_city();
+				if ( '' !== $city ) {
+					return $city;
+				}
+			} catch ( \Exception $e ) {
+				// The account was deleted; fall back to order and profile data.
+				unset( $e );
+			}
+		}
+
+		$order = $this->getLastOrder( $recipient );
+		if ( $order && '' !== $order->get_billing_city() ) {
+			return $order->get_billing_city();
+		}
+
+		return (string) ( $recipient['address']['city'] ?? '' );
+	}
+
+	/**
+	 * Get a scalar user meta value for a registered customer.
+	 *
+	 * @param array  $recipient Recipient details.
+	 * @param string $metaKey   Meta key.
+	 * @return string Meta value or empty string.
+	 */
+	protected function getCustomerMeta( array $recipient, string $metaKey ): string {
+		if ( empty( $recipient['customer_id'] ) || '' === $metaKey ) {
+			return '';
+		}
+
+		$meta = get_user_meta( (int) $recipient['customer_id'], $metaKey, true );
+
+		return is_scalar( $meta ) ? (string) $meta : '';
+	}
+
+	/**
+	 * Get the name of the first product in an order.
+	 *
+	 * @param \WC_Order $order Order.
+	 * @return string Product name or empty string.
+	 */
+	protected function getFirstItemName( \WC_Order $order ): string {
+		foreach ( $order->get_items() as $item ) {
+			return (string) $item->get_name();
+		}
+
+		return '';
+	}
+
+	/**
+	 * Format a price as plain text.
+	 *
+	 * @param float  $amount   Amount.
+	 * @param string $currency Currency code.
+	 * @return string Formatted price.
+	 */
+	protected function formatPrice( float $amount, string $currency ): string {
+		return html_entity_decode( wp_strip_all_tags( wc_price( $amount, [ 'currency' => $currency ] ) ), ENT_QUOTES );
+	}
+
+	/**
+	 * Get the store address from WooCommerce settings.
+	 *
+	 * @return string Address on one line.
+	 */
+	protected function getStoreAddress(): string {
+		$parts = [
+			get_option( 'woocommerce_store_address', '' ),
+			get_option( 'woocommerce_store_address_2', '' ),
+			get_option( 'woocommerce_store_city', '' ),
+			get_option( 'woocommerce_store_postcode', '' ),
+		];
+
+		return implode( ', ', array_filter( array_map( 'trim', array_map( 'strval', $parts ) ) ) );
+	}
+}
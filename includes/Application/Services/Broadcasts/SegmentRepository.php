@@ -0,0 +1,127 @@
+<?php
+/**
+ * Segment Repository Service
+ *
+ * Handles CRUD operations for saved audience segments.
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+declare(strict_types=1);
+
+namespace WhatsAppCommerceHub\Application\Services\Broadcasts;
+
+use WhatsAppCommerceHub\Contracts\Services\Broadcasts\SegmentRepositoryInterface;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class SegmentRepository
+ *
+ * Manages saved segment persistence.
+ */
+class SegmentRepository implements SegmentRepositoryInterface {
+
+	/**
+	 * Option name for segments storage.
+	 */
+	protected const OPTION_NAME = 'wch_broadcast_segments';
+
+	/**
+	 * Constructor.
+	 *
+	 * @param AudienceSegmentBuilder $segmentBuilder Segment builder.
+	 */
+	public function __construct( protected AudienceSegmentBuilder $segmentBuilder ) {
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function getAll(): array {
+		$segments = get_option( self::OPTION_NAME, [] );
+
+		if ( ! is_array( $segments ) ) {
+			return [];
+		}
+
+		usort(
+			$segments,
+			static fn( $a, $b ) => strcasecmp( $a['name'] ?? '', $b['name'] ?? '' )
+		);
+
+		return $segments;
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function getById( int $segmentId ): ?array {
+		foreach ( $this->getAll() as $segment ) {
+			if ( (int) $segment['id'] === $segmentId ) {
+				return $segment;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function save( array $segmentData ): array {
+		$segments  = $this->getAll();
+		$segmentId = absint( $segmentData['id'] ?? 0 );
+
+		$segment = [
+			'id'         => $segmentId > 0 ? $segmentId : (int) ( microtime( true ) * 1000 ),
+			'name'       => sanitize_text_field( $segmentData['name'] ?? '' ),
+			'rules'      => $this->segmentBuilder->sanitize( is_array( $segmentData['rules'] ?? null ) ? $segmentData['rules'] : [] ),
+			'created_at' => gmdate( 'Y-m-d H:i:s' ),
+			'updated_at' => gmdate( 'Y-m-d H:i:s' ),
+		];
+
+		$found = false;
+		foreach ( $segments as $index => $existing ) {
+			if ( (int) $existing['id'] === $segment['id'] ) {
+				$segment['created_at'] = $existing['created_at'] ?? $segment['created_at'];
+				$segments[ $index ]    = $segment;
+				$found                 = true;
+				break;
+			}
+		}
+
+		if ( ! $found ) {
+			$segments[] = $segment;
+		}
+
+		update_option( self::OPTION_NAME, $segments, false );
+
+		return $segment;
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function delete( int $segmentId ): bool {
+		$segments = $this->getAll();
+		$updated  = array_values(
+			array_filter(
+				$segments,
+				static fn( $segment ) => (int) $segment['id'] !== $segmentId
+			)
+		);
+
+		if ( count( $updated ) === count( $segments ) ) {
+			return false;
+		}
+
+		update_option( self::OPTION_NAME, $updated, false );
+
+		return true;
+	}
+}
@@ -0,0 +1,127 @@
+<?php
+/**
+ * Test Group Repository Service
+ *
+ * Handles CRUD operations for saved broadcast test groups.
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+declare(strict_types=1);
+
+namespace WhatsAppCommerceHub\Application\Services\Broadcasts;
+
+use WhatsAppCommerceHub\Contracts\Services\Broadcasts\TestGroupRepositoryInterface;
+use WhatsAppCommerceHub\Validation\DataValidator;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class TestGroupRepository
+ *
+ * Manages test group persistence. Phones that are not valid E.164
+ * numbers are dropped on save.
+ */
+class TestGroupRepository implements TestGroupRepositoryInterface {
+
+	/**
+	 * Option name for test groups storage.
+	 */
+	protected const OPTION_NAME = 'wch_broadcast_test_groups';
+
+	/**
+	 * Most numbers a group can hold.
+	 */
+	public const MAX_PHONES = 20;
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function getAll(): array {
+		$groups = get_option( self::OPTION_NAME, [] );
+
+		if ( ! is_array( $groups ) ) {
+			return [];
+		}
+
+		usort(
+			$groups,
+			static fn( $a, $b ) => strcasecmp( $a['name'] ?? '', $b['name'] ?? '' )
+		);
+
+		return $groups;
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function getById( int $groupId ): ?array {
+		foreach ( $this->getAll() as $group ) {
+			if ( (int) $group['id'] === $groupId ) {
+				return $group;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function save( array $groupData ): array {
+		$groups  = $this->getAll();
+		$groupId = absint( $groupData['id'] ?? 0 );
+		$phones  = array_map( static fn( $phone ) => DataValidator::normalizeE164( (string) $phone ), (array) ( $groupData['phones'] ?? [] ) );
+
+		$group = [
+			'id'         => $groupId > 0 ? $groupId : (int) ( microtime( true ) * 1000 ),
+			'name'       => sanitize_text_field( $groupData['name'] ?? '' ),
+			'phones'     => array_slice( array_values( array_unique( array_filter( $phones ) ) ), 0, self::MAX_PHONES ),
+			'created_at' => gmdate( 'Y-m-d H:i:s' ),
+			'updated_at' => gmdate( 'Y-m-d H:i:s' ),
+		];
+
+		$found = false;
+		foreach ( $groups as $index => $existing ) {
+			if ( (int) $existing['id'] === $group['id'] ) {
+				$group['created_at'] = $existing['created_at'] ?? $group['created_at'];
+				$groups[ $index ]    = $group;
+				$found               = true;
+				break;
+			}
+		}
+
+		if ( ! $found ) {
+			$groups[] = $group;
+		}
+
+		update_option( self::OPTION_NAME, $groups, false );
+
+		return $group;
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function delete( int $groupId ): bool {
+		$groups  = $this->getAll();
+		$updated = array_values(
+			array_filter(
+				$groups,
+				static fn( $group ) => (int) $group['id'] !== $groupId
+			)
+		);
+
+		if ( count( $updated ) === count( $groups ) ) {
+			return false;
+		}
+
+		update_option( self::OPTION_NAME, $updated, false );
+
+		return true;
+	}
+}
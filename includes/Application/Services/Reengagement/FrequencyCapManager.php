@@ -146,4 +146,34 @@ class FrequencyCapManager implements FrequencyCapManagerInterface {
 
 		return $result ?: null;
 	}
+
+	/**
+	 * Build an SQL condition matching phones that have reached a frequency cap.
+	 *
+	 * Mirrors canSend() for whole audiences at once.
+	 *
+	 * @param string $phoneColumn  Column holding the phone number.
+	 * @param array  &$whereValues Prepared statement values, appended in placeholder order.
+	 * @return string SQL fragment.
+	 */
+	public function cappedCondition( string $phoneColumn, array &$whereValues ): string {
+		if ( ! $this->dbManager->tableExists( 'reengagement_log' ) ) {
+			return '1=0';
+		}
+
+		$tableName = $this->dbManager->getTableName( 'reengagement_log' );
+		$now       = current_time( 'timestamp' );
+		$clauses   = [];
+
+		foreach ( [ 7 => self::DEFAULT_WEEKLY_CAP, 30 => self::DEFAULT_MONTHLY_CAP ] as $days => $cap ) {
+			$clauses[]     = "{$phoneColumn} IN (SELECT customer_phone FROM {$tableName}
+				WHERE sent_at > %s
+				GROUP BY customer_phone
+				HAVING COUNT(*) >= %d)";
+			$whereValues[] = gmdate( 'Y-m-d H:i:s', $now - ( $days * DAY_IN_SECONDS ) );
+			$whereValues[] = $cap;
+		}
+
+		return '(' . implode( ' OR ', $clauses ) . ')';
+	}
 }
@@ -94,26 +94,88 @@ class LoyaltyCouponGenerator implements LoyaltyCouponGeneratorInterface {
 	 * @return string|null Coupon code or null on failure.
 	 */
 	public function generate( object $customer ): ?string {
-		$discountAmount = $this->getDiscountAmount();
-		$couponCode     = self::COUPON_PREFIX . strtoupper( substr( md5( $customer->phone . time() ), 0, 8 ) );
+		$emails = [];
+
+		// Restrict to customer's email if available.
+		if ( isset( $customer->wc_customer_id ) && $customer->wc_customer_id ) {
+			$wcCustomer = new \WC_Customer( $customer->wc_customer_id );
+			$email      = $wcCustomer->get_email();
+			if ( $email ) {
+				$emails[] = $email;
+			}
+		}
+
+		return $this->createCoupon(
+			[
+				'amount'             => $this->getDiscountAmount(),
+				'email_restrictions' => $emails,
+				'phone'              => (string) $customer->phone,
+			]
+		);
+	}
+
+	/**
+	 * Create a single-use WooCommerce coupon with a unique code.
+	 *
+	 * @param array $args {
+	 *     Coupon options.
+	 *
+	 *     @type string   $prefix             Code prefix. Default LOYAL.
+	 *     @type string   $discount_type      percent, fixed_cart or fixed_product. Default percent.
+	 *     @type float    $amount             Discount amount.
+	 *     @type int      $expiry_days        Days until the coupon expires, 0 for none. Default 7.
+	 *     @type float    $minimum_amount     Minimum cart subtotal, 0 for none.
+	 *     @type bool     $exclude_sale_items Whether sale items are excluded. Default false.
+	 *     @type string[] $email_restrictions Billing emails allowed to use the coupon.
+	 *     @type array    $meta               Extra coupon meta data.
+	 *     @type string   $phone              Customer phone, for logging.
+	 *     @type string   $context            Log context. Default reengagement.
+	 * }
+	 * @return string|null Coupon code or null on failure.
+	 */
+	public function createCoupon( array $args ): ?string {
+		$args = wp_parse_args(
+			$args,
+			[
+				'prefix'             => self::COUPON_PREFIX,
+				'discount_type'      => 'percent',
+				'amount'             => 0,
+				'expiry_days'        => self::COUPON_VALIDITY_DAYS,
+				'minimum_amount'     => 0,
+				'exclude_sale_items' => false,
+				'email_restrictions' => [],
+				'meta'               => [],
+				'phone'              => '',
+				'context'            => 'reengagement',
+			]
+		);
 
 		try {
+			$couponCode = $this->generateUniqueCode( (string) $args['prefix'] );
+
 			$coupon = new \WC_Coupon();
 			$coupon->set_code( $couponCode );
-			$coupon->set_discount_type( 'percent' );
-			$coupon->set_amount( $discountAmount );
+			$coupon->set_discount_type( (string) $args['discount_type'] );
+			$coupon->set_amount( (float) $args['amount'] );
 			$coupon->set_individual_use( true );
 			$coupon->set_usage_limit( 1 );
 			$coupon->set_usage_limit_per_user( 1 );
-			$coupon->set_date_expires( strtotime( '+' . self::COUPON_VALIDITY_DAYS . ' days' ) );
-
-			// Restrict to customer's email if available.
-			if ( isset( $customer->wc_customer_id ) && $customer->wc_customer_id ) {
-				$wcCustomer = new \WC_Customer( $customer->wc_customer_id );
-				$email      = $wcCustomer->get_email();
-				if ( $email ) {
-					$coupon->set_email_restrictions( [ $email ] );
-				}
+			$coupon->set_exclude_sale_items( (bool) $args['exclude_sale_items'] );
+
+			if ( (int) $args['expiry_days'] > 0 ) {
+				$coupon->set_date_expires( strtotime( '+' . (int) $args['expiry_days'] . ' days' ) );
+			}
+
+			if ( (float) $args['minimum_amount'] > 0 ) {
+				$coupon->set_minimum_amount( (float) $args['minimum_amount'] );
+			}
+
+			if ( ! empty( $args['email_restrictions'] ) ) {
+				$coupon->set_email_restrictions( array_values( (array) $args['email_restrictions'] ) );
+			}
+
+			foreach ( (array) $args['meta'] as $key => $value ) {
+				$coupon->update_meta_data( (string) $key, $value );
 			}
 
 			$coupon->save();
@@ -121,10 +183,10 @@ class LoyaltyCouponGenerator implements LoyaltyCouponGeneratorInterface {
 			return $couponCode;
 		} catch ( \Exception $e ) {
 			$this->logger->error(
-				'Failed to create loyalty discount coupon',
-				'reengagement',
+				'Failed to create discount coupon',
+				(string) $args['context'],
 				[
-					'phone' => $customer->phone,
+					'phone' => $args['phone'],
 					'error' => $e->getMessage(),
 				]
 			);
@@ -132,6 +194,25 @@ class LoyaltyCouponGenerator implements LoyaltyCouponGeneratorInterface {
 		}
 	}
 
+	/**
+	 * Generate a coupon code that is not in use yet.
+	 *
+	 * @param string $prefix Code prefix.
+	 * @return string Coupon code.
+	 * @throws \RuntimeException When no free code is found.
+	 */
+	protected function generateUniqueCode( string $prefix ): string {
+		for ( $attempt = 0; $attempt < 5; $attempt++ ) {
+			$code = $prefix . strtoupper( substr( md5( uniqid( $prefix, true ) ), 0, 8 ) );
+
+			if ( ! wc_get_coupon_id_by_code( $code ) ) {
+				return $code;
+			}
+		}
+
+		throw new \RuntimeException( 'Could not generate a unique coupon code' );
+	}
+
 	/**
 	 * Get the configured discount amount.
 	 *
@@ -265,6 +265,58 @@ class WhatsAppApiClient implements WhatsAppClientInterface {
 		return $this->sendMessage( $body );
 	}
 
+	/**
+	 * {@inheritdoc}
+	 */
+	public function sendVideo( string $to, string $video_url_or_id, ?string $caption = null ): array {
+		$this->validatePhoneNumber( $to );
+
+		$video = [];
+		if ( $this->isMediaId( $video_url_or_id ) ) {
+			$video['id'] = $video_url_or_id;
+		} else {
+			$video['link'] = $video_url_or_id;
+		}
+
+		if ( $caption ) {
+			$video['caption'] = $caption;
+		}
+
+		$body = [
+			'messaging_product' => 'whatsapp',
+			'recipient_type'    => 'individual',
+			'to'                => $to,
+			'type'              => 'video',
+			'video'             => $video,
+		];
+
+		return $this->sendMessage( $body );
+	}
+
+	/**
+	 * {@inheritdoc}
+	 */
+	public function sendAudio( string $to, string $audio_url_or_id ): array {
+		$this->validatePhoneNumber( $to );
+
+		$audio = [];
+		if ( $this->isMediaId( $audio_url_or_id ) ) {
+			$audio['id'] = $audio_url_or_id;
+		} else {
+			$audio['link'] = $audio_url_or_id;
+		}
+
+		$body = [
+			'messaging_product' => 'whatsapp',
+			'recipient_type'    => 'individual',
+			'to'                => $to,
+			'type'              => 'audio',
+			'audio'             => $audio,
+		];
+
+		return $this->sendMessage( $body );
+	}
+
 	/**
 	 * {@inheritdoc}
 	 */
@@ -388,6 +440,36 @@ class WhatsAppApiClient implements WhatsAppClientInterface {
 		return $response['url'];
 	}
 
+	/**
+	 * {@inheritdoc}
+	 */
+	public function downloadMedia( string $media_id, string $file_path ): string {
+		$url = $this->getMediaUrl( $media_id );
+
+		// Media URLs need the access token too; stream to disk so large videos don't fill memory.
+		$response = wp_remote_get(
+			$url,
+			[
+				'headers'   => [ 'Authorization' => 'Bearer ' . $this->access_token ],
+				'timeout'   => 60,
+				'stream'    => true,
+				'filename'  => $file_path,
+				'sslverify' => true,
+			]
+		);
+
+		if ( is_wp_error( $response ) ) {
+			throw new \RuntimeException( $response->get_error_message() );
+		}
+
+		$response_code = wp_remote_retrieve_response_code( $response );
+		if ( $response_code >= 400 ) {
+			throw new \RuntimeException( sprintf( 'Media download failed (HTTP %d)', $response_code ) );
+		}
+
+		return (string) wp_remote_retrieve_header( $response, 'content-type' );
+	}
+
 	/**
 	 * {@inheritdoc}
 	 */
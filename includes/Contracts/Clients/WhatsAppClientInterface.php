@@ -104,6 +104,29 @@ interface WhatsAppClientInterface {
 	 */
 	public function sendImage( string $to, string $image_url_or_id, ?string $caption = null ): array;
 
+	/**
+	 * Send video message.
+	 *
+	 * @param string      $to              Recipient phone number in E.164 format.
+	 * @param string      $video_url_or_id Video URL or media ID.
+	 * @param string|null $caption         Optional caption.
+	 * @return array{message_id: string|null, status: string}
+	 * @throws \RuntimeException If send fails.
+	 */
+	public function sendVideo( string $to, string $video_url_or_id, ?string $caption = null ): array;
+
+	/**
+	 * Send audio message.
+	 *
+	 * WhatsApp does not allow captions on audio.
+	 *
+	 * @param string $to              Recipient phone number in E.164 format.
+	 * @param string $audio_url_or_id Audio URL or media ID.
+	 * @return array{message_id: string|null, status: string}
+	 * @throws \RuntimeException If send fails.
+	 */
+	public function sendAudio( string $to, string $audio_url_or_id ): array;
+
 	/**
 	 * Send document message.
 	 *
@@ -169,6 +192,16 @@ interface WhatsAppClientInterface {
 	 */
 	public function getMediaUrl( string $media_id ): string;
 
+	/**
+	 * Download media to a file.
+	 *
+	 * @param string $media_id  Media ID.
+	 * @param string $file_path Path to write the file to.
+	 * @return string MIME type reported for the media.
+	 * @throws \RuntimeException If the download fails.
+	 */
+	public function downloadMedia( string $media_id, string $file_path ): string;
+
 	/**
 	 * Upload media file.
 	 *
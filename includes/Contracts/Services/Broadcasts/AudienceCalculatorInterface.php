@@ -32,6 +32,36 @@ interface AudienceCalculatorInterface {
 	 */
 	public function calculateCount( array $criteria ): int;
 
+	/**
+	 * Break an audience down by criterion and exclusion reason.
+	 *
+	 * @param array $criteria Audience selection criteria.
+	 * @return array{matched: array<int, array{label: string, count: int}>, audience: int, excluded: array<string, int>, total: int}
+	 *         Contacts matched by the source and by each criterion on its own, contacts
+	 *         matching all criteria, contacts removed per exclusion reason (opted_out,
+	 *         recent_broadcast, frequency_cap, manual) and the final recipient count.
+	 */
+	public function getBreakdown( array $criteria ): array;
+
+	/**
+	 * Get a page of the recipients a campaign would be sent to.
+	 *
+	 * @param array $criteria Audience selection criteria.
+	 * @param int   $page     Page number, starting at 1.
+	 * @param int   $perPage  Recipients per page.
+	 * @return array{recipients: array<int, array{phone: string, name: string}>, total: int, page: int, pages: int}
+	 */
+	public function getSample( array $criteria, int $page = 1, int $perPage = 10 ): array;
+
+	/**
+	 * Calculate audience count per country calling code.
+	 *
+	 * @param array $criteria Audience selection criteria.
+	 * @return array<string, int> Recipients keyed by calling code, largest first.
+	 *                            Numbers that match no known code are counted under an empty key.
+	 */
+	public function calculateCountByCallingCode( array $criteria ): array;
+
 	/**
 	 * Get campaign recipients.
 	 *
@@ -34,22 +34,115 @@ interface CampaignDispatcherInterface {
 	public function schedule( array $campaign, int $delay = 0 ): ?string;
 
 	/**
-	 * Send a test broadcast message.
+	 * Start a recurring campaign.
 	 *
-	 * @param array  $campaign  Campaign data.
-	 * @param string $testPhone Phone number to send test to.
-	 * @return array{success: bool, message: string} Result.
+	 * The campaign becomes a template for its runs; each run sends a copy of it
+	 * to the audience as it stands at that time.
+	 *
+	 * @param array $campaign Campaign data with a recurring schedule.
+	 * @return string|null Job ID, or null when the schedule has no future runs.
 	 */
-	public function sendTest( array $campaign, string $testPhone ): array;
+	public function scheduleRecurring( array $campaign ): ?string;
 
 	/**
-	 * Cancel a scheduled campaign.
+	 * Send one run of a recurring campaign and queue the next.
+	 *
+	 * @param int $campaignId Recurring campaign ID.
+	 * @param int $runAt      Run time as a Unix timestamp.
+	 * @return string|null Job ID of the run, or null if nothing was sent.
+	 */
+	public function runRecurring( int $campaignId, int $runAt ): ?string;
+
+	/**
+	 * Send a test broadcast message to one or more numbers.
+	 *
+	 * Falls back to the test phone in the API settings when no numbers are given.
+	 *
+	 * @param array              $campaign Campaign data.
+	 * @param array<int, string> $phones   E.164 phone numbers to send the test to.
+	 * @return array{success: bool, message: string, test_id: string, results: array<int, array>} Result,
+	 *               with per-number results tracked under the test ID.
+	 */
+	public function sendTest( array $campaign, array $phones ): array;
+
+	/**
+	 * Resolve personalization for a sample of real recipients.
+	 *
+	 * @param array $campaign Campaign data.
+	 * @param int   $limit    Maximum number of recipients.
+	 * @return array<int, array{name: string, phone: string, values: array<string, string>}>
+	 *               Recipients with masked phones and resolved values keyed by parameter key.
+	 */
+	public function previewRecipients( array $campaign, int $limit = 5 ): array;
+
+	/**
+	 * Work out when a campaign would be delivered if it were scheduled now.
+	 *
+	 * @param array $campaign Campaign data.
+	 * @return array{recipients: int, start: int, end: int, timezones: int, deferred: int}
+	 *               Delivery window as Unix timestamps, the timezones it spans and
+	 *               the recipients held back by quiet hours.
+	 */
+	public function planDelivery( array $campaign ): array;
+
+	/**
+	 * Pause a scheduled or sending campaign.
+	 *
+	 * Batches that come due while paused are held until the campaign is resumed.
+	 *
+	 * @param int $campaignId Campaign ID.
+	 * @return bool True on success.
+	 */
+	public function pause( int $campaignId ): bool;
+
+	/**
+	 * Resume a paused campaign.
+	 *
+	 * @param int $campaignId Campaign ID.
+	 * @return bool True on success.
+	 */
+	public function resume( int $campaignId ): bool;
+
+	/**
+	 * Cancel a campaign that has not finished sending.
+	 *
+	 * Batches not yet sent are dropped.
 	 *
 	 * @param int $campaignId Campaign ID.
 	 * @return bool True on success.
 	 */
 	public function cancel( int $campaignId ): bool;
 
+	/**
+	 * Move a draft or scheduled campaign to a new schedule.
+	 *
+	 * Scheduled campaigns are queued again for the new time.
+	 *
+	 * @param int   $campaignId Campaign ID.
+	 * @param array $schedule   Sanitized campaign schedule.
+	 * @return bool True on success, false if the campaign can't be moved or no recipients match.
+	 */
+	public function reschedule( int $campaignId, array $schedule ): bool;
+
+	/**
+	 * Pick the winning A/B variant and send it to the held-back audience.
+	 *
+	 * @param int $campaignId Campaign ID.
+	 * @return string|null Job ID, or null if the campaign is not awaiting a winner.
+	 */
+	public function dispatchWinner( int $campaignId ): ?string;
+
+	/**
+	 * Resend a campaign to recipients that failed with one error code.
+	 *
+	 * Each recipient gets the variant they were originally sent.
+	 *
+	 * @param int    $campaignId Campaign ID.
+	 * @param string $errorCode  Cloud API error code; empty for failures without one.
+	 * @return string|null Job ID, or null if the campaign has not finished sending or no recipients match.
+	 */
+	public function retryFailed( int $campaignId, string $errorCode ): ?string;
+
 	/**
 	 * Build campaign message from template.
 	 *
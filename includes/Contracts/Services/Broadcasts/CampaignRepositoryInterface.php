@@ -81,4 +81,16 @@ interface CampaignRepositoryInterface {
 	 * @return bool True on success.
 	 */
 	public function updateStats( int $campaignId, array $stats ): bool;
+
+	/**
+	 * Archive or restore a campaign.
+	 *
+	 * Archived campaigns are hidden from the campaign list by default. Only
+	 * finished campaigns can be archived.
+	 *
+	 * @param int  $campaignId Campaign ID.
+	 * @param bool $archived   True to archive, false to restore.
+	 * @return bool True on success.
+	 */
+	public function setArchived( int $campaignId, bool $archived ): bool;
 }
@@ -0,0 +1,75 @@
+<?php
+/**
+ * Contact List Repository Interface
+ *
+ * Contract for uploaded broadcast contact list data access operations.
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+declare(strict_types=1);
+
+namespace WhatsAppCommerceHub\Contracts\Services\Broadcasts;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Interface ContactListRepositoryInterface
+ *
+ * Defines the contract for contact lists imported from CSV files.
+ */
+interface ContactListRepositoryInterface {
+
+	/**
+	 * Store a new contact list.
+	 *
+	 * @param array<int, array{phone: string, fields: array<string, string>}> $contacts Normalized, de-duplicated contacts.
+	 * @return string New list ID.
+	 */
+	public function create( array $contacts ): string;
+
+	/**
+	 * Delete a contact list.
+	 *
+	 * @param string $listId List ID.
+	 * @return bool True on success.
+	 */
+	public function delete( string $listId ): bool;
+
+	/**
+	 * Get the column values stored for contacts in a list.
+	 *
+	 * @param string        $listId List ID.
+	 * @param array<string> $phones Phone numbers.
+	 * @return array<string, array<string, string>> Column values keyed by phone.
+	 */
+	public function getFields( string $listId, array $phones ): array;
+
+	/**
+	 * Get the first contact of a list.
+	 *
+	 * @param string $listId List ID.
+	 * @return array{phone: string, fields: array<string, string>}|null Contact or null if the list is empty.
+	 */
+	public function getFirst( string $listId ): ?array;
+
+	/**
+	 * Find phone numbers that have opted out of marketing messages.
+	 *
+	 * @param array<string> $phones E.164 phone numbers.
+	 * @return array<string> The opted-out numbers among those given.
+	 */
+	public function findOptedOut( array $phones ): array;
+
+	/**
+	 * SQL condition that is true when a phone column belongs to an opted-out customer.
+	 *
+	 * @param string $phoneColumn Qualified phone column, e.g. `c.phone`.
+	 * @return string SQL fragment without placeholders.
+	 */
+	public function optedOutCondition( string $phoneColumn ): string;
+}
@@ -0,0 +1,57 @@
+<?php
+/**
+ * Segment Repository Interface
+ *
+ * Contract for saved audience segment data access operations.
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+declare(strict_types=1);
+
+namespace WhatsAppCommerceHub\Contracts\Services\Broadcasts;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Interface SegmentRepositoryInterface
+ *
+ * Defines the contract for named, reusable audience segments.
+ */
+interface SegmentRepositoryInterface {
+
+	/**
+	 * Get all saved segments.
+	 *
+	 * @return array List of segments sorted by name.
+	 */
+	public function getAll(): array;
+
+	/**
+	 * Get a segment by ID.
+	 *
+	 * @param int $segmentId Segment ID.
+	 * @return array|null Segment data or null if not found.
+	 */
+	public function getById( int $segmentId ): ?array;
+
+	/**
+	 * Save a segment.
+	 *
+	 * @param array $segmentData Segment data with name and rules.
+	 * @return array Saved segment data with ID.
+	 */
+	public function save( array $segmentData ): array;
+
+	/**
+	 * Delete a segment.
+	 *
+	 * @param int $segmentId Segment ID.
+	 * @return bool True on success.
+	 */
+	public function delete( int $segmentId ): bool;
+}
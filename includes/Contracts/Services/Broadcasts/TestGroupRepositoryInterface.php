@@ -0,0 +1,57 @@
+<?php
+/**
+ * Test Group Repository Interface
+ *
+ * Contract for saved broadcast test group data access operations.
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+declare(strict_types=1);
+
+namespace WhatsAppCommerceHub\Contracts\Services\Broadcasts;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Interface TestGroupRepositoryInterface
+ *
+ * Defines the contract for named groups of internal test numbers.
+ */
+interface TestGroupRepositoryInterface {
+
+	/**
+	 * Get all saved test groups.
+	 *
+	 * @return array List of groups sorted by name.
+	 */
+	public function getAll(): array;
+
+	/**
+	 * Get a test group by ID.
+	 *
+	 * @param int $groupId Group ID.
+	 * @return array|null Group data or null if not found.
+	 */
+	public function getById( int $groupId ): ?array;
+
+	/**
+	 * Save a test group.
+	 *
+	 * @param array $groupData Group data with name and E.164 phones.
+	 * @return array Saved group data with ID.
+	 */
+	public function save( array $groupData ): array;
+
+	/**
+	 * Delete a test group.
+	 *
+	 * @param int $groupId Group ID.
+	 * @return bool True on success.
+	 */
+	public function delete( int $groupId ): bool;
+}
@@ -66,4 +66,13 @@ interface FrequencyCapManagerInterface {
 	 * @return array|null Message data or null.
 	 */
 	public function getLastMessage( string $customerPhone ): ?array;
+
+	/**
+	 * Build an SQL condition matching phones that have reached a frequency cap.
+	 *
+	 * @param string $phoneColumn  Column holding the phone number.
+	 * @param array  &$whereValues Prepared statement values, appended in placeholder order.
+	 * @return string SQL fragment.
+	 */
+	public function cappedCondition( string $phoneColumn, array &$whereValues ): string;
 }
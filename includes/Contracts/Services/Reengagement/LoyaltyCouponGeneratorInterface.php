@@ -32,6 +32,15 @@ interface LoyaltyCouponGeneratorInterface {
 	 */
 	public function generate( object $customer ): ?string;
 
+	/**
+	 * Create a single-use WooCommerce coupon with a unique code.
+	 *
+	 * @param array $args Coupon options: prefix, discount_type, amount, expiry_days,
+	 *                    minimum_amount, exclude_sale_items, email_restrictions and meta.
+	 * @return string|null Coupon code or null on failure.
+	 */
+	public function createCoupon( array $args ): ?string;
+
 	/**
 	 * Get the configured discount amount.
 	 *
@@ -12,9 +12,11 @@ declare(strict_types=1);
 
 namespace WhatsAppCommerceHub\Controllers;
 
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastTemplateBuilder;
 use WhatsAppCommerceHub\Clients\WhatsAppApiClient;
 use WhatsAppCommerceHub\Core\Logger;
 use WhatsAppCommerceHub\Infrastructure\Configuration\SettingsManager;
+use WhatsAppCommerceHub\Presentation\Templates\TemplateManager;
 use WhatsAppCommerceHub\Support\AI\AiAssistant;
 use WhatsAppCommerceHub\Support\AI\ResponseParser;
 use WP_REST_Request;
@@ -145,6 +147,100 @@ class ConversationsController extends AbstractController {
 	 */
 	private const MAX_BULK_ITEMS = 100;
 
+	/**
+	 * Longest an update request waits for changes, in seconds.
+	 *
+	 * Kept under the usual 30 second PHP and proxy timeouts.
+	 *
+	 * @var int
+	 */
+	private const UPDATES_MAX_WAIT = 25;
+
+	/**
+	 * Seconds between checks for changes while an update request waits.
+	 *
+	 * @var int
+	 */
+	private const UPDATES_CHECK_INTERVAL = 2;
+
+	/**
+	 * Message types whose content is a WhatsApp media object.
+	 *
+	 * @var array
+	 */
+	private const MEDIA_TYPES = [ 'image', 'audio', 'video', 'document', 'sticker' ];
+
+	/**
+	 * Media types safe to show inline in the admin.
+	 *
+	 * Anything else is sent as a download: customers choose the file, and an
+	 * HTML or SVG file shown inline would run in the agent's session.
+	 *
+	 * @var array
+	 */
+	private const INLINE_MEDIA_TYPES = [
+		'image/jpeg',
+		'image/png',
+		'image/webp',
+		'image/gif',
+		'audio/ogg',
+		'audio/mpeg',
+		'audio/mp4',
+		'audio/aac',
+		'audio/amr',
+		'video/mp4',
+		'video/3gpp',
+	];
+
+	/**
+	 * Media agents can send, with WhatsApp's size limit and accepted types.
+	 *
+	 * @var array<string, array{max_size: int, mime_types: array<int, string>}>
+	 */
+	public const OUTGOING_MEDIA_LIMITS = [
+		'image'    => [
+			'max_size'   => 5 * 1024 * 1024,
+			'mime_types' => [ 'image/jpeg', 'image/png' ],
+		],
+		'video'    => [
+			'max_size'   => 16 * 1024 * 1024,
+			'mime_types' => [ 'video/mp4', 'video/3gpp' ],
+		],
+		'audio'    => [
+			'max_size'   => 16 * 1024 * 1024,
+			'mime_types' => [ 'audio/aac', 'audio/amr', 'audio/mpeg', 'audio/mp4', 'audio/ogg' ],
+		],
+		'document' => [
+			'max_size'   => 100 * 1024 * 1024,
+			'mime_types' => [
+				'text/plain',
+				'application/pdf',
+				'application/msword',
+				'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+				'application/vnd.ms-excel',
+				'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+				'application/vnd.ms-powerpoint',
+				'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+			],
+		],
+	];
+
+	/**
+	 * Longest caption WhatsApp accepts on media.
+	 *
+	 * @var int
+	 */
+	private const MAX_CAPTION_LENGTH = 1024;
+
+	/**
+	 * Seconds after the customer's last message that free-form replies are allowed.
+	 *
+	 * Outside this customer service window WhatsApp only delivers approved templates.
+	 *
+	 * @var int
+	 */
+	private const SERVICE_WINDOW = 24 * 60 * 60;
+
 	/**
 	 * Register routes.
 	 *
@@ -165,6 +261,20 @@ class ConversationsController extends AbstractController {
 			]
 		);
 
+		// Changes since a cursor (long-polling).
+		register_rest_route(
+			$this->apiNamespace,
+			'/' . $this->rest_base . '/updates',
+			[
+				[
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => [ $this, 'getUpdates' ],
+					'permission_callback' => [ $this, 'checkAdminPermission' ],
+					'args'                => $this->getUpdatesArgs(),
+				],
+			]
+		);
+
 		// Single conversation.
 		register_rest_route(
 			$this->apiNamespace,
@@ -211,6 +321,45 @@ class ConversationsController extends AbstractController {
 			]
 		);
 
+		// Template reply, for conversations outside the customer service window.
+		register_rest_route(
+			$this->apiNamespace,
+			'/' . $this->rest_base . '/(?P<id>[\d]+)/template',
+			[
+				[
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => [ $this, 'sendTemplate' ],
+					'permission_callback' => [ $this, 'checkAdminPermission' ],
+					'args'                => $this->getSendTemplateArgs(),
+				],
+			]
+		);
+
+		// Message media, fetched from WhatsApp.
+		register_rest_route(
+			$this->apiNamespace,
+			'/' . $this->rest_base . '/(?P<id>[\d]+)/messages/(?P<message_id>[\d]+)/media',
+			[
+				[
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => [ $this, 'getMessageMedia' ],
+					'permission_callback' => [ $this, 'checkAdminPermission' ],
+					'args'                => [
+						'id'         => [
+							'required'          => true,
+							'type'              => 'integer',
+							'sanitize_callback' => 'absint',
+						],
+						'message_id' => [
+							'required'          => true,
+							'type'              => 'integer',
+							'sanitize_callback' => 'absint',
+						],
+					],
+				],
+			]
+		);
+
 		// Bulk operations.
 		register_rest_route(
 			$this->apiNamespace,
@@ -260,7 +409,6 @@ class ConversationsController extends AbstractController {
 
 		global $wpdb;
 		$tableConversations = $wpdb->prefix . 'wch_conversations';
-		$tableMessages      = $wpdb->prefix . 'wch_messages';
 		$tableProfiles      = $wpdb->prefix . 'wch_customer_profiles';
 
 		$search  = $request->get_param( 'search' );
@@ -290,68 +438,120 @@ class ConversationsController extends AbstractController {
 			$whereValues[] = $agentId;
 		}
 
-		$whereClause = implode( ' AND ', $where );
-
-		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching
-		$query = "
-			SELECT
-				c.id,
-				c.customer_phone,
-				c.wa_conversation_id,
-				c.status,
-				c.assigned_agent_id,
-				c.last_message_at,
-				c.created_at,
-				c.updated_at,
-				p.name as customer_name,
-				p.wc_customer_id,
-				u.display_name as agent_name,
-				(SELECT COUNT(*) FROM {$tableMessages} WHERE conversation_id = c.id AND direction = 'inbound' AND status != 'read') as unread_count,
-				(SELECT content FROM {$tableMessages} WHERE conversation_id = c.id ORDER BY created_at DESC LIMIT 1) as last_message_content,
-				(SELECT type FROM {$tableMessages} WHERE conversation_id = c.id ORDER BY created_at DESC LIMIT 1) as last_message_type
-			FROM {$tableConversations} c
-			LEFT JOIN {$tableProfiles} p ON c.customer_phone = p.phone
-			LEFT JOIN {$wpdb->users} u ON c.assigned_agent_id = u.ID
-			WHERE {$whereClause}
-			ORDER BY c.last_message_at DESC
-			LIMIT %d OFFSET %d
-		";
-
-		$whereValues[] = $perPage;
-		$whereValues[] = $offset;
-
-		if ( ! empty( $whereValues ) ) {
-			// phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
-			$query = $wpdb->prepare( $query, $whereValues );
-		}
-
-		// phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared,WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching
-		$conversations = $wpdb->get_results( $query, ARRAY_A );
+		// Take the cursor first so changes made while the list loads are picked up by the next update.
+		$cursor        = current_time( 'mysql' );
+		$whereClause   = implode( ' AND ', $where );
+		$conversations = $this->queryConversations( $whereClause, $whereValues, $perPage, $offset );
 
 		// Get total count.
 		$countQuery = "SELECT COUNT(*) FROM {$tableConversations} c LEFT JOIN {$tableProfiles} p ON c.customer_phone = p.phone WHERE {$whereClause}";
-		if ( count( $whereValues ) > 2 ) {
+		if ( ! empty( $whereValues ) ) {
 			// phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
-			$countQuery = $wpdb->prepare( $countQuery, array_slice( $whereValues, 0, -2 ) );
+			$countQuery = $wpdb->prepare( $countQuery, $whereValues );
 		}
 		// phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared,WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching
 		$total = (int) $wpdb->get_var( $countQuery );
 
-		// Process conversations.
-		foreach ( $conversations as &$conversation ) {
-			if ( ! empty( $conversation['last_message_content'] ) ) {
-				$content                              = json_decode( $conversation['last_message_content'], true );
-				$conversation['last_message_preview'] = $this->getMessagePreview( $content, $conversation['last_message_type'] );
-			}
-			unset( $conversation['last_message_content'] );
-		}
-
 		$response = rest_ensure_response( $conversations );
 		$response = $this->addPaginationHeaders( $response, $total, $perPage, $page );
+		$response->header( 'X-WCH-Cursor', $cursor );
 
 		return $this->prepareResponse( $response, $request );
 	}
 
+	/**
+	 * Get conversations and messages changed since a cursor.
+	 *
+	 * Long-polls: holds the request until something changes or the wait
+	 * runs out, then returns the changes and the cursor for the next call.
+	 * Cursors are site-time timestamps and changes at the cursor second are
+	 * sent again, so clients should merge results by ID.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function getUpdates( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$rateLimitResult = $this->checkRateLimit( 'admin' );
+		if ( is_wp_error( $rateLimitResult ) ) {
+			return $rateLimitResult;
+		}
+
+		$since          = (string) $request->get_param( 'since' );
+		$conversationId = (int) $request->get_param( 'conversation_id' );
+		$wait           = min( self::UPDATES_MAX_WAIT, (int) $request->get_param( 'wait' ) );
+
+		if ( '' !== $since && ! preg_match( '/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/', $since ) ) {
+			return $this->prepareError(
+				'invalid_cursor',
+				__( 'Invalid update cursor', 'whatsapp-commerce-hub' ),
+				[],
+				400
+			);
+		}
+
+		if ( $conversationId > 0 ) {
+			// SECURITY: Check conversation access (IDOR protection).
+			$accessResult = $this->checkConversationAccess( $conversationId );
+			if ( is_wp_error( $accessResult ) ) {
+				return $accessResult;
+			}
+		}
+
+		if ( '' === $since ) {
+			return $this->prepareResponse(
+				[
+					'cursor'        => current_time( 'mysql' ),
+					'conversations' => [],
+					'messages'      => [],
+				],
+				$request
+			);
+		}
+
+		$deadline = time() + $wait;
+
+		// Stop waiting on a change in the cursor second too, since the queries below send those again.
+		while ( $this->getLatestChange( $conversationId ) < $since && time() < $deadline ) {
+			sleep( self::UPDATES_CHECK_INTERVAL );
+		}
+
+		global $wpdb;
+		$tableMessages = $wpdb->prefix . 'wch_messages';
+		$cursor        = current_time( 'mysql' );
+
+		$conversations = $this->queryConversations(
+			"(c.updated_at >= %s OR c.last_message_at >= %s OR c.id IN (SELECT conversation_id FROM {$tableMessages} WHERE updated_at >= %s))",
+			[ $since, $since, $since ],
+			self::MAX_PER_PAGE,
+			0
+		);
+
+		$messages = [];
+		if ( $conversationId > 0 ) {
+			// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching
+			$messages = $wpdb->get_results(
+				$wpdb->prepare(
+					"SELECT * FROM {$tableMessages} WHERE conversation_id = %d AND updated_at >= %s ORDER BY created_at ASC LIMIT %d",
+					$conversationId,
+					$since,
+					self::MAX_PER_PAGE
+				),
+				ARRAY_A
+			);
+
+			$messages = array_map( [ $this, 'prepareMessage' ], $messages );
+		}
+
+		return $this->prepareResponse(
+			[
+				'cursor'        => $cursor,
+				'conversations' => $conversations,
+				'messages'      => $messages,
+			],
+			$request
+		);
+	}
+
 	/**
 	 * Get single conversation.
 	 *
@@ -374,6 +574,7 @@ class ConversationsController extends AbstractController {
 
 		global $wpdb;
 		$tableConversations = $wpdb->prefix . 'wch_conversations';
+		$tableMessages      = $wpdb->prefix . 'wch_messages';
 		$tableProfiles      = $wpdb->prefix . 'wch_customer_profiles';
 
 		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching
@@ -385,7 +586,8 @@ class ConversationsController extends AbstractController {
 					p.wc_customer_id,
 					p.saved_addresses,
 					p.preferences,
-					u.display_name as agent_name
+					u.display_name as agent_name,
+					(SELECT MAX(created_at) FROM {$tableMessages} WHERE conversation_id = c.id AND direction = 'inbound') as last_inbound_at
 				FROM {$tableConversations} c
 				LEFT JOIN {$tableProfiles} p ON c.customer_phone = p.phone
 				LEFT JOIN {$wpdb->users} u ON c.assigned_agent_id = u.ID
@@ -414,7 +616,7 @@ class ConversationsController extends AbstractController {
 
 		$conversation['saved_addresses'] = is_array( $savedAddresses ) ? $savedAddresses : [];
 
-		return $this->prepareResponse( $conversation, $request );
+		return $this->prepareResponse( $this->addServiceWindow( $conversation ), $request );
 	}
 
 	/**
@@ -437,6 +639,10 @@ class ConversationsController extends AbstractController {
 			return $accessResult;
 		}
 
+		if ( $request->has_param( 'before' ) ) {
+			return $this->getMessagesBefore( $conversationId, (int) $request->get_param( 'before' ), $request );
+		}
+
 		global $wpdb;
 		$tableMessages = $wpdb->prefix . 'wch_messages';
 		$page          = max( 1, (int) $request->get_param( 'page' ) );
@@ -454,46 +660,694 @@ class ConversationsController extends AbstractController {
 			ARRAY_A
 		);
 
-		foreach ( $messages as &$message ) {
-			$message['content'] = json_decode( $message['content'] ?? '{}', true );
+		$messages = array_map( [ $this, 'prepareMessage' ], $messages );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching
+		$total = (int) $wpdb->get_var(
+			$wpdb->prepare( "SELECT COUNT(*) FROM {$tableMessages} WHERE conversation_id = %d", $conversationId )
+		);
+
+		$response = rest_ensure_response( $messages );
+		$response = $this->addPaginationHeaders( $response, $total, $perPage, $page );
+
+		return $this->prepareResponse( $response, $request );
+	}
+
+	/**
+	 * Get the page of messages before a message, for scrolling back through history.
+	 *
+	 * Pages by message ID rather than offset so messages arriving while the
+	 * agent scrolls don't shift the pages.
+	 *
+	 * @param int             $conversationId Conversation ID.
+	 * @param int             $before         Message ID to page back from, or 0 for the newest page.
+	 * @param WP_REST_Request $request        Request object.
+	 * @return WP_REST_Response
+	 */
+	private function getMessagesBefore( int $conversationId, int $before, WP_REST_Request $request ): WP_REST_Response {
+		global $wpdb;
+		$tableMessages = $wpdb->prefix . 'wch_messages';
+		$perPage       = min( self::MAX_PER_PAGE, max( 1, (int) $request->get_param( 'per_page' ) ) );
+
+		// Fetch one extra row to tell whether older messages remain.
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching
+		$messages = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT * FROM {$tableMessages} WHERE conversation_id = %d AND ( %d = 0 OR id < %d ) ORDER BY id DESC LIMIT %d",
+				$conversationId,
+				$before,
+				$before,
+				$perPage + 1
+			),
+			ARRAY_A
+		);
+
+		$hasMore  = count( $messages ) > $perPage;
+		$messages = array_reverse( array_slice( $messages, 0, $perPage ) );
+
+		$messages = array_map( [ $this, 'prepareMessage' ], $messages );
+
+		$response = rest_ensure_response( $messages );
+		$response->header( 'X-WCH-Has-More', $hasMore ? '1' : '0' );
+
+		return $this->prepareResponse( $response, $request );
+	}
+
+	/**
+	 * Send a message's media.
+	 *
+	 * Inbound media is only stored as a WhatsApp media ID, and WhatsApp's
+	 * media URLs need the access token, so the file is fetched here.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error Error response; on success the file is sent and the request ends.
+	 */
+	public function getMessageMedia( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$rateLimitResult = $this->checkRateLimit( 'admin' );
+		if ( is_wp_error( $rateLimitResult ) ) {
+			return $rateLimitResult;
+		}
+
+		$conversationId = (int) $request['id'];
+
+		// SECURITY: Check conversation access (IDOR protection).
+		$accessResult = $this->checkConversationAccess( $conversationId );
+		if ( is_wp_error( $accessResult ) ) {
+			return $accessResult;
+		}
+
+		global $wpdb;
+		$tableMessages = $wpdb->prefix . 'wch_messages';
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching
+		$message = $wpdb->get_row(
+			$wpdb->prepare(
+				"SELECT type, content FROM {$tableMessages} WHERE id = %d AND conversation_id = %d",
+				(int) $request['message_id'],
+				$conversationId
+			),
+			ARRAY_A
+		);
+
+		$type    = (string) ( $message['type'] ?? '' );
+		$content = json_decode( $message['content'] ?? '{}', true );
+		$media   = in_array( $type, self::MEDIA_TYPES, true ) && is_array( $content ) ? ( $content[ $type ] ?? [] ) : [];
+
+		if ( empty( $media['id'] ) ) {
+			return $this->prepareError(
+				'media_not_found',
+				__( 'Media not found', 'whatsapp-commerce-hub' ),
+				[],
+				404
+			);
+		}
+
+		try {
+			$whatsappApi = wch( WhatsAppApiClient::class );
+		} catch ( \Throwable $e ) {
+			return $this->prepareError(
+				'whatsapp_client_unavailable',
+				$e->getMessage(),
+				[],
+				500
+			);
+		}
+
+		if ( ! function_exists( 'wp_tempnam' ) ) {
+			require_once ABSPATH . 'wp-admin/includes/file.php';
+		}
+
+		$file = wp_tempnam( 'wch-media' );
+
+		try {
+			$mimeType = $whatsappApi->downloadMedia( (string) $media['id'], $file );
+		} catch ( \Throwable $e ) {
+			wp_delete_file( $file );
+
+			$this->log(
+				'Media download failed',
+				[
+					'message_id' => (int) $request['message_id'],
+					'error'      => $e->getMessage(),
+				],
+				'warning'
+			);
+
+			return $this->prepareError(
+				'media_download_failed',
+				__( 'Failed to download media from WhatsApp', 'whatsapp-commerce-hub' ),
+				[],
+				502
+			);
+		}
+
+		$this->sendMediaFile( $file, $mimeType ?: (string) ( $media['mime_type'] ?? '' ), (string) ( $media['filename'] ?? '' ) );
+	}
+
+	/**
+	 * Send a downloaded media file and end the request.
+	 *
+	 * @param string $file     Path to the downloaded file; deleted once sent.
+	 * @param string $mimeType MIME type reported by WhatsApp.
+	 * @param string $filename Original file name, if the customer sent one.
+	 * @return never
+	 */
+	private function sendMediaFile( string $file, string $mimeType, string $filename ): never {
+		header( 'Content-Length: ' . filesize( $file ) );
+		foreach ( $this->getMediaHeaders( $mimeType, $filename ) as $name => $value ) {
+			header( $name . ': ' . $value );
+		}
+
+		// phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_readfile
+		readfile( $file );
+		wp_delete_file( $file );
+		exit;
+	}
+
+	/**
+	 * Get the headers for sending a media file.
+	 *
+	 * @param string $mimeType MIME type reported by WhatsApp.
+	 * @param string $filename Original file name, if the customer sent one.
+	 * @return array<string, string> Header values by name.
+	 */
+	private function getMediaHeaders( string $mimeType, string $filename ): array {
+		$mimeType = strtolower( trim( explode( ';', $mimeType )[0] ) );
+		if ( ! preg_match( '#^[a-z0-9.+-]+/[a-z0-9.+-]+$#', $mimeType ) ) {
+			$mimeType = 'application/octet-stream';
+		}
+
+		$inline   = in_array( $mimeType, self::INLINE_MEDIA_TYPES, true );
+		$filename = sanitize_file_name( $filename ) ?: 'whatsapp-media';
+
+		return [
+			'Content-Type'            => $mimeType,
+			'Content-Disposition'     => ( $inline ? 'inline' : 'attachment' ) . '; filename="' . $filename . '"',
+			'X-Content-Type-Options'  => 'nosniff',
+			'Content-Security-Policy' => 'sandbox',
+			'Cache-Control'           => 'private, max-age=' . DAY_IN_SECONDS,
+		];
+	}
+
+	/**
+	 * Send a message.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function sendMessage( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$rateLimitResult = $this->checkRateLimit( 'admin' );
+		if ( is_wp_error( $rateLimitResult ) ) {
+			return $rateLimitResult;
+		}
+
+		$conversationId = (int) $request['id'];
+
+		// SECURITY: Check conversation access (IDOR protection).
+		$accessResult = $this->checkConversationAccess( $conversationId );
+		if ( is_wp_error( $accessResult ) ) {
+			return $accessResult;
+		}
+
+		$conversation = $this->findConversation( $conversationId );
+
+		if ( ! $conversation ) {
+			return $this->prepareError(
+				'conversation_not_found',
+				__( 'Conversation not found', 'whatsapp-commerce-hub' ),
+				[],
+				404
+			);
+		}
+
+		if ( ! $this->isServiceWindowOpen( $conversationId ) ) {
+			return $this->prepareError(
+				'service_window_closed',
+				__( 'It has been more than 24 hours since the customer\'s last message, so WhatsApp only delivers approved templates. Send a template to reopen the conversation.', 'whatsapp-commerce-hub' ),
+				[],
+				400
+			);
+		}
+
+		$files       = $request->get_file_params();
+		$messageText = trim( (string) $request['message'] );
+
+		if ( empty( $files['file'] ) && '' === $messageText ) {
+			return $this->prepareError(
+				'empty_message',
+				__( 'Enter a message or attach a file', 'whatsapp-commerce-hub' ),
+				[],
+				400
+			);
+		}
+
+		try {
+			$whatsappApi = wch( WhatsAppApiClient::class );
+		} catch ( \Throwable $e ) {
+			return $this->prepareError(
+				'whatsapp_client_unavailable',
+				$e->getMessage(),
+				[],
+				500
+			);
+		}
+
+		if ( ! empty( $files['file'] ) ) {
+			return $this->sendAttachment( $conversation, $files['file'], $request, $whatsappApi );
+		}
+
+		$result = $whatsappApi->sendTextMessage( $conversation['customer_phone'], $messageText );
+
+		$messageId = $result['messages'][0]['id'] ?? $result['message_id'] ?? null;
+		if ( ! $messageId ) {
+			return $this->prepareError(
+				'whatsapp_message_failed',
+				__( 'Failed to send WhatsApp message', 'whatsapp-commerce-hub' ),
+				[],
+				500
+			);
+		}
+
+		$message = $this->storeOutboundMessage( $conversationId, 'text', (string) $messageId, [ 'text' => $messageText ] );
+
+		return $this->prepareResponse( $message, $request );
+	}
+
+	/**
+	 * Send an approved template.
+	 *
+	 * This is the only way to message a customer outside the customer service
+	 * window; a reply from the customer opens the window again.
+	 *
+	 * @param WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function sendTemplate( WP_REST_Request $request ): WP_REST_Response|WP_Error {
+		$rateLimitResult = $this->checkRateLimit( 'admin' );
+		if ( is_wp_error( $rateLimitResult ) ) {
+			return $rateLimitResult;
+		}
+
+		$conversationId = (int) $request['id'];
+
+		// SECURITY: Check conversation access (IDOR protection).
+		$accessResult = $this->checkConversationAccess( $conversationId );
+		if ( is_wp_error( $accessResult ) ) {
+			return $accessResult;
+		}
+
+		$conversation = $this->findConversation( $conversationId );
+
+		if ( ! $conversation ) {
+			return $this->prepareError(
+				'conversation_not_found',
+				__( 'Conversation not found', 'whatsapp-commerce-hub' ),
+				[],
+				404
+			);
+		}
+
+		try {
+			$templateManager = wch( TemplateManager::class );
+			$templateBuilder = wch( BroadcastTemplateBuilder::class );
+			$whatsappApi     = wch( WhatsAppApiClient::class );
+		} catch ( \Throwable $e ) {
+			return $this->prepareError(
+				'whatsapp_client_unavailable',
+				$e->getMessage(),
+				[],
+				500
+			);
+		}
+
+		$template = $this->findApprovedTemplate( $templateManager, $templateBuilder, (string) $request['template'], (string) $request['language'] );
+
+		if ( null === $template ) {
+			return $this->prepareError(
+				'template_not_found',
+				__( 'Template not found or not approved', 'whatsapp-commerce-hub' ),
+				[],
+				404
+			);
+		}
+
+		$values          = (array) $request['parameters'];
+		$personalization = [];
+		$bodyVariables   = [];
+
+		foreach ( $templateBuilder->getParameters( $template ) as $parameter ) {
+			$value = trim( sanitize_text_field( (string) ( $values[ $parameter['key'] ] ?? '' ) ) );
+
+			// WhatsApp rejects empty parameters, and the builder would otherwise fill in the customer's name.
+			if ( '' === $value || ( 'media' === $parameter['input'] && ! wp_http_validate_url( $value ) ) ) {
+				return $this->prepareError(
+					'template_parameter_invalid',
+					__( 'Fill in every template variable; media headers need a public URL', 'whatsapp-commerce-hub' ),
+					[ 'parameter' => $parameter['key'] ],
+					400
+				);
+			}
+
+			$personalization[ $parameter['key'] ] = [
+				'type'  => 'static',
+				'value' => $value,
+			];
+
+			if ( 'body' === $parameter['component'] ) {
+				$bodyVariables[ $parameter['name'] ] = $value;
+			}
+		}
+
+		$language = $templateBuilder->getLanguageCode( $template );
+
+		try {
+			$result = $whatsappApi->sendTemplate(
+				(string) $conversation['customer_phone'],
+				(string) $template['name'],
+				$language,
+				$templateBuilder->buildComponents( $template, $personalization )
+			);
+		} catch ( \Throwable $e ) {
+			$this->log(
+				'Template message failed',
+				[
+					'conversation_id' => $conversationId,
+					'template'        => $template['name'],
+					'error'           => $e->getMessage(),
+				],
+				'warning'
+			);
+
+			return $this->prepareError(
+				'whatsapp_message_failed',
+				__( 'Failed to send WhatsApp message', 'whatsapp-commerce-hub' ),
+				[],
+				502
+			);
+		}
+
+		$messageId = $result['messages'][0]['id'] ?? $result['message_id'] ?? null;
+		if ( ! $messageId ) {
+			return $this->prepareError(
+				'whatsapp_message_failed',
+				__( 'Failed to send WhatsApp message', 'whatsapp-commerce-hub' ),
+				[],
+				500
+			);
+		}
+
+		try {
+			$text = $templateManager->renderTemplate( (string) $template['name'], $bodyVariables );
+		} catch ( \Throwable $e ) {
+			$text = '';
+		}
+
+		$message = $this->storeOutboundMessage(
+			$conversationId,
+			'template',
+			(string) $messageId,
+			[
+				'template' => [
+					'name'     => (string) $template['name'],
+					'language' => $language,
+					'text'     => $text,
+				],
+			]
+		);
+
+		return $this->prepareResponse( $message, $request );
+	}
+
+	/**
+	 * Find an approved template by name and language.
+	 *
+	 * The inbox lists each language of a template separately, so the name alone
+	 * doesn't identify the version the agent picked.
+	 *
+	 * @param TemplateManager          $templateManager Template manager.
+	 * @param BroadcastTemplateBuilder $templateBuilder Template builder, to read language codes.
+	 * @param string                   $name            Template name.
+	 * @param string                   $language        Language code.
+	 * @return array|null Template data, or null if no approved version matches.
+	 */
+	private function findApprovedTemplate( TemplateManager $templateManager, BroadcastTemplateBuilder $templateBuilder, string $name, string $language ): ?array {
+		foreach ( (array) $templateManager->getTemplates() as $template ) {
+			if ( ! is_array( $template ) || 'APPROVED' !== ( $template['status'] ?? '' ) ) {
+				continue;
+			}
+
+			if ( $name === ( $template['name'] ?? '' ) && $language === $templateBuilder->getLanguageCode( $template ) ) {
+				return $template;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Send an uploaded file as a media message.
+	 *
+	 * The file is checked against WhatsApp's limits, uploaded to WhatsApp and
+	 * deleted. The stored message keeps the WhatsApp media ID, so the media
+	 * route serves it like an inbound one.
+	 *
+	 * @param array             $conversation Conversation row.
+	 * @param array             $file         Uploaded file from $_FILES.
+	 * @param WP_REST_Request   $request      Request object; `message` is the caption.
+	 * @param WhatsAppApiClient $whatsappApi  WhatsApp client.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	private function sendAttachment( array $conversation, array $file, WP_REST_Request $request, WhatsAppApiClient $whatsappApi ): WP_REST_Response|WP_Error {
+		$tmpName = (string) ( $file['tmp_name'] ?? '' );
+
+		if ( UPLOAD_ERR_OK !== (int) ( $file['error'] ?? UPLOAD_ERR_NO_FILE ) || ! is_uploaded_file( $tmpName ) ) {
+			return $this->prepareError(
+				'upload_failed',
+				__( 'The file could not be uploaded', 'whatsapp-commerce-hub' ),
+				[],
+				400
+			);
+		}
+
+		$filename = sanitize_file_name( wp_basename( (string) ( $file['name'] ?? '' ) ) );
+		$caption  = trim( (string) $request['message'] );
+		$checked  = $this->checkAttachment( $tmpName, $filename, (string) ( $file['type'] ?? '' ), $caption );
+
+		if ( is_wp_error( $checked ) ) {
+			return $checked;
+		}
+
+		// uploadMedia() only reads from the uploads directory. The name is random
+		// and the extension comes from the checked type, never the upload.
+		$uploads = wp_upload_dir();
+		$dir     = trailingslashit( $uploads['basedir'] ) . 'wch-outgoing';
+		$path    = $dir . '/' . wp_generate_uuid4() . '.' . ( wp_get_default_extension_for_mime_type( $checked['mime_type'] ) ?: 'bin' );
+
+		if ( ! wp_mkdir_p( $dir ) || ! move_uploaded_file( $tmpName, $path ) ) {
+			return $this->prepareError(
+				'upload_failed',
+				__( 'The file could not be uploaded', 'whatsapp-commerce-hub' ),
+				[],
+				500
+			);
+		}
+
+		$message = $this->sendMediaMessage( $conversation, $path, $checked['type'], $checked['mime_type'], $filename, $caption, $whatsappApi );
+
+		if ( is_wp_error( $message ) ) {
+			return $message;
+		}
+
+		return $this->prepareResponse( $message, $request );
+	}
+
+	/**
+	 * Check a file against what WhatsApp accepts.
+	 *
+	 * @param string $file     Path to the file.
+	 * @param string $filename Sanitized original file name.
+	 * @param string $declared Type the browser sent.
+	 * @param string $caption  Caption, or an empty string.
+	 * @return array{type: string, mime_type: string}|WP_Error WhatsApp message type and MIME type.
+	 */
+	private function checkAttachment( string $file, string $filename, string $declared, string $caption ): array|WP_Error {
+		$mimeType = $this->detectMimeType( $file, $filename, $declared );
+		$type     = $this->getOutgoingMediaType( $mimeType );
+
+		if ( null === $type ) {
+			return $this->prepareError(
+				'media_type_unsupported',
+				__( 'WhatsApp can\'t send this type of file', 'whatsapp-commerce-hub' ),
+				[ 'mime_type' => $mimeType ],
+				400
+			);
+		}
+
+		$maxSize = self::OUTGOING_MEDIA_LIMITS[ $type ]['max_size'];
+		if ( (int) filesize( $file ) > $maxSize ) {
+			return $this->prepareError(
+				'media_too_large',
+				/* translators: %s: maximum file size, e.g. 5 MB */
+				sprintf( __( 'This file is too large for WhatsApp; the limit for this type is %s', 'whatsapp-commerce-hub' ), size_format( $maxSize ) ),
+				[],
+				400
+			);
+		}
+
+		if ( 'audio' === $type && '' !== $caption ) {
+			return $this->prepareError(
+				'caption_not_allowed',
+				__( 'Audio messages can\'t have a caption', 'whatsapp-commerce-hub' ),
+				[],
+				400
+			);
+		}
+
+		if ( mb_strlen( $caption ) > self::MAX_CAPTION_LENGTH ) {
+			return $this->prepareError(
+				'caption_too_long',
+				/* translators: %d: maximum number of characters */
+				sprintf( __( 'Captions can be up to %d characters', 'whatsapp-commerce-hub' ), self::MAX_CAPTION_LENGTH ),
+				[],
+				400
+			);
+		}
+
+		return [
+			'type'      => $type,
+			'mime_type' => $mimeType,
+		];
+	}
+
+	/**
+	 * Upload a checked file to WhatsApp, send it and store the message.
+	 *
+	 * @param array             $conversation Conversation row.
+	 * @param string            $path         File in the uploads directory; deleted whether or not it is sent.
+	 * @param string            $type         WhatsApp message type.
+	 * @param string            $mimeType     MIME type.
+	 * @param string            $filename     Sanitized original file name.
+	 * @param string            $caption      Caption, or an empty string.
+	 * @param WhatsAppApiClient $whatsappApi  WhatsApp client.
+	 * @return array|WP_Error Stored message.
+	 */
+	private function sendMediaMessage( array $conversation, string $path, string $type, string $mimeType, string $filename, string $caption, WhatsAppApiClient $whatsappApi ): array|WP_Error {
+		$phone = (string) $conversation['customer_phone'];
+
+		// WhatsApp has no voice flag; it shows Ogg Opus audio as a voice note.
+		$voice = 'audio/ogg' === $mimeType;
+
+		try {
+			$mediaId = $whatsappApi->uploadMedia( $path, $mimeType );
+			$result  = match ( $type ) {
+				'image'    => $whatsappApi->sendImage( $phone, $mediaId, $caption ?: null ),
+				'video'    => $whatsappApi->sendVideo( $phone, $mediaId, $caption ?: null ),
+				'audio'    => $whatsappApi->sendAudio( $phone, $mediaId ),
+				'document' => $whatsappApi->sendDocument( $phone, $mediaId, $filename ?: null, $caption ?: null ),
+			};
+		} catch ( \Throwable $e ) {
+			$this->log(
+				'Media message failed',
+				[
+					'conversation_id' => (int) $conversation['id'],
+					'type'            => $type,
+					'error'           => $e->getMessage(),
+				],
+				'warning'
+			);
+
+			return $this->prepareError(
+				'whatsapp_message_failed',
+				__( 'Failed to send WhatsApp message', 'whatsapp-commerce-hub' ),
+				[],
+				502
+			);
+		} finally {
+			wp_delete_file( $path );
+		}
+
+		$messageId = $result['messages'][0]['id'] ?? $result['message_id'] ?? null;
+		if ( ! $messageId ) {
+			return $this->prepareError(
+				'whatsapp_message_failed',
+				__( 'Failed to send WhatsApp message', 'whatsapp-commerce-hub' ),
+				[],
+				500
+			);
 		}
 
-		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching
-		$total = (int) $wpdb->get_var(
-			$wpdb->prepare( "SELECT COUNT(*) FROM {$tableMessages} WHERE conversation_id = %d", $conversationId )
+		$media = array_filter(
+			[
+				'id'        => $mediaId,
+				'mime_type' => $mimeType,
+				'filename'  => 'document' === $type ? $filename : '',
+				'caption'   => $caption,
+				'voice'     => $voice,
+			]
 		);
 
-		$response = rest_ensure_response( $messages );
-		$response = $this->addPaginationHeaders( $response, $total, $perPage, $page );
-
-		return $this->prepareResponse( $response, $request );
+		return $this->storeOutboundMessage( (int) $conversation['id'], $type, (string) $messageId, [ $type => $media ] );
 	}
 
 	/**
-	 * Send a message.
+	 * Work out the type of an uploaded file from its contents.
 	 *
-	 * @param WP_REST_Request $request Request object.
-	 * @return WP_REST_Response|WP_Error
+	 * @param string $file     Path to the file.
+	 * @param string $filename Original file name.
+	 * @param string $declared Type the browser sent.
+	 * @return string MIME type.
 	 */
-	public function sendMessage( WP_REST_Request $request ): WP_REST_Response|WP_Error {
-		$rateLimitResult = $this->checkRateLimit( 'admin' );
-		if ( is_wp_error( $rateLimitResult ) ) {
-			return $rateLimitResult;
+	private function detectMimeType( string $file, string $filename, string $declared ): string {
+		$aliases = [
+			'image/jpg'           => 'image/jpeg',
+			'audio/x-hx-aac-adts' => 'audio/aac',
+			'audio/x-m4a'         => 'audio/mp4',
+			'audio/mp3'           => 'audio/mpeg',
+			'audio/opus'          => 'audio/ogg',
+			'application/ogg'     => 'audio/ogg',
+		];
+
+		$mimeType = function_exists( 'mime_content_type' ) ? (string) mime_content_type( $file ) : '';
+		$mimeType = $aliases[ $mimeType ] ?? $mimeType;
+
+		// MP4 audio and video share a container, so go by what the browser recorded or picked.
+		if ( 'video/mp4' === $mimeType && str_starts_with( $declared, 'audio/' ) ) {
+			return 'audio/mp4';
 		}
 
-		$conversationId = (int) $request['id'];
+		// Office documents are zip archives underneath, and some types aren't recognised at all.
+		if ( in_array( $mimeType, [ '', 'application/zip', 'application/octet-stream' ], true ) ) {
+			$mimeType = (string) wp_check_filetype( $filename )['type'];
+		}
 
-		// SECURITY: Check conversation access (IDOR protection).
-		$accessResult = $this->checkConversationAccess( $conversationId );
-		if ( is_wp_error( $accessResult ) ) {
-			return $accessResult;
+		return $mimeType;
+	}
+
+	/**
+	 * Get the WhatsApp message type for a file.
+	 *
+	 * @param string $mimeType MIME type.
+	 * @return string|null Message type, or null if WhatsApp doesn't accept the file.
+	 */
+	private function getOutgoingMediaType( string $mimeType ): ?string {
+		foreach ( self::OUTGOING_MEDIA_LIMITS as $type => $limits ) {
+			if ( in_array( $mimeType, $limits['mime_types'], true ) ) {
+				return $type;
+			}
 		}
 
-		$messageText = $request['message'];
+		return null;
+	}
 
+	/**
+	 * Get a conversation row.
+	 *
+	 * @param int $conversationId Conversation ID.
+	 * @return array|null Conversation, or null if it doesn't exist.
+	 */
+	private function findConversation( int $conversationId ): ?array {
 		global $wpdb;
 		$tableConversations = $wpdb->prefix . 'wch_conversations';
-		$tableMessages      = $wpdb->prefix . 'wch_messages';
 
 		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching
 		$conversation = $wpdb->get_row(
@@ -501,62 +1355,96 @@ class ConversationsController extends AbstractController {
 			ARRAY_A
 		);
 
-		if ( ! $conversation ) {
-			return $this->prepareError(
-				'conversation_not_found',
-				__( 'Conversation not found', 'whatsapp-commerce-hub' ),
-				[],
-				404
-			);
-		}
+		return $conversation ?: null;
+	}
 
-		try {
-			$whatsappApi = wch( WhatsAppApiClient::class );
-		} catch ( \Throwable $e ) {
-			return $this->prepareError(
-				'whatsapp_client_unavailable',
-				$e->getMessage(),
-				[],
-				500
-			);
-		}
+	/**
+	 * Get when a conversation's customer service window closes.
+	 *
+	 * Inbound messages are stored with WhatsApp's timestamp, in UTC.
+	 *
+	 * @param string|null $lastInboundAt When the customer last wrote.
+	 * @return int|null Unix timestamp, or null if the customer has never written.
+	 */
+	private function getServiceWindowEnd( ?string $lastInboundAt ): ?int {
+		$time = $lastInboundAt ? strtotime( $lastInboundAt . ' UTC' ) : false;
 
-		$result = $whatsappApi->sendTextMessage( $conversation['customer_phone'], $messageText );
+		return false !== $time ? $time + self::SERVICE_WINDOW : null;
+	}
 
-		$messageId = $result['messages'][0]['id'] ?? $result['message_id'] ?? null;
-		if ( ! $messageId ) {
-			return $this->prepareError(
-				'whatsapp_message_failed',
-				__( 'Failed to send WhatsApp message', 'whatsapp-commerce-hub' ),
-				[],
-				500
-			);
-		}
+	/**
+	 * Replace a conversation's `last_inbound_at` with when its service window closes.
+	 *
+	 * @param array $conversation Conversation row with `last_inbound_at`.
+	 * @return array Conversation with `window_expires_at` as an ISO 8601 UTC time, or null.
+	 */
+	private function addServiceWindow( array $conversation ): array {
+		$windowEnd = $this->getServiceWindowEnd( $conversation['last_inbound_at'] ?? null );
+
+		$conversation['window_expires_at'] = null !== $windowEnd ? gmdate( 'Y-m-d\TH:i:s\Z', $windowEnd ) : null;
+		unset( $conversation['last_inbound_at'] );
+
+		return $conversation;
+	}
+
+	/**
+	 * Check whether free-form messages can be sent in a conversation.
+	 *
+	 * @param int $conversationId Conversation ID.
+	 * @return bool True within 24 hours of the customer's last message.
+	 */
+	private function isServiceWindowOpen( int $conversationId ): bool {
+		global $wpdb;
+		$tableMessages = $wpdb->prefix . 'wch_messages';
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching
+		$lastInboundAt = $wpdb->get_var(
+			$wpdb->prepare(
+				"SELECT MAX(created_at) FROM {$tableMessages} WHERE conversation_id = %d AND direction = 'inbound'",
+				$conversationId
+			)
+		);
+
+		$windowEnd = $this->getServiceWindowEnd( $lastInboundAt );
+
+		return null !== $windowEnd && $windowEnd > time();
+	}
+
+	/**
+	 * Store a message sent from the inbox.
+	 *
+	 * @param int    $conversationId Conversation ID.
+	 * @param string $type           Message type.
+	 * @param string $waMessageId    WhatsApp message ID.
+	 * @param array  $content        Message content.
+	 * @return array Message prepared for the inbox.
+	 */
+	private function storeOutboundMessage( int $conversationId, string $type, string $waMessageId, array $content ): array {
+		global $wpdb;
 
 		$messageData = [
 			'conversation_id' => $conversationId,
 			'direction'       => 'outbound',
-			'type'            => 'text',
-			'wa_message_id'   => $messageId,
-			'content'         => wp_json_encode( [ 'text' => $messageText ] ),
+			'type'            => $type,
+			'wa_message_id'   => $waMessageId,
+			'content'         => wp_json_encode( $content ),
 			'status'          => 'sent',
 			'created_at'      => current_time( 'mysql' ),
 			'updated_at'      => current_time( 'mysql' ),
 		];
 
 		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery
-		$wpdb->insert( $tableMessages, $messageData );
-		$messageData['id']      = $wpdb->insert_id;
-		$messageData['content'] = json_decode( $messageData['content'], true );
+		$wpdb->insert( $wpdb->prefix . 'wch_messages', $messageData );
+		$messageData['id'] = $wpdb->insert_id;
 
 		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery
 		$wpdb->update(
-			$tableConversations,
+			$wpdb->prefix . 'wch_conversations',
 			[ 'last_message_at' => current_time( 'mysql' ) ],
 			[ 'id' => $conversationId ]
 		);
 
-		return $this->prepareResponse( $messageData, $request );
+		return $this->prepareMessage( $messageData );
 	}
 
 	/**
@@ -900,6 +1788,175 @@ class ConversationsController extends AbstractController {
 		);
 	}
 
+	/**
+	 * Query conversation list rows.
+	 *
+	 * @param string $whereClause SQL conditions on the conversations (c) and profiles (p) tables.
+	 * @param array  $whereValues Values for the placeholders in the conditions.
+	 * @param int    $limit       Maximum rows.
+	 * @param int    $offset      Rows to skip.
+	 * @return array Conversations, most recent message first.
+	 */
+	private function queryConversations( string $whereClause, array $whereValues, int $limit, int $offset ): array {
+		global $wpdb;
+		$tableConversations = $wpdb->prefix . 'wch_conversations';
+		$tableMessages      = $wpdb->prefix . 'wch_messages';
+		$tableProfiles      = $wpdb->prefix . 'wch_customer_profiles';
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching
+		$query = "
+			SELECT
+				c.id,
+				c.customer_phone,
+				c.wa_conversation_id,
+				c.status,
+				c.assigned_agent_id,
+				c.last_message_at,
+				c.created_at,
+				c.updated_at,
+				p.name as customer_name,
+				p.wc_customer_id,
+				u.display_name as agent_name,
+				(SELECT COUNT(*) FROM {$tableMessages} WHERE conversation_id = c.id AND direction = 'inbound' AND status != 'read') as unread_count,
+				(SELECT content FROM {$tableMessages} WHERE conversation_id = c.id ORDER BY created_at DESC LIMIT 1) as last_message_content,
+				(SELECT type FROM {$tableMessages} WHERE conversation_id = c.id ORDER BY created_at DESC LIMIT 1) as last_message_type,
+				(SELECT MAX(created_at) FROM {$tableMessages} WHERE conversation_id = c.id AND direction = 'inbound') as last_inbound_at
+			FROM {$tableConversations} c
+			LEFT JOIN {$tableProfiles} p ON c.customer_phone = p.phone
+			LEFT JOIN {$wpdb->users} u ON c.assigned_agent_id = u.ID
+			WHERE {$whereClause}
+			ORDER BY c.last_message_at DESC
+			LIMIT %d OFFSET %d
+		";
+
+		// phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+		$query = $wpdb->prepare( $query, array_merge( $whereValues, [ $limit, $offset ] ) );
+
+		// phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared,WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching
+		$conversations = $wpdb->get_results( $query, ARRAY_A );
+
+		foreach ( $conversations as &$conversation ) {
+			if ( ! empty( $conversation['last_message_content'] ) ) {
+				$content                              = json_decode( $conversation['last_message_content'], true );
+				$conversation['last_message_preview'] = $this->getMessagePreview( $content, $conversation['last_message_type'] );
+			}
+			unset( $conversation['last_message_content'] );
+
+			$conversation = $this->addServiceWindow( $conversation );
+		}
+		unset( $conversation );
+
+		return $conversations;
+	}
+
+	/**
+	 * Get when the inbox last changed.
+	 *
+	 * Uses only indexed columns, so it is cheap enough to check while long-polling.
+	 *
+	 * @param int $conversationId Open conversation ID, or 0.
+	 * @return string Site-time timestamp of the latest change.
+	 */
+	private function getLatestChange( int $conversationId ): string {
+		global $wpdb;
+		$tableConversations = $wpdb->prefix . 'wch_conversations';
+		$tableMessages      = $wpdb->prefix . 'wch_messages';
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching
+		$latest = $wpdb->get_var(
+			$wpdb->prepare(
+				"SELECT GREATEST(
+					COALESCE((SELECT MAX(updated_at) FROM {$tableConversations}), '1970-01-01 00:00:00'),
+					COALESCE((SELECT MAX(last_message_at) FROM {$tableConversations}), '1970-01-01 00:00:00'),
+					COALESCE((SELECT MAX(updated_at) FROM {$tableMessages} WHERE conversation_id = %d), '1970-01-01 00:00:00')
+				)",
+				$conversationId
+			)
+		);
+
+		return (string) $latest;
+	}
+
+	/**
+	 * Prepare a stored message for the inbox.
+	 *
+	 * Decodes the content and adds what the inbox can't look up itself: the
+	 * message a reply or reaction refers to, and catalog product names.
+	 *
+	 * @param array $message Message row.
+	 * @return array Message with decoded content and, for replies and reactions, `quoted`.
+	 */
+	private function prepareMessage( array $message ): array {
+		$content = json_decode( $message['content'] ?? '{}', true );
+		$content = is_array( $content ) ? $content : [];
+
+		$quotedId = $content['reaction']['message_id'] ?? $content['context']['id'] ?? '';
+		if ( '' !== $quotedId ) {
+			$message['quoted'] = $this->getQuotedMessage( (int) $message['conversation_id'], (string) $quotedId );
+		}
+
+		if ( isset( $content['context']['referred_product'] ) ) {
+			$content['context']['referred_product']['product_name'] = $this->getProductName( $content['context']['referred_product']['product_retailer_id'] ?? '' );
+		}
+
+		foreach ( $content['order']['product_items'] ?? [] as $index => $item ) {
+			$content['order']['product_items'][ $index ]['product_name'] = $this->getProductName( $item['product_retailer_id'] ?? '' );
+		}
+
+		$message['content'] = $content;
+
+		return $message;
+	}
+
+	/**
+	 * Get a short summary of the message a reply or reaction refers to.
+	 *
+	 * @param int    $conversationId Conversation ID.
+	 * @param string $waMessageId    WhatsApp message ID.
+	 * @return array{direction: string, preview: string}|null Null if the message isn't stored.
+	 */
+	private function getQuotedMessage( int $conversationId, string $waMessageId ): ?array {
+		global $wpdb;
+		$tableMessages = $wpdb->prefix . 'wch_messages';
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching
+		$quoted = $wpdb->get_row(
+			$wpdb->prepare(
+				"SELECT direction, type, content FROM {$tableMessages} WHERE conversation_id = %d AND wa_message_id = %s",
+				$conversationId,
+				$waMessageId
+			),
+			ARRAY_A
+		);
+
+		if ( ! $quoted ) {
+			return null;
+		}
+
+		return [
+			'direction' => $quoted['direction'],
+			'preview'   => $this->getMessagePreview( json_decode( $quoted['content'] ?? '{}', true ), $quoted['type'] ),
+		];
+	}
+
+	/**
+	 * Get the name of a catalog product.
+	 *
+	 * Catalog retailer IDs are WooCommerce product IDs.
+	 *
+	 * @param string $retailerId Product retailer ID.
+	 * @return string Product name, or an empty string if it isn't in the store.
+	 */
+	private function getProductName( string $retailerId ): string {
+		if ( ! ctype_digit( $retailerId ) || ! function_exists( 'wc_get_product' ) ) {
+			return '';
+		}
+
+		$product = wc_get_product( (int) $retailerId );
+
+		return $product ? $product->get_name() : '';
+	}
+
 	/**
 	 * Get message preview text.
 	 *
@@ -935,15 +1992,32 @@ class ConversationsController extends AbstractController {
 				}
 				return $content['text'] ?? '';
 			case 'interactive':
-				return $content['interactive']['body']['text'] ?? '[Interactive message]';
+				$interactive = $content['interactive'] ?? [];
+				return $interactive['button_reply']['title'] ?? $interactive['list_reply']['title'] ?? $interactive['body']['text'] ?? '[Interactive message]';
 			case 'button':
 				return $content['button']['text'] ?? '[Button message]';
 			case 'image':
 				return '[Image]';
 			case 'document':
 				return '[Document]';
+			case 'audio':
+				return empty( $content['audio']['voice'] ) ? '[Audio]' : '[Voice message]';
+			case 'video':
+				return '[Video]';
+			case 'sticker':
+				return '[Sticker]';
+			case 'location':
+				return '[Location]';
+			case 'contacts':
+				return trim( '[Contact] ' . ( $content['contacts'][0]['name']['formatted_name'] ?? '' ) );
+			case 'reaction':
+				return $content['reaction']['emoji'] ?? '';
+			case 'order':
+				return '[Order]';
 			case 'template':
-				return '[Template message]';
+				return ! empty( $content['template']['text'] ) ? $content['template']['text'] : '[Template message]';
+			case 'system':
+				return $content['system']['body'] ?? '[System message]';
 			default:
 				return '[Unknown message type]';
 		}
@@ -1033,6 +2107,39 @@ class ConversationsController extends AbstractController {
 				'type'              => 'integer',
 				'sanitize_callback' => 'absint',
 			],
+			'before'   => [
+				'description'       => __( 'Return the newest messages older than this message ID, oldest first; 0 for the newest messages. Replaces page.', 'whatsapp-commerce-hub' ),
+				'type'              => 'integer',
+				'sanitize_callback' => 'absint',
+			],
+		];
+	}
+
+	/**
+	 * Get updates args.
+	 *
+	 * @return array
+	 */
+	private function getUpdatesArgs(): array {
+		return [
+			'since'           => [
+				'description'       => __( 'Cursor from the previous response; omit to get a starting cursor', 'whatsapp-commerce-hub' ),
+				'type'              => 'string',
+				'default'           => '',
+				'sanitize_callback' => 'sanitize_text_field',
+			],
+			'conversation_id' => [
+				'description'       => __( 'Open conversation to include message changes for', 'whatsapp-commerce-hub' ),
+				'type'              => 'integer',
+				'default'           => 0,
+				'sanitize_callback' => 'absint',
+			],
+			'wait'            => [
+				'description'       => __( 'Seconds to wait for changes', 'whatsapp-commerce-hub' ),
+				'type'              => 'integer',
+				'default'           => self::UPDATES_MAX_WAIT,
+				'sanitize_callback' => 'absint',
+			],
 		];
 	}
 
@@ -1049,13 +2156,46 @@ class ConversationsController extends AbstractController {
 				'sanitize_callback' => 'absint',
 			],
 			'message' => [
-				'required'          => true,
+				'description'       => __( 'Message text, or the caption when a file is attached', 'whatsapp-commerce-hub' ),
 				'type'              => 'string',
+				'default'           => '',
 				'sanitize_callback' => 'sanitize_textarea_field',
 			],
 		];
 	}
 
+	/**
+	 * Get send template args.
+	 *
+	 * @return array
+	 */
+	private function getSendTemplateArgs(): array {
+		return [
+			'id'         => [
+				'required'          => true,
+				'type'              => 'integer',
+				'sanitize_callback' => 'absint',
+			],
+			'template'   => [
+				'description'       => __( 'Approved template name', 'whatsapp-commerce-hub' ),
+				'required'          => true,
+				'type'              => 'string',
+				'sanitize_callback' => 'sanitize_text_field',
+			],
+			'language'   => [
+				'description'       => __( 'Language code of the template version, e.g. en_US', 'whatsapp-commerce-hub' ),
+				'required'          => true,
+				'type'              => 'string',
+				'sanitize_callback' => 'sanitize_text_field',
+			],
+			'parameters' => [
+				'description' => __( 'Variable values keyed by parameter key, e.g. body_1', 'whatsapp-commerce-hub' ),
+				'type'        => 'object',
+				'default'     => [],
+			],
+		];
+	}
+
 	/**
 	 * Get bulk operation args.
 	 *
@@ -1180,34 +2320,41 @@ class ConversationsController extends AbstractController {
 			'title'      => 'conversation',
 			'type'       => 'object',
 			'properties' => [
-				'id'              => [
+				'id'                => [
 					'description' => __( 'Conversation ID', 'whatsapp-commerce-hub' ),
 					'type'        => 'integer',
 					'context'     => [ 'view' ],
 					'readonly'    => true,
 				],
-				'customer_phone'  => [
+				'customer_phone'    => [
 					'description' => __( 'Customer phone number', 'whatsapp-commerce-hub' ),
 					'type'        => 'string',
 					'context'     => [ 'view' ],
 				],
-				'last_message'    => [
+				'last_message'      => [
 					'description' => __( 'Last message content', 'whatsapp-commerce-hub' ),
 					'type'        => 'string',
 					'context'     => [ 'view' ],
 				],
-				'last_message_at' => [
+				'last_message_at'   => [
 					'description' => __( 'Last message timestamp', 'whatsapp-commerce-hub' ),
 					'type'        => 'string',
 					'format'      => 'date-time',
 					'context'     => [ 'view' ],
 				],
-				'status'          => [
+				'status'            => [
 					'description' => __( 'Conversation status', 'whatsapp-commerce-hub' ),
 					'type'        => 'string',
 					'enum'        => self::VALID_STATUSES,
 					'context'     => [ 'view', 'edit' ],
 				],
+				'window_expires_at' => [
+					'description' => __( 'When the customer service window closes, or null if the customer has never written', 'whatsapp-commerce-hub' ),
+					'type'        => [ 'string', 'null' ],
+					'format'      => 'date-time',
+					'context'     => [ 'view' ],
+					'readonly'    => true,
+				],
 			],
 		];
 	}
@@ -242,13 +242,14 @@ class WebhookController extends AbstractController {
 	 * @return void
 	 */
 	private function enqueueMessage( array $message, array $metadata, array $contacts ): void {
+		// A shared-contacts message carries its own `contacts`, which must not be replaced by the sender profiles.
 		$payload = array_merge(
+			[ 'contacts' => $contacts ],
 			$message,
 			[
 				'message_id' => $message['id'] ?? '',
 				'timestamp'  => isset( $message['timestamp'] ) ? (int) $message['timestamp'] : time(),
 				'metadata'   => $metadata,
-				'contacts'   => $contacts,
 			]
 		);
 
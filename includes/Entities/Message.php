@@ -43,6 +43,32 @@ final class Message {
 	public const TYPE_BUTTON      = 'button';
 	public const TYPE_TEMPLATE    = 'template';
 	public const TYPE_REACTION    = 'reaction';
+	public const TYPE_STICKER     = 'sticker';
+	public const TYPE_CONTACTS    = 'contacts';
+	public const TYPE_ORDER       = 'order';
+	public const TYPE_SYSTEM      = 'system';
+	public const TYPE_UNSUPPORTED = 'unsupported';
+
+	/**
+	 * Every message type that can be stored.
+	 */
+	public const TYPES = [
+		self::TYPE_TEXT,
+		self::TYPE_IMAGE,
+		self::TYPE_DOCUMENT,
+		self::TYPE_AUDIO,
+		self::TYPE_VIDEO,
+		self::TYPE_LOCATION,
+		self::TYPE_INTERACTIVE,
+		self::TYPE_BUTTON,
+		self::TYPE_TEMPLATE,
+		self::TYPE_REACTION,
+		self::TYPE_STICKER,
+		self::TYPE_CONTACTS,
+		self::TYPE_ORDER,
+		self::TYPE_SYSTEM,
+		self::TYPE_UNSUPPORTED,
+	];
 
 	/**
 	 * Message statuses.
@@ -551,6 +551,11 @@ class SettingsManager {
 				'discount_type'       => 'percent',
 				'discount_amount'     => 10,
 			],
+			'broadcasts'    => [
+				'approval_enabled'   => false,
+				'approval_threshold' => 1000,
+				'approval_marketing' => true,
+			],
 		];
 
 		/**
@@ -27,7 +27,7 @@ class DatabaseManager {
 	/**
 	 * Database schema version.
 	 */
-	public const DB_VERSION = '2.6.0';
+	public const DB_VERSION = '2.14.0';
 
 	/**
 	 * Option name for storing DB version.
@@ -193,6 +193,7 @@ class DatabaseManager {
 			$this->getCartsTableSchema( $charsetCollate ),
 			$this->getCustomerProfilesTableSchema( $charsetCollate ),
 			$this->getBroadcastRecipientsTableSchema( $charsetCollate ),
+			$this->getBroadcastContactsTableSchema( $charsetCollate ),
 			$this->getSyncQueueTableSchema( $charsetCollate ),
 			$this->getNotificationLogTableSchema( $charsetCollate ),
 			$this->getProductViewsTableSchema( $charsetCollate ),
@@ -229,7 +230,8 @@ class DatabaseManager {
 			KEY last_message_at (last_message_at),
 			KEY status (status),
 			KEY state (state),
-			KEY unread_count (unread_count)
+			KEY unread_count (unread_count),
+			KEY updated_at (updated_at)
 		) $charsetCollate;";
 	}
 
@@ -244,7 +246,7 @@ class DatabaseManager {
 			id BIGINT(20) UNSIGNED NOT NULL AUTO_INCREMENT,
 			conversation_id BIGINT(20) UNSIGNED NOT NULL,
 			direction ENUM('inbound', 'outbound') NOT NULL,
-			type ENUM('text', 'interactive', 'image', 'document', 'template', 'audio', 'video', 'location', 'reaction', 'button') NOT NULL,
+			type ENUM('text', 'interactive', 'image', 'document', 'template', 'audio', 'video', 'location', 'reaction', 'button', 'sticker', 'contacts', 'order', 'system', 'unsupported') NOT NULL,
 			wa_message_id VARCHAR(100) NOT NULL,
 			content JSON NULL,
 			raw_payload JSON NULL,
@@ -259,8 +261,10 @@ class DatabaseManager {
 			PRIMARY KEY (id),
 			UNIQUE KEY wa_message_id (wa_message_id),
 			KEY conversation_id (conversation_id),
+			KEY conversation_updated (conversation_id, updated_at),
 			KEY created_at (created_at),
-			KEY status (status)
+			KEY status (status),
+			KEY updated_at (updated_at)
 		) $charsetCollate;";
 	}
 
@@ -346,14 +350,52 @@ class DatabaseManager {
 			campaign_id BIGINT(20) UNSIGNED NOT NULL,
 			phone VARCHAR(20) NOT NULL,
 			wa_message_id VARCHAR(100) NULL,
-			status ENUM('sent', 'failed') NOT NULL DEFAULT 'sent',
+			variant VARCHAR(10) NULL,
+			status ENUM('sent', 'delivered', 'read', 'failed') NOT NULL DEFAULT 'sent',
+			error_code VARCHAR(20) NULL,
+			error_message TEXT NULL,
+			variables TEXT NULL,
+			order_id BIGINT(20) UNSIGNED NULL,
+			order_total DECIMAL(10,2) NULL,
 			sent_at DATETIME NOT NULL,
+			delivered_at DATETIME NULL,
+			read_at DATETIME NULL,
+			replied_at DATETIME NULL,
+			click_token VARCHAR(32) NULL,
+			clicked_at DATETIME NULL,
+			click_count INT UNSIGNED NOT NULL DEFAULT 0,
+			converted_at DATETIME NULL,
 			created_at DATETIME NOT NULL,
 			PRIMARY KEY (id),
 			UNIQUE KEY campaign_phone (campaign_id, phone),
 			KEY phone (phone),
 			KEY sent_at (sent_at),
-			KEY campaign_id (campaign_id)
+			KEY campaign_id (campaign_id),
+			KEY wa_message_id (wa_message_id),
+			KEY campaign_variant (campaign_id, variant),
+			KEY campaign_status (campaign_id, status),
+			KEY click_token (click_token)
+		) $charsetCollate;";
+	}
+
+	/**
+	 * Get broadcast contacts table schema.
+	 *
+	 * Holds contact lists uploaded as broadcast audiences.
+	 *
+	 * @param string $charsetCollate Charset collation.
+	 * @return string SQL statement.
+	 */
+	private function getBroadcastContactsTableSchema( string $charsetCollate ): string {
+		return 'CREATE TABLE ' . $this->getTableName( 'broadcast_contacts' ) . " (
+			id BIGINT(20) UNSIGNED NOT NULL AUTO_INCREMENT,
+			list_id VARCHAR(32) NOT NULL,
+			phone VARCHAR(20) NOT NULL,
+			fields JSON NULL,
+			created_at DATETIME NOT NULL,
+			PRIMARY KEY (id),
+			UNIQUE KEY list_phone (list_id, phone),
+			KEY phone (phone)
 		) $charsetCollate;";
 	}
 
@@ -609,6 +651,7 @@ class DatabaseManager {
 			'product_views',
 			'notification_log',
 			'sync_queue',
+			'broadcast_contacts',
 			'broadcast_recipients',
 			'customer_profiles',
 			'carts',
@@ -43,6 +43,7 @@ class JobDispatcher {
 		'wch_sync_product_batch',
 		'wch_cleanup_expired_carts',
 		'wch_send_broadcast_batch',
+		'wch_pick_broadcast_winner',
 	];
 
 	/**
@@ -376,44 +377,80 @@ class JobDispatcher {
 	/**
 	 * Cancel scheduled jobs with a matching job_id prefix.
 	 *
+	 * Searches every plugin group, since the priority queue schedules jobs in
+	 * wch-{priority} groups, and reads the job_id from inside wrapped payloads.
+	 *
 	 * @param string $prefix Job ID prefix.
 	 * @return int Number of actions cancelled.
 	 */
 	public function cancelByPrefix( string $prefix ): int {
-		if ( empty( $prefix ) || ! function_exists( 'as_get_scheduled_actions' ) ) {
+		if ( empty( $prefix ) || ! function_exists( 'as_get_scheduled_actions' ) || ! class_exists( 'ActionScheduler' ) ) {
 			return 0;
 		}
 
-		$actions = as_get_scheduled_actions(
-			[
-				'status'   => 'pending',
-				'group'    => self::GROUP_NAME,
-				'per_page' => -1,
-			]
-		);
+		global $wpdb;
 
-		if ( empty( $actions ) || ! function_exists( 'as_unschedule_action' ) ) {
-			return 0;
-		}
+		$groups = $wpdb->get_col(
+			$wpdb->prepare(
+				"SELECT slug FROM {$wpdb->prefix}actionscheduler_groups WHERE slug LIKE %s",
+				$wpdb->esc_like( self::GROUP_NAME ) . '%'
+			)
+		);
 
+		$store     = \ActionScheduler::store();
 		$cancelled = 0;
-		foreach ( $actions as $action ) {
-			$args  = $action->get_args();
-			$jobId = null;
 
-			if ( is_array( $args ) ) {
-				$jobId = $args['job_id'] ?? ( is_array( $args[0] ?? null ) ? ( $args[0]['job_id'] ?? null ) : null );
-			}
+		foreach ( $groups as $group ) {
+			$actions = as_get_scheduled_actions(
+				[
+					'status'   => \ActionScheduler_Store::STATUS_PENDING,
+					'group'    => $group,
+					'per_page' => -1,
+				]
+			);
 
-			if ( is_string( $jobId ) && str_starts_with( $jobId, $prefix ) ) {
-				as_unschedule_action( $action->get_hook(), $action->get_args(), $action->get_group() );
-				++$cancelled;
+			foreach ( $actions as $actionId => $action ) {
+				$jobId = $this->getJobId( $action->get_args() );
+
+				if ( is_string( $jobId ) && str_starts_with( $jobId, $prefix ) ) {
+					$store->cancel_action( (int) $actionId );
+					++$cancelled;
+				}
 			}
 		}
 
+		$this->logger->debug(
+			'Jobs cancelled by prefix',
+			'queue',
+			[
+				'prefix' => $prefix,
+				'count'  => $cancelled,
+			]
+		);
+
 		return $cancelled;
 	}
 
+	/**
+	 * Get the job_id from scheduled action args.
+	 *
+	 * @param mixed $args Action args: a wrapped payload, or legacy flat or nested args.
+	 * @return mixed Job ID, or null if the args have none.
+	 */
+	private function getJobId( $args ) {
+		if ( ! is_array( $args ) ) {
+			return null;
+		}
+
+		$payload = is_array( $args[0] ?? null ) ? $args[0] : $args;
+
+		if ( \WhatsAppCommerceHub\Queue\PriorityQueue::isWrappedPayload( $payload ) ) {
+			$payload = is_array( $payload['args'] ?? null ) ? $payload['args'] : [];
+		}
+
+		return $payload['job_id'] ?? null;
+	}
+
 	/**
 	 * Cancel a scheduled job
 	 */
@@ -12,6 +12,11 @@ declare(strict_types=1);
 
 namespace WhatsAppCommerceHub\Presentation\Admin\Pages;
 
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastTemplateBuilder;
+use WhatsAppCommerceHub\Controllers\ConversationsController;
+use WhatsAppCommerceHub\Presentation\Templates\TemplateManager;
+use WhatsAppCommerceHub\Presentation\Templates\TemplatePreviewAssets;
+
 // Exit if accessed directly.
 if ( ! defined( 'ABSPATH' ) ) {
 	exit;
@@ -106,17 +111,19 @@ class InboxPage {
 			return;
 		}
 
+		TemplatePreviewAssets::register();
+
 		wp_enqueue_style(
 			'wch-admin-inbox',
 			WCH_PLUGIN_URL . 'assets/css/admin-inbox.css',
-			[],
+			[ TemplatePreviewAssets::HANDLE ],
 			WCH_VERSION
 		);
 
 		wp_enqueue_script(
 			'wch-admin-inbox',
 			WCH_PLUGIN_URL . 'assets/js/admin-inbox.js',
-			[ 'jquery', 'wp-util' ],
+			[ 'jquery', 'wp-util', TemplatePreviewAssets::HANDLE ],
 			WCH_VERSION,
 			true
 		);
@@ -132,6 +139,9 @@ class InboxPage {
 				'nonce'           => wp_create_nonce( 'wp_rest' ),
 				'agents'          => $agents,
 				'current_user_id' => get_current_user_id(),
+				'media_limits'    => ConversationsController::OUTGOING_MEDIA_LIMITS,
+				'max_upload_size' => wp_max_upload_size(),
+				'templates'       => $this->getApprovedTemplates(),
 				'strings'         => $this->getLocalizedStrings(),
 			]
 		);
@@ -151,6 +161,37 @@ class InboxPage {
 		);
 	}
 
+	/**
+	 * Get the approved templates agents can send outside the service window.
+	 *
+	 * @return array Templates with their components and the parameters they take.
+	 */
+	private function getApprovedTemplates(): array {
+		try {
+			$templateManager = wch( TemplateManager::class );
+			$templateBuilder = wch( BroadcastTemplateBuilder::class );
+		} catch ( \Throwable $e ) {
+			return [];
+		}
+
+		$templates = [];
+
+		foreach ( (array) $templateManager->getTemplates() as $template ) {
+			if ( ! is_array( $template ) || 'APPROVED' !== ( $template['status'] ?? '' ) ) {
+				continue;
+			}
+
+			$templates[] = [
+				'name'       => (string) ( $template['name'] ?? '' ),
+				'language'   => $templateBuilder->getLanguageCode( $template ),
+				'components' => $template['components'] ?? [],
+				'parameters' => $templateBuilder->getParameters( $template ),
+			];
+		}
+
+		return $templates;
+	}
+
 	/**
 	 * Get localized strings for JavaScript.
 	 *
@@ -174,6 +215,53 @@ class InboxPage {
 			'select_agent'         => __( 'Please select an agent', 'whatsapp-commerce-hub' ),
 			'ai_generating'        => __( 'Generating AI suggestion...', 'whatsapp-commerce-hub' ),
 			'ai_error'             => __( 'Failed to generate AI suggestion', 'whatsapp-commerce-hub' ),
+			'no_messages'          => __( 'No messages yet', 'whatsapp-commerce-hub' ),
+			'today'                => __( 'Today', 'whatsapp-commerce-hub' ),
+			'yesterday'            => __( 'Yesterday', 'whatsapp-commerce-hub' ),
+			'image'                => __( 'Image', 'whatsapp-commerce-hub' ),
+			'sticker'              => __( 'Sticker', 'whatsapp-commerce-hub' ),
+			'document'             => __( 'Document', 'whatsapp-commerce-hub' ),
+			'voice_message'        => __( 'Voice message', 'whatsapp-commerce-hub' ),
+			'location'             => __( 'Location', 'whatsapp-commerce-hub' ),
+			'view_map'             => __( 'View on map', 'whatsapp-commerce-hub' ),
+			'contact'              => __( 'Contact', 'whatsapp-commerce-hub' ),
+			/* translators: %s: reaction emoji */
+			'reacted'              => __( 'Reacted %s to', 'whatsapp-commerce-hub' ),
+			'reaction_removed'     => __( 'Removed a reaction', 'whatsapp-commerce-hub' ),
+			'selected'             => __( 'Selected:', 'whatsapp-commerce-hub' ),
+			'form_response'        => __( 'Form response', 'whatsapp-commerce-hub' ),
+			'order'                => __( 'Order from catalog', 'whatsapp-commerce-hub' ),
+			'product_inquiry'      => __( 'Asked about', 'whatsapp-commerce-hub' ),
+			'template'             => __( 'Template', 'whatsapp-commerce-hub' ),
+			'unsupported'          => __( 'WhatsApp does not support showing this message here.', 'whatsapp-commerce-hub' ),
+			'unknown_message'      => __( 'Unknown message type', 'whatsapp-commerce-hub' ),
+			'record_voice'         => __( 'Record a voice note', 'whatsapp-commerce-hub' ),
+			'stop_recording'       => __( 'Stop recording', 'whatsapp-commerce-hub' ),
+			'recording'            => __( 'Recording', 'whatsapp-commerce-hub' ),
+			'no_recording'         => __( 'This browser can\'t record voice notes WhatsApp accepts.', 'whatsapp-commerce-hub' ),
+			'microphone_denied'    => __( 'Allow microphone access to record a voice note.', 'whatsapp-commerce-hub' ),
+			/* translators: %s: file name */
+			'file_unsupported'     => __( 'WhatsApp can\'t send %s. Send a JPEG or PNG image, MP4 or 3GP video, audio, or a PDF, Office or text document.', 'whatsapp-commerce-hub' ),
+			/* translators: 1: file name, 2: maximum file size */
+			'file_too_large'       => __( '%1$s is too large. The limit is %2$s.', 'whatsapp-commerce-hub' ),
+			'caption_placeholder'  => __( 'Add a caption...', 'whatsapp-commerce-hub' ),
+			'uploading'            => __( 'Uploading...', 'whatsapp-commerce-hub' ),
+			/* translators: %s: time left, e.g. 3h 20m */
+			'window_open'          => __( '%s left to reply', 'whatsapp-commerce-hub' ),
+			/* translators: 1: hours, 2: minutes */
+			'hours_minutes'        => __( '%1$dh %2$dm', 'whatsapp-commerce-hub' ),
+			'window_closed'        => __( 'Reply window closed', 'whatsapp-commerce-hub' ),
+			/* translators: %s: variable name */
+			'header_variable'      => __( 'Header {{%s}}', 'whatsapp-commerce-hub' ),
+			/* translators: %s: variable name */
+			'body_variable'        => __( 'Body {{%s}}', 'whatsapp-commerce-hub' ),
+			/* translators: %s: header format, e.g. image */
+			'template_media'       => __( 'Header %s URL', 'whatsapp-commerce-hub' ),
+			/* translators: %s: button number */
+			'template_url'         => __( 'Button %s link ending', 'whatsapp-commerce-hub' ),
+			'template_coupon'      => __( 'Coupon code', 'whatsapp-commerce-hub' ),
+			'no_templates'         => __( 'No approved templates; sync them on the Templates page', 'whatsapp-commerce-hub' ),
+			'fill_variables'       => __( 'Fill in every template variable.', 'whatsapp-commerce-hub' ),
 		];
 	}
 
@@ -293,6 +381,7 @@ class InboxPage {
 					<div class="wch-conversation-title">
 						<h2 id="wch-customer-name"></h2>
 						<span id="wch-customer-phone" class="wch-customer-phone"></span>
+						<span id="wch-window-countdown" class="wch-window-countdown" title="<?php esc_attr_e( 'WhatsApp allows free-form replies for 24 hours after the customer\'s last message.', 'whatsapp-commerce-hub' ); ?>"></span>
 					</div>
 					<div class="wch-conversation-actions">
 						<select id="wch-assign-agent" class="wch-action-select">
@@ -337,6 +426,25 @@ class InboxPage {
 				<select id="wch-template-selector" class="wch-template-select">
 					<option value=""><?php esc_html_e( 'Quick Templates', 'whatsapp-commerce-hub' ); ?></option>
 				</select>
+				<button type="button" id="wch-attach-file" class="button button-secondary" title="<?php esc_attr_e( 'Attach a file', 'whatsapp-commerce-hub' ); ?>">
+					<span class="dashicons dashicons-paperclip" aria-hidden="true"></span>
+					<span class="screen-reader-text"><?php esc_html_e( 'Attach a file', 'whatsapp-commerce-hub' ); ?></span>
+				</button>
+				<input type="file" id="wch-attachment-input" accept="<?php echo esc_attr( implode( ',', array_merge( ...array_column( ConversationsController::OUTGOING_MEDIA_LIMITS, 'mime_types' ) ) ) ); ?>" hidden>
+				<button type="button" id="wch-record-voice" class="button button-secondary" title="<?php esc_attr_e( 'Record a voice note', 'whatsapp-commerce-hub' ); ?>">
+					<span class="dashicons dashicons-microphone" aria-hidden="true"></span>
+					<span class="screen-reader-text"><?php esc_html_e( 'Record a voice note', 'whatsapp-commerce-hub' ); ?></span>
+				</button>
+				<span id="wch-recording-status" class="wch-recording-status" aria-live="polite" hidden></span>
+			</div>
+			<div id="wch-attachment" class="wch-attachment" hidden>
+				<span class="dashicons dashicons-media-default" aria-hidden="true"></span>
+				<span id="wch-attachment-name" class="wch-attachment-name"></span>
+				<span id="wch-attachment-size" class="wch-attachment-size"></span>
+				<progress id="wch-attachment-progress" class="wch-attachment-progress" max="100" value="0" hidden></progress>
+				<button type="button" id="wch-attachment-remove" class="button-link" aria-label="<?php esc_attr_e( 'Remove attachment', 'whatsapp-commerce-hub' ); ?>">
+					<span class="dashicons dashicons-no-alt" aria-hidden="true"></span>
+				</button>
 			</div>
 			<div class="wch-composer-input">
 				<textarea
@@ -348,6 +456,24 @@ class InboxPage {
 					<?php esc_html_e( 'Send', 'whatsapp-commerce-hub' ); ?>
 				</button>
 			</div>
+			<div id="wch-template-composer" class="wch-template-composer" hidden>
+				<p class="wch-template-notice">
+					<?php esc_html_e( 'It has been more than 24 hours since the customer\'s last message. Send an approved template to reopen the conversation; free-form replies are allowed again once the customer answers.', 'whatsapp-commerce-hub' ); ?>
+				</p>
+				<select id="wch-window-template" class="wch-template-select">
+					<option value=""><?php esc_html_e( 'Choose a template...', 'whatsapp-commerce-hub' ); ?></option>
+				</select>
+				<div class="wch-template-editor" id="wch-template-editor" hidden>
+					<div id="wch-template-fields" class="wch-template-fields"></div>
+					<div class="wch-template-preview-wrap">
+						<span class="wch-template-preview-label"><?php esc_html_e( 'Preview', 'whatsapp-commerce-hub' ); ?></span>
+						<div id="wch-template-preview" class="wch-template-preview"></div>
+					</div>
+				</div>
+				<button type="button" id="wch-send-template" class="button button-primary" disabled>
+					<?php esc_html_e( 'Send template', 'whatsapp-commerce-hub' ); ?>
+				</button>
+			</div>
 		</div>
 		<?php
 	}
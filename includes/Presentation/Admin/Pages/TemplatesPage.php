@@ -13,6 +13,7 @@ declare(strict_types=1);
 namespace WhatsAppCommerceHub\Presentation\Admin\Pages;
 
 use WhatsAppCommerceHub\Presentation\Templates\TemplateManager;
+use WhatsAppCommerceHub\Presentation\Templates\TemplatePreviewAssets;
 
 // Exit if accessed directly.
 if ( ! defined( 'ABSPATH' ) ) {
@@ -68,17 +69,19 @@ class TemplatesPage {
 			return;
 		}
 
+		TemplatePreviewAssets::register();
+
 		wp_enqueue_style(
 			'wch-admin-templates',
 			WCH_PLUGIN_URL . 'assets/css/admin-templates.css',
-			[],
+			[ TemplatePreviewAssets::HANDLE ],
 			WCH_VERSION
 		);
 
 		wp_enqueue_script(
 			'wch-admin-templates',
 			WCH_PLUGIN_URL . 'assets/js/admin-templates.js',
-			[ 'jquery' ],
+			[ 'jquery', TemplatePreviewAssets::HANDLE ],
 			WCH_VERSION,
 			true
 		);
@@ -381,19 +384,15 @@ class TemplatesPage {
 	/**
 	 * Render template preview.
 	 *
+	 * The message itself is drawn by the shared template preview script.
+	 *
 	 * @param array $template Template data.
 	 * @return void
 	 */
 	private function renderTemplatePreview( array $template ): void {
 		?>
 		<div class="wch-template-content">
-			<?php if ( ! empty( $template['components'] ) ) : ?>
-				<?php foreach ( $template['components'] as $component ) : ?>
-					<?php $this->renderTemplateComponent( $component ); ?>
-				<?php endforeach; ?>
-			<?php else : ?>
-				<p><?php esc_html_e( 'No preview available', 'whatsapp-commerce-hub' ); ?></p>
-			<?php endif; ?>
+			<div class="wch-template-message" data-template="<?php echo esc_attr( wp_json_encode( $template ) ); ?>"></div>
 
 			<?php
 			$variables = $this->extractVariablesFromTemplate( $template );
@@ -412,47 +411,6 @@ class TemplatesPage {
 		<?php
 	}
 
-	/**
-	 * Render a template component.
-	 *
-	 * @param array $component Component data.
-	 * @return void
-	 */
-	private function renderTemplateComponent( array $component ): void {
-		$type = $component['type'] ?? '';
-		$text = $component['text'] ?? '';
-
-		if ( 'HEADER' === $type ) {
-			?>
-			<div class="wch-preview-header">
-				<strong><?php echo esc_html( $text ); ?></strong>
-			</div>
-			<?php
-		} elseif ( 'BODY' === $type ) {
-			?>
-			<div class="wch-preview-body">
-				<?php echo nl2br( esc_html( $text ) ); ?>
-			</div>
-			<?php
-		} elseif ( 'FOOTER' === $type ) {
-			?>
-			<div class="wch-preview-footer">
-				<small><?php echo esc_html( $text ); ?></small>
-			</div>
-			<?php
-		} elseif ( 'BUTTONS' === $type && ! empty( $component['buttons'] ) ) {
-			?>
-			<div class="wch-preview-buttons">
-				<?php foreach ( $component['buttons'] as $button ) : ?>
-					<button type="button" class="wch-preview-button" disabled>
-						<?php echo esc_html( $button['text'] ?? '' ); ?>
-					</button>
-				<?php endforeach; ?>
-			</div>
-			<?php
-		}
-	}
-
 	/**
 	 * Extract variables from template.
 	 *
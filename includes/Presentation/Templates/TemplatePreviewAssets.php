@@ -0,0 +1,75 @@
+<?php
+/**
+ * Template Preview Assets
+ *
+ * Registers the shared WhatsApp template preview script and styles.
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+declare(strict_types=1);
+
+namespace WhatsAppCommerceHub\Presentation\Templates;
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Class TemplatePreviewAssets
+ *
+ * Admin pages that show template previews depend on the `wch-template-preview`
+ * handle so every page renders templates the same way.
+ */
+final class TemplatePreviewAssets {
+
+	/**
+	 * Script and style handle.
+	 */
+	public const HANDLE = 'wch-template-preview';
+
+	/**
+	 * Register the preview script and styles.
+	 *
+	 * Safe to call more than once per request.
+	 *
+	 * @return void
+	 */
+	public static function register(): void {
+		if ( wp_script_is( self::HANDLE, 'registered' ) ) {
+			return;
+		}
+
+		wp_register_style(
+			self::HANDLE,
+			WCH_PLUGIN_URL . 'assets/css/wch-template-preview.css',
+			[ 'dashicons' ],
+			WCH_VERSION
+		);
+
+		wp_register_script(
+			self::HANDLE,
+			WCH_PLUGIN_URL . 'assets/js/wch-template-preview.js',
+			[],
+			WCH_VERSION,
+			true
+		);
+
+		wp_localize_script(
+			self::HANDLE,
+			'wchTemplatePreview',
+			[
+				'strings' => [
+					'noPreview'     => __( 'No preview available', 'whatsapp-commerce-hub' ),
+					'seeAllOptions' => __( 'See all options', 'whatsapp-commerce-hub' ),
+					'copyCode'      => __( 'Copy code', 'whatsapp-commerce-hub' ),
+					'document'      => __( 'Document', 'whatsapp-commerce-hub' ),
+					'location'      => __( 'Location', 'whatsapp-commerce-hub' ),
+					'offerExpires'  => __( 'Offer ends soon', 'whatsapp-commerce-hub' ),
+				],
+			]
+		);
+	}
+}
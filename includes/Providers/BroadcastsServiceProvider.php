@@ -17,16 +17,43 @@ namespace WhatsAppCommerceHub\Providers;
 use WhatsAppCommerceHub\Contracts\Services\Broadcasts\CampaignRepositoryInterface;
 use WhatsAppCommerceHub\Contracts\Services\Broadcasts\AudienceCalculatorInterface;
 use WhatsAppCommerceHub\Contracts\Services\Broadcasts\CampaignDispatcherInterface;
+use WhatsAppCommerceHub\Contracts\Services\Broadcasts\SegmentRepositoryInterface;
+use WhatsAppCommerceHub\Contracts\Services\Broadcasts\ContactListRepositoryInterface;
+use WhatsAppCommerceHub\Contracts\Services\Broadcasts\TestGroupRepositoryInterface;
 use WhatsAppCommerceHub\Contracts\Services\SettingsInterface;
 use WhatsAppCommerceHub\Application\Services\Broadcasts\CampaignRepository;
 use WhatsAppCommerceHub\Application\Services\Broadcasts\AudienceCalculator;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\AudienceSegmentBuilder;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\SegmentRepository;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\ContactListRepository;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\TestGroupRepository;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\ContactListImporter;
 use WhatsAppCommerceHub\Application\Services\Broadcasts\CampaignDispatcher;
 use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastBatchProcessor;
 use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastTemplateBuilder;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastTracker;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastTestTracker;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastLinkTracker;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\RecipientDataProvider;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastCouponIssuer;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastPricing;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastDeliveryPlanner;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastRecurrence;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastReportExporter;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\CampaignListQuery;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\CampaignApproval;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastCalendar;
+use WhatsAppCommerceHub\Contracts\Services\Reengagement\LoyaltyCouponGeneratorInterface;
+use WhatsAppCommerceHub\Contracts\Services\Reengagement\FrequencyCapManagerInterface;
+use WhatsAppCommerceHub\Contracts\Services\Reengagement\ReengagementAnalyticsInterface;
 use WhatsAppCommerceHub\Admin\Broadcasts\BroadcastWizardRenderer;
 use WhatsAppCommerceHub\Admin\Broadcasts\CampaignReportGenerator;
+use WhatsAppCommerceHub\Admin\Broadcasts\CampaignApprovalRenderer;
+use WhatsAppCommerceHub\Admin\Broadcasts\BroadcastPricingRenderer;
+use WhatsAppCommerceHub\Admin\Broadcasts\BroadcastCalendarRenderer;
 use WhatsAppCommerceHub\Admin\Broadcasts\BroadcastsAjaxHandler;
 use WhatsAppCommerceHub\Admin\Broadcasts\AdminBroadcastsController;
+use WhatsAppCommerceHub\Queue\PriorityQueue;
 
 // Exit if accessed directly.
 if ( ! defined( 'ABSPATH' ) ) {
@@ -46,19 +73,63 @@ class BroadcastsServiceProvider extends AbstractServiceProvider {
 	 * @return void
 	 */
 	protected function doRegister(): void {
+		// Register Audience Segment Builder.
+		$this->container->singleton(
+			AudienceSegmentBuilder::class,
+			function ( $container ) {
+				return new AudienceSegmentBuilder( $container->get( \wpdb::class ) );
+			}
+		);
+
 		// Register Campaign Repository.
 		$this->container->singleton(
 			CampaignRepositoryInterface::class,
+			function ( $container ) {
+				return new CampaignRepository( $container->get( AudienceSegmentBuilder::class ) );
+			}
+		);
+
+		// Register Segment Repository.
+		$this->container->singleton(
+			SegmentRepositoryInterface::class,
+			function ( $container ) {
+				return new SegmentRepository( $container->get( AudienceSegmentBuilder::class ) );
+			}
+		);
+
+		// Register Test Group Repository.
+		$this->container->singleton(
+			TestGroupRepositoryInterface::class,
 			function () {
-				return new CampaignRepository();
+				return new TestGroupRepository();
+			}
+		);
+
+		// Register Contact List Repository.
+		$this->container->singleton(
+			ContactListRepositoryInterface::class,
+			function ( $container ) {
+				return new ContactListRepository( $container->get( \wpdb::class ) );
+			}
+		);
+
+		// Register Contact List Importer.
+		$this->container->singleton(
+			ContactListImporter::class,
+			function ( $container ) {
+				return new ContactListImporter( $container->get( ContactListRepositoryInterface::class ) );
 			}
 		);
 
 		// Register Audience Calculator.
 		$this->container->singleton(
 			AudienceCalculatorInterface::class,
-			function () {
-				return new AudienceCalculator();
+			function ( $container ) {
+				return new AudienceCalculator(
+					$container->get( AudienceSegmentBuilder::class ),
+					$container->get( ContactListRepositoryInterface::class ),
+					$container->get( FrequencyCapManagerInterface::class )
+				);
 			}
 		);
 
@@ -70,15 +141,145 @@ class BroadcastsServiceProvider extends AbstractServiceProvider {
 					$container->get( CampaignRepositoryInterface::class ),
 					$container->get( AudienceCalculatorInterface::class ),
 					$container->get( SettingsInterface::class ),
-					$container->get( BroadcastTemplateBuilder::class )
+					$container->get( BroadcastTemplateBuilder::class ),
+					$container->get( BroadcastTracker::class ),
+					$container->get( ContactListRepositoryInterface::class ),
+					$container->get( RecipientDataProvider::class ),
+					$container->get( BroadcastDeliveryPlanner::class ),
+					$container->get( BroadcastRecurrence::class ),
+					$container->get( BroadcastTestTracker::class ),
+					$container->get( BroadcastLinkTracker::class )
 				);
 			}
 		);
 
+		// Register Broadcast Delivery Planner.
+		$this->container->singleton(
+			BroadcastDeliveryPlanner::class,
+			function ( $container ) {
+				return new BroadcastDeliveryPlanner( $container->get( RecipientDataProvider::class ) );
+			}
+		);
+
+		// Register Broadcast Recurrence.
+		$this->container->singleton(
+			BroadcastRecurrence::class,
+			function () {
+				return new BroadcastRecurrence();
+			}
+		);
+
+		// Register Recipient Data Provider.
+		$this->container->singleton(
+			RecipientDataProvider::class,
+			function ( $container ) {
+				return new RecipientDataProvider(
+					$container->get( \wpdb::class ),
+					$container->get( ContactListRepositoryInterface::class )
+				);
+			}
+		);
+
+		// Register Broadcast Coupon Issuer.
+		$this->container->singleton(
+			BroadcastCouponIssuer::class,
+			function ( $container ) {
+				return new BroadcastCouponIssuer(
+					$container->get( LoyaltyCouponGeneratorInterface::class ),
+					$container->get( \wpdb::class )
+				);
+			}
+		);
+
+		// Register Broadcast Pricing.
+		$this->container->singleton(
+			BroadcastPricing::class,
+			function () {
+				return new BroadcastPricing();
+			}
+		);
+
 		// Register Broadcast Template Builder.
 		$this->container->singleton(
 			BroadcastTemplateBuilder::class,
-			static fn() => new BroadcastTemplateBuilder()
+			function ( $container ) {
+				return new BroadcastTemplateBuilder( $container->get( RecipientDataProvider::class ) );
+			}
+		);
+
+		// Register Broadcast Tracker.
+		$this->container->singleton(
+			BroadcastTracker::class,
+			function ( $container ) {
+				return new BroadcastTracker( $container->get( \wpdb::class ) );
+			}
+		);
+
+		// Register Broadcast Link Tracker.
+		$this->container->singleton(
+			BroadcastLinkTracker::class,
+			function ( $container ) {
+				return new BroadcastLinkTracker(
+					$container->get( BroadcastTemplateBuilder::class ),
+					$container->get( BroadcastTracker::class )
+				);
+			}
+		);
+
+		// Register Broadcast Test Tracker.
+		$this->container->singleton(
+			BroadcastTestTracker::class,
+			function () {
+				return new BroadcastTestTracker();
+			}
+		);
+
+		// Register Broadcast Report Exporter.
+		$this->container->singleton(
+			BroadcastReportExporter::class,
+			function ( $container ) {
+				return new BroadcastReportExporter(
+					$container->get( \wpdb::class ),
+					$container->get( BroadcastTracker::class ),
+					$container->get( RecipientDataProvider::class )
+				);
+			}
+		);
+
+		// Register Campaign List Query.
+		$this->container->singleton(
+			CampaignListQuery::class,
+			function ( $container ) {
+				return new CampaignListQuery(
+					$container->get( CampaignRepositoryInterface::class ),
+					$container->get( BroadcastTracker::class )
+				);
+			}
+		);
+
+		// Register Campaign Approval.
+		$this->container->singleton(
+			CampaignApproval::class,
+			function ( $container ) {
+				return new CampaignApproval(
+					$container->get( CampaignRepositoryInterface::class ),
+					$container->get( SettingsInterface::class ),
+					$container->get( AudienceCalculatorInterface::class )
+				);
+			}
+		);
+
+		// Register Broadcast Calendar.
+		$this->container->singleton(
+			BroadcastCalendar::class,
+			function ( $container ) {
+				return new BroadcastCalendar(
+					$container->get( CampaignRepositoryInterface::class ),
+					$container->get( BroadcastRecurrence::class ),
+					$container->get( SettingsInterface::class ),
+					$container->get( ReengagementAnalyticsInterface::class )
+				);
+			}
 		);
 
 		// Register Broadcast Batch Processor.
@@ -89,7 +290,10 @@ class BroadcastsServiceProvider extends AbstractServiceProvider {
 					$container->get( CampaignRepositoryInterface::class ),
 					$container->get( BroadcastTemplateBuilder::class ),
 					$container->get( \WhatsAppCommerceHub\Clients\WhatsAppApiClient::class ),
-					$container->get( \wpdb::class )
+					$container->get( \wpdb::class ),
+					$container->get( RecipientDataProvider::class ),
+					$container->get( BroadcastCouponIssuer::class ),
+					$container->get( BroadcastLinkTracker::class )
 				);
 			}
 		);
@@ -102,12 +306,44 @@ class BroadcastsServiceProvider extends AbstractServiceProvider {
 			}
 		);
 
+		// Register Broadcast Pricing Renderer.
+		$this->container->singleton(
+			BroadcastPricingRenderer::class,
+			function ( $container ) {
+				return new BroadcastPricingRenderer( $container->get( BroadcastPricing::class ) );
+			}
+		);
+
+		// Register Broadcast Calendar Renderer.
+		$this->container->singleton(
+			BroadcastCalendarRenderer::class,
+			function () {
+				return new BroadcastCalendarRenderer();
+			}
+		);
+
 		// Register Campaign Report Generator.
 		$this->container->singleton(
 			CampaignReportGenerator::class,
 			function ( $container ) {
 				return new CampaignReportGenerator(
-					$container->get( CampaignRepositoryInterface::class )
+					$container->get( CampaignRepositoryInterface::class ),
+					$container->get( BroadcastTracker::class ),
+					$container->get( BroadcastCouponIssuer::class )
+				);
+			}
+		);
+
+		// Register Campaign Approval Renderer.
+		$this->container->singleton(
+			CampaignApprovalRenderer::class,
+			function ( $container ) {
+				return new CampaignApprovalRenderer(
+					$container->get( CampaignRepositoryInterface::class ),
+					$container->get( CampaignApproval::class ),
+					$container->get( AudienceCalculatorInterface::class ),
+					$container->get( CampaignDispatcherInterface::class ),
+					$container->get( BroadcastPricing::class )
 				);
 			}
 		);
@@ -120,7 +356,16 @@ class BroadcastsServiceProvider extends AbstractServiceProvider {
 					$container->get( CampaignRepositoryInterface::class ),
 					$container->get( AudienceCalculatorInterface::class ),
 					$container->get( CampaignDispatcherInterface::class ),
-					$container->get( CampaignReportGenerator::class )
+					$container->get( CampaignReportGenerator::class ),
+					$container->get( SegmentRepositoryInterface::class ),
+					$container->get( ContactListImporter::class ),
+					$container->get( BroadcastPricing::class ),
+					$container->get( BroadcastRecurrence::class ),
+					$container->get( BroadcastReportExporter::class ),
+					$container->get( TestGroupRepositoryInterface::class ),
+					$container->get( BroadcastTestTracker::class ),
+					$container->get( CampaignApproval::class ),
+					$container->get( BroadcastCalendar::class )
 				);
 			}
 		);
@@ -133,7 +378,13 @@ class BroadcastsServiceProvider extends AbstractServiceProvider {
 					$container->get( CampaignRepositoryInterface::class ),
 					$container->get( BroadcastWizardRenderer::class ),
 					$container->get( CampaignReportGenerator::class ),
-					$container->get( BroadcastsAjaxHandler::class )
+					$container->get( BroadcastsAjaxHandler::class ),
+					$container->get( AudienceSegmentBuilder::class ),
+					$container->get( RecipientDataProvider::class ),
+					$container->get( BroadcastPricingRenderer::class ),
+					$container->get( CampaignListQuery::class ),
+					$container->get( CampaignApprovalRenderer::class ),
+					$container->get( BroadcastCalendarRenderer::class )
 				);
 			}
 		);
@@ -150,7 +401,64 @@ class BroadcastsServiceProvider extends AbstractServiceProvider {
 			'wch_send_broadcast_batch',
 			function ( array $args ) {
 				$processor = $this->container->get( BroadcastBatchProcessor::class );
-				$processor->handle( $args );
+				$processor->handle( PriorityQueue::unwrapPayloadCompat( $args )['args'] );
+			},
+			10,
+			1
+		);
+
+		add_action(
+			'wch_pick_broadcast_winner',
+			function ( array $args ) {
+				$unwrapped = PriorityQueue::unwrapPayloadCompat( $args )['args'];
+				$this->container->get( CampaignDispatcherInterface::class )
+					->dispatchWinner( (int) ( $unwrapped['campaign_id'] ?? 0 ) );
+			},
+			10,
+			1
+		);
+
+		add_action(
+			'wch_run_recurring_broadcast',
+			function ( array $args ) {
+				$unwrapped = PriorityQueue::unwrapPayloadCompat( $args )['args'];
+				$this->container->get( CampaignDispatcherInterface::class )
+					->runRecurring( (int) ( $unwrapped['campaign_id'] ?? 0 ), (int) ( $unwrapped['run_at'] ?? 0 ) );
+			},
+			10,
+			1
+		);
+
+		// Track delivery receipts and conversions for broadcast recipients.
+		add_action(
+			'wch_untracked_message_status',
+			function ( string $messageId, string $status, array $errors ) {
+				if ( ! $this->container->get( BroadcastTracker::class )->recordStatus( $messageId, $status, $errors ) ) {
+					$this->container->get( BroadcastTestTracker::class )->recordStatus( $messageId, $status, $errors );
+				}
+			},
+			10,
+			3
+		);
+
+		add_action(
+			'wch_message_received',
+			function ( array $payload ) {
+				$this->container->get( BroadcastTracker::class )->recordReply( (string) ( $payload['from'] ?? '' ) );
+			},
+			10,
+			1
+		);
+
+		// Administrators can approve campaigns unless their role says otherwise.
+		add_filter(
+			'user_has_cap',
+			function ( array $allcaps ) {
+				if ( ! isset( $allcaps[ CampaignApproval::CAPABILITY ] ) && ! empty( $allcaps['manage_options'] ) ) {
+					$allcaps[ CampaignApproval::CAPABILITY ] = true;
+				}
+
+				return $allcaps;
 			},
 			10,
 			1
@@ -168,14 +476,19 @@ class BroadcastsServiceProvider extends AbstractServiceProvider {
 	 *
 	 * Broadcasts services need to boot in:
 	 * - Admin (for broadcast UI and campaign management)
+	 * - AJAX (for wizard autosave and campaign actions)
 	 * - Cron (for batch sending via Action Scheduler)
+	 * - REST (for status webhooks)
 	 *
-	 * Skip on frontend and REST requests to reduce overhead.
+	 * Skip on plain frontend page loads to reduce overhead. Order attribution
+	 * and link click tracking are hooked from the main plugin file, since
+	 * checkouts and clicks are frontend, Store API or wc-ajax requests that
+	 * this check can't see when providers boot.
 	 *
 	 * @return bool True if provider should boot.
 	 */
 	public function shouldBoot(): bool {
-		return $this->isAdmin() || $this->isCron();
+		return $this->isAdmin() || $this->isAjax() || $this->isCron() || $this->isRest();
 	}
 
 	/**
@@ -191,20 +504,41 @@ class BroadcastsServiceProvider extends AbstractServiceProvider {
 			\WhatsAppCommerceHub\Providers\CoreServiceProvider::class,
 			\WhatsAppCommerceHub\Providers\ApiClientServiceProvider::class,
 			\WhatsAppCommerceHub\Providers\QueueServiceProvider::class,
+			\WhatsAppCommerceHub\Providers\ReengagementServiceProvider::class,
 		];
 	}
 
 	public function provides(): array {
 		return [
 			CampaignRepositoryInterface::class,
+			SegmentRepositoryInterface::class,
+			ContactListRepositoryInterface::class,
+			TestGroupRepositoryInterface::class,
+			ContactListImporter::class,
 			AudienceCalculatorInterface::class,
+			AudienceSegmentBuilder::class,
 			CampaignDispatcherInterface::class,
 			BroadcastWizardRenderer::class,
 			CampaignReportGenerator::class,
+			CampaignApproval::class,
+			CampaignApprovalRenderer::class,
 			BroadcastsAjaxHandler::class,
 			AdminBroadcastsController::class,
 			BroadcastTemplateBuilder::class,
 			BroadcastBatchProcessor::class,
+			BroadcastTracker::class,
+			BroadcastTestTracker::class,
+			BroadcastLinkTracker::class,
+			BroadcastReportExporter::class,
+			CampaignListQuery::class,
+			RecipientDataProvider::class,
+			BroadcastCouponIssuer::class,
+			BroadcastPricing::class,
+			BroadcastPricingRenderer::class,
+			BroadcastCalendar::class,
+			BroadcastCalendarRenderer::class,
+			BroadcastDeliveryPlanner::class,
+			BroadcastRecurrence::class,
 		];
 	}
 
@@ -232,7 +232,7 @@ class WebhookMessageProcessor extends AbstractQueueProcessor {
 				'conversation_id' => $conversationId,
 				'wa_message_id'   => $waMessageId,
 				'direction'       => 'inbound',
-				'type'            => $type,
+				'type'            => in_array( $type, Message::TYPES, true ) ? $type : Message::TYPE_UNSUPPORTED,
 				'content'         => $this->buildContentPayload( $type, $data ),
 				'raw_payload'     => $data,
 				'status'          => Message::STATUS_DELIVERED,
@@ -1474,22 +1474,29 @@ class WebhookMessageProcessor extends AbstractQueueProcessor {
 	private function buildContentPayload( string $type, array $data ): array {
 		switch ( $type ) {
 			case 'text':
-				return [ 'text' => $this->extractTextContent( $type, $data ) ];
+				$content = [ 'text' => $this->extractTextContent( $type, $data ) ];
+				break;
 			case 'interactive':
-				return [ 'interactive' => $data['interactive'] ?? [] ];
+				$content = [ 'interactive' => $data['interactive'] ?? [] ];
+				break;
 			case 'button':
-				return [
+				$content = [
 					'button' => [
 						'text'    => $data['button']['text'] ?? '',
 						'payload' => $data['button']['payload'] ?? '',
 					],
 				];
+				break;
 			default:
-				if ( isset( $data[ $type ] ) && is_array( $data[ $type ] ) ) {
-					return [ $type => $data[ $type ] ];
-				}
-				return [];
+				$content = isset( $data[ $type ] ) && is_array( $data[ $type ] ) ? [ $type => $data[ $type ] ] : [];
 		}
+
+		// Keep the quoted message or the catalog product the customer asked about.
+		if ( ! empty( $data['context'] ) && is_array( $data['context'] ) ) {
+			$content['context'] = $data['context'];
+		}
+
+		return $content;
 	}
 
 	/**
@@ -169,6 +169,19 @@ class WebhookStatusProcessor extends AbstractQueueProcessor {
 				]
 			);
 
+			/**
+			 * Fires for status updates on messages not stored in the messages table.
+			 *
+			 * Broadcast sends are tracked in their own recipients table and
+			 * pick up delivery and read receipts through this hook.
+			 *
+			 * @param string $messageId The WhatsApp message ID.
+			 * @param string $status    The new status.
+			 * @param array  $errors    Error details from the webhook (failed status).
+			 * @param array  $data      The original webhook data.
+			 */
+			do_action( 'wch_untracked_message_status', $messageId, $status, $errors, $data );
+
 			// Don't throw - the message might not exist in our system.
 			// This can happen for messages sent through other channels.
 			return;
@@ -88,6 +88,46 @@ final class DataValidator {
 		return self::isValidPhone( $phone ) ? $phone : null;
 	}
 
+	/**
+	 * Normalize a phone number to E.164 (`+` followed by the digits).
+	 *
+	 * Numbers written with a `+` or `00` international prefix keep their own
+	 * country code. Otherwise, when a default calling code is given, a number
+	 * with a national trunk prefix (leading zero) or of national length gets the
+	 * calling code prepended; longer numbers that already start with the calling
+	 * code are kept as they are.
+	 *
+	 * @param string $phone       The phone number as entered.
+	 * @param string $callingCode Default country calling code (e.g. "44" or "+44").
+	 * @return string|null The E.164 number or null if invalid.
+	 */
+	public static function normalizeE164( string $phone, string $callingCode = '' ): ?string {
+		$phone  = trim( $phone );
+		$digits = preg_replace( '/[^0-9]/', '', $phone );
+
+		if ( str_starts_with( $phone, '+' ) ) {
+			return self::isValidPhone( $digits ) ? '+' . $digits : null;
+		}
+
+		if ( str_starts_with( $digits, '00' ) ) {
+			$digits = substr( $digits, 2 );
+			return self::isValidPhone( $digits ) ? '+' . $digits : null;
+		}
+
+		$callingCode = preg_replace( '/[^0-9]/', '', $callingCode );
+
+		if ( '' !== $callingCode ) {
+			$hasTrunkPrefix = str_starts_with( $digits, '0' );
+			$isNational     = $hasTrunkPrefix || ! str_starts_with( $digits, $callingCode ) || strlen( $digits ) <= 10;
+
+			if ( $isNational ) {
+				$digits = $callingCode . ltrim( $digits, '0' );
+			}
+		}
+
+		return self::isValidPhone( $digits ) ? '+' . $digits : null;
+	}
+
 	/**
 	 * Validate an email address.
 	 *
@@ -0,0 +1,1177 @@
+<?php
+/**
+ * Unit tests for ConversationsController
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastTemplateBuilder;
+use WhatsAppCommerceHub\Clients\WhatsAppApiClient;
+use WhatsAppCommerceHub\Controllers\ConversationsController;
+use WhatsAppCommerceHub\Presentation\Templates\TemplateManager;
+use WhatsAppCommerceHub\Security\RateLimiter;
+use WhatsAppCommerceHub\Tests\Mocks\MockContainer;
+
+/**
+ * Test ConversationsController class.
+ */
+class ConversationsControllerTest extends WCH_Unit_Test_Case {
+
+	/**
+	 * Controller instance.
+	 *
+	 * @var ConversationsController
+	 */
+	private ConversationsController $controller;
+
+	/**
+	 * Plugin container, restored after tests that swap it.
+	 *
+	 * @var mixed
+	 */
+	private $original_container;
+
+	/**
+	 * Files created by the test.
+	 *
+	 * @var array
+	 */
+	private array $temp_files = [];
+
+	/**
+	 * Setup before each test.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$rate_limiter = Mockery::mock( RateLimiter::class );
+		$rate_limiter->shouldReceive( 'checkAndHit' )->andReturn( [ 'allowed' => true ] );
+
+		$this->controller = new ConversationsController( null, $rate_limiter );
+
+		wp_set_current_user( self::factory()->user->create( [ 'role' => 'administrator' ] ) );
+
+		global $wch_container;
+		$this->original_container = $wch_container;
+	}
+
+	/**
+	 * Teardown after each test.
+	 */
+	protected function tearDown(): void {
+		global $wch_container;
+		$wch_container = $this->original_container;
+
+		foreach ( $this->temp_files as $file ) {
+			if ( file_exists( $file ) ) {
+				unlink( $file );
+			}
+		}
+
+		parent::tearDown();
+	}
+
+	/**
+	 * Resolve services from a container holding only the given mocks.
+	 *
+	 * @param array $services Services by ID.
+	 * @return void
+	 */
+	private function use_services( array $services ): void {
+		global $wch_container;
+
+		$wch_container = new MockContainer();
+		foreach ( $services as $id => $service ) {
+			$wch_container->set( $id, $service );
+		}
+	}
+
+	/**
+	 * Insert a conversation row.
+	 *
+	 * @param array $args Column overrides.
+	 * @return int Conversation ID.
+	 */
+	private function insert_conversation( array $args = [] ): int {
+		global $wpdb;
+
+		$wpdb->insert(
+			$wpdb->prefix . 'wch_conversations',
+			array_merge(
+				[
+					'customer_phone'     => '+1234567890',
+					'wa_conversation_id' => 'conv_' . wp_generate_uuid4(),
+					'status'             => 'active',
+					'last_message_at'    => '2020-01-01 00:00:00',
+					'created_at'         => '2020-01-01 00:00:00',
+					'updated_at'         => '2020-01-01 00:00:00',
+				],
+				$args
+			)
+		);
+
+		return (int) $wpdb->insert_id;
+	}
+
+	/**
+	 * Insert a message row.
+	 *
+	 * @param int   $conversation_id Conversation ID.
+	 * @param array $args            Column overrides.
+	 * @return int Message ID.
+	 */
+	private function insert_message( int $conversation_id, array $args = [] ): int {
+		global $wpdb;
+
+		$wpdb->insert(
+			$wpdb->prefix . 'wch_messages',
+			array_merge(
+				[
+					'conversation_id' => $conversation_id,
+					'direction'       => 'inbound',
+					'type'            => 'text',
+					'wa_message_id'   => 'wamid.' . wp_generate_uuid4(),
+					'content'         => wp_json_encode( [ 'text' => [ 'body' => 'Hello' ] ] ),
+					'status'          => 'delivered',
+					'created_at'      => '2020-01-01 00:00:00',
+					'updated_at'      => '2020-01-01 00:00:00',
+				],
+				$args
+			)
+		);
+
+		return (int) $wpdb->insert_id;
+	}
+
+	/**
+	 * Call a private controller method.
+	 *
+	 * @param string $method Method name.
+	 * @param mixed  ...$args Method arguments.
+	 * @return mixed
+	 */
+	private function call_private( string $method, ...$args ) {
+		$reflection = new ReflectionMethod( ConversationsController::class, $method );
+		$reflection->setAccessible( true );
+
+		return $reflection->invoke( $this->controller, ...$args );
+	}
+
+	/**
+	 * Build an update request.
+	 *
+	 * @param string $since           Cursor.
+	 * @param int    $conversation_id Open conversation ID.
+	 * @param int    $wait            Seconds to wait.
+	 * @return WP_REST_Request
+	 */
+	private function updates_request( string $since, int $conversation_id = 0, int $wait = 0 ): WP_REST_Request {
+		$request = new WP_REST_Request( 'GET', '/wch/v1/conversations/updates' );
+		$request->set_param( 'since', $since );
+		$request->set_param( 'conversation_id', $conversation_id );
+		$request->set_param( 'wait', $wait );
+
+		return $request;
+	}
+
+	/**
+	 * Test a request without a cursor only returns a starting cursor.
+	 */
+	public function test_get_updates_without_cursor_returns_starting_cursor() {
+		$this->insert_conversation();
+
+		$response = $this->controller->getUpdates( $this->updates_request( '' ) );
+		$data     = $response->get_data();
+
+		$this->assertMatchesRegularExpression( '/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/', $data['cursor'] );
+		$this->assertSame( [], $data['conversations'] );
+		$this->assertSame( [], $data['messages'] );
+	}
+
+	/**
+	 * Test malformed cursors are rejected.
+	 */
+	public function test_get_updates_rejects_invalid_cursor() {
+		$result = $this->controller->getUpdates( $this->updates_request( 'yesterday' ) );
+
+		$this->assertWPError( $result );
+		$this->assertSame( 'invalid_cursor', $result->get_error_code() );
+	}
+
+	/**
+	 * Test changes at the cursor second are sent again, and older ones are not.
+	 */
+	public function test_get_updates_resends_changes_at_cursor_second() {
+		$since = '2030-01-01 10:00:00';
+
+		$changed   = $this->insert_conversation( [ 'updated_at' => $since ] );
+		$unchanged = $this->insert_conversation( [ 'updated_at' => '2030-01-01 09:59:59' ] );
+
+		$old_message = $this->insert_message( $changed, [ 'updated_at' => '2030-01-01 09:59:59' ] );
+		$new_message = $this->insert_message( $changed, [ 'updated_at' => $since ] );
+
+		$data = $this->controller->getUpdates( $this->updates_request( $since, $changed ) )->get_data();
+
+		$conversation_ids = array_map( 'intval', array_column( $data['conversations'], 'id' ) );
+		$message_ids      = array_map( 'intval', array_column( $data['messages'], 'id' ) );
+
+		$this->assertContains( $changed, $conversation_ids );
+		$this->assertNotContains( $unchanged, $conversation_ids );
+		$this->assertSame( [ $new_message ], $message_ids );
+		$this->assertNotContains( $old_message, $message_ids );
+	}
+
+	/**
+	 * Test messages are only sent for the open conversation.
+	 */
+	public function test_get_updates_only_sends_messages_for_open_conversation() {
+		$since = '2030-01-01 10:00:00';
+
+		$conversation = $this->insert_conversation( [ 'updated_at' => $since ] );
+		$this->insert_message( $conversation, [ 'updated_at' => $since ] );
+
+		$data = $this->controller->getUpdates( $this->updates_request( $since ) )->get_data();
+
+		$this->assertNotEmpty( $data['conversations'] );
+		$this->assertSame( [], $data['messages'] );
+	}
+
+	/**
+	 * Test a change in the cursor second ends the wait straight away.
+	 */
+	public function test_get_updates_does_not_wait_for_change_at_cursor_second() {
+		$since = '2030-01-01 10:00:00';
+		$this->insert_conversation( [ 'updated_at' => $since ] );
+
+		$started = time();
+		$this->controller->getUpdates( $this->updates_request( $since, 0, 10 ) );
+
+		$this->assertLessThan( 2, time() - $started );
+	}
+
+	/**
+	 * Test the latest change covers conversations and the open conversation's messages.
+	 */
+	public function test_get_latest_change_uses_newest_timestamp() {
+		$conversation = $this->insert_conversation(
+			[
+				'updated_at'      => '2030-01-01 10:00:00',
+				'last_message_at' => '2030-01-01 11:00:00',
+			]
+		);
+
+		$this->assertSame( '2030-01-01 11:00:00', $this->call_private( 'getLatestChange', 0 ) );
+
+		$this->insert_message( $conversation, [ 'updated_at' => '2030-01-01 12:00:00' ] );
+
+		$this->assertSame( '2030-01-01 12:00:00', $this->call_private( 'getLatestChange', $conversation ) );
+	}
+
+	/**
+	 * Test message changes in other conversations don't count.
+	 */
+	public function test_get_latest_change_ignores_other_conversations_messages() {
+		$open  = $this->insert_conversation( [ 'updated_at' => '2030-01-01 10:00:00' ] );
+		$other = $this->insert_conversation( [ 'updated_at' => '2030-01-01 10:00:00' ] );
+
+		$this->insert_message( $other, [ 'updated_at' => '2030-01-01 12:00:00' ] );
+
+		$this->assertSame( '2030-01-01 10:00:00', $this->call_private( 'getLatestChange', $open ) );
+	}
+
+	/**
+	 * Build a request for the messages before a message.
+	 *
+	 * @param int $conversation_id Conversation ID.
+	 * @param int $before          Message ID to page back from.
+	 * @param int $per_page        Page size.
+	 * @return WP_REST_Request
+	 */
+	private function messages_before_request( int $conversation_id, int $before, int $per_page ): WP_REST_Request {
+		$request = new WP_REST_Request( 'GET', '/wch/v1/conversations/' . $conversation_id . '/messages' );
+		$request->set_param( 'id', $conversation_id );
+		$request->set_param( 'before', $before );
+		$request->set_param( 'per_page', $per_page );
+
+		return $request;
+	}
+
+	/**
+	 * Test paging back through messages by ID, oldest first within each page.
+	 */
+	public function test_get_messages_before_pages_by_id() {
+		$conversation = $this->insert_conversation();
+		$other        = $this->insert_conversation();
+
+		$ids = [];
+		for ( $i = 0; $i < 5; $i++ ) {
+			$ids[] = $this->insert_message( $conversation );
+		}
+		$this->insert_message( $other );
+
+		$response = $this->controller->getMessages( $this->messages_before_request( $conversation, 0, 2 ) );
+		$this->assertSame( [ $ids[3], $ids[4] ], array_map( 'intval', array_column( $response->get_data(), 'id' ) ) );
+		$this->assertSame( '1', $response->get_headers()['X-WCH-Has-More'] );
+
+		$response = $this->controller->getMessages( $this->messages_before_request( $conversation, $ids[3], 2 ) );
+		$this->assertSame( [ $ids[1], $ids[2] ], array_map( 'intval', array_column( $response->get_data(), 'id' ) ) );
+		$this->assertSame( '1', $response->get_headers()['X-WCH-Has-More'] );
+
+		$response = $this->controller->getMessages( $this->messages_before_request( $conversation, $ids[1], 2 ) );
+		$this->assertSame( [ $ids[0] ], array_map( 'intval', array_column( $response->get_data(), 'id' ) ) );
+		$this->assertSame( '0', $response->get_headers()['X-WCH-Has-More'] );
+	}
+
+	/**
+	 * Test a page that ends exactly at the first message reports nothing more.
+	 */
+	public function test_get_messages_before_has_more_false_on_exact_page() {
+		$conversation = $this->insert_conversation();
+
+		$this->insert_message( $conversation );
+		$this->insert_message( $conversation );
+
+		$response = $this->controller->getMessages( $this->messages_before_request( $conversation, 0, 2 ) );
+
+		$this->assertCount( 2, $response->get_data() );
+		$this->assertSame( '0', $response->get_headers()['X-WCH-Has-More'] );
+	}
+
+	/**
+	 * Test messages arriving while paging back don't shift older pages.
+	 */
+	public function test_get_messages_before_ignores_new_messages() {
+		$conversation = $this->insert_conversation();
+
+		$first  = $this->insert_message( $conversation );
+		$second = $this->insert_message( $conversation );
+		$third  = $this->insert_message( $conversation );
+
+		$this->insert_message( $conversation );
+
+		$response = $this->controller->getMessages( $this->messages_before_request( $conversation, $third, 2 ) );
+
+		$this->assertSame( [ $first, $second ], array_map( 'intval', array_column( $response->get_data(), 'id' ) ) );
+		$this->assertSame( '0', $response->get_headers()['X-WCH-Has-More'] );
+	}
+
+	/**
+	 * Build a media request.
+	 *
+	 * @param int $conversation_id Conversation ID.
+	 * @param int $message_id      Message ID.
+	 * @return WP_REST_Request
+	 */
+	private function media_request( int $conversation_id, int $message_id ): WP_REST_Request {
+		$request = new WP_REST_Request( 'GET', '/wch/v1/conversations/' . $conversation_id . '/messages/' . $message_id . '/media' );
+		$request->set_param( 'id', $conversation_id );
+		$request->set_param( 'message_id', $message_id );
+
+		return $request;
+	}
+
+	/**
+	 * Test agents can't fetch media from conversations assigned to someone else.
+	 */
+	public function test_get_message_media_denies_other_agents_conversations() {
+		$owner = self::factory()->user->create( [ 'role' => 'shop_manager' ] );
+		$agent = self::factory()->user->create( [ 'role' => 'shop_manager' ] );
+
+		$conversation = $this->insert_conversation( [ 'assigned_agent_id' => $owner ] );
+		$message      = $this->insert_message(
+			$conversation,
+			[
+				'type'    => 'image',
+				'content' => wp_json_encode( [ 'image' => [ 'id' => 'media-1' ] ] ),
+			]
+		);
+
+		$api = Mockery::mock( WhatsAppApiClient::class );
+		$api->shouldNotReceive( 'downloadMedia' );
+		$this->use_services( [ WhatsAppApiClient::class => $api ] );
+
+		wp_set_current_user( $agent );
+
+		$result = $this->controller->getMessageMedia( $this->media_request( $conversation, $message ) );
+
+		$this->assertWPError( $result );
+		$this->assertSame( 'wch_rest_forbidden', $result->get_error_code() );
+	}
+
+	/**
+	 * Test media is only found through the conversation the message belongs to.
+	 */
+	public function test_get_message_media_requires_message_in_conversation() {
+		$conversation = $this->insert_conversation();
+		$other        = $this->insert_conversation();
+		$message      = $this->insert_message(
+			$other,
+			[
+				'type'    => 'image',
+				'content' => wp_json_encode( [ 'image' => [ 'id' => 'media-1' ] ] ),
+			]
+		);
+
+		$api = Mockery::mock( WhatsAppApiClient::class );
+		$api->shouldNotReceive( 'downloadMedia' );
+		$this->use_services( [ WhatsAppApiClient::class => $api ] );
+
+		$result = $this->controller->getMessageMedia( $this->media_request( $conversation, $message ) );
+
+		$this->assertWPError( $result );
+		$this->assertSame( 'media_not_found', $result->get_error_code() );
+	}
+
+	/**
+	 * Test messages without media return not found.
+	 */
+	public function test_get_message_media_rejects_messages_without_media() {
+		$conversation = $this->insert_conversation();
+		$message      = $this->insert_message( $conversation );
+
+		$result = $this->controller->getMessageMedia( $this->media_request( $conversation, $message ) );
+
+		$this->assertWPError( $result );
+		$this->assertSame( 'media_not_found', $result->get_error_code() );
+	}
+
+	/**
+	 * Test a failed download returns a gateway error.
+	 */
+	public function test_get_message_media_reports_failed_download() {
+		$conversation = $this->insert_conversation();
+		$message      = $this->insert_message(
+			$conversation,
+			[
+				'type'    => 'document',
+				'content' => wp_json_encode( [ 'document' => [ 'id' => 'media-1' ] ] ),
+			]
+		);
+
+		$api = Mockery::mock( WhatsAppApiClient::class );
+		$api->shouldReceive( 'downloadMedia' )
+			->once()
+			->with( 'media-1', Mockery::type( 'string' ) )
+			->andThrow( new Exception( 'Expired' ) );
+		$this->use_services( [ WhatsAppApiClient::class => $api ] );
+
+		$result = $this->controller->getMessageMedia( $this->media_request( $conversation, $message ) );
+
+		$this->assertWPError( $result );
+		$this->assertSame( 'media_download_failed', $result->get_error_code() );
+		$this->assertSame( 502, $result->get_error_data()['status'] );
+	}
+
+	/**
+	 * Test safe media types are shown inline.
+	 */
+	public function test_media_headers_show_safe_types_inline() {
+		$headers = $this->call_private( 'getMediaHeaders', 'image/jpeg; charset=binary', 'photo.jpg' );
+
+		$this->assertSame( 'image/jpeg', $headers['Content-Type'] );
+		$this->assertSame( 'inline; filename="photo.jpg"', $headers['Content-Disposition'] );
+		$this->assertSame( 'nosniff', $headers['X-Content-Type-Options'] );
+		$this->assertSame( 'sandbox', $headers['Content-Security-Policy'] );
+	}
+
+	/**
+	 * Test types that could run script are forced to download in a sandbox.
+	 */
+	public function test_media_headers_force_download_for_risky_types() {
+		foreach ( [ 'text/html', 'image/svg+xml', 'application/pdf' ] as $mime_type ) {
+			$headers = $this->call_private( 'getMediaHeaders', $mime_type, 'file' );
+
+			$this->assertSame( $mime_type, $headers['Content-Type'] );
+			$this->assertStringStartsWith( 'attachment;', $headers['Content-Disposition'], $mime_type );
+			$this->assertSame( 'sandbox', $headers['Content-Security-Policy'] );
+			$this->assertSame( 'nosniff', $headers['X-Content-Type-Options'] );
+		}
+	}
+
+	/**
+	 * Test malformed types and file names can't inject headers.
+	 */
+	public function test_media_headers_sanitize_type_and_filename() {
+		$headers = $this->call_private( 'getMediaHeaders', "text/html\r\nSet-Cookie: a=b", "../evil\".html" );
+
+		$this->assertSame( 'application/octet-stream', $headers['Content-Type'] );
+		$this->assertSame( 'attachment; filename="evil.html"', $headers['Content-Disposition'] );
+
+		$headers = $this->call_private( 'getMediaHeaders', 'image/png', '' );
+
+		$this->assertSame( 'inline; filename="whatsapp-media"', $headers['Content-Disposition'] );
+	}
+
+	/**
+	 * Test replies include a preview of the message they quote.
+	 */
+	public function test_prepare_message_resolves_quoted_message() {
+		$conversation = $this->insert_conversation();
+		$this->insert_message(
+			$conversation,
+			[
+				'direction'     => 'outbound',
+				'wa_message_id' => 'wamid.original',
+				'content'       => wp_json_encode( [ 'text' => [ 'body' => 'Your order has shipped' ] ] ),
+			]
+		);
+
+		$message = $this->call_private(
+			'prepareMessage',
+			[
+				'conversation_id' => $conversation,
+				'type'            => 'text',
+				'content'         => wp_json_encode(
+					[
+						'text'    => [ 'body' => 'Thanks!' ],
+						'context' => [ 'id' => 'wamid.original' ],
+					]
+				),
+			]
+		);
+
+		$this->assertSame(
+			[
+				'direction' => 'outbound',
+				'preview'   => 'Your order has shipped',
+			],
+			$message['quoted']
+		);
+		$this->assertSame( 'Thanks!', $message['content']['text']['body'] );
+	}
+
+	/**
+	 * Test reactions resolve the message reacted to, only within the conversation.
+	 */
+	public function test_prepare_message_resolves_reaction_within_conversation() {
+		$conversation = $this->insert_conversation();
+		$other        = $this->insert_conversation();
+		$this->insert_message( $conversation, [ 'wa_message_id' => 'wamid.mine' ] );
+		$this->insert_message( $other, [ 'wa_message_id' => 'wamid.theirs' ] );
+
+		$reaction = function ( string $wa_message_id ) use ( $conversation ) {
+			return $this->call_private(
+				'prepareMessage',
+				[
+					'conversation_id' => $conversation,
+					'type'            => 'reaction',
+					'content'         => wp_json_encode(
+						[
+							'reaction' => [
+								'message_id' => $wa_message_id,
+								'emoji'      => '👍',
+							],
+						]
+					),
+				]
+			);
+		};
+
+		$this->assertSame( 'Hello', $reaction( 'wamid.mine' )['quoted']['preview'] );
+		$this->assertNull( $reaction( 'wamid.theirs' )['quoted'] );
+	}
+
+	/**
+	 * Test messages without a reference get no quote.
+	 */
+	public function test_prepare_message_without_reference_has_no_quote() {
+		$message = $this->call_private(
+			'prepareMessage',
+			[
+				'conversation_id' => $this->insert_conversation(),
+				'type'            => 'text',
+				'content'         => wp_json_encode( [ 'text' => [ 'body' => 'Hi' ] ] ),
+			]
+		);
+
+		$this->assertArrayNotHasKey( 'quoted', $message );
+	}
+
+	/**
+	 * Test catalog products in orders and product enquiries get their names.
+	 */
+	public function test_prepare_message_adds_product_names() {
+		$product = $this->create_test_product( [ 'name' => 'Blue Mug' ] );
+
+		$message = $this->call_private(
+			'prepareMessage',
+			[
+				'conversation_id' => $this->insert_conversation(),
+				'type'            => 'order',
+				'content'         => wp_json_encode(
+					[
+						'order'   => [
+							'product_items' => [
+								[ 'product_retailer_id' => (string) $product->get_id() ],
+								[ 'product_retailer_id' => 'SKU-NOT-AN-ID' ],
+								[ 'product_retailer_id' => '999999999' ],
+							],
+						],
+						'context' => [
+							'referred_product' => [ 'product_retailer_id' => (string) $product->get_id() ],
+						],
+					]
+				),
+			]
+		);
+
+		$items = $message['content']['order']['product_items'];
+
+		$this->assertSame( 'Blue Mug', $items[0]['product_name'] );
+		$this->assertSame( '', $items[1]['product_name'] );
+		$this->assertSame( '', $items[2]['product_name'] );
+		$this->assertSame( 'Blue Mug', $message['content']['context']['referred_product']['product_name'] );
+	}
+
+	/**
+	 * Write a temporary file.
+	 *
+	 * @param string      $contents File contents.
+	 * @param string|null $path     Path to write to; a new temporary file if omitted.
+	 * @return string Path.
+	 */
+	private function write_file( string $contents, ?string $path = null ): string {
+		$path = $path ?? tempnam( sys_get_temp_dir(), 'wch' );
+		file_put_contents( $path, $contents );
+
+		$this->temp_files[] = $path;
+
+		return $path;
+	}
+
+	/**
+	 * Get the contents of a 1x1 PNG.
+	 *
+	 * @return string
+	 */
+	private function png(): string {
+		return base64_decode( 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==' );
+	}
+
+	/**
+	 * Test file types come from the contents, not the name or declared type.
+	 */
+	public function test_detect_mime_type_uses_contents() {
+		$file = $this->write_file( $this->png() );
+
+		$this->assertSame( 'image/png', $this->call_private( 'detectMimeType', $file, 'photo.pdf', 'application/pdf' ) );
+
+		$file = $this->write_file( '<html><body><script>alert(1)</script></body></html>' );
+
+		$this->assertSame( 'text/html', $this->call_private( 'detectMimeType', $file, 'photo.png', 'image/png' ) );
+	}
+
+	/**
+	 * Test Ogg files are normalised to the type WhatsApp accepts.
+	 */
+	public function test_detect_mime_type_maps_ogg_aliases() {
+		$file = $this->write_file( 'OggS' . "\0\x02" . str_repeat( "\0", 20 ) . "\x01\x13OpusHead" . str_repeat( "\0", 32 ) );
+
+		$this->assertSame( 'audio/ogg', $this->call_private( 'detectMimeType', $file, 'voice-note.ogg', 'audio/ogg' ) );
+	}
+
+	/**
+	 * Test MP4 audio goes by the declared type, since audio and video share the container.
+	 */
+	public function test_detect_mime_type_uses_declared_type_for_mp4_audio() {
+		$file = $this->write_file( "\0\0\0\x18ftypmp42\0\0\0\0mp42isom" . str_repeat( "\0", 64 ) );
+
+		$this->assertSame( 'audio/mp4', $this->call_private( 'detectMimeType', $file, 'voice-note.m4a', 'audio/mp4' ) );
+		$this->assertSame( 'video/mp4', $this->call_private( 'detectMimeType', $file, 'clip.mp4', 'video/mp4' ) );
+	}
+
+	/**
+	 * Test unrecognised contents fall back to the file extension.
+	 */
+	public function test_detect_mime_type_falls_back_to_extension() {
+		$file = $this->write_file( str_repeat( "\x01\x02\x03\x04", 16 ) );
+
+		$this->assertSame(
+			'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+			$this->call_private( 'detectMimeType', $file, 'report.docx', '' )
+		);
+	}
+
+	/**
+	 * Test MIME types map to WhatsApp message types.
+	 */
+	public function test_get_outgoing_media_type() {
+		$this->assertSame( 'image', $this->call_private( 'getOutgoingMediaType', 'image/png' ) );
+		$this->assertSame( 'video', $this->call_private( 'getOutgoingMediaType', 'video/mp4' ) );
+		$this->assertSame( 'audio', $this->call_private( 'getOutgoingMediaType', 'audio/ogg' ) );
+		$this->assertSame( 'document', $this->call_private( 'getOutgoingMediaType', 'application/pdf' ) );
+		$this->assertNull( $this->call_private( 'getOutgoingMediaType', 'image/gif' ) );
+		$this->assertNull( $this->call_private( 'getOutgoingMediaType', 'text/html' ) );
+	}
+
+	/**
+	 * Test accepted files report their message and MIME type.
+	 */
+	public function test_check_attachment_accepts_image_with_caption() {
+		$file = $this->write_file( $this->png() );
+
+		$this->assertSame(
+			[
+				'type'      => 'image',
+				'mime_type' => 'image/png',
+			],
+			$this->call_private( 'checkAttachment', $file, 'photo.png', 'image/png', 'Here it is' )
+		);
+	}
+
+	/**
+	 * Test files WhatsApp can't send are rejected.
+	 */
+	public function test_check_attachment_rejects_unsupported_type() {
+		$file   = $this->write_file( '<svg xmlns="http://www.w3.org/2000/svg"></svg>' );
+		$result = $this->call_private( 'checkAttachment', $file, 'logo.svg', 'image/svg+xml', '' );
+
+		$this->assertWPError( $result );
+		$this->assertSame( 'media_type_unsupported', $result->get_error_code() );
+	}
+
+	/**
+	 * Test files over the limit for their type are rejected.
+	 */
+	public function test_check_attachment_rejects_file_over_size_limit() {
+		$max_size = ConversationsController::OUTGOING_MEDIA_LIMITS['image']['max_size'];
+		$file     = $this->write_file( $this->png() . str_repeat( "\0", $max_size ) );
+		$result   = $this->call_private( 'checkAttachment', $file, 'photo.png', 'image/png', '' );
+
+		$this->assertWPError( $result );
+		$this->assertSame( 'media_too_large', $result->get_error_code() );
+	}
+
+	/**
+	 * Test audio can't have a caption.
+	 */
+	public function test_check_attachment_rejects_audio_caption() {
+		$file   = $this->write_file( 'ID3' . "\x03\0\0\0\0\0\0" . str_repeat( "\xFF\xFB\x90\x00" . str_repeat( "\0", 413 ), 4 ) );
+		$result = $this->call_private( 'checkAttachment', $file, 'song.mp3', 'audio/mpeg', 'Listen' );
+
+		$this->assertWPError( $result );
+		$this->assertSame( 'caption_not_allowed', $result->get_error_code() );
+	}
+
+	/**
+	 * Test captions are limited to WhatsApp's length.
+	 */
+	public function test_check_attachment_limits_caption_length() {
+		$file = $this->write_file( $this->png() );
+
+		$this->assertIsArray( $this->call_private( 'checkAttachment', $file, 'photo.png', 'image/png', str_repeat( 'é', 1024 ) ) );
+
+		$result = $this->call_private( 'checkAttachment', $file, 'photo.png', 'image/png', str_repeat( 'é', 1025 ) );
+
+		$this->assertWPError( $result );
+		$this->assertSame( 'caption_too_long', $result->get_error_code() );
+	}
+
+	/**
+	 * Write a file to the outgoing media directory.
+	 *
+	 * @param string $extension File extension.
+	 * @return string Path.
+	 */
+	private function write_outgoing_file( string $extension ): string {
+		$dir = trailingslashit( wp_upload_dir()['basedir'] ) . 'wch-outgoing';
+		wp_mkdir_p( $dir );
+
+		return $this->write_file( 'media', $dir . '/' . wp_generate_uuid4() . '.' . $extension );
+	}
+
+	/**
+	 * Test a sent file is deleted and the message stored with its media ID.
+	 */
+	public function test_send_media_message_deletes_file_and_stores_message() {
+		$conversation = $this->insert_conversation();
+		$path         = $this->write_outgoing_file( 'pdf' );
+
+		$api = Mockery::mock( WhatsAppApiClient::class );
+		$api->shouldReceive( 'uploadMedia' )->once()->with( $path, 'application/pdf' )->andReturn( 'media-1' );
+		$api->shouldReceive( 'sendDocument' )
+			->once()
+			->with( '+1234567890', 'media-1', 'invoice.pdf', 'Your invoice' )
+			->andReturn( [ 'messages' => [ [ 'id' => 'wamid.sent' ] ] ] );
+
+		$message = $this->call_private(
+			'sendMediaMessage',
+			[
+				'id'             => $conversation,
+				'customer_phone' => '+1234567890',
+			],
+			$path,
+			'document',
+			'application/pdf',
+			'invoice.pdf',
+			'Your invoice',
+			$api
+		);
+
+		$this->assertFileDoesNotExist( $path );
+		$this->assertSame( 'wamid.sent', $message['wa_message_id'] );
+		$this->assertSame(
+			[
+				'id'        => 'media-1',
+				'mime_type' => 'application/pdf',
+				'filename'  => 'invoice.pdf',
+				'caption'   => 'Your invoice',
+			],
+			$message['content']['document']
+		);
+	}
+
+	/**
+	 * Test the file is deleted when WhatsApp rejects it.
+	 */
+	public function test_send_media_message_deletes_file_on_failure() {
+		$path = $this->write_outgoing_file( 'png' );
+
+		$api = Mockery::mock( WhatsAppApiClient::class );
+		$api->shouldReceive( 'uploadMedia' )->once()->andThrow( new Exception( 'Upload failed' ) );
+		$api->shouldNotReceive( 'sendImage' );
+
+		$result = $this->call_private(
+			'sendMediaMessage',
+			[
+				'id'             => $this->insert_conversation(),
+				'customer_phone' => '+1234567890',
+			],
+			$path,
+			'image',
+			'image/png',
+			'photo.png',
+			'',
+			$api
+		);
+
+		$this->assertFileDoesNotExist( $path );
+		$this->assertWPError( $result );
+		$this->assertSame( 'whatsapp_message_failed', $result->get_error_code() );
+	}
+
+	/**
+	 * Test only Ogg Opus audio is stored as a voice note, since that's what WhatsApp shows as one.
+	 */
+	public function test_send_media_message_marks_ogg_audio_as_voice_note() {
+		$conversation = [
+			'id'             => $this->insert_conversation(),
+			'customer_phone' => '+1234567890',
+		];
+
+		$api = Mockery::mock( WhatsAppApiClient::class );
+		$api->shouldReceive( 'uploadMedia' )->twice()->andReturn( 'media-1' );
+		$api->shouldReceive( 'sendAudio' )
+			->twice()
+			->with( '+1234567890', 'media-1' )
+			->andReturn( [ 'messages' => [ [ 'id' => 'wamid.ogg' ] ] ], [ 'messages' => [ [ 'id' => 'wamid.mp3' ] ] ] );
+
+		$ogg = $this->call_private( 'sendMediaMessage', $conversation, $this->write_outgoing_file( 'ogg' ), 'audio', 'audio/ogg', '', '', $api );
+		$mp3 = $this->call_private( 'sendMediaMessage', $conversation, $this->write_outgoing_file( 'mp3' ), 'audio', 'audio/mpeg', '', '', $api );
+
+		$this->assertTrue( $ogg['content']['audio']['voice'] );
+		$this->assertArrayNotHasKey( 'voice', $mp3['content']['audio'] );
+	}
+
+	/**
+	 * Build a send message request.
+	 *
+	 * @param int    $conversation_id Conversation ID.
+	 * @param string $message         Message text.
+	 * @return WP_REST_Request
+	 */
+	private function send_message_request( int $conversation_id, string $message ): WP_REST_Request {
+		$request = new WP_REST_Request( 'POST', '/wch/v1/conversations/' . $conversation_id . '/messages' );
+		$request->set_param( 'id', $conversation_id );
+		$request->set_param( 'message', $message );
+
+		return $request;
+	}
+
+	/**
+	 * Test free-form messages are refused 24 hours after the customer's last message.
+	 */
+	public function test_send_message_refused_after_service_window() {
+		$conversation = $this->insert_conversation();
+		$this->insert_message( $conversation, [ 'created_at' => gmdate( 'Y-m-d H:i:s', time() - 25 * HOUR_IN_SECONDS ) ] );
+
+		$api = Mockery::mock( WhatsAppApiClient::class );
+		$api->shouldNotReceive( 'sendTextMessage' );
+		$this->use_services( [ WhatsAppApiClient::class => $api ] );
+
+		$result = $this->controller->sendMessage( $this->send_message_request( $conversation, 'Are you still there?' ) );
+
+		$this->assertWPError( $result );
+		$this->assertSame( 'service_window_closed', $result->get_error_code() );
+	}
+
+	/**
+	 * Test our own recent messages don't keep the window open.
+	 */
+	public function test_send_message_refused_when_customer_never_wrote() {
+		$conversation = $this->insert_conversation();
+		$this->insert_message(
+			$conversation,
+			[
+				'direction'  => 'outbound',
+				'created_at' => gmdate( 'Y-m-d H:i:s', time() - HOUR_IN_SECONDS ),
+			]
+		);
+
+		$api = Mockery::mock( WhatsAppApiClient::class );
+		$api->shouldNotReceive( 'sendTextMessage' );
+		$this->use_services( [ WhatsAppApiClient::class => $api ] );
+
+		$result = $this->controller->sendMessage( $this->send_message_request( $conversation, 'Hello' ) );
+
+		$this->assertWPError( $result );
+		$this->assertSame( 'service_window_closed', $result->get_error_code() );
+	}
+
+	/**
+	 * Test free-form messages are sent within the service window.
+	 */
+	public function test_send_message_sent_within_service_window() {
+		$conversation = $this->insert_conversation();
+		$this->insert_message( $conversation, [ 'created_at' => gmdate( 'Y-m-d H:i:s', time() - 23 * HOUR_IN_SECONDS ) ] );
+
+		$api = Mockery::mock( WhatsAppApiClient::class );
+		$api->shouldReceive( 'sendTextMessage' )
+			->once()
+			->with( '+1234567890', 'Yes, it is in stock' )
+			->andReturn( [ 'messages' => [ [ 'id' => 'wamid.reply' ] ] ] );
+		$this->use_services( [ WhatsAppApiClient::class => $api ] );
+
+		$response = $this->controller->sendMessage( $this->send_message_request( $conversation, 'Yes, it is in stock' ) );
+
+		$this->assertNotWPError( $response );
+		$this->assertSame( 'wamid.reply', $response->get_data()['wa_message_id'] );
+	}
+
+	/**
+	 * Test the window closes 24 hours after the last inbound message, in UTC.
+	 */
+	public function test_add_service_window_sets_expiry() {
+		$conversation = $this->call_private(
+			'addServiceWindow',
+			[
+				'id'              => 1,
+				'last_inbound_at' => '2030-01-01 10:00:00',
+			]
+		);
+
+		$this->assertSame( '2030-01-02T10:00:00Z', $conversation['window_expires_at'] );
+		$this->assertArrayNotHasKey( 'last_inbound_at', $conversation );
+
+		$conversation = $this->call_private(
+			'addServiceWindow',
+			[
+				'id'              => 1,
+				'last_inbound_at' => null,
+			]
+		);
+
+		$this->assertNull( $conversation['window_expires_at'] );
+	}
+
+	/**
+	 * Get an approved template with a media header and a body variable.
+	 *
+	 * Header URLs in these tests are on the site, so validating them needs no DNS lookup.
+	 *
+	 * @return array
+	 */
+	private function order_template(): array {
+		return [
+			'name'       => 'order_update',
+			'status'     => 'APPROVED',
+			'language'   => 'en_US',
+			'components' => [
+				[
+					'type'   => 'HEADER',
+					'format' => 'IMAGE',
+				],
+				[
+					'type' => 'BODY',
+					'text' => 'Your order {{1}} has shipped',
+				],
+			],
+		];
+	}
+
+	/**
+	 * Build a send template request.
+	 *
+	 * @param int    $conversation_id Conversation ID.
+	 * @param array  $parameters      Template variable values.
+	 * @param string $language        Language of the template version.
+	 * @return WP_REST_Request
+	 */
+	private function send_template_request( int $conversation_id, array $parameters, string $language = 'en_US' ): WP_REST_Request {
+		$request = new WP_REST_Request( 'POST', '/wch/v1/conversations/' . $conversation_id . '/template' );
+		$request->set_param( 'id', $conversation_id );
+		$request->set_param( 'template', 'order_update' );
+		$request->set_param( 'language', $language );
+		$request->set_param( 'parameters', $parameters );
+
+		return $request;
+	}
+
+	/**
+	 * Use a template manager holding English and Spanish order templates, and the given API client.
+	 *
+	 * @param Mockery\MockInterface $api WhatsApp client.
+	 * @return void
+	 */
+	private function use_template_services( $api ): void {
+		$spanish = array_merge( $this->order_template(), [ 'language' => 'es' ] );
+
+		$templates = Mockery::mock( TemplateManager::class );
+		$templates->shouldReceive( 'getTemplates' )->andReturn( [ $this->order_template(), $spanish ] );
+		$templates->shouldReceive( 'renderTemplate' )->andReturn( 'Your order A-100 has shipped' );
+
+		$this->use_services(
+			[
+				TemplateManager::class          => $templates,
+				BroadcastTemplateBuilder::class => new BroadcastTemplateBuilder(),
+				WhatsAppApiClient::class        => $api,
+			]
+		);
+	}
+
+	/**
+	 * Test every template variable must be filled in.
+	 */
+	public function test_send_template_rejects_empty_parameter() {
+		$api = Mockery::mock( WhatsAppApiClient::class );
+		$api->shouldNotReceive( 'sendTemplate' );
+		$this->use_template_services( $api );
+
+		$result = $this->controller->sendTemplate(
+			$this->send_template_request(
+				$this->insert_conversation(),
+				[
+					'header_media' => home_url( '/parcel.jpg' ),
+					'body_1'       => '  ',
+				]
+			)
+		);
+
+		$this->assertWPError( $result );
+		$this->assertSame( 'template_parameter_invalid', $result->get_error_code() );
+		$this->assertSame( 'body_1', $result->get_error_data()['parameter'] );
+	}
+
+	/**
+	 * Test media headers need a URL.
+	 */
+	public function test_send_template_rejects_media_parameter_without_url() {
+		$api = Mockery::mock( WhatsAppApiClient::class );
+		$api->shouldNotReceive( 'sendTemplate' );
+		$this->use_template_services( $api );
+
+		$result = $this->controller->sendTemplate(
+			$this->send_template_request(
+				$this->insert_conversation(),
+				[
+					'header_media' => 'parcel.jpg',
+					'body_1'       => 'A-100',
+				]
+			)
+		);
+
+		$this->assertWPError( $result );
+		$this->assertSame( 'template_parameter_invalid', $result->get_error_code() );
+		$this->assertSame( 'header_media', $result->get_error_data()['parameter'] );
+	}
+
+	/**
+	 * Test templates are sent outside the service window with the entered values.
+	 */
+	public function test_send_template_sent_outside_service_window() {
+		$conversation = $this->insert_conversation();
+		$this->insert_message( $conversation, [ 'created_at' => gmdate( 'Y-m-d H:i:s', time() - 3 * DAY_IN_SECONDS ) ] );
+
+		$api = Mockery::mock( WhatsAppApiClient::class );
+		$api->shouldReceive( 'sendTemplate' )
+			->once()
+			->with(
+				'+1234567890',
+				'order_update',
+				'en_US',
+				Mockery::on(
+					function ( array $components ) {
+						$json = wp_json_encode( $components );
+
+						return str_contains( $json, wp_json_encode( home_url( '/parcel.jpg' ) ) ) && str_contains( $json, '"text":"A-100"' );
+					}
+				)
+			)
+			->andReturn( [ 'messages' => [ [ 'id' => 'wamid.template' ] ] ] );
+		$this->use_template_services( $api );
+
+		$response = $this->controller->sendTemplate(
+			$this->send_template_request(
+				$conversation,
+				[
+					'header_media' => home_url( '/parcel.jpg' ),
+					'body_1'       => 'A-100',
+				]
+			)
+		);
+
+		$this->assertNotWPError( $response );
+		$this->assertSame( 'wamid.template', $response->get_data()['wa_message_id'] );
+		$this->assertSame( 'Your order A-100 has shipped', $response->get_data()['content']['template']['text'] );
+	}
+
+	/**
+	 * Test the template version in the requested language is sent.
+	 */
+	public function test_send_template_uses_requested_language() {
+		$api = Mockery::mock( WhatsAppApiClient::class );
+		$api->shouldReceive( 'sendTemplate' )
+			->once()
+			->with( '+1234567890', 'order_update', 'es', Mockery::type( 'array' ) )
+			->andReturn( [ 'messages' => [ [ 'id' => 'wamid.template' ] ] ] );
+		$this->use_template_services( $api );
+
+		$response = $this->controller->sendTemplate(
+			$this->send_template_request(
+				$this->insert_conversation(),
+				[
+					'header_media' => home_url( '/parcel.jpg' ),
+					'body_1'       => 'A-100',
+				],
+				'es'
+			)
+		);
+
+		$this->assertNotWPError( $response );
+		$this->assertSame( 'es', $response->get_data()['content']['template']['language'] );
+	}
+
+	/**
+	 * Test a language the template has no approved version in is rejected.
+	 */
+	public function test_send_template_rejects_unknown_language() {
+		$api = Mockery::mock( WhatsAppApiClient::class );
+		$api->shouldNotReceive( 'sendTemplate' );
+		$this->use_template_services( $api );
+
+		$result = $this->controller->sendTemplate(
+			$this->send_template_request(
+				$this->insert_conversation(),
+				[
+					'header_media' => home_url( '/parcel.jpg' ),
+					'body_1'       => 'A-100',
+				],
+				'fr'
+			)
+		);
+
+		$this->assertWPError( $result );
+		$this->assertSame( 'template_not_found', $result->get_error_code() );
+	}
+}
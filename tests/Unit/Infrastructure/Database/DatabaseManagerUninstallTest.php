@@ -67,6 +67,7 @@ class DatabaseManagerUninstallTest extends WCH_Unit_Test_Case {
 			'carts',
 			'customer_profiles',
 			'broadcast_recipients',
+			'broadcast_contacts',
 			'sync_queue',
 			'notification_log',
 			'product_views',
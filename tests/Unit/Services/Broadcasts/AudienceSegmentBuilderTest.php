@@ -0,0 +1,223 @@
+<?php
+/**
+ * Unit tests for AudienceSegmentBuilder
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+use WhatsAppCommerceHub\Application\Services\Broadcasts\AudienceSegmentBuilder;
+
+/**
+ * Test AudienceSegmentBuilder class.
+ */
+class AudienceSegmentBuilderTest extends WCH_Unit_Test_Case {
+
+	/**
+	 * Segment builder instance.
+	 *
+	 * @var AudienceSegmentBuilder
+	 */
+	private AudienceSegmentBuilder $builder;
+
+	/**
+	 * Setup before each test.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->builder = new AudienceSegmentBuilder();
+	}
+
+	/**
+	 * Test sanitize drops unknown fields, bad operators and incomplete conditions.
+	 */
+	public function test_sanitize_drops_invalid_conditions() {
+		$segment = $this->builder->sanitize(
+			[
+				'match' => 'bogus',
+				'rules' => [
+					[ 'type' => 'condition', 'field' => 'favourite_colour', 'operator' => 'any', 'value' => [ 'red' ] ],
+					[ 'type' => 'condition', 'field' => 'total_spent', 'operator' => 'within_days', 'value' => 10 ],
+					[ 'type' => 'condition', 'field' => 'tags', 'operator' => 'any', 'value' => ' , ' ],
+					[ 'type' => 'condition', 'field' => 'order_count', 'operator' => 'gte', 'value' => '3' ],
+				],
+			]
+		);
+
+		$this->assertSame( 'group', $segment['type'] );
+		$this->assertSame( 'all', $segment['match'] );
+		$this->assertCount( 1, $segment['rules'] );
+		$this->assertSame( 'order_count', $segment['rules'][0]['field'] );
+		$this->assertEquals( 3, $segment['rules'][0]['value'] );
+	}
+
+	/**
+	 * Test sanitize normalizes list values.
+	 */
+	public function test_sanitize_normalizes_list_values() {
+		$segment = $this->builder->sanitize(
+			[
+				'rules' => [
+					[ 'type' => 'condition', 'field' => 'tags', 'operator' => 'all', 'value' => 'vip, wholesale,vip' ],
+					[ 'type' => 'condition', 'field' => 'country', 'operator' => 'any', 'value' => [ 'gb', 'USA', 'x' ] ],
+					[
+						'type'     => 'condition',
+						'field'    => 'purchased_product',
+						'operator' => 'none',
+						'value'    => [ '12', 0, 'abc' ],
+						'labels'   => [ 12 => '<b>Hoodie</b>' ],
+					],
+				],
+			]
+		);
+
+		$this->assertSame( [ 'vip', 'wholesale' ], $segment['rules'][0]['value'] );
+		$this->assertSame( [ 'GB', 'US' ], $segment['rules'][1]['value'] );
+		$this->assertSame( [ 12 ], $segment['rules'][2]['value'] );
+		$this->assertSame( [ 12 => 'Hoodie' ], $segment['rules'][2]['labels'] );
+	}
+
+	/**
+	 * Test nesting deeper than the limit is discarded.
+	 */
+	public function test_sanitize_limits_nesting_depth() {
+		$group = [
+			'type'  => 'group',
+			'rules' => [ [ 'type' => 'condition', 'field' => 'order_count', 'operator' => 'gte', 'value' => 1 ] ],
+		];
+
+		for ( $i = 0; $i <= AudienceSegmentBuilder::MAX_DEPTH; $i++ ) {
+			$group = [
+				'type'  => 'group',
+				'rules' => [ $group ],
+			];
+		}
+
+		$segment = $this->builder->sanitize( $group );
+
+		$depth = 0;
+		$node  = $segment;
+		while ( ! empty( $node['rules'] ) && 'group' === $node['rules'][0]['type'] ) {
+			$node = $node['rules'][0];
+			++$depth;
+		}
+
+		$this->assertSame( AudienceSegmentBuilder::MAX_DEPTH, $depth );
+		$this->assertTrue( $this->builder->isEmpty( $segment ) );
+	}
+
+	/**
+	 * Test isEmpty detects conditions inside nested groups.
+	 */
+	public function test_is_empty_checks_nested_groups() {
+		$this->assertTrue( $this->builder->isEmpty( $this->builder->sanitize( [] ) ) );
+
+		$segment = $this->builder->sanitize(
+			[
+				'rules' => [
+					[
+						'type'  => 'group',
+						'rules' => [ [ 'type' => 'condition', 'field' => 'opt_in_date', 'operator' => 'within_days', 'value' => 30 ] ],
+					],
+				],
+			]
+		);
+
+		$this->assertFalse( $this->builder->isEmpty( $segment ) );
+	}
+
+	/**
+	 * Test buildWhere joins groups with their match type and keeps placeholders in order.
+	 */
+	public function test_build_where_combines_nested_groups() {
+		$segment = $this->builder->sanitize(
+			[
+				'match' => 'all',
+				'rules' => [
+					[ 'type' => 'condition', 'field' => 'total_spent', 'operator' => 'gte', 'value' => 100 ],
+					[
+						'type'  => 'group',
+						'match' => 'any',
+						'rules' => [
+							[ 'type' => 'condition', 'field' => 'order_count', 'operator' => 'eq', 'value' => 2 ],
+							[ 'type' => 'condition', 'field' => 'tags', 'operator' => 'any', 'value' => [ 'vip' ] ],
+						],
+					],
+				],
+			]
+		);
+
+		$values = [];
+		$sql    = $this->builder->buildWhere( $segment, $values );
+
+		$this->assertSame(
+			'(p.total_spent >= %f) AND ((p.total_orders = %d) OR ((COALESCE(JSON_CONTAINS(p.tags, %s), 0) = 1)))',
+			$sql
+		);
+		$this->assertEquals( [ 100, 2, '"vip"' ], $values );
+	}
+
+	/**
+	 * Test an empty segment matches everyone.
+	 */
+	public function test_build_where_for_empty_segment() {
+		$values = [];
+
+		$this->assertSame( '1=1', $this->builder->buildWhere( $this->builder->sanitize( [] ), $values ) );
+		$this->assertEmpty( $values );
+	}
+
+	/**
+	 * Test product conditions bind each product ID for products and variations.
+	 */
+	public function test_build_where_for_products_excluded() {
+		$segment = $this->builder->sanitize(
+			[
+				'rules' => [
+					[ 'type' => 'condition', 'field' => 'purchased_product', 'operator' => 'none', 'value' => [ 5, 9 ] ],
+				],
+			]
+		);
+
+		$values = [];
+		$sql    = $this->builder->buildWhere( $segment, $values );
+
+		$this->assertStringStartsWith( '(NOT EXISTS (', $sql );
+		$this->assertStringContainsString( 'opl.product_id IN (%d, %d) OR opl.variation_id IN (%d, %d)', $sql );
+		$this->assertSame( [ 5, 9, 5, 9 ], $values );
+	}
+
+	/**
+	 * Test describe labels conditions and groups for the audience breakdown.
+	 */
+	public function test_describe_labels_conditions_and_groups() {
+		$segment = $this->builder->sanitize(
+			[
+				'rules' => [
+					[ 'type' => 'condition', 'field' => 'order_count', 'operator' => 'gte', 'value' => '3' ],
+					[
+						'type'     => 'condition',
+						'field'    => 'purchased_product',
+						'operator' => 'any',
+						'value'    => [ 5, 9 ],
+						'labels'   => [ 5 => 'Hoodie' ],
+					],
+					[
+						'type'  => 'group',
+						'match' => 'any',
+						'rules' => [
+							[ 'type' => 'condition', 'field' => 'last_order_date', 'operator' => 'never' ],
+							[ 'type' => 'condition', 'field' => 'tags', 'operator' => 'any', 'value' => 'vip' ],
+						],
+					],
+				],
+			]
+		);
+
+		$this->assertSame( 'Number of orders is at least 3', $this->builder->describe( $segment['rules'][0] ) );
+		$this->assertSame( 'Purchased product is any of Hoodie, #9', $this->builder->describe( $segment['rules'][1] ) );
+		$this->assertSame( 'Any of 2 conditions', $this->builder->describe( $segment['rules'][2] ) );
+		$this->assertSame( 'Last order never', $this->builder->describe( $segment['rules'][2]['rules'][0] ) );
+	}
+}
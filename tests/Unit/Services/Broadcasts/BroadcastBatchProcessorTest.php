@@ -0,0 +1,120 @@
+<?php
+/**
+ * Unit tests for BroadcastBatchProcessor
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastBatchProcessor;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastCouponIssuer;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastLinkTracker;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastTemplateBuilder;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\RecipientDataProvider;
+use WhatsAppCommerceHub\Clients\WhatsAppApiClient;
+use WhatsAppCommerceHub\Contracts\Services\Broadcasts\CampaignRepositoryInterface;
+
+/**
+ * Test BroadcastBatchProcessor class.
+ */
+class BroadcastBatchProcessorTest extends WCH_Unit_Test_Case {
+
+	/**
+	 * Batch processor instance.
+	 *
+	 * @var BroadcastBatchProcessor
+	 */
+	private BroadcastBatchProcessor $processor;
+
+	/**
+	 * Mock repository.
+	 *
+	 * @var Mockery\MockInterface
+	 */
+	private $mock_repository;
+
+	/**
+	 * Mock API client.
+	 *
+	 * @var Mockery\MockInterface
+	 */
+	private $mock_api_client;
+
+	/**
+	 * Setup before each test.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		global $wpdb;
+
+		$this->mock_repository = Mockery::mock( CampaignRepositoryInterface::class );
+		$this->mock_api_client = Mockery::mock( WhatsAppApiClient::class );
+
+		$this->processor = new BroadcastBatchProcessor(
+			$this->mock_repository,
+			new BroadcastTemplateBuilder(),
+			$this->mock_api_client,
+			$wpdb,
+			Mockery::mock( RecipientDataProvider::class ),
+			Mockery::mock( BroadcastCouponIssuer::class ),
+			Mockery::mock( BroadcastLinkTracker::class )
+		);
+	}
+
+	/**
+	 * Test batches queued for a deleted campaign are not sent.
+	 */
+	public function test_drops_batch_for_deleted_campaign() {
+		$this->mock_repository->shouldReceive( 'getById' )
+			->once()
+			->with( 123 )
+			->andReturn( null );
+
+		$this->mock_repository->shouldNotReceive( 'updateStats' );
+		$this->mock_api_client->shouldNotReceive( 'sendTemplate' );
+
+		$this->processor->handle( $this->batch_args() );
+	}
+
+	/**
+	 * Test batches queued under an earlier schedule are not sent after a reschedule.
+	 */
+	public function test_drops_batch_from_superseded_schedule() {
+		$this->mock_repository->shouldReceive( 'getById' )
+			->once()
+			->with( 123 )
+			->andReturn(
+				[
+					'id'     => 123,
+					'status' => 'scheduled',
+					'job_id' => 'broadcast_123_789',
+				]
+			);
+
+		$this->mock_repository->shouldNotReceive( 'updateStats' );
+		$this->mock_api_client->shouldNotReceive( 'sendTemplate' );
+
+		$this->processor->handle( $this->batch_args( 'broadcast_123_456' ) );
+	}
+
+	/**
+	 * Build the args of a queued batch.
+	 *
+	 * @param string $job_id Job ID the batch was queued under.
+	 * @return array
+	 */
+	private function batch_args( string $job_id = 'broadcast_123_456' ): array {
+		return [
+			'job_id'        => $job_id,
+			'batch'         => [ '+15550000001' ],
+			'batch_num'     => 0,
+			'total_batches' => 1,
+			'campaign_id'   => 123,
+			'message'       => [
+				'template_name' => 'spring_sale',
+				'template_data' => [],
+			],
+		];
+	}
+}
@@ -0,0 +1,175 @@
+<?php
+/**
+ * Unit tests for BroadcastCalendar
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastCalendar;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastRecurrence;
+use WhatsAppCommerceHub\Contracts\Services\Broadcasts\CampaignRepositoryInterface;
+use WhatsAppCommerceHub\Contracts\Services\Reengagement\ReengagementAnalyticsInterface;
+use WhatsAppCommerceHub\Contracts\Services\SettingsInterface;
+
+/**
+ * Test BroadcastCalendar class.
+ */
+class BroadcastCalendarTest extends WCH_Unit_Test_Case {
+
+	/**
+	 * Calendar instance.
+	 *
+	 * @var BroadcastCalendar
+	 */
+	private $calendar;
+
+	/**
+	 * Campaigns in the repository.
+	 *
+	 * @var array
+	 */
+	private $campaigns;
+
+	/**
+	 * Setup before each test.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->campaigns = [
+			[
+				'id'            => 1,
+				'name'          => 'Spring Sale',
+				'status'        => 'scheduled',
+				'audience_size' => 400,
+				'stats'         => [ 'total' => 500 ],
+				'schedule'      => $this->schedule( '2030-03-04', '10:00' ),
+			],
+			[
+				'id'            => 2,
+				'name'          => 'Weekly Digest',
+				'status'        => 'recurring',
+				'audience_size' => 200,
+				'schedule'      => array_merge(
+					$this->schedule( '2030-03-04', '08:00' ),
+					[
+						'recurrence' => [
+							'enabled'   => true,
+							'frequency' => 'weekly',
+							'days'      => [ 1 ],
+						],
+					]
+				),
+			],
+			[
+				'id'            => 3,
+				'name'          => 'Easter Draft',
+				'status'        => 'draft',
+				'audience_size' => 300,
+				'schedule'      => $this->schedule( '2030-03-04', '18:00' ),
+			],
+			[
+				'id'            => 4,
+				'name'          => 'Unscheduled Draft',
+				'status'        => 'draft',
+				'audience_size' => 50,
+				'schedule'      => [ 'timing' => 'now' ],
+			],
+			[
+				'id'            => 5,
+				'name'          => 'Cancelled',
+				'status'        => 'cancelled',
+				'audience_size' => 50,
+				'schedule'      => $this->schedule( '2030-03-05', '10:00' ),
+			],
+		];
+
+		$repository = Mockery::mock( CampaignRepositoryInterface::class );
+		$repository->shouldReceive( 'getAll' )->andReturnUsing( fn() => $this->campaigns );
+
+		$settings = Mockery::mock( SettingsInterface::class );
+		$settings->shouldReceive( 'get' )->with( 'reengagement.enabled', false )->andReturn( false );
+
+		$this->calendar = new BroadcastCalendar(
+			$repository,
+			new BroadcastRecurrence(),
+			$settings,
+			Mockery::mock( ReengagementAnalyticsInterface::class )
+		);
+	}
+
+	/**
+	 * Get a one-off schedule in London time.
+	 *
+	 * @param string $date Date as Y-m-d.
+	 * @param string $time Time as H:i.
+	 * @return array Schedule.
+	 */
+	private function schedule( string $date, string $time ): array {
+		return [
+			'timing'   => 'scheduled',
+			'date'     => $date,
+			'time'     => $time,
+			'timezone' => 'Europe/London',
+			'datetime' => $date . ' ' . $time,
+		];
+	}
+
+	/**
+	 * Test campaigns and recurring runs are placed on their days with message totals.
+	 */
+	public function test_places_campaigns_and_recurring_runs() {
+		$calendar = $this->calendar->getCalendar( '2030-03-01', '2030-03-14' );
+
+		$this->assertSame(
+			[
+				[ 2, '2030-03-04', 'recurring' ],
+				[ 1, '2030-03-04', 'broadcast' ],
+				[ 3, '2030-03-04', 'broadcast' ],
+				[ 2, '2030-03-11', 'recurring' ],
+			],
+			array_map( static fn( array $event ) => [ $event['campaign_id'], $event['date'], $event['type'] ], $calendar['events'] )
+		);
+		$this->assertSame(
+			[
+				'2030-03-04' => [
+					'messages'   => 1000,
+					'broadcasts' => 3,
+				],
+				'2030-03-11' => [
+					'messages'   => 200,
+					'broadcasts' => 1,
+				],
+			],
+			$calendar['days']
+		);
+		$this->assertSame( [ false, true, true, false ], array_column( $calendar['events'], 'movable' ) );
+	}
+
+	/**
+	 * Test ranges must be in order and within the longest calendar.
+	 */
+	public function test_rejects_invalid_ranges() {
+		$this->assertNull( $this->calendar->getCalendar( '2030-03-14', '2030-03-01' ) );
+		$this->assertNull( $this->calendar->getCalendar( '2030-03-01', '2030-05-01' ) );
+		$this->assertNull( $this->calendar->getCalendar( 'march', '2030-03-14' ) );
+	}
+
+	/**
+	 * Test moving a campaign keeps its time of day, even across a clock change.
+	 */
+	public function test_move_schedule_keeps_time_of_day() {
+		$campaign = [
+			'schedule' => array_merge( $this->schedule( '2030-03-08', '09:00' ), [ 'timezone' => 'America/New_York' ] ),
+		];
+
+		$moved = $this->calendar->moveSchedule( $campaign, '2030-03-12' );
+
+		$this->assertSame( '2030-03-12', $moved['date'] );
+		$this->assertSame( '09:00', $moved['time'] );
+		$this->assertSame( '2030-03-12 09:00', $moved['datetime'] );
+		$this->assertNull( $this->calendar->moveSchedule( $campaign, '2020-01-01' ) );
+		$this->assertNull( $this->calendar->moveSchedule( [ 'schedule' => [ 'timing' => 'now' ] ], '2030-03-12' ) );
+	}
+}
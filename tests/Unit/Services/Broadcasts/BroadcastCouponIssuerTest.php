@@ -0,0 +1,135 @@
+<?php
+/**
+ * Unit tests for BroadcastCouponIssuer
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastCouponIssuer;
+use WhatsAppCommerceHub\Contracts\Services\Reengagement\LoyaltyCouponGeneratorInterface;
+
+/**
+ * Test BroadcastCouponIssuer class.
+ */
+class BroadcastCouponIssuerTest extends WCH_Unit_Test_Case {
+
+	/**
+	 * Coupon generator mock.
+	 *
+	 * @var LoyaltyCouponGeneratorInterface|\Mockery\MockInterface
+	 */
+	private $generator;
+
+	/**
+	 * Database mock.
+	 *
+	 * @var \wpdb|\Mockery\MockInterface
+	 */
+	private $wpdb;
+
+	/**
+	 * Setup before each test.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->generator = Mockery::mock( LoyaltyCouponGeneratorInterface::class );
+
+		$this->wpdb           = Mockery::mock( \wpdb::class );
+		$this->wpdb->posts    = 'wp_posts';
+		$this->wpdb->postmeta = 'wp_postmeta';
+		$this->wpdb->shouldReceive( 'prepare' )->andReturn( 'SQL' );
+	}
+
+	/**
+	 * Test unique coupon mappings are replaced with a new code per recipient.
+	 */
+	public function test_issue_coupons_creates_code_for_recipient() {
+		$this->wpdb->shouldReceive( 'get_var' )->once()->andReturn( null );
+
+		$this->generator->shouldReceive( 'createCoupon' )
+			->once()
+			->with(
+				Mockery::on(
+					static fn( $args ) => 'SPRING' === $args['prefix']
+						&& 20.0 === $args['amount']
+						&& [ 'ada@example.com' ] === $args['email_restrictions']
+						&& 42 === $args['meta'][ BroadcastCouponIssuer::META_CAMPAIGN ]
+						&& '+447700900123|body_code' === $args['meta'][ BroadcastCouponIssuer::META_RECIPIENT ]
+				)
+			)
+			->andReturn( 'SPRING1A2B3C4D' );
+
+		$issuer = new BroadcastCouponIssuer( $this->generator, $this->wpdb );
+		$result = $issuer->issueCoupons(
+			[
+				'body_name' => [ 'type' => 'customer_name' ],
+				'body_code' => [
+					'type'   => 'unique_coupon',
+					'value'  => 'spring!',
+					'coupon' => [
+						'discount_type'  => 'percent',
+						'amount'         => 20,
+						'restrict_email' => true,
+					],
+				],
+			],
+			[
+				'phone' => '+447700900123',
+				'email' => 'ada@example.com',
+			],
+			42
+		);
+
+		$this->assertSame( [ 'type' => 'customer_name' ], $result['body_name'] );
+		$this->assertSame(
+			[
+				'type'  => 'coupon_code',
+				'value' => 'SPRING1A2B3C4D',
+			],
+			$result['body_code']
+		);
+	}
+
+	/**
+	 * Test a retried batch reuses the coupon already issued to the recipient.
+	 */
+	public function test_issue_coupons_reuses_existing_code() {
+		$this->wpdb->shouldReceive( 'get_var' )->once()->andReturn( 'wch9f8e7d6c' );
+		$this->generator->shouldNotReceive( 'createCoupon' );
+
+		$issuer = new BroadcastCouponIssuer( $this->generator, $this->wpdb );
+		$result = $issuer->issueCoupons(
+			[ 'button_0' => [ 'type' => 'unique_coupon' ] ],
+			[ 'phone' => '+447700900123' ],
+			42
+		);
+
+		$this->assertSame( 'WCH9F8E7D6C', $result['button_0']['value'] );
+	}
+
+	/**
+	 * Test a failed coupon stops the send for that recipient.
+	 */
+	public function test_issue_coupons_throws_when_coupon_fails() {
+		$this->wpdb->shouldReceive( 'get_var' )->andReturn( null );
+		$this->generator->shouldReceive( 'createCoupon' )->andReturn( null );
+
+		$this->expectException( \RuntimeException::class );
+
+		( new BroadcastCouponIssuer( $this->generator, $this->wpdb ) )->issueCoupons(
+			[ 'body_1' => [ 'type' => 'unique_coupon' ] ],
+			[ 'phone' => '+447700900123' ],
+			42
+		);
+	}
+
+	/**
+	 * Test the preview code uses the cleaned prefix.
+	 */
+	public function test_sample_code_normalizes_prefix() {
+		$this->assertSame( 'SPRINGSALEXXXXXXXX', BroadcastCouponIssuer::getSampleCode( 'spring sale 2026' ) );
+		$this->assertSame( 'WCHXXXXXXXX', BroadcastCouponIssuer::getSampleCode( '' ) );
+	}
+}
@@ -0,0 +1,124 @@
+<?php
+/**
+ * Unit tests for BroadcastDeliveryPlanner
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastDeliveryPlanner;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\RecipientDataProvider;
+
+/**
+ * Test BroadcastDeliveryPlanner class.
+ */
+class BroadcastDeliveryPlannerTest extends WCH_Unit_Test_Case {
+
+	/**
+	 * Recipient data provider mock.
+	 *
+	 * @var RecipientDataProvider|\Mockery\MockInterface
+	 */
+	private $recipientData;
+
+	/**
+	 * Planner instance.
+	 *
+	 * @var BroadcastDeliveryPlanner
+	 */
+	private $planner;
+
+	/**
+	 * Setup before each test.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->recipientData = Mockery::mock( RecipientDataProvider::class );
+		$this->planner       = new BroadcastDeliveryPlanner( $this->recipientData );
+	}
+
+	/**
+	 * Get a Unix timestamp for a local date and time.
+	 *
+	 * @param string $datetime Date and time as Y-m-d H:i.
+	 * @param string $timezone Timezone identifier.
+	 * @return int Timestamp.
+	 */
+	private function at( string $datetime, string $timezone ): int {
+		return ( new DateTimeImmutable( $datetime, new DateTimeZone( $timezone ) ) )->getTimestamp();
+	}
+
+	/**
+	 * Test the rate limit caps messages per minute.
+	 */
+	public function test_rate_limit_spreads_batches_across_minutes() {
+		$phones = array_map( static fn( $i ) => '+4477009' . str_pad( (string) $i, 5, '0', STR_PAD_LEFT ), range( 1, 120 ) );
+		$start  = $this->at( '2030-03-04 10:00', 'UTC' );
+
+		$plan = $this->planner->plan( [ '' => $phones ], [ 'rate_limit' => 50 ], $start, 50 );
+
+		$perMinute = [];
+		foreach ( $plan['batches'] as $batch ) {
+			$minute               = intdiv( $batch['send_at'], 60 );
+			$perMinute[ $minute ] = ( $perMinute[ $minute ] ?? 0 ) + count( $batch['phones'] );
+		}
+
+		$this->assertSame( [ 50, 50, 20 ], array_values( $perMinute ) );
+		$this->assertSame( $start, $plan['start'] );
+		$this->assertSame( $start + 120, $plan['end'] );
+	}
+
+	/**
+	 * Test batches due during quiet hours wait until they end.
+	 */
+	public function test_quiet_hours_defer_batches() {
+		$this->recipientData->shouldReceive( 'getCountries' )->andReturn( [ '+447700900001' => 'GB' ] );
+
+		$plan = $this->planner->plan(
+			[ '' => [ '+447700900001' ] ],
+			[
+				'quiet_hours' => [
+					'enabled' => true,
+					'start'   => '21:00',
+					'end'     => '08:00',
+				],
+			],
+			$this->at( '2030-03-04 23:30', 'Europe/London' ),
+			50
+		);
+
+		$this->assertSame( $this->at( '2030-03-05 08:00', 'Europe/London' ), $plan['batches'][0]['send_at'] );
+		$this->assertSame( 1, $plan['deferred'] );
+	}
+
+	/**
+	 * Test local time delivery sends at the chosen time in each recipient's timezone.
+	 */
+	public function test_local_timing_uses_recipient_timezones() {
+		$this->recipientData->shouldReceive( 'getCountries' )->andReturn(
+			[
+				'+447700900001' => 'GB',
+				'+81312345678'  => 'JP',
+			]
+		);
+
+		$plan = $this->planner->plan(
+			[ '' => [ '+447700900001', '+81312345678' ] ],
+			[
+				'timing' => 'local',
+				'date'   => '2030-03-04',
+				'time'   => '10:00',
+			],
+			$this->at( '2030-03-03 12:00', 'UTC' ),
+			50
+		);
+
+		$sendTimes = array_column( $plan['batches'], 'send_at' );
+
+		$this->assertSame( 2, $plan['timezones'] );
+		$this->assertSame( $this->at( '2030-03-04 10:00', 'Asia/Tokyo' ), $plan['start'] );
+		$this->assertContains( $this->at( '2030-03-04 10:00', 'Europe/London' ) + 1, $sendTimes );
+		$this->assertSame( [ '+81312345678' ], $plan['batches'][0]['phones'] );
+	}
+}
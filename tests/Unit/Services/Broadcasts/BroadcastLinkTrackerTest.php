@@ -0,0 +1,124 @@
+<?php
+/**
+ * Unit tests for BroadcastLinkTracker
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastLinkTracker;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastTemplateBuilder;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastTracker;
+
+/**
+ * Test BroadcastLinkTracker class.
+ */
+class BroadcastLinkTrackerTest extends WCH_Unit_Test_Case {
+
+	/**
+	 * Link tracker instance.
+	 *
+	 * @var BroadcastLinkTracker
+	 */
+	private $linkTracker;
+
+	/**
+	 * Template with a store link and an external link.
+	 *
+	 * @var array
+	 */
+	private $templateData;
+
+	/**
+	 * Personalization filling both link suffixes.
+	 *
+	 * @var array
+	 */
+	private $personalization = [
+		'button_0' => [
+			'type'  => 'static',
+			'value' => 'hoodie',
+		],
+		'button_1' => [
+			'type'  => 'static',
+			'value' => 'track?id=7',
+		],
+	];
+
+	/**
+	 * Setup before each test.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->linkTracker  = new BroadcastLinkTracker( new BroadcastTemplateBuilder(), Mockery::mock( BroadcastTracker::class ) );
+		$this->templateData = [
+			'components' => [
+				[
+					'type'    => 'BUTTONS',
+					'buttons' => [
+						[
+							'type' => 'URL',
+							'url'  => home_url( '/product/{{1}}' ),
+						],
+						[
+							'type' => 'URL',
+							'url'  => 'https://carrier.example.com/{{1}}',
+						],
+					],
+				],
+			],
+		];
+	}
+
+	/**
+	 * Tag the template's links.
+	 *
+	 * @param array  $tracking Tracking settings.
+	 * @param string $token    Click token.
+	 * @param string $variant  A/B variant key.
+	 * @return array<string, string> Link suffixes keyed by parameter key.
+	 */
+	private function tag( array $tracking, string $token = '', string $variant = '' ): array {
+		$personalization = $this->linkTracker->tagLinks( $this->templateData, $this->personalization, [ 'phone' => '+447700900001' ], $tracking, $token, $variant );
+
+		return array_map( static fn( array $mapping ): string => $mapping['value'], $personalization );
+	}
+
+	/**
+	 * Test UTM parameters are added to every link, keeping existing queries.
+	 */
+	public function test_adds_utm_parameters() {
+		$suffixes = $this->tag(
+			[
+				'utm_enabled'  => true,
+				'utm_campaign' => 'Spring Sale',
+			],
+			'',
+			'B'
+		);
+
+		$this->assertSame( 'hoodie?utm_source=whatsapp&utm_medium=broadcast&utm_campaign=spring-sale&utm_content=b', $suffixes['button_0'] );
+		$this->assertSame( 'track?id=7&utm_source=whatsapp&utm_medium=broadcast&utm_campaign=spring-sale&utm_content=b', $suffixes['button_1'] );
+	}
+
+	/**
+	 * Test click tokens are only added to links that reach the store.
+	 */
+	public function test_click_token_only_on_store_links() {
+		$token    = $this->linkTracker->getToken( 7, '+447700900001' );
+		$suffixes = $this->tag( [ 'track_clicks' => true ], $token );
+
+		$this->assertSame( 'hoodie?wch_click=' . $token, $suffixes['button_0'] );
+		$this->assertSame( 'track?id=7', $suffixes['button_1'] );
+		$this->assertSame( $token, $this->linkTracker->getToken( 7, '+447700900001' ) );
+		$this->assertNotSame( $token, $this->linkTracker->getToken( 8, '+447700900001' ) );
+	}
+
+	/**
+	 * Test links are left alone when tracking is off.
+	 */
+	public function test_untracked_campaign_is_unchanged() {
+		$this->assertSame( [ 'button_0' => 'hoodie', 'button_1' => 'track?id=7' ], $this->tag( [ 'track_clicks' => false ], 'abc' ) );
+	}
+}
@@ -0,0 +1,110 @@
+<?php
+/**
+ * Unit tests for BroadcastPricing
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastPricing;
+
+/**
+ * Test BroadcastPricing class.
+ */
+class BroadcastPricingTest extends WCH_Unit_Test_Case {
+
+	/**
+	 * Pricing instance.
+	 *
+	 * @var BroadcastPricing
+	 */
+	private $pricing;
+
+	/**
+	 * Setup before each test.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		delete_option( BroadcastPricing::OPTION_NAME );
+		$this->pricing = new BroadcastPricing();
+	}
+
+	/**
+	 * Test unconfigured rates fall back to the default rate for every category.
+	 */
+	public function test_default_rates_apply_until_configured() {
+		$this->assertSame(
+			array_fill_keys( BroadcastPricing::CATEGORIES, BroadcastPricing::DEFAULT_RATE ),
+			$this->pricing->getRates( '44' )
+		);
+	}
+
+	/**
+	 * Test save drops unknown countries and negative values.
+	 */
+	public function test_save_sanitizes_rate_table() {
+		$saved = $this->pricing->save(
+			[
+				'default'   => [ 'marketing' => '0.02' ],
+				'countries' => [
+					'gb' => [
+						'marketing' => '0.05',
+						'utility'   => '-1',
+					],
+					'ZZ' => [ 'marketing' => '1' ],
+				],
+				'budget'    => '-10',
+			]
+		);
+
+		$this->assertSame(
+			[
+				'marketing'      => 0.02,
+				'utility'        => 0.0,
+				'authentication' => 0.0,
+			],
+			$saved['default']
+		);
+		$this->assertSame( [ 'GB' ], array_keys( $saved['countries'] ) );
+		$this->assertSame( 0.0, $saved['countries']['GB']['utility'] );
+		$this->assertSame( 0.0, $saved['budget'] );
+	}
+
+	/**
+	 * Test the estimate prices each calling code at its country's rates.
+	 */
+	public function test_estimate_uses_country_rates() {
+		$this->pricing->save(
+			[
+				'default'   => [
+					'marketing' => 0.01,
+					'utility'   => 0.005,
+				],
+				'countries' => [
+					'GB' => [
+						'marketing' => 0.05,
+						'utility'   => 0.02,
+					],
+				],
+				'budget'    => 50,
+			]
+		);
+
+		$estimate = $this->pricing->estimate(
+			[
+				'44' => 300,
+				''   => 100,
+			]
+		);
+
+		$this->assertCount( 2, $estimate['rows'] );
+		$this->assertSame( '44', $estimate['rows'][0]['calling_code'] );
+		$this->assertSame( 0.05, $estimate['rows'][0]['rates']['marketing'] );
+		$this->assertSame( 0.01, $estimate['rows'][1]['rates']['marketing'] );
+		$this->assertSame( 400, $estimate['total_recipients'] );
+		$this->assertEqualsWithDelta( ( 300 * 0.05 + 100 * 0.01 ) / 400, $estimate['per_recipient']['marketing'], 0.000001 );
+		$this->assertEqualsWithDelta( ( 300 * 0.02 + 100 * 0.005 ) / 400, $estimate['per_recipient']['utility'], 0.000001 );
+		$this->assertSame( 50.0, $estimate['budget'] );
+	}
+}
@@ -0,0 +1,147 @@
+<?php
+/**
+ * Unit tests for BroadcastRecurrence
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastRecurrence;
+
+/**
+ * Test BroadcastRecurrence class.
+ */
+class BroadcastRecurrenceTest extends WCH_Unit_Test_Case {
+
+	/**
+	 * Recurrence instance.
+	 *
+	 * @var BroadcastRecurrence
+	 */
+	private $recurrence;
+
+	/**
+	 * Setup before each test.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->recurrence = new BroadcastRecurrence();
+	}
+
+	/**
+	 * Get a recurring schedule.
+	 *
+	 * @param array $rule Recurrence rule.
+	 * @return array Schedule.
+	 */
+	private function schedule( array $rule ): array {
+		return [
+			'timing'     => 'scheduled',
+			'date'       => '2030-01-07',
+			'time'       => '09:30',
+			'timezone'   => 'Europe/London',
+			'recurrence' => array_merge( [ 'enabled' => true ], $rule ),
+		];
+	}
+
+	/**
+	 * Format run times in London time.
+	 *
+	 * @param array $runs Unix timestamps.
+	 * @return array Times as Y-m-d H:i.
+	 */
+	private function format( array $runs ): array {
+		return array_map( static fn( $run ) => wp_date( 'Y-m-d H:i', $run, new DateTimeZone( 'Europe/London' ) ), $runs );
+	}
+
+	/**
+	 * Test weekly runs fall on the chosen weekdays only.
+	 */
+	public function test_weekly_runs_on_chosen_days() {
+		$runs = $this->recurrence->getOccurrences(
+			$this->schedule(
+				[
+					'frequency' => 'weekly',
+					'days'      => [ 1, 5 ],
+				]
+			),
+			0,
+			5
+		);
+
+		$this->assertSame(
+			[ '2030-01-07 09:30', '2030-01-11 09:30', '2030-01-14 09:30', '2030-01-18 09:30', '2030-01-21 09:30' ],
+			$this->format( $runs )
+		);
+	}
+
+	/**
+	 * Test monthly runs move to the last day of shorter months.
+	 */
+	public function test_monthly_runs_clamp_to_month_end() {
+		$schedule         = $this->schedule(
+			[
+				'frequency'    => 'monthly',
+				'day_of_month' => 31,
+			]
+		);
+		$schedule['date'] = '2030-01-31';
+
+		$runs = $this->recurrence->getOccurrences( $schedule, 0, 3 );
+
+		$this->assertSame( [ '2030-01-31 09:30', '2030-02-28 09:30', '2030-03-31 09:30' ], $this->format( $runs ) );
+	}
+
+	/**
+	 * Test runs keep their wall-clock time across daylight saving changes.
+	 */
+	public function test_daily_runs_keep_local_time_across_dst() {
+		$schedule         = $this->schedule( [ 'frequency' => 'daily' ] );
+		$schedule['date'] = '2030-03-30';
+
+		$runs = $this->recurrence->getOccurrences( $schedule, 0, 2 );
+
+		$this->assertSame( [ '2030-03-30 09:30', '2030-03-31 09:30' ], $this->format( $runs ) );
+		$this->assertSame( 23 * HOUR_IN_SECONDS, $runs[1] - $runs[0] );
+	}
+
+	/**
+	 * Test the run count and end date both stop the recurrence.
+	 */
+	public function test_end_count_and_end_date_limit_runs() {
+		$byCount = $this->schedule(
+			[
+				'frequency' => 'daily',
+				'end'       => 'count',
+				'end_count' => 3,
+			]
+		);
+		$byDate  = $this->schedule(
+			[
+				'frequency' => 'daily',
+				'end'       => 'date',
+				'end_date'  => '2030-01-08',
+			]
+		);
+
+		$countRuns = $this->recurrence->getOccurrences( $byCount, 0, 5 );
+
+		$this->assertCount( 3, $countRuns );
+		$this->assertSame( [ $countRuns[2] ], $this->recurrence->getOccurrences( $byCount, $countRuns[1], 5 ) );
+		$this->assertNull( $this->recurrence->getNextOccurrence( $byCount, $countRuns[2] ) );
+		$this->assertSame( [ '2030-01-07 09:30', '2030-01-08 09:30' ], $this->format( $this->recurrence->getOccurrences( $byDate, 0, 5 ) ) );
+	}
+
+	/**
+	 * Test only scheduled and local timings can repeat.
+	 */
+	public function test_send_now_is_never_recurring() {
+		$schedule = $this->schedule( [ 'frequency' => 'daily' ] );
+
+		$this->assertTrue( $this->recurrence->isRecurring( $schedule ) );
+
+		$schedule['timing'] = 'now';
+		$this->assertFalse( $this->recurrence->isRecurring( $schedule ) );
+	}
+}
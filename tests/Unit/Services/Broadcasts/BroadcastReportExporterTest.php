@@ -0,0 +1,181 @@
+<?php
+/**
+ * Unit tests for BroadcastReportExporter
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastReportExporter;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastTracker;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\RecipientDataProvider;
+
+/**
+ * Test BroadcastReportExporter class.
+ */
+class BroadcastReportExporterTest extends WCH_Unit_Test_Case {
+
+	/**
+	 * Mock wpdb.
+	 *
+	 * @var \wpdb|\Mockery\MockInterface
+	 */
+	private $wpdb;
+
+	/**
+	 * Broadcast tracker mock.
+	 *
+	 * @var BroadcastTracker|\Mockery\MockInterface
+	 */
+	private $tracker;
+
+	/**
+	 * Recipient data provider mock.
+	 *
+	 * @var RecipientDataProvider|\Mockery\MockInterface
+	 */
+	private $recipientData;
+
+	/**
+	 * Exporter instance.
+	 *
+	 * @var BroadcastReportExporter
+	 */
+	private $exporter;
+
+	/**
+	 * Setup before each test.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->wpdb         = Mockery::mock( \wpdb::class );
+		$this->wpdb->prefix = 'wp_';
+		$this->wpdb->shouldReceive( 'prepare' )->andReturn( 'SQL' );
+
+		$this->tracker       = Mockery::mock( BroadcastTracker::class );
+		$this->recipientData = Mockery::mock( RecipientDataProvider::class );
+		$this->exporter      = new BroadcastReportExporter( $this->wpdb, $this->tracker, $this->recipientData );
+	}
+
+	/**
+	 * Read the CSV written for a sheet.
+	 *
+	 * @param string $sheet Sheet name.
+	 * @return array<int, array<int, string>> Parsed rows.
+	 */
+	private function csv( string $sheet ): array {
+		$handle = fopen( 'php://memory', 'w+' );
+		$this->exporter->writeCsv(
+			[
+				'id'   => 7,
+				'name' => 'Spring Sale',
+			],
+			$sheet,
+			$handle
+		);
+		rewind( $handle );
+
+		$rows = [];
+		while ( false !== ( $row = fgetcsv( $handle ) ) ) {
+			$rows[] = $row;
+		}
+		fclose( $handle );
+
+		return $rows;
+	}
+
+	/**
+	 * Test recipient rows carry names, rendered variables and failure reasons.
+	 */
+	public function test_recipient_rows_include_variables_and_failures() {
+		$this->wpdb->shouldReceive( 'get_results' )->once()->andReturn(
+			[
+				[
+					'id'            => 1,
+					'phone'         => '+447700900001',
+					'variant'       => null,
+					'variables'     => '{"body_1":"Jane","button_0":"SAVE10"}',
+					'wa_message_id' => 'wamid.1',
+					'status'        => 'read',
+					'sent_at'       => '2030-03-04 10:00:00',
+					'delivered_at'  => '2030-03-04 10:00:05',
+					'read_at'       => '2030-03-04 10:02:00',
+					'replied_at'    => null,
+					'error_code'    => null,
+					'error_message' => null,
+					'order_id'      => '42',
+					'order_total'   => '19.90',
+					'clicked_at'    => '2030-03-04 10:03:00',
+					'click_count'   => '2',
+				],
+				[
+					'id'            => 2,
+					'phone'         => '+447700900002',
+					'variant'       => null,
+					'variables'     => null,
+					'wa_message_id' => null,
+					'status'        => 'failed',
+					'sent_at'       => '2030-03-04 10:00:00',
+					'delivered_at'  => null,
+					'read_at'       => null,
+					'replied_at'    => null,
+					'error_code'    => '131026',
+					'error_message' => '=HYPERLINK("x")',
+					'order_id'      => null,
+					'order_total'   => null,
+					'clicked_at'    => null,
+					'click_count'   => '0',
+				],
+			]
+		);
+		$this->recipientData->shouldReceive( 'getRecipients' )
+			->once()
+			->with( [ '+447700900001', '+447700900002' ], '' )
+			->andReturn( [ '+447700900001' => [ 'name' => 'Jane Doe' ] ] );
+
+		$rows = $this->csv( 'recipients' );
+
+		$this->assertCount( 3, $rows );
+		$this->assertSame( [ '+447700900001', 'Jane Doe', '', 'body_1: Jane; button_0: SAVE10', 'wamid.1', 'read' ], array_slice( $rows[1], 0, 6 ) );
+		$this->assertSame( [ '42', '19.9', '2030-03-04 10:03:00', '2' ], array_slice( $rows[1], 12 ) );
+		$this->assertSame( '', $rows[2][6] );
+		$this->assertSame( [ '131026', '\'=HYPERLINK("x")' ], array_slice( $rows[2], 10, 2 ) );
+	}
+
+	/**
+	 * Test the summary totals attributed orders and revenue across variants.
+	 */
+	public function test_summary_includes_attributed_orders_and_revenue() {
+		$this->tracker->shouldReceive( 'getProgress' )->with( 7 )->andReturn(
+			[
+				'recorded'  => 4,
+				'sent'      => 4,
+				'delivered' => 3,
+				'read'      => 2,
+				'failed'    => 0,
+				'replied'   => 1,
+				'clicked'   => 1,
+			]
+		);
+		$this->tracker->shouldReceive( 'getVariantMetrics' )->with( 7 )->andReturn(
+			[
+				'a' => [
+					'orders'  => 1,
+					'revenue' => 10.5,
+				],
+				'b' => [
+					'orders'  => 2,
+					'revenue' => 20.25,
+				],
+			]
+		);
+
+		$summary = array_column( $this->csv( 'summary' ), 1, 0 );
+
+		$this->assertSame( '3', $summary['Attributed orders'] );
+		$this->assertSame( '30.75', $summary['Attributed revenue'] );
+		$this->assertSame( '75', $summary['Conversion rate (%)'] );
+		$this->assertSame( '25', $summary['Click-through rate (%)'] );
+	}
+}
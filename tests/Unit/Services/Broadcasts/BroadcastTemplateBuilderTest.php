@@ -0,0 +1,259 @@
+<?php
+/**
+ * Unit tests for BroadcastTemplateBuilder
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastTemplateBuilder;
+
+/**
+ * Test BroadcastTemplateBuilder class.
+ */
+class BroadcastTemplateBuilderTest extends WCH_Unit_Test_Case {
+
+	/**
+	 * Template builder instance.
+	 *
+	 * @var BroadcastTemplateBuilder
+	 */
+	private BroadcastTemplateBuilder $builder;
+
+	/**
+	 * Setup before each test.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->builder = new BroadcastTemplateBuilder();
+	}
+
+	/**
+	 * Test parameters are listed by component with positional ones in numeric order.
+	 */
+	public function test_get_parameters_orders_by_component_and_number() {
+		$parameters = $this->builder->getParameters(
+			[
+				'components' => [
+					[
+						'type'    => 'BUTTONS',
+						'buttons' => [
+							[
+								'type' => 'QUICK_REPLY',
+								'text' => 'Stop',
+							],
+							[
+								'type' => 'URL',
+								'text' => 'Shop',
+								'url'  => 'https://example.com/p/{{1}}',
+							],
+						],
+					],
+					[
+						'type' => 'BODY',
+						'text' => 'Hi {{10}}, {{2}} and {{1}}. Again {{2}}.',
+					],
+					[
+						'type'   => 'HEADER',
+						'format' => 'TEXT',
+						'text'   => 'Order {{1}}',
+					],
+				],
+			]
+		);
+
+		$this->assertSame(
+			[ 'header_1', 'body_1', 'body_2', 'body_10', 'button_1' ],
+			array_column( $parameters, 'key' )
+		);
+		$this->assertSame( 'url_suffix', $parameters[4]['input'] );
+	}
+
+	/**
+	 * Test the payload follows the Cloud API component structure.
+	 */
+	public function test_build_components_matches_cloud_api_structure() {
+		$template = [
+			'components' => [
+				[
+					'type'    => 'HEADER',
+					'format'  => 'DOCUMENT',
+					'example' => [ 'header_handle' => [ 'https://scontent.example/sample.pdf' ] ],
+				],
+				[
+					'type' => 'BODY',
+					'text' => 'Hi {{first_name}}, your code is {{code}}.',
+				],
+				[
+					'type'    => 'BUTTONS',
+					'buttons' => [
+						[
+							'type' => 'URL',
+							'url'  => 'https://example.com/track/{{1}}',
+						],
+						[
+							'type' => 'COPY_CODE',
+						],
+					],
+				],
+			],
+		];
+
+		$components = $this->builder->buildComponents(
+			$template,
+			[
+				'header_media'    => [
+					'type'  => 'media',
+					'value' => 'https://example.com/files/menu.pdf',
+				],
+				'body_first_name' => [ 'type' => 'customer_name' ],
+				'body_code'       => [
+					'type'  => 'static',
+					'value' => 'SAVE10',
+				],
+				'button_0'        => [
+					'type'  => 'csv',
+					'value' => 'Order',
+				],
+				'button_1'        => [
+					'type'  => 'static',
+					'value' => 'SAVE10',
+				],
+			],
+			[
+				'name'   => 'Ada',
+				'fields' => [ 'Order' => '1042' ],
+			]
+		);
+
+		$this->assertSame(
+			[
+				[
+					'type'       => 'header',
+					'parameters' => [
+						[
+							'type'     => 'document',
+							'document' => [
+								'link'     => 'https://example.com/files/menu.pdf',
+								'filename' => 'menu.pdf',
+							],
+						],
+					],
+				],
+				[
+					'type'       => 'body',
+					'parameters' => [
+						[
+							'type'           => 'text',
+							'text'           => 'Ada',
+							'parameter_name' => 'first_name',
+						],
+						[
+							'type'           => 'text',
+							'text'           => 'SAVE10',
+							'parameter_name' => 'code',
+						],
+					],
+				],
+				[
+					'type'       => 'button',
+					'sub_type'   => 'url',
+					'index'      => '0',
+					'parameters' => [
+						[
+							'type' => 'text',
+							'text' => '1042',
+						],
+					],
+				],
+				[
+					'type'       => 'button',
+					'sub_type'   => 'copy_code',
+					'index'      => '1',
+					'parameters' => [
+						[
+							'type'        => 'coupon_code',
+							'coupon_code' => 'SAVE10',
+						],
+					],
+				],
+			],
+			$components
+		);
+	}
+
+	/**
+	 * Test mappings saved by variable number still fill header and body text.
+	 */
+	public function test_build_components_reads_legacy_numbered_mapping() {
+		$components = $this->builder->buildComponents(
+			[
+				'components' => [
+					[
+						'type' => 'BODY',
+						'text' => 'Hi {{1}}',
+					],
+				],
+			],
+			[
+				'1' => [
+					'type'  => 'static',
+					'value' => 'friend',
+				],
+			]
+		);
+
+		$this->assertSame( 'friend', $components[0]['parameters'][0]['text'] );
+		$this->assertArrayNotHasKey( 'parameter_name', $components[0]['parameters'][0] );
+	}
+
+	/**
+	 * Test missing recipient data falls back to the mapping fallback, then the name.
+	 */
+	public function test_resolve_values_uses_fallbacks_for_missing_data() {
+		$values = $this->builder->resolveValues(
+			[
+				'components' => [
+					[
+						'type' => 'BODY',
+						'text' => 'Hi {{first}}, how is {{city}}? Ref {{ref}}. Tier {{tier}}.',
+					],
+				],
+			],
+			[
+				'body_first' => [ 'type' => 'customer_first_name' ],
+				'body_city'  => [
+					'type'     => 'csv',
+					'value'    => 'City',
+					'fallback' => 'your town',
+				],
+				'body_ref'   => [
+					'type'  => 'csv',
+					'value' => 'Ref',
+				],
+				'body_tier'  => [
+					'type'     => 'customer_meta',
+					'value'    => 'loyalty_tier',
+					'fallback' => 'member',
+				],
+			],
+			[
+				'phone'       => '+447700900123',
+				'name'        => 'Ada Lovelace',
+				'customer_id' => 0,
+				'fields'      => [ 'City' => ' ' ],
+			]
+		);
+
+		$this->assertSame(
+			[
+				'body_first' => 'Ada',
+				'body_city'  => 'your town',
+				'body_ref'   => 'Ada Lovelace',
+				'body_tier'  => 'member',
+			],
+			$values
+		);
+	}
+}
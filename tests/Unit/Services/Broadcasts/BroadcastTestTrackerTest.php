@@ -0,0 +1,113 @@
+<?php
+/**
+ * Unit tests for BroadcastTestTracker
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastTestTracker;
+
+/**
+ * Test BroadcastTestTracker class.
+ */
+class BroadcastTestTrackerTest extends WCH_Unit_Test_Case {
+
+	/**
+	 * Tracker instance.
+	 *
+	 * @var BroadcastTestTracker
+	 */
+	private $tracker;
+
+	/**
+	 * Test send ID.
+	 *
+	 * @var string
+	 */
+	private $testId;
+
+	/**
+	 * Setup before each test.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$this->tracker = new BroadcastTestTracker();
+		$this->testId  = $this->tracker->start(
+			[
+				[
+					'phone'         => '+447700900001',
+					'message_id'    => 'wamid.1',
+					'status'        => 'accepted',
+					'error_code'    => '',
+					'error_message' => '',
+				],
+				[
+					'phone'         => '+447700900002',
+					'message_id'    => '',
+					'status'        => 'failed',
+					'error_code'    => '131030',
+					'error_message' => 'Recipient phone number not in allowed list',
+				],
+			]
+		);
+	}
+
+	/**
+	 * Get the current status per number.
+	 *
+	 * @return array<string, string> Statuses keyed by phone.
+	 */
+	private function statuses(): array {
+		return array_column( $this->tracker->get( $this->testId ), 'status', 'phone' );
+	}
+
+	/**
+	 * Test statuses only move forward.
+	 */
+	public function test_status_only_moves_forward() {
+		$this->assertTrue( $this->tracker->recordStatus( 'wamid.1', 'read' ) );
+		$this->assertFalse( $this->tracker->recordStatus( 'wamid.1', 'delivered' ) );
+		$this->assertFalse( $this->tracker->recordStatus( 'wamid.1', 'failed', [ [ 'code' => 131047 ] ] ) );
+
+		$this->assertSame(
+			[
+				'+447700900001' => 'read',
+				'+447700900002' => 'failed',
+			],
+			$this->statuses()
+		);
+	}
+
+	/**
+	 * Test a failure webhook records the Cloud API error.
+	 */
+	public function test_failure_records_api_error() {
+		$this->tracker->recordStatus( 'wamid.1', 'delivered' );
+		$this->tracker->recordStatus(
+			'wamid.1',
+			'failed',
+			[
+				[
+					'code'  => 131026,
+					'title' => 'Message undeliverable',
+				],
+			]
+		);
+
+		$result = $this->tracker->get( $this->testId )[0];
+
+		$this->assertSame( 'failed', $result['status'] );
+		$this->assertSame( '131026', $result['error_code'] );
+		$this->assertSame( 'Message undeliverable', $result['error_message'] );
+	}
+
+	/**
+	 * Test unknown messages and test sends are ignored.
+	 */
+	public function test_unknown_ids_are_ignored() {
+		$this->assertFalse( $this->tracker->recordStatus( 'wamid.other', 'read' ) );
+		$this->assertNull( $this->tracker->get( 'missing' ) );
+	}
+}
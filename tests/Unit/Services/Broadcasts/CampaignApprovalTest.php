@@ -0,0 +1,184 @@
+<?php
+/**
+ * Unit tests for CampaignApproval
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+use WhatsAppCommerceHub\Application\Services\Broadcasts\CampaignApproval;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\CampaignRepository;
+use WhatsAppCommerceHub\Contracts\Services\Broadcasts\AudienceCalculatorInterface;
+use WhatsAppCommerceHub\Contracts\Services\SettingsInterface;
+
+/**
+ * Test CampaignApproval class.
+ */
+class CampaignApprovalTest extends WCH_Unit_Test_Case {
+
+	/**
+	 * Campaign repository.
+	 *
+	 * @var CampaignRepository
+	 */
+	private $repository;
+
+	/**
+	 * Approval settings, keyed by setting name.
+	 *
+	 * @var array<string, mixed>
+	 */
+	private $settings = [
+		'broadcasts.approval_enabled'   => true,
+		'broadcasts.approval_marketing' => true,
+		'broadcasts.approval_threshold' => 1000,
+	];
+
+	/**
+	 * Audience size returned by the calculator.
+	 *
+	 * @var int
+	 */
+	private $audienceSize = 10;
+
+	/**
+	 * Approval instance.
+	 *
+	 * @var CampaignApproval
+	 */
+	private $approval;
+
+	/**
+	 * Setup before each test.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		delete_option( 'wch_broadcast_campaigns' );
+
+		$this->repository = new CampaignRepository();
+
+		$settings = Mockery::mock( SettingsInterface::class );
+		$settings->shouldReceive( 'get' )->andReturnUsing(
+			fn( string $key, $default = null ) => $this->settings[ $key ] ?? $default
+		);
+
+		$audienceCalculator = Mockery::mock( AudienceCalculatorInterface::class );
+		$audienceCalculator->shouldReceive( 'calculateCount' )->andReturnUsing( fn() => $this->audienceSize );
+
+		$this->approval = new CampaignApproval( $this->repository, $settings, $audienceCalculator );
+	}
+
+	/**
+	 * Teardown after each test.
+	 */
+	protected function tearDown(): void {
+		delete_option( 'wch_broadcast_campaigns' );
+		parent::tearDown();
+	}
+
+	/**
+	 * Create a draft campaign.
+	 *
+	 * @param string $category Template category.
+	 * @return array Campaign data.
+	 */
+	private function createCampaign( string $category = 'MARKETING' ): array {
+		return $this->repository->save(
+			[
+				'name'          => 'Spring Sale',
+				'template_name' => 'spring_offer',
+				'template_data' => [ 'category' => $category ],
+			]
+		);
+	}
+
+	/**
+	 * Create a user, optionally allowed to approve broadcasts.
+	 *
+	 * @param bool $approver Whether the user can approve.
+	 * @return int User ID.
+	 */
+	private function createUser( bool $approver ): int {
+		$userId = $this->factory()->user->create( [ 'role' => 'editor' ] );
+
+		if ( $approver ) {
+			get_userdata( $userId )->add_cap( CampaignApproval::CAPABILITY );
+		}
+
+		return $userId;
+	}
+
+	/**
+	 * Test marketing campaigns and large audiences need approval.
+	 */
+	public function test_requires_approval_for_marketing_or_large_audiences() {
+		$this->assertTrue( $this->approval->requiresApproval( $this->createCampaign() ) );
+		$this->assertFalse( $this->approval->requiresApproval( $this->createCampaign( 'UTILITY' ) ) );
+
+		$this->audienceSize = 1000;
+		$this->assertTrue( $this->approval->requiresApproval( $this->createCampaign( 'UTILITY' ) ) );
+
+		$this->settings['broadcasts.approval_enabled'] = false;
+		$this->assertFalse( $this->approval->requiresApproval( $this->createCampaign() ) );
+	}
+
+	/**
+	 * Test an A/B variant with a marketing template makes the campaign marketing.
+	 */
+	public function test_marketing_variant_counts_as_marketing() {
+		$campaign            = $this->createCampaign( 'UTILITY' );
+		$campaign['ab_test'] = [
+			'enabled'  => true,
+			'variants' => [
+				[ 'template_data' => [ 'category' => 'UTILITY' ] ],
+				[ 'template_data' => [ 'category' => 'MARKETING' ] ],
+			],
+		];
+
+		$this->assertTrue( $this->approval->isMarketing( $campaign ) );
+	}
+
+	/**
+	 * Test submitters cannot approve their own campaigns.
+	 */
+	public function test_submitter_and_non_approvers_cannot_decide() {
+		$submitter = $this->createUser( true );
+		$approver  = $this->createUser( true );
+		$campaign  = $this->createCampaign();
+
+		$this->assertTrue( $this->approval->submit( (int) $campaign['id'], $submitter ) );
+
+		$pending = $this->repository->getById( (int) $campaign['id'] );
+
+		$this->assertSame( CampaignApproval::STATUS, $pending['status'] );
+		$this->assertNotNull( $this->approval->getDecisionError( $pending, $submitter ) );
+		$this->assertNotNull( $this->approval->getDecisionError( $pending, $this->createUser( false ) ) );
+		$this->assertNull( $this->approval->getDecisionError( $pending, $approver ) );
+		$this->assertFalse( $this->approval->submit( (int) $campaign['id'], $submitter ) );
+	}
+
+	/**
+	 * Test rejecting returns the campaign to draft and keeps the history.
+	 */
+	public function test_reject_returns_to_draft_with_history() {
+		$submitter = $this->createUser( false );
+		$approver  = $this->createUser( true );
+		$campaign  = $this->createCampaign();
+
+		$this->approval->submit( (int) $campaign['id'], $submitter );
+
+		$this->assertFalse( $this->approval->reject( (int) $campaign['id'], $submitter, 'Looks fine to me' ) );
+		$this->assertTrue( $this->approval->reject( (int) $campaign['id'], $approver, 'Wrong discount code' ) );
+
+		$rejected = $this->repository->getById( (int) $campaign['id'] );
+
+		$this->assertSame( 'draft', $rejected['status'] );
+		$this->assertSame( [ 'submitted', 'rejected' ], array_column( $rejected['approval_history'], 'action' ) );
+		$this->assertSame( 'Wrong discount code', $rejected['approval_history'][1]['comment'] );
+
+		// Editing the draft keeps the history.
+		$saved = $this->repository->save( array_merge( $rejected, [ 'name' => 'Spring Sale v2' ] ) );
+		$this->assertCount( 2, $saved['approval_history'] );
+	}
+}
@@ -10,7 +10,10 @@ use WhatsAppCommerceHub\Application\Services\Broadcasts\CampaignDispatcher;
 use WhatsAppCommerceHub\Application\Services\Broadcasts\CampaignRepository;
 use WhatsAppCommerceHub\Application\Services\Broadcasts\AudienceCalculator;
 use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastTemplateBuilder;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastTracker;
 use WhatsAppCommerceHub\Contracts\Services\SettingsInterface;
+use WhatsAppCommerceHub\Infrastructure\Queue\JobDispatcher;
+use WhatsAppCommerceHub\Queue\PriorityQueue;
 
 /**
  * Test CampaignDispatcher class.
@@ -52,6 +55,13 @@ class CampaignDispatcherTest extends WCH_Unit_Test_Case {
 	 */
 	private $mock_template_builder;
 
+	/**
+	 * Mock broadcast tracker.
+	 *
+	 * @var Mockery\MockInterface
+	 */
+	private $mock_tracker;
+
 	/**
 	 * Setup before each test.
 	 */
@@ -63,13 +73,15 @@ class CampaignDispatcherTest extends WCH_Unit_Test_Case {
 		$this->mock_audience_calculator = Mockery::mock( AudienceCalculator::class );
 		$this->mock_settings            = Mockery::mock( SettingsInterface::class );
 		$this->mock_template_builder    = Mockery::mock( BroadcastTemplateBuilder::class );
+		$this->mock_tracker             = Mockery::mock( BroadcastTracker::class );
 
 		// Create dispatcher instance.
 		$this->dispatcher = new CampaignDispatcher(
 			$this->mock_repository,
 			$this->mock_audience_calculator,
 			$this->mock_settings,
-			$this->mock_template_builder
+			$this->mock_template_builder,
+			$this->mock_tracker
 		);
 	}
 
@@ -112,6 +124,33 @@ class CampaignDispatcherTest extends WCH_Unit_Test_Case {
 		$this->assertStringStartsWith( 'broadcast_123_', $job_id );
 	}
 
+	/**
+	 * Test scheduling the same campaign twice in one second gives distinct job IDs.
+	 */
+	public function test_schedule_generates_unique_job_ids() {
+		$campaign = [
+			'id'            => 123,
+			'template_name' => 'welcome_message',
+			'template_data' => [],
+			'audience'      => [ 'audience_all' => true ],
+		];
+
+		$this->mock_audience_calculator->shouldReceive( 'getRecipients' )
+			->twice()
+			->andReturn( [ '+1234567001' ] );
+
+		$this->mock_repository->shouldReceive( 'updateStatus' )->andReturn( true );
+		$this->mock_repository->shouldReceive( 'updateStats' )->andReturn( true );
+
+		$first  = $this->dispatcher->schedule( $campaign );
+		$second = $this->dispatcher->schedule( $campaign );
+
+		$this->assertIsString( $first );
+		$this->assertIsString( $second );
+		$this->assertNotSame( $first, $second );
+		$this->assertFalse( str_starts_with( $second, $first ) );
+	}
+
 	/**
 	 * Test scheduling campaign with no recipients returns null.
 	 */
@@ -276,12 +315,44 @@ class CampaignDispatcherTest extends WCH_Unit_Test_Case {
 	}
 
 	/**
-	 * Test cancelling non-scheduled campaign returns false.
+	 * Test cancelling unschedules the campaign's queued batches.
+	 */
+	public function test_cancel_unschedules_queued_batches() {
+		if ( ! function_exists( 'as_schedule_single_action' ) ) {
+			$this->markTestSkipped( 'Action Scheduler is not available.' );
+		}
+
+		$this->queue_batch( 'broadcast_123_456', 1 );
+		$this->queue_batch( 'broadcast_123_456', 2, 400 );
+		$this->queue_batch( 'broadcast_124_789', 1 );
+
+		$this->mock_repository->shouldReceive( 'getById' )
+			->once()
+			->with( 123 )
+			->andReturn(
+				[
+					'id'     => 123,
+					'status' => 'scheduled',
+					'job_id' => 'broadcast_123_456',
+				]
+			);
+
+		$this->mock_repository->shouldReceive( 'updateStatus' )
+			->once()
+			->with( 123, 'cancelled' )
+			->andReturn( true );
+
+		$this->assertTrue( $this->dispatcher->cancel( 123 ) );
+		$this->assertSame( [ 'broadcast_124_789' ], $this->pending_batch_job_ids() );
+	}
+
+	/**
+	 * Test cancelling a finished campaign returns false.
 	 */
 	public function test_cancel_returns_false_for_non_scheduled() {
 		$campaign = [
 			'id'     => 123,
-			'status' => 'sending', // Not scheduled.
+			'status' => 'completed', // Already finished.
 		];
 
 		// Mock repository.
@@ -309,4 +380,436 @@ class CampaignDispatcherTest extends WCH_Unit_Test_Case {
 
 		$this->assertFalse( $cancelled );
 	}
+
+	/**
+	 * Test cancelling a campaign mid-send.
+	 */
+	public function test_cancel_cancels_sending_campaign() {
+		$this->mock_repository->shouldReceive( 'getById' )
+			->once()
+			->with( 123 )
+			->andReturn(
+				[
+					'id'     => 123,
+					'status' => 'sending',
+				]
+			);
+
+		$this->mock_repository->shouldReceive( 'updateStatus' )
+			->once()
+			->with( 123, 'cancelled' )
+			->andReturn( true );
+
+		$this->assertTrue( $this->dispatcher->cancel( 123 ) );
+	}
+
+	/**
+	 * Test pausing remembers the status to resume to.
+	 */
+	public function test_pause_and_resume_restore_status() {
+		$this->mock_repository->shouldReceive( 'getById' )
+			->with( 123 )
+			->andReturn(
+				[
+					'id'     => 123,
+					'status' => 'scheduled',
+				],
+				[
+					'id'          => 123,
+					'status'      => 'paused',
+					'paused_from' => 'scheduled',
+				]
+			);
+
+		$this->mock_repository->shouldReceive( 'updateStatus' )
+			->once()
+			->with( 123, 'paused', Mockery::on( static fn( $extra ) => 'scheduled' === $extra['paused_from'] ) )
+			->andReturn( true );
+
+		$this->mock_repository->shouldReceive( 'updateStatus' )
+			->once()
+			->with( 123, 'scheduled', Mockery::type( 'array' ) )
+			->andReturn( true );
+
+		$this->assertTrue( $this->dispatcher->pause( 123 ) );
+		$this->assertTrue( $this->dispatcher->resume( 123 ) );
+	}
+
+	/**
+	 * Test only scheduled and sending campaigns can be paused.
+	 */
+	public function test_pause_returns_false_for_finished_campaign() {
+		$this->mock_repository->shouldReceive( 'getById' )
+			->with( 123 )
+			->andReturn(
+				[
+					'id'     => 123,
+					'status' => 'completed',
+				]
+			);
+
+		$this->mock_repository->shouldNotReceive( 'updateStatus' );
+
+		$this->assertFalse( $this->dispatcher->pause( 123 ) );
+		$this->assertFalse( $this->dispatcher->resume( 123 ) );
+	}
+
+	/**
+	 * Test rescheduling a draft only saves the new schedule.
+	 */
+	public function test_reschedule_draft_saves_schedule() {
+		$schedule = [
+			'timing' => 'scheduled',
+			'date'   => '2030-03-06',
+			'time'   => '10:00',
+		];
+
+		$this->mock_repository->shouldReceive( 'getById' )
+			->with( 123 )
+			->andReturn(
+				[
+					'id'     => 123,
+					'status' => 'draft',
+				]
+			);
+
+		$this->mock_repository->shouldReceive( 'updateStatus' )
+			->once()
+			->with( 123, 'draft', [ 'schedule' => $schedule ] )
+			->andReturn( true );
+
+		$this->mock_audience_calculator->shouldNotReceive( 'getRecipients' );
+
+		$this->assertTrue( $this->dispatcher->reschedule( 123, $schedule ) );
+	}
+
+	/**
+	 * Test a scheduled campaign keeps its old schedule when nobody matches any more.
+	 */
+	public function test_reschedule_restores_schedule_without_recipients() {
+		$previous = [
+			'timing' => 'scheduled',
+			'date'   => '2030-03-04',
+			'time'   => '10:00',
+		];
+		$schedule = array_merge( $previous, [ 'date' => '2030-03-06' ] );
+
+		$this->mock_repository->shouldReceive( 'getById' )
+			->with( 123 )
+			->andReturn(
+				[
+					'id'       => 123,
+					'status'   => 'scheduled',
+					'job_id'   => 'broadcast_123_456',
+					'audience' => [ 'audience_all' => true ],
+					'schedule' => $previous,
+				]
+			);
+
+		$this->mock_audience_calculator->shouldReceive( 'getRecipients' )
+			->once()
+			->andReturn( [] );
+
+		$this->mock_repository->shouldReceive( 'updateStatus' )
+			->once()
+			->with( 123, 'scheduled', [ 'schedule' => $schedule ] )
+			->ordered();
+
+		$this->mock_repository->shouldReceive( 'updateStatus' )
+			->once()
+			->with( 123, 'scheduled', [ 'schedule' => $previous ] )
+			->ordered();
+
+		$this->assertFalse( $this->dispatcher->reschedule( 123, $schedule ) );
+	}
+
+	/**
+	 * Test rescheduling unschedules the batches queued for the old time.
+	 */
+	public function test_reschedule_unschedules_old_batches() {
+		if ( ! function_exists( 'as_schedule_single_action' ) ) {
+			$this->markTestSkipped( 'Action Scheduler is not available.' );
+		}
+
+		$schedule = [
+			'timing' => 'scheduled',
+			'date'   => '2030-03-06',
+			'time'   => '10:00',
+		];
+
+		$this->queue_batch( 'broadcast_123_456', 0 );
+		$this->queue_batch( 'broadcast_124_789', 0 );
+
+		$this->mock_repository->shouldReceive( 'getById' )
+			->with( 123 )
+			->andReturn(
+				[
+					'id'            => 123,
+					'name'          => 'Test Campaign',
+					'status'        => 'scheduled',
+					'job_id'        => 'broadcast_123_456',
+					'template_name' => 'welcome_message',
+					'template_data' => [],
+					'audience'      => [ 'audience_all' => true ],
+					'schedule'      => array_merge( $schedule, [ 'date' => '2030-03-04' ] ),
+				]
+			);
+
+		$this->mock_audience_calculator->shouldReceive( 'getRecipients' )
+			->once()
+			->andReturn( [ '+1234567001', '+1234567002' ] );
+
+		$this->mock_repository->shouldReceive( 'updateStatus' )->andReturn( true );
+		$this->mock_repository->shouldReceive( 'updateStats' )->andReturn( true );
+
+		$this->assertTrue( $this->dispatcher->reschedule( 123, $schedule ) );
+
+		$pending = $this->pending_batch_job_ids();
+
+		$this->assertCount( 2, $pending );
+		$this->assertContains( 'broadcast_124_789', $pending );
+		$this->assertNotContains( 'broadcast_123_456', $pending );
+	}
+
+	/**
+	 * Test campaigns that have started sending can't be rescheduled.
+	 */
+	public function test_reschedule_returns_false_for_sending_campaign() {
+		$this->mock_repository->shouldReceive( 'getById' )
+			->with( 123 )
+			->andReturn(
+				[
+					'id'     => 123,
+					'status' => 'sending',
+				]
+			);
+
+		$this->mock_repository->shouldNotReceive( 'updateStatus' );
+
+		$this->assertFalse( $this->dispatcher->reschedule( 123, [ 'date' => '2030-03-06' ] ) );
+	}
+
+	/**
+	 * Test A/B campaigns split recipients by variant share.
+	 */
+	public function test_schedule_splits_recipients_across_ab_variants() {
+		$campaign = [
+			'id'            => 123,
+			'name'          => 'Test Campaign',
+			'template_name' => 'welcome_message',
+			'template_data' => [],
+			'audience'      => [ 'audience_all' => true ],
+			'ab_test'       => [
+				'enabled'  => true,
+				'variants' => [
+					[
+						'key'   => 'A',
+						'share' => 60,
+					],
+					[
+						'key'             => 'B',
+						'template_name'   => 'welcome_alt',
+						'template_data'   => [],
+						'personalization' => [],
+						'share'           => 40,
+					],
+				],
+				'winner'   => [
+					'enabled'    => false,
+					'metric'     => 'read_rate',
+					'wait_hours' => 4,
+				],
+			],
+		];
+
+		$recipients = array_map(
+			fn( $i ) => '+1234567' . str_pad( (string) $i, 3, '0', STR_PAD_LEFT ),
+			range( 1, 100 )
+		);
+
+		$this->mock_audience_calculator->shouldReceive( 'getRecipients' )
+			->once()
+			->andReturn( $recipients );
+
+		$this->mock_repository->shouldReceive( 'updateStatus' )
+			->once()
+			->with( 123, 'sending', Mockery::on( function ( $extra_data ) {
+				return 'complete' === $extra_data['ab_test']['phase']
+					&& 0 === $extra_data['ab_test']['holdout'];
+			} ) )
+			->andReturn( true );
+
+		$this->mock_repository->shouldReceive( 'updateStats' )
+			->once()
+			->andReturn( true );
+
+		$dispatcher = Mockery::mock(
+			CampaignDispatcher::class,
+			[
+				$this->mock_repository,
+				$this->mock_audience_calculator,
+				$this->mock_settings,
+				$this->mock_template_builder,
+				$this->mock_tracker,
+			]
+		)->makePartial()->shouldAllowMockingProtectedMethods();
+
+		$dispatched = [];
+		$dispatcher->shouldReceive( 'dispatchBatch' )
+			->andReturnUsing( function ( $args ) use ( &$dispatched ) {
+				$dispatched[] = $args;
+			} );
+
+		$dispatcher->schedule( $campaign );
+
+		$per_variant = [];
+		$templates   = [];
+		foreach ( $dispatched as $args ) {
+			$per_variant[ $args['variant'] ] = ( $per_variant[ $args['variant'] ] ?? 0 ) + count( $args['batch'] );
+			$templates[ $args['variant'] ]   = $args['message']['template_name'];
+		}
+
+		$this->assertSame( [ 'A' => 60, 'B' => 40 ], $per_variant );
+		$this->assertSame( 'welcome_message', $templates['A'] );
+		$this->assertSame( 'welcome_alt', $templates['B'] );
+	}
+
+	/**
+	 * Test retrying failed recipients resends their variant and uncounts them.
+	 */
+	public function test_retry_failed_resends_to_failed_recipients() {
+		$campaign = [
+			'id'            => 123,
+			'status'        => 'completed',
+			'job_id'        => 'broadcast_123_1',
+			'template_name' => 'welcome_message',
+			'template_data' => [],
+			'audience'      => [ 'audience_all' => true ],
+			'stats'         => [
+				'sent'   => 10,
+				'failed' => 3,
+			],
+		];
+
+		$this->mock_repository->shouldReceive( 'getById' )->with( 123 )->andReturn( $campaign );
+		$this->mock_tracker->shouldReceive( 'getFailedRecipients' )
+			->once()
+			->with( 123, '131049' )
+			->andReturn(
+				[
+					[
+						'phone'    => '+1234567001',
+						'variant'  => '',
+						'accepted' => true,
+					],
+					[
+						'phone'    => '+1234567002',
+						'variant'  => '',
+						'accepted' => false,
+					],
+				]
+			);
+
+		$this->mock_repository->shouldReceive( 'updateStats' )
+			->once()
+			->with(
+				123,
+				Mockery::on( function ( $stats ) {
+					return 9 === $stats['sent'] && 2 === $stats['failed'];
+				} )
+			)
+			->andReturn( true );
+		$this->mock_repository->shouldReceive( 'updateStatus' )
+			->once()
+			->with( 123, 'sending', Mockery::type( 'array' ) )
+			->andReturn( true );
+
+		$dispatcher = Mockery::mock(
+			CampaignDispatcher::class,
+			[
+				$this->mock_repository,
+				$this->mock_audience_calculator,
+				$this->mock_settings,
+				$this->mock_template_builder,
+				$this->mock_tracker,
+			]
+		)->makePartial()->shouldAllowMockingProtectedMethods();
+
+		$dispatched = [];
+		$dispatcher->shouldReceive( 'dispatchBatch' )
+			->andReturnUsing( function ( $args ) use ( &$dispatched ) {
+				$dispatched[] = $args;
+			} );
+
+		$job_id = $dispatcher->retryFailed( 123, '131049' );
+
+		$this->assertStringStartsWith( 'broadcast_123_1_retry_', $job_id );
+		$this->assertCount( 1, $dispatched );
+		$this->assertSame( [ '+1234567001', '+1234567002' ], $dispatched[0]['batch'] );
+		$this->assertSame( 'retry', $dispatched[0]['phase'] );
+	}
+
+	/**
+	 * Test failed recipients cannot be retried while the campaign is still sending.
+	 */
+	public function test_retry_failed_waits_for_sending_to_finish() {
+		$this->mock_repository->shouldReceive( 'getById' )
+			->with( 123 )
+			->andReturn(
+				[
+					'id'     => 123,
+					'status' => 'sending',
+				]
+			);
+		$this->mock_tracker->shouldNotReceive( 'getFailedRecipients' );
+
+		$this->assertNull( $this->dispatcher->retryFailed( 123, '' ) );
+	}
+
+	/**
+	 * Queue a broadcast batch through the job dispatcher.
+	 *
+	 * @param string $job_id     Job ID.
+	 * @param int    $batch_num  Batch number.
+	 * @param int    $recipients Number of recipients in the batch.
+	 */
+	private function queue_batch( string $job_id, int $batch_num, int $recipients = 2 ): void {
+		$action_id = wch( JobDispatcher::class )->dispatch(
+			'wch_send_broadcast_batch',
+			[
+				'job_id'      => $job_id,
+				'batch'       => array_map(
+					fn( $i ) => '+1555' . str_pad( (string) $i, 7, '0', STR_PAD_LEFT ),
+					range( 1, $recipients )
+				),
+				'batch_num'   => $batch_num,
+				'campaign_id' => (int) explode( '_', $job_id )[1],
+			],
+			HOUR_IN_SECONDS
+		);
+
+		$this->assertGreaterThan( 0, $action_id );
+	}
+
+	/**
+	 * Get the job IDs of pending broadcast batches.
+	 *
+	 * @return string[]
+	 */
+	private function pending_batch_job_ids(): array {
+		$actions = as_get_scheduled_actions(
+			[
+				'hook'     => 'wch_send_broadcast_batch',
+				'status'   => ActionScheduler_Store::STATUS_PENDING,
+				'per_page' => -1,
+			]
+		);
+
+		return array_values(
+			array_map(
+				static fn( $action ) => PriorityQueue::unwrapPayload( $action->get_args()[0] )['args']['job_id'],
+				$actions
+			)
+		);
+	}
 }
@@ -0,0 +1,171 @@
+<?php
+/**
+ * Unit tests for CampaignListQuery
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+use WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastTracker;
+use WhatsAppCommerceHub\Application\Services\Broadcasts\CampaignListQuery;
+use WhatsAppCommerceHub\Contracts\Services\Broadcasts\CampaignRepositoryInterface;
+
+/**
+ * Test CampaignListQuery class.
+ */
+class CampaignListQueryTest extends WCH_Unit_Test_Case {
+
+	/**
+	 * List query instance.
+	 *
+	 * @var CampaignListQuery
+	 */
+	private $query;
+
+	/**
+	 * Setup before each test.
+	 */
+	protected function setUp(): void {
+		parent::setUp();
+
+		$repository = Mockery::mock( CampaignRepositoryInterface::class );
+		$repository->shouldReceive( 'getAll' )->andReturn(
+			[
+				[
+					'id'            => 1,
+					'name'          => 'Spring Sale',
+					'template_name' => 'spring_offer',
+					'status'        => 'completed',
+					'audience_size' => 500,
+					'sent_at'       => '2030-03-04 10:00:00',
+					'stats'         => [
+						'sent' => 500,
+						'read' => 100,
+					],
+				],
+				[
+					'id'            => 2,
+					'name'          => 'Summer Launch',
+					'template_name' => 'new_arrivals',
+					'status'        => 'completed',
+					'audience_size' => 200,
+					'sent_at'       => '2030-06-10 10:00:00',
+					'stats'         => [
+						'sent' => 200,
+						'read' => 150,
+					],
+				],
+				[
+					'id'            => 3,
+					'name'          => 'Weekly Digest',
+					'template_name' => 'spring_digest',
+					'status'        => 'scheduled',
+					'audience_size' => 900,
+					'scheduled_at'  => '2030-07-01 09:00:00',
+				],
+				[
+					'id'          => 4,
+					'name'        => 'Old Promo',
+					'status'      => 'completed',
+					'sent_at'     => '2029-11-01 10:00:00',
+					'archived_at' => '2030-01-01 00:00:00',
+				],
+				[
+					'id'     => 5,
+					'name'   => 'Spring Draft',
+					'status' => 'draft',
+				],
+			]
+		);
+
+		$tracker = Mockery::mock( BroadcastTracker::class );
+		$tracker->shouldReceive( 'getRevenueByCampaign' )->andReturn(
+			[
+				2 => [
+					'orders'  => 3,
+					'revenue' => 120.5,
+				],
+			]
+		);
+
+		$this->query = new CampaignListQuery( $repository, $tracker );
+	}
+
+	/**
+	 * Get the IDs on a page for request parameters.
+	 *
+	 * @param array $request Request parameters.
+	 * @return array<int, int> Campaign IDs in list order.
+	 */
+	private function ids( array $request ): array {
+		$result = $this->query->query( $this->query->parseState( $request ) );
+
+		return array_map( 'intval', array_column( $result['items'], 'id' ) );
+	}
+
+	/**
+	 * Test drafts and archived campaigns are left out by default, newest first.
+	 */
+	public function test_default_list_excludes_drafts_and_archived() {
+		$this->assertSame( [ 3, 2, 1 ], $this->ids( [] ) );
+		$this->assertSame( [ 4 ], $this->ids( [ 'status' => 'archived' ] ) );
+	}
+
+	/**
+	 * Test search matches names and templates, combined with status and dates.
+	 */
+	public function test_search_and_filters_combine() {
+		$this->assertSame( [ 3, 1 ], $this->ids( [ 's' => 'SPRING' ] ) );
+		$this->assertSame(
+			[ 1 ],
+			$this->ids(
+				[
+					's'      => 'spring',
+					'status' => 'completed',
+				]
+			)
+		);
+		$this->assertSame(
+			[ 2 ],
+			$this->ids(
+				[
+					'from' => '2030-06-01',
+					'to'   => '2030-06-30',
+				]
+			)
+		);
+		$this->assertSame( [ 3, 2, 1 ], $this->ids( [ 'from' => 'not-a-date' ] ) );
+	}
+
+	/**
+	 * Test sorting by revenue, read rate and audience size.
+	 */
+	public function test_sorts_by_metrics() {
+		$this->assertSame( [ 2, 1, 3 ], $this->ids( [ 'orderby' => 'revenue' ] ) );
+		$this->assertSame(
+			[ 3, 1, 2 ],
+			$this->ids(
+				[
+					'orderby' => 'read_rate',
+					'order'   => 'asc',
+				]
+			)
+		);
+		$this->assertSame( [ 3, 1, 2 ], $this->ids( [ 'orderby' => 'audience' ] ) );
+
+		$items = $this->query->query( $this->query->parseState( [] ) )['items'];
+		$this->assertSame( 75.0, $items[1]['read_rate'] );
+		$this->assertSame( 120.5, $items[1]['revenue'] );
+	}
+
+	/**
+	 * Test pages are clamped to the last page.
+	 */
+	public function test_paginates_and_clamps_page() {
+		$result = $this->query->query( $this->query->parseState( [ 'paged' => 9 ] ) );
+
+		$this->assertSame( 3, $result['total'] );
+		$this->assertSame( 1, $result['pages'] );
+		$this->assertCount( 3, $result['items'] );
+	}
+}
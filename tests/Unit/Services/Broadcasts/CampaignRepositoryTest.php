@@ -374,4 +374,104 @@ class CampaignRepositoryTest extends WCH_Unit_Test_Case {
 		$this->assertTrue( $campaign['audience']['exclude_recent_broadcast'] );
 		$this->assertEquals( 7, $campaign['audience']['exclude_broadcast_days'] );
 	}
+
+	/**
+	 * Test unknown statuses are saved as draft.
+	 */
+	public function test_save_rejects_unknown_status() {
+		$campaign = $this->repository->save(
+			[
+				'name'   => 'Campaign',
+				'status' => 'approved',
+			]
+		);
+
+		$this->assertEquals( 'draft', $campaign['status'] );
+
+		$scheduled = $this->repository->save(
+			[
+				'id'     => $campaign['id'],
+				'name'   => 'Campaign',
+				'status' => 'scheduled',
+			]
+		);
+
+		$this->assertEquals( 'scheduled', $scheduled['status'] );
+	}
+
+	/**
+	 * Test wizard step is stored and clamped to the wizard range.
+	 */
+	public function test_save_stores_wizard_step_within_range() {
+		$draft = $this->repository->save(
+			[
+				'name'        => 'Draft',
+				'wizard_step' => '4',
+			]
+		);
+
+		$this->assertEquals( 4, $draft['wizard_step'] );
+
+		$too_high = $this->repository->save(
+			[
+				'id'          => $draft['id'],
+				'name'        => 'Draft',
+				'wizard_step' => 12,
+			]
+		);
+
+		$this->assertEquals( 5, $too_high['wizard_step'] );
+
+		$missing = $this->repository->save( [ 'name' => 'Other draft' ] );
+
+		$this->assertEquals( 1, $missing['wizard_step'] );
+	}
+
+	/**
+	 * Test A/B variants are re-keyed and capped.
+	 */
+	public function test_save_normalizes_ab_test_variants() {
+		$variants = array_map(
+			fn( $share ) => [
+				'key'           => 'Z',
+				'template_name' => 'promo',
+				'share'         => $share,
+			],
+			[ 40, 30, 20, 10, 5 ]
+		);
+
+		$campaign = $this->repository->save(
+			[
+				'name'    => 'A/B Campaign',
+				'ab_test' => [
+					'enabled'  => true,
+					'variants' => $variants,
+					'winner'   => [
+						'enabled'    => true,
+						'metric'     => 'clicks',
+						'wait_hours' => 0,
+					],
+				],
+			]
+		);
+
+		$ab_test = $campaign['ab_test'];
+
+		$this->assertTrue( $ab_test['enabled'] );
+		$this->assertSame( [ 'A', 'B', 'C', 'D' ], array_column( $ab_test['variants'], 'key' ) );
+		$this->assertEquals( 'read_rate', $ab_test['winner']['metric'] );
+		$this->assertEquals( 1, $ab_test['winner']['wait_hours'] );
+
+		$single = $this->repository->save(
+			[
+				'name'    => 'Single variant',
+				'ab_test' => [
+					'enabled'  => true,
+					'variants' => [ $variants[0] ],
+				],
+			]
+		);
+
+		$this->assertFalse( $single['ab_test']['enabled'] );
+	}
 }
@@ -0,0 +1,164 @@
+<?php
+/**
+ * Unit tests for ContactListImporter
+ *
+ * @package WhatsApp_Commerce_Hub
+ * @since 3.0.0
+ */
+
+use WhatsAppCommerceHub\Application\Services\Broadcasts\ContactListImporter;
+use WhatsAppCommerceHub\Contracts\Services\Broadcasts\ContactListRepositoryInterface;
+use WhatsAppCommerceHub\Exceptions\ValidationException;
+use WhatsAppCommerceHub\Validation\DataValidator;
+
+/**
+ * Test ContactListImporter class.
+ */
+class ContactListImporterTest extends WCH_Unit_Test_Case {
+
+	/**
+	 * Temporary CSV files created by a test.
+	 *
+	 * @var array<string>
+	 */
+	private array $files = [];
+
+	/**
+	 * Teardown after each test.
+	 */
+	protected function tearDown(): void {
+		foreach ( $this->files as $file ) {
+			wp_delete_file( $file );
+		}
+
+		parent::tearDown();
+	}
+
+	/**
+	 * Write CSV content to a temporary file.
+	 *
+	 * @param string $content CSV content.
+	 * @return string File path.
+	 */
+	private function createCsv( string $content ): string {
+		$file = wp_tempnam( 'contacts.csv' );
+		file_put_contents( $file, $content );
+		$this->files[] = $file;
+
+		return $file;
+	}
+
+	/**
+	 * Test phone numbers are normalized to E.164.
+	 */
+	public function test_normalize_e164() {
+		$this->assertSame( '+447700900123', DataValidator::normalizeE164( '+44 7700 900123' ) );
+		$this->assertSame( '+447700900123', DataValidator::normalizeE164( '0044 7700 900123' ) );
+		$this->assertSame( '+447700900123', DataValidator::normalizeE164( '07700 900123', '+44' ) );
+		$this->assertSame( '+447700900123', DataValidator::normalizeE164( '447700900123', '44' ) );
+		$this->assertSame( '+14155550123', DataValidator::normalizeE164( '(415) 555-0123', '1' ) );
+		$this->assertNull( DataValidator::normalizeE164( '12', '44' ) );
+		$this->assertNull( DataValidator::normalizeE164( 'n/a' ) );
+	}
+
+	/**
+	 * Test invalid, duplicate and opted-out rows are reported and skipped.
+	 */
+	public function test_import_reports_skipped_rows() {
+		$repository = Mockery::mock( ContactListRepositoryInterface::class );
+		$repository->shouldReceive( 'findOptedOut' )
+			->once()
+			->with( [ '+447700900123', '+447700900456', '+14155550123' ] )
+			->andReturn( [ '+14155550123' ] );
+		$repository->shouldReceive( 'create' )
+			->once()
+			->with(
+				[
+					[
+						'phone'  => '+447700900123',
+						'fields' => [
+							'Name' => 'Ada',
+							'Code' => 'A1',
+						],
+					],
+					[
+						'phone'  => '+447700900456',
+						'fields' => [
+							'Name' => 'Grace',
+							'Code' => '',
+						],
+					],
+				]
+			)
+			->andReturn( 'abc123' );
+		$repository->shouldReceive( 'delete' )->once()->with( 'old456' )->andReturn( true );
+
+		$importer = new ContactListImporter( $repository );
+		$result   = $importer->import(
+			$this->createCsv( "\xEF\xBB\xBFName;Mobile;Code\nAda;+44 7700 900123;A1\nBad;123;B2\n\nAda again;0044 7700 900123;C3\nGrace;+447700900456;\nOpted;+1 415 555 0123;D4\n" ),
+			'contacts.csv',
+			[ 'replace_list' => 'old456' ]
+		);
+
+		$this->assertSame( 'abc123', $result['list']['id'] );
+		$this->assertSame( 'Mobile', $result['list']['phone_column'] );
+		$this->assertSame( [ 'Name', 'Mobile', 'Code' ], $result['list']['columns'] );
+		$this->assertSame( 2, $result['list']['valid'] );
+		$this->assertSame( 5, $result['list']['total_rows'] );
+		$this->assertSame( 1, $result['list']['invalid'] );
+		$this->assertSame( 1, $result['list']['duplicates'] );
+		$this->assertSame( 1, $result['list']['opted_out'] );
+		$this->assertSame(
+			[
+				[ 3, 'invalid' ],
+				[ 5, 'duplicate' ],
+				[ 7, 'opted_out' ],
+			],
+			array_map( static fn( $issue ) => [ $issue['row'], $issue['reason'] ], $result['issues'] )
+		);
+		$this->assertSame(
+			[
+				'Name' => 'Ada',
+				'Code' => 'A1',
+			],
+			$result['sample']
+		);
+	}
+
+	/**
+	 * Test an unrecognized phone column reports the available columns.
+	 */
+	public function test_import_without_phone_column_lists_columns() {
+		$repository = Mockery::mock( ContactListRepositoryInterface::class );
+		$repository->shouldNotReceive( 'create' );
+
+		$importer = new ContactListImporter( $repository );
+
+		try {
+			$importer->import( $this->createCsv( "Name,Contact\nAda,+447700900123\n" ), 'contacts.csv' );
+			$this->fail( 'Expected a ValidationException.' );
+		} catch ( ValidationException $e ) {
+			$this->assertSame( [ 'Name', 'Contact' ], $e->getContext()['columns'] );
+		}
+	}
+
+	/**
+	 * Test the requested phone column overrides detection.
+	 */
+	public function test_import_uses_requested_phone_column() {
+		$repository = Mockery::mock( ContactListRepositoryInterface::class );
+		$repository->shouldReceive( 'findOptedOut' )->andReturn( [] );
+		$repository->shouldReceive( 'create' )->once()->andReturn( 'abc123' );
+		$repository->shouldNotReceive( 'delete' );
+
+		$importer = new ContactListImporter( $repository );
+		$result   = $importer->import(
+			$this->createCsv( "Name,Contact\nAda,+447700900123\n" ),
+			'contacts.csv',
+			[ 'phone_column' => 'Contact' ]
+		);
+
+		$this->assertSame( 'Contact', $result['list']['phone_column'] );
+		$this->assertSame( [ 'Name' => 'Ada' ], $result['sample'] );
+	}
+}
@@ -17,7 +17,7 @@
  *
  * Data Removed:
  * - Tables: wch_conversations, wch_messages, wch_carts, wch_customer_profiles,
- *   wch_broadcast_recipients, wch_sync_queue, wch_notification_log,
+ *   wch_broadcast_recipients, wch_broadcast_contacts, wch_sync_queue, wch_notification_log,
  *   wch_product_views, wch_reengagement, wch_rate_limits, wch_security_log,
  *   wch_webhook_idempotency, wch_webhook_events
  * - Options: All options prefixed with 'wch_' including settings, API keys,
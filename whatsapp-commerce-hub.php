@@ -237,6 +237,13 @@ class WhatsAppCommerceHubPlugin {
 
 		// Hook into WooCommerce order creation for conversion tracking.
 		add_action( 'woocommerce_checkout_order_created', [ $this, 'track_order_conversion' ], 10, 1 );
+
+		// Attribute orders to broadcasts. Block checkout creates a draft order before the billing phone is known.
+		add_action( 'woocommerce_new_order', [ $this, 'attribute_broadcast_order' ], 20, 1 );
+		add_action( 'woocommerce_store_api_checkout_order_processed', [ $this, 'attribute_broadcast_order' ], 20, 1 );
+
+		// Count clicks on tracked broadcast links before the page loads.
+		add_action( 'template_redirect', [ $this, 'track_broadcast_click' ], 1 );
 	}
 
 	/**
@@ -257,6 +264,33 @@ class WhatsAppCommerceHubPlugin {
 		}
 	}
 
+	/**
+	 * Attribute an order to the broadcast its customer received.
+	 *
+	 * @since 3.0.0
+	 * @param int|WC_Order $order Order ID, or the order from the Store API.
+	 */
+	public function attribute_broadcast_order( $order ) {
+		$order_id = is_object( $order ) ? $order->get_id() : (int) $order;
+
+		wch( \WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastTracker::class )
+			->attributeOrder( (int) $order_id );
+	}
+
+	/**
+	 * Record a click on a tracked broadcast link and redirect to the clean URL.
+	 *
+	 * @since 3.0.0
+	 */
+	public function track_broadcast_click() {
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Only checks whether the link carries a token.
+		if ( ! isset( $_GET[ \WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastLinkTracker::QUERY_VAR ] ) ) {
+			return;
+		}
+
+		wch( \WhatsAppCommerceHub\Application\Services\Broadcasts\BroadcastLinkTracker::class )->handleClick();
+	}
+
 	/**
 	 * Check and run database migrations if needed.
 	 */